@@ -1,6 +1,7 @@
 /**
  * Extracts data from the Sparking Zero Player Calculator xlsx
  * and writes JSON files to apps/calculator/public/data/
+ * Then run merge-blast-data.js and link-reference-ids.js to key the output by referencedata ID.
  */
 const XLSX = require('../node_modules/xlsx');
 const fs = require('fs');
@@ -0,0 +1,156 @@
+/**
+ * Joins the calculator data to referencedata IDs.
+ * Run after extract-data.js and merge-blast-data.js.
+ *
+ * - characters.json / capsules.json: each record gets its referencedata `id`
+ * - blast.json / characterImages.json: re-keyed from display name to character ID
+ *
+ * Names are matched exactly, then ignoring case and spacing, then through NAME_ALIASES.
+ * Anything left unmatched is listed in reference-id-report.json next to this script.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DATA_DIR = path.join(__dirname, '..', 'apps', 'calculator', 'public', 'data');
+const REF_DIR = path.join(__dirname, '..', 'referencedata');
+const REPORT_PATH = path.join(__dirname, 'reference-id-report.json');
+
+// Calculator names that word the character differently from characters.csv
+const NAME_ALIASES = {
+  'Gohan (Super Hero) Ultimate Gohan': 'Ultimate Gohan (Super Hero)',
+};
+
+// ── CSV Parser (handles quoted fields with embedded commas/newlines) ──────────
+function parseCSV(content) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < content.length; i++) {
+    const c = content[i];
+    if (c === '"') {
+      if (inQuotes && content[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else {
+        inQuotes = !inQuotes;
+      }
+    } else if (c === ',' && !inQuotes) {
+      row.push(field);
+      field = '';
+    } else if ((c === '\r' || c === '\n') && !inQuotes) {
+      if (c === '\r' && content[i + 1] === '\n') i++;
+      row.push(field);
+      field = '';
+      if (row.some(f => f.trim() !== '')) rows.push(row);
+      row = [];
+    } else {
+      field += c;
+    }
+  }
+  row.push(field);
+  if (row.some(f => f.trim() !== '')) rows.push(row);
+
+  return rows;
+}
+
+function readCSV(file) {
+  return parseCSV(fs.readFileSync(path.join(REF_DIR, file), 'utf8').replace(/^\uFEFF/, '')).slice(1);
+}
+
+function readJSON(file) {
+  return JSON.parse(fs.readFileSync(path.join(DATA_DIR, file), 'utf8'));
+}
+
+function writeJSON(file, data) {
+  fs.writeFileSync(path.join(DATA_DIR, file), JSON.stringify(data, null, 2));
+}
+
+const normalise = (name) => String(name).replace(/\s+/g, ' ').trim().toLowerCase();
+
+// Name → ID lookup for one reference table; `unmatched` collects names that don't resolve
+function createResolver(rows) {
+  const exact = new Map(rows.map(r => [r.name, r.id]));
+  const loose = new Map(rows.map(r => [normalise(r.name), r.id]));
+  const ids = new Set(rows.map(r => r.id));
+  const unmatched = [];
+  const used = new Set();
+
+  function resolve(name) {
+    const alias = NAME_ALIASES[name];
+    const id = ids.has(name) ? name  // already keyed by ID (re-run)
+      : exact.get(name) ?? loose.get(normalise(name)) ?? (alias && exact.get(alias)) ?? null;
+    if (id) used.add(id);
+    else unmatched.push(name);
+    return id;
+  }
+
+  return { resolve, unmatched, unused: () => rows.filter(r => !used.has(r.id)) };
+}
+
+const referenceCharacters = readCSV('characters.csv')
+  .map(([name, id]) => ({ name: (name || '').trim(), id: (id || '').trim() }))
+  .filter(r => r.name && r.id);
+const referenceCapsules = readCSV('capsules.csv')
+  .filter(r => (r[2] || '').trim() === 'Capsule')
+  .map(([name, id]) => ({ name: (name || '').trim(), id: (id || '').trim() }))
+  .filter(r => r.name && r.id);
+
+// ── 1. CHARACTERS ─────────────────────────────────────────────────────────────
+const characterIds = createResolver(referenceCharacters);
+const characters = readJSON('characters.json').map(c => ({ ...c, id: characterIds.resolve(c.name) }));
+writeJSON('characters.json', characters);
+console.log(`✓ characters.json — ${characters.filter(c => c.id).length}/${characters.length} linked`);
+
+// ── 2. CAPSULES ───────────────────────────────────────────────────────────────
+const capsuleIds = createResolver(referenceCapsules);
+const capsules = readJSON('capsules.json').map(c => ({ ...c, id: capsuleIds.resolve(c.name) }));
+writeJSON('capsules.json', capsules);
+console.log(`✓ capsules.json — ${capsules.filter(c => c.id).length}/${capsules.length} linked`);
+
+// ── 3. BLASTS + CHARACTER IMAGES (re-keyed by character ID) ──────────────────
+function rekeyByCharacter(file) {
+  const resolver = createResolver(referenceCharacters);
+  const byId = {};
+  Object.entries(readJSON(file)).forEach(([name, value]) => {
+    const id = resolver.resolve(name);
+    if (id) byId[id] = value;
+  });
+  writeJSON(file, byId);
+  console.log(`✓ ${file} — ${Object.keys(byId).length} characters, ${resolver.unmatched.length} dropped`);
+  return resolver;
+}
+
+const blastIds = rekeyByCharacter('blast.json');
+const imageIds = rekeyByCharacter('characterImages.json');
+
+// ── 4. VALIDATION REPORT ──────────────────────────────────────────────────────
+const report = {
+  characters: {
+    unmatched: characterIds.unmatched,
+    missingFromCalculator: characterIds.unused(),
+  },
+  capsules: {
+    unmatched: capsuleIds.unmatched,
+    missingFromCalculator: capsuleIds.unused(),
+  },
+  blasts: {
+    unmatched: blastIds.unmatched,
+    charactersWithoutBlasts: blastIds.unused().filter(r => characters.some(c => c.id === r.id)),
+  },
+  characterImages: {
+    unmatched: imageIds.unmatched,
+    charactersWithoutImage: imageIds.unused().filter(r => characters.some(c => c.id === r.id)),
+  },
+};
+fs.writeFileSync(REPORT_PATH, JSON.stringify(report, null, 2));
+
+console.log(`\nValidation report → ${path.relative(process.cwd(), REPORT_PATH)}`);
+Object.entries(report).forEach(([section, entries]) => {
+  Object.entries(entries).forEach(([kind, list]) => {
+    if (list.length === 0) return;
+    console.log(`  ${section}.${kind}: ${list.map(e => (typeof e === 'string' ? e : `${e.name} (${e.id})`)).join(', ')}`);
+  });
+});
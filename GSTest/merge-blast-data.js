@@ -2,6 +2,7 @@
  * Merges new fields from Blast_Data.csv into blast.json.
  * Existing fields in blast.json are NOT replaced.
  * Characters with empty arrays get new entries created from CSV data.
+ * blast.json may be keyed by name or, after link-reference-ids.js, by character ID.
  */
 
 const fs = require('fs');
@@ -9,6 +10,7 @@ const path = require('path');
 
 const CSV_PATH = path.join(__dirname, 'Blast_Data.csv');
 const JSON_PATH = path.join(__dirname, '..', 'apps', 'calculator', 'public', 'data', 'blast.json');
+const CHARACTERS_PATH = path.join(__dirname, '..', 'apps', 'calculator', 'public', 'data', 'characters.json');
 
 // ── CSV Parser (handles quoted fields with embedded commas/newlines) ──────────
 function parseCSV(content) {
@@ -153,14 +155,21 @@ function buildEntry(csvRow) {
 // ── Process the JSON ──────────────────────────────────────────────────────────
 const blastJson = JSON.parse(fs.readFileSync(JSON_PATH, 'utf8'));
 
+// CSV rows use display names; map ID keys back to them
+const nameById = {};
+JSON.parse(fs.readFileSync(CHARACTERS_PATH, 'utf8')).forEach(c => {
+  if (c.id) nameById[c.id] = c.name;
+});
+
 let updatedChars = 0;
 let addedFields = 0;
 let newEntries = 0;
 
-for (const charName of Object.keys(blastJson)) {
-  if (charName === 'Character') continue; // schema header row
+for (const charKey of Object.keys(blastJson)) {
+  if (charKey === 'Character') continue; // schema header row
 
-  const blasts = blastJson[charName];
+  const charName = nameById[charKey] ?? charKey;
+  const blasts = blastJson[charKey];
   if (!Array.isArray(blasts)) continue;
 
   if (blasts.length === 0) {
@@ -176,7 +185,7 @@ for (const charName of Object.keys(blastJson)) {
       }
     }
     if (newArr.length > 0) {
-      blastJson[charName] = newArr;
+      blastJson[charKey] = newArr;
       updatedChars++;
     }
   } else {
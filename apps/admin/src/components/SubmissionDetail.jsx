@@ -33,7 +33,8 @@ import {
   ExternalLink,
   ChevronDown,
   FileJson,
-  AlertTriangle
+  AlertTriangle,
+  ShieldCheck
 } from 'lucide-react';
 import { fetchSubmissionDetails, approveSubmission, rejectSubmission } from '../utils/api';
 
@@ -317,6 +318,14 @@ function SubmissionDetail({ user, onLogout }) {
                       sx={{ bgcolor: '#238636', color: '#fff' }}
                     />
                   )}
+                  {file.compliance && (
+                    <Chip
+                      label={file.compliance.compliant ? 'Rules OK' : `${file.compliance.violationCount} Rule Issue${file.compliance.violationCount === 1 ? '' : 's'}`}
+                      size="small"
+                      icon={file.compliance.compliant ? <ShieldCheck size={14} /> : <AlertTriangle size={14} />}
+                      sx={{ bgcolor: file.compliance.compliant ? '#238636' : '#9e6a03', color: '#fff' }}
+                    />
+                  )}
                 </Box>
               </AccordionSummary>
               <AccordionDetails sx={{ bgcolor: '#0f1419' }}>
@@ -367,6 +376,49 @@ function SubmissionDetail({ user, onLogout }) {
                       </Card>
                     )}
 
+                    {/* Capsule Rules Compliance */}
+                    {file.compliance && (
+                      <Card sx={{ mb: 2, bgcolor: '#1a1f2e' }}>
+                        <CardContent>
+                          <Typography variant="subtitle2" sx={{ color: '#1d9bf0', mb: 1 }}>
+                            Capsule Rules ({file.compliance.ruleset.name})
+                          </Typography>
+                          {file.compliance.compliant ? (
+                            <Typography variant="body2" sx={{ color: '#3fb950' }}>
+                              All characters comply with the ruleset.
+                            </Typography>
+                          ) : (
+                            <Box sx={{ display: 'flex', flexDirection: 'column', gap: 1.5 }}>
+                              {file.compliance.characters.filter(c => c.violations.length > 0).map((c, idx) => (
+                                <Box key={idx}>
+                                  <Typography variant="body2" sx={{ color: '#e7e9ea', fontWeight: 'bold' }}>
+                                    {c.teamName} · {c.characterName}
+                                    <Typography component="span" variant="caption" sx={{ color: '#8b98a5', ml: 1 }}>
+                                      {c.totalCost} pts
+                                    </Typography>
+                                  </Typography>
+                                  <Box component="ul" sx={{ mt: 0.5, mb: 0, pl: 2 }}>
+                                    {c.violations.map((v, vIdx) => (
+                                      <li key={vIdx}>
+                                        <Typography variant="body2" sx={{ color: '#d29922' }}>
+                                          {v.message}
+                                          {v.capsules.length > 0 && (
+                                            <Typography component="span" variant="body2" sx={{ color: '#8b98a5' }}>
+                                              {' '}({v.capsules.join(', ')})
+                                            </Typography>
+                                          )}
+                                        </Typography>
+                                      </li>
+                                    ))}
+                                  </Box>
+                                </Box>
+                              ))}
+                            </Box>
+                          )}
+                        </CardContent>
+                      </Card>
+                    )}
+
                     {/* JSON Preview */}
                     {file.content && (
                       <>
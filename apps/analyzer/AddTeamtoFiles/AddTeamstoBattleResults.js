@@ -1,25 +1,36 @@
 const fs = require('fs');
 const path = require('path');
+const { loadTeamRegistry } = require('../scripts/teamRegistry');
 
 const folderPath = 'D:/DBZL/SZLeague/GitHub/SZMatchBuilder/BattleResultFiles';
-const teamsToAdd = ["Tiny Terrors", "Malevolant Souls"];
+const teamNames = ["Tiny Terrors", "Malevolent Souls"];
 
-fs.readdirSync(folderPath).forEach(file => {
-  if (file.endsWith('.json')) {
-    const filePath = path.join(folderPath, file);
-    const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+loadTeamRegistry().then(registry => {
+  // Write canonical names from referencedata/teams.json; stop on names it doesn't know
+  const unknown = teamNames.filter(n => !registry.resolve(n));
+  if (unknown.length) {
+    console.error(`Unknown team name(s): ${unknown.join(', ')}`);
+    process.exit(1);
+  }
+  const teamsToAdd = teamNames.map(registry.canonicalName);
 
-    // Set TeamBattleResults.teams
-    if (data.TeamBattleResults) {
-      data.TeamBattleResults.teams = [...teamsToAdd];
-    } else {
-      console.warn(`No TeamBattleResults found in ${file}`);
-    }
+  fs.readdirSync(folderPath).forEach(file => {
+    if (file.endsWith('.json')) {
+      const filePath = path.join(folderPath, file);
+      const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
 
-    // Set top-level teams
-    data.teams = [...teamsToAdd];
+      // Set TeamBattleResults.teams
+      if (data.TeamBattleResults) {
+        data.TeamBattleResults.teams = [...teamsToAdd];
+      } else {
+        console.warn(`No TeamBattleResults found in ${file}`);
+      }
 
-    fs.writeFileSync(filePath, JSON.stringify(data, null, 2), 'utf8');
-    console.log(`Updated: ${file}`);
-  }
-});
\ No newline at end of file
+      // Set top-level teams
+      data.teams = [...teamsToAdd];
+
+      fs.writeFileSync(filePath, JSON.stringify(data, null, 2), 'utf8');
+      console.log(`Updated: ${file}`);
+    }
+  });
+});
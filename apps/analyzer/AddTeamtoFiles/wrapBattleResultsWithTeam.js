@@ -1,6 +1,7 @@
 #!/usr/bin/env node
 const fs = require('fs');
 const path = require('path');
+const { loadTeamRegistry } = require('../scripts/teamRegistry');
 
 function usage() {
   console.log('Usage: node wrapBattleResultsWithTeam.js [<inputPath>] [--teams="Team1,Team2"] [--inplace]');
@@ -55,7 +56,7 @@ function processFile(filePath, teams, inplace) {
   }
 }
 
-function main() {
+async function main() {
   const argv = process.argv.slice(2);
 
   // default input folder: this script's directory (AddTeamtoFiles)
@@ -65,7 +66,16 @@ function main() {
   const inputPath = inputPathArg ? inputPathArg : defaultFolder;
 
   const teamsArg = argv.find(a => a.startsWith('--teams='));
-  const teams = teamsArg ? teamsArg.split('=')[1].split(',').map(s => s.trim()) : ['Sentai','Malevolant Souls'];
+  const names = teamsArg ? teamsArg.split('=')[1].split(',').map(s => s.trim()) : ['Sentai Squad', 'Malevolent Souls'];
+
+  // Write canonical names from referencedata/teams.json; aliases are accepted, typos are not
+  const registry = await loadTeamRegistry();
+  const unknown = names.filter(n => !registry.resolve(n));
+  if (unknown.length) {
+    console.error(`Unknown team name(s): ${unknown.join(', ')}. Known teams: ${registry.teams.map(t => t.name).join(', ')}`);
+    process.exit(4);
+  }
+  const teams = names.map(registry.canonicalName);
 
   const inplace = argv.includes('--inplace');
   const stat = fs.existsSync(inputPath) && fs.statSync(inputPath);
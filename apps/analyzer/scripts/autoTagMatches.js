@@ -6,6 +6,7 @@
 const fs = require('fs');
 const path = require('path');
 const tagConfig = require('./tagConfig');
+const { loadTeamRegistry } = require('./teamRegistry');
 
 // --- Encoding/BOM Fix Helpers ---
 function detectAndFixEncoding(filePath) {
@@ -66,14 +67,15 @@ function getTeamFolders() {
   return tagConfig.team.allowed;
 }
 
-function getTeamsFromContent(content, folderTeam) {
+function getTeamsFromContent(content, folderTeam, registry) {
   // Primary: read teams from TeamBattleResults.teams array
+  // Aliases ("Master and Student", "The Z-Fighters") are tagged with the canonical name
   if (content.TeamBattleResults && Array.isArray(content.TeamBattleResults.teams)) {
     const teams = content.TeamBattleResults.teams.filter(t => t && t.trim() !== '');
-    if (teams.length > 0) return teams;
+    if (teams.length > 0) return teams.map(registry.canonicalName);
   }
   // Fallback: use the folder name as a single-team array
-  return folderTeam ? [folderTeam] : [];
+  return folderTeam ? [registry.canonicalName(folderTeam)] : [];
 }
 
 function getMatchTypeFromCategory(categoryFolder) {
@@ -165,7 +167,7 @@ function updateTagsInFile(filePath, content, tags) {
 }
 
 
-function processMatchFile(filePath, folderTeam, matchType) {
+function processMatchFile(filePath, folderTeam, matchType, registry) {
   const filename = path.basename(filePath);
   // Clean and parse JSON, fixing encoding if needed
   const content = detectAndFixEncoding(filePath);
@@ -174,11 +176,15 @@ function processMatchFile(filePath, folderTeam, matchType) {
     return;
   }
   const tags = {};
-  tags.team = getTeamsFromContent(content, folderTeam);
+  tags.team = getTeamsFromContent(content, folderTeam, registry);
   tags.season = tagConfig.currentSeason;
   tags.matchType = matchType;
   tags.difficulty = getDifficultyFromContent(content);
   tags.matchSize = getMatchSizeFromContent(content);
+  // The match date is entered by hand (or by the submit flow), so keep it when re-tagging
+  if (content.tags && tagConfig.date.pattern.test(content.tags.date || '')) tags.date = content.tags.date;
+  // A hand-set game patch is kept; otherwise the patch is worked out from the date when the data is read
+  if (content.tags && tagConfig.patch.allowed.includes(content.tags.patch)) tags.patch = content.tags.patch;
 
   // Validate scalar tags against allowed values
   for (const key of ['season', 'matchType', 'difficulty', 'matchSize']) {
@@ -195,25 +201,30 @@ function processMatchFile(filePath, folderTeam, matchType) {
   console.log(`Tagged: ${filePath}`);
 }
 
-function walkAndProcess(dir, matchType) {
+function walkAndProcess(dir, matchType, registry) {
   const entries = fs.readdirSync(dir, { withFileTypes: true });
   for (const entry of entries) {
     const full = path.join(dir, entry.name);
     if (entry.isDirectory()) {
-      walkAndProcess(full, matchType);
+      walkAndProcess(full, matchType, registry);
     } else if (entry.isFile() && entry.name.endsWith('.json')) {
-      processMatchFile(full, null, matchType);
+      processMatchFile(full, null, matchType, registry);
     }
   }
 }
 
-function processAllMatches() {
+async function processAllMatches() {
+  const registry = await loadTeamRegistry();
   for (const [category, matchType] of Object.entries(CATEGORY_FOLDERS)) {
     const categoryDir = path.join(BR_DATA_ROOT, category);
     if (!fs.existsSync(categoryDir)) continue;
-    walkAndProcess(categoryDir, matchType);
+    walkAndProcess(categoryDir, matchType, registry);
   }
 }
 
-processAllMatches();
-console.log('Auto-tagging complete.');
+processAllMatches()
+  .then(() => console.log('Auto-tagging complete.'))
+  .catch((err) => {
+    console.error('Auto-tagging failed:', err);
+    process.exit(1);
+  });
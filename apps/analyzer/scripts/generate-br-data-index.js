@@ -0,0 +1,240 @@
+// Generates public/br-data-index.json, a compact per-match index of every BR_Data file, and
+// public/br-data-battles/, the trimmed battle results sharded per BR_Data folder
+// The aggregated, tables, teams and meta views run off these instead of fetching each battle
+// file; the app loads the index once and only the shards of the folders it selects. The full
+// file is only fetched when a single match is opened.
+//
+// Each index entry is keyed by the file's BR_Data relative path and holds:
+//   tags, teams, map, winner, matchSize - match summary (team names resolved through the registry)
+//   date                                - day the match was played (YYYY-MM-DD) from the `date` tag, or
+//                                         null when the file has none; the rating engine replays matches
+//                                         by it and leaves undated ones unrated
+//   patch                               - game patch the match was played on, from matchPatch(tags)
+//                                         (src/utils/gamePatches.js); null for undated, untagged files
+//   characters                          - one row per character with its key stats
+//   shard                               - br-data-battles/<shard>.json, which maps the same path to
+//                                         the battle result trimmed to the fields the aggregated
+//                                         views read, in the TeamBattleResults shape they expect
+//
+// Usage: node scripts/generate-br-data-index.js
+
+const fs = require('fs');
+const path = require('path');
+const { pathToFileURL } = require('url');
+const { loadTeamRegistry } = require('./teamRegistry');
+
+const BR_DATA_ROOT = path.resolve(__dirname, '../BR_Data');
+const OUTPUT_FILE = path.resolve(__dirname, '../public/br-data-index.json');
+const SHARD_DIR = path.resolve(__dirname, '../public/br-data-battles');
+const PATCHES_MODULE = path.resolve(__dirname, '../src/utils/gamePatches.js');
+const INDEX_VERSION = 2;
+
+// battleCount fields read by extractStats / formStatsCalculator
+const BATTLE_COUNT_FIELDS = ['givenDamage', 'takenDamage', 'battleTime', 'killCount', 'maxComboNum', 'maxComboDamage', 'dragonDashMileage', 'battleNumCount', 'runBlastCount'];
+// Form snapshots (characterIdRecord) only need attackHitCount for speed impact counts on older
+// files; characterRecord keeps all of it plus useBlastGroupCount for the action breakdown
+const SPEED_IMPACT_ACTIONS = /actSPIMPO|actRI/;
+
+function readJson(filePath) {
+  try {
+    const buf = fs.readFileSync(filePath);
+    // Strip BOM variants
+    if (buf[0] === 0xFF && buf[1] === 0xFE) return JSON.parse(buf.toString('utf16le').replace(/^\uFEFF/, ''));
+    if (buf[0] === 0xEF && buf[1] === 0xBB && buf[2] === 0xBF) return JSON.parse(buf.toString('utf8').replace(/^\uFEFF/, ''));
+    return JSON.parse(buf.toString('utf8'));
+  } catch {
+    return null;
+  }
+}
+
+// The same battleResult locations the analyzer accepts
+function findBattleResult(tbr) {
+  if (!tbr) return null;
+  if (tbr.battleResult) return tbr.battleResult;
+  if (tbr.BattleResults) return tbr.BattleResults;
+  if (tbr.characterRecord) return tbr;
+  return null;
+}
+
+function pick(obj, fields) {
+  const out = {};
+  for (const field of fields) {
+    if (obj[field] !== undefined) out[field] = obj[field];
+  }
+  return out;
+}
+
+// '(Key="actRSHA1")' -> 'actRSHA1'; the analyzer's action taxonomy reads either form
+function unwrapKeys(counts) {
+  return Object.fromEntries(Object.entries(counts).map(([key, value]) => [key.replace(/^\(Key="(.*)"\)$/, '$1'), value]));
+}
+
+// A characterRecord entry or characterIdRecord snapshot, keeping only what the views read
+function trimCharacter(char, { allActions = false } = {}) {
+  if (!char || typeof char !== 'object') return char;
+  const play = char.battlePlayCharacter || {};
+  const count = char.battleCount || {};
+  const trimmed = {
+    battlePlayCharacter: {
+      ...pick(play, ['character', 'originalCharacter', 'hPGaugeValue', 'hPGaugeValueMax']),
+      equipItem: (play.equipItem || []).map(item => ({ key: item && item.key })),
+    },
+    battleCount: pick(count, BATTLE_COUNT_FIELDS),
+  };
+  if (allActions) {
+    if (count.attackHitCount) trimmed.battleCount.attackHitCount = unwrapKeys(count.attackHitCount);
+    if (count.useBlastGroupCount) trimmed.battleCount.useBlastGroupCount = unwrapKeys(count.useBlastGroupCount);
+  } else {
+    const speedImpacts = Object.entries(count.attackHitCount || {}).filter(([key]) => SPEED_IMPACT_ACTIONS.test(key));
+    if (speedImpacts.length) trimmed.battleCount.attackHitCount = Object.fromEntries(speedImpacts);
+  }
+  if (char.additionalCounts !== undefined) trimmed.additionalCounts = char.additionalCounts;
+  if (char.formChangeHistory !== undefined) trimmed.formChangeHistory = char.formChangeHistory;
+  if (char.originalCharacterId !== undefined) trimmed.originalCharacterId = char.originalCharacterId;
+  return trimmed;
+}
+
+const mapValues = (obj, fn) => (obj && typeof obj === 'object'
+  ? Object.fromEntries(Object.entries(obj).map(([k, v]) => [k, fn(v)]))
+  : obj);
+
+function battleSeconds(time) {
+  const m = typeof time === 'string' && time.match(/(\d{2}):(\d{2}):(\d{2})\.(\d+)/);
+  if (!m) return 0;
+  return Number(m[1]) * 3600 + Number(m[2]) * 60 + Number(m[3]) + Number(`0.${m[4]}`);
+}
+
+// Side and position of a characterRecord key: 1P / 2P leads are slot 0, team members follow
+function slotOf(key) {
+  const member = key.match(/(Allies|Enemy)TeamMember(\d+)/);
+  if (member) return { side: member[1] === 'Allies' ? 1 : 2, slot: Number(member[2]) };
+  if (key.includes('１Ｐ')) return { side: 1, slot: 0 };
+  if (key.includes('２Ｐ')) return { side: 2, slot: 0 };
+  return null;
+}
+
+function summarizeCharacters(characterRecord) {
+  return Object.entries(characterRecord || {})
+    .map(([key, char]) => {
+      const at = slotOf(key);
+      const play = (char && char.battlePlayCharacter) || {};
+      const count = (char && char.battleCount) || {};
+      const id = (play.originalCharacter && play.originalCharacter.key) || (play.character && play.character.key);
+      if (!at || !id || id === 'None') return null;
+      return {
+        side: at.side,
+        slot: at.slot,
+        id,
+        forms: (char.formChangeHistory || []).map(f => f && f.key).filter(Boolean),
+        damageDone: count.givenDamage || 0,
+        damageTaken: count.takenDamage || 0,
+        battleTime: Math.round(battleSeconds(count.battleTime) * 100) / 100,
+        kills: count.killCount || 0,
+        hp: play.hPGaugeValue || 0,
+        hpMax: play.hPGaugeValueMax || 0,
+        capsules: (play.equipItem || []).map(i => i && i.key).filter(k => k && k.startsWith('00_0_')),
+      };
+    })
+    .filter(Boolean)
+    .sort((a, b) => a.side - b.side || a.slot - b.slot);
+}
+
+// Only the `date` tag is trusted; commit and file times say when a file was added, not played
+function matchDate(data) {
+  const tagged = data && data.tags && data.tags.date;
+  return typeof tagged === 'string' && /^\d{4}-\d{2}-\d{2}/.test(tagged) ? tagged.slice(0, 10) : null;
+}
+
+function indexFile(data, registry) {
+  const tbr = data && data.TeamBattleResults;
+  const result = findBattleResult(tbr);
+  if (!result || !result.characterRecord) return null;
+
+  const teams = (Array.isArray(tbr.teams) ? tbr.teams : []).map(t => (t ? registry.canonicalName(t) : t));
+  const characters = summarizeCharacters(result.characterRecord);
+  const sideSize = side => characters.filter(c => c.side === side).length;
+  const outcome = result.battleWinLose;
+
+  return {
+    tags: data.tags || null,
+    date: null,
+    patch: null,
+    teams,
+    map: (result.originalMap && result.originalMap.key) || null,
+    winner: outcome === 'Win' ? teams[0] || null : outcome === 'Lose' ? teams[1] || null : null,
+    battleWinLose: outcome || null,
+    matchSize: (data.tags && data.tags.matchSize) || `${Math.max(sideSize(1), sideSize(2))}v${Math.max(sideSize(1), sideSize(2))}`,
+    characters,
+    battle: {
+      TeamBattleResults: {
+        teams,
+        battleResult: {
+          battleWinLose: outcome,
+          originalMap: result.originalMap,
+          characterRecord: mapValues(result.characterRecord, char => trimCharacter(char, { allActions: true })),
+          characterIdRecord: mapValues(result.characterIdRecord, char => trimCharacter(char)),
+          battleFinishCharacterId: result.battleFinishCharacterId,
+          battleFinishBlast: result.battleFinishBlast,
+        },
+      },
+    },
+  };
+}
+
+// 'Tests/Cold Kingdom' -> 'Tests-Cold-Kingdom'; files at the BR_Data root share one shard
+function shardName(folder) {
+  return folder.replace(/[^A-Za-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'BR_Data';
+}
+
+function walkDir(dir, base, registry, matchPatch, matches, shards) {
+  for (const entry of fs.readdirSync(dir, { withFileTypes: true }).sort((a, b) => a.name.localeCompare(b.name))) {
+    const full = path.join(dir, entry.name);
+    const rel = base ? `${base}/${entry.name}` : entry.name;
+    if (entry.isDirectory()) {
+      walkDir(full, rel, registry, matchPatch, matches, shards);
+    } else if (entry.isFile() && entry.name.endsWith('.json')) {
+      const data = readJson(full);
+      const summary = indexFile(data, registry);
+      if (summary) {
+        const { battle, ...rest } = summary;
+        const date = matchDate(data);
+        const shard = shardName(base);
+        matches[rel] = { ...rest, date, patch: matchPatch({ ...data.tags, date }), shard };
+        shards[shard] = shards[shard] || {};
+        shards[shard][rel] = battle;
+      } else {
+        console.warn(`⚠️  Not indexed (no battle result): ${rel}`);
+      }
+    }
+  }
+}
+
+async function main() {
+  const registry = await loadTeamRegistry();
+  const { matchPatch } = await import(pathToFileURL(PATCHES_MODULE).href);
+  const matches = {};
+  const shards = {};
+  if (fs.existsSync(BR_DATA_ROOT)) walkDir(BR_DATA_ROOT, '', registry, matchPatch, matches, shards);
+
+  fs.mkdirSync(path.dirname(OUTPUT_FILE), { recursive: true });
+  // Minified: these are fetched by the browser and only read by code
+  fs.writeFileSync(OUTPUT_FILE, JSON.stringify({ version: INDEX_VERSION, matches }), 'utf8');
+  const kb = Math.round(fs.statSync(OUTPUT_FILE).size / 1024);
+  console.log(`✅ br-data-index.json written with ${Object.keys(matches).length} matches (${kb} KB) → ${OUTPUT_FILE}`);
+
+  // Start from an empty folder so shards of removed or renamed folders don't linger
+  fs.rmSync(SHARD_DIR, { recursive: true, force: true });
+  fs.mkdirSync(SHARD_DIR, { recursive: true });
+  let largest = 0;
+  for (const [shard, battles] of Object.entries(shards)) {
+    const file = path.join(SHARD_DIR, `${shard}.json`);
+    fs.writeFileSync(file, JSON.stringify(battles), 'utf8');
+    largest = Math.max(largest, fs.statSync(file).size);
+  }
+  console.log(`✅ br-data-battles/ written with ${Object.keys(shards).length} shards (largest ${Math.round(largest / 1024)} KB) → ${SHARD_DIR}`);
+}
+
+main().catch((err) => {
+  console.error('❌ Failed to generate br-data-index.json:', err);
+  process.exit(1);
+});
@@ -1,13 +1,17 @@
 // Generates public/br-data-tags.json
 // Maps each BR_Data relative file path → its tags object (or null if untagged).
+// `patch` is the resolved matchPatch() of the tags (src/utils/gamePatches.js), so the Patch
+// filter follows gamePatches.json without the BR_Data files storing it.
 // Usage: node scripts/generate-br-data-tags.js
 
 const fs = require('fs');
 const path = require('path');
+const { pathToFileURL } = require('url');
 
 const BR_DATA_ROOT = path.resolve(__dirname, '../BR_Data');
 const PUBLIC_DIR = path.resolve(__dirname, '../public');
 const OUTPUT_FILE = path.join(PUBLIC_DIR, 'br-data-tags.json');
+const PATCHES_MODULE = path.resolve(__dirname, '../src/utils/gamePatches.js');
 
 function readJson(filePath) {
   try {
@@ -21,23 +25,37 @@ function readJson(filePath) {
   }
 }
 
-function walkDir(dir, base, result) {
+function walkDir(dir, base, matchPatch, result) {
   const entries = fs.readdirSync(dir, { withFileTypes: true });
   for (const entry of entries) {
     const full = path.join(dir, entry.name);
     const rel = path.join(base, entry.name).replace(/\\/g, '/');
     if (entry.isDirectory()) {
-      walkDir(full, rel, result);
+      walkDir(full, rel, matchPatch, result);
     } else if (entry.isFile() && entry.name.endsWith('.json')) {
       const data = readJson(full);
-      result[rel] = (data && data.tags && typeof data.tags === 'object') ? data.tags : null;
+      if (!data || !data.tags || typeof data.tags !== 'object') {
+        result[rel] = null;
+        continue;
+      }
+      const { patch: _, ...tags } = data.tags;
+      const patch = matchPatch(data.tags);
+      result[rel] = patch ? { ...tags, patch } : tags;
     }
   }
 }
 
-const result = {};
-walkDir(BR_DATA_ROOT, '', result);
+async function main() {
+  const { matchPatch } = await import(pathToFileURL(PATCHES_MODULE).href);
+  const result = {};
+  walkDir(BR_DATA_ROOT, '', matchPatch, result);
 
-if (!fs.existsSync(PUBLIC_DIR)) fs.mkdirSync(PUBLIC_DIR, { recursive: true });
-fs.writeFileSync(OUTPUT_FILE, JSON.stringify(result, null, 2), 'utf8');
-console.log(`✅ br-data-tags.json written with ${Object.keys(result).length} entries → ${OUTPUT_FILE}`);
+  if (!fs.existsSync(PUBLIC_DIR)) fs.mkdirSync(PUBLIC_DIR, { recursive: true });
+  fs.writeFileSync(OUTPUT_FILE, JSON.stringify(result, null, 2), 'utf8');
+  console.log(`✅ br-data-tags.json written with ${Object.keys(result).length} entries → ${OUTPUT_FILE}`);
+}
+
+main().catch((err) => {
+  console.error('❌ Failed to generate br-data-tags.json:', err);
+  process.exit(1);
+});
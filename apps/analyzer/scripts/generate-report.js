@@ -0,0 +1,186 @@
+// Builds an analyzer report from BR_Data without opening the app
+// Reads every battle file under BR_Data, keeps those matching the tag filters and aggregates them
+// with the same code as the Aggregated and Meta views (src/utils/analysisReport.js).
+//
+// Output formats:
+//   json - characters, capsules and AI strategies as flat rows, plus the filters and match count
+//   csv  - one table (--table characters|capsules|aiStrategies, default characters)
+//   xlsx - the workbook the app's "Export to Excel" button downloads (src/utils/excelExport.js)
+//
+// Tag filters use the tag dimensions of the app's filter bar; comma-separate values to match
+// any of them. --team takes a team's display name or any of its aliases (referencedata/teams.json);
+// the match's team tags are resolved the same way before matching. A match's patch is
+// matchPatch() of its tags (src/utils/gamePatches.js), so undated matches without a hand-set
+// `patch` tag match no --patch filter.
+//
+// Usage: node scripts/generate-report.js [--season OS0] [--patch Launch] [--team "Budokai"]
+//          [--matchType Test,Event] [--difficulty Ultra] [--matchSize 4v4]
+//          [--format json|csv|xlsx] [--table characters] [--out report.json]
+// json and csv are written to stdout unless --out is given; xlsx needs --out or writes
+// DBSZ_Analysis_<date>.xlsx to the current directory.
+
+const fs = require('fs');
+const path = require('path');
+const { pathToFileURL } = require('url');
+const { loadTeamRegistry } = require('./teamRegistry');
+
+const ANALYZER_ROOT = path.resolve(__dirname, '..');
+const BR_DATA_ROOT = path.join(ANALYZER_ROOT, 'BR_Data');
+const REFERENCE_DATA = path.resolve(ANALYZER_ROOT, '../../referencedata');
+const REPORT_MODULE = path.join(ANALYZER_ROOT, 'src/utils/analysisReport.js');
+const PATCHES_MODULE = path.join(ANALYZER_ROOT, 'src/utils/gamePatches.js');
+
+const TAG_DIMENSIONS = ['season', 'patch', 'team', 'matchType', 'difficulty', 'matchSize'];
+const FORMATS = ['json', 'csv', 'xlsx'];
+
+function usage(message) {
+  if (message) console.error(`❌ ${message}`);
+  console.error('Usage: node scripts/generate-report.js [--<tag> value[,value]] [--format json|csv|xlsx] [--table name] [--out file]');
+  console.error(`Tags: ${TAG_DIMENSIONS.join(', ')}`);
+  process.exit(1);
+}
+
+function parseArgs(argv) {
+  const options = { filters: {}, format: 'json', table: 'characters', out: null };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--help' || arg === '-h') usage();
+    if (!arg.startsWith('--')) usage(`Unexpected argument "${arg}"`);
+    const [name, inline] = arg.slice(2).split(/=(.*)/s);
+    const value = inline !== undefined ? inline : argv[++i];
+    if (value === undefined || value === '') usage(`Missing value for --${name}`);
+
+    if (TAG_DIMENSIONS.includes(name)) {
+      options.filters[name] = value.split(',').map(v => v.trim()).filter(Boolean);
+    } else if (name === 'format') {
+      if (!FORMATS.includes(value)) usage(`Unknown format "${value}" (expected ${FORMATS.join(', ')})`);
+      options.format = value;
+    } else if (name === 'table' || name === 'out') {
+      options[name] = value;
+    } else {
+      usage(`Unknown option --${name}`);
+    }
+  }
+  return options;
+}
+
+function readJson(filePath) {
+  try {
+    const buf = fs.readFileSync(filePath);
+    // Strip BOM variants
+    if (buf[0] === 0xFF && buf[1] === 0xFE) return JSON.parse(buf.toString('utf16le').replace(/^\uFEFF/, ''));
+    if (buf[0] === 0xEF && buf[1] === 0xBB && buf[2] === 0xBF) return JSON.parse(buf.toString('utf8').replace(/^\uFEFF/, ''));
+    return JSON.parse(buf.toString('utf8'));
+  } catch {
+    return null;
+  }
+}
+
+// BR_Data files in the { name, content, tags } shape the aggregation expects
+function loadBattleFiles(dir, base, matchPatch, files, skipped) {
+  const entries = fs.readdirSync(dir, { withFileTypes: true });
+  for (const entry of entries) {
+    const full = path.join(dir, entry.name);
+    const rel = path.join(base, entry.name).replace(/\\/g, '/');
+    if (entry.isDirectory()) {
+      loadBattleFiles(full, rel, matchPatch, files, skipped);
+    } else if (entry.isFile() && entry.name.endsWith('.json')) {
+      const content = readJson(full);
+      if (!content) {
+        skipped.push(rel);
+        continue;
+      }
+      const tags = (content.tags && typeof content.tags === 'object') ? content.tags : {};
+      files.push({ name: rel, content, tags: { ...tags, patch: matchPatch(tags) } });
+    }
+  }
+}
+
+// Same sheets as the app's full Excel export; the table configs are JSX, so the workbook
+// builder is loaded through Vite's module loader rather than plain import()
+async function writeWorkbook(characters, outFile) {
+  const { createServer } = await import('vite');
+  // No config file: the app config's build hooks copy reference data, which a report shouldn't
+  const vite = await createServer({
+    root: ANALYZER_ROOT,
+    configFile: false,
+    logLevel: 'error',
+    appType: 'custom',
+    server: { middlewareMode: true, hmr: false, watch: null },
+    optimizeDeps: { noDiscovery: true, include: [] }
+  });
+  try {
+    const { buildAnalysisWorkbook } = await vite.ssrLoadModule('/src/utils/excelExport.js');
+    const tables = await vite.ssrLoadModule('/src/components/TableConfigs.jsx');
+    const workbook = await buildAnalysisWorkbook(
+      tables.prepareCharacterAveragesData(characters),
+      tables.prepareMatchDetailsData(characters),
+      {
+        finisherData: tables.prepareFinishersData(characters),
+        finishRateData: tables.prepareFinishRatesData(characters)
+      }
+    );
+    await workbook.xlsx.writeFile(outFile);
+  } finally {
+    await vite.close();
+  }
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  const report = await import(pathToFileURL(REPORT_MODULE).href);
+  const { matchPatch } = await import(pathToFileURL(PATCHES_MODULE).href);
+  const registry = await loadTeamRegistry();
+  if (options.filters.team) {
+    const unknown = options.filters.team.filter(name => !registry.resolve(name));
+    if (unknown.length > 0) usage(`Unknown team ${unknown.map(name => `"${name}"`).join(', ')} (see referencedata/teams.json)`);
+    options.filters.team = options.filters.team.map(registry.canonicalName);
+  }
+  if (options.format === 'csv' && !report.REPORT_TABLES.includes(options.table)) {
+    usage(`Unknown table "${options.table}" (expected ${report.REPORT_TABLES.join(', ')})`);
+  }
+
+  const files = [];
+  const skipped = [];
+  if (fs.existsSync(BR_DATA_ROOT)) loadBattleFiles(BR_DATA_ROOT, '', matchPatch, files, skipped);
+  skipped.forEach(file => console.error(`⚠️  Skipped ${file}: not valid JSON (run npm run fix-json)`));
+
+  const selected = files.filter(file => report.matchesTagFilters(file.tags, options.filters));
+  if (selected.length === 0) usage('No matches found for these filters');
+
+  const referenceMaps = report.createReferenceMaps({
+    charactersCSV: fs.readFileSync(path.join(REFERENCE_DATA, 'characters.csv'), 'utf8'),
+    capsulesCSV: fs.readFileSync(path.join(REFERENCE_DATA, 'capsules.csv'), 'utf8'),
+    mapsCSV: fs.readFileSync(path.join(REFERENCE_DATA, 'maps.csv'), 'utf8')
+  });
+  const result = report.buildAnalysisReport(selected, referenceMaps);
+  console.error(`📊 ${result.matchCount} of ${files.length} matches, ${result.characters.length} characters`);
+
+  if (options.format === 'xlsx') {
+    const outFile = path.resolve(options.out || `DBSZ_Analysis_${new Date().toISOString().split('T')[0]}.xlsx`);
+    await writeWorkbook(result.characters, outFile);
+    console.error(`✅ Report written → ${outFile}`);
+    return;
+  }
+
+  const output = options.format === 'csv'
+    ? report.reportToCSV(result, options.table)
+    : JSON.stringify({
+      generatedAt: new Date().toISOString(),
+      filters: options.filters,
+      matchCount: result.matchCount,
+      ...Object.fromEntries(report.REPORT_TABLES.map(table => [table, report.reportRows(result, table)]))
+    }, null, 2) + '\n';
+
+  if (options.out) {
+    fs.writeFileSync(path.resolve(options.out), output, 'utf8');
+    console.error(`✅ Report written → ${path.resolve(options.out)}`);
+  } else {
+    process.stdout.write(output);
+  }
+}
+
+main().catch((err) => {
+  console.error('❌ Report generation failed:', err);
+  process.exit(1);
+});
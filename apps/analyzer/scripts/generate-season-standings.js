@@ -0,0 +1,276 @@
+// Generates apps/website/public/content/standings.json from Season battle results
+// Each BR_Data/Seasons file is one battle; battles between the same two teams in the same
+// week make up a series. Series scores give W/L/T, battle differential and head-to-head
+// tiebreakers per season phase, and any disagreement with the hand-entered season YAML is reported.
+//
+// Folder layout: BR_Data/Seasons/<Season name>/[Pre-Season|Playoffs/]Week <n>/<battle>.json
+// (a "Week <n>" / "W<n>" in the file name works too). The season folder name must match
+// the `season` field of the website's season YAML.
+//
+// Usage: node scripts/generate-season-standings.js
+
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const { loadTeamRegistry } = require('./teamRegistry');
+
+const SEASONS_ROOT = path.resolve(__dirname, '../BR_Data/Seasons');
+const WEBSITE_CONTENT = path.resolve(__dirname, '../../website/public/content');
+const OUTPUT_FILE = path.join(WEBSITE_CONTENT, 'standings.json');
+
+// Team names go through the registry so aliases in tags and season YAML line up;
+// set in main() once the registry has loaded
+let canonicalTeam = (name) => (name || '').trim();
+
+function readJson(filePath) {
+  try {
+    const buf = fs.readFileSync(filePath);
+    // Strip BOM variants
+    if (buf[0] === 0xFF && buf[1] === 0xFE) return JSON.parse(buf.toString('utf16le').replace(/^\uFEFF/, ''));
+    if (buf[0] === 0xEF && buf[1] === 0xBB && buf[2] === 0xBF) return JSON.parse(buf.toString('utf8').replace(/^\uFEFF/, ''));
+    return JSON.parse(buf.toString('utf8'));
+  } catch {
+    return null;
+  }
+}
+
+function phaseFromPath(segments) {
+  if (segments.some(s => /pre-?season/i.test(s))) return 'preseason';
+  if (segments.some(s => /playoff/i.test(s))) return 'playoffs';
+  return 'main_season';
+}
+
+function weekFromPath(segments) {
+  for (const s of segments) {
+    const m = s.match(/^week\s*(\d+)$/i) || s.match(/\b(?:week\s*|wk\s*|w)(\d+)\b/i);
+    if (m) return Number(m[1]);
+  }
+  return null;
+}
+
+// One battle from a Season file, or null when it can't be attributed to two teams
+function readBattle(filePath, relPath) {
+  const data = readJson(filePath);
+  const tbr = data && data.TeamBattleResults;
+  if (!tbr || !tbr.battleResult) return null;
+
+  // teams[0] is the 1P side, which battleWinLose is reported from
+  const teams = (Array.isArray(tbr.teams) && tbr.teams.length === 2 ? tbr.teams : (data.tags && data.tags.team) || []).map(canonicalTeam);
+  if (teams.length !== 2 || !teams[0] || !teams[1] || teams[0] === teams[1]) return null;
+
+  const segments = relPath.split('/');
+  const outcome = tbr.battleResult.battleWinLose;
+  return {
+    file: relPath,
+    season: segments[0],
+    seasonTag: (data.tags && data.tags.season) || null,
+    phase: phaseFromPath(segments.slice(1)),
+    week: weekFromPath(segments.slice(1)),
+    teams,
+    winner: outcome === 'Win' ? teams[0] : outcome === 'Lose' ? teams[1] : null,
+  };
+}
+
+function walkDir(dir, base, result) {
+  if (!fs.existsSync(dir)) return;
+  for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+    const full = path.join(dir, entry.name);
+    const rel = base ? `${base}/${entry.name}` : entry.name;
+    if (entry.isDirectory()) {
+      walkDir(full, rel, result);
+    } else if (entry.isFile() && entry.name.endsWith('.json')) {
+      const battle = readBattle(full, rel);
+      if (battle) result.push(battle);
+      else console.warn(`⚠️  Skipping ${rel}: no TeamBattleResults with two teams`);
+    }
+  }
+}
+
+// Group battles into series: same phase, same week, same pair of teams
+function buildSeries(battles) {
+  const series = new Map();
+  for (const b of battles) {
+    const [a, c] = [...b.teams].sort();
+    const key = `${b.week ?? ''}|${a}|${c}`;
+    if (!series.has(key)) series.set(key, { week: b.week, teams: [a, c], score: { [a]: 0, [c]: 0 }, draws: 0, files: [] });
+    const s = series.get(key);
+    if (b.winner) s.score[b.winner] += 1;
+    else s.draws += 1;
+    s.files.push(b.file);
+  }
+  return [...series.values()]
+    .map(s => {
+      const [a, c] = s.teams;
+      const winner = s.score[a] === s.score[c] ? null : (s.score[a] > s.score[c] ? a : c);
+      return { ...s, battles: s.files.length, winner, files: s.files.sort() };
+    })
+    .sort((x, y) => (x.week ?? Infinity) - (y.week ?? Infinity) || x.teams.join().localeCompare(y.teams.join()));
+}
+
+const winPct = r => (r.played ? (r.wins + r.ties / 2) / r.played : 0);
+
+// Head-to-head series points among a group of teams tied on win percentage
+function headToHead(group, series) {
+  const names = new Set(group.map(r => r.team));
+  const points = new Map(group.map(r => [r.team, 0]));
+  for (const s of series) {
+    if (!names.has(s.teams[0]) || !names.has(s.teams[1])) continue;
+    if (s.winner) points.set(s.winner, points.get(s.winner) + 1);
+    else s.teams.forEach(t => points.set(t, points.get(t) + 0.5));
+  }
+  return points;
+}
+
+function buildStandings(series) {
+  const records = new Map();
+  const record = team => {
+    if (!records.has(team)) records.set(team, { team, wins: 0, losses: 0, ties: 0, played: 0, battlesWon: 0, battlesLost: 0, pointDiff: 0 });
+    return records.get(team);
+  };
+  for (const s of series) {
+    s.teams.forEach((team, i) => {
+      const opponent = s.teams[1 - i];
+      const r = record(team);
+      r.played += 1;
+      if (!s.winner) r.ties += 1;
+      else if (s.winner === team) r.wins += 1;
+      else r.losses += 1;
+      r.battlesWon += s.score[team];
+      r.battlesLost += s.score[opponent];
+      r.pointDiff = r.battlesWon - r.battlesLost;
+    });
+  }
+
+  // Win% first; teams level on win% are split by head-to-head, then battle differential
+  const byPct = new Map();
+  for (const r of records.values()) {
+    const key = winPct(r).toFixed(6);
+    if (!byPct.has(key)) byPct.set(key, []);
+    byPct.get(key).push(r);
+  }
+  const standings = [];
+  [...byPct.entries()]
+    .sort(([a], [b]) => Number(b) - Number(a))
+    .forEach(([, group]) => {
+      const h2h = group.length > 1 ? headToHead(group, series) : null;
+      group
+        .map(r => ({ ...r, headToHead: h2h ? h2h.get(r.team) : 0 }))
+        .sort((a, b) => b.headToHead - a.headToHead || b.pointDiff - a.pointDiff || b.battlesWon - a.battlesWon || a.team.localeCompare(b.team))
+        .forEach(r => standings.push(r));
+    });
+  return standings.map((r, i) => ({ rank: i + 1, ...r }));
+}
+
+function loadSeasonContent() {
+  const files = [];
+  const seasonsDir = path.join(WEBSITE_CONTENT, 'seasons');
+  if (fs.existsSync(seasonsDir)) {
+    fs.readdirSync(seasonsDir).filter(f => f.endsWith('.yaml')).forEach(f => files.push(path.join(seasonsDir, f)));
+  }
+  const legacy = path.join(WEBSITE_CONTENT, 'season.yaml');
+  if (fs.existsSync(legacy)) files.push(legacy);
+
+  return files
+    .map(file => {
+      try {
+        return { file: path.relative(WEBSITE_CONTENT, file).replace(/\\/g, '/'), data: yaml.load(fs.readFileSync(file, 'utf8')) };
+      } catch (err) {
+        console.warn(`⚠️  Could not parse ${file}: ${err.message}`);
+        return null;
+      }
+    })
+    .filter(c => c && c.data && c.data.season);
+}
+
+// Compare generated results with a hand-maintained season YAML
+function findDiscrepancies(content, phases) {
+  const issues = [];
+  const flag = (phase, type, message) => issues.push({ file: content.file, phase, type, message });
+
+  const main = phases.main_season;
+  if (Array.isArray(content.data.standings) && main) {
+    for (const entry of content.data.standings) {
+      const team = canonicalTeam(entry.team);
+      const generated = main.standings.find(r => r.team === team);
+      if (!generated) {
+        flag('main_season', 'standings', `${entry.team}: listed in standings but has no Season battle results`);
+        continue;
+      }
+      for (const field of ['wins', 'losses', 'ties']) {
+        if ((entry[field] || 0) !== generated[field]) {
+          flag('main_season', 'standings', `${entry.team}: ${field} is ${entry[field] || 0} in YAML but ${generated[field]} from battle results`);
+        }
+      }
+    }
+  }
+
+  const schedules = { preseason: content.data.preseason_schedule, main_season: content.data.schedule };
+  for (const [phase, schedule] of Object.entries(schedules)) {
+    const results = (phases[phase] && phases[phase].results) || [];
+    for (const week of schedule || []) {
+      for (const m of week.matches || []) {
+        const home = canonicalTeam(m.home);
+        const away = canonicalTeam(m.away);
+        const label = `Week ${week.week} ${m.home} vs ${m.away}`;
+        const result = results.find(r => r.week === week.week && r.teams.includes(home) && r.teams.includes(away));
+        if (!result) {
+          if (m.status === 'completed' && phases[phase]) flag(phase, 'missing', `${label}: marked completed but has no battle results`);
+          continue;
+        }
+        const score = `${result.score[home]}-${result.score[away]}`;
+        if (m.status !== 'completed') flag(phase, 'status', `${label}: battle results exist (${score}) but the match is not marked completed`);
+        if (m.home_score != null && m.away_score != null && `${m.home_score}-${m.away_score}` !== score) {
+          flag(phase, 'score', `${label}: score is ${m.home_score}-${m.away_score} in YAML but ${score} from battle results`);
+        }
+        if (m.winner && canonicalTeam(m.winner) !== result.winner) {
+          flag(phase, 'winner', `${label}: winner is ${m.winner} in YAML but ${result.winner || 'a tie'} from battle results`);
+        }
+      }
+    }
+  }
+  return issues;
+}
+
+async function main() {
+  const registry = await loadTeamRegistry();
+  canonicalTeam = registry.canonicalName;
+
+  const battles = [];
+  walkDir(SEASONS_ROOT, '', battles);
+
+  const seasons = {};
+  for (const b of battles) {
+    if (!seasons[b.season]) seasons[b.season] = { seasonTag: b.seasonTag, battles: [] };
+    seasons[b.season].battles.push(b);
+  }
+
+  const content = loadSeasonContent();
+  const output = { source: 'apps/analyzer/BR_Data/Seasons', seasons: {} };
+  let discrepancyCount = 0;
+
+  for (const [name, { seasonTag, battles: seasonBattles }] of Object.entries(seasons).sort(([a], [b]) => a.localeCompare(b))) {
+    const phases = {};
+    for (const phase of ['preseason', 'main_season', 'playoffs']) {
+      const phaseBattles = seasonBattles.filter(b => b.phase === phase);
+      if (!phaseBattles.length) continue;
+      const results = buildSeries(phaseBattles);
+      phases[phase] = { standings: buildStandings(results), results };
+    }
+
+    const discrepancies = content
+      .filter(c => c.data.season === name)
+      .flatMap(c => findDiscrepancies(c, phases));
+    discrepancies.forEach(d => console.warn(`⚠️  ${name} (${d.file}): ${d.message}`));
+    discrepancyCount += discrepancies.length;
+
+    output.seasons[name] = { seasonTag, phases, discrepancies };
+  }
+
+  fs.writeFileSync(OUTPUT_FILE, JSON.stringify(output, null, 2) + '\n', 'utf8');
+  console.log(`✅ standings.json written for ${Object.keys(output.seasons).length} season(s) from ${battles.length} battle(s), ${discrepancyCount} discrepancy(ies) → ${OUTPUT_FILE}`);
+}
+
+main().catch((err) => {
+  console.error('❌ Failed to generate standings:', err);
+  process.exit(1);
+});
@@ -6,6 +6,11 @@
 // ============================================================
 const CURRENT_SEASON = 'OS0';
 
+const { teamsData } = require('./teamRegistry');
+// Game patches and their release dates — append new patches in gamePatches.json.
+// Which patch a match was played on is decided by matchPatch in src/utils/gamePatches.js
+const { patches: GAME_PATCHES } = require('./gamePatches.json');
+
 const tagConfig = {
   // The current season applied to newly tagged files
   currentSeason: CURRENT_SEASON,
@@ -13,20 +18,8 @@ const tagConfig = {
   team: {
     label: 'Team',
     type: 'array', // Each file stores both teams as an array
-    allowed: [
-      'Budokai',
-      'Cinema',
-      'Cold Kingdom',
-      'Creations',
-      'Demons',
-      'Malevolent Souls',
-      'Master and Student',
-      'Primal Instincts',
-      'Sentai',
-      'Time Patrol',
-      'Tiny Terrors',
-      'Z-Fighters'
-    ]
+    // Canonical team names from referencedata/teams.json; aliases are resolved before tagging
+    allowed: teamsData.teams.map(t => t.name)
   },
   season: {
     label: 'League Season',
@@ -36,6 +29,11 @@ const tagConfig = {
       // Add new seasons here as they begin
     ]
   },
+  patch: {
+    label: 'Game Patch',
+    type: 'string', // Optional override; without it the patch is worked out from the match date when read
+    allowed: GAME_PATCHES.map(p => p.patch)
+  },
   matchType: {
     label: 'Match Type',
     type: 'string',
@@ -50,6 +48,11 @@ const tagConfig = {
     label: 'Match Size',
     type: 'string',
     allowed: ['1v1', '2v2', '3v3', '4v4', '5v5']
+  },
+  date: {
+    label: 'Match Date',
+    type: 'date', // Optional YYYY-MM-DD; files without it are left undated
+    pattern: /^\d{4}-\d{2}-\d{2}$/
   }
 };
 
@@ -0,0 +1,20 @@
+// Loads the canonical team registry (referencedata/teams.json) for the CommonJS scripts.
+// The resolver lives in packages/team-registry, which is an ES module, so it is loaded with import().
+
+const path = require('path');
+const { pathToFileURL } = require('url');
+
+const TEAMS_FILE = path.resolve(__dirname, '../../../referencedata/teams.json');
+const REGISTRY_MODULE = path.resolve(__dirname, '../../../packages/team-registry/src/index.js');
+
+const teamsData = require(TEAMS_FILE);
+
+/**
+ * @returns {Promise<{teams: Array, resolve: Function, canonicalName: Function, isAlias: Function, get: Function}>}
+ */
+async function loadTeamRegistry() {
+  const { createTeamRegistry } = await import(pathToFileURL(REGISTRY_MODULE).href);
+  return createTeamRegistry(teamsData);
+}
+
+module.exports = { TEAMS_FILE, teamsData, loadTeamRegistry };
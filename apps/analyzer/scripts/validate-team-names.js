@@ -0,0 +1,159 @@
+// Reports team names that don't match the canonical team registry (referencedata/teams.json)
+// Checks BR_Data tags and TeamBattleResults.teams, the website's team and season content,
+// capsule-rules.yaml `params.teams` and the calculator's team lists. Each name is either
+//   - canonical: the registry display name (not reported)
+//   - alias:     resolves to a team but is spelled differently ("Master and Student")
+//   - unknown:   matches no team or alias (typos, retired teams)
+//
+// Usage: node scripts/validate-team-names.js [--strict]
+// Exits with 1 when unknown names are found, or when aliases are found with --strict.
+
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const { loadTeamRegistry } = require('./teamRegistry');
+
+const REPO_ROOT = path.resolve(__dirname, '../../..');
+const BR_DATA_ROOT = path.resolve(__dirname, '../BR_Data');
+const WEBSITE_CONTENT = path.join(REPO_ROOT, 'apps/website/public/content');
+const CAPSULE_RULES = path.join(REPO_ROOT, 'referencedata/capsule-rules.yaml');
+const CALCULATOR_TEAMS = path.join(REPO_ROOT, 'apps/calculator/public/data/teams.json');
+
+// Calculator groups that aren't league teams
+const NON_TEAM_GROUPS = ['Free Agents'];
+
+// Keys in season YAML whose string values are team names; winner may also be a draw
+const TEAM_KEYS = /^(team\d?|home|away|winner|loser)$/;
+const NOT_A_TEAM = /^(draw|tie|tbd|bye)$/i;
+
+function readJson(filePath) {
+  try {
+    const buf = fs.readFileSync(filePath);
+    // Strip BOM variants
+    if (buf[0] === 0xFF && buf[1] === 0xFE) return JSON.parse(buf.toString('utf16le').replace(/^\uFEFF/, ''));
+    if (buf[0] === 0xEF && buf[1] === 0xBB && buf[2] === 0xBF) return JSON.parse(buf.toString('utf8').replace(/^\uFEFF/, ''));
+    return JSON.parse(buf.toString('utf8'));
+  } catch {
+    return null;
+  }
+}
+
+function readYaml(filePath) {
+  try {
+    return yaml.load(fs.readFileSync(filePath, 'utf8'));
+  } catch (err) {
+    console.warn(`⚠️  Could not parse ${path.relative(REPO_ROOT, filePath)}: ${err.message}`);
+    return null;
+  }
+}
+
+const rel = filePath => path.relative(REPO_ROOT, filePath).replace(/\\/g, '/');
+
+function collectBrData(dir, add) {
+  if (!fs.existsSync(dir)) return;
+  for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+    const full = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      collectBrData(full, add);
+    } else if (entry.isFile() && entry.name.endsWith('.json')) {
+      const data = readJson(full);
+      if (!data) continue;
+      (Array.isArray(data.tags && data.tags.team) ? data.tags.team : []).forEach(n => add(n, rel(full), 'tags.team'));
+      const tbr = data.TeamBattleResults;
+      (Array.isArray(tbr && tbr.teams) ? tbr.teams : []).forEach(n => add(n, rel(full), 'TeamBattleResults.teams'));
+    }
+  }
+}
+
+// Team names anywhere in a season document: kais[].teams[].team, schedule home/away/winner,
+// standings[].team, playoff brackets
+function collectSeasonNames(node, file, add, keyPath = '') {
+  if (Array.isArray(node)) {
+    node.forEach((item, i) => collectSeasonNames(item, file, add, `${keyPath}[${i}]`));
+  } else if (node && typeof node === 'object') {
+    for (const [key, value] of Object.entries(node)) {
+      const at = keyPath ? `${keyPath}.${key}` : key;
+      if (typeof value === 'string' && TEAM_KEYS.test(key)) {
+        if (value.trim() && !NOT_A_TEAM.test(value.trim())) add(value, file, at);
+      } else {
+        collectSeasonNames(value, file, add, at);
+      }
+    }
+  }
+}
+
+function collectWebsite(add) {
+  const teamsFile = path.join(WEBSITE_CONTENT, 'teams.yaml');
+  const teamsDoc = fs.existsSync(teamsFile) ? readYaml(teamsFile) : null;
+  ((teamsDoc && teamsDoc.teams) || []).forEach((t, i) => add(t.name, rel(teamsFile), `teams[${i}].name`));
+
+  const seasonsDir = path.join(WEBSITE_CONTENT, 'seasons');
+  const seasonFiles = fs.existsSync(seasonsDir)
+    ? fs.readdirSync(seasonsDir).filter(f => f.endsWith('.yaml')).map(f => path.join(seasonsDir, f))
+    : [];
+  const legacy = path.join(WEBSITE_CONTENT, 'season.yaml');
+  if (fs.existsSync(legacy)) seasonFiles.push(legacy);
+  seasonFiles.forEach(file => collectSeasonNames(readYaml(file), rel(file), add));
+}
+
+function collectCapsuleRules(add) {
+  const doc = fs.existsSync(CAPSULE_RULES) ? readYaml(CAPSULE_RULES) : null;
+  for (const [key, ruleset] of Object.entries((doc && doc.rulesets) || {})) {
+    ((ruleset && ruleset.restrictions) || []).forEach((r, i) => {
+      ((r && r.params && r.params.teams) || []).forEach(n => add(n, rel(CAPSULE_RULES), `rulesets.${key}.restrictions[${i}].params.teams`));
+    });
+  }
+}
+
+function collectCalculator(add) {
+  const data = fs.existsSync(CALCULATOR_TEAMS) ? readJson(CALCULATOR_TEAMS) : null;
+  if (!data) return;
+  const names = new Set([...(data.teamNames || []), ...Object.keys(data.teams || {})]);
+  names.forEach(n => {
+    if (!NON_TEAM_GROUPS.includes(String(n).trim())) add(n, rel(CALCULATOR_TEAMS), 'teams');
+  });
+}
+
+async function main() {
+  const strict = process.argv.includes('--strict');
+  const registry = await loadTeamRegistry();
+
+  // name as written -> { status, canonical, locations: Map<file, Set<field>> }
+  const found = new Map();
+  const add = (name, file, field) => {
+    // Blank entries are an unset second team, not a name
+    if (typeof name !== 'string' || !name.trim()) return;
+    const team = registry.resolve(name);
+    if (team && name === team.name) return;
+    if (!found.has(name)) found.set(name, { status: team ? 'alias' : 'unknown', canonical: team ? team.name : null, locations: new Map() });
+    const locations = found.get(name).locations;
+    if (!locations.has(file)) locations.set(file, new Set());
+    locations.get(file).add(field.replace(/\[\d+\]/g, '[]'));
+  };
+
+  collectBrData(BR_DATA_ROOT, add);
+  collectWebsite(add);
+  collectCapsuleRules(add);
+  collectCalculator(add);
+
+  const entries = [...found.entries()].sort(([a, x], [b, y]) => x.status.localeCompare(y.status) || a.localeCompare(b));
+  const unknown = entries.filter(([, e]) => e.status === 'unknown');
+  const aliases = entries.filter(([, e]) => e.status === 'alias');
+
+  for (const [name, e] of entries) {
+    const label = e.status === 'alias' ? `alias of "${e.canonical}"` : 'unknown team';
+    console.log(`${e.status === 'alias' ? '🔁' : '❌'} "${name}" — ${label} in ${e.locations.size} file(s)`);
+    const files = [...e.locations.entries()];
+    files.slice(0, 5).forEach(([file, fields]) => console.log(`     ${file} (${[...fields].join(', ')})`));
+    if (files.length > 5) console.log(`     … and ${files.length - 5} more`);
+  }
+
+  console.log(`\n${registry.teams.length} registered team(s); ${aliases.length} alias(es) and ${unknown.length} unknown name(s) found.`);
+  if (aliases.length) console.log('Aliases still resolve, but should be rewritten to the canonical name (BR_Data tags are fixed by autoTagMatches.js).');
+  if (unknown.length || (strict && aliases.length)) process.exit(1);
+}
+
+main().catch((err) => {
+  console.error('❌ Team name validation failed:', err);
+  process.exit(1);
+});
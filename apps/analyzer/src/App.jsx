@@ -10,13 +10,30 @@ import { Combobox } from './components/Combobox.jsx';
 import { MultiSelectCombobox } from './components/MultiSelectCombobox.jsx';
 import { formatNumber } from './utils/formatters.js';
 import DataTable from './components/DataTable.jsx';
-import { prepareCharacterAveragesData, prepareMatchDetailsData, getCharacterAveragesTableConfig, getMatchDetailsTableConfig, getMetaTableConfig } from './components/TableConfigs.jsx';
+import { prepareCharacterAveragesData, prepareMatchDetailsData, getCharacterAveragesTableConfig, getMatchDetailsTableConfig, getMetaTableConfig, prepareFinishersData, getFinishersTableConfig, prepareFinishRatesData, getFinishRatesTableConfig, getFinishBlastBreakdown } from './components/TableConfigs.jsx';
 import { exportToExcel } from './utils/excelExport.js';
+import { loadBRDataIndex, loadIndexedMatches, fetchBattleFile } from './utils/brDataIndex.js';
+import { decodeViewState, encodeViewState, buildViewUrl } from './utils/viewState.js';
 import { PerFormStatsDisplay, PerFormStatsDisplayAggregated } from './components/PerFormStatsDisplay.jsx';
-import { calculatePerFormStats } from './utils/formStatsCalculator.js';
+import { calculateMatchPerformanceScore, combatScoreBase, extractStats, getTeams, getTeamStats, recomputeTeamCharStats } from './utils/matchAggregation.js';
+import { useMatchAggregation } from './hooks/useMatchAggregation.js';
+import { ratingsAsOf } from './utils/ratings.js';
+import { teamRegistry } from './utils/teamRegistry.js';
+import { winRateInterval, bootstrapInterval, mean, compareToBaseline, baselineMedian, sampleStatus, SAMPLE_POLICY } from './utils/statistics.js';
+import { IntervalText, SignificanceFlag } from './components/StatInterval.jsx';
+import { addActionCounts } from './utils/actionTaxonomy.js';
 import CapsuleSynergyAnalysis from './components/CapsuleSynergyAnalysis.jsx';
 import AIStrategyAnalysis from './components/ai-strategy/AIStrategyAnalysis.jsx';
+import ActionBreakdown, { ActionProfileByAI } from './components/ActionBreakdown.jsx';
+import MatchTimeline from './components/MatchTimeline.jsx';
+import HeadToHeadExplorer from './components/HeadToHeadExplorer.jsx';
+import CohortComparison from './components/CohortComparison.jsx';
+import { listCohortValues, defaultCohortPair } from './utils/cohorts.js';
+import RatingsPanel from './components/ratings/RatingsPanel.jsx';
+import SavedViewsMenu from './components/SavedViewsMenu.jsx';
+import CopyViewLinkButton from './components/CopyViewLinkButton.jsx';
 import { loadCapsuleData } from './utils/capsuleDataProcessor.js';
+import { parseCharacterCSV, parseMapsCSV, indexAIStrategies } from './utils/referenceData.js';
 import { 
   Trophy, 
   Swords, 
@@ -49,15 +66,15 @@ import {
   Filter,
   Download,
   Brain,
-  Minus
+  Minus,
+  Loader2,
+  Activity,
+  GitCompare
 } from 'lucide-react';
 // Reference data CSVs (raw imports) - now using shared referencedata folder
 import charactersCSV from '../../../referencedata/characters.csv?raw';
 import capsulesCSV from '../../../referencedata/capsules.csv?raw';
 import mapsCSV from '../../../referencedata/maps.csv?raw';
-// Preload reference JSON files shipped with the analyzer (Vite import.meta.glob)
-// Each entry may be a module object; code uses module.default || module
-const dataFiles = import.meta.glob('../BR_Data/*.json', { eager: true });
 // Utility to extract tags from a match file object (returns null if not present)
 function extractTagsFromMatchFile(content) {
   if (!content || typeof content !== 'object') return null;
@@ -242,8 +259,9 @@ function PerformanceIndicatorLabel({ value, allValues, type = 'damage', isInvers
 }
 
 // Performance Score Badge Component
-// Displays a large performance score with color coding based on level
-function PerformanceScoreBadge({ score, label = 'Score', size = 'medium', darkMode = false, allScores = [] }) {
+// Displays a large performance score with color coding based on level; pass sampleSize to flag
+// scores from too few matches to rank
+function PerformanceScoreBadge({ score, label = 'Score', size = 'medium', darkMode = false, allScores = [], sampleSize }) {
   // Use relative scoring if allScores provided, otherwise use fixed thresholds
   let level;
   if (allScores && allScores.length > 0) {
@@ -281,6 +299,9 @@ function PerformanceScoreBadge({ score, label = 'Score', size = 'medium', darkMo
     <div className={`inline-flex items-center gap-1 rounded-lg border font-bold ${colorClasses[level]} ${sizeClasses[size]}`}>
       <Star className={iconSize} />
       <span>{label}: {Math.round(score)}</span>
+      {sampleSize !== undefined && sampleStatus(sampleSize) === 'insufficient' && (
+        <SignificanceFlag significance="insufficient" n={sampleSize} darkMode={darkMode} />
+      )}
     </div>
   );
 }
@@ -417,273 +438,6 @@ function BlastMetricDisplay({ label, thrown, hit, hitRate, color = 'blue', darkM
   );
 }
 
-// Calculate performance score for a single match character
-function calculateMatchPerformanceScore(stats) {
-  const avgDamage = stats.damageDone || 0;
-  const avgTaken = stats.damageTaken || 1; // Avoid division by zero
-  const avgBattleTime = stats.battleTime || 1; // Avoid division by zero
-  const healthRetention = stats.hPGaugeValueMax > 0 ? stats.hPGaugeValue / stats.hPGaugeValueMax : 0;
-  
-  const damageEfficiency = avgTaken > 0 ? avgDamage / avgTaken : avgDamage / 1000;
-  const damagePerSecond = avgBattleTime > 0 ? avgDamage / avgBattleTime : 0;
-  
-  // Base performance score (normalized metrics) - matches aggregated calculation
-  const baseScore = (
-    (avgDamage / 100000) * 35 +        // Damage dealt weight: 35%
-    (damageEfficiency) * 25 +          // Damage efficiency weight: 25%
-    (damagePerSecond / 1000) * 25 +    // Damage per second weight: 25%
-    (healthRetention) * 15             // Health retention weight: 15%
-  );
-  
-  // No experience multiplier for single match (that's for aggregated only)
-  return baseScore; // Returns score in 0-300+ range naturally
-}
-
-function parseCharacterCSV(csv) {
-  const lines = csv.split(/\r?\n/).filter(Boolean);
-  const map = {};
-  for (let i = 1; i < lines.length; i++) {
-    const [name, id] = lines[i].split(',');
-    if (id) map[id.trim()] = name.trim();
-  }
-  return map;
-}
-
-function getTeams(characterRecord) {
-  const p1Keys = Object.keys(characterRecord).filter(k => k.includes('１Ｐ') || k.includes('AlliesTeamMember'));
-  const p2Keys = Object.keys(characterRecord).filter(k => k.includes('２Ｐ') || k.includes('EnemyTeamMember'));
-  return {
-    p1: p1Keys.map(k => ({ ...characterRecord[k], _key: k })),
-    p2: p2Keys.map(k => ({ ...characterRecord[k], _key: k }))
-  };
-}
-
-function extractStats(char, charMap, capsuleMap = {}, position = null, aiStrategiesMap = {}) {
-  const play = char.battlePlayCharacter || {};
-  const count = char.battleCount || {};
-  const numCount = count.battleNumCount || {};
-  const runBlastCount = count.runBlastCount || {};
-  const attackHitCount = count.attackHitCount || {};
-  const originalForm = char.battlePlayCharacter?.originalCharacter?.key;
-  const currentForm = play.character?.key;
-  const charId = originalForm || currentForm || '';
-  const name = charMap[charId] || charId || '-';
-  
-  // Form change history - only show if character actually changed forms
-  let formNames = '';
-  if (Array.isArray(char.formChangeHistory) && char.formChangeHistory.length > 0) {
-    const forms = [originalForm, ...char.formChangeHistory.map(f => f.key)].filter(Boolean);
-    formNames = forms.map(f => charMap[f] || f).join(', ');
-  }
-  
-  // Equipment analysis - filter to ONLY capsules (00_0_XXXX pattern)
-  const equipItems = play.equipItem || [];
-  const equippedCapsules = equipItems
-    .map(item => item.key)
-    .filter(key => key && key.startsWith('00_0_')) // Only include actual capsules
-    .filter(key => capsuleMap[key]) // Only include capsules in our reference data
-    .map(key => ({
-      id: key,
-      name: capsuleMap[key].name,
-      capsule: capsuleMap[key]
-    }));
-  
-  const totalCapsuleCost = equippedCapsules.reduce((sum, item) => sum + (item.capsule.cost || 0), 0);
-  
-  // Extract AI strategy from equipped items
-  let aiStrategy = null;
-  for (const item of equipItems) {
-    const strategy = aiStrategiesMap[item.key];
-    if (strategy) {
-      aiStrategy = strategy.name;
-      break; // Found the AI strategy, stop looking
-    }
-  }
-  // If no AI strategy found, use "Default"
-  if (!aiStrategy) {
-    aiStrategy = 'Default';
-  }
-  
-  // Categorize capsules by build type using metadata
-  const capsuleTypes = {
-    melee: 0,
-    blast: 0,
-    kiBlast: 0,
-    defense: 0,
-    skill: 0,
-    kiEfficiency: 0,
-    utility: 0
-  };
-
-  const capsuleCosts = {
-    melee: 0,
-    blast: 0,
-    kiBlast: 0,
-    defense: 0,
-    skill: 0,
-    kiEfficiency: 0,
-    utility: 0
-  };
-
-  equippedCapsules.forEach(item => {
-    const buildType = item.capsule.buildType?.toLowerCase() || 'unknown';
-    const cost = item.capsule.cost || 0;
-    
-    switch (buildType) {
-      case 'melee':
-        capsuleTypes.melee++;
-        capsuleCosts.melee += cost;
-        break;
-      case 'blast':
-        capsuleTypes.blast++;
-        capsuleCosts.blast += cost;
-        break;
-      case 'ki blast':  // Normalized format (spaces, not hyphens)
-        capsuleTypes.kiBlast++;
-        capsuleCosts.kiBlast += cost;
-        break;
-      case 'defense':
-        capsuleTypes.defense++;
-        capsuleCosts.defense += cost;
-        break;
-      case 'skill':
-        capsuleTypes.skill++;
-        capsuleCosts.skill += cost;
-        break;
-      case 'ki efficiency':  // Normalized format (spaces, not hyphens)
-        capsuleTypes.kiEfficiency++;
-        capsuleCosts.kiEfficiency += cost;
-        break;
-      case 'utility':
-        capsuleTypes.utility++;
-        capsuleCosts.utility += cost;
-        break;
-    }
-  });
-  
-  // Parse blast counts for detailed super blast tracking
-  let spm1Count = 0;
-  let spm2Count = 0;
-  let exa1Count = 0;
-  let exa2Count = 0;
-  
-  Object.entries(runBlastCount).forEach(([key, value]) => {
-    if (key.includes('SPM1')) spm1Count += value;
-    else if (key.includes('SPM2') || key.includes('SPM3')) spm2Count += value;
-    else if (key.includes('EXA1')) exa1Count += value;
-    else if (key.includes('EXA2')) exa2Count += value;
-  });
-  
-  // New blast tracking system - parse additionalCounts if available
-  const additionalCounts = char.additionalCounts || {};
-  const hasAdditionalCounts = char.additionalCounts !== undefined;
-  
-  // New blast tracking (preferred method with fallback to old method)
-  const s1Blast = additionalCounts.s1Blast ?? spm1Count;
-  const s2Blast = additionalCounts.s2Blast ?? spm2Count;
-  const ultBlast = additionalCounts.ultBlast ?? (numCount.uLTCount || 0);
-  // Hit blast values should remain undefined for legacy data (no fallback to 0)
-  const s1HitBlast = additionalCounts.s1HitBlast;
-  const s2HitBlast = additionalCounts.s2HitBlast;
-  const uLTHitBlast = additionalCounts.uLTHitBlast;
-  const tags = additionalCounts.tags ?? 0;
-  
-  // Calculate hit rates (percentage) - null if no blasts thrown
-  const s1HitRate = s1Blast > 0 ? (s1HitBlast / s1Blast) * 100 : null;
-  const s2HitRate = s2Blast > 0 ? (s2HitBlast / s2Blast) * 100 : null;
-  const ultHitRate = ultBlast > 0 ? (uLTHitBlast / ultBlast) * 100 : null;
-  
-  // Parse attack hit counts for combat performance metrics
-  let speedImpactCount = 0;
-  let speedImpactWins = 0;
-  
-  Object.entries(attackHitCount).forEach(([key, value]) => {
-    // Speed Impact triggers - these indicate speed impact usage
-    if (key.includes('actSPIMPO') || key.includes('actRI')) {
-      speedImpactCount += value;
-    }
-  });
-  
-  // Speed impact wins are tracked in battleNumCount.speedImpactWinCount
-  
-  return {
-    name,
-    damageDone: count.givenDamage || 0,
-    damageTaken: count.takenDamage || 0,
-    battleTime: parseBattleTime(count.battleTime) || 0,
-    hPGaugeValue: play.hPGaugeValue || 0,
-    hPGaugeValueMax: play.hPGaugeValueMax || 40000,
-    specialMovesUsed: numCount.sPMCount || 0,
-    ultimatesUsed: numCount.uLTCount || 0,
-    skillsUsed: numCount.eXACount || 0,
-    kills: count.killCount || 0,
-    formChangeHistory: formNames,
-    // Survival & Health metrics
-    sparkingCount: numCount.sparkingCount || 0,
-    chargeCount: numCount.chargeCount || 0,
-    guardCount: numCount.guardCount || 0,
-    shotEnergyBulletCount: numCount.shotEnergyBulletCount || 0,
-    zCounterCount: numCount.zCounter || 0,
-    superCounterCount: numCount.superCounterCount || 0,
-    revengeCounterCount: numCount.revengeCounter || 0,
-    tags, // New: Character swap tracking
-    formChangeCount: Array.isArray(char.formChangeHistory) ? char.formChangeHistory.length : 0, // Number of transformations
-    // Special Abilities - detailed blast tracking (NEW SYSTEM)
-    hasAdditionalCounts, // Flag to determine if new format with additionalCounts
-    s1Blast,        // Super 1 thrown
-    s2Blast,        // Super 2 thrown
-    ultBlast,       // Ultimate thrown
-    s1HitBlast,     // Super 1 hit
-    s2HitBlast,     // Super 2 hit
-    uLTHitBlast,    // Ultimate hit
-    s1HitRate,      // Super 1 hit rate %
-    s2HitRate,      // Super 2 hit rate %
-    ultHitRate,     // Ultimate hit rate %
-    // Legacy blast tracking (kept for backwards compatibility)
-    spm1Count: s1Blast,
-    spm2Count: s2Blast,
-    exa1Count,
-    exa2Count,
-    dragonDashMileage: parseFloat((count.dragonDashMileage || 0).toFixed(0)),
-    // Combat Performance metrics
-    maxComboNum: count.maxComboNum || 0,
-    maxComboDamage: count.maxComboDamage || 0,
-    throwCount: numCount.throwCount || 0,
-    lightningAttackCount: numCount.lightningAttack || 0,
-    vanishingAttackCount: numCount.vanishingAttack || 0,
-    dragonHomingCount: numCount.dragonHoming || 0,
-    speedImpactCount: numCount.speedImpactCount || speedImpactCount,
-    speedImpactWins: numCount.speedImpactWinCount || 0,
-    sparkingComboCount: numCount.sparkingCount > 0 ? count.maxComboNum || 0 : 0,
-    // Position tracking
-    position: position,
-    // Equipment data
-    equippedCapsules,
-    totalCapsuleCost,
-    capsuleTypes,
-    capsuleCosts,
-    buildComposition: getBuildComposition(capsuleCosts), // New 7-category system
-    aiStrategy
-  };
-}
-
-// Helper function to parse battle time format "+00000000.00:02:54.470000000" to seconds
-function parseBattleTime(timeString) {
-  if (!timeString || typeof timeString !== 'string') return 0;
-  
-  // Format: "+00000000.00:02:54.470000000"
-  // Extract the time part after the first colon
-  const timeMatch = timeString.match(/(\d{2}):(\d{2}):(\d{2})\.(\d+)/);
-  if (!timeMatch) return 0;
-  
-  const hours = parseInt(timeMatch[1], 10);
-  const minutes = parseInt(timeMatch[2], 10);
-  const seconds = parseInt(timeMatch[3], 10);
-  const milliseconds = parseInt(timeMatch[4].substring(0, 3), 10); // Take first 3 digits for milliseconds
-  
-  return hours * 3600 + minutes * 60 + seconds + milliseconds / 1000;
-}
-
 // Helper function to format seconds back to readable time
 function formatBattleTime(seconds) {
   if (!seconds || seconds === 0) return '0:00';
@@ -730,91 +484,6 @@ function BattleTimeVariance({ value, averageValue, darkMode = false }) {
   );
 }
 
-/**
- * Determine build composition based on capsule cost distribution
- * Uses new 7-category build type system with cost-based thresholds
- * 
- * @param {Object} capsuleCosts - Cost totals for each build type
- * @returns {Object} Build composition with primary, label, type, and breakdown
- */
-function getBuildComposition(capsuleCosts) {
-  const types = [
-    { name: 'Melee', cost: capsuleCosts.melee },
-    { name: 'Blast', cost: capsuleCosts.blast },
-    { name: 'Ki Blast', cost: capsuleCosts.kiBlast },
-    { name: 'Defense', cost: capsuleCosts.defense },
-    { name: 'Skill', cost: capsuleCosts.skill },
-    { name: 'Ki Efficiency', cost: capsuleCosts.kiEfficiency },
-    { name: 'Utility', cost: capsuleCosts.utility }
-  ];
-  
-  const totalCost = types.reduce((sum, t) => sum + t.cost, 0);
-  
-  if (totalCost === 0) {
-    return { 
-      primary: 'No Build', 
-      label: 'No Build', 
-      type: 'none',
-      breakdown: types.map(t => ({ ...t, percent: 0 }))
-    };
-  }
-  
-  // Sort by cost (highest first)
-  types.sort((a, b) => b.cost - a.cost);
-  
-  const primary = types[0];
-  const secondary = types[1];
-  
-  const primaryPercent = (primary.cost / totalCost) * 100;
-  const secondaryPercent = (secondary.cost / totalCost) * 100;
-  const percentDiff = primaryPercent - secondaryPercent;
-  
-  // Add percentages to breakdown
-  const breakdown = types.map(t => ({
-    ...t,
-    percent: (t.cost / totalCost) * 100
-  }));
-  
-  // Pure build: 75%+ in one type (15/20 cost)
-  if (primaryPercent >= 75) {
-    return { 
-      primary: primary.name, 
-      label: `Pure ${primary.name}`, 
-      type: 'pure',
-      breakdown
-    };
-  }
-  
-  // Focused build: 45%+ in one type (9/20 cost)
-  if (primaryPercent >= 45) {
-    return { 
-      primary: primary.name, 
-      label: `${primary.name}-Focused`, 
-      type: 'focused',
-      breakdown
-    };
-  }
-  
-  // Dual build: Top 2 types close (within 20%) and together ≥65%
-  if (percentDiff <= 20 && (primaryPercent + secondaryPercent) >= 65) {
-    return { 
-      primary: primary.name, 
-      secondary: secondary.name,
-      label: `${primary.name}/${secondary.name}`, 
-      type: 'dual',
-      breakdown
-    };
-  }
-  
-  // Balanced hybrid: No clear dominance
-  return { 
-    primary: 'Hybrid', 
-    label: 'Balanced Hybrid', 
-    type: 'balanced',
-    breakdown
-  };
-}
-
 /**
  * Get color classes for new build type system (exported for use in TableConfigs)
  * Supports all 7 build types plus hybrid combinations
@@ -1215,6 +884,7 @@ function BuildTableView({
                 size="small"
                 darkMode={darkMode}
                 allScores={allScores}
+                sampleSize={currentBuild.activeCount}
               />
               <button
                 onClick={(e) => { e.stopPropagation(); setPanelOpen(false); }}
@@ -1537,245 +1207,6 @@ function MetaAnalysisContent({ aggregatedData, capsuleMap, aiStrategies, charMap
   );
 }
 
-function getPositionBasedData(files, charMap, capsuleMap = {}, positionMatchTypeFilters = ['2v2', '3v3', '4v4', '5v5']) {
-  const positionStats = {
-    1: { totalMatches: 0, uniqueMatches: new Set(), characters: {} }, // Position 1 (Lead)
-    2: { totalMatches: 0, uniqueMatches: new Set(), characters: {} }, // Position 2 (Middle)
-    3: { totalMatches: 0, uniqueMatches: new Set(), characters: {} }  // Position 3 (Anchor)
-  };
-  
-  // Helper function to process a characterRecord
-  function processCharacterRecord(characterRecord, fileIndex = 0, recordIndex = 0) {
-    if (!characterRecord) return;
-    
-    // Create a unique match ID based on file and record indices
-    const matchId = `${fileIndex}-${recordIndex}`;
-    
-    // Process each team separately to determine team size
-    const alliesKeys = Object.keys(characterRecord).filter(k => k.includes('AlliesTeamMember'));
-    const enemyKeys = Object.keys(characterRecord).filter(k => k.includes('EnemyTeamMember'));
-    const allies1PKey = Object.keys(characterRecord).find(k => k.includes('１Ｐ'));
-    const enemy2PKey = Object.keys(characterRecord).find(k => k.includes('２Ｐ'));
-    
-    // True team size = lead (1P) + AlliesTeamMember slots
-    const alliesTeamSize = alliesKeys.length + (allies1PKey ? 1 : 0);
-    const matchType = `${alliesTeamSize}v${alliesTeamSize}`;
-    if (!positionMatchTypeFilters.includes(matchType)) {
-      return; // Skip this match if it doesn't match the selected filters
-    }
-    
-    // Helper to accumulate stats into a position
-    function accumulateCharStats(char, position) {
-      const stats = extractStats(char, charMap, capsuleMap, position);
-      if (!stats.name || stats.name === '-') return;
-      
-      const characterName = stats.name;
-      positionStats[position].totalMatches++;
-      positionStats[position].uniqueMatches.add(matchId);
-      
-      if (!positionStats[position].characters[characterName]) {
-        positionStats[position].characters[characterName] = {
-          name: characterName,
-          matchCount: 0,
-          activeMatchCount: 0,
-          survivalCount: 0,
-          totalDamage: 0,
-          totalTaken: 0,
-          totalHealth: 0,
-          totalHPGaugeValueMax: 0,
-          totalBattleTime: 0,
-          totalSpecialMoves: 0,
-          totalUltimates: 0,
-          totalSkills: 0,
-          totalSparking: 0,
-          totalCharges: 0,
-          totalGuards: 0,
-          totalEnergyBlasts: 0,
-          totalComboNum: 0,
-          totalComboDamage: 0
-        };
-      }
-      
-      const charData = positionStats[position].characters[characterName];
-      charData.matchCount++;
-      if (stats.battleTime && stats.battleTime > 0) {
-        charData.activeMatchCount += 1;
-        charData.totalBattleTime += stats.battleTime;
-      }
-      if (stats.hPGaugeValue > 0) charData.survivalCount++;
-      charData.totalDamage += stats.damageDone;
-      charData.totalTaken += stats.damageTaken;
-      charData.totalHealth += stats.hPGaugeValue;
-      charData.totalHPGaugeValueMax += stats.hPGaugeValueMax;
-      charData.totalSpecialMoves += stats.specialMovesUsed;
-      charData.totalUltimates += stats.ultimatesUsed;
-      charData.totalSkills += stats.skillsUsed;
-      charData.totalSparking += stats.sparkingCount;
-      charData.totalCharges += stats.chargeCount;
-      charData.totalGuards += stats.guardCount;
-      charData.totalEnergyBlasts += stats.shotEnergyBulletCount;
-      charData.totalComboNum += stats.maxComboNum;
-      charData.totalComboDamage += stats.maxComboDamage;
-    }
-    
-    // Process allies lead (1P key) as Position 1 (Lead)
-    if (allies1PKey && characterRecord[allies1PKey]) {
-      accumulateCharStats(characterRecord[allies1PKey], 1);
-    }
-    
-    // Process allies team members: last AlliesTeamMember = Anchor (3), rest = Middle (2)
-    alliesKeys.forEach(key => {
-      const char = characterRecord[key];
-      if (!char) return;
-      const slotMatch = key.match(/Member(\d+)/);
-      const slotNumber = slotMatch ? parseInt(slotMatch[1]) : null;
-      if (!slotNumber) return;
-      
-      // Last AlliesTeamMember slot is the Anchor; all others are Middle
-      const position = slotNumber === alliesKeys.length ? 3 : 2;
-      accumulateCharStats(char, position);
-    });
-    
-    // Process enemy lead (2P key) as Position 1 (Lead)
-    if (enemy2PKey && characterRecord[enemy2PKey]) {
-      accumulateCharStats(characterRecord[enemy2PKey], 1);
-    }
-    
-    // Process enemy team members: last EnemyTeamMember = Anchor (3), rest = Middle (2)
-    enemyKeys.forEach(key => {
-      const char = characterRecord[key];
-      if (!char) return;
-      const slotMatch = key.match(/Member(\d+)/);
-      const slotNumber = slotMatch ? parseInt(slotMatch[1]) : null;
-      if (!slotNumber) return;
-      
-      const position = slotNumber === enemyKeys.length ? 3 : 2;
-      accumulateCharStats(char, position);
-    });
-  }
-  
-  files.forEach((file, fileIndex) => {
-    if (file.error) return;
-    
-    const fileContent = file.content;
-    let characterRecord;
-    let recordIndex = 0;
-    
-    // Handle TeamBattleResults format (current BR_Data structure)
-    if (fileContent.TeamBattleResults) {
-      // Check for battleResult (lowercase r)
-      if (fileContent.TeamBattleResults.battleResult) {
-        characterRecord = fileContent.TeamBattleResults.battleResult.characterRecord;
-      }
-      // Check for BattleResults (capital R) - Cinema files format
-      else if (fileContent.TeamBattleResults.BattleResults) {
-        characterRecord = fileContent.TeamBattleResults.BattleResults.characterRecord;
-      }
-      // Check if data is directly in TeamBattleResults (new wrapper format)
-      else if (fileContent.TeamBattleResults.characterRecord) {
-        characterRecord = fileContent.TeamBattleResults.characterRecord;
-      }
-    }
-    // Handle new format with teams array at the top
-    else if (fileContent.teams && Array.isArray(fileContent.teams)) {
-      // Process all teams in the array
-      fileContent.teams.forEach((team, teamIndex) => {
-        let teamCharRecord;
-        
-        if (team.BattleResults) {
-          teamCharRecord = team.BattleResults.characterRecord;
-        } else if (team.characterRecord) {
-          teamCharRecord = team.characterRecord;
-        }
-        
-        if (teamCharRecord) {
-          processCharacterRecord(teamCharRecord, fileIndex, teamIndex);
-        }
-      });
-      return; // Already processed all teams
-    }
-    // Handle standard format with BattleResults at root
-    else if (fileContent.BattleResults) {
-      characterRecord = fileContent.BattleResults.characterRecord;
-    } 
-    // Handle legacy format with direct properties
-    else {
-      characterRecord = fileContent.characterRecord;
-    }
-    
-    processCharacterRecord(characterRecord, fileIndex, recordIndex);
-  });
-  
-  // Calculate averages and format data
-  Object.keys(positionStats).forEach(position => {
-    const posData = positionStats[position];
-    
-    // Convert uniqueMatches Set to count and clean up
-    posData.uniqueMatchCount = posData.uniqueMatches.size;
-    delete posData.uniqueMatches; // Clean up Set object
-    
-    posData.sortedCharacters = Object.values(posData.characters)
-      .filter(char => {
-        // Only include characters that actually participated in battles
-        // Filter out characters with 0 battle time and 0 active matches
-        return (char.activeMatchCount && char.activeMatchCount > 0) || char.totalBattleTime > 0;
-      })
-      .map(char => {
-        // Use activeMatchCount if available (exclude zero battleTime matches), fallback to matchCount
-        const denom = (char.activeMatchCount && char.activeMatchCount > 0) ? char.activeMatchCount : char.matchCount || 1;
-        
-        // Calculate averages
-        const avgDamage = char.totalDamage / denom;
-        const avgTaken = char.totalTaken / denom;
-        const avgHealth = char.totalHealth / denom;
-        const avgBattleTime = char.totalBattleTime / denom;
-        const avgDPS = char.totalBattleTime > 0 ? char.totalDamage / char.totalBattleTime : 0;
-        const damageEfficiency = char.totalTaken > 0 ? (char.totalDamage / char.totalTaken) : char.totalDamage;
-        const avgHPGaugeValueMax = char.totalHPGaugeValueMax / denom;
-        
-        // Calculate performance score
-        const healthRetention = avgHPGaugeValueMax > 0 ? avgHealth / avgHPGaugeValueMax : 0;
-        const baseScore = (
-          (avgDamage / 100000) * 35 +
-          (damageEfficiency) * 25 +
-          (avgDPS / 1000) * 25 +
-          (healthRetention) * 15
-        );
-        const experienceMatches = char.activeMatchCount || char.matchCount || 1;
-        const experienceMultiplier = Math.min(1.25, 1.0 + (experienceMatches - 1) * (0.25 / 11));
-        const combatPerformanceScore = Math.round(baseScore * experienceMultiplier * 100) / 100;
-        
-        // Calculate survival rate (percentage of matches survived)
-        const survivalRate = char.matchCount > 0 ? (char.survivalCount / char.matchCount) : 0;
-        
-        return ({
-          ...char,
-          avgDamage,
-          avgTaken,
-          avgHealth,
-          avgBattleTime,
-          avgDPS,
-          avgSpecialMoves: char.totalSpecialMoves / denom,
-          avgUltimates: char.totalUltimates / denom,
-          avgSkills: char.totalSkills / denom,
-          avgSparking: char.totalSparking / denom,
-          avgCharges: char.totalCharges / denom,
-          avgGuards: char.totalGuards / denom,
-          avgEnergyBlasts: char.totalEnergyBlasts / denom,
-          avgComboNum: char.totalComboNum / denom,
-          avgComboDamage: char.totalComboDamage / denom,
-          damageEfficiency,
-          healthRetention,
-          survivalRate,
-          combatPerformanceScore
-        });
-      })
-      .sort((a, b) => b.combatPerformanceScore - a.combatPerformanceScore);
-  });
-  
-  return positionStats;
-}
-
 // Helper functions for position analysis
 function calculatePositionAverage(posData, metric) {
   if (!posData.sortedCharacters || posData.sortedCharacters.length === 0) return 0;
@@ -1828,1994 +1259,11 @@ function getPositionInsight(posData, positionName) {
   return insights.join(', ') || 'balanced performance';
 }
 
-function getAggregatedCharacterData(files, charMap, capsuleMap = {}, aiStrategiesMap = {}, mapsMap = {}) {
-  const characterStats = {};
-  
-  // Helper function to process a characterRecord (extracted to avoid duplication)
-  function processCharacterRecord(characterRecord, characterIdRecord, teams = null, fileName = '', battleWinLose = null, mapId = null) {
-    // Pre-compute slot counts to determine Anchor position
-    const alliesSlotKeys = Object.keys(characterRecord).filter(k => k.includes('AlliesTeamMember'));
-    const enemySlotKeys = Object.keys(characterRecord).filter(k => k.includes('EnemyTeamMember'));
-    const totalAlliesSlots = alliesSlotKeys.length;
-    const totalEnemySlots = enemySlotKeys.length;
-
-    function getPositionFromKey(k) {
-      if (k.includes('１Ｐ')) return 1; // Starter
-      if (k.includes('２Ｐ')) return 1; // Starter (enemy)
-      if (k.includes('AlliesTeamMember') || k.includes('EnemyTeamMember')) {
-        const slotMatch = k.match(/Member(\d+)/);
-        const slotNumber = slotMatch ? parseInt(slotMatch[1]) : null;
-        if (slotNumber) {
-          const totalSlots = k.includes('AlliesTeamMember') ? totalAlliesSlots : totalEnemySlots;
-          return slotNumber === totalSlots ? 3 : 2; // Last = Anchor, others = Middle
-        }
-      }
-      return null;
-    }
-
-    Object.keys(characterRecord).forEach(key => {
-      const char = characterRecord[key];
-      const stats = extractStats(char, charMap, capsuleMap, null); // No position for aggregated data
-      const charPosition = getPositionFromKey(key);
-      if (!stats.name || stats.name === '-') return;
-      
-      // Determine team association
-      let teamName = null;
-      let opponentTeam = null;
-      let isTeam1 = false;
-      if (teams && Array.isArray(teams) && teams.length >= 2) {
-        if (key.includes('AlliesTeamMember') || key.includes('１Ｐ')) {
-          teamName = teams[0];
-          opponentTeam = teams[1];
-          isTeam1 = true;
-        } else if (key.includes('EnemyTeamMember') || key.includes('２Ｐ')) {
-          teamName = teams[1];
-          opponentTeam = teams[0];
-          isTeam1 = false;
-        }
-      }
-      
-      // Extract AI strategy from equipped items (look for AI type capsules)
-      let aiStrategy = null;
-      const equipItems = char.battlePlayCharacter?.equipItem || [];
-      for (const item of equipItems) {
-        const strategy = aiStrategiesMap[item.key];
-        if (strategy) {
-          aiStrategy = strategy.name;
-          break; // Found the AI strategy, stop looking
-        }
-      }
-      // If no AI strategy found, use "Default"
-      if (!aiStrategy) {
-        aiStrategy = 'Default';
-      }
-      // If no AI strategy found, use "Default"
-      if (!aiStrategy) {
-        aiStrategy = 'Default';
-      }
-      
-      // Use original form name as the key for aggregation
-      const originalForm = char.battlePlayCharacter?.originalCharacter?.key;
-      const aggregationKey = originalForm ? (charMap[originalForm] || originalForm) : stats.name;
-      
-      if (!characterStats[aggregationKey]) {
-        characterStats[aggregationKey] = {
-          name: aggregationKey,
-          totalDamage: 0,
-          totalTaken: 0,
-          totalHealth: 0,
-          totalBattleTime: 0,
-          totalHPGaugeValueMax: 0,
-          totalSpecial: 0,
-          totalUltimates: 0,
-          totalSkills: 0,
-          totalKills: 0,
-          // Survival & Health metrics
-          survivalCount: 0,
-          totalSparking: 0,
-          totalCharges: 0,
-          totalGuards: 0,
-          totalEnergyBlasts: 0,
-          totalZCounters: 0,
-          totalSuperCounters: 0,
-          totalRevengeCounters: 0,
-          totalTags: 0, // New: Character swaps
-          totalTransformations: 0, // New: Character transformations
-          // Special Abilities - NEW blast tracking system
-          totalS1Blast: 0,
-          totalS2Blast: 0,
-          totalUltBlast: 0,
-          totalS1HitBlast: 0,
-          totalS2HitBlast: 0,
-          totalULTHitBlast: 0,
-          // Trackable blasts (only from matches with additionalCounts)
-          totalS1BlastTrackable: 0,
-          totalS2BlastTrackable: 0,
-          totalUltBlastTrackable: 0,
-          // Special Abilities - Legacy blast tracking (kept for backwards compatibility)
-          totalSPM1: 0,
-          totalSPM2: 0,
-          totalEXA1: 0,
-          totalEXA2: 0,
-          totalDragonDashMileage: 0,
-          // Combat Performance metrics
-          maxComboNumTotal: 0,
-          maxComboDamageTotal: 0,
-          totalThrows: 0,
-          totalLightningAttacks: 0,
-          totalVanishingAttacks: 0,
-          totalDragonHoming: 0,
-          totalSpeedImpacts: 0,
-          totalSpeedImpactWins: 0,
-          totalSparkingCombo: 0,
-          matchCount: 0,
-          // activeMatchCount excludes matches with zero battleTime
-          activeMatchCount: 0,
-          // Build & Equipment tracking
-          totalCapsuleCost: 0,
-          // Track build-type costs for averaging
-          totalMeleeCost: 0,
-          totalBlastCost: 0,
-          totalKiBlastCost: 0,
-          totalDefenseCost: 0,
-          totalSkillCost: 0,
-          totalKiEfficiencyCost: 0,
-          totalUtilityCost: 0,
-          buildCompositions: {}, // Track build compositions with counts (new 7-category system)
-          capsuleUsage: {}, // Track individual capsules used
-          allFormsUsed: new Set(), // Track all forms used across matches
-          formStats: {}, // Track per-form aggregated stats
-          matches: [], // Track individual match data for meta analysis
-          teamsUsed: {}, // Track which teams this character played on with counts
-          aiStrategiesUsed: {}, // Track AI strategies used with counts
-          mapsUsed: {} // Track which maps this character fought on with counts
-        };
-      }
-      
-      const charData = characterStats[aggregationKey];
-      
-      // Track team and AI strategy with frequency
-      if (teamName) {
-        charData.teamsUsed[teamName] = (charData.teamsUsed[teamName] || 0) + 1;
-      }
-      if (aiStrategy) {
-        charData.aiStrategiesUsed[aiStrategy] = (charData.aiStrategiesUsed[aiStrategy] || 0) + 1;
-      }
-      // Track which maps this character fought on
-      if (mapId) {
-        const mapName = mapsMap[mapId] || mapId; // Use friendly name or fall back to ID
-        charData.mapsUsed[mapName] = (charData.mapsUsed[mapName] || 0) + 1;
-      }
-      
-      charData.matchCount += 1;
-      
-      // Only accumulate stats for active matches (battleTime > 0)
-      if (stats.battleTime && stats.battleTime > 0) {
-        charData.activeMatchCount += 1;
-        charData.totalDamage += stats.damageDone;
-        charData.totalTaken += stats.damageTaken;
-        charData.totalHealth += stats.hPGaugeValue;
-        charData.totalBattleTime += stats.battleTime;
-        charData.totalHPGaugeValueMax += stats.hPGaugeValueMax;
-      }
-      
-      charData.totalSpecial += stats.specialMovesUsed;
-      charData.totalUltimates += stats.ultimatesUsed;
-      charData.totalSkills += stats.skillsUsed;
-      charData.totalKills += stats.kills;
-      // Survival & Health metrics
-      // Only count as survived if character had health AND actually participated (battleTime > 0)
-      if (stats.hPGaugeValue > 0 && stats.battleTime > 0) {
-        charData.survivalCount += 1;
-      }
-      charData.totalSparking += stats.sparkingCount;
-      charData.totalCharges += stats.chargeCount;
-      charData.totalGuards += stats.guardCount;
-      charData.totalEnergyBlasts += stats.shotEnergyBulletCount;
-      charData.totalZCounters += stats.zCounterCount;
-      charData.totalSuperCounters += stats.superCounterCount;
-      charData.totalRevengeCounters += stats.revengeCounterCount;
-      charData.totalTags += stats.tags;
-      charData.totalTransformations += stats.formChangeCount || 0;
-      // Special Abilities - NEW blast tracking system
-      charData.totalS1Blast += stats.s1Blast;
-      charData.totalS2Blast += stats.s2Blast;
-      charData.totalUltBlast += stats.ultBlast;
-      charData.totalS1HitBlast += stats.s1HitBlast;
-      charData.totalS2HitBlast += stats.s2HitBlast;
-      charData.totalULTHitBlast += stats.uLTHitBlast;
-      // Track separately for hit rate calculation (only from new format matches)
-      if (stats.hasAdditionalCounts) {
-        charData.totalS1BlastTrackable += stats.s1Blast;
-        charData.totalS2BlastTrackable += stats.s2Blast;
-        charData.totalUltBlastTrackable += stats.ultBlast;
-      }
-      
-      // Special Abilities - Legacy blast tracking (also updated to new values)
-      charData.totalSPM1 += stats.s1Blast;
-      charData.totalSPM2 += stats.s2Blast;
-      charData.totalEXA1 += stats.exa1Count;
-      charData.totalEXA2 += stats.exa2Count;
-      charData.totalDragonDashMileage += stats.dragonDashMileage;
-      // Combat Performance metrics
-      charData.maxComboNumTotal += stats.maxComboNum;
-      charData.maxComboDamageTotal += stats.maxComboDamage;
-      charData.totalThrows += stats.throwCount;
-      charData.totalLightningAttacks += stats.lightningAttackCount;
-      charData.totalVanishingAttacks += stats.vanishingAttackCount;
-      charData.totalDragonHoming += stats.dragonHomingCount;
-      charData.totalSpeedImpacts += stats.speedImpactCount;
-      charData.totalSpeedImpactWins += stats.speedImpactWins;
-      charData.totalSparkingCombo += stats.sparkingComboCount;
-      
-      // Build & Equipment tracking
-      charData.totalCapsuleCost += stats.totalCapsuleCost || 0;
-      
-      // Track build composition usage (new 7-category system)
-      if (stats.buildComposition && stats.buildComposition.label) {
-        const label = stats.buildComposition.label;
-        charData.buildCompositions[label] = (charData.buildCompositions[label] || 0) + 1;
-      }
-      
-      // Accumulate build-type costs from breakdown
-      if (stats.buildComposition && stats.buildComposition.breakdown) {
-        stats.buildComposition.breakdown.forEach(item => {
-          switch(item.name) {
-            case 'Melee': charData.totalMeleeCost += item.cost || 0; break;
-            case 'Blast': charData.totalBlastCost += item.cost || 0; break;
-            case 'Ki Blast': charData.totalKiBlastCost += item.cost || 0; break;
-            case 'Defense': charData.totalDefenseCost += item.cost || 0; break;
-            case 'Skill': charData.totalSkillCost += item.cost || 0; break;
-            case 'Ki Efficiency': charData.totalKiEfficiencyCost += item.cost || 0; break;
-            case 'Utility': charData.totalUtilityCost += item.cost || 0; break;
-          }
-        });
-      }
-      
-      // Track individual capsules used
-      if (stats.equippedCapsules && Array.isArray(stats.equippedCapsules)) {
-        stats.equippedCapsules.forEach(capsule => {
-          if (capsule.id) {
-            if (!charData.capsuleUsage[capsule.id]) {
-              charData.capsuleUsage[capsule.id] = {
-                id: capsule.id,
-                name: capsule.name,
-                count: 0
-              };
-            }
-            charData.capsuleUsage[capsule.id].count += 1;
-          }
-        });
-      }
-      
-      // Extract form change history
-      let formChangeHistory = '—';
-      let formChangeCount = 0;
-      if (Array.isArray(char.formChangeHistory) && char.formChangeHistory.length > 0) {
-        formChangeHistory = char.formChangeHistory.map(form => charMap[form.key] || form.key).join(' → ');
-        formChangeCount = char.formChangeHistory.length; // Count number of transformations
-      }
-      
-      // Determine win/loss status based on TEAM victory, not character survival
-      // battleWinLose is from team 1's perspective: 'Win' means team 1 won, 'Lose' means team 2 won
-      let won = false;
-      if (battleWinLose) {
-        if (isTeam1) {
-          // Team 1 character: won if battleWinLose === 'Win'
-          won = battleWinLose === 'Win';
-        } else {
-          // Team 2 character: won if battleWinLose === 'Lose' (team 1 lost)
-          won = battleWinLose === 'Lose';
-        }
-      } else {
-        // Fallback to character survival if battleWinLose not available
-        won = stats.hPGaugeValue > 0;
-      }
-      
-      // Calculate per-form stats for this match if transformations occurred
-      let perFormStatsForMatch = null;
-      if (characterIdRecord && char.formChangeHistory && char.formChangeHistory.length > 0) {
-        perFormStatsForMatch = calculatePerFormStats(
-          char,
-          characterIdRecord,
-          char.formChangeHistory,
-          originalForm
-        );
-      }
-      
-      // Add individual match data for meta analysis
-      charData.matches.push({
-        damageDone: stats.damageDone,
-        damageTaken: stats.damageTaken,
-        battleTime: stats.battleTime,
-        hPGaugeValue: stats.hPGaugeValue,
-        hPGaugeValueMax: stats.hPGaugeValueMax,
-        buildArchetype: stats.buildArchetype, // Legacy
-        buildComposition: stats.buildComposition, // New 7-category system
-        totalCapsuleCost: stats.totalCapsuleCost,
-        capsuleTypes: stats.capsuleTypes,
-        equippedCapsules: stats.equippedCapsules,
-        team: teamName,
-        opponentTeam: opponentTeam,
-        aiStrategy: aiStrategy,
-        map: mapId ? (mapsMap[mapId] || mapId) : null, // Map friendly name
-        mapId: mapId, // Store raw map ID for reference
-        kills: stats.kills,
-        specialMovesUsed: stats.specialMovesUsed,
-        ultimatesUsed: stats.ultimatesUsed,
-        skillsUsed: stats.skillsUsed,
-        sparkingCount: stats.sparkingCount,
-        chargeCount: stats.chargeCount,
-        guardCount: stats.guardCount,
-        shotEnergyBulletCount: stats.shotEnergyBulletCount,
-        zCounterCount: stats.zCounterCount,
-        superCounterCount: stats.superCounterCount,
-        revengeCounterCount: stats.revengeCounterCount,
-        tags: stats.tags,
-        // NEW blast tracking
-        s1Blast: stats.s1Blast,
-        s2Blast: stats.s2Blast,
-        ultBlast: stats.ultBlast,
-        s1HitBlast: stats.s1HitBlast,
-        s2HitBlast: stats.s2HitBlast,
-        uLTHitBlast: stats.uLTHitBlast,
-        s1HitRate: stats.s1HitRate,
-        s2HitRate: stats.s2HitRate,
-        ultHitRate: stats.ultHitRate,
-        // Legacy blast tracking (for backwards compatibility)
-        spm1Count: stats.s1Blast,
-        spm2Count: stats.s2Blast,
-        exa1Count: stats.exa1Count,
-        exa2Count: stats.exa2Count,
-        dragonDashMileage: stats.dragonDashMileage,
-        maxComboNum: stats.maxComboNum,
-        maxComboDamage: stats.maxComboDamage,
-        throwCount: stats.throwCount,
-        lightningAttackCount: stats.lightningAttackCount,
-        vanishingAttackCount: stats.vanishingAttackCount,
-        dragonHomingCount: stats.dragonHomingCount,
-        speedImpactCount: stats.speedImpactCount,
-        speedImpactWins: stats.speedImpactWins,
-        sparkingComboCount: stats.sparkingComboCount,
-        formChangeHistory: formChangeHistory,
-        formChangeCount: formChangeCount,
-        perFormStats: perFormStatsForMatch, // Store per-form stats with each match
-        position: charPosition,
-        won: won,
-        fileName: fileName
-      });
-      
-      // Track all forms used
-      if (originalForm) {
-        charData.allFormsUsed.add(originalForm);
-      }
-      if (Array.isArray(char.formChangeHistory) && char.formChangeHistory.length > 0) {
-        char.formChangeHistory.forEach(form => {
-          charData.allFormsUsed.add(form.key);
-        });
-      }
-      
-      // Aggregate per-form stats from stored per-match form data
-      if (perFormStatsForMatch && Array.isArray(perFormStatsForMatch)) {
-        // Aggregate each form's stats
-        perFormStatsForMatch.forEach(formStat => {
-          const formId = formStat.formId;
-          const formName = charMap[formId] || formId;
-          
-          if (!charData.formStats[formId]) {
-            charData.formStats[formId] = {
-              formId: formId,
-              formNumber: formStat.formNumber,
-              name: formName,
-              isFirstForm: formStat.isFirstForm,
-              isFinalForm: formStat.isFinalForm,
-              // Combat stats
-              totalDamageDone: 0,
-              totalDamageTaken: 0,
-              totalBattleTime: 0,
-              totalBattleCount: 0,
-              // Health
-              totalHPRemaining: 0,
-              totalHPMax: 0,
-              // Special abilities
-              totalSpecialMoves: 0,
-              totalUltimates: 0,
-              totalSkills: 0,
-              // Blast tracking
-              totalS1Blast: 0,
-              totalS2Blast: 0,
-              totalUltBlast: 0,
-              totalS1HitBlast: 0,
-              totalS2HitBlast: 0,
-              totalULTHitBlast: 0,
-              // Survival & Defense
-              totalSparking: 0,
-              totalCharges: 0,
-              totalGuards: 0,
-              totalEnergyBlasts: 0,
-              totalZCounters: 0,
-              totalSuperCounters: 0,
-              totalRevengeCounters: 0,
-              // Combat mechanics
-              totalMaxComboNum: 0,
-              totalMaxComboDamage: 0,
-              totalThrows: 0,
-              totalLightningAttacks: 0,
-              totalVanishingAttacks: 0,
-              totalDragonHoming: 0,
-              totalSpeedImpacts: 0,
-              totalSpeedImpactWins: 0,
-              totalSparkingCombo: 0,
-              totalDragonDashMileage: 0,
-              // Kills
-              totalKills: 0,
-              matchCount: 0
-            };
-          }
-          
-          const formData = charData.formStats[formId];
-          
-          // Accumulate stats for this form
-          formData.totalDamageDone += formStat.damageDone || 0;
-          formData.totalDamageTaken += formStat.damageTaken || 0;
-          formData.totalBattleTime += formStat.battleTime || 0;
-          formData.totalBattleCount += formStat.battleCount || 0;
-          formData.totalHPRemaining += formStat.hPGaugeValue || 0;
-          formData.totalHPMax += formStat.hPGaugeValueMax || 0;
-          formData.totalSpecialMoves += formStat.specialMovesUsed || 0;
-          formData.totalUltimates += formStat.ultimatesUsed || 0;
-          formData.totalSkills += formStat.skillsUsed || 0;
-          formData.totalS1Blast += formStat.s1Blast || 0;
-          formData.totalS2Blast += formStat.s2Blast || 0;
-          formData.totalUltBlast += formStat.ultBlast || 0;
-          formData.totalS1HitBlast += formStat.s1HitBlast || 0;
-          formData.totalS2HitBlast += formStat.s2HitBlast || 0;
-          formData.totalULTHitBlast += formStat.uLTHitBlast || 0;
-          formData.totalSparking += formStat.sparkingCount || 0;
-          formData.totalCharges += formStat.chargeCount || 0;
-          formData.totalGuards += formStat.guardCount || 0;
-          formData.totalEnergyBlasts += formStat.shotEnergyBulletCount || 0;
-          formData.totalZCounters += formStat.zCounterCount || 0;
-          formData.totalSuperCounters += formStat.superCounterCount || 0;
-          formData.totalRevengeCounters += formStat.revengeCounterCount || 0;
-          formData.totalMaxComboNum += formStat.maxComboNum || 0;
-          formData.totalMaxComboDamage += formStat.maxComboDamage || 0;
-          formData.totalThrows += formStat.throwCount || 0;
-          formData.totalLightningAttacks += formStat.lightningAttackCount || 0;
-          formData.totalVanishingAttacks += formStat.vanishingAttackCount || 0;
-          formData.totalDragonHoming += formStat.dragonHomingCount || 0;
-          formData.totalSpeedImpacts += formStat.speedImpactCount || 0;
-          formData.totalSpeedImpactWins += formStat.speedImpactWins || 0;
-          formData.totalSparkingCombo += formStat.sparkingComboCount || 0;
-          formData.totalDragonDashMileage += formStat.dragonDashMileage || 0;
-          formData.totalKills += formStat.kills || 0;
-          formData.matchCount += 1;
-        });
-      }
-    });
-  }
-  
-  files.forEach(file => {
-    if (file.error) return;
-    
-    const fileName = file.name || file.fileName || '';
-    let characterRecord, characterIdRecord, teams, battleWinLose, mapId;
-    
-    // Handle TeamBattleResults format (current BR_Data structure)
-    if (file.content.TeamBattleResults) {
-      teams = file.content.TeamBattleResults.teams;
-      // Check for battleResult (lowercase r)
-      if (file.content.TeamBattleResults.battleResult) {
-        characterRecord = file.content.TeamBattleResults.battleResult.characterRecord;
-        characterIdRecord = file.content.TeamBattleResults.battleResult.characterIdRecord;
-        battleWinLose = file.content.TeamBattleResults.battleResult.battleWinLose;
-        mapId = file.content.TeamBattleResults.battleResult.originalMap?.key;
-      }
-      // Check for BattleResults (capital R) - Cinema files format
-      else if (file.content.TeamBattleResults.BattleResults) {
-        characterRecord = file.content.TeamBattleResults.BattleResults.characterRecord;
-        characterIdRecord = file.content.TeamBattleResults.BattleResults.characterIdRecord;
-        battleWinLose = file.content.TeamBattleResults.BattleResults.battleWinLose;
-        mapId = file.content.TeamBattleResults.BattleResults.originalMap?.key;
-      }
-      // Check if data is directly in TeamBattleResults (new wrapper format)
-      else if (file.content.TeamBattleResults.characterRecord) {
-        characterRecord = file.content.TeamBattleResults.characterRecord;
-        characterIdRecord = file.content.TeamBattleResults.characterIdRecord;
-        battleWinLose = file.content.TeamBattleResults.battleWinLose;
-        mapId = file.content.TeamBattleResults.originalMap?.key;
-      }
-    }
-    // Handle new format with teams array at the top
-    else if (file.content.teams && Array.isArray(file.content.teams)) {
-      // Process all teams in the array
-      file.content.teams.forEach(team => {
-        let teamCharRecord, teamCharIdRecord;
-        
-        if (team.BattleResults) {
-          teamCharRecord = team.BattleResults.characterRecord;
-          teamCharIdRecord = team.BattleResults.characterIdRecord;
-        } else if (team.characterRecord) {
-          teamCharRecord = team.characterRecord;
-          teamCharIdRecord = team.characterIdRecord;
-        }
-        
-        if (teamCharRecord) {
-          // Extract battleWinLose for team format
-          let teamBattleWinLose;
-          let teamMapId;
-          if (team.BattleResults) {
-            teamBattleWinLose = team.BattleResults.battleWinLose;
-            teamMapId = team.BattleResults.originalMap?.key;
-          }
-          processCharacterRecord(teamCharRecord, teamCharIdRecord, file.content.teams, fileName, teamBattleWinLose, teamMapId);
-        }
-      });
-      return; // Already processed all teams
-    }
-    // Handle standard format with BattleResults at root
-    else if (file.content.BattleResults) {
-      characterRecord = file.content.BattleResults.characterRecord;
-      characterIdRecord = file.content.BattleResults.characterIdRecord;
-      battleWinLose = file.content.BattleResults.battleWinLose;
-      mapId = file.content.BattleResults.originalMap?.key;
-      teams = file.content.teams;
-    } 
-    // Handle legacy format with direct properties
-    else {
-      characterRecord = file.content.characterRecord;
-      characterIdRecord = file.content.characterIdRecord;
-      battleWinLose = file.content.battleWinLose;
-      mapId = file.content.originalMap?.key;
-      teams = file.content.teams;
-    }
-    
-    if (!characterRecord) return;
-    
-    processCharacterRecord(characterRecord, characterIdRecord, teams, fileName, battleWinLose, mapId);
-  });
-  
-  // Calculate averages and format form history
-  return Object.values(characterStats).map(char => {
-    const allForms = Array.from(char.allFormsUsed);
-    const formHistory = allForms.length > 1 ? 
-      allForms.map(f => charMap[f] || f).join(', ') : '';
-    
-    // Convert objects to arrays and find most common team and AI strategy
-    const teamsArray = Object.keys(char.teamsUsed);
-    const aiStrategiesArray = Object.keys(char.aiStrategiesUsed);
-    const mapsArray = Object.keys(char.mapsUsed);
-    
-    // Find most commonly used team (highest count)
-    const primaryTeam = teamsArray.length > 0 
-      ? teamsArray.reduce((a, b) => char.teamsUsed[a] > char.teamsUsed[b] ? a : b)
-      : null;
-    
-    // Find most commonly used AI strategy (highest count)
-    const primaryAIStrategy = aiStrategiesArray.length > 0
-      ? aiStrategiesArray.reduce((a, b) => char.aiStrategiesUsed[a] > char.aiStrategiesUsed[b] ? a : b)
-      : null;
-    
-    // Find most commonly used map (highest count)
-    const primaryMap = mapsArray.length > 0
-      ? mapsArray.reduce((a, b) => char.mapsUsed[a] > char.mapsUsed[b] ? a : b)
-      : null;
-    
-    // Find most common position (1=Starter, 2=Middle, 3=Anchor)
-    const positionCounts = { 1: 0, 2: 0, 3: 0 };
-    char.matches.forEach(m => { if (m.position) positionCounts[m.position] = (positionCounts[m.position] || 0) + 1; });
-    const primaryPositionNum = [1, 2, 3].reduce((best, p) => positionCounts[p] > positionCounts[best] ? p : best, 1);
-    const primaryPosition = positionCounts[1] === 0 && positionCounts[2] === 0 && positionCounts[3] === 0
-      ? null
-      : primaryPositionNum === 1 ? 'Starter' : primaryPositionNum === 2 ? 'Middle' : 'Anchor';
-    
-    // Calculate averages for per-form stats
-    const formStatsArray = Object.values(char.formStats).map(formStat => {
-      const matchCount = formStat.matchCount || 1;
-      const damagePerSecond = (formStat.totalBattleTime || 0) > 0 
-        ? (formStat.totalDamageDone || 0) / formStat.totalBattleTime 
-        : 0;
-      const damageEfficiency = (formStat.totalDamageTaken || 0) > 0
-        ? (formStat.totalDamageDone || 0) / formStat.totalDamageTaken
-        : ((formStat.totalDamageDone || 0) > 0 ? 999 : 0);
-      
-      return {
-        ...formStat,
-        // Averages
-        avgDamageDone: Math.round((formStat.totalDamageDone || 0) / matchCount),
-        avgDamageTaken: Math.round((formStat.totalDamageTaken || 0) / matchCount),
-        avgBattleTime: Math.round(((formStat.totalBattleTime || 0) / matchCount) * 10) / 10,
-        avgBattleCount: Math.round(((formStat.totalBattleCount || 0) / matchCount) * 10) / 10,
-        avgHPRemaining: Math.round((formStat.totalHPRemaining || 0) / matchCount),
-        avgHPMax: Math.round((formStat.totalHPMax || 0) / matchCount),
-        avgSpecialMoves: Math.round(((formStat.totalSpecialMoves || 0) / matchCount) * 10) / 10,
-        avgUltimates: Math.round(((formStat.totalUltimates || 0) / matchCount) * 100) / 100,
-        avgSkills: Math.round(((formStat.totalSkills || 0) / matchCount) * 10) / 10,
-        avgS1Blast: Math.round(((formStat.totalS1Blast || 0) / matchCount) * 100) / 100,
-        avgS2Blast: Math.round(((formStat.totalS2Blast || 0) / matchCount) * 100) / 100,
-        avgUltBlast: Math.round(((formStat.totalUltBlast || 0) / matchCount) * 100) / 100,
-        avgS1HitBlast: Math.round(((formStat.totalS1HitBlast || 0) / matchCount) * 100) / 100,
-        avgS2HitBlast: Math.round(((formStat.totalS2HitBlast || 0) / matchCount) * 100) / 100,
-        avgULTHitBlast: Math.round(((formStat.totalULTHitBlast || 0) / matchCount) * 100) / 100,
-        avgSparking: Math.round(((formStat.totalSparking || 0) / matchCount) * 100) / 100,
-        avgCharges: Math.round(((formStat.totalCharges || 0) / matchCount) * 10) / 10,
-        avgGuards: Math.round(((formStat.totalGuards || 0) / matchCount) * 10) / 10,
-        avgEnergyBlasts: Math.round(((formStat.totalEnergyBlasts || 0) / matchCount) * 10) / 10,
-        avgZCounters: Math.round(((formStat.totalZCounters || 0) / matchCount) * 100) / 100,
-        avgSuperCounters: Math.round(((formStat.totalSuperCounters || 0) / matchCount) * 100) / 100,
-        avgRevengeCounters: Math.round(((formStat.totalRevengeCounters || 0) / matchCount) * 100) / 100,
-        avgMaxComboNum: Math.round(((formStat.totalMaxComboNum || 0) / matchCount) * 10) / 10,
-        avgMaxComboDamage: Math.round((formStat.totalMaxComboDamage || 0) / matchCount),
-        avgThrows: Math.round(((formStat.totalThrows || 0) / matchCount) * 100) / 100,
-        avgLightningAttacks: Math.round(((formStat.totalLightningAttacks || 0) / matchCount) * 100) / 100,
-        avgVanishingAttacks: Math.round(((formStat.totalVanishingAttacks || 0) / matchCount) * 100) / 100,
-        avgDragonHoming: Math.round(((formStat.totalDragonHoming || 0) / matchCount) * 100) / 100,
-        avgSpeedImpacts: Math.round(((formStat.totalSpeedImpacts || 0) / matchCount) * 100) / 100,
-        avgSpeedImpactWins: Math.round(((formStat.totalSpeedImpactWins || 0) / matchCount) * 100) / 100,
-        avgSparkingCombo: Math.round(((formStat.totalSparkingCombo || 0) / matchCount) * 10) / 10,
-        avgDragonDashMileage: Math.round(((formStat.totalDragonDashMileage || 0) / matchCount) * 10) / 10,
-        avgKills: Math.round(((formStat.totalKills || 0) / matchCount) * 100) / 100,
-        // Derived stats
-        damagePerSecond,
-        damageEfficiency,
-        // Hit rates
-        s1HitRate: (formStat.totalS1Blast || 0) > 0
-          ? Math.round(((formStat.totalS1HitBlast || 0) / formStat.totalS1Blast) * 1000) / 10
-          : null,
-        s2HitRate: (formStat.totalS2Blast || 0) > 0
-          ? Math.round(((formStat.totalS2HitBlast || 0) / formStat.totalS2Blast) * 1000) / 10
-          : null,
-        ultHitRate: (formStat.totalUltBlast || 0) > 0
-          ? Math.round(((formStat.totalULTHitBlast || 0) / formStat.totalUltBlast) * 1000) / 10
-          : null,
-        speedImpactWinRate: (formStat.totalSpeedImpacts || 0) > 0
-          ? Math.round(((formStat.totalSpeedImpactWins || 0) / formStat.totalSpeedImpacts) * 1000) / 10
-          : null,
-      };
-    });
-    
-    return {
-      ...char,
-      formHistory,
-      formStatsArray,
-      hasMultipleForms: allForms.length > 1,
-      teamsUsed: teamsArray,
-      aiStrategiesUsed: aiStrategiesArray,
-      mapsUsed: mapsArray,
-      primaryTeam,
-      primaryAIStrategy,
-      primaryMap,
-      primaryPosition,
-      // Use activeMatchCount (non-zero battleTime) for all averages when available
-      _activeMatches: char.activeMatchCount || 0,
-      avgDamage: Math.round(char.totalDamage / (char.activeMatchCount > 0 ? char.activeMatchCount : char.matchCount)),
-      avgTaken: Math.round(char.totalTaken / (char.activeMatchCount > 0 ? char.activeMatchCount : char.matchCount)),
-      avgHealth: Math.round(char.totalHealth / (char.activeMatchCount > 0 ? char.activeMatchCount : char.matchCount)),
-      avgBattleTime: Math.round((char.totalBattleTime / (char.activeMatchCount > 0 ? char.activeMatchCount : char.matchCount)) * 10) / 10,
-      avgHPGaugeValueMax: Math.round(char.totalHPGaugeValueMax / (char.activeMatchCount > 0 ? char.activeMatchCount : char.matchCount)),
-  avgSpecial: Math.round((char.totalSpecial / (char.activeMatchCount > 0 ? char.activeMatchCount : char.matchCount)) * 10) / 10,
-      avgSkills: Math.round((char.totalSkills / (char.activeMatchCount > 0 ? char.activeMatchCount : char.matchCount)) * 10) / 10,
-      avgKills: Math.round((char.totalKills / (char.activeMatchCount > 0 ? char.activeMatchCount : char.matchCount)) * 100) / 100,
-      // Survival & Health averages
-      survivalRate: Math.round((char.survivalCount / (char.activeMatchCount > 0 ? char.activeMatchCount : char.matchCount)) * 1000) / 10, // % of matches survived
-      avgSparking: Math.round((char.totalSparking / (char.activeMatchCount > 0 ? char.activeMatchCount : char.matchCount)) * 100) / 100,
-      avgCharges: Math.round((char.totalCharges / (char.activeMatchCount > 0 ? char.activeMatchCount : char.matchCount)) * 10) / 10,
-      avgGuards: Math.round((char.totalGuards / (char.activeMatchCount > 0 ? char.activeMatchCount : char.matchCount)) * 10) / 10,
-      avgEnergyBlasts: Math.round((char.totalEnergyBlasts / (char.activeMatchCount > 0 ? char.activeMatchCount : char.matchCount)) * 10) / 10,
-      avgZCounters: Math.round((char.totalZCounters / (char.activeMatchCount > 0 ? char.activeMatchCount : char.matchCount)) * 100) / 100,
-      avgSuperCounters: Math.round((char.totalSuperCounters / (char.activeMatchCount > 0 ? char.activeMatchCount : char.matchCount)) * 100) / 100,
-      avgRevengeCounters: Math.round((char.totalRevengeCounters / (char.activeMatchCount > 0 ? char.activeMatchCount : char.matchCount)) * 100) / 100,
-      avgTags: Math.round((char.totalTags / (char.activeMatchCount > 0 ? char.activeMatchCount : char.matchCount)) * 100) / 100,
-      avgTransformations: Math.round((char.totalTransformations / (char.activeMatchCount > 0 ? char.activeMatchCount : char.matchCount)) * 100) / 100,
-      // Special Abilities - NEW blast tracking averages
-      avgS1Blast: Math.round((char.totalS1Blast / (char.activeMatchCount > 0 ? char.activeMatchCount : char.matchCount)) * 100) / 100,
-      avgS2Blast: Math.round((char.totalS2Blast / (char.activeMatchCount > 0 ? char.activeMatchCount : char.matchCount)) * 100) / 100,
-      avgUltBlast: Math.round((char.totalUltBlast / (char.activeMatchCount > 0 ? char.activeMatchCount : char.matchCount)) * 100) / 100,
-      avgS1Hit: Math.round((char.totalS1HitBlast / (char.activeMatchCount > 0 ? char.activeMatchCount : char.matchCount)) * 100) / 100,
-      avgS2Hit: Math.round((char.totalS2HitBlast / (char.activeMatchCount > 0 ? char.activeMatchCount : char.matchCount)) * 100) / 100,
-      avgUltHit: Math.round((char.totalULTHitBlast / (char.activeMatchCount > 0 ? char.activeMatchCount : char.matchCount)) * 100) / 100,
-      // Hit rates (overall across all matches) - calculated from trackable throws only, null if no trackable data
-      s1HitRateOverall: char.totalS1BlastTrackable > 0 ? Math.round((char.totalS1HitBlast / char.totalS1BlastTrackable) * 1000) / 10 : null,
-      s2HitRateOverall: char.totalS2BlastTrackable > 0 ? Math.round((char.totalS2HitBlast / char.totalS2BlastTrackable) * 1000) / 10 : null,
-      ultHitRateOverall: char.totalUltBlastTrackable > 0 ? Math.round((char.totalULTHitBlast / char.totalUltBlastTrackable) * 1000) / 10 : null,
-      
-      
-      // Special Abilities - Legacy blast tracking (kept for backwards compatibility, now using new values)
-    avgSPM1: Math.round((char.totalS1Blast / (char.activeMatchCount > 0 ? char.activeMatchCount : char.matchCount)) * 100) / 100,
-  avgSPM2: Math.round((char.totalS2Blast / (char.activeMatchCount > 0 ? char.activeMatchCount : char.matchCount)) * 100) / 100,
-  avgEXA1: Math.round((char.totalEXA1 / (char.activeMatchCount > 0 ? char.activeMatchCount : char.matchCount)) * 100) / 100,
-  avgEXA2: Math.round((char.totalEXA2 / (char.activeMatchCount > 0 ? char.activeMatchCount : char.matchCount)) * 100) / 100,
-  avgUltimates: Math.round((char.totalUltimates / (char.activeMatchCount > 0 ? char.activeMatchCount : char.matchCount)) * 100) / 100,
-  avgDragonDashMileage: Math.round((char.totalDragonDashMileage / (char.activeMatchCount > 0 ? char.activeMatchCount : char.matchCount)) * 10) / 10,
-  avgMaxComboDamage: Math.round(char.maxComboDamageTotal / (char.activeMatchCount > 0 ? char.activeMatchCount : char.matchCount)),
-  avgThrows: Math.round((char.totalThrows / (char.activeMatchCount > 0 ? char.activeMatchCount : char.matchCount)) * 100) / 100,
-  avgLightningAttacks: Math.round((char.totalLightningAttacks / (char.activeMatchCount > 0 ? char.activeMatchCount : char.matchCount)) * 100) / 100,
-  avgVanishingAttacks: Math.round((char.totalVanishingAttacks / (char.activeMatchCount > 0 ? char.activeMatchCount : char.matchCount)) * 100) / 100,
-  avgDragonHoming: Math.round((char.totalDragonHoming / (char.activeMatchCount > 0 ? char.activeMatchCount : char.matchCount)) * 100) / 100,
-  avgSpeedImpacts: Math.round((char.totalSpeedImpacts / (char.activeMatchCount > 0 ? char.activeMatchCount : char.matchCount)) * 100) / 100,
-  avgSpeedImpactWins: Math.round((char.totalSpeedImpactWins / (char.activeMatchCount > 0 ? char.activeMatchCount : char.matchCount)) * 100) / 100,
-  avgSparkingCombo: Math.round((char.totalSparkingCombo / (char.activeMatchCount > 0 ? char.activeMatchCount : char.matchCount)) * 10) / 10,
-  // Build & Equipment averages
-  avgCapsuleCost: Math.round(char.totalCapsuleCost / (char.activeMatchCount > 0 ? char.activeMatchCount : char.matchCount)),
-  // Build-type cost averages (new 7-category system)
-  avgMeleeCost: Math.round((char.totalMeleeCost / (char.activeMatchCount > 0 ? char.activeMatchCount : char.matchCount)) * 10) / 10,
-  avgBlastCost: Math.round((char.totalBlastCost / (char.activeMatchCount > 0 ? char.activeMatchCount : char.matchCount)) * 10) / 10,
-  avgKiBlastCost: Math.round((char.totalKiBlastCost / (char.activeMatchCount > 0 ? char.activeMatchCount : char.matchCount)) * 10) / 10,
-  avgDefenseCost: Math.round((char.totalDefenseCost / (char.activeMatchCount > 0 ? char.activeMatchCount : char.matchCount)) * 10) / 10,
-  avgSkillCost: Math.round((char.totalSkillCost / (char.activeMatchCount > 0 ? char.activeMatchCount : char.matchCount)) * 10) / 10,
-  avgKiEfficiencyCost: Math.round((char.totalKiEfficiencyCost / (char.activeMatchCount > 0 ? char.activeMatchCount : char.matchCount)) * 10) / 10,
-  avgUtilityCost: Math.round((char.totalUtilityCost / (char.activeMatchCount > 0 ? char.activeMatchCount : char.matchCount)) * 10) / 10,
-      // Most used build composition (new 7-category system)
-      primaryBuildComposition: Object.keys(char.buildCompositions).length > 0
-        ? Object.keys(char.buildCompositions).reduce((a, b) => 
-            char.buildCompositions[a] > char.buildCompositions[b] ? a : b)
-        : 'No Build',
-      // Most used capsules (top 7)
-      topCapsules: Object.values(char.capsuleUsage)
-        .sort((a, b) => b.count - a.count)
-        .slice(0, 7)
-        .map(c => ({ id: c.id, name: c.name, usage: c.count }))
-    };
-  }).map(char => {
-    // Calculate top 3 most used builds (similar to Team Rankings implementation)
-    const buildGroups = {};
-    
-    // Group matches by exact capsule loadout + AI strategy so different capsule sets are tracked separately
-    char.matches.forEach(match => {
-      if (match.buildComposition && match.buildComposition.label) {
-        const capsuleKey = (match.equippedCapsules || [])
-          .map(c => c.name || c.id || '')
-          .sort()
-          .join(',');
-        const buildLabel = `${capsuleKey}|${match.aiStrategy || 'Default'}`;
-        
-        if (!buildGroups[buildLabel]) {
-          buildGroups[buildLabel] = {
-            buildComposition: match.buildComposition,
-            aiStrategy: match.aiStrategy || null,
-            equippedCapsules: match.equippedCapsules || [],
-            totalCapsuleCost: match.totalCapsuleCost || 0,
-            count: 0,
-            activeCount: 0,
-            totalDamageDealt: 0,
-            totalDamageTaken: 0,
-            totalBattleDuration: 0,
-            totalHealthRemaining: 0,
-            totalHealthMax: 0
-          };
-        }
-        
-        buildGroups[buildLabel].count++;
-        // Only count as active if battleTime > 0
-        if (match.battleTime && match.battleTime > 0) {
-          buildGroups[buildLabel].activeCount++;
-          buildGroups[buildLabel].totalBattleDuration += match.battleTime;
-          // Only accumulate stats for active matches
-          buildGroups[buildLabel].totalDamageDealt += match.damageDone || 0;
-          buildGroups[buildLabel].totalDamageTaken += match.damageTaken || 0;
-          buildGroups[buildLabel].totalHealthRemaining += match.hPGaugeValue || 0;
-          buildGroups[buildLabel].totalHealthMax += match.hPGaugeValueMax || 0;
-        }
-      }
-    });
-    
-    // Calculate performance score for each build and sort
-    const sortedBuilds = Object.values(buildGroups)
-      .filter(build => build.activeCount > 0) // Only include builds with active matches
-      .map(build => {
-        // Use activeCount for averages (non-zero battleTime), fallback to count
-        const denominator = build.activeCount > 0 ? build.activeCount : build.count;
-        // Round averages to match character-level calculation precision
-        const avgDamageDealt = Math.round(build.totalDamageDealt / denominator);
-        const avgDamageTaken = Math.round(build.totalDamageTaken / denominator);
-        const avgBattleDuration = Math.round((build.totalBattleDuration / (build.activeCount > 0 ? build.activeCount : 1)) * 10) / 10;
-        const avgHealthRemaining = Math.round(build.totalHealthRemaining / denominator);
-        const avgHealthMax = Math.round(build.totalHealthMax / denominator);
-        
-        // Calculate derived stats (use totals, not rounded averages, for accuracy)
-        const damageEfficiency = build.totalDamageTaken > 0 
-          ? build.totalDamageDealt / build.totalDamageTaken 
-          : build.totalDamageDealt;
-        const damagePerSecond = build.totalBattleDuration > 0 
-          ? build.totalDamageDealt / build.totalBattleDuration 
-          : 0;
-        const healthRetention = avgHealthMax > 0 ? avgHealthRemaining / avgHealthMax : 0;
-        
-        // Calculate base score using same formula as character performance
-        const baseScore = (
-          (avgDamageDealt / 100000) * 35 +        // Damage dealt weight: 35%
-          (damageEfficiency) * 25 +                // Damage efficiency weight: 25%
-          (damagePerSecond / 1000) * 25 +          // Damage per second weight: 25%
-          (healthRetention) * 15                   // Health retention weight: 15%
-        );
-        
-        // Apply experience multiplier
-        const experienceMultiplier = Math.min(1.25, 1.0 + ((build.activeCount > 0 ? build.activeCount : build.count) - 1) * (0.25 / 11));
-        const performanceScore = Math.round((baseScore * experienceMultiplier) * 100) / 100;
-        
-        return {
-          ...build,
-          avgPerformanceScore: performanceScore
-        };
-      })
-      .sort((a, b) => {
-        // Primary sort: by active usage count (descending)
-        if (b.activeCount !== a.activeCount) return b.activeCount - a.activeCount;
-        // Tie-breaker: by average performance score (descending)
-        return b.avgPerformanceScore - a.avgPerformanceScore;
-      });
-    
-    // Pass all builds (no cap) — UI handles selection and display
-    const topBuilds = sortedBuilds;
-    
-    // Calculate combat performance score
-    const avgDamage = char.avgDamage;
-    const avgTaken = char.avgTaken;
-    const avgBattleTime = char.avgBattleTime;
-    // Use total-based efficiency calculation (aggregate then calculate)
-    const damageEfficiency = char.totalTaken > 0 ? char.totalDamage / char.totalTaken : char.totalDamage;
-    // Use total-based DPS calculation (total damage / total time) - same as build calculation
-    const damagePerSecond = char.totalBattleTime > 0 ? char.totalDamage / char.totalBattleTime : 0;
-    const healthRetention = char.avgHPGaugeValueMax > 0 ? char.avgHealth / char.avgHPGaugeValueMax : 0;
-    
-    // Base performance score (normalized metrics)
-    const baseScore = (
-      (avgDamage / 100000) * 35 +        // Damage dealt weight: 35%
-      (damageEfficiency) * 25 +          // Damage efficiency weight: 25%
-      (damagePerSecond / 1000) * 25 +    // Damage per second weight: 25%
-      (healthRetention) * 15             // Health retention weight: 15%
-    );
-    
-    // Experience multiplier based on matches played (1.0 to 1.25x, maxed at 12 matches)
-    // Characters with more matches get slightly higher weight
-  // Use active matches (non-zero battleTime) for experience weighting when available
-  const experienceMatches = (char.activeMatchCount && char.activeMatchCount > 0) ? char.activeMatchCount : char.matchCount;
-  const experienceMultiplier = Math.min(1.25, 1.0 + (experienceMatches - 1) * (0.25 / 11));
-    
-    // Final combat performance score
-    const combatPerformanceScore = baseScore * experienceMultiplier;
-    
-    // Calculate win rate from matches array
-  // For win rate, prefer counting only active matches (non-zero battleTime)
-  const totalMatches = char.matches ? char.matches.length : char.matchCount;
-  const activeMatches = char.matches ? char.matches.filter(m => m.battleTime && m.battleTime > 0) : [];
-  const winsActive = activeMatches.length > 0 ? activeMatches.filter(m => m.won).length : (char.matches ? char.matches.filter(m => m.won).length : 0);
-  const winRate = activeMatches.length > 0 ? Math.round((winsActive / activeMatches.length) * 1000) / 10 : (totalMatches > 0 ? Math.round(((char.matches ? char.matches.filter(m => m.won).length : 0) / totalMatches) * 1000) / 10 : 0);
-    
-    // Calculate wins and losses
-    const totalWins = char.matches ? char.matches.filter(m => m.won).length : 0;
-    const totalLosses = char.matches ? char.matches.filter(m => !m.won).length : 0;
-    
-    // Calculate speed impact win rate (wins / impacts * 100)
-    const speedImpactWinRate = char.totalSpeedImpacts > 0 
-      ? Math.round((char.totalSpeedImpactWins / char.totalSpeedImpacts) * 1000) / 10 
-      : 0;
-    
-    return {
-      ...char,
-      dps: Math.round(damagePerSecond * 10) / 10, // Add DPS field
-      efficiency: Math.round(damageEfficiency * 100) / 100, // Add efficiency field
-      hpRetention: Math.round(healthRetention * 1000) / 10, // Add HP retention % field
-      combatPerformanceScore: Math.round(combatPerformanceScore * 100) / 100,
-      winRate: winRate, // Add win rate % field
-      wins: totalWins, // Add total wins
-      losses: totalLosses, // Add total losses
-      speedImpactWinRate: speedImpactWinRate, // Add speed impact win rate % field
-      topBuilds: topBuilds // Add top 3 most used builds
-    };
-  }).sort((a, b) => {
-    // Primary sort: Combat performance score (descending)
-    if (Math.abs(b.combatPerformanceScore - a.combatPerformanceScore) > 0.1) {
-      return b.combatPerformanceScore - a.combatPerformanceScore;
-    }
-    // Secondary sort: Average damage (descending) for very close scores
-    if (Math.abs(b.avgDamage - a.avgDamage) > 1000) {
-      return b.avgDamage - a.avgDamage;
-    }
-    // Tertiary sort: Match count (descending) for nearly identical performance
-    return b.matchCount - a.matchCount;
-  });
-  
-  // DEBUG: Cross-check character vs build scores for single-build characters
-  const singleBuildChars = aggregated.filter(char => 
-    char.topBuilds && 
-    char.topBuilds.length === 1 && 
-    char.topBuilds[0] &&
-    char.activeMatchCount === char.topBuilds[0].activeCount
-  );
-  
-  return aggregated;
-}
-
-// Helper: recompute team character averages from a filtered subset of raw match data
-// Used by the build filter feature in the teams view to re-scope stats without full re-aggregation
-function recomputeTeamCharStats(rawMatches, originalStats) {
-  const activeMatches = rawMatches.filter(m => m.battleDuration && m.battleDuration > 0);
-  const matchesToAggregate = activeMatches.length > 0 ? activeMatches : rawMatches;
-  const matchCount = rawMatches.length;
-  const activeMatchCount = matchesToAggregate.length;
-  const denom = Math.max(activeMatchCount, 1);
-
-  const totalDamageDealt = matchesToAggregate.reduce((s, m) => s + (m.damageDealt || 0), 0);
-  const totalDamageTaken = matchesToAggregate.reduce((s, m) => s + (m.damageTaken || 0), 0);
-  const totalBattleDuration = matchesToAggregate.reduce((s, m) => s + (m.battleDuration || 0), 0);
-  const totalHealthRemaining = matchesToAggregate.reduce((s, m) => s + (m.healthRemaining || 0), 0);
-  const totalHealthMax = matchesToAggregate.reduce((s, m) => s + (m.healthMax || 0), 0);
-
-  const avgDamageDealt = Math.round(totalDamageDealt / denom);
-  const avgDamageTaken = Math.round(totalDamageTaken / denom);
-  const avgBattleDuration = totalBattleDuration / denom;
-  const avgHealthRemaining = totalHealthRemaining / denom;
-  const avgHealthMax = totalHealthMax / denom;
-
-  const damageEfficiency = totalDamageTaken > 0
-    ? Math.round((totalDamageDealt / totalDamageTaken) * 100) / 100
-    : (totalDamageDealt > 0 ? 999 : 0);
-  const damagePerSecond = totalBattleDuration > 0
-    ? Math.round((totalDamageDealt / totalBattleDuration) * 100) / 100 : 0;
-  const healthRetention = avgHealthMax > 0 ? avgHealthRemaining / avgHealthMax : 0;
-
-  const baseScore = ((avgDamageDealt / 100000) * 35) + (damageEfficiency * 25) + ((damagePerSecond / 1000) * 25) + (healthRetention * 15);
-  const experienceMultiplier = Math.min(1.25, 1.0 + (activeMatchCount - 1) * (0.25 / 11));
-  const performanceScore = Math.round((baseScore * experienceMultiplier) * 100) / 100;
-
-  const totalSpecialMoves = rawMatches.reduce((s, m) => s + (m.specialMovesUsed || 0), 0);
-  const totalUltimates = rawMatches.reduce((s, m) => s + (m.ultimatesUsed || 0), 0);
-  const totalSPM1 = rawMatches.reduce((s, m) => s + (m.spm1Count || 0), 0);
-  const totalSPM2 = rawMatches.reduce((s, m) => s + (m.spm2Count || 0), 0);
-  const totalEXA1 = rawMatches.reduce((s, m) => s + (m.exa1Count || 0), 0);
-  const totalEXA2 = rawMatches.reduce((s, m) => s + (m.exa2Count || 0), 0);
-  const totalS1Blast = rawMatches.reduce((s, m) => s + (m.s1Blast || m.spm1Count || 0), 0);
-  const totalS2Blast = rawMatches.reduce((s, m) => s + (m.s2Blast || m.spm2Count || 0), 0);
-  const totalUltBlast = rawMatches.reduce((s, m) => s + (m.ultBlast || 0), 0);
-  const totalS1HitBlast = rawMatches.reduce((s, m) => s + (m.s1HitBlast || 0), 0);
-  const totalS2HitBlast = rawMatches.reduce((s, m) => s + (m.s2HitBlast || 0), 0);
-  const totalULTHitBlast = rawMatches.reduce((s, m) => s + (m.uLTHitBlast || 0), 0);
-  const totalS1BlastTrackable = rawMatches.reduce((s, m) => s + ((m.s1HitBlast !== undefined && m.s1HitBlast !== null) ? (m.s1Blast || 0) : 0), 0);
-  const totalS2BlastTrackable = rawMatches.reduce((s, m) => s + ((m.s2HitBlast !== undefined && m.s2HitBlast !== null) ? (m.s2Blast || 0) : 0), 0);
-  const totalUltBlastTrackable = rawMatches.reduce((s, m) => s + ((m.uLTHitBlast !== undefined && m.uLTHitBlast !== null) ? (m.ultBlast || 0) : 0), 0);
-  const totalTags = rawMatches.reduce((s, m) => s + (m.tags || 0), 0);
-  const totalTransformations = rawMatches.reduce((s, m) => s + (m.formChangeCount || 0), 0);
-  const totalSparking = rawMatches.reduce((s, m) => s + (m.sparkingCount || 0), 0);
-  const totalCharges = rawMatches.reduce((s, m) => s + (m.chargeCount || 0), 0);
-  const totalGuards = rawMatches.reduce((s, m) => s + (m.guardCount || 0), 0);
-  const totalEnergyBlasts = rawMatches.reduce((s, m) => s + (m.shotEnergyBulletCount || 0), 0);
-  const totalZCounters = rawMatches.reduce((s, m) => s + (m.zCounterCount || 0), 0);
-  const totalSuperCounters = rawMatches.reduce((s, m) => s + (m.superCounterCount || 0), 0);
-  const totalRevengeCounters = rawMatches.reduce((s, m) => s + (m.revengeCounterCount || 0), 0);
-  const totalMaxComboNum = rawMatches.reduce((s, m) => s + (m.maxComboNum || 0), 0);
-  const totalMaxComboDamage = rawMatches.reduce((s, m) => s + (m.maxComboDamage || 0), 0);
-  const totalThrows = rawMatches.reduce((s, m) => s + (m.throwCount || 0), 0);
-  const totalDragonHoming = rawMatches.reduce((s, m) => s + (m.dragonHomingCount || 0), 0);
-  const totalSpeedImpacts = rawMatches.reduce((s, m) => s + (m.speedImpactCount || 0), 0);
-  const totalSpeedImpactWins = rawMatches.reduce((s, m) => s + (m.speedImpactWins || 0), 0);
-  const totalSparkingCombo = rawMatches.reduce((s, m) => s + (m.sparkingComboCount || 0), 0);
-  const totalDragonDashMileage = rawMatches.reduce((s, m) => s + (m.dragonDashMileage || 0), 0);
-  const totalKills = rawMatches.reduce((s, m) => s + (m.kills || 0), 0);
-  const speedImpactWinRate = totalSpeedImpacts > 0
-    ? Math.round((totalSpeedImpactWins / totalSpeedImpacts) * 1000) / 10 : 0;
-
-  return {
-    ...originalStats,
-    avgDamageDealt,
-    avgDamageTaken,
-    avgDamageEfficiency: damageEfficiency,
-    avgDamagePerSecond: damagePerSecond,
-    avgHealthRetention: healthRetention,
-    avgHealthMax: Math.round(avgHealthMax),
-    avgHealthRemaining: Math.round(avgHealthRemaining),
-    avgBattleDuration: Math.round(avgBattleDuration),
-    performanceScore,
-    matchesPlayed: matchCount,
-    activeMatchesPlayed: activeMatchCount,
-    avgSpecialMoves: Math.round((totalSpecialMoves / denom) * 10) / 10,
-    avgUltimates: Math.round((totalUltimates / denom) * 100) / 100,
-    avgSPM1: Math.round((totalSPM1 / denom) * 100) / 100,
-    avgSPM2: Math.round((totalSPM2 / denom) * 100) / 100,
-    avgEXA1: Math.round((totalEXA1 / denom) * 100) / 100,
-    avgEXA2: Math.round((totalEXA2 / denom) * 100) / 100,
-    avgS1Blast: Math.round((totalS1Blast / denom) * 100) / 100,
-    avgS2Blast: Math.round((totalS2Blast / denom) * 100) / 100,
-    avgUltBlast: Math.round((totalUltBlast / denom) * 100) / 100,
-    avgS1Hit: Math.round((totalS1HitBlast / denom) * 100) / 100,
-    avgS2Hit: Math.round((totalS2HitBlast / denom) * 100) / 100,
-    avgUltHit: Math.round((totalULTHitBlast / denom) * 100) / 100,
-    s1HitRateOverall: totalS1BlastTrackable > 0 ? Math.round((totalS1HitBlast / totalS1BlastTrackable) * 1000) / 10 : null,
-    s2HitRateOverall: totalS2BlastTrackable > 0 ? Math.round((totalS2HitBlast / totalS2BlastTrackable) * 1000) / 10 : null,
-    ultHitRateOverall: totalUltBlastTrackable > 0 ? Math.round((totalULTHitBlast / totalUltBlastTrackable) * 1000) / 10 : null,
-    avgTags: Math.round((totalTags / denom) * 100) / 100,
-    totalTags,
-    avgTransformations: Math.round((totalTransformations / denom) * 100) / 100,
-    avgSparking: Math.round((totalSparking / denom) * 100) / 100,
-    avgCharges: Math.round((totalCharges / denom) * 10) / 10,
-    avgGuards: Math.round((totalGuards / denom) * 10) / 10,
-    avgEnergyBlasts: Math.round((totalEnergyBlasts / denom) * 10) / 10,
-    avgZCounters: Math.round((totalZCounters / denom) * 100) / 100,
-    avgSuperCounters: Math.round((totalSuperCounters / denom) * 100) / 100,
-    avgRevengeCounters: Math.round((totalRevengeCounters / denom) * 100) / 100,
-    avgMaxComboNum: Math.round((totalMaxComboNum / denom) * 10) / 10,
-    avgMaxComboDamage: Math.round(totalMaxComboDamage / denom),
-    avgThrows: Math.round((totalThrows / denom) * 100) / 100,
-    avgDragonHoming: Math.round((totalDragonHoming / denom) * 100) / 100,
-    avgSpeedImpacts: Math.round((totalSpeedImpacts / denom) * 100) / 100,
-    speedImpactWinRate,
-    avgSparkingCombo: Math.round((totalSparkingCombo / denom) * 10) / 10,
-    avgDragonDashMileage: Math.round((totalDragonDashMileage / denom) * 10) / 10,
-    avgKills: Math.round((totalKills / denom) * 100) / 100,
-    // Keep topBuilds from the original so the full builds table is unchanged
-    topBuilds: originalStats.topBuilds,
-    rawMatches: originalStats.rawMatches,
-  };
-}
-
-function getTeamAggregatedData(files, charMap, capsuleMap = {}, aiStrategiesMap = {}) {
-  const teamStats = {};
-  
-  files.forEach((file, index) => {
-    if (file.error) return;
-    
-    let teams, battleWinLose, characterRecord, characterIdRecord = null;
-    
-    // Handle TeamBattleResults format (current BR_Data structure)
-    if (file.content.TeamBattleResults) {
-      teams = file.content.TeamBattleResults.teams;
-      // Check for battleResult (lowercase r)
-      if (file.content.TeamBattleResults.battleResult) {
-        battleWinLose = file.content.TeamBattleResults.battleResult.battleWinLose;
-        characterRecord = file.content.TeamBattleResults.battleResult.characterRecord;
-        characterIdRecord = file.content.TeamBattleResults.battleResult.characterIdRecord;
-      }
-      // Check for BattleResults (capital R) - Cinema files format
-      else if (file.content.TeamBattleResults.BattleResults) {
-        battleWinLose = file.content.TeamBattleResults.BattleResults.battleWinLose;
-        characterRecord = file.content.TeamBattleResults.BattleResults.characterRecord;
-        characterIdRecord = file.content.TeamBattleResults.BattleResults.characterIdRecord;
-      }
-      // Check if data is directly in TeamBattleResults (new wrapper format)
-      else if (file.content.TeamBattleResults.battleWinLose && file.content.TeamBattleResults.characterRecord) {
-        battleWinLose = file.content.TeamBattleResults.battleWinLose;
-        characterRecord = file.content.TeamBattleResults.characterRecord;
-        characterIdRecord = file.content.TeamBattleResults.characterIdRecord;
-      }
-    }
-    // Handle other formats
-    else if (file.content.teams && Array.isArray(file.content.teams)) {
-      teams = file.content.teams;
-      if (file.content.teams[0]?.BattleResults) {
-        battleWinLose = file.content.teams[0].BattleResults.battleWinLose;
-        characterRecord = file.content.teams[0].BattleResults.characterRecord;
-        characterIdRecord = file.content.teams[0].BattleResults.characterIdRecord;
-      }
-    }
-    else if (file.content.BattleResults) {
-      battleWinLose = file.content.BattleResults.battleWinLose;
-      characterRecord = file.content.BattleResults.characterRecord;
-      characterIdRecord = file.content.BattleResults.characterIdRecord;
-      // Try to extract team names from file name or default
-      teams = ["Team 1", "Team 2"];
-    }
-    
-    if (!teams || !Array.isArray(teams) || teams.length < 2 || !battleWinLose || !characterRecord) {
-      return;
-    }
-    
-    const team1Name = teams[0];
-    const team2Name = teams[1];
-    
-    // Check if team names are valid (not empty, null, undefined, or just whitespace)
-    const isTeam1Valid = team1Name && typeof team1Name === 'string' && team1Name.trim() !== '';
-    const isTeam2Valid = team2Name && typeof team2Name === 'string' && team2Name.trim() !== '';
-    
-    // Skip entirely if both teams are invalid
-    if (!isTeam1Valid && !isTeam2Valid) {
-      return;
-    }
-    
-    // Determine which teams to process (only valid ones)
-    const teamsToProcess = [];
-    if (isTeam1Valid) teamsToProcess.push({ name: team1Name, isTeam1: true });
-    if (isTeam2Valid) teamsToProcess.push({ name: team2Name, isTeam1: false });
-    
-    // Initialize team stats if they don't exist
-    teamsToProcess.forEach(({ name: teamName }) => {
-      if (!teamStats[teamName]) {
-        teamStats[teamName] = {
-          teamName,
-          matches: 0,
-          activeMatches: 0, // Track matches with battleDuration > 0
-          wins: 0,
-          losses: 0,
-          winRate: 0,
-          totalDamageDealt: 0,
-          totalDamageTaken: 0,
-          totalHealthRemaining: 0,
-          totalHealthMax: 0,
-          totalMatchDuration: 0, // Track total battle time across all matches
-          avgDamagePerMatch: 0,
-          avgDamageTakenPerMatch: 0,
-          avgHealthRetention: 0,
-          charactersUsed: new Set(),
-          characterUsageCount: {},
-          characterDetails: {},  // Store individual character match data
-          characterAverages: {}, // Store calculated averages per character
-          buildCompositions: {}, // New 7-category system - dynamic tracking
-          matchHistory: [],
-          opponentRecords: {}
-        };
-      }
-    });
-    
-    // Process match result from team1's perspective
-    const team1Won = battleWinLose === 'Win';
-    const team2Won = battleWinLose === 'Lose';
-    
-    // Update win/loss records only for valid teams
-    if (isTeam1Valid) {
-      teamStats[team1Name].matches++;
-      if (team1Won) teamStats[team1Name].wins++;
-      else if (team2Won) teamStats[team1Name].losses++;
-    }
-    
-    if (isTeam2Valid) {
-      teamStats[team2Name].matches++;
-      if (team2Won) teamStats[team2Name].wins++;
-      else if (team1Won) teamStats[team2Name].losses++;
-    }
-    
-    // Initialize opponent records only if both teams are valid
-    if (isTeam1Valid && isTeam2Valid) {
-      if (!teamStats[team1Name].opponentRecords[team2Name]) {
-        teamStats[team1Name].opponentRecords[team2Name] = { wins: 0, losses: 0, characterMatchups: {} };
-      }
-      if (!teamStats[team2Name].opponentRecords[team1Name]) {
-        teamStats[team2Name].opponentRecords[team1Name] = { wins: 0, losses: 0, characterMatchups: {} };
-      }
-      
-      // Update head-to-head records
-      if (team1Won) {
-        teamStats[team1Name].opponentRecords[team2Name].wins++;
-        teamStats[team2Name].opponentRecords[team1Name].losses++;
-      } else if (team2Won) {
-        teamStats[team1Name].opponentRecords[team2Name].losses++;
-        teamStats[team2Name].opponentRecords[team1Name].wins++;
-      }
-    }
-    
-    // Process character data for both teams
-    const teams_data = getTeams(characterRecord);
-    const p1TeamStats = getTeamStats(teams_data.p1, charMap, capsuleMap);
-    const p2TeamStats = getTeamStats(teams_data.p2, charMap, capsuleMap);
-    
-    // Check if this is an active match (has battle duration > 0)
-    const isActiveMatch = p1TeamStats.totalBattleTime > 0 || p2TeamStats.totalBattleTime > 0;
-    
-    // Increment active match count for valid teams
-    if (isActiveMatch) {
-      if (isTeam1Valid) teamStats[team1Name].activeMatches++;
-      if (isTeam2Valid) teamStats[team2Name].activeMatches++;
-    }
-    
-    // Aggregate team 1 stats only if valid AND active match
-    if (isTeam1Valid && isActiveMatch) {
-      teamStats[team1Name].totalDamageDealt += p1TeamStats.totalDamage;
-      teamStats[team1Name].totalDamageTaken += p1TeamStats.totalTaken;
-      teamStats[team1Name].totalHealthRemaining += p1TeamStats.totalHealth;
-      teamStats[team1Name].totalHealthMax += p1TeamStats.totalHPGaugeValueMax;
-      teamStats[team1Name].totalMatchDuration += p1TeamStats.totalBattleTime;
-    }
-    
-    // Aggregate team 2 stats only if valid AND active match
-    if (isTeam2Valid && isActiveMatch) {
-      teamStats[team2Name].totalDamageDealt += p2TeamStats.totalDamage;
-      teamStats[team2Name].totalDamageTaken += p2TeamStats.totalTaken;
-      teamStats[team2Name].totalHealthRemaining += p2TeamStats.totalHealth;
-      teamStats[team2Name].totalHealthMax += p2TeamStats.totalHPGaugeValueMax;
-      teamStats[team2Name].totalMatchDuration += p2TeamStats.totalBattleTime;
-    }
-    
-    // Track character usage for team 1 only if valid
-    if (isTeam1Valid) {
-      teams_data.p1.forEach(char => {
-      const stats = extractStats(char, charMap, capsuleMap, null, aiStrategiesMap);
-      if (stats.name && stats.name !== '-') {
-        teamStats[team1Name].charactersUsed.add(stats.name);
-        teamStats[team1Name].characterUsageCount[stats.name] = 
-          (teamStats[team1Name].characterUsageCount[stats.name] || 0) + 1;
-        
-        // Initialize character details array if needed
-        if (!teamStats[team1Name].characterDetails[stats.name]) {
-          teamStats[team1Name].characterDetails[stats.name] = [];
-        }
-        
-        // Extract original character ID for form tracking
-        const originalForm = char.battlePlayCharacter?.originalCharacter?.key || char.originalCharacter?.key;
-        
-        // Derive position from the character's key in the record
-        const p1SlotKeys = teams_data.p1.filter(c => c._key.includes('AlliesTeamMember')).length;
-        const charKey1 = char._key || '';
-        let charPosition1 = null;
-        if (charKey1.includes('\uff11\uff30')) {
-          charPosition1 = 1;
-        } else {
-          const slotMatch1 = charKey1.match(/Member(\d+)/);
-          if (slotMatch1) {
-            const slotNum1 = parseInt(slotMatch1[1]);
-            charPosition1 = slotNum1 === p1SlotKeys ? 3 : 2;
-          }
-        }
-
-        // Store individual character match data with all detailed stats
-        teamStats[team1Name].characterDetails[stats.name].push({
-          damageDealt: stats.damageDone || 0,
-          damageTaken: stats.damageTaken || 0,
-          healthRemaining: stats.hPGaugeValue || 0,
-          healthMax: stats.hPGaugeValueMax || 0,
-          battleDuration: stats.battleTime || 0,
-          position: charPosition1,
-          // Build and AI Strategy
-          buildComposition: stats.buildComposition,
-          aiStrategy: stats.aiStrategy,
-          equippedCapsules: stats.equippedCapsules || [],
-          totalCapsuleCost: stats.totalCapsuleCost || 0,
-          // Special Abilities
-          specialMovesUsed: stats.specialMovesUsed || 0,
-          ultimatesUsed: stats.ultimatesUsed || 0,
-          skillsUsed: stats.skillsUsed || 0,
-          // NEW blast tracking
-          s1Blast: stats.s1Blast || 0,
-          s2Blast: stats.s2Blast || 0,
-          ultBlast: stats.ultBlast || 0,
-          s1HitBlast: stats.s1HitBlast,
-          s2HitBlast: stats.s2HitBlast,
-          uLTHitBlast: stats.uLTHitBlast,
-          s1HitRate: stats.s1HitRate,
-          s2HitRate: stats.s2HitRate,
-          ultHitRate: stats.ultHitRate,
-          // Legacy blast tracking (for backwards compatibility)
-          spm1Count: stats.s1Blast || 0,
-          spm2Count: stats.s2Blast || 0,
-          exa1Count: stats.exa1Count || 0,
-          exa2Count: stats.exa2Count || 0,
-          // Survival & Health
-          sparkingCount: stats.sparkingCount || 0,
-          chargeCount: stats.chargeCount || 0,
-          guardCount: stats.guardCount || 0,
-          shotEnergyBulletCount: stats.shotEnergyBulletCount || 0,
-          zCounterCount: stats.zCounterCount || 0,
-          superCounterCount: stats.superCounterCount || 0,
-          revengeCounterCount: stats.revengeCounterCount || 0,
-          tags: stats.tags || 0,
-          formChangeCount: stats.formChangeCount || 0,
-          // Combat Performance
-          maxComboNum: stats.maxComboNum || 0,
-          maxComboDamage: stats.maxComboDamage || 0,
-          throwCount: stats.throwCount || 0,
-          lightningAttackCount: stats.lightningAttackCount || 0,
-          vanishingAttackCount: stats.vanishingAttackCount || 0,
-          dragonHomingCount: stats.dragonHomingCount || 0,
-          speedImpactCount: stats.speedImpactCount || 0,
-          speedImpactWins: stats.speedImpactWins || 0,
-          sparkingComboCount: stats.sparkingComboCount || 0,
-          dragonDashMileage: stats.dragonDashMileage || 0,
-          kills: stats.kills || 0,
-          fileName: file.name,
-          // Per-form stats tracking
-          formChangeHistory: char.formChangeHistory || [],
-          originalCharacterId: originalForm,
-          characterIdRecord: characterIdRecord,
-          rawCharacterData: char // Store raw data for per-form calculation
-        });
-        
-        // Track build compositions (new 7-category system)
-        if (stats.buildComposition && stats.buildComposition.label) {
-          const compositionLabel = stats.buildComposition.label;
-          if (!teamStats[team1Name].buildCompositions[compositionLabel]) {
-            teamStats[team1Name].buildCompositions[compositionLabel] = 0;
-          }
-          teamStats[team1Name].buildCompositions[compositionLabel]++;;
-        }
-      }
-    });
-    }
-    
-    // Track character usage for team 2 only if valid
-    if (isTeam2Valid) {
-      teams_data.p2.forEach(char => {
-      const stats = extractStats(char, charMap, capsuleMap, null, aiStrategiesMap);
-      if (stats.name && stats.name !== '-') {
-        teamStats[team2Name].charactersUsed.add(stats.name);
-        teamStats[team2Name].characterUsageCount[stats.name] = 
-          (teamStats[team2Name].characterUsageCount[stats.name] || 0) + 1;
-        
-        // Initialize character details array if needed
-        if (!teamStats[team2Name].characterDetails[stats.name]) {
-          teamStats[team2Name].characterDetails[stats.name] = [];
-        }
-        
-        // Extract original character ID for form tracking
-        const originalForm = char.battlePlayCharacter?.originalCharacter?.key || char.originalCharacter?.key;
-        
-        // Derive position from the character's key in the record
-        const p2SlotKeys = teams_data.p2.filter(c => c._key.includes('EnemyTeamMember')).length;
-        const charKey2 = char._key || '';
-        let charPosition2 = null;
-        if (charKey2.includes('\uff12\uff30')) {
-          charPosition2 = 1;
-        } else {
-          const slotMatch2 = charKey2.match(/Member(\d+)/);
-          if (slotMatch2) {
-            const slotNum2 = parseInt(slotMatch2[1]);
-            charPosition2 = slotNum2 === p2SlotKeys ? 3 : 2;
-          }
-        }
-
-        // Store individual character match data with all detailed stats
-        teamStats[team2Name].characterDetails[stats.name].push({
-          damageDealt: stats.damageDone || 0,
-          damageTaken: stats.damageTaken || 0,
-          healthRemaining: stats.hPGaugeValue || 0,
-          healthMax: stats.hPGaugeValueMax || 0,
-          battleDuration: stats.battleTime || 0,
-          position: charPosition2,
-          // Build and AI Strategy
-          buildComposition: stats.buildComposition,
-          aiStrategy: stats.aiStrategy,
-          equippedCapsules: stats.equippedCapsules || [],
-          totalCapsuleCost: stats.totalCapsuleCost || 0,
-          // Special Abilities
-          specialMovesUsed: stats.specialMovesUsed || 0,
-          ultimatesUsed: stats.ultimatesUsed || 0,
-          skillsUsed: stats.skillsUsed || 0,
-          // NEW blast tracking
-          s1Blast: stats.s1Blast || 0,
-          s2Blast: stats.s2Blast || 0,
-          ultBlast: stats.ultBlast || 0,
-          s1HitBlast: stats.s1HitBlast,
-          s2HitBlast: stats.s2HitBlast,
-          uLTHitBlast: stats.uLTHitBlast,
-          s1HitRate: stats.s1HitRate,
-          s2HitRate: stats.s2HitRate,
-          ultHitRate: stats.ultHitRate,
-          // Legacy blast tracking (for backwards compatibility)
-          spm1Count: stats.s1Blast || 0,
-          spm2Count: stats.s2Blast || 0,
-          exa1Count: stats.exa1Count || 0,
-          exa2Count: stats.exa2Count || 0,
-          // Survival & Health
-          sparkingCount: stats.sparkingCount || 0,
-          chargeCount: stats.chargeCount || 0,
-          guardCount: stats.guardCount || 0,
-          shotEnergyBulletCount: stats.shotEnergyBulletCount || 0,
-          zCounterCount: stats.zCounterCount || 0,
-          superCounterCount: stats.superCounterCount || 0,
-          revengeCounterCount: stats.revengeCounterCount || 0,
-          tags: stats.tags || 0,
-          formChangeCount: stats.formChangeCount || 0,
-          // Combat Performance
-          maxComboNum: stats.maxComboNum || 0,
-          maxComboDamage: stats.maxComboDamage || 0,
-          throwCount: stats.throwCount || 0,
-          lightningAttackCount: stats.lightningAttackCount || 0,
-          vanishingAttackCount: stats.vanishingAttackCount || 0,
-          dragonHomingCount: stats.dragonHomingCount || 0,
-          speedImpactCount: stats.speedImpactCount || 0,
-          speedImpactWins: stats.speedImpactWins || 0,
-          sparkingComboCount: stats.sparkingComboCount || 0,
-          dragonDashMileage: stats.dragonDashMileage || 0,
-          kills: stats.kills || 0,
-          fileName: file.name,
-          // Per-form stats tracking
-          formChangeHistory: char.formChangeHistory || [],
-          originalCharacterId: originalForm,
-          characterIdRecord: characterIdRecord,
-          rawCharacterData: char // Store raw data for per-form calculation
-        });
-        
-        // Track build compositions (new 7-category system)
-        if (stats.buildComposition && stats.buildComposition.label) {
-          const compositionLabel = stats.buildComposition.label;
-          if (!teamStats[team2Name].buildCompositions[compositionLabel]) {
-            teamStats[team2Name].buildCompositions[compositionLabel] = 0;
-          }
-          teamStats[team2Name].buildCompositions[compositionLabel]++;;
-        }
-      }
-    });
-    }
-    
-    // Track position-based character matchups (only if both teams are valid)
-    if (isTeam1Valid && isTeam2Valid) {
-      teams_data.p1.forEach((p1Char, index) => {
-        const p2Char = teams_data.p2[index];
-        if (!p2Char) return; // No opposing character at this position
-        
-        const p1Stats = extractStats(p1Char, charMap, capsuleMap, null, aiStrategiesMap);
-        const p2Stats = extractStats(p2Char, charMap, capsuleMap, null, aiStrategiesMap);
-        
-        if (p1Stats.name && p1Stats.name !== '-' && p2Stats.name && p2Stats.name !== '-') {
-          const position = index + 1; // 1-indexed position
-          
-          // Track for team1 vs team2
-          const matchupKey = `${p1Stats.name}_vs_${p2Stats.name}`;
-          if (!teamStats[team1Name].opponentRecords[team2Name].characterMatchups[matchupKey]) {
-            teamStats[team1Name].opponentRecords[team2Name].characterMatchups[matchupKey] = {
-              characterName: p1Stats.name,
-              opponentName: p2Stats.name,
-              position: position,
-              matches: [],
-              buildUsage: {},
-              buildCompositionData: {} // Store full build composition data
-            };
-          }
-          
-          // Calculate performance score for this match
-          const damageEfficiency = (p1Stats.damageTaken || 1) > 0 ? p1Stats.damageDone / p1Stats.damageTaken : p1Stats.damageDone;
-          const dps = (p1Stats.battleTime || 1) > 0 ? p1Stats.damageDone / p1Stats.battleTime : 0;
-          const healthRetention = (p1Stats.hPGaugeValueMax || 1) > 0 ? p1Stats.hPGaugeValue / p1Stats.hPGaugeValueMax : 0;
-          const baseScore = (
-            (p1Stats.damageDone / 100000) * 35 +
-            (damageEfficiency) * 25 +
-            (dps / 1000) * 25 +
-            (healthRetention) * 15
-          );
-          
-          teamStats[team1Name].opponentRecords[team2Name].characterMatchups[matchupKey].matches.push({
-            damageDealt: p1Stats.damageDone || 0,
-            damageTaken: p1Stats.damageTaken || 0,
-            battleTime: p1Stats.battleTime || 0,
-            healthRemaining: p1Stats.hPGaugeValue || 0,
-            healthMax: p1Stats.hPGaugeValueMax || 0,
-            performanceScore: baseScore
-          });
-          
-          // Track build usage for this matchup
-          if (p1Stats.buildComposition && p1Stats.buildComposition.label) {
-            const buildKey = `${p1Stats.buildComposition.label}|${p1Stats.aiStrategy || 'Default'}`;
-            teamStats[team1Name].opponentRecords[team2Name].characterMatchups[matchupKey].buildUsage[buildKey] = 
-              (teamStats[team1Name].opponentRecords[team2Name].characterMatchups[matchupKey].buildUsage[buildKey] || 0) + 1;
-            // Store the full build composition data
-            if (!teamStats[team1Name].opponentRecords[team2Name].characterMatchups[matchupKey].buildCompositionData[buildKey]) {
-              teamStats[team1Name].opponentRecords[team2Name].characterMatchups[matchupKey].buildCompositionData[buildKey] = {
-                buildComposition: p1Stats.buildComposition,
-                aiStrategy: p1Stats.aiStrategy || 'Default',
-                equippedCapsules: p1Stats.equippedCapsules || [],
-                totalCapsuleCost: p1Stats.totalCapsuleCost || 0
-              };
-            }
-          }
-          
-          // Track for team2 vs team1 (reverse matchup)
-          const reverseMatchupKey = `${p2Stats.name}_vs_${p1Stats.name}`;
-          if (!teamStats[team2Name].opponentRecords[team1Name].characterMatchups[reverseMatchupKey]) {
-            teamStats[team2Name].opponentRecords[team1Name].characterMatchups[reverseMatchupKey] = {
-              characterName: p2Stats.name,
-              opponentName: p1Stats.name,
-              position: position,
-              matches: [],
-              buildUsage: {},
-              buildCompositionData: {} // Store full build composition data
-            };
-          }
-          
-          const p2DamageEfficiency = (p2Stats.damageTaken || 1) > 0 ? p2Stats.damageDone / p2Stats.damageTaken : p2Stats.damageDone;
-          const p2Dps = (p2Stats.battleTime || 1) > 0 ? p2Stats.damageDone / p2Stats.battleTime : 0;
-          const p2HealthRetention = (p2Stats.hPGaugeValueMax || 1) > 0 ? p2Stats.hPGaugeValue / p2Stats.hPGaugeValueMax : 0;
-          const p2BaseScore = (
-            (p2Stats.damageDone / 100000) * 35 +
-            (p2DamageEfficiency) * 25 +
-            (p2Dps / 1000) * 25 +
-            (p2HealthRetention) * 15
-          );
-          
-          teamStats[team2Name].opponentRecords[team1Name].characterMatchups[reverseMatchupKey].matches.push({
-            damageDealt: p2Stats.damageDone || 0,
-            damageTaken: p2Stats.damageTaken || 0,
-            battleTime: p2Stats.battleTime || 0,
-            healthRemaining: p2Stats.hPGaugeValue || 0,
-            healthMax: p2Stats.hPGaugeValueMax || 0,
-            performanceScore: p2BaseScore
-          });
-          
-          if (p2Stats.buildComposition && p2Stats.buildComposition.label) {
-            const p2BuildKey = `${p2Stats.buildComposition.label}|${p2Stats.aiStrategy || 'Default'}`;
-            teamStats[team2Name].opponentRecords[team1Name].characterMatchups[reverseMatchupKey].buildUsage[p2BuildKey] = 
-              (teamStats[team2Name].opponentRecords[team1Name].characterMatchups[reverseMatchupKey].buildUsage[p2BuildKey] || 0) + 1;
-            // Store the full build composition data
-            if (!teamStats[team2Name].opponentRecords[team1Name].characterMatchups[reverseMatchupKey].buildCompositionData[p2BuildKey]) {
-              teamStats[team2Name].opponentRecords[team1Name].characterMatchups[reverseMatchupKey].buildCompositionData[p2BuildKey] = {
-                buildComposition: p2Stats.buildComposition,
-                aiStrategy: p2Stats.aiStrategy || 'Default',
-                equippedCapsules: p2Stats.equippedCapsules || [],
-                totalCapsuleCost: p2Stats.totalCapsuleCost || 0
-              };
-            }
-          }
-        }
-      });
-    }
-    
-    // Add match history only for valid teams
-    if (isTeam1Valid) {
-      teamStats[team1Name].matchHistory.push({
-        opponent: isTeam2Valid ? team2Name : 'Unknown',
-        result: team1Won ? 'Win' : 'Loss',
-        damageDealt: p1TeamStats.totalDamage,
-        damageTaken: p1TeamStats.totalTaken,
-        healthRemaining: p1TeamStats.totalHealth,
-        healthMax: p1TeamStats.totalHPGaugeValueMax,
-        battleDuration: p1TeamStats.totalBattleTime,
-        fileName: file.name
-      });
-    }
-    
-    if (isTeam2Valid) {
-      teamStats[team2Name].matchHistory.push({
-        opponent: isTeam1Valid ? team1Name : 'Unknown',
-        result: team2Won ? 'Win' : 'Loss',
-        damageDealt: p2TeamStats.totalDamage,
-        damageTaken: p2TeamStats.totalTaken,
-        healthRemaining: p2TeamStats.totalHealth,
-        healthMax: p2TeamStats.totalHPGaugeValueMax,
-        battleDuration: p2TeamStats.totalBattleTime,
-        fileName: file.name
-      });
-    }
-  });
-  
-  // Calculate final statistics and format data
-  return Object.values(teamStats).map(team => {
-    team.winRate = team.matches > 0 ? Math.round((team.wins / team.matches) * 100 * 10) / 10 : 0;
-    
-    // Convert character usage set to array and sort by usage frequency
-    team.favoriteCharacters = Object.entries(team.characterUsageCount)
-      .sort((a, b) => b[1] - a[1])
-      .slice(0, 5)
-      .map(([name, count]) => ({ name, usage: count }));
-    
-    // Calculate per-character averages
-    Object.entries(team.characterDetails).forEach(([charName, matches]) => {
-      if (matches.length > 0) {
-        // Filter for active matches first (same approach as build calculation)
-        const activeMatches = matches.filter(m => m.battleDuration && m.battleDuration > 0);
-        const matchesToAggregate = activeMatches.length > 0 ? activeMatches : matches;
-        
-        const totalDamageDealt = matchesToAggregate.reduce((sum, match) => sum + (match.damageDealt || 0), 0);
-        const totalDamageTaken = matchesToAggregate.reduce((sum, match) => sum + (match.damageTaken || 0), 0);
-        const totalBattleDuration = matchesToAggregate.reduce((sum, match) => sum + (match.battleDuration || 0), 0);
-        const totalHealthRemaining = matchesToAggregate.reduce((sum, match) => sum + (match.healthRemaining || 0), 0);
-        const totalHealthMax = matchesToAggregate.reduce((sum, match) => sum + (match.healthMax || 0), 0);
-        
-        // Special Abilities totals
-        const totalSpecialMoves = matches.reduce((sum, match) => sum + (match.specialMovesUsed || 0), 0);
-        const totalUltimates = matches.reduce((sum, match) => sum + (match.ultimatesUsed || 0), 0);
-        const totalSkills = matches.reduce((sum, match) => sum + (match.skillsUsed || 0), 0);
-        const totalSPM1 = matches.reduce((sum, match) => sum + (match.spm1Count || 0), 0);
-        const totalSPM2 = matches.reduce((sum, match) => sum + (match.spm2Count || 0), 0);
-        const totalEXA1 = matches.reduce((sum, match) => sum + (match.exa1Count || 0), 0);
-        const totalEXA2 = matches.reduce((sum, match) => sum + (match.exa2Count || 0), 0);
-        
-        // New blast tracking totals
-        const totalS1Blast = matches.reduce((sum, match) => sum + (match.s1Blast || match.spm1Count || 0), 0);
-        const totalS2Blast = matches.reduce((sum, match) => sum + (match.s2Blast || match.spm2Count || 0), 0);
-        const totalUltBlast = matches.reduce((sum, match) => sum + (match.ultBlast || 0), 0);
-        const totalS1HitBlast = matches.reduce((sum, match) => sum + (match.s1HitBlast || 0), 0);
-        const totalS2HitBlast = matches.reduce((sum, match) => sum + (match.s2HitBlast || 0), 0);
-        const totalULTHitBlast = matches.reduce((sum, match) => sum + (match.uLTHitBlast || 0), 0);
-        const totalTags = matches.reduce((sum, match) => sum + (match.tags || 0), 0);
-        const totalTransformations = matches.reduce((sum, match) => sum + (match.formChangeCount || 0), 0);
-        
-        // Track separately for hit rate calculation (only from matches with additionalCounts data)
-        // Check each blast type individually - a match is trackable for a blast type only if that specific blast type has hit data
-        const totalS1BlastTrackable = matches.reduce((sum, match) => {
-          // Check if THIS blast type has hit data in this match
-          const hasS1HitData = (match.s1HitBlast !== undefined && match.s1HitBlast !== null);
-          return sum + (hasS1HitData ? (match.s1Blast || 0) : 0);
-        }, 0);
-        const totalS2BlastTrackable = matches.reduce((sum, match) => {
-          // Check if THIS blast type has hit data in this match
-          const hasS2HitData = (match.s2HitBlast !== undefined && match.s2HitBlast !== null);
-          return sum + (hasS2HitData ? (match.s2Blast || 0) : 0);
-        }, 0);
-        const totalUltBlastTrackable = matches.reduce((sum, match) => {
-          // Check if THIS blast type has hit data in this match
-          const hasUltHitData = (match.uLTHitBlast !== undefined && match.uLTHitBlast !== null);
-          return sum + (hasUltHitData ? (match.ultBlast || 0) : 0);
-        }, 0);
-        
-        // Survival & Health totals
-        const totalSparking = matches.reduce((sum, match) => sum + (match.sparkingCount || 0), 0);
-        const totalCharges = matches.reduce((sum, match) => sum + (match.chargeCount || 0), 0);
-        const totalGuards = matches.reduce((sum, match) => sum + (match.guardCount || 0), 0);
-        const totalEnergyBlasts = matches.reduce((sum, match) => sum + (match.shotEnergyBulletCount || 0), 0);
-        const totalZCounters = matches.reduce((sum, match) => sum + (match.zCounterCount || 0), 0);
-        const totalSuperCounters = matches.reduce((sum, match) => sum + (match.superCounterCount || 0), 0);
-        const totalRevengeCounters = matches.reduce((sum, match) => sum + (match.revengeCounterCount || 0), 0);
-        
-        // Combat Performance totals
-        const totalMaxComboNum = matches.reduce((sum, match) => sum + (match.maxComboNum || 0), 0);
-        const totalMaxComboDamage = matches.reduce((sum, match) => sum + (match.maxComboDamage || 0), 0);
-        const totalThrows = matches.reduce((sum, match) => sum + (match.throwCount || 0), 0);
-        const totalLightningAttacks = matches.reduce((sum, match) => sum + (match.lightningAttackCount || 0), 0);
-        const totalVanishingAttacks = matches.reduce((sum, match) => sum + (match.vanishingAttackCount || 0), 0);
-        const totalDragonHoming = matches.reduce((sum, match) => sum + (match.dragonHomingCount || 0), 0);
-        const totalSpeedImpacts = matches.reduce((sum, match) => sum + (match.speedImpactCount || 0), 0);
-        const totalSpeedImpactWins = matches.reduce((sum, match) => sum + (match.speedImpactWins || 0), 0);
-        const totalSparkingCombo = matches.reduce((sum, match) => sum + (match.sparkingComboCount || 0), 0);
-        const totalDragonDashMileage = matches.reduce((sum, match) => sum + (match.dragonDashMileage || 0), 0);
-        const totalKills = matches.reduce((sum, match) => sum + (match.kills || 0), 0);
-        
-        const matchCount = matches.length;
-        const activeMatchCount = matchesToAggregate.length;
-        const denom = activeMatchCount;
-        
-        const avgDamageDealt = Math.round(totalDamageDealt / Math.max(denom, 1));
-        const avgDamageTaken = Math.round(totalDamageTaken / Math.max(denom, 1));
-        const avgBattleDuration = totalBattleDuration / Math.max(denom, 1);
-        const avgHealthRemaining = totalHealthRemaining / Math.max(denom, 1);
-        const avgHealthMax = totalHealthMax / Math.max(denom, 1);
-        
-        const damageEfficiency = totalDamageTaken > 0 ? 
-          Math.round((totalDamageDealt / totalDamageTaken) * 100) / 100 : 
-          (totalDamageDealt > 0 ? 999 : 0);
-        const damagePerSecond = totalBattleDuration > 0 ? 
-          Math.round((totalDamageDealt / totalBattleDuration) * 100) / 100 : 0;
-        const healthRetention = avgHealthMax > 0 ? avgHealthRemaining / avgHealthMax : 0;
-        
-        // Calculate performance score using same formula as character aggregation
-        const baseScore = (
-          (avgDamageDealt / 100000) * 35 +        // Damage dealt weight: 35%
-          (damageEfficiency) * 25 +                // Damage efficiency weight: 25%
-          (damagePerSecond / 1000) * 25 +          // Damage per second weight: 25%
-          (healthRetention) * 15                   // Health retention weight: 15%
-        );
-        
-        // Experience multiplier based on matches played (use active match count)
-        const experienceMultiplier = Math.min(1.25, 1.0 + (activeMatchCount - 1) * (0.25 / 11));
-        const performanceScore = Math.round((baseScore * experienceMultiplier) * 100) / 100;
-        
-        // Calculate speed impact win rate
-        const speedImpactWinRate = totalSpeedImpacts > 0 
-          ? Math.round((totalSpeedImpactWins / totalSpeedImpacts) * 1000) / 10 
-          : 0;
-        
-        team.characterAverages[charName] = {
-          avgDamageDealt,
-          avgDamageTaken,
-          avgDamageEfficiency: damageEfficiency,
-          avgDamagePerSecond: damagePerSecond,
-          avgHealthRetention: healthRetention,
-          avgHealthMax: Math.round(avgHealthMax),
-          avgHealthRemaining: Math.round(avgHealthRemaining),
-          avgBattleDuration: Math.round(avgBattleDuration),
-          performanceScore,
-          matchesPlayed: matchCount,
-          activeMatchesPlayed: activeMatchCount,
-          usageRate: Math.round((activeMatchCount / team.activeMatches) * 100 * 10) / 10,
-          // Special Abilities averages
-          avgSpecialMoves: Math.round((totalSpecialMoves / denom) * 10) / 10,
-          avgUltimates: Math.round((totalUltimates / denom) * 100) / 100,
-          avgSkills: Math.round((totalSkills / denom) * 10) / 10,
-          avgSPM1: Math.round((totalSPM1 / denom) * 100) / 100,
-          avgSPM2: Math.round((totalSPM2 / denom) * 100) / 100,
-          avgEXA1: Math.round((totalEXA1 / denom) * 100) / 100,
-          avgEXA2: Math.round((totalEXA2 / denom) * 100) / 100,
-          // New blast tracking averages
-          avgS1Blast: Math.round((totalS1Blast / denom) * 100) / 100,
-          avgS2Blast: Math.round((totalS2Blast / denom) * 100) / 100,
-          avgUltBlast: Math.round((totalUltBlast / denom) * 100) / 100,
-          avgS1Hit: Math.round((totalS1HitBlast / denom) * 100) / 100,
-          avgS2Hit: Math.round((totalS2HitBlast / denom) * 100) / 100,
-          avgUltHit: Math.round((totalULTHitBlast / denom) * 100) / 100,
-          s1HitRateOverall: totalS1BlastTrackable > 0 ? Math.round((totalS1HitBlast / totalS1BlastTrackable) * 1000) / 10 : null,
-          s2HitRateOverall: totalS2BlastTrackable > 0 ? Math.round((totalS2HitBlast / totalS2BlastTrackable) * 1000) / 10 : null,
-          ultHitRateOverall: totalUltBlastTrackable > 0 ? Math.round((totalULTHitBlast / totalUltBlastTrackable) * 1000) / 10 : null,
-          
-          avgTags: Math.round((totalTags / denom) * 100) / 100,
-          totalTags: totalTags,
-          avgTransformations: Math.round((totalTransformations / denom) * 100) / 100,
-          
-          // Survival & Health averages
-          avgSparking: Math.round((totalSparking / denom) * 100) / 100,
-          avgCharges: Math.round((totalCharges / denom) * 10) / 10,
-          avgGuards: Math.round((totalGuards / denom) * 10) / 10,
-          avgEnergyBlasts: Math.round((totalEnergyBlasts / denom) * 10) / 10,
-          avgZCounters: Math.round((totalZCounters / denom) * 100) / 100,
-          avgSuperCounters: Math.round((totalSuperCounters / denom) * 100) / 100,
-          avgRevengeCounters: Math.round((totalRevengeCounters / denom) * 100) / 100,
-          // Combat Performance averages
-          avgMaxComboNum: Math.round((totalMaxComboNum / denom) * 10) / 10,
-          avgMaxComboDamage: Math.round(totalMaxComboDamage / denom),
-          avgThrows: Math.round((totalThrows / denom) * 100) / 100,
-          avgLightningAttacks: Math.round((totalLightningAttacks / denom) * 100) / 100,
-          avgVanishingAttacks: Math.round((totalVanishingAttacks / denom) * 100) / 100,
-          avgDragonHoming: Math.round((totalDragonHoming / denom) * 100) / 100,
-          avgSpeedImpacts: Math.round((totalSpeedImpacts / denom) * 100) / 100,
-          avgSpeedImpactWins: Math.round((totalSpeedImpactWins / denom) * 100) / 100,
-          speedImpactWinRate: speedImpactWinRate,
-          avgSparkingCombo: Math.round((totalSparkingCombo / denom) * 10) / 10,
-          avgDragonDashMileage: Math.round((totalDragonDashMileage / denom) * 10) / 10,
-          avgKills: Math.round((totalKills / denom) * 100) / 100,
-          // Raw match data for build filter recomputation
-          rawMatches: matches,
-          // Most common position
-          primaryPosition: (() => {
-            const pc = { 1: 0, 2: 0, 3: 0 };
-            matches.forEach(m => { if (m.position) pc[m.position] = (pc[m.position] || 0) + 1; });
-            const total = pc[1] + pc[2] + pc[3];
-            if (total === 0) return null;
-            const best = [1, 2, 3].reduce((a, b) => pc[b] > pc[a] ? b : a, 1);
-            return best === 1 ? 'Starter' : best === 2 ? 'Middle' : 'Anchor';
-          })()
-        };
-        
-        // Track build usage for this character
-        // Key by exact capsule loadout + AI strategy so different capsule sets are tracked separately
-        const buildUsageMap = {};
-        matches.forEach(match => {
-          if (match.buildComposition && match.buildComposition.label) {
-            const capsuleKey = (match.equippedCapsules || [])
-              .map(c => c.name || c.id || '')
-              .sort()
-              .join(',');
-            const buildKey = `${capsuleKey}|${match.aiStrategy || 'Default'}`;
-            if (!buildUsageMap[buildKey]) {
-              buildUsageMap[buildKey] = {
-                buildLabel: match.buildComposition.label,
-                buildComposition: match.buildComposition,
-                aiStrategy: match.aiStrategy,
-                equippedCapsules: match.equippedCapsules || [],
-                totalCapsuleCost: match.totalCapsuleCost || 0,
-                count: 0,
-                activeCount: 0, // Track active matches (with battleDuration > 0)
-                // Aggregate stats (same approach as character)
-                totalDamageDealt: 0,
-                totalDamageTaken: 0,
-                totalBattleDuration: 0,
-                totalHealthRemaining: 0,
-                totalHealthMax: 0
-              };
-            }
-            buildUsageMap[buildKey].count++;
-            // Only aggregate stats from active matches (same as character)
-            if (match.battleDuration && match.battleDuration > 0) {
-              buildUsageMap[buildKey].activeCount++;
-              buildUsageMap[buildKey].totalDamageDealt += match.damageDealt || 0;
-              buildUsageMap[buildKey].totalDamageTaken += match.damageTaken || 0;
-              buildUsageMap[buildKey].totalBattleDuration += match.battleDuration || 0;
-              buildUsageMap[buildKey].totalHealthRemaining += match.healthRemaining || 0;
-              buildUsageMap[buildKey].totalHealthMax += match.healthMax || 0;
-            }
-          }
-        });
-        
-        // Sort builds by usage first, then by average performance score for tie-breaking
-        const sortedBuilds = Object.values(buildUsageMap)
-          .filter(build => build.activeCount > 0) // Only include builds with active matches
-          .map(build => {
-            // Calculate metrics from aggregated totals (same as character calculation)
-            const denom = build.activeCount;
-            const avgDamageDealt = Math.round(build.totalDamageDealt / Math.max(denom, 1));
-            const avgDamageTaken = Math.round(build.totalDamageTaken / Math.max(denom, 1));
-            const avgBattleDuration = build.totalBattleDuration / Math.max(denom, 1);
-            const avgHealthRemaining = build.totalHealthRemaining / Math.max(denom, 1);
-            const avgHealthMax = build.totalHealthMax / Math.max(denom, 1);
-            
-            const damageEfficiency = build.totalDamageTaken > 0 ? 
-              Math.round((build.totalDamageDealt / build.totalDamageTaken) * 100) / 100 : 
-              (build.totalDamageDealt > 0 ? 999 : 0);
-            const damagePerSecond = build.totalBattleDuration > 0 ? 
-              Math.round((build.totalDamageDealt / build.totalBattleDuration) * 100) / 100 : 0;
-            const healthRetention = avgHealthMax > 0 ? avgHealthRemaining / avgHealthMax : 0;
-            
-            // Calculate base score using same formula as character
-            const baseScore = (
-              (avgDamageDealt / 100000) * 35 +        // Damage dealt weight: 35%
-              (damageEfficiency) * 25 +                // Damage efficiency weight: 25%
-              (damagePerSecond / 1000) * 25 +          // Damage per second weight: 25%
-              (healthRetention) * 15                   // Health retention weight: 15%
-            );
-            
-            // Apply experience multiplier consistent with character performance score
-            // Use activeCount for experience, same as character (prefer active matches)
-            const experienceMultiplier = Math.min(1.25, 1.0 + ((build.activeCount > 0 ? build.activeCount : build.count) - 1) * (0.25 / 11));
-            const performanceScore = Math.round((baseScore * experienceMultiplier) * 100) / 100;
-            
-            return {
-              ...build,
-              avgPerformanceScore: performanceScore
-            };
-          })
-          .sort((a, b) => {
-            // Primary sort: by active usage count (descending)
-            if (b.activeCount !== a.activeCount) return b.activeCount - a.activeCount;
-            // Tie-breaker: by average performance score (descending)
-            return b.avgPerformanceScore - a.avgPerformanceScore;
-          });
-        
-        // Pass all builds (no cap) — UI handles selection and display
-        team.characterAverages[charName].topBuilds = sortedBuilds;
-        
-        // Aggregate per-form stats for characters with transformations
-        const formStatsMap = {};
-        matches.forEach(match => {
-          // Check if this character has form changes AND characterIdRecord data
-          const hasFormChanges = Array.isArray(match.formChangeHistory) && match.formChangeHistory.length > 0;
-          const hasCharacterIdRecord = match.characterIdRecord && typeof match.characterIdRecord === 'object';
-          
-          if (hasFormChanges && hasCharacterIdRecord) {
-            const perFormStats = calculatePerFormStats(
-              match.rawCharacterData,
-              match.characterIdRecord,
-              match.formChangeHistory,
-              match.originalCharacterId
-            );
-
-            
-            perFormStats.forEach(formStat => {
-              const formId = formStat.formId;
-              if (!formStatsMap[formId]) {
-                formStatsMap[formId] = {
-                  formId: formId,
-                  formNumber: formStat.formNumber,
-                  isFirstForm: formStat.isFirstForm,
-                  isFinalForm: formStat.isFinalForm,
-                  totalDamageDone: 0,
-                  totalDamageTaken: 0,
-                  totalBattleTime: 0,
-                  totalBattleCount: 0,
-                  totalHPRemaining: 0,
-                  totalHPMax: 0,
-                  totalSpecialMoves: 0,
-                  totalUltimates: 0,
-                  totalS1Blast: 0,
-                  totalS2Blast: 0,
-                  totalUltBlast: 0,
-                  totalS1HitBlast: 0,
-                  totalS2HitBlast: 0,
-                  totalULTHitBlast: 0,
-                  totalKills: 0,
-                  matches: 0
-                };
-              }
-              
-              formStatsMap[formId].totalDamageDone += formStat.damageDone || 0;
-              formStatsMap[formId].totalDamageTaken += formStat.damageTaken || 0;
-              formStatsMap[formId].totalBattleTime += formStat.battleTime || 0;
-              formStatsMap[formId].totalHPRemaining += formStat.hpRemaining || 0;
-              formStatsMap[formId].totalHPMax += (formStat.hpRemaining || 0);
-              formStatsMap[formId].totalSpecialMoves += formStat.specialMovesUsed || 0;
-              formStatsMap[formId].totalUltimates += formStat.ultimatesUsed || 0;
-              formStatsMap[formId].totalS1Blast += formStat.s1Blast || 0;
-              formStatsMap[formId].totalS2Blast += formStat.s2Blast || 0;
-              formStatsMap[formId].totalUltBlast += formStat.ultBlast || 0;
-              formStatsMap[formId].totalS1HitBlast += (formStat.s1HitBlast || 0);
-              formStatsMap[formId].totalS2HitBlast += (formStat.s2HitBlast || 0);
-              formStatsMap[formId].totalULTHitBlast += (formStat.uLTHitBlast || 0);
-              formStatsMap[formId].totalKills += formStat.kills || 0;
-              formStatsMap[formId].matches += 1;
-            });
-          }
-        });
-        
-        // Calculate averages for each form
-        const aggregatedFormStats = Object.values(formStatsMap).map(formData => {
-          const matchCount = formData.matches;
-          const avgDamageDone = matchCount > 0 ? formData.totalDamageDone / matchCount : 0;
-          const avgDamageTaken = matchCount > 0 ? formData.totalDamageTaken / matchCount : 0;
-          const avgBattleTime = matchCount > 0 ? formData.totalBattleTime / matchCount : 0;
-          
-          // Calculate derived stats using total-based calculations
-          const damageEfficiency = formData.totalDamageTaken > 0 ? formData.totalDamageDone / formData.totalDamageTaken : 0;
-          const damagePerSecond = formData.totalBattleTime > 0 ? formData.totalDamageDone / formData.totalBattleTime : 0;
-          
-          return {
-            formId: formData.formId,
-            formNumber: formData.formNumber,
-            characterName: charMap[formData.formId] || formData.formId,
-            isFirstForm: formData.isFirstForm,
-            isFinalForm: formData.isFinalForm,
-            avgDamageDone: avgDamageDone,
-            avgDamageTaken: avgDamageTaken,
-            avgBattleTime: avgBattleTime,
-            avgHPRemaining: matchCount > 0 ? formData.totalHPRemaining / matchCount : 0,
-            avgSpecialMoves: matchCount > 0 ? formData.totalSpecialMoves / matchCount : 0,
-            avgUltimates: matchCount > 0 ? formData.totalUltimates / matchCount : 0,
-            avgS1Blast: matchCount > 0 ? formData.totalS1Blast / matchCount : 0,
-            avgS2Blast: matchCount > 0 ? formData.totalS2Blast / matchCount : 0,
-            avgUltBlast: matchCount > 0 ? formData.totalUltBlast / matchCount : 0,
-            avgS1HitBlast: matchCount > 0 ? formData.totalS1HitBlast / matchCount : 0,
-            avgS2HitBlast: matchCount > 0 ? formData.totalS2HitBlast / matchCount : 0,
-            avgULTHitBlast: matchCount > 0 ? formData.totalULTHitBlast / matchCount : 0,
-            avgKills: matchCount > 0 ? formData.totalKills / matchCount : 0,
-            damageEfficiency: damageEfficiency,
-            damagePerSecond: damagePerSecond,
-            matchCount: matchCount
-          };
-        }).sort((a, b) => a.formNumber - b.formNumber);
-        
-        // Add form stats to character averages
-        if (aggregatedFormStats.length > 0) {
-          team.characterAverages[charName].formStats = aggregatedFormStats;
-          
-          // Build form change history text
-          const formNames = aggregatedFormStats.map(f => f.characterName);
-          team.characterAverages[charName].formChangeHistoryText = formNames.join(' → ');
-          
-          // Store raw form change history for component
-          team.characterAverages[charName].formChangeHistory = matches[0]?.formChangeHistory || [];
-        }
-      }
-    });
-    
-    // Get top 5 characters by performance score for team-level stats (matching Team Performance Matrix logic)
-    const top5Characters = Object.entries(team.characterAverages)
-      .sort((a, b) => (b[1].performanceScore || 0) - (a[1].performanceScore || 0))
-      .slice(0, 5)
-      .map(([name, stats]) => ({ name, ...stats }));
-    
-    // Calculate team-level stats based on top 5 characters
-    const top5TotalDamage = top5Characters.reduce((sum, char) => sum + char.avgDamageDealt, 0);
-    const top5TotalTaken = top5Characters.reduce((sum, char) => sum + char.avgDamageTaken, 0);
-    const top5TotalMaxHP = top5Characters.reduce((sum, char) => sum + char.avgHealthMax, 0);
-    const top5TotalHPLeft = top5Characters.reduce((sum, char) => sum + char.avgHealthRemaining, 0);
-    const top5TotalBattleTime = top5Characters.reduce((sum, char) => sum + (char.avgBattleDuration || 0), 0);
-    const top5TotalTags = top5Characters.reduce((sum, char) => sum + (char.totalTags || 0), 0);
-    
-    // Team-level calculated stats from top 5
-    team.avgDamagePerMatch = Math.round(top5TotalDamage);
-    team.avgDamageTakenPerMatch = Math.round(top5TotalTaken);
-    team.avgHealthRetention = top5TotalMaxHP > 0 ? 
-      Math.round((top5TotalHPLeft / top5TotalMaxHP) * 1000) / 10 : 0;
-    team.top5Efficiency = top5TotalTaken > 0 ? 
-      Math.round((top5TotalDamage / top5TotalTaken) * 100) / 100 : 0;
-    team.top5DPS = top5TotalBattleTime > 0 ?
-      Math.round((top5TotalDamage / top5TotalBattleTime) * 10) / 10 : 0;
-    // Calculate average TOTAL match duration (total battle time of all characters per match)
-    team.top5AvgMatchDuration = team.matches > 0 ?
-      Math.round(team.totalMatchDuration / team.matches) : 0;
-    team.top5AvgHPRemaining = top5Characters.length > 0 ?
-      Math.round(top5TotalHPLeft / top5Characters.length) : 0;
-    team.top5AvgTags = top5Characters.length > 0 ?
-      Math.round((top5TotalTags / top5Characters.length) * 10) / 10 : 0;
-    team.top5TotalTags = top5TotalTags;
-    
-    // Store top 5 character names for UI highlighting
-    team.top5CharacterNames = top5Characters.map(c => c.name);
-    
-    // Convert set to count for UI display
-    team.uniqueCharactersUsed = team.charactersUsed.size;
-    team.charactersUsed = Array.from(team.charactersUsed);
-    
-    return team;
-  }).sort((a, b) => {
-    // Primary sort: Win rate (descending)
-    if (b.winRate !== a.winRate) return b.winRate - a.winRate;
-    // Secondary sort: Total matches (descending, more experienced teams ranked higher)
-    if (b.matches !== a.matches) return b.matches - a.matches;
-    // Tertiary sort: Damage efficiency (descending)
-    const aEfficiency = a.totalDamageTaken > 0 ? a.totalDamageDealt / a.totalDamageTaken : a.totalDamageDealt;
-    const bEfficiency = b.totalDamageTaken > 0 ? b.totalDamageDealt / b.totalDamageTaken : b.totalDamageDealt;
-    return bEfficiency - aEfficiency;
-  });
-}
-
-function getTeamStats(teamRecords, charMap, capsuleMap = {}, aiStrategiesMap = {}) {
-  let totalDamage = 0, totalTaken = 0, totalHealth = 0, totalHPGaugeValueMax = 0, totalSpecial = 0, totalUltimates = 0, totalSkills = 0, totalBattleTime = 0;
-  teamRecords.forEach(char => {
-    const stats = extractStats(char, charMap, capsuleMap, null, aiStrategiesMap); // No position for team aggregation
-    totalDamage += stats.damageDone;
-    totalTaken += stats.damageTaken;
-    totalHealth += stats.hPGaugeValue;
-    totalHPGaugeValueMax += stats.hPGaugeValueMax;
-    totalSpecial += stats.specialMovesUsed;
-    totalUltimates += stats.ultimatesUsed;
-    totalSkills += stats.skillsUsed;
-    totalBattleTime += stats.battleTime || 0;
-  });
-  return { totalDamage, totalTaken, totalHealth, totalHPGaugeValueMax, totalSpecial, totalUltimates, totalSkills, totalBattleTime };
-}
+const DEFAULT_COHORT_SELECTION = { dimension: 'season', before: null, after: null };
 
 export default function App() {
+  // View state decoded from the URL (utils/viewState.js); `key` remounts the data/tag selectors when a saved view is applied
+  const [viewSeed, setViewSeed] = useState(() => ({ key: 0, ...decodeViewState(window.location.search) }));
   const [mode, setMode] = useState('reference');
   const [selectedFilePath, setSelectedFilePath] = useState(null);
   const [selectedFile, setSelectedFile] = useState(null);
@@ -3825,9 +1273,11 @@ export default function App() {
   // Separate state for the header match-analysis selector so we don't override global fileContent
   const [analysisSelectedFilePath, setAnalysisSelectedFilePath] = useState(null);
   const [analysisFileContent, setAnalysisFileContent] = useState(null);
-  const [viewType, setViewType] = useState('single');
+  const openingMatchRef = useRef(null); // Match whose full file is being fetched for the analysis area
+  const [viewType, setViewType] = useState(viewSeed.viewType);
   const [matchFilterSource, setMatchFilterSource] = useState(null); // fileName when navigated from table
   const [preNavigationFileContent, setPreNavigationFileContent] = useState(null); // saved fileContent array before single-match navigation
+  const [navigationReturnView, setNavigationReturnView] = useState('tables'); // view the navigated-to match was opened from
   const [manualFiles, setManualFiles] = useState([]);
   const [expandedRows, setExpandedRows] = useState({}); // Expanded state for character rows
   const [expandedPositions, setExpandedPositions] = useState({}); // Expanded state for position accordions in matchups
@@ -3837,7 +1287,8 @@ export default function App() {
   const [activeBuildFilters, setActiveBuildFilters] = useState({}); // Track active build filter per character
   const [sectionCollapsed, setSectionCollapsed] = useState({
     aggregated: false,
-    position: false
+    position: false,
+    actionProfile: false
   }); // Collapsed state for major sections
   const [uploadedFilesCollapsed, setUploadedFilesCollapsed] = useState(false); // Collapsed state for uploaded files list
   const [filtersCollapsed, setFiltersCollapsed] = useState(false); // Collapsed state for aggregated character filters panel
@@ -3847,16 +1298,77 @@ export default function App() {
   const [darkMode, setDarkMode] = useState(true); // Dark mode state - default to true
   
   // Search and filter state for Aggregated Character Performance
-  const [selectedCharacters, setSelectedCharacters] = useState([]);
+  const [selectedCharacters, setSelectedCharacters] = useState(viewSeed.selectedCharacters);
   // Old combobox state variables removed - now using Combobox component
-  const [performanceFilters, setPerformanceFilters] = useState(['excellent', 'good', 'average', 'below', 'poor']);
-  const [minMatches, setMinMatches] = useState(1);
-  const [maxMatches, setMaxMatches] = useState(999);
-  const [sortBy, setSortBy] = useState('combatScore');
-  const [sortDirection, setSortDirection] = useState('desc');
-  const [selectedTeams, setSelectedTeams] = useState([]);
-  const [selectedAIStrategies, setSelectedAIStrategies] = useState([]);
-  const [selectedMaps, setSelectedMaps] = useState([]);
+  const [performanceFilters, setPerformanceFilters] = useState(viewSeed.performanceFilters);
+  const [minMatches, setMinMatches] = useState(viewSeed.minMatches);
+  const [maxMatches, setMaxMatches] = useState(viewSeed.maxMatches);
+  const [sortBy, setSortBy] = useState(viewSeed.sortBy);
+  const [sortDirection, setSortDirection] = useState(viewSeed.sortDirection);
+  const [selectedTeams, setSelectedTeams] = useState(viewSeed.selectedTeams);
+  const [selectedAIStrategies, setSelectedAIStrategies] = useState(viewSeed.selectedAIStrategies);
+  const [selectedMaps, setSelectedMaps] = useState(viewSeed.selectedMaps);
+  const [tagFilters, setTagFilters] = useState(viewSeed.tagFilters); // Active TagFilterSelector values, kept for the URL
+  const [cohortSelection, setCohortSelection] = useState(viewSeed.cohort || DEFAULT_COHORT_SELECTION); // Cohorts picked in the compare view
+  const [indexedPaths, setIndexedPaths] = useState([]); // Every indexed BR_Data path, to compact file selections in the URL
+
+  useEffect(() => {
+    loadBRDataIndex().then(index => setIndexedPaths(Object.keys(index.matches || {})));
+  }, []);
+
+  // Keep the URL in sync with the view so it can be bookmarked or shared
+  const viewQuery = useMemo(() => encodeViewState({
+    viewType,
+    files: mode === 'reference' && Array.isArray(selectedFilePath)
+      ? selectedFilePath.filter(id => id.endsWith('.json'))
+      : null,
+    tagFilters,
+    selectedCharacters,
+    selectedTeams,
+    selectedAIStrategies,
+    selectedMaps,
+    minMatches,
+    maxMatches,
+    sortBy,
+    sortDirection,
+    performanceFilters,
+    cohort: viewType === 'compare' ? cohortSelection : null
+  }, indexedPaths), [mode, viewType, selectedFilePath, tagFilters, selectedCharacters, selectedTeams, selectedAIStrategies, selectedMaps, minMatches, maxMatches, sortBy, sortDirection, performanceFilters, cohortSelection, indexedPaths]);
+
+  useEffect(() => {
+    const { pathname, hash } = window.location;
+    window.history.replaceState(null, '', `${pathname}${viewQuery ? `?${viewQuery}` : ''}${hash}`);
+  }, [viewQuery]);
+
+  // Scroll to the panel named in the link (#panel-id) once it has rendered
+  const scrolledToHashRef = useRef(false);
+  useEffect(() => {
+    if (scrolledToHashRef.current || !window.location.hash) return;
+    const target = document.getElementById(decodeURIComponent(window.location.hash.slice(1)));
+    if (target) {
+      scrolledToHashRef.current = true;
+      target.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    }
+  });
+
+  // Open a saved view: reset the filters and remount the data/tag selectors with its selection
+  const applyViewQuery = (query) => {
+    const state = decodeViewState(query);
+    if (mode !== 'reference') handleModeChange('reference');
+    setViewType(state.viewType);
+    setSelectedCharacters(state.selectedCharacters);
+    setSelectedTeams(state.selectedTeams);
+    setSelectedAIStrategies(state.selectedAIStrategies);
+    setSelectedMaps(state.selectedMaps);
+    setMinMatches(state.minMatches);
+    setMaxMatches(state.maxMatches);
+    setSortBy(state.sortBy);
+    setSortDirection(state.sortDirection);
+    setPerformanceFilters(state.performanceFilters);
+    setTagFilters(state.tagFilters);
+    setCohortSelection(state.cohort || DEFAULT_COHORT_SELECTION);
+    setViewSeed(prev => ({ ...state, key: prev.key + 1 }));
+  };
 
   // Reset selected build tabs to "First" whenever any filter changes so stale indices don't produce blank cards
   useEffect(() => {
@@ -3870,76 +1382,72 @@ export default function App() {
   const capsuleMap = capsuleInfo.capsuleMap;
   
   // Parse maps.csv to create map ID to name lookup
-  const mapsMap = useMemo(() => {
-    const map = {};
-    const lines = mapsCSV.trim().split('\n');
-    
-    for (let i = 1; i < lines.length; i++) { // Skip header
-      const line = lines[i].trim();
-      if (!line) continue;
-      
-      const [mapName, mapId] = line.split(',').map(s => s.trim());
-      if (mapId && mapName) {
-        map[mapId] = mapName;
-      }
-    }
-    
-    return map;
-  }, []);
+  const mapsMap = useMemo(() => parseMapsCSV(mapsCSV), []);
   
   // Convert AI strategies array to map for efficient lookup by ID
-  const aiStrategies = useMemo(() => {
-    const map = {};
-    if (capsuleInfo.aiStrategies && Array.isArray(capsuleInfo.aiStrategies)) {
-      capsuleInfo.aiStrategies.forEach(strategy => {
-        if (strategy.id) {
-          map[strategy.id] = strategy;
-        }
-      });
-    }
-    return map;
-  }, [capsuleInfo.aiStrategies]);
+  const aiStrategies = useMemo(() => indexAIStrategies(capsuleInfo.aiStrategies), [capsuleInfo.aiStrategies]);
 
 
-  // Aggregated data for reference mode (single file only)
-  const aggregatedData = useMemo(() => {
-    if (mode === 'reference' && (viewType === 'aggregated' || viewType === 'meta' || viewType === 'tables') && fileContent) {
+  // Files fed to the aggregated views: the BR_Data selection in reference mode, uploads in manual mode
+  const aggregationFiles = useMemo(() => {
+    if (mode === 'reference' && fileContent) {
       // If fileContent is an array, use as is; if single file, wrap in array
-      const filesArr = Array.isArray(fileContent)
+      return Array.isArray(fileContent)
         ? fileContent
         : fileContent.error ? [] : [{ name: selectedFilePath ? selectedFilePath.join(' / ') : 'Selected File', content: fileContent }];
-      return getAggregatedCharacterData(filesArr, charMap, capsuleMap, aiStrategies, mapsMap);
-    } else if (mode === 'manual' && (viewType === 'aggregated' || viewType === 'meta' || viewType === 'tables') && manualFiles.length > 0) {
-      return getAggregatedCharacterData(manualFiles, charMap, capsuleMap, aiStrategies, mapsMap);
+    } else if (mode === 'manual') {
+      return manualFiles;
     }
     return [];
-  }, [mode, viewType, charMap, capsuleMap, aiStrategies, manualFiles, fileContent, selectedFilePath]);
-
-  // Position-based data for advanced analysis (single file only)
-  const positionData = useMemo(() => {
-    if (mode === 'reference' && (viewType === 'aggregated' || viewType === 'meta' || viewType === 'tables') && fileContent) {
-      const filesArr = Array.isArray(fileContent)
-        ? fileContent
-        : fileContent.error ? [] : [{ name: selectedFilePath ? selectedFilePath.join(' / ') : 'Selected File', content: fileContent }];
-      return getPositionBasedData(filesArr, charMap, capsuleMap, positionMatchTypeFilters);
-    } else if (mode === 'manual' && (viewType === 'aggregated' || viewType === 'meta' || viewType === 'tables') && manualFiles.length > 0) {
-      return getPositionBasedData(manualFiles, charMap, capsuleMap, positionMatchTypeFilters);
-    }
-    return {};
-  }, [mode, viewType, charMap, capsuleMap, manualFiles, fileContent, selectedFilePath, positionMatchTypeFilters]);
+  }, [mode, fileContent, selectedFilePath, manualFiles]);
 
-  // Team aggregated data for team rankings
-  const teamAggregatedData = useMemo(() => {
-    if (mode === 'reference' && (viewType === 'aggregated' || viewType === 'meta' || viewType === 'tables' || viewType === 'teams') && fileContent) {
-      const filesArr = Array.isArray(fileContent)
-        ? fileContent
-        : fileContent.error ? [] : [{ name: selectedFilePath ? selectedFilePath.join(' / ') : 'Selected File', content: fileContent }];
-      return getTeamAggregatedData(filesArr, charMap, capsuleMap, aiStrategies);
-    } else if (mode === 'manual' && (viewType === 'aggregated' || viewType === 'meta' || viewType === 'tables' || viewType === 'teams') && manualFiles.length > 0) {
-      return getTeamAggregatedData(manualFiles, charMap, capsuleMap, aiStrategies);
-    }
+  const aggregationViews = useMemo(() => {
+    if (viewType === 'aggregated' || viewType === 'meta' || viewType === 'tables') return ['characters', 'positions', 'teams'];
+    if (viewType === 'teams') return ['teams', 'ratings'];
+    if (viewType === 'matchups') return ['headToHead'];
+    if (viewType === 'compare') return ['cohorts'];
     return [];
-  }, [mode, viewType, charMap, capsuleMap, aiStrategies, manualFiles, fileContent, selectedFilePath]);
+  }, [viewType]);
+
+  const aggregationContext = useMemo(
+    () => ({ charMap, capsuleMap, aiStrategiesMap: aiStrategies, mapsMap }),
+    [charMap, capsuleMap, aiStrategies, mapsMap]
+  );
+
+  // Cohorts present in the selection; picked cohorts that aren't fall back to the two latest
+  const cohortValues = useMemo(
+    () => (viewType === 'compare' ? listCohortValues(aggregationFiles, cohortSelection.dimension) : []),
+    [viewType, aggregationFiles, cohortSelection.dimension]
+  );
+  const cohortSpec = useMemo(() => {
+    const present = value => cohortValues.some(cohort => cohort.value === value);
+    const pair = present(cohortSelection.before) && present(cohortSelection.after)
+      ? cohortSelection
+      : defaultCohortPair(cohortValues);
+    return { dimension: cohortSelection.dimension, before: pair?.before ?? null, after: pair?.after ?? null };
+  }, [cohortValues, cohortSelection]);
+  const workerCohortSpec = useMemo(
+    () => (cohortSpec.before && cohortSpec.after && cohortSpec.before !== cohortSpec.after ? cohortSpec : null),
+    [cohortSpec]
+  );
+
+  // Character, position and team aggregates run in a Web Worker (see hooks/useMatchAggregation.js)
+  const {
+    characters: aggregatedData,
+    positions: positionData,
+    teams: teamAggregatedData,
+    ratings,
+    headToHead,
+    cohorts: cohortComparison,
+    pending: aggregationPending,
+    progress: aggregationProgress
+  } = useMatchAggregation(aggregationFiles, aggregationViews, aggregationContext, positionMatchTypeFilters, workerCohortSpec);
+
+  // Latest team ratings by team name, for the Team Rankings cards
+  const teamRatings = useMemo(
+    () => Object.fromEntries(ratingsAsOf(ratings?.teams).map(row => [row.key, row])),
+    [ratings]
+  );
 
   // Filtered and sorted aggregated data based on search and filters
   const filteredAggregatedData = useMemo(() => {
@@ -3951,8 +1459,10 @@ export default function App() {
       
       // Apply team filter to matches
       if (selectedTeams.length > 0) {
+        // Matches carry canonical team names; a shared link may still use an alias
+        const teams = selectedTeams.map(teamRegistry.canonicalName);
         filteredMatches = filteredMatches.filter(match => 
-          match.team && selectedTeams.includes(match.team)
+          match.team && teams.includes(match.team)
         );
       }
       
@@ -4153,20 +1663,21 @@ export default function App() {
       // Calculate DPS and efficiency - use totals for DPS and efficiency
       const dps = totalBattleTime > 0 ? totalDamage / totalBattleTime : 0;
       const efficiency = totalTaken > 0 ? totalDamage / totalTaken : 0;
-      const healthRetention = avgHPGaugeValueMax > 0 ? avgHealth / avgHPGaugeValueMax : 0;
       
-      // Recalculate combat performance score using consistent formula
-      const baseScore = (
-        (avgDamage / 100000) * 35 +        // Damage dealt weight: 35%
-        (efficiency) * 25 +                 // Damage efficiency weight: 25%
-        (dps / 1000) * 25 +                 // Damage per second weight: 25%
-        (healthRetention) * 15              // Health retention weight: 15%
-      );
+      // Recalculate combat performance score with the same formula and matches as scoreCI below
+      const baseScore = combatScoreBase(activeMatches.length > 0 ? activeMatches : filteredMatches);
       
   // Experience multiplier based on matches played; prefer active matches for weighting
   const experienceMultiplier = Math.min(1.25, 1.0 + ((activeMatchCount > 0 ? activeMatchCount : matchCount) - 1) * (0.25 / 11));
       const combatPerformanceScore = Math.round((baseScore * experienceMultiplier) * 100) / 100;
 
+      // Uncertainty: Wilson interval on the win rate, bootstrap intervals on damage and on the score itself
+      const winRateCI = activeMatches.length > 0
+        ? winRateInterval(activeMatches.filter(m => m.won).length, activeMatches.length)
+        : winRateInterval(totalWins, filteredMatches.length);
+      const damageCI = bootstrapInterval(activeMatches.map(m => m.damageDone), mean, { seed: `${char.name}|damage` });
+      const scoreCI = bootstrapInterval(activeMatches, sample => combatScoreBase(sample) * experienceMultiplier, { seed: `${char.name}|score` });
+
       // Compute baseRankScore from pre-build-filter matches so team/AI/map filters influence
       // ranking order but a build filter does not shift a character's position in the list.
       let baseRankScore;
@@ -4558,6 +2069,10 @@ export default function App() {
         wins: totalWins,
         losses: totalLosses,
         winRate: winRate,
+        winRateInterval: winRateCI,
+        damageInterval: damageCI,
+        scoreInterval: scoreCI,
+        sampleStatus: sampleStatus(denom),
         speedImpactWinRate: speedImpactWinRate,
         teamsUsed: teamsArray,
         aiStrategiesUsed: aiStrategiesArray,
@@ -4574,6 +2089,15 @@ export default function App() {
         baseRankScore // Unfiltered score used to keep rank order stable across build filters
       };
     }).filter(char => char !== null); // Remove characters with no matching matches
+
+    // Significance against a 50% win rate and against the median score of characters with enough matches
+    const scoreBaseline = baselineMedian(filtered.map(char => ({ value: char.combatPerformanceScore, n: char.scoreInterval?.n || 0 })));
+    filtered = filtered.map(char => ({
+      ...char,
+      winRateSignificance: compareToBaseline(char.winRateInterval, 50),
+      scoreSignificance: scoreBaseline === null ? 'insufficient' : compareToBaseline(char.scoreInterval, scoreBaseline),
+      scoreBaseline
+    }));
     
     // Apply character filter
     if (selectedCharacters.length > 0) {
@@ -4605,6 +2129,15 @@ export default function App() {
           aVal = a.baseRankScore ?? a.combatPerformanceScore;
           bVal = b.baseRankScore ?? b.combatPerformanceScore;
           break;
+        case 'combatScoreLow':
+          // Conservative ranking: the bottom of the score's interval
+          aVal = a.scoreInterval?.low ?? 0;
+          bVal = b.scoreInterval?.low ?? 0;
+          break;
+        case 'winRateLow':
+          aVal = a.winRateInterval?.low ?? 0;
+          bVal = b.winRateInterval?.low ?? 0;
+          break;
         case 'totalDamage':
           aVal = a.totalDamage;
           bVal = b.totalDamage;
@@ -4680,24 +2213,6 @@ export default function App() {
     setExpandedRows(prev => ({ ...prev, [`${teamType}_${idx}`]: !prev[`${teamType}_${idx}`] }));
   };
 
-  const handleSelect = (fileName) => {
-    setSelectedFile(fileName);
-    const fullPath = Object.keys(dataFiles).find((p) => p.endsWith(fileName));
-    if (fullPath) {
-      // Access the default export from Vite's import.meta.glob
-      const moduleContent = dataFiles[fullPath];
-      const actualContent = moduleContent.default || moduleContent;
-      setFileContent(actualContent);
-      setFileTags(extractTagsFromMatchFile(actualContent));
-    } else {
-      setFileContent({ error: 'File not found.' });
-      setFileTags(null);
-    }
-    setExpandedRows({}); // Reset expanded state on file change
-  };
-
-
-
   const processFiles = (files) => {
     Promise.all(files.map(file => {
       return new Promise((resolve) => {
@@ -4760,6 +2275,7 @@ export default function App() {
 
   const handleNavigateToMatch = async (fileName) => {
     if (!fileName) return;
+    setNavigationReturnView(viewType);
     if (mode === 'manual') {
       const file = manualFiles.find(f => f.name === fileName);
       if (file && !file.error) {
@@ -4774,12 +2290,10 @@ export default function App() {
       }
       return;
     }
-    // Reference mode: fetch the file
-    const base = (typeof import.meta !== 'undefined' && import.meta.env && import.meta.env.BASE_URL) ? import.meta.env.BASE_URL : '';
+    // Reference mode: fetch the full file (the tables only hold index summaries)
     try {
-      const res = await fetch(`${base}BR_Data/${fileName}`);
-      if (res.ok) {
-        const content = await res.json();
+      const content = await fetchBattleFile(fileName);
+      if (content) {
         setPreNavigationFileContent(fileContent); // save full array so Back to Tables can restore it
         setFileContent(content);
         setFileTags(extractTagsFromMatchFile(content));
@@ -4825,7 +2339,7 @@ export default function App() {
   };
 
   // Handler used by the Match Analysis header combobox to switch which file is being shown
-  const handleHeaderFileSelect = (fileName) => {
+  const handleHeaderFileSelect = async (fileName) => {
     if (!fileName) return;
     // Manual mode: pick from uploaded files
     if (mode === 'manual') {
@@ -4843,15 +2357,28 @@ export default function App() {
     if (Array.isArray(fileContent)) {
       const f = fileContent.find(x => x.name === fileName);
       if (f) {
+        // Index entries only hold the fields the aggregated views read; load the full file
+        openingMatchRef.current = f.name;
+        const content = f.indexed ? await fetchBattleFile(f.name) : (f.content || f);
+        // Ignore a slow response once another match has been picked
+        if (!content || openingMatchRef.current !== f.name) return;
         // In reference mode other parts of the app expect a plain file content for single view
         // Only apply to the analysis area
-        setAnalysisFileContent(f.content || f);
+        setAnalysisFileContent(content);
         setAnalysisSelectedFilePath([f.name]);
         setExpandedRows({});
       }
     }
   };
 
+  // Single view in reference mode opens the first selected match when none has been picked yet
+  useEffect(() => {
+    if (mode !== 'reference' || viewType !== 'single' || analysisFileContent) return;
+    if (Array.isArray(fileContent) && fileContent.length > 0) {
+      handleHeaderFileSelect(fileContent[0].name);
+    }
+  }, [mode, viewType, fileContent, analysisFileContent]);
+
   // Handler for Excel export
   const handleExcelExport = async () => {
     try {
@@ -4862,6 +2389,8 @@ export default function App() {
         filename: `DBSZ_Analysis_${new Date().toISOString().split('T')[0]}.xlsx`,
         includeCharacterAverages: true,
         includeMatchDetails: true,
+        finisherData: prepareFinishersData(aggregatedData),
+        finishRateData: prepareFinishRatesData(aggregatedData),
         includeFormatting: true
       });
       
@@ -4972,7 +2501,8 @@ export default function App() {
   // Find correct root for battleWinLose and characterRecord
   let battleWinLose, characterRecord;
   // analysisContent is the file used for the Match Analysis header selector; fall back to global fileContent
-  const analysisContent = analysisFileContent || fileContent;
+  // unless that only holds index summaries (the full file is still being fetched)
+  const analysisContent = analysisFileContent || (Array.isArray(fileContent) && fileContent.some(f => f.indexed) ? null : fileContent);
   const analysisSelectedPath = analysisSelectedFilePath || selectedFilePath;
 
   // Also need characterIdRecord for per-form stats
@@ -5118,18 +2648,28 @@ export default function App() {
               <Trophy className={`w-12 h-12 ${darkMode ? 'text-yellow-400' : 'text-yellow-500'}`} />
             </div>
             
-            {/* Dark Mode Toggle */}
-            <button
-              onClick={() => setDarkMode(!darkMode)}
-              className={`p-3 rounded-xl transition-all duration-300 ${
-                darkMode 
-                  ? 'bg-gray-700 hover:bg-gray-600 text-yellow-400' 
-                  : 'bg-gray-100 hover:bg-gray-200 text-gray-700'
-              }`}
-              title={darkMode ? 'Switch to Light Mode' : 'Switch to Dark Mode'}
-            >
-              {darkMode ? <Sun className="w-6 h-6" /> : <Moon className="w-6 h-6" />}
-            </button>
+            <div className="flex items-center gap-2">
+              {/* Saved Views */}
+              <SavedViewsMenu
+                currentQuery={viewQuery}
+                viewType={viewType}
+                onApply={applyViewQuery}
+                darkMode={darkMode}
+              />
+
+              {/* Dark Mode Toggle */}
+              <button
+                onClick={() => setDarkMode(!darkMode)}
+                className={`p-3 rounded-xl transition-all duration-300 ${
+                  darkMode 
+                    ? 'bg-gray-700 hover:bg-gray-600 text-yellow-400' 
+                    : 'bg-gray-100 hover:bg-gray-200 text-gray-700'
+                }`}
+                title={darkMode ? 'Switch to Light Mode' : 'Switch to Dark Mode'}
+              >
+                {darkMode ? <Sun className="w-6 h-6" /> : <Moon className="w-6 h-6" />}
+              </button>
+            </div>
           </div>
         </div>
         
@@ -5200,7 +2740,7 @@ export default function App() {
               <BarChart3 className={`w-6 h-6 ${darkMode ? 'text-blue-400' : 'text-blue-600'}`} />
               <h3 className={`text-xl font-bold ${darkMode ? 'text-white' : 'text-gray-800'}`}>View Type</h3>
             </div>
-            <div className="grid md:grid-cols-2 lg:grid-cols-5 gap-4 mb-6">
+            <div className="grid md:grid-cols-4 lg:grid-cols-7 gap-4 mb-6">
               <label className={`p-4 rounded-xl border-2 cursor-pointer transition-all ${
                 viewType === 'single' 
                   ? darkMode
@@ -5321,12 +2861,63 @@ export default function App() {
                   </div>
                 </div>
               </label>
+              <label className={`p-4 rounded-xl border-2 cursor-pointer transition-all ${
+                viewType === 'matchups' 
+                  ? darkMode
+                    ? 'border-red-400 bg-red-900/30 text-red-300'
+                    : 'border-red-500 bg-red-50 text-red-700'
+                  : darkMode
+                    ? 'border-gray-600 bg-gray-700 hover:border-gray-500 text-gray-300'
+                    : 'border-gray-200 bg-gray-50 hover:border-gray-300'
+              }`}>
+                <div className="flex items-center gap-3">
+                  <Swords className="w-6 h-6" />
+                  <div>
+                    <input 
+                      type="radio" 
+                      value="matchups" 
+                      checked={viewType === 'matchups'} 
+                      onChange={(e) => setViewType(e.target.value)}
+                      className="sr-only"
+                    />
+                    <span className="font-semibold">Head-to-Head</span>
+                    <p className="text-sm opacity-75">Matchup matrix</p>
+                  </div>
+                </div>
+              </label>
+              <label className={`p-4 rounded-xl border-2 cursor-pointer transition-all ${
+                viewType === 'compare' 
+                  ? darkMode
+                    ? 'border-teal-400 bg-teal-900/30 text-teal-300'
+                    : 'border-teal-500 bg-teal-50 text-teal-700'
+                  : darkMode
+                    ? 'border-gray-600 bg-gray-700 hover:border-gray-500 text-gray-300'
+                    : 'border-gray-200 bg-gray-50 hover:border-gray-300'
+              }`}>
+                <div className="flex items-center gap-3">
+                  <GitCompare className="w-6 h-6" />
+                  <div>
+                    <input 
+                      type="radio" 
+                      value="compare" 
+                      checked={viewType === 'compare'} 
+                      onChange={(e) => setViewType(e.target.value)}
+                      className="sr-only"
+                    />
+                    <span className="font-semibold">Compare</span>
+                    <p className="text-sm opacity-75">Season / patch shifts</p>
+                  </div>
+                </div>
+              </label>
             </div>
 
             {/* Tag-Filter Panel — filters the BRDataSelector tree below */}
             <div className="mb-4">
               <TagFilterSelector
+                key={viewSeed.key}
                 darkMode={darkMode}
+                initialFilters={viewSeed.tagFilters}
+                onFiltersChange={setTagFilters}
                 onSelect={(fileIds) => {
                   // null = no active filters (show everything), array = filtered paths
                   setTagFilterPaths(fileIds);
@@ -5339,34 +2930,24 @@ export default function App() {
                 {viewType === 'single' ? 'Search categories or matches to analyze:' : 'Search categories or matches to analyze:'}
               </label>
               <BRDataSelector
+                key={viewSeed.key}
+                initialSelection={viewSeed.files}
                 allowFolderSelect={viewType !== 'single'}
                 tagFilterPaths={tagFilterPaths}
                 onSelect={async (selectedIds) => {
                   if (!Array.isArray(selectedIds) || selectedIds.length === 0) return;
                   setSelectedFilePath(selectedIds);
                   setFileContent(null);
+                  // A new selection replaces the match open in the analysis area
+                  openingMatchRef.current = null;
+                  setAnalysisFileContent(null);
+                  setAnalysisSelectedFilePath(null);
 
-                  // Only fetch files (ending in .json)
+                  // Only load files (ending in .json); summaries come from the match index
                   const fileIds = selectedIds.filter(id => id.endsWith('.json'));
                   if (fileIds.length === 0) return;
 
-                  const base = (typeof import.meta !== 'undefined' && import.meta.env && import.meta.env.BASE_URL) ? import.meta.env.BASE_URL : '';
-                  const fileContents = await Promise.all(
-                    fileIds.map(async id => {
-                      const staticUrl = `${base}BR_Data/${id}`;
-                      try {
-                        const res = await fetch(staticUrl);
-                        if (res.ok) {
-                          const content = await res.json();
-                          return { name: id, content, tags: extractTagsFromMatchFile(content) };
-                        }
-                      } catch (err) {
-                        // ignore individual file errors and continue
-                      }
-                      return null;
-                    })
-                  );
-                  setFileContent(fileContents.filter(Boolean));
+                  setFileContent(await loadIndexedMatches(fileIds));
                 }}
               />
             </div>
@@ -5453,7 +3034,7 @@ export default function App() {
                   <h4 className={`text-sm font-semibold mb-3 ${
                     darkMode ? 'text-white' : 'text-gray-800'
                   }`}>View Type</h4>
-                  <div className="grid md:grid-cols-2 lg:grid-cols-5 gap-3">
+                  <div className="grid md:grid-cols-4 lg:grid-cols-7 gap-3">
                     <label className={`p-3 rounded-lg border-2 cursor-pointer transition-all ${
                       viewType === 'single' 
                         ? darkMode
@@ -5574,6 +3155,54 @@ export default function App() {
                         </div>
                       </div>
                     </label>
+                    <label className={`p-3 rounded-lg border-2 cursor-pointer transition-all ${
+                      viewType === 'matchups' 
+                        ? darkMode
+                          ? 'border-red-400 bg-red-900/30 text-red-300'
+                          : 'border-red-500 bg-red-50 text-red-700'
+                        : darkMode
+                          ? 'border-gray-600 bg-gray-800 hover:border-gray-500 text-gray-300'
+                          : 'border-gray-200 bg-white hover:border-gray-300'
+                    }`}>
+                      <div className="flex items-center gap-2">
+                        <Swords className="w-5 h-5" />
+                        <div>
+                          <input 
+                            type="radio" 
+                            value="matchups" 
+                            checked={viewType === 'matchups'} 
+                            onChange={(e) => setViewType(e.target.value)}
+                            className="sr-only"
+                          />
+                          <span className="font-semibold text-sm">Head-to-Head</span>
+                          <p className="text-xs opacity-75">Matchup matrix</p>
+                        </div>
+                      </div>
+                    </label>
+                    <label className={`p-3 rounded-lg border-2 cursor-pointer transition-all ${
+                      viewType === 'compare' 
+                        ? darkMode
+                          ? 'border-teal-400 bg-teal-900/30 text-teal-300'
+                          : 'border-teal-500 bg-teal-50 text-teal-700'
+                        : darkMode
+                          ? 'border-gray-600 bg-gray-800 hover:border-gray-500 text-gray-300'
+                          : 'border-gray-200 bg-white hover:border-gray-300'
+                    }`}>
+                      <div className="flex items-center gap-2">
+                        <GitCompare className="w-5 h-5" />
+                        <div>
+                          <input 
+                            type="radio" 
+                            value="compare" 
+                            checked={viewType === 'compare'} 
+                            onChange={(e) => setViewType(e.target.value)}
+                            className="sr-only"
+                          />
+                          <span className="font-semibold text-sm">Compare</span>
+                          <p className="text-xs opacity-75">Season / patch shifts</p>
+                        </div>
+                      </div>
+                    </label>
                   </div>
                   
                   {/* Helpful hint for single file uploads */}
@@ -5654,11 +3283,35 @@ export default function App() {
           </div>
         )}
 
+        {/* Aggregation progress */}
+        {aggregationPending && aggregationViews.length > 0 && (
+          <div className={`rounded-xl shadow p-4 mb-6 flex items-center gap-3 ${
+            darkMode ? 'bg-gray-800 border border-gray-700 text-gray-300' : 'bg-white text-gray-700'
+          }`}>
+            <Loader2 className={`w-5 h-5 animate-spin ${darkMode ? 'text-blue-400' : 'text-blue-600'}`} />
+            <div className="flex-1">
+              <div className="text-sm font-medium">
+                {aggregationProgress
+                  ? `Aggregating ${aggregationProgress.done} / ${aggregationProgress.total} matches…`
+                  : 'Aggregating matches…'}
+              </div>
+              {aggregationProgress && (
+                <div className={`mt-2 h-1.5 rounded-full overflow-hidden ${darkMode ? 'bg-gray-700' : 'bg-gray-200'}`}>
+                  <div
+                    className="h-full bg-blue-600 transition-all"
+                    style={{ width: `${Math.round((aggregationProgress.done / aggregationProgress.total) * 100)}%` }}
+                  />
+                </div>
+              )}
+            </div>
+          </div>
+        )}
+
         {/* Aggregated Data Display */}
         {((mode === 'reference' && viewType === 'aggregated') || 
           (mode === 'manual' && viewType === 'aggregated' && manualFiles.filter(f => !f.error).length > 0)) && 
           aggregatedData.length > 0 && (
-          <div className={`rounded-2xl shadow-xl p-6 mb-6 ${
+          <div id="panel-aggregated" className={`rounded-2xl shadow-xl p-6 mb-6 ${
             darkMode ? 'bg-gray-800 border border-gray-700' : 'bg-white'
           }`}>
             <div className="flex items-center justify-between mb-6 cursor-pointer" onClick={() => setSectionCollapsed(prev => ({...prev, aggregated: !prev.aggregated}))}>
@@ -5670,6 +3323,7 @@ export default function App() {
                     Data from {mode === 'reference' ? 1 : manualFiles.filter(f => !f.error).length} battle file{(mode === 'reference' ? 1 : manualFiles.filter(f => !f.error).length) !== 1 ? 's' : ''}
                   </p>
                 </div>
+                <CopyViewLinkButton url={buildViewUrl(viewQuery, 'panel-aggregated')} darkMode={darkMode} />
               </div>
               <button 
                 className={`w-10 h-10 rounded-full flex items-center justify-center transition-colors ${
@@ -6072,6 +3726,8 @@ export default function App() {
                       } focus:outline-none focus:ring-2 focus:ring-blue-500/50`}
                     >
                       <option value="combatScore">Combat Performance Score</option>
+                      <option value="combatScoreLow">Combat Score (95% lower bound)</option>
+                      <option value="winRateLow">Win Rate (95% lower bound)</option>
                       <option value="totalDamage">Total Damage</option>
                       <option value="avgDamage">Average Damage</option>
                       <option value="dps">DPS (Damage per Second)</option>
@@ -6136,8 +3792,23 @@ export default function App() {
                           <Swords className={`w-6 h-6 ${darkMode ? 'text-orange-400' : 'text-orange-600'}`} />
                           <h3 className={`text-lg font-bold ${darkMode ? 'text-white' : 'text-gray-800'}`}>{char.name}</h3>
                           <PerformanceIndicator value={char.combatPerformanceScore} allValues={combatPerformanceScores} darkMode={darkMode} />
+                          <IntervalText interval={char.scoreInterval} darkMode={darkMode} />
+                          <SignificanceFlag
+                            significance={char.scoreSignificance}
+                            baselineLabel={`the median score (${Math.round(char.scoreBaseline || 0)})`}
+                            n={char.activeMatchCount || char.matchCount}
+                            darkMode={darkMode}
+                          />
                         </div>
                         <div className="flex items-center gap-4">
+                          <div className={`flex items-center gap-1 text-sm ${darkMode ? 'text-gray-400' : 'text-gray-600'}`}>
+                            <Trophy className="w-4 h-4" />
+                            <span>{char.winRate.toFixed(1)}% WR</span>
+                            <IntervalText interval={char.winRateInterval} format={v => `${Math.round(v)}%`} darkMode={darkMode} />
+                            {char.winRateSignificance !== 'insufficient' && (
+                              <SignificanceFlag significance={char.winRateSignificance} baselineLabel="a 50% win rate" darkMode={darkMode} />
+                            )}
+                          </div>
                           <div className={`flex items-center gap-2 text-sm ${darkMode ? 'text-gray-400' : 'text-gray-600'}`}>
                             <BarChart3 className="w-4 h-4" />
                             <span>{char.activeMatchCount || char.matchCount} active match{(char.activeMatchCount || char.matchCount) !== 1 ? 'es' : ''}</span>
@@ -6473,6 +4144,15 @@ export default function App() {
                                 </div>
                               </div>
 
+                              {/* Action Breakdown */}
+                              <div className={`rounded-lg p-3 ${darkMode ? 'bg-gray-700' : 'bg-white'}`}>
+                                <div className="flex items-center gap-2 mb-2">
+                                  <Activity className={`w-5 h-5 ${darkMode ? 'text-pink-400' : 'text-pink-600'}`} />
+                                  <h4 className={`text-sm font-bold ${darkMode ? 'text-white' : 'text-gray-800'}`}>Action Breakdown</h4>
+                                </div>
+                                <ActionBreakdown counts={char.actionCounts} matchCount={char.matchCount} darkMode={darkMode} />
+                              </div>
+
                               {/* Builds Section */}
                               {char.topBuilds && char.topBuilds.length > 0 && (
                                 <div className={`rounded-lg p-1 ${darkMode ? 'bg-gray-700' : 'bg-white'}`}>
@@ -6517,11 +4197,61 @@ export default function App() {
           </div>
         )}
 
+        {/* Action Profile by AI Strategy */}
+        {((mode === 'reference' && viewType === 'aggregated') || 
+          (mode === 'manual' && viewType === 'aggregated' && manualFiles.filter(f => !f.error).length > 0)) && 
+          aggregatedData.length > 0 && (() => {
+          // Sum every character's per-AI action counts; match counts come from the per-match records
+          const countsByAI = {};
+          const matchesByAI = {};
+          aggregatedData.forEach(char => {
+            Object.entries(char.actionCountsByAI || {}).forEach(([aiStrategy, counts]) => {
+              countsByAI[aiStrategy] = addActionCounts(countsByAI[aiStrategy] || { actions: {}, blastGroups: {} }, counts);
+            });
+            (char.matches || []).forEach(match => {
+              const aiStrategy = match.aiStrategy || 'Default';
+              matchesByAI[aiStrategy] = (matchesByAI[aiStrategy] || 0) + 1;
+            });
+          });
+          return (
+          <div id="panel-action-profile" className={`rounded-2xl shadow-xl p-6 mb-6 ${
+            darkMode ? 'bg-gray-800 border border-gray-700' : 'bg-white'
+          }`}>
+            <div className="flex items-center justify-between mb-6 cursor-pointer" onClick={() => setSectionCollapsed(prev => ({...prev, actionProfile: !prev.actionProfile}))}>
+              <div className="flex items-center gap-3">
+                <Activity className={`w-8 h-8 ${darkMode ? 'text-pink-400' : 'text-pink-600'}`} />
+                <div>
+                  <h2 className={`text-2xl font-bold ${darkMode ? 'text-white' : 'text-gray-800'}`}>Action Profile by AI Strategy</h2>
+                  <p className={`${darkMode ? 'text-gray-400' : 'text-gray-600'}`}>
+                    Hits by action type (rush chains, smashes, counters, ki blasts) per character appearance
+                  </p>
+                </div>
+                <CopyViewLinkButton url={buildViewUrl(viewQuery, 'panel-action-profile')} darkMode={darkMode} />
+              </div>
+              <button 
+                className={`w-10 h-10 rounded-full flex items-center justify-center transition-colors ${
+                  darkMode 
+                    ? 'bg-pink-900 hover:bg-pink-800 text-pink-400' 
+                    : 'bg-pink-100 hover:bg-pink-200 text-pink-600'
+                }`}
+                title={sectionCollapsed.actionProfile ? "Expand section" : "Collapse section"}
+              >
+                {sectionCollapsed.actionProfile ? '+' : '−'}
+              </button>
+            </div>
+            
+            {!sectionCollapsed.actionProfile && (
+              <ActionProfileByAI countsByAI={countsByAI} matchesByAI={matchesByAI} darkMode={darkMode} />
+            )}
+          </div>
+          );
+        })()}
+
         {/* Position-Based Performance Analysis */}
         {((mode === 'reference' && viewType === 'aggregated') || 
           (mode === 'manual' && viewType === 'aggregated' && manualFiles.filter(f => !f.error).length > 0)) && 
           Object.keys(positionData).length > 0 && (
-          <div className={`rounded-2xl shadow-xl p-6 mb-6 ${
+          <div id="panel-positions" className={`rounded-2xl shadow-xl p-6 mb-6 ${
             darkMode ? 'bg-gray-800 border border-gray-700' : 'bg-white'
           }`}>
             <div className="flex items-center justify-between mb-6 cursor-pointer" onClick={() => setSectionCollapsed(prev => ({...prev, position: !prev.position}))}>
@@ -6533,6 +4263,7 @@ export default function App() {
                     Performance breakdown by team position (Lead, Middle, Anchor)
                   </p>
                 </div>
+                <CopyViewLinkButton url={buildViewUrl(viewQuery, 'panel-positions')} darkMode={darkMode} />
               </div>
               <button 
                 className={`w-10 h-10 rounded-full flex items-center justify-center transition-colors ${
@@ -6856,10 +4587,10 @@ export default function App() {
                                     🛡️ Survivor
                                   </span>
                                 )}
-                                {(char.activeMatchCount || char.matchCount) < 3 && (
+                                {sampleStatus(char.activeMatchCount || char.matchCount) === 'insufficient' && (
                                   <span className={`text-xs px-1.5 py-0.5 rounded ${
                                     darkMode ? 'bg-yellow-900/30 text-yellow-300' : 'bg-yellow-100 text-yellow-700'
-                                  }`} title="Small sample size - stats may not be representative">
+                                  }`} title={`Fewer than ${SAMPLE_POLICY.minimum} matches - stats may not be representative`}>
                                     ⚠️ Limited Data
                                   </span>
                                 )}
@@ -7056,7 +4787,7 @@ export default function App() {
         {/* Meta Analysis Display */}
         {((mode === 'reference' && viewType === 'meta') || 
           (mode === 'manual' && viewType === 'meta' && manualFiles.filter(f => !f.error).length > 0)) && (
-          <div className={`rounded-2xl shadow-xl p-6 mb-6 ${darkMode ? 'bg-gray-800' : 'bg-white'}`}>
+          <div id="panel-meta" className={`rounded-2xl shadow-xl p-6 mb-6 ${darkMode ? 'bg-gray-800' : 'bg-white'}`}>
             <div className="flex items-center gap-3 mb-6">
               <Database className={`w-8 h-8 ${darkMode ? 'text-purple-400' : 'text-purple-600'}`} />
               <div>
@@ -7065,6 +4796,7 @@ export default function App() {
                   Capsule effectiveness and build archetype trends across all matches
                 </p>
               </div>
+              <CopyViewLinkButton url={buildViewUrl(viewQuery, 'panel-meta')} darkMode={darkMode} />
             </div>
             
             <MetaAnalysisContent aggregatedData={aggregatedData} capsuleMap={capsuleMap} aiStrategies={aiStrategies} charMap={charMap} darkMode={darkMode} />
@@ -7074,7 +4806,7 @@ export default function App() {
         {/* Single File Analysis Results */}
         {((mode === 'reference' && (analysisSelectedFilePath || selectedFilePath) && viewType === 'single') || 
           (mode === 'manual' && viewType === 'single' && (analysisFileContent || fileContent))) && (
-          <div className={`rounded-2xl shadow-xl p-6 ${darkMode ? 'bg-gray-800' : 'bg-white'}`}>
+          <div id="panel-match" className={`rounded-2xl shadow-xl p-6 ${darkMode ? 'bg-gray-800' : 'bg-white'}`}>
             {/* Match filter banner — shown when navigated from Data Tables */}
             {matchFilterSource && (
               <div className={`flex items-center justify-between gap-3 mb-4 px-4 py-3 rounded-xl border ${
@@ -7092,7 +4824,7 @@ export default function App() {
                 <button
                   onClick={() => {
                     setMatchFilterSource(null);
-                    setViewType('tables');
+                    setViewType(navigationReturnView);
                     if (preNavigationFileContent !== null) {
                       setFileContent(preNavigationFileContent);
                       setPreNavigationFileContent(null);
@@ -7103,10 +4835,10 @@ export default function App() {
                       ? 'bg-blue-800 hover:bg-blue-700 text-blue-200 border border-blue-600'
                       : 'bg-blue-100 hover:bg-blue-200 text-blue-800 border border-blue-300'
                   }`}
-                  title="Return to Data Tables"
+                  title={navigationReturnView === 'matchups' ? 'Return to Head-to-Head' : 'Return to Data Tables'}
                 >
                   <svg xmlns="http://www.w3.org/2000/svg" className="w-3.5 h-3.5" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"><line x1="18" y1="6" x2="6" y2="18"/><line x1="6" y1="6" x2="18" y2="18"/></svg>
-                  Back to Tables
+                  {navigationReturnView === 'matchups' ? 'Back to Head-to-Head' : 'Back to Tables'}
                 </button>
               </div>
             )}
@@ -7137,6 +4869,7 @@ export default function App() {
                   <h2 className={`text-2xl font-bold ${darkMode ? 'text-white' : 'text-gray-800'}`}>Match Analysis</h2>
                   <p className={`${darkMode ? 'text-gray-300' : 'text-gray-600'}`}>Detailed breakdown of this battle</p>
                 </div>
+                <CopyViewLinkButton url={buildViewUrl(viewQuery, 'panel-match')} darkMode={darkMode} />
               </div>
             </div>
             {/* Match Tag Badges */}
@@ -7190,6 +4923,19 @@ export default function App() {
                 </div>
               </div>
             )}
+
+            {/* Match Timeline (team battles) */}
+            {(p1Team.length > 1 || p2Team.length > 1) && (
+              <MatchTimeline
+                p1Team={p1Team}
+                p2Team={p2Team}
+                characterIdRecord={characterIdRecord}
+                p1TeamName={p1TeamName}
+                p2TeamName={p2TeamName}
+                charMap={charMap}
+                darkMode={darkMode}
+              />
+            )}
             
             <div className="grid md:grid-cols-2 gap-6">
               {/* P1 Team */}
@@ -7454,6 +5200,11 @@ export default function App() {
                           </div>
                         </StatGroup>
                         
+                        {/* Action Breakdown Section (Collapsible) */}
+                        <StatGroup title="Action Breakdown" icon={Activity} darkMode={darkMode} iconColor="purple" collapsible={true} defaultCollapsed={true}>
+                          <ActionBreakdown counts={stats.actionCounts} darkMode={darkMode} />
+                        </StatGroup>
+                        
                         {/* Build Section (Collapsible) */}
                         <StatGroup title="Build" icon={Star} darkMode={darkMode} collapsible={true} defaultCollapsed={true}>
                           <BuildDisplay stats={stats} showDetailed={true} darkMode={darkMode} />
@@ -7738,6 +5489,11 @@ export default function App() {
                           </div>
                         </StatGroup>
                         
+                        {/* Action Breakdown Section (Collapsible) */}
+                        <StatGroup title="Action Breakdown" icon={Activity} darkMode={darkMode} iconColor="purple" collapsible={true} defaultCollapsed={true}>
+                          <ActionBreakdown counts={stats.actionCounts} darkMode={darkMode} />
+                        </StatGroup>
+                        
                         {/* Build Section (Collapsible) */}
                         <StatGroup title="Build" icon={Star} darkMode={darkMode} collapsible={true} defaultCollapsed={true}>
                           <BuildDisplay stats={stats} showDetailed={true} darkMode={darkMode} />
@@ -7760,6 +5516,26 @@ export default function App() {
                 </div>
               </div>
             </div>
+
+            {/* Action Profile by AI Strategy */}
+            <div className={`mt-6 rounded-xl p-6 border ${darkMode ? 'border-gray-700 bg-gray-900/30' : 'border-gray-200 bg-gray-50'}`}>
+              <h4 className={`font-bold mb-1 flex items-center gap-2 ${darkMode ? 'text-white' : 'text-gray-800'}`}>
+                <Activity className="w-5 h-5" />
+                Action Profile by AI Strategy
+              </h4>
+              <p className={`text-sm mb-4 ${darkMode ? 'text-gray-400' : 'text-gray-600'}`}>
+                Hits by action type for every character in this match, grouped by AI strategy
+              </p>
+              <ActionProfileByAI
+                countsByAI={[...p1Team, ...p2Team].reduce((byAI, char) => {
+                  const stats = extractStats(char, charMap, capsuleMap, 0, aiStrategies);
+                  const aiStrategy = stats.aiStrategy || 'Default';
+                  byAI[aiStrategy] = addActionCounts(byAI[aiStrategy] || { actions: {}, blastGroups: {} }, stats.actionCounts);
+                  return byAI;
+                }, {})}
+                darkMode={darkMode}
+              />
+            </div>
           </div>
         )}
 
@@ -7771,7 +5547,7 @@ export default function App() {
             {aggregatedData && Object.keys(aggregatedData).length > 0 && (
               <>
                 {/* Excel Export Button */}
-                <div className={`rounded-2xl shadow-xl p-6 ${darkMode ? 'bg-gray-800' : 'bg-white'}`}>
+                <div id="panel-tables" className={`rounded-2xl shadow-xl p-6 ${darkMode ? 'bg-gray-800' : 'bg-white'}`}>
                   <div className="flex items-center justify-between">
                     <div>
                       <h3 className={`text-lg font-bold ${darkMode ? 'text-white' : 'text-gray-900'}`}>
@@ -7781,26 +5557,32 @@ export default function App() {
                         Download all data tables to Excel (.xlsx) with full formatting
                       </p>
                     </div>
-                    <button
-                      onClick={handleExcelExport}
-                      className={`flex items-center gap-2 px-6 py-3 rounded-lg font-semibold transition-all shadow-lg hover:shadow-xl ${
-                        darkMode 
-                          ? 'bg-blue-600 hover:bg-blue-700 text-white' 
-                          : 'bg-blue-500 hover:bg-blue-600 text-white'
-                      }`}
-                    >
-                      <Download size={20} />
-                      Export to Excel
-                    </button>
+                    <div className="flex items-center gap-3">
+                      <CopyViewLinkButton url={buildViewUrl(viewQuery, 'panel-tables')} darkMode={darkMode} />
+                      <button
+                        onClick={handleExcelExport}
+                        className={`flex items-center gap-2 px-6 py-3 rounded-lg font-semibold transition-all shadow-lg hover:shadow-xl ${
+                          darkMode 
+                            ? 'bg-blue-600 hover:bg-blue-700 text-white' 
+                            : 'bg-blue-500 hover:bg-blue-600 text-white'
+                        }`}
+                      >
+                        <Download size={20} />
+                        Export to Excel
+                      </button>
+                    </div>
                   </div>
                 </div>
 
                 {/* Character Averages Table */}
-                <div className={`rounded-2xl shadow-xl p-6 ${darkMode ? 'bg-gray-800' : 'bg-white'}`}>
+                <div id="panel-character-averages" className={`rounded-2xl shadow-xl p-6 ${darkMode ? 'bg-gray-800' : 'bg-white'}`}>
                   <div className="mb-4">
-                    <h3 className={`text-xl font-bold ${darkMode ? 'text-white' : 'text-gray-900'}`}>
-                      Character Performance Averages
-                    </h3>
+                    <div className="flex items-center justify-between gap-3">
+                      <h3 className={`text-xl font-bold ${darkMode ? 'text-white' : 'text-gray-900'}`}>
+                        Character Performance Averages
+                      </h3>
+                      <CopyViewLinkButton url={buildViewUrl(viewQuery, 'panel-character-averages')} darkMode={darkMode} />
+                    </div>
                     <p className={`text-sm ${darkMode ? 'text-gray-400' : 'text-gray-600'}`}>
                       Aggregated statistics showing overall performance across all matches
                     </p>
@@ -7820,11 +5602,14 @@ export default function App() {
                 </div>
 
                 {/* Match Details Table */}
-                <div className={`rounded-2xl shadow-xl p-6 ${darkMode ? 'bg-gray-800' : 'bg-white'}`}>
+                <div id="panel-match-details" className={`rounded-2xl shadow-xl p-6 ${darkMode ? 'bg-gray-800' : 'bg-white'}`}>
                   <div className="mb-4">
-                    <h3 className={`text-xl font-bold ${darkMode ? 'text-white' : 'text-gray-900'}`}>
-                      Individual Match Performance Details
-                    </h3>
+                    <div className="flex items-center justify-between gap-3">
+                      <h3 className={`text-xl font-bold ${darkMode ? 'text-white' : 'text-gray-900'}`}>
+                        Individual Match Performance Details
+                      </h3>
+                      <CopyViewLinkButton url={buildViewUrl(viewQuery, 'panel-match-details')} darkMode={darkMode} />
+                    </div>
                     <p className={`text-sm ${darkMode ? 'text-gray-400' : 'text-gray-600'}`}>
                       Per-match statistics for detailed analysis and trend identification
                     </p>
@@ -7842,6 +5627,55 @@ export default function App() {
                     }}
                   />
                 </div>
+
+                {/* Finishers Tables */}
+                <div id="panel-finishers" className={`rounded-2xl shadow-xl p-6 ${darkMode ? 'bg-gray-800' : 'bg-white'}`}>
+                  <div className="mb-4">
+                    <div className="flex items-center justify-between gap-3">
+                      <h3 className={`text-xl font-bold ${darkMode ? 'text-white' : 'text-gray-900'}`}>
+                        Finishers
+                      </h3>
+                      <CopyViewLinkButton url={buildViewUrl(viewQuery, 'panel-finishers')} darkMode={darkMode} />
+                    </div>
+                    <p className={`text-sm ${darkMode ? 'text-gray-400' : 'text-gray-600'}`}>
+                      Who lands the final KO, with which blast slot, and how often each AI strategy and build type closes out matches
+                    </p>
+                    {(() => {
+                      const breakdown = getFinishBlastBreakdown(aggregatedData);
+                      if (breakdown.total === 0) return null;
+                      return (
+                        <div className="flex flex-wrap gap-2 mt-3">
+                          {breakdown.categories.map(({ category, count, share }) => (
+                            <span
+                              key={category}
+                              className={`px-3 py-1 rounded-full text-xs font-medium ${
+                                darkMode ? 'bg-gray-700 text-gray-200' : 'bg-gray-100 text-gray-700'
+                              }`}
+                            >
+                              {category}: {count} ({share}%)
+                            </span>
+                          ))}
+                        </div>
+                      );
+                    })()}
+                  </div>
+                  <DataTable
+                    data={prepareFinishersData(aggregatedData)}
+                    columns={getFinishersTableConfig(darkMode).columns}
+                    title="Finishers"
+                    exportFileName={`finishers_${new Date().toISOString().split('T')[0]}`}
+                    darkMode={darkMode}
+                  />
+                  <div className="mt-6">
+                    <DataTable
+                      data={prepareFinishRatesData(aggregatedData)}
+                      columns={getFinishRatesTableConfig(darkMode).columns}
+                      title="Finish Rate by AI Strategy & Build"
+                      exportFileName={`finish_rates_${new Date().toISOString().split('T')[0]}`}
+                      darkMode={darkMode}
+                    />
+                  </div>
+                </div>
               </>
             )}
 
@@ -7919,7 +5753,7 @@ export default function App() {
         {/* Team Rankings Display */}
         {((mode === 'reference' && viewType === 'teams') || 
           (mode === 'manual' && viewType === 'teams' && manualFiles.filter(f => !f.error).length > 0)) && (
-          <div className={`rounded-2xl shadow-xl p-6 mb-6 ${
+          <div id="panel-teams" className={`rounded-2xl shadow-xl p-6 mb-6 ${
             darkMode ? 'bg-gray-800 border border-gray-700' : 'bg-white'
           }`}>
             <div className="flex items-center gap-3 mb-6">
@@ -7933,6 +5767,7 @@ export default function App() {
                   Team stats calculated from top 5 characters by combat performance score
                 </p>
               </div>
+              <CopyViewLinkButton url={buildViewUrl(viewQuery, 'panel-teams')} darkMode={darkMode} />
             </div>
             
             {teamAggregatedData.length === 0 ? (
@@ -7986,6 +5821,17 @@ export default function App() {
                         </div>
                         
                         <div className="flex items-center gap-6">
+                          {teamRatings[team.teamName]?.rating != null && (
+                            <div className="text-center" title="Latest rating (see Ratings below)">
+                              <div className={`text-2xl font-bold ${darkMode ? 'text-blue-400' : 'text-blue-600'}`}>
+                                {Math.round(teamRatings[team.teamName].rating)}
+                              </div>
+                              <div className={`text-xs ${darkMode ? 'text-gray-400' : 'text-gray-500'}`}>
+                                Rating
+                              </div>
+                            </div>
+                          )}
+
                           <div className="text-center">
                             <div className={`text-2xl font-bold ${
                               team.winRate >= 75 ? 'text-green-600' :
@@ -7994,8 +5840,15 @@ export default function App() {
                             }`}>
                               {team.winRate.toFixed(1)}%
                             </div>
-                            <div className={`text-xs ${darkMode ? 'text-gray-400' : 'text-gray-500'}`}>
+                            <div className={`text-xs flex items-center justify-center gap-1 ${darkMode ? 'text-gray-400' : 'text-gray-500'}`}>
                               Win Rate
+                              <IntervalText interval={winRateInterval(team.wins, team.matches)} format={v => `${Math.round(v)}%`} darkMode={darkMode} />
+                              <SignificanceFlag
+                                significance={compareToBaseline(winRateInterval(team.wins, team.matches), 50)}
+                                baselineLabel="a 50% win rate"
+                                n={team.matches}
+                                darkMode={darkMode}
+                              />
                             </div>
                           </div>
                           
@@ -9115,6 +6968,73 @@ export default function App() {
           </div>
         )}
 
+        {/* Head-to-Head: character and team matchup matrix (see utils/headToHead.js) */}
+        {((mode === 'reference' && viewType === 'matchups') || 
+          (mode === 'manual' && viewType === 'matchups' && manualFiles.filter(f => !f.error).length > 0)) && (
+          <div id="panel-head-to-head" className={`rounded-2xl shadow-xl p-6 mb-6 ${
+            darkMode ? 'bg-gray-800 border border-gray-700' : 'bg-white'
+          }`}>
+            <div className="flex items-center gap-3 mb-6">
+              <Swords className={`w-8 h-8 ${darkMode ? 'text-red-400' : 'text-red-600'}`} />
+              <div>
+                <h2 className={`text-2xl font-bold ${darkMode ? 'text-white' : 'text-gray-800'}`}>Head-to-Head</h2>
+                <p className={`${darkMode ? 'text-gray-400' : 'text-gray-600'}`}>
+                  How each character and team fares against every opponent they met, with the matches behind each matchup
+                </p>
+              </div>
+              <CopyViewLinkButton url={buildViewUrl(viewQuery, 'panel-head-to-head')} darkMode={darkMode} />
+            </div>
+            <HeadToHeadExplorer headToHead={headToHead} darkMode={darkMode} onOpenMatch={handleNavigateToMatch} />
+          </div>
+        )}
+
+        {/* Cohort comparison: two seasons, patches or match types side by side (see utils/cohorts.js) */}
+        {((mode === 'reference' && viewType === 'compare') || 
+          (mode === 'manual' && viewType === 'compare' && manualFiles.filter(f => !f.error).length > 0)) && (
+          <div id="panel-compare" className={`rounded-2xl shadow-xl p-6 mb-6 ${
+            darkMode ? 'bg-gray-800 border border-gray-700' : 'bg-white'
+          }`}>
+            <div className="flex items-center gap-3 mb-6">
+              <GitCompare className={`w-8 h-8 ${darkMode ? 'text-teal-400' : 'text-teal-600'}`} />
+              <div>
+                <h2 className={`text-2xl font-bold ${darkMode ? 'text-white' : 'text-gray-800'}`}>Cohort Comparison</h2>
+                <p className={`${darkMode ? 'text-gray-400' : 'text-gray-600'}`}>
+                  Character, capsule and AI strategy metrics of two seasons, game patches or match types side by side
+                </p>
+              </div>
+              <CopyViewLinkButton url={buildViewUrl(viewQuery, 'panel-compare')} darkMode={darkMode} />
+            </div>
+            <CohortComparison
+              comparison={cohortComparison}
+              cohortSpec={cohortSpec}
+              cohortValues={cohortValues}
+              onCohortSpecChange={setCohortSelection}
+              pending={aggregationPending}
+              darkMode={darkMode}
+            />
+          </div>
+        )}
+
+        {/* Ratings: Elo/Glicko replay of the selected matches (see utils/ratings.js) */}
+        {((mode === 'reference' && viewType === 'teams') || 
+          (mode === 'manual' && viewType === 'teams' && manualFiles.filter(f => !f.error).length > 0)) && ratings && (
+          <div id="panel-ratings" className={`rounded-2xl shadow-xl p-6 mb-6 ${
+            darkMode ? 'bg-gray-800 border border-gray-700' : 'bg-white'
+          }`}>
+            <div className="flex items-center gap-3 mb-6">
+              <TrendingUp className={`w-8 h-8 ${darkMode ? 'text-blue-400' : 'text-blue-600'}`} />
+              <div>
+                <h2 className={`text-2xl font-bold ${darkMode ? 'text-white' : 'text-gray-800'}`}>Ratings</h2>
+                <p className={`${darkMode ? 'text-gray-400' : 'text-gray-600'}`}>
+                  {ratings.system === 'glicko' ? 'Glicko' : 'Elo'} ratings from {ratings.matches.length} dated match{ratings.matches.length !== 1 ? 'es' : ''} replayed in date order, weighted by opponent strength
+                </p>
+              </div>
+              <CopyViewLinkButton url={buildViewUrl(viewQuery, 'panel-ratings')} darkMode={darkMode} />
+            </div>
+            <RatingsPanel ratings={ratings} darkMode={darkMode} />
+          </div>
+        )}
+
         {/* Error Display */}
         {fileContent?.error && (
           <div className={`rounded-2xl shadow-xl p-6 ${darkMode ? 'bg-gray-800' : 'bg-white'}`}>
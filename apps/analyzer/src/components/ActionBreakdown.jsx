@@ -0,0 +1,167 @@
+import React, { useState } from 'react';
+import { ChevronDown, ChevronUp } from 'lucide-react';
+import { ACTION_CATEGORIES, summarizeActionCounts } from '../utils/actionTaxonomy';
+
+/**
+ * Stacked bar of action categories, one segment per category sized by its share of hits
+ */
+function CategoryBar({ categories, height = 'h-3' }) {
+  return (
+    <div className={`flex w-full ${height} rounded-full overflow-hidden`}>
+      {categories.map(category => (
+        <div
+          key={category.id}
+          style={{ width: `${category.share}%`, backgroundColor: category.color }}
+          title={`${category.label}: ${category.count} hits (${category.share}%)`}
+        />
+      ))}
+    </div>
+  );
+}
+
+/**
+ * ActionBreakdown Component
+ *
+ * Move-level breakdown of one character's hits (battleCount.attackHitCount) and blast uses
+ * (battleCount.useBlastGroupCount), decoded with referencedata/actions.json.
+ * Each category row expands to the individual groups (rush chain hits, Z-counter types, ...).
+ *
+ * @param {Object} counts - { actions, blastGroups } from countActions() / addActionCounts()
+ * @param {number} matchCount - When set, counts are also shown per match
+ */
+export default function ActionBreakdown({ counts, matchCount = null, darkMode = false }) {
+  const [expandedCategory, setExpandedCategory] = useState(null);
+  const summary = summarizeActionCounts(counts);
+
+  if (summary.total === 0 && summary.blastGroups.length === 0) {
+    return (
+      <div className={`text-xs italic ${darkMode ? 'text-gray-400' : 'text-gray-500'}`}>
+        No action data recorded
+      </div>
+    );
+  }
+
+  const perMatch = (count) => matchCount > 0 ? Math.round((count / matchCount) * 10) / 10 : null;
+
+  return (
+    <div className="space-y-2">
+      <div className={`flex justify-between text-xs ${darkMode ? 'text-gray-400' : 'text-gray-600'}`}>
+        <span>{summary.total.toLocaleString()} hits</span>
+        {matchCount > 0 && <span>{perMatch(summary.total)} / match</span>}
+      </div>
+      <CategoryBar categories={summary.categories} />
+
+      <div className="space-y-0.5">
+        {summary.categories.map(category => {
+          const expanded = expandedCategory === category.id;
+          return (
+            <div key={category.id}>
+              <div
+                className={`flex items-center gap-2 text-xs cursor-pointer rounded px-1 py-0.5 ${
+                  darkMode ? 'hover:bg-gray-600/50 text-gray-200' : 'hover:bg-gray-100 text-gray-700'
+                }`}
+                onClick={() => setExpandedCategory(expanded ? null : category.id)}
+              >
+                <span className="w-2.5 h-2.5 rounded-sm flex-shrink-0" style={{ backgroundColor: category.color }} />
+                <span className="flex-1">{category.label}</span>
+                <span className="font-semibold">{category.count}</span>
+                <span className={`w-12 text-right ${darkMode ? 'text-gray-400' : 'text-gray-500'}`}>{category.share}%</span>
+                {expanded ? <ChevronUp className="w-3 h-3" /> : <ChevronDown className="w-3 h-3" />}
+              </div>
+              {expanded && (
+                <div className={`ml-5 mb-1 pl-2 border-l ${darkMode ? 'border-gray-600' : 'border-gray-300'}`}>
+                  {category.groups.map(group => (
+                    <div key={group.id} className={`flex justify-between text-xs ${darkMode ? 'text-gray-300' : 'text-gray-600'}`}>
+                      <span>{group.label}</span>
+                      <span>
+                        {group.count}
+                        {matchCount > 0 && (
+                          <span className={darkMode ? 'text-gray-500' : 'text-gray-400'}> ({perMatch(group.count)}/m)</span>
+                        )}
+                      </span>
+                    </div>
+                  ))}
+                </div>
+              )}
+            </div>
+          );
+        })}
+      </div>
+
+      {summary.blastGroups.length > 0 && (
+        <div className={`pt-2 ${darkMode ? 'border-t border-gray-600' : 'border-t border-gray-300'}`}>
+          <div className={`text-xs font-medium mb-1 ${darkMode ? 'text-gray-300' : 'text-gray-700'}`}>Blast Slots Used</div>
+          <div className="flex flex-wrap gap-1">
+            {summary.blastGroups.map(slot => (
+              <span
+                key={slot.id}
+                className={`px-2 py-0.5 rounded text-xs ${darkMode ? 'bg-purple-900/40 text-purple-200' : 'bg-purple-100 text-purple-800'}`}
+              >
+                {slot.label}: {slot.count} ({slot.share}%)
+              </span>
+            ))}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+/**
+ * ActionProfileByAI Component
+ *
+ * Category mix per AI strategy, one stacked bar per strategy.
+ *
+ * @param {Object<string, {actions: Object, blastGroups: Object}>} countsByAI - Action counts keyed by AI strategy name
+ * @param {Object<string, number>} matchesByAI - Optional match counts keyed by AI strategy name
+ */
+export function ActionProfileByAI({ countsByAI, matchesByAI = {}, darkMode = false }) {
+  const rows = Object.entries(countsByAI || {})
+    .map(([aiStrategy, counts]) => ({ aiStrategy, summary: summarizeActionCounts(counts) }))
+    .filter(row => row.summary.total > 0)
+    .sort((a, b) => b.summary.total - a.summary.total);
+
+  if (rows.length === 0) {
+    return (
+      <div className={`text-sm italic ${darkMode ? 'text-gray-400' : 'text-gray-500'}`}>
+        No action data recorded
+      </div>
+    );
+  }
+
+  // Legend lists every category that appears for any strategy, in taxonomy order
+  const legend = ACTION_CATEGORIES.filter(category =>
+    rows.some(row => row.summary.categories.some(entry => entry.id === category.id))
+  );
+
+  return (
+    <div className="space-y-3">
+      <div className="flex flex-wrap gap-3">
+        {legend.map(category => (
+          <div key={category.id} className={`flex items-center gap-1 text-xs ${darkMode ? 'text-gray-300' : 'text-gray-600'}`}>
+            <span className="w-2.5 h-2.5 rounded-sm" style={{ backgroundColor: category.color }} />
+            {category.label}
+          </div>
+        ))}
+      </div>
+      {rows.map(({ aiStrategy, summary }) => {
+        const matches = matchesByAI[aiStrategy];
+        const topCategories = summary.categories.slice().sort((a, b) => b.count - a.count).slice(0, 3);
+        return (
+          <div key={aiStrategy}>
+            <div className={`flex justify-between text-xs mb-1 ${darkMode ? 'text-gray-200' : 'text-gray-700'}`}>
+              <span className="font-medium">{aiStrategy}</span>
+              <span className={darkMode ? 'text-gray-400' : 'text-gray-500'}>
+                {summary.total.toLocaleString()} hits
+                {matches > 0 && ` · ${Math.round((summary.total / matches) * 10) / 10} / match`}
+                {' · '}
+                {topCategories.map(category => `${category.label} ${category.share}%`).join(', ')}
+              </span>
+            </div>
+            <CategoryBar categories={summary.categories} height="h-2.5" />
+          </div>
+        );
+      })}
+    </div>
+  );
+}
@@ -116,7 +116,8 @@ function isNodePartiallySelected(node, path, selected) {
   return childIds.some(id => selected.includes(id)) && !childIds.every(id => selected.includes(id));
 }
 
-export default function BRDataSelector({ onSelect, tagFilterPaths }) {
+// initialSelection: folder / .json ids to select on load instead of DEFAULT_SELECTION (e.g. from a shared link)
+export default function BRDataSelector({ onSelect, tagFilterPaths, initialSelection = null }) {
   // Arrow icons for expand/collapse
   // Track expanded folders by their IDs
   const [expandedFolders, setExpandedFolders] = useState([]);
@@ -150,11 +151,12 @@ export default function BRDataSelector({ onSelect, tagFilterPaths }) {
         const data = await res.json();
         setStructure(data);
         
-        // Apply default selection based on DEFAULT_SELECTION config
+        // Apply the initial selection, or the default from DEFAULT_SELECTION
         if (data) {
           const selectedIds = [];
+          const selection = initialSelection || DEFAULT_SELECTION;
           
-          if (DEFAULT_SELECTION === 'all') {
+          if (selection === 'all') {
             // Select all files in BR_Data
             function collectAllIds(node, path = []) {
               Object.entries(node).forEach(([key, value]) => {
@@ -167,11 +169,15 @@ export default function BRDataSelector({ onSelect, tagFilterPaths }) {
               });
             }
             collectAllIds(data);
-          } else if (DEFAULT_SELECTION === 'none') {
+          } else if (selection === 'none') {
             // Don't select anything
-          } else if (Array.isArray(DEFAULT_SELECTION)) {
-            // Select specific folders/subfolders
-            DEFAULT_SELECTION.forEach(folderPath => {
+          } else if (Array.isArray(selection)) {
+            // Select specific folders/subfolders and files
+            selection.forEach(folderPath => {
+              if (folderPath.endsWith('.json')) {
+                selectedIds.push(folderPath);
+                return;
+              }
               const pathParts = folderPath.split('/');
               let node = data;
               
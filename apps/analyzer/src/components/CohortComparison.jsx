@@ -0,0 +1,234 @@
+import React, { useState } from 'react';
+import { ArrowLeftRight, TrendingUp, TrendingDown, Loader2 } from 'lucide-react';
+import { COHORT_DIMENSIONS } from '../utils/cohorts.js';
+import { SAMPLE_POLICY, meetsMinimumSample } from '../utils/statistics.js';
+import { formatNumber } from '../utils/formatters.js';
+import { IntervalText, SignificanceFlag } from './StatInterval.jsx';
+
+const GROUPS = {
+  characters: { label: 'Characters', usageHint: 'Share of the cohort\'s matches the character played in', extra: 'score' },
+  capsules: { label: 'Capsules', usageHint: 'Share of character appearances with the capsule equipped', extra: 'avgDamage' },
+  aiStrategies: { label: 'AI Strategies', usageHint: 'Share of character appearances using the strategy', extra: 'score' }
+};
+
+const EXTRA_COLUMNS = {
+  score: { label: 'Score', format: value => value.toFixed(2) },
+  avgDamage: { label: 'Avg Damage', format: value => formatNumber(value) }
+};
+
+const signed = (value, format = v => v.toFixed(1)) => (value === null ? '—' : `${value > 0 ? '+' : ''}${format(value)}`);
+const deltaClass = (value, darkMode) => {
+  if (!value) return darkMode ? 'text-gray-400' : 'text-gray-500';
+  return value > 0 ? (darkMode ? 'text-green-400' : 'text-green-600') : (darkMode ? 'text-red-400' : 'text-red-600');
+};
+
+/**
+ * CohortComparison Component
+ *
+ * Two cohorts of the selected matches (season A vs B, patch vs patch, Tests vs Season) side by
+ * side: per-entity win rate, usage and score with the change between cohorts, and the biggest
+ * win-rate risers and fallers.
+ *
+ * @param {Object|null} comparison - compareCohorts() result from the aggregation worker, with dimension/before/after
+ * @param {Object} cohortSpec - { dimension, before, after } being compared (before/after null when there's nothing to pair)
+ * @param {Array<{value: string, matches: number}>} cohortValues - Cohorts available for the dimension
+ * @param {Function} onCohortSpecChange - Called with a new { dimension, before, after }
+ * @param {boolean} pending - Aggregation in progress
+ */
+export default function CohortComparison({ comparison, cohortSpec, cohortValues, onCohortSpecChange, pending = false, darkMode = false }) {
+  const [group, setGroup] = useState('characters');
+
+  const muted = darkMode ? 'text-gray-400' : 'text-gray-500';
+  const inputClass = `px-2 py-1 text-sm rounded border ${darkMode ? 'bg-gray-700 border-gray-600 text-white' : 'bg-white border-gray-300 text-gray-800'}`;
+  const { dimension, before, after } = cohortSpec;
+  // The worker's result lags a change of cohorts; show it only once it matches the controls
+  const current = comparison && comparison.dimension === dimension && comparison.before === before && comparison.after === after;
+  const data = current ? comparison[group] : null;
+  const extra = EXTRA_COLUMNS[GROUPS[group].extra];
+  const extraChangeField = GROUPS[group].extra === 'score' ? 'scoreChange' : 'avgDamageChange';
+
+  const cohortOption = ({ value, matches }) => <option key={value} value={value}>{value} ({matches} matches)</option>;
+
+  const renderMovers = (rows, title, Icon, positive) => (
+    <div className={`rounded-lg border p-4 ${darkMode ? 'border-gray-700 bg-gray-900/40' : 'border-gray-200 bg-gray-50'}`}>
+      <div className={`flex items-center gap-2 mb-2 font-semibold ${positive ? (darkMode ? 'text-green-400' : 'text-green-700') : (darkMode ? 'text-red-400' : 'text-red-700')}`}>
+        <Icon className="w-4 h-4" />
+        {title}
+      </div>
+      {rows.length === 0 ? (
+        <p className={`text-sm ${muted}`}>None with {SAMPLE_POLICY.minimum}+ matches in both cohorts</p>
+      ) : (
+        <ul className="space-y-1">
+          {rows.map(row => (
+            <li key={row.key} className={`flex items-center justify-between gap-2 text-sm ${darkMode ? 'text-gray-200' : 'text-gray-700'}`}>
+              <span className="truncate">{row.name}</span>
+              <span className="flex items-center gap-1 whitespace-nowrap">
+                <span className={muted}>{row.before.winRate.toFixed(1)}% → {row.after.winRate.toFixed(1)}%</span>
+                <span className={`font-semibold ${deltaClass(row.winRateChange, darkMode)}`}>{signed(row.winRateChange)}</span>
+                <SignificanceFlag significance={row.winRateChangeSignificance} baselineLabel={before} darkMode={darkMode} />
+              </span>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+
+  return (
+    <div className="space-y-4">
+      <div className="flex flex-wrap items-center gap-3">
+        <label className={`text-sm ${darkMode ? 'text-gray-300' : 'text-gray-600'}`}>
+          Compare by
+          <select
+            value={dimension}
+            onChange={(e) => onCohortSpecChange({ dimension: e.target.value, before: null, after: null })}
+            className={`ml-2 ${inputClass}`}
+          >
+            {COHORT_DIMENSIONS.map(dim => <option key={dim.key} value={dim.key}>{dim.label}</option>)}
+          </select>
+        </label>
+        {cohortValues.length >= 2 && (
+          <>
+            <select
+              value={before || ''}
+              onChange={(e) => onCohortSpecChange({ ...cohortSpec, before: e.target.value })}
+              className={inputClass}
+            >
+              {cohortValues.map(cohortOption)}
+            </select>
+            <button
+              onClick={() => onCohortSpecChange({ ...cohortSpec, before: after, after: before })}
+              className={`p-1.5 rounded-lg ${darkMode ? 'text-gray-300 hover:bg-gray-700' : 'text-gray-600 hover:bg-gray-100'}`}
+              title="Swap cohorts"
+            >
+              <ArrowLeftRight className="w-4 h-4" />
+            </button>
+            <select
+              value={after || ''}
+              onChange={(e) => onCohortSpecChange({ ...cohortSpec, after: e.target.value })}
+              className={inputClass}
+            >
+              {cohortValues.map(cohortOption)}
+            </select>
+          </>
+        )}
+        {pending && <Loader2 className={`w-4 h-4 animate-spin ${muted}`} />}
+      </div>
+
+      {cohortValues.length < 2 ? (
+        <div className={`text-center py-8 text-sm ${muted}`}>
+          {cohortValues.length === 0
+            ? 'No matches in the selection are tagged for this dimension'
+            : `Every match in the selection is in ${cohortValues[0].value}; select matches from another ${COHORT_DIMENSIONS.find(d => d.key === dimension)?.label.toLowerCase() || 'cohort'} to compare`}
+        </div>
+      ) : before === after ? (
+        <div className={`text-center py-8 text-sm ${muted}`}>Pick two different cohorts to compare</div>
+      ) : !data ? (
+        <div className={`text-center py-8 text-sm ${muted}`}>Aggregating cohorts...</div>
+      ) : (
+        <>
+          <div className={`text-sm ${darkMode ? 'text-gray-300' : 'text-gray-600'}`}>
+            <span className="font-semibold">{before}</span>: {comparison.matches.before} matches
+            {' · '}
+            <span className="font-semibold">{after}</span>: {comparison.matches.after} matches
+            {' · '}changes read {after} minus {before}
+          </div>
+
+          <div className={`inline-flex rounded-lg p-1 ${darkMode ? 'bg-gray-700' : 'bg-gray-100'}`}>
+            {Object.entries(GROUPS).map(([id, { label }]) => (
+              <button
+                key={id}
+                onClick={() => setGroup(id)}
+                className={`px-3 py-1.5 text-sm font-medium rounded-md transition-colors ${
+                  group === id
+                    ? (darkMode ? 'bg-gray-900 text-white' : 'bg-white text-gray-900 shadow')
+                    : (darkMode ? 'text-gray-300 hover:text-white' : 'text-gray-600 hover:text-gray-900')
+                }`}
+              >
+                {label} ({comparison[id].rows.length})
+              </button>
+            ))}
+          </div>
+
+          <div className="grid md:grid-cols-2 gap-4">
+            {renderMovers(data.risers, 'Biggest risers', TrendingUp, true)}
+            {renderMovers(data.fallers, 'Biggest fallers', TrendingDown, false)}
+          </div>
+
+          <div className="overflow-auto max-h-[70vh]">
+            <table className="min-w-full text-sm">
+              <thead className={`sticky top-0 ${darkMode ? 'bg-gray-800' : 'bg-white'}`}>
+                <tr className={`border-b ${darkMode ? 'border-gray-700 text-gray-400' : 'border-gray-200 text-gray-500'}`}>
+                  <th className="px-2 py-1 text-left font-medium">Name</th>
+                  <th className="px-2 py-1 text-right font-medium">Matches</th>
+                  <th className="px-2 py-1 text-right font-medium">Win Rate {before}</th>
+                  <th className="px-2 py-1 text-right font-medium">Win Rate {after}</th>
+                  <th className="px-2 py-1 text-right font-medium">Change</th>
+                  <th className="px-2 py-1 text-right font-medium" title={GROUPS[group].usageHint}>Usage {before}</th>
+                  <th className="px-2 py-1 text-right font-medium" title={GROUPS[group].usageHint}>Usage {after}</th>
+                  <th className="px-2 py-1 text-right font-medium">Change</th>
+                  <th className="px-2 py-1 text-right font-medium">{extra.label} {before}</th>
+                  <th className="px-2 py-1 text-right font-medium">{extra.label} {after}</th>
+                  <th className="px-2 py-1 text-right font-medium">Change</th>
+                </tr>
+              </thead>
+              <tbody>
+                {data.rows.map(row => {
+                  const thin = !meetsMinimumSample(row.before?.matches || 0) || !meetsMinimumSample(row.after?.matches || 0);
+                  const extraField = GROUPS[group].extra;
+                  return (
+                    <tr
+                      key={row.key}
+                      className={`border-b ${darkMode ? 'border-gray-800' : 'border-gray-100'} ${
+                        thin ? muted : (darkMode ? 'text-gray-200' : 'text-gray-700')
+                      }`}
+                      title={thin ? `Fewer than ${SAMPLE_POLICY.minimum} matches in a cohort` : undefined}
+                    >
+                      <td className="px-2 py-1">
+                        {row.name}
+                        {row.status !== 'both' && (
+                          <span className={`ml-2 text-[10px] uppercase font-semibold ${row.status === 'new' ? 'text-blue-500' : 'text-amber-500'}`}>
+                            {row.status === 'new' ? `new in ${after}` : `not in ${after}`}
+                          </span>
+                        )}
+                      </td>
+                      <td className="px-2 py-1 text-right whitespace-nowrap">{row.before?.matches || 0} / {row.after?.matches || 0}</td>
+                      <td className="px-2 py-1 text-right whitespace-nowrap">
+                        {row.before ? `${row.before.winRate.toFixed(1)}%` : '—'}{' '}
+                        <IntervalText interval={row.before?.winRateInterval} format={(v) => `${v.toFixed(0)}%`} darkMode={darkMode} />
+                      </td>
+                      <td className="px-2 py-1 text-right whitespace-nowrap">
+                        {row.after ? `${row.after.winRate.toFixed(1)}%` : '—'}{' '}
+                        <IntervalText interval={row.after?.winRateInterval} format={(v) => `${v.toFixed(0)}%`} darkMode={darkMode} />
+                      </td>
+                      <td className={`px-2 py-1 text-right whitespace-nowrap font-semibold ${deltaClass(row.winRateChange, darkMode)}`}>
+                        <span className="inline-flex items-center gap-1">
+                          {signed(row.winRateChange)}
+                          <SignificanceFlag significance={row.winRateChangeSignificance} baselineLabel={before} darkMode={darkMode} />
+                        </span>
+                      </td>
+                      <td className="px-2 py-1 text-right">{row.before ? `${row.before.usage.toFixed(1)}%` : '—'}</td>
+                      <td className="px-2 py-1 text-right">{row.after ? `${row.after.usage.toFixed(1)}%` : '—'}</td>
+                      <td className={`px-2 py-1 text-right ${deltaClass(row.usageChange, darkMode)}`}>{signed(row.usageChange)}</td>
+                      <td className="px-2 py-1 text-right">{row.before ? extra.format(row.before[extraField]) : '—'}</td>
+                      <td className="px-2 py-1 text-right">{row.after ? extra.format(row.after[extraField]) : '—'}</td>
+                      <td className={`px-2 py-1 text-right ${deltaClass(row[extraChangeField], darkMode)}`}>
+                        {signed(row[extraChangeField], extraField === 'score' ? (v => v.toFixed(2)) : (v => formatNumber(v)))}
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+
+          <p className={`text-xs ${muted}`}>
+            Changes are {after} minus {before}, in percentage points for win rate and usage. Arrows mark win-rate
+            changes whose 95% interval excludes zero; rows with fewer than {SAMPLE_POLICY.minimum} matches in either
+            cohort are greyed out and left out of the risers and fallers.
+          </p>
+        </>
+      )}
+    </div>
+  );
+}
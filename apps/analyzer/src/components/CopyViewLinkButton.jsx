@@ -0,0 +1,47 @@
+import React, { useEffect, useState } from 'react';
+import { Link2, Check } from 'lucide-react';
+
+/**
+ * CopyViewLinkButton Component
+ *
+ * Copies a link to the current analyzer view, scrolled to one panel.
+ *
+ * @param {string} url - Link to copy (see buildViewUrl in utils/viewState.js)
+ */
+export default function CopyViewLinkButton({ url, darkMode = false, label = 'Copy link' }) {
+  const [copied, setCopied] = useState(false);
+
+  useEffect(() => {
+    if (!copied) return undefined;
+    const timer = setTimeout(() => setCopied(false), 2000);
+    return () => clearTimeout(timer);
+  }, [copied]);
+
+  const handleCopy = async (e) => {
+    e.stopPropagation();
+    try {
+      await navigator.clipboard.writeText(url);
+      setCopied(true);
+    } catch (err) {
+      // Clipboard access can be blocked (e.g. non-secure origin); fall back to a prompt
+      console.warn('Clipboard write failed:', err);
+      window.prompt('Copy this link:', url);
+    }
+  };
+
+  return (
+    <button
+      type="button"
+      onClick={handleCopy}
+      className={`inline-flex items-center gap-1.5 px-2.5 py-1.5 rounded-lg text-xs font-medium transition-colors ${
+        copied
+          ? darkMode ? 'bg-green-900/40 text-green-300' : 'bg-green-100 text-green-700'
+          : darkMode ? 'bg-gray-700 text-gray-300 hover:bg-gray-600' : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+      }`}
+      title="Copy a link to this view"
+    >
+      {copied ? <Check className="w-3.5 h-3.5" /> : <Link2 className="w-3.5 h-3.5" />}
+      {copied ? 'Copied' : label}
+    </button>
+  );
+}
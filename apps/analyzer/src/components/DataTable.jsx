@@ -161,6 +161,8 @@ const DataTable = ({
       case 'Combat Mechanics': return darkMode ? '#7c2d12' : '#fdba74';
       case 'Build & Equipment': return darkMode ? '#1e3a5f' : '#93c5fd';
       case 'Form Changes': return darkMode ? '#134e4a' : '#5eead4';
+      case 'Finishes': return darkMode ? '#713f12' : '#fde047';
+      case 'Finish Blasts': return darkMode ? '#4c1d95' : '#c4b5fd';
       default: return darkMode ? '#374151' : '#d1d5db';
     }
   };
@@ -193,6 +195,14 @@ const DataTable = ({
         return darkMode
           ? `${borderLeft}bg-teal-900 text-teal-200 border-teal-600`
           : `${borderLeft}bg-teal-100 text-teal-800 border-teal-300`;
+      case 'Finishes':
+        return darkMode
+          ? `${borderLeft}bg-yellow-900 text-yellow-200 border-yellow-600`
+          : `${borderLeft}bg-yellow-100 text-yellow-800 border-yellow-300`;
+      case 'Finish Blasts':
+        return darkMode
+          ? `${borderLeft}bg-violet-900 text-violet-200 border-violet-600`
+          : `${borderLeft}bg-violet-100 text-violet-800 border-violet-300`;
       default:
         // 'Identity & Context', 'Match Identity', or any ungrouped columns → gray
         return darkMode
@@ -0,0 +1,317 @@
+import React, { useState, useMemo } from 'react';
+import { Download, X, ExternalLink } from 'lucide-react';
+import { MultiSelectCombobox } from './MultiSelectCombobox.jsx';
+import { exportHeadToHeadToExcel } from '../utils/excelExport.js';
+import { formatNumber } from '../utils/formatters.js';
+import { winRateInterval, compareToBaseline } from '../utils/statistics.js';
+import { IntervalText, SignificanceFlag } from './StatInterval.jsx';
+
+const METRICS = {
+  winRate: { label: 'Win Rate', format: cell => `${Math.round(cell.winRate)}%` },
+  damageRatio: { label: 'Damage Ratio', format: cell => (cell.damageRatio === null ? '—' : `${cell.damageRatio.toFixed(2)}×`) },
+  kos: { label: 'KO Difference', format: cell => `${cell.kos - cell.knockedOutBy > 0 ? '+' : ''}${cell.kos - cell.knockedOutBy}` }
+};
+
+const DEFAULT_SIZE = { characters: 12, teams: 20 };
+// Matches at which a cell is drawn at full strength
+const FULL_SAMPLE = 10;
+
+// -1 (row does badly) .. 1 (row does well) for the chosen metric
+function cellScore(cell, metric) {
+  if (metric === 'winRate') return (cell.winRate - 50) / 50;
+  if (metric === 'damageRatio') {
+    if (cell.damageRatio === null) return cell.damageDealt > 0 ? 1 : 0;
+    return Math.max(-1, Math.min(1, Math.log2(cell.damageRatio)));
+  }
+  return Math.max(-1, Math.min(1, (cell.kos - cell.knockedOutBy) / cell.matches));
+}
+
+function cellStyle(cell, metric, minMatches) {
+  const score = cellScore(cell, metric);
+  const strength = cell.matches < minMatches ? 0.12 : 0.25 + 0.65 * Math.min(1, cell.matches / FULL_SAMPLE);
+  const rgb = score >= 0 ? '34, 197, 94' : '239, 68, 68';
+  return { backgroundColor: `rgba(${rgb}, ${(Math.abs(score) * strength).toFixed(2)})` };
+}
+
+const formatTime = (seconds) => `${Math.floor(seconds / 60)}:${String(Math.round(seconds % 60)).padStart(2, '0')}`;
+
+/**
+ * HeadToHeadExplorer Component
+ *
+ * Character-vs-character and team-vs-team matrix from finalizeHeadToHead(). Cells show the row's
+ * record against the column, coloured by the chosen metric and faded by sample size; clicking a
+ * cell lists the matches behind it.
+ *
+ * @param {Object} headToHead - { characters, teams } from the aggregation worker
+ * @param {Function} onOpenMatch - Opens a match in the single match view, by file name
+ */
+export default function HeadToHeadExplorer({ headToHead, darkMode = false, onOpenMatch }) {
+  const [entityType, setEntityType] = useState('characters');
+  const [metric, setMetric] = useState('winRate');
+  const [pinned, setPinned] = useState({ characters: [], teams: [] });
+  const [size, setSize] = useState(DEFAULT_SIZE);
+  const [minMatches, setMinMatches] = useState(3);
+  const [selectedCell, setSelectedCell] = useState(null);
+  const [exporting, setExporting] = useState(false);
+
+  const data = headToHead?.[entityType] || { entities: [], cells: {} };
+  const labels = useMemo(() => Object.fromEntries(data.entities.map(entity => [entity.key, entity.label])), [data]);
+
+  // Pinned entities, else the most played
+  const entityKeys = useMemo(() => {
+    const keys = pinned[entityType].filter(key => labels[key]);
+    return keys.length > 0 ? keys : data.entities.slice(0, size[entityType]).map(entity => entity.key);
+  }, [pinned, entityType, labels, data, size]);
+
+  const selected = selectedCell && data.cells[selectedCell.row]?.[selectedCell.col]
+    ? { ...selectedCell, cell: data.cells[selectedCell.row][selectedCell.col] }
+    : null;
+
+  const switchType = (type) => {
+    setEntityType(type);
+    setSelectedCell(null);
+  };
+
+  const handleExport = async () => {
+    setExporting(true);
+    const result = await exportHeadToHeadToExcel(data, entityKeys, { title: entityType === 'characters' ? 'Characters' : 'Teams' });
+    setExporting(false);
+    if (!result.success) alert(`Export failed: ${result.error}`);
+  };
+
+  if (!headToHead || (headToHead.characters.entities.length === 0 && headToHead.teams.entities.length === 0)) {
+    return (
+      <div className={`text-center py-8 text-sm ${darkMode ? 'text-gray-400' : 'text-gray-500'}`}>
+        No decided matches in the selection
+      </div>
+    );
+  }
+
+  const muted = darkMode ? 'text-gray-400' : 'text-gray-500';
+  const inputClass = `px-2 py-1 text-sm rounded border ${darkMode ? 'bg-gray-700 border-gray-600 text-white' : 'bg-white border-gray-300 text-gray-800'}`;
+
+  return (
+    <div className="space-y-4">
+      <div className="flex flex-wrap items-center justify-between gap-3">
+        <div className={`inline-flex rounded-lg p-1 ${darkMode ? 'bg-gray-700' : 'bg-gray-100'}`}>
+          {[{ id: 'characters', label: 'Characters' }, { id: 'teams', label: 'Teams' }].map(tab => (
+            <button
+              key={tab.id}
+              onClick={() => switchType(tab.id)}
+              className={`px-3 py-1.5 text-sm font-medium rounded-md transition-colors ${
+                entityType === tab.id
+                  ? (darkMode ? 'bg-gray-900 text-white' : 'bg-white text-gray-900 shadow')
+                  : (darkMode ? 'text-gray-300 hover:text-white' : 'text-gray-600 hover:text-gray-900')
+              }`}
+            >
+              {tab.label} ({headToHead[tab.id].entities.length})
+            </button>
+          ))}
+        </div>
+
+        <div className="flex flex-wrap items-center gap-3">
+          <label className={`text-sm ${darkMode ? 'text-gray-300' : 'text-gray-600'}`}>
+            Colour by
+            <select value={metric} onChange={(e) => setMetric(e.target.value)} className={`ml-2 ${inputClass}`}>
+              {Object.entries(METRICS).map(([id, { label }]) => <option key={id} value={id}>{label}</option>)}
+            </select>
+          </label>
+          <label className={`text-sm ${darkMode ? 'text-gray-300' : 'text-gray-600'}`}>
+            Min matches
+            <input
+              type="number"
+              min="1"
+              value={minMatches}
+              onChange={(e) => setMinMatches(Math.max(1, Number(e.target.value) || 1))}
+              className={`ml-2 w-16 ${inputClass}`}
+            />
+          </label>
+          <button
+            onClick={handleExport}
+            disabled={exporting || entityKeys.length === 0}
+            className={`flex items-center gap-2 px-3 py-1.5 text-sm font-medium rounded-lg transition-colors disabled:opacity-50 ${
+              darkMode ? 'bg-green-700 hover:bg-green-600 text-white' : 'bg-green-600 hover:bg-green-700 text-white'
+            }`}
+          >
+            <Download className="w-4 h-4" />
+            {exporting ? 'Exporting...' : 'Export to Excel'}
+          </button>
+        </div>
+      </div>
+
+      <div className="flex flex-wrap items-start gap-3">
+        <div className="w-72">
+          <MultiSelectCombobox
+            items={data.entities.map(entity => ({ id: entity.key, name: `${entity.label} (${entity.matches})` }))}
+            selectedIds={pinned[entityType]}
+            placeholder={`Pick ${entityType === 'characters' ? 'characters' : 'teams'} to compare...`}
+            onAdd={(key) => setPinned(prev => ({ ...prev, [entityType]: [...prev[entityType], key] }))}
+            darkMode={darkMode}
+            focusColor="blue"
+          />
+        </div>
+        {pinned[entityType].length === 0 ? (
+          <label className={`text-sm mt-1.5 ${darkMode ? 'text-gray-300' : 'text-gray-600'}`}>
+            Showing the
+            <input
+              type="number"
+              min="2"
+              max={data.entities.length}
+              value={size[entityType]}
+              onChange={(e) => setSize(prev => ({ ...prev, [entityType]: Math.max(2, Number(e.target.value) || 2) }))}
+              className={`mx-2 w-16 ${inputClass}`}
+            />
+            most played
+          </label>
+        ) : (
+          <div className="flex flex-wrap gap-2">
+            {pinned[entityType].map(key => (
+              <button
+                key={key}
+                onClick={() => setPinned(prev => ({ ...prev, [entityType]: prev[entityType].filter(k => k !== key) }))}
+                className={`flex items-center gap-1 px-2 py-1.5 rounded-lg text-xs font-medium ${
+                  darkMode ? 'bg-blue-900 text-blue-200 hover:bg-blue-800' : 'bg-blue-100 text-blue-700 hover:bg-blue-200'
+                }`}
+              >
+                {labels[key]}
+                <X className="w-3 h-3" />
+              </button>
+            ))}
+            <button
+              onClick={() => setPinned(prev => ({ ...prev, [entityType]: [] }))}
+              className={`px-2 py-1.5 rounded-lg text-xs font-medium ${
+                darkMode ? 'text-gray-400 bg-gray-800 hover:text-gray-300 hover:bg-gray-700' : 'text-gray-500 hover:text-gray-700 hover:bg-gray-100'
+              }`}
+            >
+              Clear all
+            </button>
+          </div>
+        )}
+      </div>
+
+      <div className="overflow-auto max-h-[70vh]">
+        <table className="border-separate border-spacing-0.5 text-xs">
+          <thead>
+            <tr>
+              <th className={`sticky left-0 top-0 z-20 p-2 text-left font-medium ${darkMode ? 'bg-gray-800 text-gray-400' : 'bg-white text-gray-500'}`}>
+                Row vs column
+              </th>
+              {entityKeys.map(key => (
+                <th
+                  key={key}
+                  className={`sticky top-0 z-10 p-1 align-bottom font-medium ${darkMode ? 'bg-gray-800 text-gray-300' : 'bg-white text-gray-700'}`}
+                >
+                  <div className="w-20 break-words leading-tight">{labels[key]}</div>
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {entityKeys.map(rowKey => (
+              <tr key={rowKey}>
+                <th className={`sticky left-0 z-10 p-2 text-left font-medium whitespace-nowrap ${darkMode ? 'bg-gray-800 text-gray-300' : 'bg-white text-gray-700'}`}>
+                  {labels[rowKey]}
+                </th>
+                {entityKeys.map(colKey => {
+                  const cell = data.cells[rowKey]?.[colKey];
+                  const isSelected = selectedCell?.row === rowKey && selectedCell?.col === colKey;
+                  if (!cell) {
+                    return <td key={colKey} className={`w-20 h-12 rounded ${darkMode ? 'bg-gray-900/40' : 'bg-gray-50'}`} />;
+                  }
+                  return (
+                    <td
+                      key={colKey}
+                      onClick={() => setSelectedCell(isSelected ? null : { row: rowKey, col: colKey })}
+                      style={cellStyle(cell, metric, minMatches)}
+                      className={`w-20 h-12 rounded text-center cursor-pointer ${
+                        isSelected ? 'ring-2 ring-blue-500' : ''
+                      } ${cell.matches < minMatches ? muted : (darkMode ? 'text-white' : 'text-gray-900')}`}
+                      title={`${labels[rowKey]} vs ${labels[colKey]}: ${cell.wins}W - ${cell.losses}L`}
+                    >
+                      <div className="font-semibold">{METRICS[metric].format(cell)}</div>
+                      <div className={`text-[10px] ${muted}`}>n={cell.matches}</div>
+                    </td>
+                  );
+                })}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      <p className={`text-xs ${muted}`}>
+        Green favours the row, red the column; cells fade with fewer matches (full strength at {FULL_SAMPLE}) and
+        cells under the minimum are greyed out.
+        {entityType === 'characters' && ' Character damage and KOs count only the time the two faced each other on the reconstructed timeline, so they are estimates.'}
+      </p>
+
+      {selected && (
+        <div className={`rounded-lg border p-4 ${darkMode ? 'border-gray-700 bg-gray-900/40' : 'border-gray-200 bg-gray-50'}`}>
+          <div className="flex items-start justify-between gap-3 mb-3">
+            <div>
+              <h4 className={`font-bold ${darkMode ? 'text-white' : 'text-gray-800'}`}>
+                {labels[selected.row]} vs {labels[selected.col]}
+              </h4>
+              <div className={`text-sm ${darkMode ? 'text-gray-300' : 'text-gray-600'}`}>
+                {selected.cell.wins}W - {selected.cell.losses}L ({selected.cell.winRate.toFixed(1)}%){' '}
+                <IntervalText interval={winRateInterval(selected.cell.wins, selected.cell.matches)} format={(v) => `${v.toFixed(0)}%`} darkMode={darkMode} />{' '}
+                <SignificanceFlag significance={compareToBaseline(winRateInterval(selected.cell.wins, selected.cell.matches), 50)} baselineLabel="an even matchup" n={selected.cell.matches} darkMode={darkMode} />
+                {' · '}Avg damage {formatNumber(selected.cell.avgDamageDealt)} dealt / {formatNumber(selected.cell.avgDamageTaken)} taken
+                {' · '}KOs {selected.cell.kos} - {selected.cell.knockedOutBy}
+                {' · '}Time facing {formatTime(selected.cell.faced)}
+              </div>
+              {selected.row === selected.col && (
+                <div className={`text-xs mt-1 ${darkMode ? 'text-amber-400' : 'text-amber-600'}`}>
+                  Mirror matchup: every match counts once for each side
+                </div>
+              )}
+            </div>
+            <button onClick={() => setSelectedCell(null)} className={muted} aria-label="Close">
+              <X className="w-4 h-4" />
+            </button>
+          </div>
+          <div className="overflow-x-auto">
+            <table className="min-w-full text-sm">
+              <thead>
+                <tr className={`border-b ${darkMode ? 'border-gray-700 text-gray-400' : 'border-gray-200 text-gray-500'}`}>
+                  <th className="px-2 py-1 text-left font-medium">Match</th>
+                  {entityType === 'characters' && <th className="px-2 py-1 text-left font-medium">Teams</th>}
+                  <th className="px-2 py-1 text-left font-medium">Result</th>
+                  <th className="px-2 py-1 text-right font-medium">Dealt</th>
+                  <th className="px-2 py-1 text-right font-medium">Taken</th>
+                  <th className="px-2 py-1 text-right font-medium">KOs</th>
+                  <th className="px-2 py-1 text-right font-medium">Facing</th>
+                </tr>
+              </thead>
+              <tbody>
+                {selected.cell.games.map((game, i) => (
+                  <tr key={`${game.name}-${i}`} className={`border-b ${darkMode ? 'border-gray-800 text-gray-200' : 'border-gray-100 text-gray-700'}`}>
+                    <td className="px-2 py-1">
+                      {onOpenMatch ? (
+                        <button
+                          onClick={() => onOpenMatch(game.name)}
+                          className={`inline-flex items-center gap-1 text-left ${darkMode ? 'text-blue-400 hover:text-blue-300' : 'text-blue-600 hover:text-blue-700'}`}
+                        >
+                          {game.name}
+                          <ExternalLink className="w-3 h-3 flex-shrink-0" />
+                        </button>
+                      ) : game.name}
+                    </td>
+                    {entityType === 'characters' && (
+                      <td className="px-2 py-1">{game.team && game.opposingTeam ? `${game.team} vs ${game.opposingTeam}` : '—'}</td>
+                    )}
+                    <td className={`px-2 py-1 font-medium ${game.won ? 'text-green-500' : 'text-red-500'}`}>{game.won ? 'Win' : 'Loss'}</td>
+                    <td className="px-2 py-1 text-right">{formatNumber(game.damageDealt)}</td>
+                    <td className="px-2 py-1 text-right">{formatNumber(game.damageTaken)}</td>
+                    <td className="px-2 py-1 text-right">{game.kos} - {game.knockedOutBy}</td>
+                    <td className="px-2 py-1 text-right">{formatTime(game.faced)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,244 @@
+import React, { useMemo, useState } from 'react';
+import { Clock, ChevronDown, ChevronUp, Info } from 'lucide-react';
+import { buildMatchTimeline } from '../utils/matchTimeline';
+
+// One colour per lineup slot, so a fighter keeps the same colour on the bar and in the tables
+const SLOT_COLORS = ['#3b82f6', '#f97316', '#22c55e', '#a855f7', '#ef4444'];
+
+const CONFIDENCE_STYLES = {
+  high: { label: 'High confidence', light: 'bg-green-100 text-green-800 border-green-300', dark: 'bg-green-900/40 text-green-300 border-green-600' },
+  medium: { label: 'Medium confidence', light: 'bg-yellow-100 text-yellow-800 border-yellow-300', dark: 'bg-yellow-900/40 text-yellow-300 border-yellow-600' },
+  low: { label: 'Low confidence', light: 'bg-red-100 text-red-800 border-red-300', dark: 'bg-red-900/40 text-red-300 border-red-600' }
+};
+
+/**
+ * Format seconds as m:ss
+ */
+function formatClock(seconds) {
+  if (seconds === null || seconds === undefined) return '–';
+  const whole = Math.round(seconds);
+  return `${Math.floor(whole / 60)}:${String(whole % 60).padStart(2, '0')}`;
+}
+
+function ConfidenceBadge({ level, title, darkMode }) {
+  const style = CONFIDENCE_STYLES[level] || CONFIDENCE_STYLES.low;
+  return (
+    <span title={title} className={`inline-flex items-center px-2 py-0.5 rounded-full text-xs font-semibold border ${darkMode ? style.dark : style.light}`}>
+      {style.label}
+    </span>
+  );
+}
+
+/**
+ * One team's lane: a block per stint, split into forms when their timings are known
+ */
+function TimelineLane({ team, teamName, duration, nameOf, darkMode }) {
+  const approximate = team.order.confidence !== 'high';
+  return (
+    <div>
+      <div className={`flex items-center justify-between text-xs mb-1 ${darkMode ? 'text-gray-300' : 'text-gray-700'}`}>
+        <span className="font-semibold">{teamName}</span>
+        {approximate && <span className="italic">approximate order</span>}
+      </div>
+      <div className={`relative h-9 rounded ${darkMode ? 'bg-gray-700' : 'bg-gray-200'}`}>
+        {team.fighters.filter(fighter => fighter.entered).map(fighter => {
+          const color = SLOT_COLORS[(fighter.slot - 1) % SLOT_COLORS.length];
+          const left = (fighter.start / duration) * 100;
+          const width = ((fighter.end - fighter.start) / duration) * 100;
+          return (
+            <div
+              key={fighter.key}
+              className={`absolute top-0 h-full overflow-hidden rounded-sm border-r-2 ${darkMode ? 'border-gray-900' : 'border-white'} ${approximate ? 'opacity-70' : ''}`}
+              style={{ left: `${left}%`, width: `${width}%`, backgroundColor: color }}
+              title={`${nameOf(fighter.originalCharacterId)}: ${formatClock(fighter.start)}–${formatClock(fighter.end)}`}
+            >
+              {fighter.formTiming === 'exact' && fighter.forms.slice(1).map(form => (
+                <div
+                  key={form.formId}
+                  className="absolute top-0 h-full border-l-2 border-dashed border-white/80"
+                  style={{ left: `${((form.start - fighter.start) / (fighter.end - fighter.start)) * 100}%` }}
+                  title={`${nameOf(form.formId)} from ${formatClock(form.start)}`}
+                />
+              ))}
+              <span className="absolute inset-0 flex items-center px-1.5 text-xs font-semibold text-white truncate">
+                {nameOf(fighter.originalCharacterId)}
+              </span>
+              {fighter.exit === 'ko' && (
+                <span className="absolute right-0.5 top-0 text-xs font-bold text-white" title="KO'd">✕</span>
+              )}
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+}
+
+/**
+ * MatchTimeline Component
+ *
+ * Reconstructed flow of a team battle: stints on point per team, transformations, KOs with the
+ * inferred attacker, and how sure each inference is. See utils/matchTimeline.js for the method.
+ */
+export default function MatchTimeline({ p1Team, p2Team, characterIdRecord, p1TeamName = 'Team 1', p2TeamName = 'Team 2', charMap = {}, darkMode = false }) {
+  const [showEvents, setShowEvents] = useState(false);
+  const timeline = useMemo(
+    () => buildMatchTimeline({ p1Team, p2Team, characterIdRecord }),
+    [p1Team, p2Team, characterIdRecord]
+  );
+
+  if (!timeline.duration) return null;
+
+  const teamNames = { p1: p1TeamName, p2: p2TeamName };
+  const nameOf = (id) => charMap[id] || id || 'Unknown';
+  const fightersByKey = new Map([...timeline.teams.p1.fighters, ...timeline.teams.p2.fighters].map(fighter => [fighter.key, fighter]));
+  const fighterName = (key) => {
+    const fighter = fightersByKey.get(key);
+    return fighter ? nameOf(fighter.originalCharacterId) : 'Unknown';
+  };
+
+  // Axis ticks every 30s, or every minute in long matches
+  const tickStep = timeline.duration > 360 ? 60 : 30;
+  const ticks = [];
+  for (let t = 0; t <= timeline.duration; t += tickStep) ticks.push(t);
+
+  const describeEvent = (event) => {
+    switch (event.type) {
+      case 'enter':
+        return event.time === 0 ? `${fighterName(event.fighterKey)} starts for ${teamNames[event.side]}` : `${fighterName(event.fighterKey)} comes in for ${teamNames[event.side]}`;
+      case 'transform':
+        return `${fighterName(event.fighterKey)} transforms into ${nameOf(event.formId)}`;
+      case 'ko':
+        return event.kill?.killerKey
+          ? `${fighterName(event.fighterKey)} is KO'd by ${fighterName(event.kill.killerKey)}`
+          : `${fighterName(event.fighterKey)} is KO'd`;
+      case 'swap':
+        return `${fighterName(event.fighterKey)} leaves the field with ${Math.round(fightersByKey.get(event.fighterKey).hp).toLocaleString()} HP`;
+      case 'end':
+        return 'Match ends';
+      default:
+        return event.type;
+    }
+  };
+
+  const exitText = (fighter) => {
+    if (fighter.exit === 'unused') return 'Did not enter';
+    if (fighter.exit === 'survived') return 'Survived';
+    if (fighter.exit === 'swapped') return 'Left the field';
+    return fighter.killedBy?.killerKey ? `KO'd by ${fighterName(fighter.killedBy.killerKey)}` : "KO'd";
+  };
+
+  const cellClass = `px-2 py-1 ${darkMode ? 'text-gray-200' : 'text-gray-700'}`;
+  const headClass = `px-2 py-1 text-left font-semibold ${darkMode ? 'text-gray-400' : 'text-gray-500'}`;
+
+  return (
+    <div className={`mb-6 rounded-xl p-6 border ${darkMode ? 'border-gray-700 bg-gray-900/30' : 'border-gray-200 bg-gray-50'}`}>
+      <div className="flex flex-wrap items-center justify-between gap-2 mb-1">
+        <h4 className={`font-bold flex items-center gap-2 ${darkMode ? 'text-white' : 'text-gray-800'}`}>
+          <Clock className="w-5 h-5" />
+          Match Timeline
+        </h4>
+        <ConfidenceBadge level={timeline.confidence} title="Lowest confidence of any inference in this timeline" darkMode={darkMode} />
+      </div>
+      <p className={`text-sm mb-4 ${darkMode ? 'text-gray-400' : 'text-gray-600'}`}>
+        Reconstructed from each fighter's time on the field, KO counts and transformations ({formatClock(timeline.duration)} total)
+      </p>
+
+      {/* Lanes */}
+      <div className="space-y-3">
+        <TimelineLane team={timeline.teams.p1} teamName={p1TeamName} duration={timeline.duration} nameOf={nameOf} darkMode={darkMode} />
+        <TimelineLane team={timeline.teams.p2} teamName={p2TeamName} duration={timeline.duration} nameOf={nameOf} darkMode={darkMode} />
+        <div className={`relative h-4 text-xs ${darkMode ? 'text-gray-400' : 'text-gray-500'}`}>
+          {ticks.map(tick => (
+            <span key={tick} className="absolute -translate-x-1/2" style={{ left: `${(tick / timeline.duration) * 100}%` }}>
+              {formatClock(tick)}
+            </span>
+          ))}
+        </div>
+      </div>
+
+      {/* Stints per team */}
+      <div className="grid md:grid-cols-2 gap-4 mt-4">
+        {['p1', 'p2'].map(side => (
+          <div key={side} className="overflow-x-auto">
+            <table className="w-full text-xs">
+              <thead>
+                <tr className={darkMode ? 'border-b border-gray-700' : 'border-b border-gray-300'}>
+                  <th className={headClass}>{teamNames[side]}</th>
+                  <th className={headClass}>On Point</th>
+                  <th className={`${headClass} text-right`}>Dealt</th>
+                  <th className={`${headClass} text-right`}>Taken</th>
+                  <th className={`${headClass} text-right`}>KOs</th>
+                  <th className={headClass}>Exit</th>
+                </tr>
+              </thead>
+              <tbody>
+                {timeline.teams[side].fighters.map(fighter => (
+                  <tr key={fighter.key} className={fighter.entered ? '' : 'opacity-50'}>
+                    <td className={cellClass}>
+                      <div className="flex items-center gap-1.5">
+                        <span className="w-2.5 h-2.5 rounded-sm flex-shrink-0" style={{ backgroundColor: SLOT_COLORS[(fighter.slot - 1) % SLOT_COLORS.length] }} />
+                        <span>{nameOf(fighter.originalCharacterId)}</span>
+                      </div>
+                      {fighter.formTiming && (
+                        <div className={`ml-4 ${darkMode ? 'text-gray-400' : 'text-gray-500'}`}>
+                          {fighter.forms.map(form => form.start === null
+                            ? nameOf(form.formId)
+                            : `${nameOf(form.formId)} ${formatClock(form.start)}`).join(' → ')}
+                          {fighter.formTiming === 'unknown' && ' (timings unavailable)'}
+                        </div>
+                      )}
+                    </td>
+                    <td className={cellClass}>{fighter.entered ? `${formatClock(fighter.start)}–${formatClock(fighter.end)}` : '–'}</td>
+                    <td className={`${cellClass} text-right`}>{fighter.damageDone.toLocaleString()}</td>
+                    <td className={`${cellClass} text-right`}>{fighter.damageTaken.toLocaleString()}</td>
+                    <td className={`${cellClass} text-right`}>{fighter.kills}</td>
+                    <td className={cellClass}>
+                      <div>{exitText(fighter)}</div>
+                      {fighter.killedBy && (
+                        <div className="mt-0.5">
+                          <ConfidenceBadge level={fighter.killedBy.confidence} title={fighter.killedBy.reason} darkMode={darkMode} />
+                        </div>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        ))}
+      </div>
+
+      {/* Inference notes */}
+      {(timeline.notes.length > 0 || timeline.teams.p1.tags + timeline.teams.p2.tags === 0) && (
+        <div className={`mt-4 p-3 rounded-lg text-xs flex gap-2 ${darkMode ? 'bg-gray-800 text-gray-300' : 'bg-white text-gray-600'}`}>
+          <Info className="w-4 h-4 flex-shrink-0" />
+          <ul className="space-y-0.5">
+            {timeline.teams.p1.tags + timeline.teams.p2.tags === 0 && <li>{timeline.teams.p1.order.note}.</li>}
+            {timeline.notes.map(note => <li key={note}>{note}.</li>)}
+          </ul>
+        </div>
+      )}
+
+      {/* Event log */}
+      <button
+        onClick={() => setShowEvents(!showEvents)}
+        className={`mt-4 flex items-center gap-1 text-sm font-medium ${darkMode ? 'text-blue-400 hover:text-blue-300' : 'text-blue-600 hover:text-blue-700'}`}
+      >
+        {showEvents ? <ChevronUp className="w-4 h-4" /> : <ChevronDown className="w-4 h-4" />}
+        {showEvents ? 'Hide' : 'Show'} event log ({timeline.events.length})
+      </button>
+      {showEvents && (
+        <ol className="mt-2 space-y-1">
+          {timeline.events.map((event, i) => (
+            <li key={i} className={`flex items-center gap-3 text-xs ${darkMode ? 'text-gray-300' : 'text-gray-700'}`}>
+              <span className={`w-10 text-right font-mono ${darkMode ? 'text-gray-500' : 'text-gray-400'}`}>{formatClock(event.time)}</span>
+              <span>{describeEvent(event)}</span>
+              {event.kill && <ConfidenceBadge level={event.kill.confidence} title={event.kill.reason} darkMode={darkMode} />}
+            </li>
+          ))}
+        </ol>
+      )}
+    </div>
+  );
+}
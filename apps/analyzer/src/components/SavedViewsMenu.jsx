@@ -0,0 +1,135 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { Bookmark, BookmarkPlus, Trash2 } from 'lucide-react';
+import { listSavedViews, saveView, deleteSavedView } from '../utils/savedViews.js';
+import { buildViewUrl } from '../utils/viewState.js';
+import CopyViewLinkButton from './CopyViewLinkButton.jsx';
+
+const VIEW_LABELS = {
+  single: 'Single Match',
+  aggregated: 'Aggregated',
+  teams: 'Team Rankings',
+  tables: 'Data Tables',
+  meta: 'Meta Analysis',
+  matchups: 'Head-to-Head',
+  compare: 'Cohort Comparison'
+};
+
+/**
+ * SavedViewsMenu Component
+ *
+ * Header dropdown for saving the current view under a name and reopening saved views.
+ *
+ * @param {string} currentQuery - Query string for the current view (utils/viewState.js)
+ * @param {string} viewType - Current view type, stored with the view for the list label
+ * @param {Function} onApply - Called with a saved view's query string
+ */
+export default function SavedViewsMenu({ currentQuery, viewType, onApply, darkMode = false }) {
+  const [open, setOpen] = useState(false);
+  const [views, setViews] = useState(() => listSavedViews());
+  const [name, setName] = useState('');
+  const [saveFailed, setSaveFailed] = useState(false);
+  const menuRef = useRef(null);
+
+  useEffect(() => {
+    if (!open) return undefined;
+    setViews(listSavedViews());
+    const handleClick = (e) => {
+      if (menuRef.current && !menuRef.current.contains(e.target)) setOpen(false);
+    };
+    document.addEventListener('mousedown', handleClick);
+    return () => document.removeEventListener('mousedown', handleClick);
+  }, [open]);
+
+  const handleSave = () => {
+    const record = saveView({ name, query: currentQuery, viewType });
+    setSaveFailed(!record);
+    if (record) {
+      setName('');
+      setViews(listSavedViews());
+    }
+  };
+
+  const handleDelete = (id) => {
+    deleteSavedView(id);
+    setViews(listSavedViews());
+  };
+
+  return (
+    <div className="relative" ref={menuRef}>
+      <button
+        onClick={() => setOpen(!open)}
+        className={`p-3 rounded-xl transition-all duration-300 ${
+          darkMode
+            ? 'bg-gray-700 hover:bg-gray-600 text-blue-300'
+            : 'bg-gray-100 hover:bg-gray-200 text-gray-700'
+        }`}
+        title="Saved views"
+      >
+        <Bookmark className="w-6 h-6" />
+      </button>
+
+      {open && (
+        <div className={`absolute right-0 mt-2 w-96 rounded-xl shadow-2xl border z-50 p-4 ${
+          darkMode ? 'bg-gray-800 border-gray-600' : 'bg-white border-gray-200'
+        }`}>
+          <div className={`text-sm font-semibold mb-2 ${darkMode ? 'text-white' : 'text-gray-800'}`}>Save current view</div>
+          <div className="flex gap-2 mb-1">
+            <input
+              type="text"
+              value={name}
+              onChange={(e) => setName(e.target.value)}
+              onKeyDown={(e) => { if (e.key === 'Enter') handleSave(); }}
+              placeholder="View name"
+              className={`flex-1 px-3 py-1.5 rounded-lg border text-sm ${
+                darkMode ? 'bg-gray-700 border-gray-600 text-white' : 'bg-white border-gray-300 text-gray-900'
+              } focus:outline-none focus:ring-2 focus:ring-blue-500/50`}
+            />
+            <button
+              onClick={handleSave}
+              className="inline-flex items-center gap-1 px-3 py-1.5 rounded-lg text-sm font-medium bg-blue-600 hover:bg-blue-700 text-white"
+            >
+              <BookmarkPlus className="w-4 h-4" />
+              Save
+            </button>
+          </div>
+          <p className={`text-xs mb-3 ${saveFailed ? 'text-red-500' : darkMode ? 'text-gray-500' : 'text-gray-400'}`}>
+            {saveFailed ? 'Could not save: browser storage is unavailable or full.' : 'Saving under an existing name replaces that view.'}
+          </p>
+
+          <div className={`text-sm font-semibold mb-2 ${darkMode ? 'text-white' : 'text-gray-800'}`}>Saved views</div>
+          {views.length === 0 ? (
+            <p className={`text-xs ${darkMode ? 'text-gray-400' : 'text-gray-500'}`}>No saved views yet.</p>
+          ) : (
+            <ul className="space-y-1 max-h-72 overflow-y-auto">
+              {views.map(view => (
+                <li
+                  key={view.id}
+                  className={`flex items-center gap-2 px-2 py-1.5 rounded-lg ${darkMode ? 'hover:bg-gray-700' : 'hover:bg-gray-50'}`}
+                >
+                  <button
+                    onClick={() => { onApply(view.query); setOpen(false); }}
+                    className="flex-1 text-left min-w-0"
+                    title="Open this view"
+                  >
+                    <div className={`text-sm font-medium truncate ${darkMode ? 'text-gray-200' : 'text-gray-800'}`}>{view.name}</div>
+                    <div className={`text-xs ${darkMode ? 'text-gray-500' : 'text-gray-400'}`}>
+                      {VIEW_LABELS[view.viewType] || 'View'} · {new Date(view.updatedAt).toLocaleDateString()}
+                    </div>
+                  </button>
+                  <CopyViewLinkButton url={buildViewUrl(view.query)} darkMode={darkMode} label="Link" />
+                  <button
+                    onClick={() => handleDelete(view.id)}
+                    className={`p-1.5 rounded-lg ${darkMode ? 'text-gray-400 hover:text-red-400' : 'text-gray-500 hover:text-red-600'}`}
+                    title="Delete this view"
+                  >
+                    <Trash2 className="w-4 h-4" />
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,69 @@
+import React from 'react';
+import { ArrowUp, ArrowDown, AlertTriangle } from 'lucide-react';
+import { CONFIDENCE_LEVEL, SAMPLE_POLICY, formatInterval } from '../utils/statistics.js';
+
+const CONFIDENCE_LABEL = `${Math.round(CONFIDENCE_LEVEL * 100)}%`;
+
+/**
+ * IntervalText Component
+ *
+ * Confidence interval shown next to a point estimate, e.g. "(38–61%)".
+ *
+ * @param {Object|null} interval - From utils/statistics.js
+ * @param {Function} [format] - Formats each bound
+ */
+export function IntervalText({ interval, format, darkMode = false, className = '' }) {
+  if (!interval || interval.n < 2) return null;
+  return (
+    <span
+      className={`text-[11px] font-normal ${darkMode ? 'text-gray-400' : 'text-gray-500'} ${className}`}
+      title={`${CONFIDENCE_LABEL} confidence interval over ${interval.n} matches`}
+    >
+      ({formatInterval(interval, format)})
+    </span>
+  );
+}
+
+/**
+ * SignificanceFlag Component
+ *
+ * Marks an estimate whose interval clears a baseline, or one with too few matches to rank.
+ * Inconclusive comparisons render nothing.
+ *
+ * @param {string} significance - From compareToBaseline(): 'above' | 'below' | 'inconclusive' | 'insufficient'
+ * @param {string} baselineLabel - What the baseline is, for the tooltip (e.g. "a 50% win rate")
+ * @param {number} [n] - Sample size, for the tooltip
+ */
+export function SignificanceFlag({ significance, baselineLabel = 'the baseline', n, darkMode = false }) {
+  if (significance === 'above') {
+    return (
+      <span
+        className={`inline-flex items-center ${darkMode ? 'text-green-400' : 'text-green-600'}`}
+        title={`Significantly better than ${baselineLabel} (${CONFIDENCE_LABEL} interval clears it)`}
+      >
+        <ArrowUp className="w-3 h-3" />
+      </span>
+    );
+  }
+  if (significance === 'below') {
+    return (
+      <span
+        className={`inline-flex items-center ${darkMode ? 'text-red-400' : 'text-red-600'}`}
+        title={`Significantly worse than ${baselineLabel} (${CONFIDENCE_LABEL} interval clears it)`}
+      >
+        <ArrowDown className="w-3 h-3" />
+      </span>
+    );
+  }
+  if (significance === 'insufficient') {
+    return (
+      <span
+        className={`inline-flex items-center ${darkMode ? 'text-amber-400' : 'text-amber-600'}`}
+        title={`${n !== undefined ? `${n} match${n === 1 ? '' : 'es'}: ` : ''}fewer than ${SAMPLE_POLICY.minimum}, too few to rank`}
+      >
+        <AlertTriangle className="w-3 h-3" />
+      </span>
+    );
+  }
+  return null;
+}
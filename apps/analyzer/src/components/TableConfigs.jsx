@@ -1,6 +1,9 @@
 import React from 'react';
 import { formatNumber } from '../utils/formatters';
 import { getBuildTypeColor } from '../App'; // Import build type color function for new 7-category system
+import { getFinishBlastInfo } from '../utils/matchAggregation';
+import { formatInterval, SAMPLE_POLICY } from '../utils/statistics.js';
+import { IntervalText, SignificanceFlag } from './StatInterval.jsx';
 import { 
   Trophy, 
   Target, 
@@ -16,6 +19,14 @@ import {
   GitBranch
 } from 'lucide-react';
 
+// Labels for compareToBaseline() results in table cells and exports
+const SIGNIFICANCE_LABELS = {
+  above: 'Above',
+  below: 'Below',
+  inconclusive: 'Not significant',
+  insufficient: `< ${SAMPLE_POLICY.minimum} matches`
+};
+
 // Helper function to format time in mm:ss
 function formatTime(seconds) {
   if (!seconds || seconds === 0) return '0:00';
@@ -37,8 +48,8 @@ export const getCharacterAveragesTableConfig = (darkMode = false) => ({
   description: 'Aggregated statistics showing overall performance across all matches',
   
   columnGroups: [
-    { name: 'Identity & Context', columns: ['name', 'primaryTeam', 'primaryMap', 'primaryPosition', 'matchCount', 'wins', 'losses'] },
-    { name: 'Combat Performance', columns: ['avgDamage', 'avgTaken', 'efficiency', 'dps', 'combatScore', 'avgBattleTime', 'totalKills', 'avgKills'] },
+    { name: 'Identity & Context', columns: ['name', 'primaryTeam', 'primaryMap', 'primaryPosition', 'matchCount', 'wins', 'losses', 'winRate', 'winRateCI', 'winRateSignificance'] },
+    { name: 'Combat Performance', columns: ['avgDamage', 'avgTaken', 'efficiency', 'dps', 'combatScore', 'combatScoreCI', 'scoreSignificance', 'avgBattleTime', 'totalKills', 'avgKills'] },
     { name: 'Survival & Health', columns: ['avgHPGaugeValueMax', 'avgHealth', 'healthRetention', 'survivalRate', 'avgGuards', 'avgRevengeCounters', 'avgSuperCounters', 'avgZCounters', 'avgTags', 'avgTransformations'] },
     { name: 'Special Abilities', columns: ['avgS1Blast', 'avgS1Hit', 's1HitRate', 'avgS2Blast', 'avgS2Hit', 's2HitRate', 'avgUltBlast', 'avgUltHit', 'ultHitRate', 'avgSkill1', 'avgSkill2', 'avgUltimates', 'avgEnergyBlasts', 'avgCharges', 'avgSparking', 'avgDragonDashMileage'] },
     { name: 'Combat Mechanics', columns: ['avgMaxCombo', 'avgMaxComboDamage', 'avgThrows', 'avgLightningAttacks', 'avgVanishingAttacks', 'avgDragonHoming', 'avgSpeedImpacts', 'speedImpactWinRate', 'avgSparkingCombo'] },
@@ -161,6 +172,48 @@ export const getCharacterAveragesTableConfig = (darkMode = false) => ({
         <span className="font-mono text-red-600">{value}</span>
       )
     },
+    {
+      key: 'winRate',
+      header: 'Win Rate %',
+      accessor: (row) => row.winRate || 0,
+      sortType: 'number',
+      sortable: true,
+      filterable: false,
+      group: 'Identity & Context',
+      exportFormat: { alignment: 'right', numFmt: '0.0"%"' },
+      render: (row, value) => (
+        <span className="font-mono font-bold">
+          {value.toFixed(1)}% <IntervalText interval={row.winRateInterval} format={(v) => `${v.toFixed(0)}%`} darkMode={darkMode} />
+        </span>
+      )
+    },
+    {
+      key: 'winRateCI',
+      header: 'Win Rate 95% CI',
+      accessor: (row) => (row.winRateInterval ? formatInterval(row.winRateInterval, (v) => `${v.toFixed(1)}%`) : '—'),
+      sortable: false,
+      filterable: false,
+      group: 'Identity & Context',
+      exportFormat: { alignment: 'center' },
+      render: (row, value) => (
+        <span className={`font-mono text-sm ${darkMode ? 'text-gray-300' : 'text-gray-700'}`}>{value}</span>
+      )
+    },
+    {
+      key: 'winRateSignificance',
+      header: 'WR vs 50%',
+      accessor: (row) => SIGNIFICANCE_LABELS[row.winRateSignificance] || '—',
+      sortable: true,
+      filterable: true,
+      group: 'Identity & Context',
+      exportFormat: { alignment: 'center' },
+      render: (row, value) => (
+        <span className="inline-flex items-center gap-1 text-sm">
+          <SignificanceFlag significance={row.winRateSignificance} baselineLabel="a 50% win rate" n={row.winRateInterval?.n} darkMode={darkMode} />
+          {value}
+        </span>
+      )
+    },
 
     // ========================================================================
     // B. COMBAT PERFORMANCE (8 columns)
@@ -245,6 +298,38 @@ export const getCharacterAveragesTableConfig = (darkMode = false) => ({
         </span>
       )
     },
+    {
+      key: 'combatScoreCI',
+      header: 'Score 95% CI',
+      accessor: (row) => (row.scoreInterval ? formatInterval(row.scoreInterval) : '—'),
+      sortable: false,
+      filterable: false,
+      group: 'Combat Performance',
+      exportFormat: { alignment: 'center' },
+      render: (row, value) => (
+        <span className={`font-mono text-sm ${darkMode ? 'text-gray-300' : 'text-gray-700'}`}>{value}</span>
+      )
+    },
+    {
+      key: 'scoreSignificance',
+      header: 'Score vs Median',
+      accessor: (row) => SIGNIFICANCE_LABELS[row.scoreSignificance] || '—',
+      sortable: true,
+      filterable: true,
+      group: 'Combat Performance',
+      exportFormat: { alignment: 'center' },
+      render: (row, value) => (
+        <span className="inline-flex items-center gap-1 text-sm">
+          <SignificanceFlag
+            significance={row.scoreSignificance}
+            baselineLabel={row.scoreBaseline != null ? `the median score (${Math.round(row.scoreBaseline)})` : 'the median score'}
+            n={row.scoreInterval?.n}
+            darkMode={darkMode}
+          />
+          {value}
+        </span>
+      )
+    },
     {
       key: 'avgBattleTime',
       header: 'Avg Time',
@@ -1064,11 +1149,17 @@ export const prepareCharacterAveragesData = (aggregatedData) => {
   activeMatchCount: char.activeMatchCount || 0,
     wins: char.wins || 0,
     losses: char.losses || 0,
+    winRate: char.winRate || 0,
+    winRateInterval: char.winRateInterval || null,
+    winRateSignificance: char.winRateSignificance || 'insufficient',
     
     // Combat Performance
     avgDamage: Math.round(char.avgDamage || 0),
     avgTaken: Math.round(char.avgTaken || 0),
     combatPerformanceScore: Math.round(char.combatPerformanceScore || 0),
+    scoreInterval: char.scoreInterval || null,
+    scoreSignificance: char.scoreSignificance || 'insufficient',
+    scoreBaseline: char.scoreBaseline ?? null,
     avgBattleTime: char.avgBattleTime || 0,
     
     // Survival & Health
@@ -2267,6 +2358,307 @@ export const prepareMatchDetailsData = (aggregatedData) => {
   return flattened;
 };
 
+// ==============================================================================
+// FINISHERS TABLE CONFIGURATION
+// ==============================================================================
+// Purpose: Who closes out matches and with which blast slot
+// Structure: One row per character, built from battleFinishCharacterId /
+//            battleFinishBlast on each match (see findFinisherKey in matchAggregation.js)
+// ==============================================================================
+
+const FINISH_BLAST_COLUMNS = [
+  { key: 's1Finishes', header: 'Super 1', blast: 'SPM1' },
+  { key: 's2Finishes', header: 'Super 2', blast: 'SPM2' },
+  { key: 's3Finishes', header: 'Super 3', blast: 'SPM3' },
+  { key: 'ultFinishes', header: 'Ultimate', blast: 'ULT' },
+  { key: 'exFinishes', header: 'EX Attack', category: 'EX Attack' },
+  { key: 'noBlastFinishes', header: 'No Blast', blast: 'None' }
+];
+
+const percentOf = (count, total) => (total > 0 ? Math.round((count / total) * 1000) / 10 : 0);
+
+// Finish counts per blast column, plus ultimate vs super shares, for a list of finishing matches
+function countFinishBlasts(finishMatches) {
+  const counts = {};
+  FINISH_BLAST_COLUMNS.forEach(col => {
+    counts[col.key] = finishMatches.filter(m => col.blast
+      ? m.finishBlast === col.blast
+      : getFinishBlastInfo(m.finishBlast).category === col.category).length;
+  });
+  const superFinishes = finishMatches.filter(m => getFinishBlastInfo(m.finishBlast).category === 'Super').length;
+  return {
+    ...counts,
+    superFinishes,
+    ultimateShare: percentOf(counts.ultFinishes, finishMatches.length),
+    superShare: percentOf(superFinishes, finishMatches.length)
+  };
+}
+
+const finishRateColumn = (key, header, darkMode) => ({
+  key,
+  header,
+  accessor: (row) => row[key],
+  sortType: 'number',
+  sortable: true,
+  filterable: false,
+  group: 'Finishes',
+  exportFormat: { alignment: 'right', numFmt: '0.0"%"' },
+  render: (row, value) => (
+    <span className={`font-mono ${darkMode ? 'text-gray-300' : 'text-gray-700'}`}>{value.toFixed(1)}%</span>
+  )
+});
+
+const finishBlastColumns = (darkMode) => [
+  ...FINISH_BLAST_COLUMNS.map(col => ({
+    key: col.key,
+    header: col.header,
+    accessor: (row) => row[col.key],
+    sortType: 'number',
+    sortable: true,
+    filterable: false,
+    group: 'Finish Blasts',
+    exportFormat: { alignment: 'right', numFmt: '0' },
+    render: (row, value) => (
+      <span className={`font-mono ${value > 0 ? (darkMode ? 'text-white' : 'text-gray-900') : (darkMode ? 'text-gray-500' : 'text-gray-400')}`}>{value}</span>
+    )
+  })),
+  {
+    key: 'ultimateShare',
+    header: 'Ultimate Share',
+    accessor: (row) => row.ultimateShare,
+    sortType: 'number',
+    sortable: true,
+    filterable: false,
+    group: 'Finish Blasts',
+    exportFormat: { alignment: 'right', numFmt: '0.0"%"' },
+    render: (row, value) => <span className="font-mono text-purple-600">{value.toFixed(1)}%</span>
+  },
+  {
+    key: 'superShare',
+    header: 'Super Share',
+    accessor: (row) => row.superShare,
+    sortType: 'number',
+    sortable: true,
+    filterable: false,
+    group: 'Finish Blasts',
+    exportFormat: { alignment: 'right', numFmt: '0.0"%"' },
+    render: (row, value) => <span className="font-mono text-orange-600">{value.toFixed(1)}%</span>
+  }
+];
+
+const finishCountColumns = (darkMode) => [
+  {
+    key: 'matchCount',
+    header: 'Matches',
+    accessor: (row) => row.matchCount,
+    sortType: 'number',
+    sortable: true,
+    filterable: false,
+    group: 'Identity & Context',
+    exportFormat: { alignment: 'right', numFmt: '0' },
+    render: (row, value) => <span className="font-mono">{value}</span>
+  },
+  {
+    key: 'wins',
+    header: 'Wins',
+    accessor: (row) => row.wins,
+    sortType: 'number',
+    sortable: true,
+    filterable: false,
+    group: 'Identity & Context',
+    exportFormat: { alignment: 'right', numFmt: '0' },
+    render: (row, value) => <span className="font-mono text-green-600">{value}</span>
+  },
+  {
+    key: 'finishes',
+    header: 'Finishes',
+    accessor: (row) => row.finishes,
+    sortType: 'number',
+    sortable: true,
+    filterable: false,
+    group: 'Finishes',
+    exportFormat: { alignment: 'right', numFmt: '0', bold: true },
+    render: (row, value) => (
+      <div className="flex items-center gap-1">
+        <Trophy className="w-4 h-4 text-yellow-500" />
+        <span className={`font-mono font-bold ${darkMode ? 'text-white' : 'text-gray-900'}`}>{value}</span>
+      </div>
+    )
+  },
+  // % of all matches / % of won matches that ended on this entry's KO
+  finishRateColumn('finishRate', 'Finish Rate', darkMode),
+  finishRateColumn('closeoutRate', 'Closeout Rate', darkMode)
+];
+
+export const getFinishersTableConfig = (darkMode = false) => ({
+  title: 'Finishers',
+  description: 'Who lands the final KO, and with which blast slot',
+
+  columnGroups: [
+    { name: 'Identity & Context', columns: ['name', 'primaryTeam', 'matchCount', 'wins'] },
+    { name: 'Finishes', columns: ['finishes', 'finishRate', 'closeoutRate'] },
+    { name: 'Finish Blasts', columns: [...FINISH_BLAST_COLUMNS.map(col => col.key), 'ultimateShare', 'superShare'] }
+  ],
+
+  columns: [
+    {
+      key: 'name',
+      header: 'Character Name',
+      accessor: (row) => row.name,
+      sortable: true,
+      filterable: true,
+      group: 'Identity & Context',
+      exportFormat: { bold: true, alignment: 'left' },
+      render: (row, value) => (
+        <span className={`font-medium ${darkMode ? 'text-white' : 'text-gray-900'}`}>{value}</span>
+      )
+    },
+    {
+      key: 'primaryTeam',
+      header: 'Primary Team',
+      accessor: (row) => row.primaryTeam || 'Unknown',
+      sortable: true,
+      filterable: true,
+      group: 'Identity & Context',
+      exportFormat: { alignment: 'left' },
+      render: (row, value) => (
+        <span className={`text-sm ${darkMode ? 'text-gray-300' : 'text-gray-700'}`}>{value}</span>
+      )
+    },
+    ...finishCountColumns(darkMode),
+    ...finishBlastColumns(darkMode)
+  ]
+});
+
+export const prepareFinishersData = (aggregatedData) => {
+  if (!aggregatedData || !Array.isArray(aggregatedData)) return [];
+
+  return aggregatedData.map(char => {
+    const matches = char.matches || [];
+    const wins = matches.filter(m => m.won).length;
+    const finishMatches = matches.filter(m => m.finisher);
+    return {
+      name: char.name || 'Unknown',
+      primaryTeam: char.primaryTeam || 'Unknown',
+      matchCount: matches.length,
+      wins,
+      finishes: finishMatches.length,
+      finishRate: percentOf(finishMatches.length, matches.length),
+      closeoutRate: percentOf(finishMatches.length, wins),
+      ...countFinishBlasts(finishMatches)
+    };
+  }).sort((a, b) => b.finishes - a.finishes || b.finishRate - a.finishRate);
+};
+
+// ==============================================================================
+// FINISH RATES BY AI STRATEGY & BUILD TYPE
+// ==============================================================================
+// Purpose: How often characters running a given AI strategy or build close out matches
+// Structure: One row per AI strategy and one per build composition label
+// ==============================================================================
+
+export const getFinishRatesTableConfig = (darkMode = false) => ({
+  title: 'Finish Rate by AI Strategy & Build',
+  description: 'How often characters on each AI strategy and build type land the final KO',
+
+  columnGroups: [
+    { name: 'Identity & Context', columns: ['dimension', 'value', 'matchCount', 'wins'] },
+    { name: 'Finishes', columns: ['finishes', 'finishRate', 'closeoutRate'] },
+    { name: 'Finish Blasts', columns: [...FINISH_BLAST_COLUMNS.map(col => col.key), 'ultimateShare', 'superShare'] }
+  ],
+
+  columns: [
+    {
+      key: 'dimension',
+      header: 'Group',
+      accessor: (row) => row.dimension,
+      sortable: true,
+      filterable: true,
+      group: 'Identity & Context',
+      exportFormat: { alignment: 'left' },
+      render: (row, value) => (
+        <span className={`inline-block px-2 py-1 rounded text-xs font-medium ${
+          value === 'AI Strategy'
+            ? (darkMode ? 'bg-blue-900/30 text-blue-300' : 'bg-blue-100 text-blue-700')
+            : (darkMode ? 'bg-purple-900/30 text-purple-300' : 'bg-purple-100 text-purple-700')
+        }`}>
+          {value}
+        </span>
+      )
+    },
+    {
+      key: 'value',
+      header: 'AI Strategy / Build',
+      accessor: (row) => row.value,
+      sortable: true,
+      filterable: true,
+      group: 'Identity & Context',
+      exportFormat: { bold: true, alignment: 'left' },
+      render: (row, value) => (
+        <span className={`font-medium ${darkMode ? 'text-white' : 'text-gray-900'}`}>{value}</span>
+      )
+    },
+    ...finishCountColumns(darkMode),
+    ...finishBlastColumns(darkMode)
+  ]
+});
+
+export const prepareFinishRatesData = (aggregatedData) => {
+  if (!aggregatedData || !Array.isArray(aggregatedData)) return [];
+
+  const groups = {};
+  const addMatch = (dimension, value, match) => {
+    const key = `${dimension}|${value}`;
+    if (!groups[key]) groups[key] = { dimension, value, matches: [] };
+    groups[key].matches.push(match);
+  };
+  aggregatedData.forEach(char => {
+    (char.matches || []).forEach(match => {
+      addMatch('AI Strategy', match.aiStrategy || 'Default', match);
+      addMatch('Build Type', match.buildComposition?.label || 'No Build', match);
+    });
+  });
+
+  return Object.values(groups).map(({ dimension, value, matches }) => {
+    const wins = matches.filter(m => m.won).length;
+    const finishMatches = matches.filter(m => m.finisher);
+    return {
+      dimension,
+      value,
+      matchCount: matches.length,
+      wins,
+      finishes: finishMatches.length,
+      finishRate: percentOf(finishMatches.length, matches.length),
+      closeoutRate: percentOf(finishMatches.length, wins),
+      ...countFinishBlasts(finishMatches)
+    };
+  }).sort((a, b) => a.dimension.localeCompare(b.dimension) || b.matchCount - a.matchCount);
+};
+
+/**
+ * How matches were finished, one entry per finish blast category, across all characters.
+ * @param {Array} aggregatedData - Aggregated character data
+ * @returns {{total: number, categories: Array<{category: string, count: number, share: number}>}}
+ */
+export const getFinishBlastBreakdown = (aggregatedData) => {
+  const counts = {};
+  let total = 0;
+  (aggregatedData || []).forEach(char => {
+    (char.matches || []).forEach(match => {
+      if (!match.finisher) return;
+      const { category } = getFinishBlastInfo(match.finishBlast);
+      counts[category] = (counts[category] || 0) + 1;
+      total += 1;
+    });
+  });
+  return {
+    total,
+    categories: Object.entries(counts)
+      .map(([category, count]) => ({ category, count, share: percentOf(count, total) }))
+      .sort((a, b) => b.count - a.count)
+  };
+};
+
 // ==============================================================================
 // LEGACY TABLE CONFIGURATIONS (kept for backwards compatibility)
 // ==============================================================================
@@ -1,18 +1,27 @@
 import React, { useEffect, useMemo, useState } from 'react';
 import { Filter, ChevronDown, ChevronUp, X } from 'lucide-react';
+import { matchesTagFilters } from '../utils/brDataIndex.js';
+import { teamRegistry } from '../utils/teamRegistry.js';
 
 // Tag dimension config — order, label, color theming
 const TAG_DIMS = [
   { key: 'season',    label: 'Season',     dark: { pill: 'bg-violet-900/50 text-violet-300 border-violet-700', on: 'bg-violet-600 text-white border-violet-500' }, light: { pill: 'bg-violet-50 text-violet-600 border-violet-200', on: 'bg-violet-500 text-white border-violet-400' } },
+  { key: 'patch',     label: 'Patch',      dark: { pill: 'bg-teal-900/50 text-teal-300 border-teal-700',     on: 'bg-teal-600 text-white border-teal-500' },   light: { pill: 'bg-teal-50 text-teal-600 border-teal-200',   on: 'bg-teal-500 text-white border-teal-400' } },
   { key: 'team',      label: 'Team',       dark: { pill: 'bg-blue-900/50 text-blue-300 border-blue-700',     on: 'bg-blue-600 text-white border-blue-500' },   light: { pill: 'bg-blue-50 text-blue-600 border-blue-200',   on: 'bg-blue-500 text-white border-blue-400' } },
   { key: 'matchType', label: 'Type',       dark: { pill: 'bg-amber-900/50 text-amber-300 border-amber-700',   on: 'bg-amber-600 text-white border-amber-500' },  light: { pill: 'bg-amber-50 text-amber-600 border-amber-200', on: 'bg-amber-500 text-white border-amber-400' } },
   { key: 'difficulty', label: 'Difficulty', dark: { pill: 'bg-red-900/50 text-red-300 border-red-700',         on: 'bg-red-600 text-white border-red-500' },      light: { pill: 'bg-red-50 text-red-600 border-red-200',     on: 'bg-red-500 text-white border-red-400' } },
   { key: 'matchSize', label: 'Size',       dark: { pill: 'bg-emerald-900/50 text-emerald-300 border-emerald-700', on: 'bg-emerald-600 text-white border-emerald-500' }, light: { pill: 'bg-emerald-50 text-emerald-600 border-emerald-200', on: 'bg-emerald-500 text-white border-emerald-400' } },
 ];
 
-export default function TagFilterSelector({ onSelect, darkMode = true }) {
+// initialFilters: { dim: [values] } to start with (e.g. from a shared link)
+// onFiltersChange: called with the active filters in the same shape, for the URL state
+export default function TagFilterSelector({ onSelect, onFiltersChange, initialFilters = null, darkMode = true }) {
   const [tagsIndex, setTagsIndex] = useState(null);
-  const [activeFilters, setActiveFilters] = useState({});
+  const [activeFilters, setActiveFilters] = useState(() => {
+    const filters = {};
+    Object.entries(initialFilters || {}).forEach(([dim, values]) => { filters[dim] = new Set(values); });
+    return filters;
+  });
   const [expanded, setExpanded] = useState(false);
 
   useEffect(() => {
@@ -33,7 +42,8 @@ export default function TagFilterSelector({ onSelect, darkMode = true }) {
       TAG_DIMS.forEach(d => {
         const val = tags[d.key];
         if (Array.isArray(val)) {
-          val.forEach(v => { if (v) sets[d.key].add(v); });
+          // Older files may still name a team by an alias
+          val.forEach(v => { if (v) sets[d.key].add(d.key === 'team' ? teamRegistry.canonicalName(v) : v); });
         } else if (val) {
           sets[d.key].add(val);
         }
@@ -49,22 +59,10 @@ export default function TagFilterSelector({ onSelect, darkMode = true }) {
   }, [tagsIndex]);
 
   // Filter files by active tags (AND across dims, OR within a dim)
-  // For array-valued tags (e.g. team), a file matches if ANY of its values is in the selected set
   const matchingFiles = useMemo(() => {
     if (!tagsIndex) return [];
-    const active = Object.entries(activeFilters).filter(([, s]) => s.size > 0);
     return Object.entries(tagsIndex)
-      .filter(([, tags]) => {
-        if (active.length === 0) return true;
-        if (!tags) return false;
-        return active.every(([dim, vals]) => {
-          const tagVal = tags[dim];
-          if (Array.isArray(tagVal)) {
-            return tagVal.some(v => vals.has(v));
-          }
-          return vals.has(tagVal);
-        });
-      })
+      .filter(([, tags]) => matchesTagFilters(tags, activeFilters))
       .map(([p]) => p);
   }, [tagsIndex, activeFilters]);
 
@@ -74,6 +72,12 @@ export default function TagFilterSelector({ onSelect, darkMode = true }) {
     if (tagsIndex) onSelect?.(hasActiveFilters ? matchingFiles : null);
   }, [matchingFiles, tagsIndex, hasActiveFilters]);
 
+  useEffect(() => {
+    const filters = {};
+    Object.entries(activeFilters).forEach(([dim, values]) => { if (values.size > 0) filters[dim] = [...values]; });
+    onFiltersChange?.(filters);
+  }, [activeFilters]);
+
   const toggle = (dim, val) => {
     setActiveFilters(prev => {
       const s = new Set(prev[dim] || []);
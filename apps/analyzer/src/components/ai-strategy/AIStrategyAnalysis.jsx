@@ -85,6 +85,8 @@ export default function AIStrategyAnalysis({ aggregatedData, charMap = {}, darkM
           return b.totalMatches - a.totalMatches;
         case 'winRate':
           return b.winRate - a.winRate;
+        case 'winRateLow':
+          return (b.winRateInterval?.low ?? 0) - (a.winRateInterval?.low ?? 0);
         case 'performance':
           return b.combatPerformanceScore - a.combatPerformanceScore;
         default:
@@ -204,6 +206,7 @@ export default function AIStrategyAnalysis({ aggregatedData, charMap = {}, darkM
             >
               <option value="usage">Most Used</option>
               <option value="winRate">Highest Win Rate</option>
+              <option value="winRateLow">Highest Win Rate (95% lower bound)</option>
               <option value="performance">Best Performance</option>
             </select>
           </div>
@@ -1,6 +1,7 @@
 import React from 'react';
 import { Brain, TrendingUp, Users, Target, Shield, Zap, AlertCircle, Package, User } from 'lucide-react';
 import { getBuildTypeColor } from '../../App';
+import { IntervalText, SignificanceFlag } from '../StatInterval.jsx';
 
 /**
  * AIStrategyCard Component
@@ -21,6 +22,8 @@ export default function AIStrategyCard({
     totalMatches,
     usageRate,
     winRate,
+    winRateInterval,
+    winRateSignificance,
     combatPerformanceScore,
     uniqueCharacters,
     characterUsage,
@@ -168,8 +171,12 @@ export default function AIStrategyCard({
           <div className={`text-xs mb-1 ${darkMode ? 'text-gray-400' : 'text-gray-600'}`}>
             Win Rate
           </div>
-          <div className={`text-3xl font-bold ${getWinRateColor()}`}>
+          <div className={`text-3xl font-bold ${getWinRateColor()} inline-flex items-center gap-1`}>
             {winRate}%
+            <SignificanceFlag significance={winRateSignificance} baselineLabel="a 50% win rate" n={totalMatches} darkMode={darkMode} />
+          </div>
+          <div>
+            <IntervalText interval={winRateInterval} format={(v) => `${v.toFixed(0)}%`} darkMode={darkMode} />
           </div>
         </div>
         <div className="text-center">
@@ -20,6 +20,7 @@ import {
 } from 'lucide-react';
 import { getBuildTypeColor } from '../../App';
 import BehaviorInsightsSection from './BehaviorInsightsSection.jsx';
+import { IntervalText, SignificanceFlag } from '../StatInterval.jsx';
 
 /**
  * AIStrategyExpandedPanel Component
@@ -58,6 +59,8 @@ export default function AIStrategyExpandedPanel({
     totalMatches,
     usageRate,
     winRate,
+    winRateInterval,
+    winRateSignificance,
     winCount,
     lossCount,
     combatPerformanceScore,
@@ -263,8 +266,10 @@ export default function AIStrategyExpandedPanel({
           }`}>
             {winRate}%
           </div>
-          <div className={`text-xs mt-1 ${darkMode ? 'text-gray-500' : 'text-gray-500'}`}>
+          <div className={`text-xs mt-1 flex items-center gap-1 ${darkMode ? 'text-gray-500' : 'text-gray-500'}`}>
             {winCount}W - {lossCount}L
+            <IntervalText interval={winRateInterval} format={(v) => `${v.toFixed(0)}%`} darkMode={darkMode} />
+            <SignificanceFlag significance={winRateSignificance} baselineLabel="a 50% win rate" n={totalMatches} darkMode={darkMode} />
           </div>
           {overallStats && (
             <div className={`text-xs mt-2 flex items-center gap-1 ${
@@ -1,5 +1,6 @@
 import React, { useState } from 'react';
 import { Brain, ChevronUp, ChevronDown, AlertCircle, User } from 'lucide-react';
+import { IntervalText, SignificanceFlag } from '../StatInterval.jsx';
 
 /**
  * AIStrategyTable Component
@@ -955,7 +956,11 @@ export default function AIStrategyTable({
                   
                   {/* Win Rate */}
                   <td className={`px-4 py-3 font-semibold ${getWinRateColor(ai.winRate)}`}>
-                    {formatPercent(ai.winRate)}
+                    <div className="flex items-center gap-1">
+                      {formatPercent(ai.winRate)}
+                      <SignificanceFlag significance={ai.winRateSignificance} baselineLabel="a 50% win rate" n={ai.totalMatches} darkMode={darkMode} />
+                    </div>
+                    <IntervalText interval={ai.winRateInterval} format={(v) => `${v.toFixed(0)}%`} darkMode={darkMode} />
                   </td>
                   
                   {/* Performance Score */}
@@ -389,6 +389,9 @@ export default function BehaviorInsightsSection({
                   </div>
                   <div className={`text-xs mb-2 ${darkMode ? 'text-gray-400' : 'text-gray-600'}`}>
                     {impact.count} matches
+                    {impact.sampleStatus === 'insufficient' && (
+                      <span className={`ml-1 ${darkMode ? 'text-amber-400' : 'text-amber-600'}`}>• low sample</span>
+                    )}
                   </div>
                   <div className={`space-y-1.5 text-xs ${darkMode ? 'text-gray-300' : 'text-gray-700'}`}>
                     {impact.frequencies && impact.frequencies.map((freq, freqIdx) => (
@@ -491,6 +494,9 @@ export default function BehaviorInsightsSection({
                     </div>
                     <div className={`text-xs ${darkMode ? 'text-gray-400' : 'text-gray-600'}`}>
                       {impact.count} uses • {impact.winRate.toFixed(1)}% WR
+                      {impact.sampleStatus === 'insufficient' && (
+                        <span className={`ml-1 ${darkMode ? 'text-amber-400' : 'text-amber-600'}`}>• low sample</span>
+                      )}
                     </div>
                   </div>
                   <div className={`space-y-1.5 text-xs ${darkMode ? 'text-gray-300' : 'text-gray-700'}`}>
@@ -12,7 +12,7 @@
  */
 
 import React, { useState, useMemo } from 'react';
-import { validateBuild, getValidationMessage } from '../../config/buildRules.js';
+import { BUILD_RULES, validateBuild, getValidationMessage } from '../../config/buildRules.js';
 import { analyzeBuildComposition } from '../../utils/capsuleEffectParser.js';
 import { scoreBuild, generateRecommendedBuilds, suggestBuildImprovements } from '../../utils/buildRecommendationEngine.js';
 
@@ -262,7 +262,7 @@ export default function BuildAnalyzerTool({
             {/* Current Build */}
             <div className="bg-gray-800 rounded border border-gray-700 p-4">
               <div className="flex justify-between items-center mb-3">
-                <h4 className="font-medium text-gray-200">Current Build ({selectedCapsules.length}/7)</h4>
+                <h4 className="font-medium text-gray-200">Current Build ({selectedCapsules.length}/{BUILD_RULES.rules.maxCapsules})</h4>
                 {selectedCapsules.length > 0 && (
                   <button
                     onClick={clearBuild}
@@ -305,17 +305,17 @@ export default function BuildAnalyzerTool({
                 <div className="mt-4 pt-4 border-t border-gray-700">
                   <div className="flex justify-between text-sm mb-2">
                     <span className="text-gray-400">Total Cost:</span>
-                    <span className={buildAnalysis.totalCost > 20 ? 'text-red-400 font-medium' : 'text-gray-200'}>
-                      {buildAnalysis.totalCost}/20
+                    <span className={buildAnalysis.totalCost > BUILD_RULES.rules.maxCost ? 'text-red-400 font-medium' : 'text-gray-200'}>
+                      {buildAnalysis.totalCost}/{BUILD_RULES.rules.maxCost}
                     </span>
                   </div>
                   <div className="flex justify-between text-sm">
                     <span className="text-gray-400">Validation:</span>
-                    <span className={buildAnalysis.validation.isValid ? 'text-green-400' : 'text-red-400'}>
-                      {buildAnalysis.validation.isValid ? '✓ Valid' : '✗ Invalid'}
+                    <span className={buildAnalysis.validation.valid ? 'text-green-400' : 'text-red-400'}>
+                      {buildAnalysis.validation.valid ? '✓ Valid' : '✗ Invalid'}
                     </span>
                   </div>
-                  {!buildAnalysis.validation.isValid && (
+                  {!buildAnalysis.validation.valid && (
                     <div className="mt-2 text-xs text-red-400">
                       {getValidationMessage(buildAnalysis.validation)}
                     </div>
@@ -436,28 +436,31 @@ export default function BuildAnalyzerTool({
 
                 {/* Validation Details */}
                 <div className={`rounded border p-4 ${
-                  buildAnalysis.validation.isValid
+                  buildAnalysis.validation.valid
                     ? 'bg-green-900/20 border-green-500'
                     : 'bg-red-900/20 border-red-500'
                 }`}>
                   <h4 className={`font-medium mb-2 ${
-                    buildAnalysis.validation.isValid ? 'text-green-400' : 'text-red-400'
+                    buildAnalysis.validation.valid ? 'text-green-400' : 'text-red-400'
                   }`}>
                     League Rule Validation
                   </h4>
                   <div className="space-y-1 text-sm">
                     <div className="flex justify-between">
                       <span className="text-gray-300">Capsule Count:</span>
-                      <span className={buildAnalysis.capsuleCount <= 7 ? 'text-green-400' : 'text-red-400'}>
-                        {buildAnalysis.capsuleCount}/7
+                      <span className={buildAnalysis.capsuleCount <= BUILD_RULES.rules.maxCapsules ? 'text-green-400' : 'text-red-400'}>
+                        {buildAnalysis.capsuleCount}/{BUILD_RULES.rules.maxCapsules}
                       </span>
                     </div>
                     <div className="flex justify-between">
                       <span className="text-gray-300">Total Cost:</span>
-                      <span className={buildAnalysis.totalCost <= 20 ? 'text-green-400' : 'text-red-400'}>
-                        {buildAnalysis.totalCost}/20
+                      <span className={buildAnalysis.totalCost <= BUILD_RULES.rules.maxCost ? 'text-green-400' : 'text-red-400'}>
+                        {buildAnalysis.totalCost}/{BUILD_RULES.rules.maxCost}
                       </span>
                     </div>
+                    {buildAnalysis.validation.ruleViolations.map((v, idx) => (
+                      <div key={idx} className="text-red-400">⚠ {v.message}</div>
+                    ))}
                   </div>
                 </div>
               </div>
@@ -532,7 +535,7 @@ export default function BuildAnalyzerTool({
                         Build #{idx + 1} - Score: {build.scoreBreakdown.totalScore.toFixed(1)}
                       </h4>
                       <div className="text-sm text-gray-400 mt-1">
-                        {build.composition.primaryArchetype} • {build.totalCost}/20 Cost • {build.capsules.length} Capsules
+                        {build.composition.primaryArchetype} • {build.totalCost}/{BUILD_RULES.rules.maxCost} Cost • {build.capsules.length} Capsules
                       </div>
                     </div>
                     <button
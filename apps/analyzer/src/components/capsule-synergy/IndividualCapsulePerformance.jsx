@@ -19,6 +19,8 @@ import { createPortal } from 'react-dom';
 import { useFloating, offset, flip, shift, autoUpdate } from '@floating-ui/react';
 import * as XLSX from 'xlsx';
 import { Info } from 'lucide-react';
+import { formatInterval } from '../../utils/statistics.js';
+import { IntervalText, SignificanceFlag } from '../StatInterval.jsx';
 
 export default function IndividualCapsulePerformance({ performanceData, capsuleMap, aiCompatibilityData }) {
   const [sortBy, setSortBy] = useState('compositeScore');
@@ -122,6 +124,7 @@ export default function IndividualCapsulePerformance({ performanceData, capsuleM
       'Cost': row.cost,
       'Appearances': row.appearances,
       'Win Rate': `${(row.winRate || 0).toFixed(1)}%`,
+      'Win Rate 95% CI': row.winRateInterval ? formatInterval(row.winRateInterval, (v) => `${v.toFixed(1)}%`) : '',
       'Composite Score': (row.compositeScore || 0).toFixed(2),
       'Avg Damage Dealt': (row.avgDamageDealt || 0).toFixed(0),
       'Avg Damage Taken': (row.avgDamageTaken || 0).toFixed(0),
@@ -313,7 +316,9 @@ export default function IndividualCapsulePerformance({ performanceData, capsuleM
                     <span className={`font-semibold ${getWinRateClass(row.winRate)}`}>
                       {(row.winRate || 0).toFixed(1)}%
                     </span>
+                    <SignificanceFlag significance={row.winRateSignificance} baselineLabel="a 50% win rate" n={row.totalMatches} darkMode />
                   </div>
+                  <IntervalText interval={row.winRateInterval} format={(v) => `${v.toFixed(0)}%`} darkMode />
                 </td>
                 <td className="px-4 py-3 text-center">
                   <div className="flex flex-col items-center">
@@ -0,0 +1,99 @@
+import React from 'react';
+
+const LINE_COLORS = ['#3b82f6', '#ef4444', '#22c55e', '#f59e0b', '#a855f7', '#06b6d4', '#ec4899', '#84cc16'];
+
+const WIDTH = 800;
+const HEIGHT = 260;
+const PADDING = { top: 12, right: 16, bottom: 28, left: 48 };
+
+/**
+ * RatingHistoryChart Component
+ *
+ * Rating after every match for the selected entities, on a shared match axis (the replay order),
+ * so lines from different entities line up in time.
+ *
+ * @param {Array} series - [{ key, label, history: [{ match, rating }] }]
+ * @param {Array} matches - replayRatings().matches, for axis labels
+ * @param {number} lastMatch - Last match index shown (the "as of" cut-off)
+ * @param {number} initialRating - Drawn as a dashed baseline
+ */
+export default function RatingHistoryChart({ series, matches, lastMatch, initialRating, darkMode = false }) {
+  const lines = series
+    .map(entity => ({ ...entity, points: entity.history.filter(point => point.match <= lastMatch) }))
+    .filter(entity => entity.points.length > 0);
+
+  if (lines.length === 0 || lastMatch < 0) {
+    return (
+      <div className={`text-sm italic py-8 text-center ${darkMode ? 'text-gray-400' : 'text-gray-500'}`}>
+        Select entries in the table to chart their rating history
+      </div>
+    );
+  }
+
+  const ratings = lines.flatMap(line => line.points.map(point => point.rating)).concat(initialRating);
+  const minRating = Math.floor((Math.min(...ratings) - 10) / 25) * 25;
+  const maxRating = Math.ceil((Math.max(...ratings) + 10) / 25) * 25;
+  const plotWidth = WIDTH - PADDING.left - PADDING.right;
+  const plotHeight = HEIGHT - PADDING.top - PADDING.bottom;
+  const x = (match) => PADDING.left + (lastMatch > 0 ? (match / lastMatch) * plotWidth : plotWidth / 2);
+  const y = (rating) => PADDING.top + (1 - (rating - minRating) / (maxRating - minRating)) * plotHeight;
+
+  const yStep = Math.max(25, Math.ceil((maxRating - minRating) / 5 / 25) * 25);
+  const yTicks = [];
+  for (let rating = minRating; rating <= maxRating; rating += yStep) yTicks.push(rating);
+
+  // Match axis: label where the date changes, or a few evenly spaced match numbers
+  const xTicks = [];
+  const dated = matches.slice(0, lastMatch + 1).some(match => match.date);
+  if (dated) {
+    matches.slice(0, lastMatch + 1).forEach((match, i) => {
+      if (i === 0 || match.date !== matches[i - 1].date) xTicks.push({ match: i, label: match.date || '' });
+    });
+  }
+  if (xTicks.length < 2) {
+    xTicks.length = 0;
+    const step = Math.max(1, Math.ceil(lastMatch / 6));
+    for (let i = 0; i <= lastMatch; i += step) xTicks.push({ match: i, label: `#${i + 1}` });
+  }
+
+  const gridColor = darkMode ? '#374151' : '#e5e7eb';
+  const textColor = darkMode ? '#9ca3af' : '#6b7280';
+
+  return (
+    <div>
+      <svg viewBox={`0 0 ${WIDTH} ${HEIGHT}`} className="w-full h-auto" role="img" aria-label="Rating history">
+        {yTicks.map(rating => (
+          <g key={rating}>
+            <line x1={PADDING.left} x2={WIDTH - PADDING.right} y1={y(rating)} y2={y(rating)} stroke={gridColor} strokeWidth="1" />
+            <text x={PADDING.left - 6} y={y(rating) + 4} textAnchor="end" fontSize="11" fill={textColor}>{rating}</text>
+          </g>
+        ))}
+        {xTicks.map(tick => (
+          <text key={tick.match} x={x(tick.match)} y={HEIGHT - 8} textAnchor="middle" fontSize="11" fill={textColor}>{tick.label}</text>
+        ))}
+        <line
+          x1={PADDING.left} x2={WIDTH - PADDING.right} y1={y(initialRating)} y2={y(initialRating)}
+          stroke={textColor} strokeWidth="1" strokeDasharray="4 4"
+        />
+        {lines.map((line, i) => {
+          const color = LINE_COLORS[i % LINE_COLORS.length];
+          const points = line.points.map(point => `${x(point.match)},${y(point.rating)}`).join(' ');
+          return (
+            <g key={line.key}>
+              <polyline points={points} fill="none" stroke={color} strokeWidth="2" strokeLinejoin="round" />
+              {line.points.length === 1 && <circle cx={x(line.points[0].match)} cy={y(line.points[0].rating)} r="3" fill={color} />}
+            </g>
+          );
+        })}
+      </svg>
+      <div className="flex flex-wrap gap-3 mt-2">
+        {lines.map((line, i) => (
+          <div key={line.key} className={`flex items-center gap-1.5 text-xs ${darkMode ? 'text-gray-300' : 'text-gray-700'}`}>
+            <span className="w-3 h-0.5 rounded" style={{ backgroundColor: LINE_COLORS[i % LINE_COLORS.length] }} />
+            {line.label} ({Math.round(line.points[line.points.length - 1].rating)})
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
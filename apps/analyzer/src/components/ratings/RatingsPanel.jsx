@@ -0,0 +1,266 @@
+import React, { useState, useMemo, useEffect } from 'react';
+import { TrendingUp, TrendingDown, Calendar, Search } from 'lucide-react';
+import { ratingConfig, ratingsAsOf, RECENT_MATCHES } from '../../utils/ratings.js';
+import RatingHistoryChart from './RatingHistoryChart.jsx';
+
+const TABS = [
+  { id: 'teams', label: 'Teams' },
+  { id: 'characters', label: 'Characters' },
+  { id: 'aiStrategies', label: 'AI Strategies' }
+];
+
+const MAX_CHARTED = 6;
+const PAGE_SIZE = 50;
+
+/**
+ * RatingsPanel Component
+ *
+ * Elo/Glicko ratings from replayRatings(): a ranked table per entity type, a rating history chart
+ * for the selected rows and an "as of" date that rewinds both to the end of that day. Undated
+ * matches aren't rated; they only add to the win-loss columns and are listed without an order.
+ *
+ * @param {Object} ratings - replayRatings() result from the aggregation worker
+ */
+export default function RatingsPanel({ ratings, darkMode = false }) {
+  const [entityType, setEntityType] = useState('teams');
+  const [asOf, setAsOf] = useState('');
+  const [search, setSearch] = useState('');
+  const [minMatches, setMinMatches] = useState(1);
+  const [showAll, setShowAll] = useState(false);
+  const [selected, setSelected] = useState({});
+
+  const dates = ratings?.dates || [];
+  const undated = ratings?.undated || [];
+  const glicko = ratings?.system === 'glicko';
+
+  // Drop an "as of" date that's no longer in range after the selection changes
+  useEffect(() => {
+    if (asOf && dates.length > 0 && (asOf < dates[0] || asOf > dates[dates.length - 1])) setAsOf('');
+  }, [asOf, dates]);
+
+  const rows = useMemo(() => {
+    if (!ratings) return [];
+    return ratingsAsOf(ratings[entityType], asOf || null);
+  }, [ratings, entityType, asOf]);
+
+  const visibleRows = useMemo(() => {
+    const query = search.trim().toLowerCase();
+    return rows.filter(row => row.matches >= minMatches && (!query || row.label.toLowerCase().includes(query)));
+  }, [rows, search, minMatches]);
+
+  // Chart the top rated rows until the user picks their own
+  const chartedKeys = selected[entityType] || rows.filter(row => row.rating !== null).slice(0, 5).map(row => row.key);
+
+  const lastMatch = useMemo(() => {
+    if (!ratings) return -1;
+    if (!asOf) return ratings.matches.length - 1;
+    let last = -1;
+    ratings.matches.forEach((match, i) => {
+      if (match.date <= asOf) last = i;
+    });
+    return last;
+  }, [ratings, asOf]);
+
+  const toggleCharted = (key) => {
+    const current = chartedKeys;
+    const next = current.includes(key)
+      ? current.filter(k => k !== key)
+      : [...current, key].slice(-MAX_CHARTED);
+    setSelected(prev => ({ ...prev, [entityType]: next }));
+  };
+
+  if (!ratings || ratings.matches.length + undated.length === 0) {
+    return (
+      <div className={`text-center py-8 text-sm ${darkMode ? 'text-gray-400' : 'text-gray-500'}`}>
+        No rated matches in the selection (ratings count {ratingConfig.matchTypes.join(', ')} matches with a decided result)
+      </div>
+    );
+  }
+
+  const series = chartedKeys
+    .map(key => ratings[entityType][key])
+    .filter(Boolean);
+  const tableRows = showAll ? visibleRows : visibleRows.slice(0, PAGE_SIZE);
+  const headerCell = `px-3 py-2 text-xs font-semibold uppercase tracking-wide ${darkMode ? 'text-gray-400' : 'text-gray-500'}`;
+  const cell = `px-3 py-2 text-sm ${darkMode ? 'text-gray-200' : 'text-gray-700'}`;
+
+  return (
+    <div className="space-y-4">
+      <div className="flex flex-wrap items-center justify-between gap-3">
+        <div className={`inline-flex rounded-lg p-1 ${darkMode ? 'bg-gray-700' : 'bg-gray-100'}`}>
+          {TABS.map(tab => (
+            <button
+              key={tab.id}
+              onClick={() => { setEntityType(tab.id); setShowAll(false); }}
+              className={`px-3 py-1.5 text-sm font-medium rounded-md transition-colors ${
+                entityType === tab.id
+                  ? (darkMode ? 'bg-gray-900 text-white' : 'bg-white text-gray-900 shadow')
+                  : (darkMode ? 'text-gray-300 hover:text-white' : 'text-gray-600 hover:text-gray-900')
+              }`}
+            >
+              {tab.label} ({Object.keys(ratings[tab.id]).length})
+            </button>
+          ))}
+        </div>
+
+        <div className="flex flex-wrap items-center gap-2">
+          <Calendar className={`w-4 h-4 ${darkMode ? 'text-gray-400' : 'text-gray-500'}`} />
+          <label className={`text-sm ${darkMode ? 'text-gray-300' : 'text-gray-600'}`}>Ratings as of</label>
+          <input
+            type="date"
+            value={asOf}
+            min={dates[0]}
+            max={dates[dates.length - 1]}
+            disabled={dates.length === 0}
+            onChange={(e) => setAsOf(e.target.value)}
+            className={`px-2 py-1 text-sm rounded border ${
+              darkMode ? 'bg-gray-700 border-gray-600 text-white' : 'bg-white border-gray-300 text-gray-800'
+            }`}
+          />
+          <button
+            onClick={() => setAsOf('')}
+            disabled={!asOf}
+            className={`px-2 py-1 text-sm rounded border disabled:opacity-50 ${
+              darkMode ? 'border-gray-600 text-gray-300 hover:bg-gray-700' : 'border-gray-300 text-gray-600 hover:bg-gray-100'
+            }`}
+          >
+            Latest
+          </button>
+        </div>
+      </div>
+
+      {undated.length > 0 && (
+        <div className={`text-xs ${darkMode ? 'text-amber-400' : 'text-amber-600'}`}>
+          <p>
+            {ratings.matches.length === 0
+              ? 'None of these matches has a date tag, so there is no order to replay them in: they are not rated or charted and only count toward the win-loss record. Tag matches with a date to rate them.'
+              : `${undated.length} of ${ratings.matches.length + undated.length} matches have no date tag; they are not rated or charted, only counted toward the latest win-loss record`}
+          </p>
+          <details className="mt-1">
+            <summary className="cursor-pointer">Undated matches ({undated.length}, unordered)</summary>
+            <ul className={`mt-1 max-h-40 overflow-y-auto ${darkMode ? 'text-gray-400' : 'text-gray-500'}`}>
+              {undated.map(name => <li key={name}>{name}</li>)}
+            </ul>
+          </details>
+        </div>
+      )}
+
+      {ratings.matches.length > 0 && (
+        <div className={`rounded-lg border p-3 ${darkMode ? 'border-gray-700 bg-gray-900/40' : 'border-gray-200 bg-gray-50'}`}>
+          <RatingHistoryChart
+            series={series}
+            matches={ratings.matches}
+            lastMatch={lastMatch}
+            initialRating={ratingConfig.initialRating}
+            darkMode={darkMode}
+          />
+        </div>
+      )}
+
+      {entityType === 'characters' && (
+        <div className="flex flex-wrap items-center gap-3">
+          <div className="relative">
+            <Search className={`w-4 h-4 absolute left-2 top-1/2 -translate-y-1/2 ${darkMode ? 'text-gray-400' : 'text-gray-500'}`} />
+            <input
+              type="text"
+              value={search}
+              onChange={(e) => setSearch(e.target.value)}
+              placeholder="Search character or build..."
+              className={`pl-8 pr-2 py-1 text-sm rounded border ${
+                darkMode ? 'bg-gray-700 border-gray-600 text-white' : 'bg-white border-gray-300 text-gray-800'
+              }`}
+            />
+          </div>
+          <label className={`text-sm ${darkMode ? 'text-gray-300' : 'text-gray-600'}`}>
+            Min matches
+            <input
+              type="number"
+              min="1"
+              value={minMatches}
+              onChange={(e) => setMinMatches(Math.max(1, Number(e.target.value) || 1))}
+              className={`ml-2 w-16 px-2 py-1 text-sm rounded border ${
+                darkMode ? 'bg-gray-700 border-gray-600 text-white' : 'bg-white border-gray-300 text-gray-800'
+              }`}
+            />
+          </label>
+        </div>
+      )}
+
+      <div className="overflow-x-auto">
+        <table className="min-w-full">
+          <thead>
+            <tr className={`border-b ${darkMode ? 'border-gray-700' : 'border-gray-200'}`}>
+              {ratings.matches.length > 0 && <th className={`${headerCell} text-left`}>Chart</th>}
+              <th className={`${headerCell} text-left`}>#</th>
+              <th className={`${headerCell} text-left`}>Name</th>
+              <th className={`${headerCell} text-right`}>Rating</th>
+              <th className={`${headerCell} text-right`}>Matches</th>
+              <th className={`${headerCell} text-right`}>W-L</th>
+              <th className={`${headerCell} text-right`}>Win %</th>
+              <th className={`${headerCell} text-right`}>Peak</th>
+              <th className={`${headerCell} text-right`} title={`Rating change over the last ${RECENT_MATCHES} matches`}>Last {RECENT_MATCHES}</th>
+            </tr>
+          </thead>
+          <tbody>
+            {tableRows.map((row, i) => (
+              <tr key={row.key} className={`border-b ${darkMode ? 'border-gray-800 hover:bg-gray-700/50' : 'border-gray-100 hover:bg-gray-50'}`}>
+                {ratings.matches.length > 0 && (
+                  <td className={cell}>
+                    <input
+                      type="checkbox"
+                      checked={chartedKeys.includes(row.key)}
+                      disabled={row.rating === null}
+                      onChange={() => toggleCharted(row.key)}
+                      aria-label={`Chart ${row.label}`}
+                    />
+                  </td>
+                )}
+                <td className={cell}>{i + 1}</td>
+                <td className={`${cell} font-medium`}>
+                  {row.label}
+                  {row.rating !== null && row.provisional && (
+                    <span
+                      className={`ml-2 text-xs px-1.5 py-0.5 rounded ${darkMode ? 'bg-gray-700 text-gray-300' : 'bg-gray-200 text-gray-600'}`}
+                      title={`Fewer than ${ratingConfig.provisionalMatches} rated matches`}
+                    >
+                      provisional
+                    </span>
+                  )}
+                </td>
+                <td className={`${cell} text-right font-bold`} title={row.rating === null ? 'Only undated matches, which are not rated' : undefined}>
+                  {row.rating === null ? '—' : Math.round(row.rating)}
+                  {glicko && row.deviation !== null && (
+                    <span className={`ml-1 text-xs font-normal ${darkMode ? 'text-gray-400' : 'text-gray-500'}`}>±{Math.round(row.deviation)}</span>
+                  )}
+                </td>
+                <td className={`${cell} text-right`}>{row.matches}</td>
+                <td className={`${cell} text-right`}>{row.wins}-{row.losses}</td>
+                <td className={`${cell} text-right`}>{row.winRate.toFixed(1)}%</td>
+                <td className={`${cell} text-right`}>{row.peak === null ? '—' : Math.round(row.peak)}</td>
+                <td className={`${cell} text-right`}>
+                  {row.change === null ? '—' : (
+                    <span className={`inline-flex items-center gap-1 ${
+                      row.change > 0.5 ? 'text-green-500' : row.change < -0.5 ? 'text-red-500' : ''
+                    }`}>
+                      {row.change > 0.5 && <TrendingUp className="w-3 h-3" />}
+                      {row.change < -0.5 && <TrendingDown className="w-3 h-3" />}
+                      {row.change > 0 ? '+' : ''}{Math.round(row.change)}
+                    </span>
+                  )}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+        {visibleRows.length > PAGE_SIZE && (
+          <button
+            onClick={() => setShowAll(!showAll)}
+            className={`mt-2 text-sm ${darkMode ? 'text-blue-400 hover:text-blue-300' : 'text-blue-600 hover:text-blue-700'}`}
+          >
+            {showAll ? 'Show top ' + PAGE_SIZE : `Show all ${visibleRows.length}`}
+          </button>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -2,12 +2,36 @@
  * Build Rules Configuration
  * 
  * Defines the constraints for character builds in DBZL.
- * Update this file when league rules change (typically seasonally).
+ * Cost limits and banned capsules are read from the league ruleset in
+ * referencedata/capsule-rules.yaml through the shared rules engine, so the
+ * Analyzer recommends the same builds the Match Builder would accept.
  * 
  * Last Updated: November 5, 2025
  * Current Season: Season 0
  */
 
+import yaml from 'js-yaml';
+import capsuleRulesYaml from '../../../../referencedata/capsule-rules.yaml?raw';
+import {
+  TOTAL_COST,
+  resolveRuleset,
+  createCapsuleCatalog,
+  validateCharacter,
+  getAllowedCapsules,
+  isEnforced
+} from '../../../../packages/rules-engine/src/index.js';
+
+function loadLeagueRuleset() {
+  try {
+    return resolveRuleset(yaml.load(capsuleRulesYaml));
+  } catch (e) {
+    console.warn('Failed to parse capsule-rules.yaml, build rules fall back to defaults', e);
+    return null;
+  }
+}
+
+export const LEAGUE_RULESET = loadLeagueRuleset();
+
 export const BUILD_RULES = {
   version: "1.0",
   lastUpdated: "2025-11-05",
@@ -15,12 +39,13 @@ export const BUILD_RULES = {
   
   rules: {
     // Core constraints
-    maxCost: 20,           // Maximum total capsule cost
+    maxCost: LEAGUE_RULESET?.totalCost || 20, // Maximum total capsule cost
     maxCapsules: 7,        // Maximum number of capsule slots
+    bannedCapsules: LEAGUE_RULESET?.restrictions.find(r => r.type === 'banned-ids')?.params.ids || [],
+    ruleset: LEAGUE_RULESET, // Remaining league restrictions (uniqueness, cost groups), checked by the rules engine
     
     // Future-proofing (not currently enforced)
     minCost: null,         // Minimum cost requirement (null = no minimum)
-    bannedCapsules: [],    // Array of capsule IDs that cannot be used
     requiredCapsules: [],  // Array of capsule IDs that must be included
     slotRestrictions: null // Special slot rules (null = none)
   },
@@ -53,17 +78,26 @@ export function validateBuild(capsules, rules = BUILD_RULES.rules) {
   const hasRequiredCapsules = rules.requiredCapsules.length === 0 ||
     rules.requiredCapsules.every(reqId => capsules.some(cap => cap.id === reqId));
   
+  // League restrictions beyond cost and bans (already flagged above)
+  const ruleViolations = rules.ruleset
+    ? validateCharacter(capsules.map(cap => cap.id), rules.ruleset, createCapsuleCatalog(capsules))
+        .filter(v => v.type !== TOTAL_COST && v.type !== 'banned-ids')
+    : [];
+  const followsLeagueRules = !ruleViolations.some(v => isEnforced(v, rules.ruleset));
+  
   const isValid = costValid && countValid && minCostValid && 
-                  noBannedCapsules && hasRequiredCapsules;
+                  noBannedCapsules && hasRequiredCapsules && followsLeagueRules;
   
   return {
     valid: isValid,
+    ruleViolations,
     violations: {
       costExceeded: !costValid,
       tooManyCapsules: !countValid,
       belowMinCost: !minCostValid,
       hasBannedCapsules: !noBannedCapsules,
-      missingRequiredCapsules: !hasRequiredCapsules
+      missingRequiredCapsules: !hasRequiredCapsules,
+      breaksLeagueRules: !followsLeagueRules
     },
     totalCost,
     capsuleCount,
@@ -100,8 +134,32 @@ export function getValidationMessage(validation) {
   if (validation.violations.missingRequiredCapsules) {
     errors.push(`Missing required capsules`);
   }
+  (validation.ruleViolations || []).forEach(v => errors.push(v.message));
   
   return `✗ Invalid Build: ${errors.join(', ')}`;
 }
 
+/**
+ * Check whether a capsule can be added to a partial build without breaking the rules
+ * @param {Array} build - Capsule objects already in the build
+ * @param {Object} capsule - Candidate capsule with {id, name, cost}
+ * @param {Object} rules - Optional custom rules (defaults to BUILD_RULES.rules)
+ * @returns {Boolean} True if the capsule fits
+ */
+export function canAddCapsule(build, capsule, rules = BUILD_RULES.rules) {
+  if (build.length >= rules.maxCapsules) return false;
+  const currentCost = build.reduce((sum, cap) => sum + (cap.cost || 0), 0);
+  if (currentCost + (capsule.cost || 0) > rules.maxCost) return false;
+  if (rules.bannedCapsules.includes(capsule.id)) return false;
+  if (!rules.ruleset) return true;
+
+  return getAllowedCapsules([capsule], {
+    ruleset: rules.ruleset,
+    team: [build.map(cap => cap.id)],
+    characterIndex: 0,
+    slotIndex: build.length,
+    catalog: createCapsuleCatalog([...build, capsule])
+  }).length > 0;
+}
+
 export default BUILD_RULES;
@@ -0,0 +1,92 @@
+import { useEffect, useRef, useState } from 'react';
+
+const EMPTY_RESULT = { characters: [], teams: [], positions: {}, ratings: null, headToHead: null, cohorts: null };
+
+/**
+ * Character, team, position, head-to-head and cohort aggregation and the rating replay run in src/workers/aggregationWorker.js.
+ * Each file object is given a stable id and only sent to the worker once, so changing the
+ * selection only accumulates the files that were added. The previous result is kept while a
+ * new one is computed.
+ * @param {Array<{name: string, content: Object, error?: string}>} files - Selected files, in order
+ * @param {string[]} views - Aggregations to run: any of 'characters', 'teams', 'positions', 'ratings', 'headToHead', 'cohorts'
+ * @param {Object} context - { charMap, capsuleMap, aiStrategiesMap, mapsMap }
+ * @param {string[]} positionMatchTypeFilters - Match types included in the position data
+ * @param {Object|null} [cohortSpec] - { dimension, before, after } for the 'cohorts' view
+ * @returns {{characters: Array, teams: Array, positions: Object, ratings: Object|null, headToHead: Object|null, cohorts: Object|null, pending: boolean, progress: {done: number, total: number}|null}}
+ */
+export function useMatchAggregation(files, views, context, positionMatchTypeFilters, cohortSpec = null) {
+  const [result, setResult] = useState(EMPTY_RESULT);
+  const [pending, setPending] = useState(false);
+  const [progress, setProgress] = useState(null);
+
+  const workerRef = useRef(null);
+  const requestIdRef = useRef(0);
+  const fileIdsRef = useRef(new WeakMap());
+  const nextFileIdRef = useRef(0);
+  const sentIdsRef = useRef(new Set());
+
+  const viewsKey = views.join(',');
+
+  useEffect(() => {
+    const worker = new Worker(new URL('../workers/aggregationWorker.js', import.meta.url), { type: 'module' });
+    worker.onmessage = ({ data }) => {
+      // Replies to a request that has since been superseded are dropped
+      if (data.requestId !== requestIdRef.current) return;
+      if (data.type === 'progress') {
+        setProgress({ done: data.done, total: data.total });
+      } else if (data.type === 'result') {
+        setResult({
+          characters: data.characters || [],
+          teams: data.teams || [],
+          positions: data.positions || {},
+          ratings: data.ratings || null,
+          headToHead: data.headToHead || null,
+          cohorts: data.cohorts || null
+        });
+        setPending(false);
+        setProgress(null);
+      } else if (data.type === 'error') {
+        console.error('Aggregation failed:', data.message);
+        setResult(EMPTY_RESULT);
+        setPending(false);
+        setProgress(null);
+      }
+    };
+    workerRef.current = worker;
+    return () => {
+      worker.terminate();
+      workerRef.current = null;
+      sentIdsRef.current = new Set();
+    };
+  }, []);
+
+  useEffect(() => {
+    if (!workerRef.current) return;
+    workerRef.current.postMessage({ type: 'context', context });
+  }, [context]);
+
+  useEffect(() => {
+    const worker = workerRef.current;
+    const requestId = ++requestIdRef.current;
+    if (!worker || views.length === 0 || files.length === 0) {
+      setResult(EMPTY_RESULT);
+      setPending(false);
+      setProgress(null);
+      return;
+    }
+
+    const fileIds = fileIdsRef.current;
+    const entries = files.map(file => {
+      if (!fileIds.has(file)) fileIds.set(file, ++nextFileIdRef.current);
+      const id = fileIds.get(file);
+      return sentIdsRef.current.has(id) ? { id } : { id, file };
+    });
+    sentIdsRef.current = new Set(entries.map(entry => entry.id));
+
+    setPending(true);
+    worker.postMessage({ type: 'aggregate', requestId, files: entries, views, positionMatchTypeFilters, cohortSpec });
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [files, viewsKey, context, positionMatchTypeFilters, cohortSpec]);
+
+  return { ...result, pending, progress };
+}
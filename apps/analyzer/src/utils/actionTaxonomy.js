@@ -0,0 +1,157 @@
+// Move-level breakdown of battleCount.attackHitCount and useBlastGroupCount
+// The taxonomy itself lives in referencedata/actions.json: each action code is mapped to a
+// group (e.g. "Rush chain A · hit 3", "Z-counter · air") and each group to a category.
+
+import actionsJson from '../../../../referencedata/actions.json' with { type: 'json' };
+
+export const ACTION_CATEGORIES = actionsJson.categories;
+
+const OTHER_GROUP = { id: 'other', category: 'other', label: 'Other' };
+
+// idRegex reverses the id template ("rushA$1" -> /^rushA([0-9A-Z]+)$/) so a group's label can be
+// rebuilt from its id alone, e.g. for counts built in the aggregation worker. Captured parts of
+// action codes are digits and capital letters.
+const templateRegex = (template) => new RegExp(`^${template.replace(/\$\d/g, '([0-9A-Z]+)')}$`);
+const GROUP_RULES = actionsJson.groups.map(group => ({ ...group, regex: new RegExp(group.pattern), idRegex: templateRegex(group.id) }));
+const BLAST_GROUP_RULES = actionsJson.blastGroups.map(group => ({ ...group, regex: new RegExp(group.pattern) }));
+
+const decodedCache = new Map();
+const groupCache = new Map();
+
+const fill = (template, match) => template.replace(/\$(\d)/g, (_, i) => match[Number(i)] ?? '');
+
+// '(Key="actRSHA1")' and 'actRSHA1' both give 'actRSHA1'
+function unwrapKey(key) {
+  const m = key.match(/^\(Key="(.*)"\)$/);
+  return m ? m[1] : key;
+}
+
+/**
+ * Decode one attackHitCount key.
+ * @param {string} key - '(Key="actRSHA1")' or 'actRSHA1'
+ * @returns {{code: string, group: string, label: string, category: string}}
+ */
+export function decodeActionKey(key) {
+  if (decodedCache.has(key)) return decodedCache.get(key);
+  const code = unwrapKey(key);
+  let decoded = { code, group: OTHER_GROUP.id, label: OTHER_GROUP.label, category: OTHER_GROUP.category };
+  for (const rule of GROUP_RULES) {
+    const match = code.match(rule.regex);
+    if (match) {
+      decoded = { code, group: fill(rule.id, match), label: fill(rule.label, match), category: rule.category };
+      break;
+    }
+  }
+  decodedCache.set(key, decoded);
+  return decoded;
+}
+
+/**
+ * Label and category of a group id produced by decodeActionKey.
+ * @param {string} id - e.g. 'rushA3'
+ * @returns {{id: string, label: string, category: string}}
+ */
+export function describeActionGroup(id) {
+  if (groupCache.has(id)) return groupCache.get(id);
+  let group = { ...OTHER_GROUP, id };
+  for (const rule of GROUP_RULES) {
+    const match = id.match(rule.idRegex);
+    if (match) {
+      group = { id, label: fill(rule.label, match), category: rule.category };
+      break;
+    }
+  }
+  groupCache.set(id, group);
+  return group;
+}
+
+/**
+ * Decode one useBlastGroupCount key.
+ * @param {string} key - '(Key="GR0000_00B1")' or 'GR0000_00B1'
+ * @returns {{slot: string, label: string, characterId: string}|null} null for empty keys
+ */
+export function decodeBlastGroupKey(key) {
+  const code = unwrapKey(key);
+  for (const rule of BLAST_GROUP_RULES) {
+    const match = code.match(rule.regex);
+    if (match) return { slot: rule.id, label: rule.label, characterId: match[1] };
+  }
+  return null;
+}
+
+/**
+ * Hit counts per action group and blast uses per slot for one characterRecord entry.
+ * Plain count objects, so they can be summed across matches like the other aggregate totals.
+ * @param {Object} char - characterRecord entry
+ * @returns {{actions: Object<string, number>, blastGroups: Object<string, number>}}
+ */
+export function countActions(char) {
+  const count = char?.battleCount || {};
+  const actions = {};
+  Object.entries(count.attackHitCount || {}).forEach(([key, value]) => {
+    if (typeof value !== 'number' || value <= 0) return;
+    const { group } = decodeActionKey(key);
+    actions[group] = (actions[group] || 0) + value;
+  });
+  const blastGroups = {};
+  Object.entries(count.useBlastGroupCount || {}).forEach(([key, value]) => {
+    const decoded = typeof value === 'number' && value > 0 ? decodeBlastGroupKey(key) : null;
+    if (decoded) blastGroups[decoded.slot] = (blastGroups[decoded.slot] || 0) + value;
+  });
+  return { actions, blastGroups };
+}
+
+/**
+ * Add one set of counts from countActions() into a running total.
+ * @param {{actions: Object, blastGroups: Object}} target - mutated
+ * @param {{actions: Object, blastGroups: Object}} source
+ */
+export function addActionCounts(target, source) {
+  if (!source) return target;
+  ['actions', 'blastGroups'].forEach(field => {
+    if (!target[field]) target[field] = {};
+    Object.entries(source[field] || {}).forEach(([key, value]) => {
+      target[field][key] = (target[field][key] || 0) + value;
+    });
+  });
+  return target;
+}
+
+/**
+ * Shape action counts for display: category totals with shares, and groups within each category.
+ * @param {{actions: Object, blastGroups: Object}} counts - From countActions() / addActionCounts()
+ * @returns {{total: number, categories: Array, blastGroups: Array}}
+ */
+export function summarizeActionCounts(counts) {
+  const actions = counts?.actions || {};
+  const byCategory = {};
+  let total = 0;
+  Object.entries(actions).forEach(([id, value]) => {
+    const { label, category } = describeActionGroup(id);
+    if (!byCategory[category]) byCategory[category] = { count: 0, groups: [] };
+    byCategory[category].count += value;
+    byCategory[category].groups.push({ id, label, count: value });
+    total += value;
+  });
+
+  const categories = ACTION_CATEGORIES
+    .filter(category => byCategory[category.id])
+    .map(category => ({
+      ...category,
+      count: byCategory[category.id].count,
+      share: total > 0 ? Math.round((byCategory[category.id].count / total) * 1000) / 10 : 0,
+      groups: byCategory[category.id].groups.sort((a, b) => b.count - a.count)
+    }));
+
+  const blastTotal = Object.values(counts?.blastGroups || {}).reduce((sum, value) => sum + value, 0);
+  const blastGroups = BLAST_GROUP_RULES
+    .filter(rule => counts?.blastGroups?.[rule.id])
+    .map(rule => ({
+      id: rule.id,
+      label: rule.label,
+      count: counts.blastGroups[rule.id],
+      share: Math.round((counts.blastGroups[rule.id] / blastTotal) * 1000) / 10
+    }));
+
+  return { total, categories, blastGroups };
+}
@@ -9,6 +9,8 @@
  * - Data quality metrics
  */
 
+import { winRateInterval, compareToBaseline, sampleStatus, SAMPLE_POLICY } from './statistics.js';
+
 /**
  * Categorize AI strategy by type
  */
@@ -68,6 +70,7 @@ function calculateDataQuality(totalMatches, uniqueCharacters) {
   
   return {
     sampleSize: totalMatches,
+    sampleStatus: sampleStatus(totalMatches),
     confidence,
     characterDiversity: uniqueCharacters,
     diversityScore: Math.round(diversityScore * 100) / 100
@@ -695,6 +698,7 @@ export function calculateAIStrategyMetrics(aggregatedData) {
     
     // Calculate win rate
     const winRate = Math.round((ai.winCount / matches) * 1000) / 10;
+    const winRateCI = winRateInterval(ai.winCount, matches);
     
     // Calculate survival rate
     const survivalRate = Math.round((ai.totalSurvived / matches) * 1000) / 10;
@@ -825,6 +829,8 @@ export function calculateAIStrategyMetrics(aggregatedData) {
       winCount: ai.winCount,
       lossCount: ai.lossCount,
       winRate,
+      winRateInterval: winRateCI,
+      winRateSignificance: compareToBaseline(winRateCI, 50),
       combatPerformanceScore,
       avgSurvivalRate: survivalRate,
       avgKills,
@@ -894,7 +900,7 @@ export function getTopAIStrategies(aiMetrics, metric = 'winRate', limit = 5) {
  * Generate automatic insights from AI metrics
  */
 export function generateAIInsights(aiMetrics) {
-  const strategies = Object.values(aiMetrics).filter(ai => ai.totalMatches >= 5); // Min 5 matches for insights
+  const strategies = Object.values(aiMetrics).filter(ai => ai.totalMatches >= SAMPLE_POLICY.minimum);
   
   if (strategies.length === 0) {
     return [];
@@ -904,10 +910,11 @@ export function generateAIInsights(aiMetrics) {
   
   // Highest win rate
   const topWinRate = strategies.reduce((max, ai) => ai.winRate > max.winRate ? ai : max);
+  const topWinRateSignificant = compareToBaseline(winRateInterval(topWinRate.winCount, topWinRate.totalMatches), 50) === 'above';
   insights.push({
-    type: 'success',
+    type: topWinRateSignificant ? 'success' : 'info',
     icon: '🏆',
-    text: `${topWinRate.name} has the highest win rate at ${topWinRate.winRate}%`
+    text: `${topWinRate.name} has the highest win rate at ${topWinRate.winRate}%${topWinRateSignificant ? '' : ' (not significantly above 50% yet)'}`
   });
   
   // Most offensive
@@ -1131,6 +1138,7 @@ export function filterAIMetricsByCharacter(aiMetrics, characterName, charMap = {
     const wins = rawCharData.wins;
     const losses = rawCharData.losses || (matches - wins);
     const winRate = matches > 0 ? Math.round((wins / matches) * 1000) / 10 : 0;
+    const winRateCI = winRateInterval(wins, matches);
     
     // Calculate averages from accumulated character data
     const avgDamageDealt = matches > 0 ? Math.round(rawCharData.totalDamage / matches) : 0;
@@ -1271,6 +1279,8 @@ export function filterAIMetricsByCharacter(aiMetrics, characterName, charMap = {
       winCount: wins,
       lossCount: losses,
       winRate: winRate,
+      winRateInterval: winRateCI,
+      winRateSignificance: compareToBaseline(winRateCI, 50),
       combatPerformanceScore: combatPerformanceScore,
       avgSurvivalRate: survivalRate,
       avgKills: avgKills,
@@ -7,6 +7,8 @@
  * Supports character-filtered data for future filtering capabilities.
  */
 
+import { winRateInterval, compareToBaseline, sampleStatus, SAMPLE_POLICY } from './statistics.js';
+
 /**
  * PRIMARY PLAYSTYLE ARCHETYPES
  * 
@@ -259,7 +261,7 @@ export function calculateNormalizedScores(aiMetrics, allAIMetrics, characterBase
   }
   
   // Default: compare against all other AIs
-  const allAIs = Object.values(allAIMetrics).filter(ai => ai.totalMatches >= 5);
+  const allAIs = Object.values(allAIMetrics).filter(ai => ai.totalMatches >= SAMPLE_POLICY.minimum);
   
   if (allAIs.length === 0) {
     return null;
@@ -715,7 +717,7 @@ export function generateActionFrequencyInsights(aiMetrics, allAIMetrics, charact
   
   if (!useCharacterBaseline) {
     // Original logic: compare against other AIs
-    const allAIs = Object.values(allAIMetrics).filter(ai => ai.totalMatches >= 5);
+    const allAIs = Object.values(allAIMetrics).filter(ai => ai.totalMatches >= SAMPLE_POLICY.minimum);
     
     if (allAIs.length < 2) {
       console.log('[ActionFrequency] Not enough AIs for comparison (need 2+, have ' + allAIs.length + ')');
@@ -875,7 +877,7 @@ export function generateActionFrequencyInsights(aiMetrics, allAIMetrics, charact
  * Generate combat effectiveness insights
  */
 export function generateCombatEffectivenessInsights(aiMetrics, allAIMetrics) {
-  const allAIs = Object.values(allAIMetrics).filter(ai => ai.totalMatches >= 5);
+  const allAIs = Object.values(allAIMetrics).filter(ai => ai.totalMatches >= SAMPLE_POLICY.minimum);
   
   if (allAIs.length < 2) return null;
   
@@ -909,12 +911,16 @@ export function generateCombatEffectivenessInsights(aiMetrics, allAIMetrics) {
     aiMetrics.avgDPS || 0,
     allAIs.map(ai => ai.avgDPS || 0)
   );
+
+  const winRateCI = winRateInterval(aiMetrics.winCount || 0, aiMetrics.totalMatches || 0);
   
   return {
     winRate: {
       value: aiMetrics.winRate,
       percentile: winRatePercentile,
-      label: getPercentileLabel(winRatePercentile)
+      label: getPercentileLabel(winRatePercentile),
+      interval: winRateCI,
+      significance: compareToBaseline(winRateCI, 50)
     },
     performance: {
       value: aiMetrics.combatPerformanceScore,
@@ -1081,6 +1087,7 @@ export function generateBuildBehavioralImpact(aiMetrics, characterBaseline, char
         count: build.count,
         percentage: build.percentage,
         winRate: build.winRate,
+        sampleStatus: sampleStatus(build.count),
         frequencies: frequencies.slice(0, 5) // Top 5 most notable (prioritizing increases)
       });
     } else {
@@ -1234,6 +1241,7 @@ export function generateCapsuleBehavioralImpact(aiMetrics, characterBaseline, ch
         name: capsule.name,
         count: capsule.count,
         winRate: capsule.winRate,
+        sampleStatus: sampleStatus(capsule.count),
         frequencies: frequencies.slice(0, 5) // Top 5 most notable (prioritizing increases)
       });
     } else {
@@ -1287,15 +1295,26 @@ export function generateKeyBehavioralInsights(aiMetrics, allAIMetrics, archetype
   const insights = [];
   
 
+  // Too few matches to rank against the other strategies
+  if (sampleStatus(aiMetrics.totalMatches || 0) === 'insufficient') {
+    insights.push({
+      type: 'warning',
+      emoji: '⚠️',
+      text: `Only ${aiMetrics.totalMatches || 0} match${aiMetrics.totalMatches === 1 ? '' : 'es'} - fewer than ${SAMPLE_POLICY.minimum}, so these comparisons are not reliable yet`
+    });
+  }
+
   // Performance insight
   if (effectivenessAnalysis) {
     const { performance, winRate, efficiency, survival } = effectivenessAnalysis;
+    // Win rate claims are only made outright when the 95% interval clears 50%
+    const winRateQualifier = (direction) => (winRate.significance === direction ? '' : `, not yet significantly ${direction} 50%`);
     
     if (performance.percentile >= 75 && winRate.percentile >= 65) {
       insights.push({
         type: 'success',
         emoji: '🏆',
-        text: `Elite Performer - Ranks in top ${100 - performance.percentile}% for combat performance with ${winRate.value.toFixed(1)}% win rate`
+        text: `Elite Performer - Ranks in top ${100 - performance.percentile}% for combat performance with ${winRate.value.toFixed(1)}% win rate${winRateQualifier('above')}`
       });
     } else if (winRate.percentile >= 60 && efficiency.percentile >= 70) {
       insights.push({
@@ -1307,7 +1326,7 @@ export function generateKeyBehavioralInsights(aiMetrics, allAIMetrics, archetype
       insights.push({
         type: 'warning',
         emoji: '⚠️',
-        text: `Below Average Performance - Struggles compared to other AI strategies (${winRate.value.toFixed(1)}% win rate)`
+        text: `Below Average Performance - Struggles compared to other AI strategies (${winRate.value.toFixed(1)}% win rate${winRateQualifier('below')})`
       });
     }
     
@@ -1328,7 +1347,7 @@ export function generateKeyBehavioralInsights(aiMetrics, allAIMetrics, archetype
     
     // Battle speed insight
     if (aiMetrics.avgBattleTime) {
-      const allAIs = Object.values(allAIMetrics).filter(ai => ai.totalMatches >= 5);
+      const allAIs = Object.values(allAIMetrics).filter(ai => ai.totalMatches >= SAMPLE_POLICY.minimum);
       const avgBattleTime = calculateMean(allAIs.map(ai => ai.avgBattleTime || 120));
       const timeDiff = ((aiMetrics.avgBattleTime - avgBattleTime) / avgBattleTime) * 100;
       
@@ -0,0 +1,160 @@
+/**
+ * Analysis Report
+ *
+ * The analyzer's aggregation without the UI, for reports built outside the browser
+ * (scripts/generate-report.js). Re-exports the pure aggregation functions and adds the steps
+ * the app otherwise does in App.jsx: building the reference lookups, aggregating a file list
+ * and flattening the results into rows for JSON / CSV output.
+ *
+ * Everything reachable from this module is plain ESM with no DOM or React access, so Node can
+ * import it directly. Callers read the CSVs and battle files themselves and pass them in.
+ */
+
+import { getAggregatedCharacterData } from './matchAggregation.js';
+import { calculateAIStrategyMetrics } from './aiStrategyCalculator.js';
+import { calculateCapsulePerformance } from './capsuleSynergyCalculator.js';
+import { loadCapsuleData } from './capsuleDataProcessor.js';
+import { parseCharacterCSV, parseMapsCSV, indexAIStrategies } from './referenceData.js';
+
+export { extractStats, getAggregatedCharacterData } from './matchAggregation.js';
+export { calculatePerFormStats } from './formStatsCalculator.js';
+export { calculateAIStrategyMetrics } from './aiStrategyCalculator.js';
+export { calculateCapsulePerformance } from './capsuleSynergyCalculator.js';
+export { matchesTagFilters } from './brDataIndex.js';
+
+/**
+ * Lookups the aggregation needs, from the referencedata CSV contents.
+ * @param {{charactersCSV: string, capsulesCSV: string, mapsCSV: string}} csv
+ * @returns {{charMap: Object, capsuleMap: Object, aiStrategiesMap: Object, mapsMap: Object}}
+ */
+export function createReferenceMaps({ charactersCSV, capsulesCSV, mapsCSV }) {
+  const capsuleInfo = loadCapsuleData(capsulesCSV);
+  return {
+    charMap: parseCharacterCSV(charactersCSV),
+    capsuleMap: capsuleInfo.capsuleMap,
+    aiStrategiesMap: indexAIStrategies(capsuleInfo.aiStrategies),
+    mapsMap: parseMapsCSV(mapsCSV)
+  };
+}
+
+/**
+ * Aggregate battle files the way the Aggregated and Meta views do.
+ * @param {Array<{name: string, content: Object}>} files - Full battle files
+ * @param {Object} referenceMaps - From createReferenceMaps
+ * @returns {{matchCount: number, characters: Array, capsules: Array, aiStrategies: Array}}
+ *   characters is getAggregatedCharacterData() output (the input of the Excel export);
+ *   capsules and AI strategies are ordered by matches played
+ */
+export function buildAnalysisReport(files, { charMap, capsuleMap, aiStrategiesMap, mapsMap }) {
+  const characters = getAggregatedCharacterData(files, charMap, capsuleMap, aiStrategiesMap, mapsMap);
+  const byMatches = (a, b) => b.totalMatches - a.totalMatches;
+  return {
+    matchCount: files.filter(file => !file.error).length,
+    characters,
+    capsules: Object.values(calculateCapsulePerformance(characters, capsuleMap)).sort(byMatches),
+    aiStrategies: Object.values(calculateAIStrategyMetrics(characters)).sort(byMatches)
+  };
+}
+
+const round2 = (value) => (typeof value === 'number' ? Math.round(value * 100) / 100 : null);
+
+const intervalColumns = (key, field) => [
+  { key: `${key}Low`, value: row => round2(row[field]?.low) },
+  { key: `${key}High`, value: row => round2(row[field]?.high) }
+];
+
+// Flat columns per report table, shared by the JSON and CSV output
+export const REPORT_COLUMNS = {
+  characters: [
+    { key: 'name' },
+    { key: 'primaryTeam' },
+    { key: 'matches', value: row => row.matchCount },
+    { key: 'wins' },
+    { key: 'losses' },
+    { key: 'winRate' },
+    ...intervalColumns('winRate', 'winRateInterval'),
+    { key: 'winRateSignificance' },
+    { key: 'avgDamage' },
+    { key: 'avgTaken' },
+    { key: 'efficiency' },
+    { key: 'dps' },
+    { key: 'combatScore', value: row => row.combatPerformanceScore },
+    ...intervalColumns('combatScore', 'scoreInterval'),
+    { key: 'scoreSignificance' },
+    { key: 'survivalRate' },
+    { key: 'avgKills' },
+    { key: 'avgBattleTime' },
+    { key: 'primaryAIStrategy' },
+    { key: 'primaryBuildComposition' },
+    { key: 'sampleStatus' }
+  ],
+  capsules: [
+    { key: 'id' },
+    { key: 'name' },
+    { key: 'cost' },
+    { key: 'primaryArchetype' },
+    { key: 'matches', value: row => row.totalMatches },
+    { key: 'wins' },
+    { key: 'winRate', value: row => Math.round(row.winRate * 10) / 10 },
+    ...intervalColumns('winRate', 'winRateInterval'),
+    { key: 'winRateSignificance' },
+    { key: 'avgDamageDealt', value: row => Math.round(row.avgDamageDealt) },
+    { key: 'avgDamageTaken', value: row => Math.round(row.avgDamageTaken) },
+    { key: 'damageEfficiency', value: row => round2(row.damageEfficiency) },
+    { key: 'compositeScore', value: row => Math.round(row.compositeScore * 10) / 10 },
+    { key: 'characterCount' },
+    { key: 'sampleStatus' }
+  ],
+  aiStrategies: [
+    { key: 'name' },
+    { key: 'type' },
+    { key: 'matches', value: row => row.totalMatches },
+    { key: 'usageRate' },
+    { key: 'wins', value: row => row.winCount },
+    { key: 'losses', value: row => row.lossCount },
+    { key: 'winRate' },
+    ...intervalColumns('winRate', 'winRateInterval'),
+    { key: 'winRateSignificance' },
+    { key: 'combatScore', value: row => row.combatPerformanceScore },
+    { key: 'avgDamageDealt' },
+    { key: 'avgDamageTaken' },
+    { key: 'avgSurvivalRate' },
+    { key: 'avgKills' }
+  ]
+};
+
+export const REPORT_TABLES = Object.keys(REPORT_COLUMNS);
+
+/**
+ * One report table as flat rows (REPORT_COLUMNS keys, in column order).
+ * @param {Object} report - From buildAnalysisReport
+ * @param {string} table - A REPORT_TABLES entry
+ * @returns {Array<Object>}
+ */
+export function reportRows(report, table) {
+  const columns = REPORT_COLUMNS[table];
+  if (!columns) throw new Error(`Unknown report table "${table}" (expected one of: ${REPORT_TABLES.join(', ')})`);
+  return report[table].map(row => Object.fromEntries(
+    columns.map(col => [col.key, col.value ? col.value(row) : (row[col.key] ?? null)])
+  ));
+}
+
+const csvCell = (value) => {
+  if (value === null || value === undefined) return '';
+  const text = Array.isArray(value) ? value.join('; ') : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * One report table as CSV text, header row first.
+ * @param {Object} report - From buildAnalysisReport
+ * @param {string} table - A REPORT_TABLES entry
+ * @returns {string}
+ */
+export function reportToCSV(report, table) {
+  const keys = REPORT_COLUMNS[table]?.map(col => col.key);
+  const rows = reportRows(report, table);
+  return [keys, ...rows.map(row => keys.map(key => row[key]))]
+    .map(values => values.map(csvCell).join(','))
+    .join('\n') + '\n';
+}
@@ -0,0 +1,126 @@
+// Lazy access to BR_Data in reference mode
+// The aggregated, tables, teams and meta views read match summaries from br-data-index.json
+// and trimmed battles from the per-folder shards in br-data-battles/ (see
+// scripts/generate-br-data-index.js); a full battle file is only fetched when a single match
+// is opened.
+
+import { teamRegistry } from './teamRegistry.js';
+
+const BASE_URL = (typeof import.meta !== 'undefined' && import.meta.env && import.meta.env.BASE_URL) ? import.meta.env.BASE_URL : '';
+
+// Full battle files kept in memory, most recently opened last
+const FILE_CACHE_SIZE = 20;
+const fileCache = new Map();
+
+let indexPromise = null;
+// Shard name -> promise of its { path: trimmed battle } map, kept for the page's lifetime
+const shardPromises = new Map();
+
+/**
+ * Load the per-match index, once per page load.
+ * Resolves to an empty index when br-data-index.json is missing (e.g. `vite` dev without
+ * running the generator), so callers fall back to fetching full files.
+ * @returns {Promise<{version: number, matches: Object}>}
+ */
+export function loadBRDataIndex() {
+  if (!indexPromise) {
+    indexPromise = fetch(`${BASE_URL}br-data-index.json`)
+      .then(res => {
+        if (!res.ok) throw new Error(`HTTP ${res.status}`);
+        return res.json();
+      })
+      .catch(err => {
+        console.warn('br-data-index.json not available, loading full battle files instead:', err);
+        indexPromise = null;
+        return { version: 0, matches: {} };
+      });
+  }
+  return indexPromise;
+}
+
+// One br-data-battles shard, fetched once; null when it can't be loaded so callers fall back
+// to the full files
+function loadBattleShard(shard) {
+  if (!shardPromises.has(shard)) {
+    shardPromises.set(shard, fetch(`${BASE_URL}br-data-battles/${encodeURIComponent(shard)}.json`)
+      .then(res => {
+        if (!res.ok) throw new Error(`HTTP ${res.status}`);
+        return res.json();
+      })
+      .catch(err => {
+        console.warn(`br-data-battles/${shard}.json not available, loading full battle files instead:`, err);
+        shardPromises.delete(shard);
+        return null;
+      }));
+  }
+  return shardPromises.get(shard);
+}
+
+/**
+ * Fetch one full battle file from public/BR_Data.
+ * @param {string} path - Path relative to BR_Data, as used by BRDataSelector
+ * @returns {Promise<Object|null>} Parsed file, or null when it can't be loaded
+ */
+export async function fetchBattleFile(path) {
+  if (fileCache.has(path)) {
+    const content = fileCache.get(path);
+    fileCache.delete(path);
+    fileCache.set(path, content);
+    return content;
+  }
+  try {
+    const res = await fetch(`${BASE_URL}BR_Data/${path}`);
+    if (!res.ok) return null;
+    const content = await res.json();
+    fileCache.set(path, content);
+    if (fileCache.size > FILE_CACHE_SIZE) fileCache.delete(fileCache.keys().next().value);
+    return content;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Match entries for the analyzer views, in the `{ name, content, tags }` shape used for
+ * uploaded files. Indexed matches carry the trimmed battle from their folder's shard as
+ * `content` plus the index `summary` and `indexed: true`; only the shards of the selected
+ * paths are fetched. Paths missing from the index (or whose shard fails) are fetched in full.
+ * @param {string[]} paths - BR_Data relative paths of the selected files
+ * @returns {Promise<Array<{name: string, content: Object, tags: Object|null, summary?: Object, indexed?: boolean}>>}
+ */
+export async function loadIndexedMatches(paths) {
+  const { matches } = await loadBRDataIndex();
+  const entries = await Promise.all(paths.map(async path => {
+    const summary = matches[path];
+    const battles = summary ? await loadBattleShard(summary.shard) : null;
+    if (battles && battles[path]) {
+      return { name: path, content: { ...battles[path], tags: summary.tags }, tags: summary.tags, summary, indexed: true };
+    }
+    const content = await fetchBattleFile(path);
+    return content ? { name: path, content, tags: (content.tags && typeof content.tags === 'object') ? content.tags : null } : null;
+  }));
+  return entries.filter(Boolean);
+}
+
+/**
+ * Whether a match's tags pass the tag filters: AND across dimensions, OR within one.
+ * For array-valued tags (e.g. team), a match passes if ANY of its values is selected.
+ * Team names on both sides are compared by their canonical registry name.
+ * @param {Object|null} tags - The match's tags (br-data-tags.json entry)
+ * @param {Object<string, Iterable<string>>} filters - { dimension: selected values }; empty dimensions are ignored
+ * @returns {boolean}
+ */
+export function matchesTagFilters(tags, filters) {
+  const active = Object.entries(filters || {})
+    .map(([dim, values]) => [dim, new Set(dim === 'team' ? [...values].map(teamRegistry.canonicalName) : values)])
+    .filter(([, values]) => values.size > 0);
+  if (active.length === 0) return true;
+  if (!tags) return false;
+  return active.every(([dim, values]) => {
+    const tagVal = tags[dim];
+    if (Array.isArray(tagVal)) {
+      return tagVal.some(v => values.has(dim === 'team' ? teamRegistry.canonicalName(v) : v));
+    }
+    return values.has(tagVal);
+  });
+}
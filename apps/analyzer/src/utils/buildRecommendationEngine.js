@@ -11,7 +11,7 @@
  * Created: November 5, 2025
  */
 
-import { BUILD_RULES, validateBuild } from '../config/buildRules.js';
+import { BUILD_RULES, validateBuild, canAddCapsule } from '../config/buildRules.js';
 import { analyzeBuildComposition, detectSynergyType } from './capsuleEffectParser.js';
 
 /**
@@ -102,7 +102,7 @@ export function scoreBuild(
 
   // 5. Cost Efficiency (5% weight)
   const totalCost = capsules.reduce((sum, cap) => sum + (cap.cost || 0), 0);
-  const costUtilization = (totalCost / BUILD_RULES.maxCost) * 100;
+  const costUtilization = (totalCost / BUILD_RULES.rules.maxCost) * 100;
   scoreBreakdown.costEfficiency = costUtilization * 0.05;
 
   // Calculate total
@@ -221,13 +221,13 @@ function generateSingleBuild(
   }
 
   // Greedy selection
-  while (build.length < BUILD_RULES.maxCapsules && remainingPool.length > 0) {
+  while (build.length < BUILD_RULES.rules.maxCapsules && remainingPool.length > 0) {
     let bestCapsule = null;
     let bestScore = -Infinity;
 
     for (const capsule of remainingPool) {
       // Check if adding this capsule would violate rules
-      if (totalCost + capsule.cost > BUILD_RULES.maxCost) {
+      if (!canAddCapsule(build, capsule)) {
         continue;
       }
 
@@ -281,7 +281,7 @@ function generateSingleBuild(
   }
 
   const validation = validateBuild(build);
-  if (!validation.isValid) {
+  if (!validation.valid) {
     return null;
   }
 
@@ -389,13 +389,8 @@ export function suggestBuildImprovements(
       continue;
     }
 
-    // Skip if would violate cost
-    if (currentCost + capsule.cost > BUILD_RULES.maxCost) {
-      continue;
-    }
-
-    // Skip if would violate capsule limit
-    if (currentBuild.length >= BUILD_RULES.maxCapsules) {
+    // Skip if would violate cost, capsule limit or league restrictions
+    if (!canAddCapsule(currentBuild, capsule)) {
       continue;
     }
 
@@ -8,7 +8,7 @@
  * Updated: November 6, 2025 - Switched to metadata-based build types
  */
 
-import capsuleMetadata from '../config/capsuleMetadata.json';
+import capsuleMetadata from '../config/capsuleMetadata.json' with { type: 'json' };
 
 /**
  * Parse CSV text into structured data
@@ -8,6 +8,7 @@
  */
 
 import { detectSynergyType } from './capsuleEffectParser.js';
+import { winRateInterval, compareToBaseline, sampleStatus } from './statistics.js';
 
 /**
  * Calculate individual capsule performance from match data
@@ -82,6 +83,7 @@ export function calculateCapsulePerformance(aggregatedData, capsuleMap) {
     // Use total-based efficiency calculation (aggregate then calculate)
     const damageEfficiency = stat.totalDamageTaken > 0 ? stat.totalDamage / stat.totalDamageTaken : 0;
     const winRate = stat.totalMatches > 0 ? (stat.wins / stat.totalMatches) * 100 : 0;
+    const winRateCI = winRateInterval(stat.wins, stat.totalMatches);
     
     // Calculate composite score (0-100 scale)
     // Base: 50, Win rate modifier, damage efficiency bonus
@@ -102,6 +104,9 @@ export function calculateCapsulePerformance(aggregatedData, capsuleMap) {
       // Win stats
       wins: stat.wins,
       winRate,
+      winRateInterval: winRateCI,
+      winRateSignificance: compareToBaseline(winRateCI, 50),
+      sampleStatus: sampleStatus(stat.totalMatches),
       // Damage stats
       avgDamageDealt,
       avgDamageTaken,
@@ -204,6 +209,8 @@ export function calculatePairSynergies(aggregatedData, capsuleMap) {
       appearances: stat.appearances,
       wins: stat.wins,
       pairWinRate,
+      pairWinRateInterval: winRateInterval(stat.wins, stat.appearances),
+      sampleStatus: sampleStatus(stat.appearances),
       avgDamageDealt,
       avgDamageTaken,
       damageEfficiency,
@@ -250,6 +257,8 @@ export function enrichPairSynergies(pairSynergies, capsulePerformance) {
     enrichedPairs[pairKey] = {
       ...pair,
       synergyBonus,
+      // Whether the pair's win rate clears what the two capsules manage on their own
+      synergySignificance: compareToBaseline(pair.pairWinRateInterval, expectedWinRate),
       expectedPerformance: {
         winRate: expectedWinRate,
         damage: expectedDamage,
@@ -335,6 +344,7 @@ export function calculateAIStrategyCapsuleCompatibility(aggregatedData, capsuleM
     const capsuleCompatMap = {};
     Object.entries(strategy.capsuleUsage).forEach(([capsuleId, cap]) => {
       const winRate = cap.totalMatches > 0 ? (cap.wins / cap.totalMatches) * 100 : 0;
+      const winRateCI = winRateInterval(cap.wins, cap.totalMatches);
       const avgDamageDealt = cap.totalMatches > 0 ? Math.round(cap.totalDamage / cap.totalMatches) : 0;
       const avgPerformanceScore = cap.totalMatches > 0 ? Math.round((cap.totalPerformanceScore / cap.totalMatches) * 10) / 10 : 0;
       
@@ -345,6 +355,9 @@ export function calculateAIStrategyCapsuleCompatibility(aggregatedData, capsuleM
         wins: cap.wins,
         totalMatches: cap.totalMatches,
         winRate,
+        winRateInterval: winRateCI,
+        winRateSignificance: compareToBaseline(winRateCI, 50),
+        sampleStatus: sampleStatus(cap.totalMatches),
         avgDamageDealt,
         compositeScore: avgPerformanceScore
       };
@@ -0,0 +1,179 @@
+/**
+ * Cohort Comparison
+ *
+ * Splits the selected matches into two cohorts along one dimension (season, game patch or match
+ * type) and compares character, capsule and AI strategy metrics between them, so a balance patch
+ * or a new season can be read as "who rose, who fell" instead of one pooled average.
+ *
+ * Each cohort is aggregated on its own (finalizeCharacterData, calculateCapsulePerformance,
+ * calculateAIStrategyMetrics), then rows are matched up by key. Win-rate changes carry a Newcombe
+ * interval (utils/statistics.js) so a swing on a handful of matches isn't flagged as a shift.
+ */
+
+import { calculateCapsulePerformance } from './capsuleSynergyCalculator.js';
+import { calculateAIStrategyMetrics } from './aiStrategyCalculator.js';
+import { winRateChangeInterval, compareToBaseline, meetsMinimumSample } from './statistics.js';
+import { GAME_PATCHES, matchPatch } from './gamePatches.js';
+
+export const COHORT_DIMENSIONS = [
+  { key: 'season', label: 'Season' },
+  { key: 'patch', label: 'Game Patch' },
+  { key: 'matchType', label: 'Match Type' }
+];
+
+export const COHORT_GROUPS = ['characters', 'capsules', 'aiStrategies'];
+
+const MOVERS_LIMIT = 5;
+
+/**
+ * Cohort a match belongs to along a dimension, or null when it isn't tagged for it.
+ * @param {Object} file - { name, content, tags?, summary? } as loaded by the analyzer
+ * @param {string} dimension - A COHORT_DIMENSIONS key
+ */
+export function cohortValue(file, dimension) {
+  const tags = file.tags || file.content?.tags || {};
+  if (dimension === 'patch') {
+    // Indexed matches carry the resolved patch; uploads are resolved from their tags
+    return file.summary ? file.summary.patch : matchPatch(tags);
+  }
+  return tags[dimension] || null;
+}
+
+/**
+ * Cohorts present in a selection, in order: patches by release, everything else by name.
+ * @returns {Array<{value: string, matches: number}>}
+ */
+export function listCohortValues(files, dimension) {
+  const counts = new Map();
+  files.forEach(file => {
+    if (file.error) return;
+    const value = cohortValue(file, dimension);
+    if (value) counts.set(value, (counts.get(value) || 0) + 1);
+  });
+  const patchOrder = GAME_PATCHES.map(p => p.patch);
+  return [...counts.entries()]
+    .map(([value, matches]) => ({ value, matches }))
+    .sort((a, b) => {
+      if (dimension === 'patch') return patchOrder.indexOf(a.value) - patchOrder.indexOf(b.value);
+      return a.value.localeCompare(b.value, undefined, { numeric: true });
+    });
+}
+
+/**
+ * Default pair to compare: the two latest cohorts, or null with fewer than two.
+ * @param {Array<{value: string}>} values - From listCohortValues
+ */
+export function defaultCohortPair(values) {
+  if (values.length < 2) return null;
+  return { before: values[values.length - 2].value, after: values[values.length - 1].value };
+}
+
+/**
+ * Per-entity metrics of one cohort.
+ * @param {Array} characters - finalizeCharacterData() output for the cohort's matches
+ * @param {number} matchCount - Matches in the cohort
+ * @param {Object} context - { capsuleMap }
+ * @returns {{matches: number, characters: Object, capsules: Object, aiStrategies: Object}} Each group keyed by entity:
+ *   { key, name, matches, winRate, winRateInterval, usage, score?, avgDamage? }
+ */
+export function summarizeCohort(characters, matchCount, { capsuleMap = {} }) {
+  const summary = { matches: matchCount, characters: {}, capsules: {}, aiStrategies: {} };
+
+  // Usage: characters by share of the cohort's matches, capsules by share of character appearances
+  let appearances = 0;
+  characters.forEach(char => {
+    const active = char.activeMatchCount || char.matchCount || 0;
+    appearances += active;
+    summary.characters[char.name] = {
+      key: char.name,
+      name: char.name,
+      matches: active,
+      winRate: char.winRate,
+      winRateInterval: char.winRateInterval,
+      usage: matchCount > 0 ? Math.round((active / matchCount) * 1000) / 10 : 0,
+      score: char.combatPerformanceScore,
+      avgDamage: Math.round(char.avgDamage || 0)
+    };
+  });
+
+  Object.values(calculateCapsulePerformance(characters, capsuleMap)).forEach(capsule => {
+    summary.capsules[capsule.id] = {
+      key: capsule.id,
+      name: capsule.name,
+      matches: capsule.totalMatches,
+      winRate: Math.round(capsule.winRate * 10) / 10,
+      winRateInterval: capsule.winRateInterval,
+      usage: appearances > 0 ? Math.round((capsule.totalMatches / appearances) * 1000) / 10 : 0,
+      avgDamage: Math.round(capsule.avgDamageDealt)
+    };
+  });
+
+  Object.values(calculateAIStrategyMetrics(characters)).forEach(ai => {
+    summary.aiStrategies[ai.name] = {
+      key: ai.name,
+      name: ai.name,
+      matches: ai.totalMatches,
+      winRate: ai.winRate,
+      winRateInterval: ai.winRateInterval,
+      usage: ai.usageRate,
+      score: ai.combatPerformanceScore
+    };
+  });
+
+  return summary;
+}
+
+const change = (before, after, field) => (
+  before && after && typeof before[field] === 'number' && typeof after[field] === 'number'
+    ? Math.round((after[field] - before[field]) * 100) / 100
+    : null
+);
+
+function compareGroup(before, after) {
+  const keys = new Set([...Object.keys(before), ...Object.keys(after)]);
+  return [...keys].map(key => {
+    const a = before[key] || null;
+    const b = after[key] || null;
+    const interval = winRateChangeInterval(a?.winRateInterval, b?.winRateInterval);
+    return {
+      key,
+      name: (b || a).name,
+      before: a,
+      after: b,
+      status: a && b ? 'both' : b ? 'new' : 'gone',
+      winRateChange: change(a, b, 'winRate'),
+      winRateChangeInterval: interval,
+      // 'above' = significant rise, 'below' = significant fall
+      winRateChangeSignificance: compareToBaseline(interval, 0),
+      usageChange: change(a, b, 'usage'),
+      scoreChange: change(a, b, 'score'),
+      avgDamageChange: change(a, b, 'avgDamage')
+    };
+  }).sort((x, y) => ((y.after?.matches || 0) + (y.before?.matches || 0)) - ((x.after?.matches || 0) + (x.before?.matches || 0)));
+}
+
+/**
+ * Biggest win-rate risers and fallers among rows with enough matches in both cohorts.
+ */
+export function biggestMovers(rows, limit = MOVERS_LIMIT) {
+  const comparable = rows.filter(row => row.status === 'both'
+    && meetsMinimumSample(row.before.matches) && meetsMinimumSample(row.after.matches));
+  return {
+    risers: comparable.filter(row => row.winRateChange > 0).sort((a, b) => b.winRateChange - a.winRateChange).slice(0, limit),
+    fallers: comparable.filter(row => row.winRateChange < 0).sort((a, b) => a.winRateChange - b.winRateChange).slice(0, limit)
+  };
+}
+
+/**
+ * Side-by-side comparison of two cohort summaries.
+ * @returns {{matches: {before: number, after: number}, characters: Object, capsules: Object, aiStrategies: Object}}
+ *   Each group: { rows, risers, fallers }; rows are ordered by total matches across both cohorts
+ */
+export function compareCohorts(before, after) {
+  const result = { matches: { before: before.matches, after: after.matches } };
+  COHORT_GROUPS.forEach(group => {
+    const rows = compareGroup(before[group], after[group]);
+    result[group] = { rows, ...biggestMovers(rows) };
+  });
+  return result;
+}
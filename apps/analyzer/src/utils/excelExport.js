@@ -7,6 +7,9 @@
  * 
  * Features:
  * - Two data sheets: Character Performance Averages & Individual Match Details
+ * - Finishers sheets: final KOs per character and per AI strategy / build type
+ * - Head-to-head workbook: win rate matrix, matchups and their matches (exportHeadToHeadToExcel)
+ * - buildAnalysisWorkbook: the same workbook without the browser download, for Node scripts
  * - Full formatting support (colors, fonts, borders, alignment)
  * - Header row styling (bold, colored background)
  * - Auto-fit column widths
@@ -17,57 +20,242 @@
  */
 
 import ExcelJS from 'exceljs';
-import { saveAs } from 'file-saver';
-import { getCharacterAveragesTableConfig, getMatchDetailsTableConfig } from '../components/TableConfigs';
+import FileSaver from 'file-saver';
+import { getCharacterAveragesTableConfig, getMatchDetailsTableConfig, getFinishersTableConfig, getFinishRatesTableConfig } from '../components/TableConfigs';
 import { processTeamGroups } from './teamPerformanceMatrix';
 
 /**
- * Main export function - generates complete Excel workbook
+ * Main export function - generates complete Excel workbook and downloads it
  * @param {Array} characterData - Aggregated character performance data
  * @param {Array} matchData - Individual match details data
  * @param {Object} options - Export options (filename, includeFormatting, etc.)
+ *   finisherData / finishRateData: rows from prepareFinishersData / prepareFinishRatesData
  */
 export async function exportToExcel(characterData, matchData, options = {}) {
   const {
-    filename = `DBSZ_Analysis_${new Date().toISOString().split('T')[0]}.xlsx`,
+    filename = `DBSZ_Analysis_${new Date().toISOString().split('T')[0]}.xlsx`
+  } = options;
+
+  try {
+    const workbook = await buildAnalysisWorkbook(characterData, matchData, options);
+
+    // Generate Excel file buffer
+    const buffer = await workbook.xlsx.writeBuffer();
+
+    // Trigger download
+    const blob = new Blob([buffer], { 
+      type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' 
+    });
+    FileSaver.saveAs(blob, filename);
+
+    return { success: true, filename };
+  } catch (error) {
+    console.error('Excel export error:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Build the analysis workbook without saving it (used by exportToExcel and scripts/generate-report.js)
+ * @param {Array} characterData - Aggregated character performance data
+ * @param {Array} matchData - Individual match details data
+ * @param {Object} options - Same as exportToExcel, minus filename
+ * @returns {Promise<ExcelJS.Workbook>}
+ */
+export async function buildAnalysisWorkbook(characterData, matchData, options = {}) {
+  const {
     includeCharacterAverages = true,
     includeMatchDetails = true,
+    includeFinishers = true,
+    finisherData = [],
+    finishRateData = [],
+    includeFormatting = true
+  } = options;
+
+  // Create workbook
+  const workbook = new ExcelJS.Workbook();
+  workbook.creator = 'DBSZ Battle Analyzer';
+  workbook.created = new Date();
+  workbook.modified = new Date();
+
+  // Generate sheets
+  if (includeCharacterAverages && characterData?.length > 0) {
+    await generateCharacterAveragesSheet(workbook, characterData, includeFormatting);
+  }
+
+  if (includeMatchDetails && matchData?.length > 0) {
+    await generateMatchDetailsSheet(workbook, matchData, includeFormatting);
+  }
+
+  if (includeFinishers && finisherData?.length > 0) {
+    await generateFinishersSheet(workbook, 'Finishers', getFinishersTableConfig(), finisherData, includeFormatting, 'Finishers');
+  }
+
+  if (includeFinishers && finishRateData?.length > 0) {
+    await generateFinishersSheet(workbook, 'Finish Rates', getFinishRatesTableConfig(), finishRateData, includeFormatting, 'FinishRates');
+  }
+
+  // Generate Team Performance Matrix (Pivot Table)
+  if (characterData?.length > 0) {
+    await generateTeamPerformanceMatrix(workbook, characterData, includeFormatting);
+  }
+
+  return workbook;
+}
+
+/**
+ * Head-to-head export - win rate matrix, matchup list and the underlying matches
+ * @param {Object} data - One side of finalizeHeadToHead(): { entities, cells }
+ * @param {Array<string>} entityKeys - Rows/columns of the matrix, in display order
+ * @param {Object} options - { filename, title ('Characters' / 'Teams'), includeFormatting }
+ */
+export async function exportHeadToHeadToExcel(data, entityKeys, options = {}) {
+  const {
+    title = 'Matchups',
+    filename = `DBSZ_Head_to_Head_${title}_${new Date().toISOString().split('T')[0]}.xlsx`,
     includeFormatting = true
   } = options;
 
   try {
-    // Create workbook
     const workbook = new ExcelJS.Workbook();
     workbook.creator = 'DBSZ Battle Analyzer';
     workbook.created = new Date();
     workbook.modified = new Date();
 
-    // Generate sheets
-    if (includeCharacterAverages && characterData?.length > 0) {
-      await generateCharacterAveragesSheet(workbook, characterData, includeFormatting);
-    }
+    const labels = Object.fromEntries(data.entities.map(entity => [entity.key, entity.label]));
+    const pairs = [];
+    entityKeys.forEach(rowKey => {
+      entityKeys.forEach(colKey => {
+        const cell = data.cells[rowKey]?.[colKey];
+        if (cell) pairs.push({ rowKey, colKey, cell });
+      });
+    });
 
-    if (includeMatchDetails && matchData?.length > 0) {
-      await generateMatchDetailsSheet(workbook, matchData, includeFormatting);
-    }
+    // Matrix: row's win rate against column, with the sample size in a comment
+    const matrix = workbook.addWorksheet('Win Rate Matrix', {
+      views: [{ state: 'frozen', xSplit: 1, ySplit: 1 }]
+    });
+    matrix.addRow([`${title} (row vs column)`, ...entityKeys.map(key => labels[key])]);
+    entityKeys.forEach(rowKey => {
+      const row = matrix.addRow([labels[rowKey], ...entityKeys.map(colKey => {
+        const cell = data.cells[rowKey]?.[colKey];
+        return cell ? cell.winRate / 100 : null;
+      })]);
+      entityKeys.forEach((colKey, i) => {
+        const cell = data.cells[rowKey]?.[colKey];
+        if (!cell) return;
+        const excelCell = row.getCell(i + 2);
+        excelCell.numFmt = '0%';
+        excelCell.note = `${cell.wins}W - ${cell.losses}L over ${cell.matches} match${cell.matches === 1 ? '' : 'es'}`;
+      });
+    });
+    matrix.getColumn(1).width = 32;
+    entityKeys.forEach((key, i) => { matrix.getColumn(i + 2).width = 14; });
+
+    // Matchups: one row per pairing
+    const matchups = workbook.addWorksheet('Matchups', {
+      views: [{ state: 'frozen', xSplit: 2, ySplit: 1 }]
+    });
+    matchups.columns = [
+      { header: title.replace(/s$/, ''), key: 'row', width: 32 },
+      { header: 'Opponent', key: 'col', width: 32 },
+      { header: 'Matches', key: 'matches', width: 10 },
+      { header: 'Wins', key: 'wins', width: 8 },
+      { header: 'Losses', key: 'losses', width: 8 },
+      { header: 'Win Rate', key: 'winRate', width: 10 },
+      { header: 'Avg Damage Dealt', key: 'avgDamageDealt', width: 18 },
+      { header: 'Avg Damage Taken', key: 'avgDamageTaken', width: 18 },
+      { header: 'Damage Ratio', key: 'damageRatio', width: 14 },
+      { header: 'KOs', key: 'kos', width: 8 },
+      { header: 'KO\'d By', key: 'knockedOutBy', width: 10 },
+      { header: 'Time Facing (s)', key: 'faced', width: 16 }
+    ];
+    pairs.forEach(({ rowKey, colKey, cell }) => {
+      matchups.addRow({
+        row: labels[rowKey],
+        col: labels[colKey],
+        matches: cell.matches,
+        wins: cell.wins,
+        losses: cell.losses,
+        winRate: cell.winRate / 100,
+        avgDamageDealt: cell.avgDamageDealt,
+        avgDamageTaken: cell.avgDamageTaken,
+        damageRatio: cell.damageRatio,
+        kos: cell.kos,
+        knockedOutBy: cell.knockedOutBy,
+        faced: Math.round(cell.faced)
+      });
+    });
+    matchups.getColumn('winRate').numFmt = '0.0%';
+    matchups.getColumn('avgDamageDealt').numFmt = '#,##0';
+    matchups.getColumn('avgDamageTaken').numFmt = '#,##0';
+    matchups.autoFilter = { from: 'A1', to: `${getColumnLetter(matchups.columns.length)}1` };
+
+    // Matches: the games behind every pairing, for drill-down
+    const matches = workbook.addWorksheet('Matches', {
+      views: [{ state: 'frozen', xSplit: 0, ySplit: 1 }]
+    });
+    matches.columns = [
+      { header: title.replace(/s$/, ''), key: 'row', width: 32 },
+      { header: 'Opponent', key: 'col', width: 32 },
+      { header: 'Match', key: 'name', width: 48 },
+      { header: 'Date', key: 'date', width: 12 },
+      { header: 'Team', key: 'team', width: 20 },
+      { header: 'Opposing Team', key: 'opposingTeam', width: 20 },
+      { header: 'Result', key: 'result', width: 8 },
+      { header: 'Damage Dealt', key: 'damageDealt', width: 14 },
+      { header: 'Damage Taken', key: 'damageTaken', width: 14 },
+      { header: 'KOs', key: 'kos', width: 8 },
+      { header: 'KO\'d By', key: 'knockedOutBy', width: 10 },
+      { header: 'Time Facing (s)', key: 'faced', width: 16 }
+    ];
+    pairs.forEach(({ rowKey, colKey, cell }) => {
+      cell.games.forEach(game => {
+        matches.addRow({
+          row: labels[rowKey],
+          col: labels[colKey],
+          name: game.name,
+          date: game.date || '',
+          team: game.team || '',
+          opposingTeam: game.opposingTeam || '',
+          result: game.won ? 'Win' : 'Loss',
+          damageDealt: game.damageDealt,
+          damageTaken: game.damageTaken,
+          kos: game.kos,
+          knockedOutBy: game.knockedOutBy,
+          faced: Math.round(game.faced)
+        });
+      });
+    });
+    matches.autoFilter = { from: 'A1', to: `${getColumnLetter(matches.columns.length)}1` };
 
-    // Generate Team Performance Matrix (Pivot Table)
-    if (characterData?.length > 0) {
-      await generateTeamPerformanceMatrix(workbook, characterData, includeFormatting);
+    if (includeFormatting) {
+      [matrix, matchups, matches].forEach(sheet => {
+        sheet.getRow(1).font = { bold: true, color: { argb: 'FFFFFFFF' } };
+        sheet.getRow(1).fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FF1F2937' } };
+      });
+      if (entityKeys.length > 0) {
+        const last = getColumnLetter(entityKeys.length + 1);
+        matrix.addConditionalFormatting({
+          ref: `B2:${last}${entityKeys.length + 1}`,
+          rules: [{
+            type: 'colorScale',
+            cfvo: [{ type: 'num', value: 0 }, { type: 'num', value: 0.5 }, { type: 'num', value: 1 }],
+            color: [{ argb: 'FFE06666' }, { argb: 'FFFFFFFF' }, { argb: 'FF93C47D' }]
+          }]
+        });
+      }
     }
 
-    // Generate Excel file buffer
     const buffer = await workbook.xlsx.writeBuffer();
-
-    // Trigger download
-    const blob = new Blob([buffer], { 
-      type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' 
+    const blob = new Blob([buffer], {
+      type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
     });
-    saveAs(blob, filename);
+    FileSaver.saveAs(blob, filename);
 
     return { success: true, filename };
   } catch (error) {
-    console.error('Excel export error:', error);
+    console.error('Head-to-head export error:', error);
     return { success: false, error: error.message };
   }
 }
@@ -234,6 +422,64 @@ async function generateMatchDetailsSheet(workbook, data, includeFormatting) {
   return sheet;
 }
 
+/**
+ * Generate a Finishers sheet (per character, or per AI strategy / build type)
+ * Same layout as the Character Averages sheet: group header row, column header row, data rows
+ */
+async function generateFinishersSheet(workbook, sheetName, config, data, includeFormatting, rangeName) {
+  const sheet = workbook.addWorksheet(sheetName, {
+    views: [{ state: 'frozen', xSplit: 1, ySplit: 2 }] // Freeze first column and first 2 rows
+  });
+
+  const { columns, columnGroups } = config;
+
+  columns.forEach((col, index) => {
+    sheet.getColumn(index + 1).width = calculateColumnWidth(col.header, col.key);
+  });
+
+  // Group header row (Row 1)
+  sheet.addRow([]);
+  let currentCol = 1;
+  columnGroups.forEach(group => {
+    const groupColumnCount = columns.filter(col => col.group === group.name).length;
+    const startCol = currentCol;
+    const endCol = currentCol + groupColumnCount - 1;
+    if (endCol > startCol) {
+      sheet.mergeCells(1, startCol, 1, endCol);
+    }
+
+    const groupCell = sheet.getCell(1, startCol);
+    groupCell.value = group.name;
+    groupCell.font = { bold: true, size: 11, color: { argb: 'FFFFFFFF' } };
+    groupCell.fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: getGroupColor(group.name) } };
+    groupCell.alignment = { horizontal: 'center', vertical: 'middle' };
+    groupCell.border = {
+      top: { style: 'medium', color: { argb: 'FF000000' } },
+      left: { style: 'medium', color: { argb: 'FF000000' } },
+      bottom: { style: 'medium', color: { argb: 'FF000000' } },
+      right: { style: 'medium', color: { argb: 'FF000000' } }
+    };
+
+    currentCol = endCol + 1;
+  });
+
+  // Column header row (Row 2), then data rows
+  sheet.addRow(columns.map(col => col.header));
+  data.forEach(row => {
+    sheet.addRow(columns.map(col => formatCellValue(typeof col.accessor === 'function' ? col.accessor(row) : row[col.key], col.key)));
+  });
+
+  if (includeFormatting) {
+    applyCharacterAveragesFormatting(sheet, columns, columnGroups, data.length);
+    applyConditionalFormattingToColumns(sheet, columns, 'Finishes', data.length + 2);
+    applyConditionalFormattingToColumns(sheet, columns, 'Finish Blasts', data.length + 2);
+  }
+
+  createNamedRange(sheet, columns, data.length, rangeName);
+
+  return sheet;
+}
+
 /**
  * Calculate average for a specific column in the sheet
  */
@@ -503,7 +749,9 @@ function applyConditionalFormattingToColumns(sheet, columns, groupName, lastData
       const groupColorMap = {
         'Survival & Health': 'FF6AA84F',   // Green
         'Special Abilities': 'FFC6A6F7',   // Purple
-        'Combat Mechanics': 'FFFFBC99'     // Peach/orange
+        'Combat Mechanics': 'FFFFBC99',    // Peach/orange
+        'Finishes': 'FFFFD966',            // Gold
+        'Finish Blasts': 'FFB4A7D6'        // Lavender
       };
 
       const groupColor = groupColorMap[groupName] || 'FF6AA84F'; // Default to green if not found
@@ -541,7 +789,7 @@ function applyColumnFormatting(cell, column, rowValues, rowNumber, timeColumnAve
   }
 
   // Percentage columns
-  if (key.includes('Rate') || key.includes('Retention') || key.includes('hpRetention') || 
+  if (key.includes('Rate') || key.includes('Share') || key.includes('Retention') || key.includes('hpRetention') || 
       key === 'healthRetention' || key === 'speedImpactWinRate' || key === 'primaryTeam') {
     // Note: primaryTeam is mapped to winRate in Team Performance Matrix, so it needs percentage formatting
     cell.numFmt = '0.0"%"';
@@ -941,7 +1189,9 @@ function getGroupColor(groupName) {
     'Special Abilities': 'FF5B21B6',        // Ultra dark purple
     'Combat Mechanics': 'FF92400E',         // Ultra dark amber
     'Build & Equipment': 'FF1E40AF',        // Ultra dark blue
-    'Form Changes': 'FF065F46'              // Ultra dark forest green (same as Survival & Health)
+    'Form Changes': 'FF065F46',             // Ultra dark forest green (same as Survival & Health)
+    'Finishes': 'FF854D0E',                 // Ultra dark gold
+    'Finish Blasts': 'FF4C1D95'             // Ultra dark violet
   };
   
   return colorMap[groupName] || 'FF1F2937'; // Default ultra dark gray
@@ -960,7 +1210,9 @@ function getDarkGroupColor(groupName) {
     'Special Abilities': 'FF6D28D9',        // Very dark purple
     'Combat Mechanics': 'FFB45309',         // Very dark amber
     'Build & Equipment': 'FF1D4ED8',        // Very dark blue
-    'Form Changes': 'FF047857'              // Very dark forest green (same as Survival & Health)
+    'Form Changes': 'FF047857',             // Very dark forest green (same as Survival & Health)
+    'Finishes': 'FFA16207',                 // Very dark gold
+    'Finish Blasts': 'FF6D28D9'             // Very dark violet
   };
   
   return colorMap[groupName] || 'FF374151'; // Default very dark gray
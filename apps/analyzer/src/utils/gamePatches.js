@@ -0,0 +1,35 @@
+/**
+ * Game patches from scripts/gamePatches.json and the one rule for which patch a match was played on.
+ * Shared by the app (cohort comparison) and the BR_Data scripts (the tags file, the index and
+ * the report), which load it with import().
+ *
+ * The patch is worked out when the data is read, never written back into BR_Data, so adding a
+ * patch to gamePatches.json re-assigns every dated match the next time the index is built.
+ */
+
+import gamePatches from '../../scripts/gamePatches.json' with { type: 'json' };
+
+export const GAME_PATCHES = gamePatches.patches;
+
+/**
+ * Latest patch released on or before a date.
+ * @param {string|null} date - YYYY-MM-DD
+ * @returns {string|null} null for undated matches (their patch isn't known) or when
+ *   gamePatches.json lists no patches
+ */
+export function patchForDate(date) {
+  if (!date || GAME_PATCHES.length === 0) return null;
+  const released = GAME_PATCHES.filter(p => p.released <= date);
+  return released.length > 0 ? released[released.length - 1].patch : GAME_PATCHES[0].patch;
+}
+
+/**
+ * Patch of a match from its tags: a `patch` tag set by hand (for a match played on an older
+ * patch after a new one shipped), else the patch live on its `date` tag.
+ * @param {Object|null} tags - The match's tags
+ * @returns {string|null}
+ */
+export function matchPatch(tags) {
+  if (tags && GAME_PATCHES.some(p => p.patch === tags.patch)) return tags.patch;
+  return patchForDate(tags?.date);
+}
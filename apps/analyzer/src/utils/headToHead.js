@@ -0,0 +1,191 @@
+/**
+ * Head-to-Head Matchups
+ *
+ * Character-vs-character and team-vs-team records built from the opposing sides of each
+ * characterRecord. Works in the same accumulate / merge / finalize steps as matchAggregation.js so
+ * the aggregation worker can cache the per-file partials.
+ *
+ * Cells are read row-vs-column: cells[a][b] is a's record against b, and cells[b][a] mirrors it.
+ * - Characters: every pair of opposing fighters that took the field meets once per match. The
+ *   match result counts for both; damage and KOs between the two come from the reconstructed
+ *   timeline (utils/matchTimeline.js): a fighter's damage is split across opponents by the time
+ *   spent facing each, so those figures are estimates.
+ * - Teams: one meeting per match between the two named teams, with the sides' total damage and KOs.
+ *   Teams are keyed by their canonical registry name, so aliases count as the same team.
+ */
+
+import { getTeams, parseBattleTime } from './matchAggregation.js';
+import { buildMatchTimeline } from './matchTimeline.js';
+import { teamRegistry } from './teamRegistry.js';
+
+export const HEAD_TO_HEAD_TYPES = ['characters', 'teams'];
+
+function findBattle(content) {
+  const tbr = content?.TeamBattleResults;
+  if (tbr) {
+    const result = tbr.battleResult || tbr.BattleResults || (tbr.characterRecord ? tbr : null);
+    return result ? { teams: tbr.teams, result } : null;
+  }
+  if (content?.BattleResults) return { teams: null, result: content.BattleResults };
+  return null;
+}
+
+const emptyCell = () => ({ matches: 0, wins: 0, losses: 0, damageDealt: 0, damageTaken: 0, kos: 0, knockedOutBy: 0, faced: 0, games: [] });
+
+function addGame(table, rowKey, colKey, game) {
+  if (!table[rowKey]) table[rowKey] = {};
+  const cell = table[rowKey][colKey] || (table[rowKey][colKey] = emptyCell());
+  cell.matches += 1;
+  if (game.won) cell.wins += 1;
+  else cell.losses += 1;
+  cell.damageDealt += game.damageDealt;
+  cell.damageTaken += game.damageTaken;
+  cell.kos += game.kos;
+  cell.knockedOutBy += game.knockedOutBy;
+  cell.faced += game.faced || 0;
+  cell.games.push(game);
+}
+
+function addEntity(entities, key, label, won) {
+  const entity = entities[key] || (entities[key] = { key, label, matches: 0, wins: 0 });
+  entity.matches += 1;
+  if (won) entity.wins += 1;
+}
+
+/**
+ * Per-file head-to-head partial.
+ * @param {Object} partial - Filled with { characters: { entities, cells }, teams: { entities, cells } }
+ * @param {Object} file - { name, content, error?, summary? }
+ * @param {Object} context - { charMap }
+ */
+export function accumulateHeadToHead(partial, file, { charMap = {} }) {
+  HEAD_TO_HEAD_TYPES.forEach(type => { partial[type] = { entities: {}, cells: {} }; });
+  if (!file || file.error || !file.content) return;
+
+  const battle = findBattle(file.content);
+  if (!battle || !battle.result.characterRecord) return;
+  const outcome = battle.result.battleWinLose;
+  if (outcome !== 'Win' && outcome !== 'Lose') return;
+  const p1Won = outcome === 'Win';
+
+  const { p1, p2 } = getTeams(battle.result.characterRecord);
+  const teamNames = Array.isArray(battle.teams) ? battle.teams.map(team => (typeof team === 'string' ? teamRegistry.canonicalName(team) : '')) : [];
+  const date = file.summary?.date || null;
+
+  // Characters: opposing fighters who both took the field
+  const timeline = buildMatchTimeline({ p1Team: p1, p2Team: p2, characterIdRecord: battle.result.characterIdRecord });
+  const fighters = [...timeline.teams.p1.fighters, ...timeline.teams.p2.fighters].filter(fighter => fighter.entered);
+  const kosBetween = (killer, victim) => timeline.kills.filter(kill => kill.killerKey === killer.key && kill.victimKey === victim.key).length;
+  const { characters, teams } = partial;
+
+  fighters.forEach(fighter => {
+    const id = fighter.originalCharacterId;
+    const won = fighter.side === 'p1' ? p1Won : !p1Won;
+    addEntity(characters.entities, id, charMap[id] || id, won);
+  });
+
+  fighters.forEach(fighter => {
+    const won = fighter.side === 'p1' ? p1Won : !p1Won;
+    const ownTeam = fighter.side === 'p1' ? teamNames[0] : teamNames[1];
+    const opposingTeam = fighter.side === 'p1' ? teamNames[1] : teamNames[0];
+    fighters.filter(opponent => opponent.side !== fighter.side).forEach(opponent => {
+      const overlap = fighter.opponents.find(o => o.key === opponent.key)?.overlap || 0;
+      addGame(characters.cells, fighter.originalCharacterId, opponent.originalCharacterId, {
+        name: file.name,
+        date,
+        won,
+        team: ownTeam || null,
+        opposingTeam: opposingTeam || null,
+        faced: overlap,
+        damageDealt: fighter.battleTime > 0 ? Math.round(fighter.damageDone * overlap / fighter.battleTime) : 0,
+        damageTaken: opponent.battleTime > 0 ? Math.round(opponent.damageDone * overlap / opponent.battleTime) : 0,
+        kos: kosBetween(fighter, opponent),
+        knockedOutBy: kosBetween(opponent, fighter)
+      });
+    });
+  });
+
+  // Teams: one meeting between two named teams
+  if (teamNames[0] && teamNames[1] && teamNames[0] !== teamNames[1]) {
+    const sideTotals = (team) => team.reduce((totals, char) => {
+      const count = char.battleCount || {};
+      totals.damageDealt += count.givenDamage || 0;
+      totals.damageTaken += count.takenDamage || 0;
+      totals.kos += count.killCount || 0;
+      totals.battleTime += parseBattleTime(count.battleTime);
+      return totals;
+    }, { damageDealt: 0, damageTaken: 0, kos: 0, battleTime: 0 });
+    const totals = [sideTotals(p1), sideTotals(p2)];
+    [0, 1].forEach(side => {
+      const won = side === 0 ? p1Won : !p1Won;
+      addEntity(teams.entities, teamNames[side], teamNames[side], won);
+      addGame(teams.cells, teamNames[side], teamNames[1 - side], {
+        name: file.name,
+        date,
+        won,
+        team: teamNames[side],
+        opposingTeam: teamNames[1 - side],
+        faced: totals[side].battleTime,
+        damageDealt: totals[side].damageDealt,
+        damageTaken: totals[side].damageTaken,
+        kos: totals[side].kos,
+        knockedOutBy: totals[1 - side].kos
+      });
+    });
+  }
+}
+
+/**
+ * Merge a per-file partial into running totals.
+ */
+export function mergeHeadToHead(target, partial) {
+  if (!partial) return;
+  HEAD_TO_HEAD_TYPES.forEach(type => {
+    if (!target[type]) target[type] = { entities: {}, cells: {} };
+    const into = target[type];
+    Object.values(partial[type].entities).forEach(entity => {
+      const existing = into.entities[entity.key] || (into.entities[entity.key] = { key: entity.key, label: entity.label, matches: 0, wins: 0 });
+      existing.matches += entity.matches;
+      existing.wins += entity.wins;
+    });
+    Object.entries(partial[type].cells).forEach(([rowKey, row]) => {
+      Object.entries(row).forEach(([colKey, cell]) => {
+        cell.games.forEach(game => addGame(into.cells, rowKey, colKey, game));
+      });
+    });
+  });
+}
+
+/**
+ * Finalize merged totals: entities sorted by matches played, cells with rates and averages.
+ * @returns {{characters: {entities: Array, cells: Object}, teams: {entities: Array, cells: Object}}}
+ *   cells[row][col] = { matches, wins, losses, winRate, damageDealt, damageTaken, avgDamageDealt,
+ *   avgDamageTaken, damageRatio, kos, knockedOutBy, faced, games }
+ */
+export function finalizeHeadToHead(stats) {
+  const result = {};
+  HEAD_TO_HEAD_TYPES.forEach(type => {
+    const { entities = {}, cells = {} } = stats[type] || {};
+    const finalCells = {};
+    Object.entries(cells).forEach(([rowKey, row]) => {
+      finalCells[rowKey] = {};
+      Object.entries(row).forEach(([colKey, cell]) => {
+        finalCells[rowKey][colKey] = {
+          ...cell,
+          winRate: Math.round((cell.wins / cell.matches) * 1000) / 10,
+          avgDamageDealt: Math.round(cell.damageDealt / cell.matches),
+          avgDamageTaken: Math.round(cell.damageTaken / cell.matches),
+          damageRatio: cell.damageTaken > 0 ? Math.round((cell.damageDealt / cell.damageTaken) * 100) / 100 : null,
+          games: cell.games.slice().sort((a, b) => (a.name || '').localeCompare(b.name || '', undefined, { numeric: true }))
+        };
+      });
+    });
+    result[type] = {
+      entities: Object.values(entities)
+        .map(entity => ({ ...entity, losses: entity.matches - entity.wins, winRate: Math.round((entity.wins / entity.matches) * 1000) / 10 }))
+        .sort((a, b) => b.matches - a.matches || a.label.localeCompare(b.label)),
+      cells: finalCells
+    };
+  });
+  return result;
+}
@@ -0,0 +1,2817 @@
+// Character, team and position aggregation over battle result files
+// Each aggregation runs in two steps so it can be cached per file: accumulate*() folds one file
+// into a partial result, merge*() combines partials in file order and finalize*() turns the
+// merged result into the data the views show. The get*() functions run all three over a file
+// list; the aggregation worker (src/workers/aggregationWorker.js) keeps the per-file partials.
+
+import { calculatePerFormStats } from './formStatsCalculator.js';
+import { countActions, addActionCounts } from './actionTaxonomy.js';
+import { winRateInterval, bootstrapInterval, mean, compareToBaseline, baselineMedian, sampleStatus } from './statistics.js';
+import { teamRegistry } from './teamRegistry.js';
+
+// Battle files name teams however they were typed at upload; the views key them by canonical name
+function canonicalTeams(teams) {
+  return Array.isArray(teams)
+    ? teams.map(name => (typeof name === 'string' && name.trim() !== '' ? teamRegistry.canonicalName(name) : name))
+    : teams;
+}
+
+// Calculate performance score for a single match character
+export function calculateMatchPerformanceScore(stats) {
+  const avgDamage = stats.damageDone || 0;
+  const avgTaken = stats.damageTaken || 1; // Avoid division by zero
+  const avgBattleTime = stats.battleTime || 1; // Avoid division by zero
+  const healthRetention = stats.hPGaugeValueMax > 0 ? stats.hPGaugeValue / stats.hPGaugeValueMax : 0;
+  
+  const damageEfficiency = avgTaken > 0 ? avgDamage / avgTaken : avgDamage / 1000;
+  const damagePerSecond = avgBattleTime > 0 ? avgDamage / avgBattleTime : 0;
+  
+  // Base performance score (normalized metrics) - matches aggregated calculation
+  const baseScore = (
+    (avgDamage / 100000) * 35 +        // Damage dealt weight: 35%
+    (damageEfficiency) * 25 +          // Damage efficiency weight: 25%
+    (damagePerSecond / 1000) * 25 +    // Damage per second weight: 25%
+    (healthRetention) * 15             // Health retention weight: 15%
+  );
+  
+  // No experience multiplier for single match (that's for aggregated only)
+  return baseScore; // Returns score in 0-300+ range naturally
+}
+
+// Aggregated performance score (before the experience multiplier) from per-match records
+// { damageDone, damageTaken, battleTime, hPGaugeValue, hPGaugeValueMax }: ratios use the totals, so
+// it can be recomputed on bootstrap resamples of a character's matches
+export function combatScoreBase(matches) {
+  let damage = 0, taken = 0, time = 0, health = 0, healthMax = 0;
+  matches.forEach(m => {
+    damage += m.damageDone || 0;
+    taken += m.damageTaken || 0;
+    time += m.battleTime || 0;
+    health += m.hPGaugeValue || 0;
+    healthMax += m.hPGaugeValueMax || 0;
+  });
+  const avgDamage = damage / Math.max(matches.length, 1);
+  const efficiency = taken > 0 ? damage / taken : 0;
+  const dps = time > 0 ? damage / time : 0;
+  const healthRetention = healthMax > 0 ? health / healthMax : 0;
+  return (avgDamage / 100000) * 35 + efficiency * 25 + (dps / 1000) * 25 + healthRetention * 15;
+}
+
+export function getTeams(characterRecord) {
+  const p1Keys = Object.keys(characterRecord).filter(k => k.includes('１Ｐ') || k.includes('AlliesTeamMember'));
+  const p2Keys = Object.keys(characterRecord).filter(k => k.includes('２Ｐ') || k.includes('EnemyTeamMember'));
+  return {
+    p1: p1Keys.map(k => ({ ...characterRecord[k], _key: k })),
+    p2: p2Keys.map(k => ({ ...characterRecord[k], _key: k }))
+  };
+}
+
+// battleFinishBlast values: the blast slot that landed the final KO. "None" means the match
+// was closed without a blast (melee, rush or ki blasts).
+export const FINISH_BLASTS = {
+  SPM1: { label: 'Super 1', category: 'Super' },
+  SPM2: { label: 'Super 2', category: 'Super' },
+  SPM3: { label: 'Super 3', category: 'Super' },
+  ULT: { label: 'Ultimate', category: 'Ultimate' },
+  EXA1: { label: 'EX Attack 1', category: 'EX Attack' },
+  EXA2: { label: 'EX Attack 2', category: 'EX Attack' },
+  None: { label: 'No Blast', category: 'No Blast' }
+};
+
+export function getFinishBlastInfo(blastKey) {
+  return FINISH_BLASTS[blastKey] || { label: blastKey, category: 'Other' };
+}
+
+/**
+ * Read the finisher of a match from its battle result.
+ * @param {Object} battleResult - battleResult / BattleResults object
+ * @returns {{characterId: string, blast: string}|null}
+ */
+export function getMatchFinish(battleResult) {
+  const characterId = battleResult?.battleFinishCharacterId?.key;
+  if (!characterId || characterId === 'None') return null;
+  return { characterId, blast: battleResult.battleFinishBlast?.key || 'None' };
+}
+
+/**
+ * characterRecord key of the character that landed the final KO.
+ * battleFinishCharacterId is the finisher's form at the end of the match; in mirror matches
+ * both sides can field it, so the winning side is checked first.
+ * @param {Object} characterRecord
+ * @param {{characterId: string}|null} finish - From getMatchFinish
+ * @param {string} [battleWinLose] - 'Win' when team 1 won, 'Lose' when team 2 won
+ * @returns {string|null}
+ */
+export function findFinisherKey(characterRecord, finish, battleWinLose) {
+  if (!characterRecord || !finish) return null;
+  const { p1, p2 } = getTeams(characterRecord);
+  const sides = battleWinLose === 'Lose' ? [p2, p1] : [p1, p2];
+  for (const side of sides) {
+    const finisher = side.find(char => char.battlePlayCharacter?.character?.key === finish.characterId);
+    if (finisher) return finisher._key;
+  }
+  return null;
+}
+
+export function extractStats(char, charMap, capsuleMap = {}, position = null, aiStrategiesMap = {}) {
+  const play = char.battlePlayCharacter || {};
+  const count = char.battleCount || {};
+  const numCount = count.battleNumCount || {};
+  const runBlastCount = count.runBlastCount || {};
+  const attackHitCount = count.attackHitCount || {};
+  const originalForm = char.battlePlayCharacter?.originalCharacter?.key;
+  const currentForm = play.character?.key;
+  const charId = originalForm || currentForm || '';
+  const name = charMap[charId] || charId || '-';
+  
+  // Form change history - only show if character actually changed forms
+  let formNames = '';
+  if (Array.isArray(char.formChangeHistory) && char.formChangeHistory.length > 0) {
+    const forms = [originalForm, ...char.formChangeHistory.map(f => f.key)].filter(Boolean);
+    formNames = forms.map(f => charMap[f] || f).join(', ');
+  }
+  
+  // Equipment analysis - filter to ONLY capsules (00_0_XXXX pattern)
+  const equipItems = play.equipItem || [];
+  const equippedCapsules = equipItems
+    .map(item => item.key)
+    .filter(key => key && key.startsWith('00_0_')) // Only include actual capsules
+    .filter(key => capsuleMap[key]) // Only include capsules in our reference data
+    .map(key => ({
+      id: key,
+      name: capsuleMap[key].name,
+      capsule: capsuleMap[key]
+    }));
+  
+  const totalCapsuleCost = equippedCapsules.reduce((sum, item) => sum + (item.capsule.cost || 0), 0);
+  
+  // Extract AI strategy from equipped items
+  let aiStrategy = null;
+  for (const item of equipItems) {
+    const strategy = aiStrategiesMap[item.key];
+    if (strategy) {
+      aiStrategy = strategy.name;
+      break; // Found the AI strategy, stop looking
+    }
+  }
+  // If no AI strategy found, use "Default"
+  if (!aiStrategy) {
+    aiStrategy = 'Default';
+  }
+  
+  // Categorize capsules by build type using metadata
+  const capsuleTypes = {
+    melee: 0,
+    blast: 0,
+    kiBlast: 0,
+    defense: 0,
+    skill: 0,
+    kiEfficiency: 0,
+    utility: 0
+  };
+
+  const capsuleCosts = {
+    melee: 0,
+    blast: 0,
+    kiBlast: 0,
+    defense: 0,
+    skill: 0,
+    kiEfficiency: 0,
+    utility: 0
+  };
+
+  equippedCapsules.forEach(item => {
+    const buildType = item.capsule.buildType?.toLowerCase() || 'unknown';
+    const cost = item.capsule.cost || 0;
+    
+    switch (buildType) {
+      case 'melee':
+        capsuleTypes.melee++;
+        capsuleCosts.melee += cost;
+        break;
+      case 'blast':
+        capsuleTypes.blast++;
+        capsuleCosts.blast += cost;
+        break;
+      case 'ki blast':  // Normalized format (spaces, not hyphens)
+        capsuleTypes.kiBlast++;
+        capsuleCosts.kiBlast += cost;
+        break;
+      case 'defense':
+        capsuleTypes.defense++;
+        capsuleCosts.defense += cost;
+        break;
+      case 'skill':
+        capsuleTypes.skill++;
+        capsuleCosts.skill += cost;
+        break;
+      case 'ki efficiency':  // Normalized format (spaces, not hyphens)
+        capsuleTypes.kiEfficiency++;
+        capsuleCosts.kiEfficiency += cost;
+        break;
+      case 'utility':
+        capsuleTypes.utility++;
+        capsuleCosts.utility += cost;
+        break;
+    }
+  });
+  
+  // Parse blast counts for detailed super blast tracking
+  let spm1Count = 0;
+  let spm2Count = 0;
+  let exa1Count = 0;
+  let exa2Count = 0;
+  
+  Object.entries(runBlastCount).forEach(([key, value]) => {
+    if (key.includes('SPM1')) spm1Count += value;
+    else if (key.includes('SPM2') || key.includes('SPM3')) spm2Count += value;
+    else if (key.includes('EXA1')) exa1Count += value;
+    else if (key.includes('EXA2')) exa2Count += value;
+  });
+  
+  // New blast tracking system - parse additionalCounts if available
+  const additionalCounts = char.additionalCounts || {};
+  const hasAdditionalCounts = char.additionalCounts !== undefined;
+  
+  // New blast tracking (preferred method with fallback to old method)
+  const s1Blast = additionalCounts.s1Blast ?? spm1Count;
+  const s2Blast = additionalCounts.s2Blast ?? spm2Count;
+  const ultBlast = additionalCounts.ultBlast ?? (numCount.uLTCount || 0);
+  // Hit blast values should remain undefined for legacy data (no fallback to 0)
+  const s1HitBlast = additionalCounts.s1HitBlast;
+  const s2HitBlast = additionalCounts.s2HitBlast;
+  const uLTHitBlast = additionalCounts.uLTHitBlast;
+  const tags = additionalCounts.tags ?? 0;
+  
+  // Calculate hit rates (percentage) - null if no blasts thrown
+  const s1HitRate = s1Blast > 0 ? (s1HitBlast / s1Blast) * 100 : null;
+  const s2HitRate = s2Blast > 0 ? (s2HitBlast / s2Blast) * 100 : null;
+  const ultHitRate = ultBlast > 0 ? (uLTHitBlast / ultBlast) * 100 : null;
+  
+  // Parse attack hit counts for combat performance metrics
+  let speedImpactCount = 0;
+  let speedImpactWins = 0;
+  
+  Object.entries(attackHitCount).forEach(([key, value]) => {
+    // Speed Impact triggers - these indicate speed impact usage
+    if (key.includes('actSPIMPO') || key.includes('actRI')) {
+      speedImpactCount += value;
+    }
+  });
+  
+  // Speed impact wins are tracked in battleNumCount.speedImpactWinCount
+  
+  return {
+    name,
+    damageDone: count.givenDamage || 0,
+    damageTaken: count.takenDamage || 0,
+    battleTime: parseBattleTime(count.battleTime) || 0,
+    hPGaugeValue: play.hPGaugeValue || 0,
+    hPGaugeValueMax: play.hPGaugeValueMax || 40000,
+    specialMovesUsed: numCount.sPMCount || 0,
+    ultimatesUsed: numCount.uLTCount || 0,
+    skillsUsed: numCount.eXACount || 0,
+    kills: count.killCount || 0,
+    formChangeHistory: formNames,
+    // Survival & Health metrics
+    sparkingCount: numCount.sparkingCount || 0,
+    chargeCount: numCount.chargeCount || 0,
+    guardCount: numCount.guardCount || 0,
+    shotEnergyBulletCount: numCount.shotEnergyBulletCount || 0,
+    zCounterCount: numCount.zCounter || 0,
+    superCounterCount: numCount.superCounterCount || 0,
+    revengeCounterCount: numCount.revengeCounter || 0,
+    tags, // New: Character swap tracking
+    formChangeCount: Array.isArray(char.formChangeHistory) ? char.formChangeHistory.length : 0, // Number of transformations
+    // Special Abilities - detailed blast tracking (NEW SYSTEM)
+    hasAdditionalCounts, // Flag to determine if new format with additionalCounts
+    s1Blast,        // Super 1 thrown
+    s2Blast,        // Super 2 thrown
+    ultBlast,       // Ultimate thrown
+    s1HitBlast,     // Super 1 hit
+    s2HitBlast,     // Super 2 hit
+    uLTHitBlast,    // Ultimate hit
+    s1HitRate,      // Super 1 hit rate %
+    s2HitRate,      // Super 2 hit rate %
+    ultHitRate,     // Ultimate hit rate %
+    // Legacy blast tracking (kept for backwards compatibility)
+    spm1Count: s1Blast,
+    spm2Count: s2Blast,
+    exa1Count,
+    exa2Count,
+    dragonDashMileage: parseFloat((count.dragonDashMileage || 0).toFixed(0)),
+    // Combat Performance metrics
+    maxComboNum: count.maxComboNum || 0,
+    maxComboDamage: count.maxComboDamage || 0,
+    throwCount: numCount.throwCount || 0,
+    lightningAttackCount: numCount.lightningAttack || 0,
+    vanishingAttackCount: numCount.vanishingAttack || 0,
+    dragonHomingCount: numCount.dragonHoming || 0,
+    speedImpactCount: numCount.speedImpactCount || speedImpactCount,
+    speedImpactWins: numCount.speedImpactWinCount || 0,
+    sparkingComboCount: numCount.sparkingCount > 0 ? count.maxComboNum || 0 : 0,
+    // Move-level breakdown (referencedata/actions.json)
+    actionCounts: countActions(char),
+    // Position tracking
+    position: position,
+    // Equipment data
+    equippedCapsules,
+    totalCapsuleCost,
+    capsuleTypes,
+    capsuleCosts,
+    buildComposition: getBuildComposition(capsuleCosts), // New 7-category system
+    aiStrategy
+  };
+}
+
+// Helper function to parse battle time format "+00000000.00:02:54.470000000" to seconds
+export function parseBattleTime(timeString) {
+  if (!timeString || typeof timeString !== 'string') return 0;
+  
+  // Format: "+00000000.00:02:54.470000000"
+  // Extract the time part after the first colon
+  const timeMatch = timeString.match(/(\d{2}):(\d{2}):(\d{2})\.(\d+)/);
+  if (!timeMatch) return 0;
+  
+  const hours = parseInt(timeMatch[1], 10);
+  const minutes = parseInt(timeMatch[2], 10);
+  const seconds = parseInt(timeMatch[3], 10);
+  const milliseconds = parseInt(timeMatch[4].substring(0, 3), 10); // Take first 3 digits for milliseconds
+  
+  return hours * 3600 + minutes * 60 + seconds + milliseconds / 1000;
+}
+
+/**
+ * Determine build composition based on capsule cost distribution
+ * Uses new 7-category build type system with cost-based thresholds
+ * 
+ * @param {Object} capsuleCosts - Cost totals for each build type
+ * @returns {Object} Build composition with primary, label, type, and breakdown
+ */
+export function getBuildComposition(capsuleCosts) {
+  const types = [
+    { name: 'Melee', cost: capsuleCosts.melee },
+    { name: 'Blast', cost: capsuleCosts.blast },
+    { name: 'Ki Blast', cost: capsuleCosts.kiBlast },
+    { name: 'Defense', cost: capsuleCosts.defense },
+    { name: 'Skill', cost: capsuleCosts.skill },
+    { name: 'Ki Efficiency', cost: capsuleCosts.kiEfficiency },
+    { name: 'Utility', cost: capsuleCosts.utility }
+  ];
+  
+  const totalCost = types.reduce((sum, t) => sum + t.cost, 0);
+  
+  if (totalCost === 0) {
+    return { 
+      primary: 'No Build', 
+      label: 'No Build', 
+      type: 'none',
+      breakdown: types.map(t => ({ ...t, percent: 0 }))
+    };
+  }
+  
+  // Sort by cost (highest first)
+  types.sort((a, b) => b.cost - a.cost);
+  
+  const primary = types[0];
+  const secondary = types[1];
+  
+  const primaryPercent = (primary.cost / totalCost) * 100;
+  const secondaryPercent = (secondary.cost / totalCost) * 100;
+  const percentDiff = primaryPercent - secondaryPercent;
+  
+  // Add percentages to breakdown
+  const breakdown = types.map(t => ({
+    ...t,
+    percent: (t.cost / totalCost) * 100
+  }));
+  
+  // Pure build: 75%+ in one type (15/20 cost)
+  if (primaryPercent >= 75) {
+    return { 
+      primary: primary.name, 
+      label: `Pure ${primary.name}`, 
+      type: 'pure',
+      breakdown
+    };
+  }
+  
+  // Focused build: 45%+ in one type (9/20 cost)
+  if (primaryPercent >= 45) {
+    return { 
+      primary: primary.name, 
+      label: `${primary.name}-Focused`, 
+      type: 'focused',
+      breakdown
+    };
+  }
+  
+  // Dual build: Top 2 types close (within 20%) and together ≥65%
+  if (percentDiff <= 20 && (primaryPercent + secondaryPercent) >= 65) {
+    return { 
+      primary: primary.name, 
+      secondary: secondary.name,
+      label: `${primary.name}/${secondary.name}`, 
+      type: 'dual',
+      breakdown
+    };
+  }
+  
+  // Balanced hybrid: No clear dominance
+  return { 
+    primary: 'Hybrid', 
+    label: 'Balanced Hybrid', 
+    type: 'balanced',
+    breakdown
+  };
+}
+
+
+// Copy of a partial's containers (objects, arrays, Sets) so merging into it never touches the
+// cached partial; array items are per-match records, which are never modified, and are shared
+function copyContainers(value) {
+  if (value instanceof Set) return new Set(value);
+  if (Array.isArray(value)) return value.slice();
+  if (value && typeof value === 'object') {
+    const copy = {};
+    Object.keys(value).forEach(key => { copy[key] = copyContainers(value[key]); });
+    return copy;
+  }
+  return value;
+}
+
+/**
+ * Fold one file's partial accumulator into a running total. Numbers add, arrays concatenate,
+ * Sets union and objects merge key by key, so merging partials in file order gives the same
+ * totals as accumulating the files one after another (up to floating point rounding). Keys in
+ * `firstSeen` hold values set when an entry is created, so the existing value is kept; keys in
+ * `firstSeenEntries` hold maps whose entries are set that way.
+ * @param {Object} target - Running total; mutated
+ * @param {Object} source - Partial accumulator of one file; not modified
+ * @param {{firstSeen?: string[], firstSeenEntries?: string[]}} [rules]
+ * @returns {Object} target
+ */
+export function mergeAccumulator(target, source, rules = {}) {
+  const firstSeen = new Set(rules.firstSeen || []);
+  const firstSeenEntries = new Set(rules.firstSeenEntries || []);
+  function merge(into, from) {
+    Object.keys(from).forEach(key => {
+      const value = from[key];
+      const current = into[key];
+      if (current === undefined) {
+        into[key] = copyContainers(value);
+      } else if (firstSeen.has(key)) {
+        // keep the existing value
+      } else if (firstSeenEntries.has(key)) {
+        Object.keys(value).forEach(entryKey => {
+          if (current[entryKey] === undefined) current[entryKey] = copyContainers(value[entryKey]);
+        });
+      } else if (typeof value === 'number') {
+        into[key] = current + value;
+      } else if (Array.isArray(value)) {
+        value.forEach(item => current.push(item));
+      } else if (value instanceof Set) {
+        value.forEach(item => current.add(item));
+      } else if (value && typeof value === 'object') {
+        merge(current, value);
+      }
+    });
+  }
+  merge(target, source);
+  return target;
+}
+
+const POSITION_MATCH_TYPES = ['2v2', '3v3', '4v4', '5v5'];
+
+export function createPositionStats() {
+  return {
+    1: { totalMatches: 0, uniqueMatches: new Set(), characters: {} }, // Position 1 (Lead)
+    2: { totalMatches: 0, uniqueMatches: new Set(), characters: {} }, // Position 2 (Middle)
+    3: { totalMatches: 0, uniqueMatches: new Set(), characters: {} }  // Position 3 (Anchor)
+  };
+}
+
+/**
+ * Fold one battle result file into a position accumulator (see getPositionBasedData).
+ * @param {Object} positionsByMatchType - Accumulator, position stats keyed by match type ("3v3"); mutated
+ * @param {{name: string, content: Object, error?: string}} file
+ * @param {number|string} fileIndex - Unique per file, used to count distinct matches
+ * @param {Object} context - { charMap, capsuleMap }
+ */
+export function accumulatePositionData(positionsByMatchType, file, fileIndex, { charMap, capsuleMap = {} }) {
+  // Helper function to process a characterRecord
+  function processCharacterRecord(characterRecord, fileIndex = 0, recordIndex = 0) {
+    if (!characterRecord) return;
+    
+    // Create a unique match ID based on file and record indices
+    const matchId = `${fileIndex}-${recordIndex}`;
+    
+    // Process each team separately to determine team size
+    const alliesKeys = Object.keys(characterRecord).filter(k => k.includes('AlliesTeamMember'));
+    const enemyKeys = Object.keys(characterRecord).filter(k => k.includes('EnemyTeamMember'));
+    const allies1PKey = Object.keys(characterRecord).find(k => k.includes('１Ｐ'));
+    const enemy2PKey = Object.keys(characterRecord).find(k => k.includes('２Ｐ'));
+    
+    // True team size = lead (1P) + AlliesTeamMember slots
+    const alliesTeamSize = alliesKeys.length + (allies1PKey ? 1 : 0);
+    const matchType = `${alliesTeamSize}v${alliesTeamSize}`;
+    // Kept per match type so the match type filter can be applied when partials are merged
+    if (!positionsByMatchType[matchType]) positionsByMatchType[matchType] = createPositionStats();
+    const positionStats = positionsByMatchType[matchType];
+    
+    // Helper to accumulate stats into a position
+    function accumulateCharStats(char, position) {
+      const stats = extractStats(char, charMap, capsuleMap, position);
+      if (!stats.name || stats.name === '-') return;
+      
+      const characterName = stats.name;
+      positionStats[position].totalMatches++;
+      positionStats[position].uniqueMatches.add(matchId);
+      
+      if (!positionStats[position].characters[characterName]) {
+        positionStats[position].characters[characterName] = {
+          name: characterName,
+          matchCount: 0,
+          activeMatchCount: 0,
+          survivalCount: 0,
+          totalDamage: 0,
+          totalTaken: 0,
+          totalHealth: 0,
+          totalHPGaugeValueMax: 0,
+          totalBattleTime: 0,
+          totalSpecialMoves: 0,
+          totalUltimates: 0,
+          totalSkills: 0,
+          totalSparking: 0,
+          totalCharges: 0,
+          totalGuards: 0,
+          totalEnergyBlasts: 0,
+          totalComboNum: 0,
+          totalComboDamage: 0
+        };
+      }
+      
+      const charData = positionStats[position].characters[characterName];
+      charData.matchCount++;
+      if (stats.battleTime && stats.battleTime > 0) {
+        charData.activeMatchCount += 1;
+        charData.totalBattleTime += stats.battleTime;
+      }
+      if (stats.hPGaugeValue > 0) charData.survivalCount++;
+      charData.totalDamage += stats.damageDone;
+      charData.totalTaken += stats.damageTaken;
+      charData.totalHealth += stats.hPGaugeValue;
+      charData.totalHPGaugeValueMax += stats.hPGaugeValueMax;
+      charData.totalSpecialMoves += stats.specialMovesUsed;
+      charData.totalUltimates += stats.ultimatesUsed;
+      charData.totalSkills += stats.skillsUsed;
+      charData.totalSparking += stats.sparkingCount;
+      charData.totalCharges += stats.chargeCount;
+      charData.totalGuards += stats.guardCount;
+      charData.totalEnergyBlasts += stats.shotEnergyBulletCount;
+      charData.totalComboNum += stats.maxComboNum;
+      charData.totalComboDamage += stats.maxComboDamage;
+    }
+    
+    // Process allies lead (1P key) as Position 1 (Lead)
+    if (allies1PKey && characterRecord[allies1PKey]) {
+      accumulateCharStats(characterRecord[allies1PKey], 1);
+    }
+    
+    // Process allies team members: last AlliesTeamMember = Anchor (3), rest = Middle (2)
+    alliesKeys.forEach(key => {
+      const char = characterRecord[key];
+      if (!char) return;
+      const slotMatch = key.match(/Member(\d+)/);
+      const slotNumber = slotMatch ? parseInt(slotMatch[1]) : null;
+      if (!slotNumber) return;
+      
+      // Last AlliesTeamMember slot is the Anchor; all others are Middle
+      const position = slotNumber === alliesKeys.length ? 3 : 2;
+      accumulateCharStats(char, position);
+    });
+    
+    // Process enemy lead (2P key) as Position 1 (Lead)
+    if (enemy2PKey && characterRecord[enemy2PKey]) {
+      accumulateCharStats(characterRecord[enemy2PKey], 1);
+    }
+    
+    // Process enemy team members: last EnemyTeamMember = Anchor (3), rest = Middle (2)
+    enemyKeys.forEach(key => {
+      const char = characterRecord[key];
+      if (!char) return;
+      const slotMatch = key.match(/Member(\d+)/);
+      const slotNumber = slotMatch ? parseInt(slotMatch[1]) : null;
+      if (!slotNumber) return;
+      
+      const position = slotNumber === enemyKeys.length ? 3 : 2;
+      accumulateCharStats(char, position);
+    });
+  }
+  
+  if (file.error) return;
+  
+  const fileContent = file.content;
+  let characterRecord;
+  let recordIndex = 0;
+  
+  // Handle TeamBattleResults format (current BR_Data structure)
+  if (fileContent.TeamBattleResults) {
+    // Check for battleResult (lowercase r)
+    if (fileContent.TeamBattleResults.battleResult) {
+      characterRecord = fileContent.TeamBattleResults.battleResult.characterRecord;
+    }
+    // Check for BattleResults (capital R) - Cinema files format
+    else if (fileContent.TeamBattleResults.BattleResults) {
+      characterRecord = fileContent.TeamBattleResults.BattleResults.characterRecord;
+    }
+    // Check if data is directly in TeamBattleResults (new wrapper format)
+    else if (fileContent.TeamBattleResults.characterRecord) {
+      characterRecord = fileContent.TeamBattleResults.characterRecord;
+    }
+  }
+  // Handle new format with teams array at the top
+  else if (fileContent.teams && Array.isArray(fileContent.teams)) {
+    // Process all teams in the array
+    fileContent.teams.forEach((team, teamIndex) => {
+      let teamCharRecord;
+      
+      if (team.BattleResults) {
+        teamCharRecord = team.BattleResults.characterRecord;
+      } else if (team.characterRecord) {
+        teamCharRecord = team.characterRecord;
+      }
+      
+      if (teamCharRecord) {
+        processCharacterRecord(teamCharRecord, fileIndex, teamIndex);
+      }
+    });
+    return; // Already processed all teams
+  }
+  // Handle standard format with BattleResults at root
+  else if (fileContent.BattleResults) {
+    characterRecord = fileContent.BattleResults.characterRecord;
+  } 
+  // Handle legacy format with direct properties
+  else {
+    characterRecord = fileContent.characterRecord;
+  }
+  
+  processCharacterRecord(characterRecord, fileIndex, recordIndex);
+}
+
+/**
+ * Merge one file's position partial into a running total, keeping only the given match types.
+ * @param {Object} positionStats - Running total from createPositionStats(); mutated
+ * @param {Object} positionsByMatchType - Partial from accumulatePositionData()
+ * @param {string[]} positionMatchTypeFilters - Match types to include
+ * @returns {Object} positionStats
+ */
+export function mergePositionData(positionStats, positionsByMatchType, positionMatchTypeFilters = POSITION_MATCH_TYPES) {
+  Object.entries(positionsByMatchType).forEach(([matchType, partial]) => {
+    if (positionMatchTypeFilters.includes(matchType)) mergeAccumulator(positionStats, partial);
+  });
+  return positionStats;
+}
+
+/**
+ * Averages and per-position character rankings from merged position stats.
+ * @param {Object} positionStats - Merged total; consumed
+ * @returns {Object} Position data keyed 1 (Lead), 2 (Middle), 3 (Anchor)
+ */
+export function finalizePositionData(positionStats) {
+  // Calculate averages and format data
+  Object.keys(positionStats).forEach(position => {
+    const posData = positionStats[position];
+    
+    // Convert uniqueMatches Set to count and clean up
+    posData.uniqueMatchCount = posData.uniqueMatches.size;
+    delete posData.uniqueMatches; // Clean up Set object
+    
+    posData.sortedCharacters = Object.values(posData.characters)
+      .filter(char => {
+        // Only include characters that actually participated in battles
+        // Filter out characters with 0 battle time and 0 active matches
+        return (char.activeMatchCount && char.activeMatchCount > 0) || char.totalBattleTime > 0;
+      })
+      .map(char => {
+        // Use activeMatchCount if available (exclude zero battleTime matches), fallback to matchCount
+        const denom = (char.activeMatchCount && char.activeMatchCount > 0) ? char.activeMatchCount : char.matchCount || 1;
+        
+        // Calculate averages
+        const avgDamage = char.totalDamage / denom;
+        const avgTaken = char.totalTaken / denom;
+        const avgHealth = char.totalHealth / denom;
+        const avgBattleTime = char.totalBattleTime / denom;
+        const avgDPS = char.totalBattleTime > 0 ? char.totalDamage / char.totalBattleTime : 0;
+        const damageEfficiency = char.totalTaken > 0 ? (char.totalDamage / char.totalTaken) : char.totalDamage;
+        const avgHPGaugeValueMax = char.totalHPGaugeValueMax / denom;
+        
+        // Calculate performance score
+        const healthRetention = avgHPGaugeValueMax > 0 ? avgHealth / avgHPGaugeValueMax : 0;
+        const baseScore = (
+          (avgDamage / 100000) * 35 +
+          (damageEfficiency) * 25 +
+          (avgDPS / 1000) * 25 +
+          (healthRetention) * 15
+        );
+        const experienceMatches = char.activeMatchCount || char.matchCount || 1;
+        const experienceMultiplier = Math.min(1.25, 1.0 + (experienceMatches - 1) * (0.25 / 11));
+        const combatPerformanceScore = Math.round(baseScore * experienceMultiplier * 100) / 100;
+        
+        // Calculate survival rate (percentage of matches survived)
+        const survivalRate = char.matchCount > 0 ? (char.survivalCount / char.matchCount) : 0;
+        
+        return ({
+          ...char,
+          avgDamage,
+          avgTaken,
+          avgHealth,
+          avgBattleTime,
+          avgDPS,
+          avgSpecialMoves: char.totalSpecialMoves / denom,
+          avgUltimates: char.totalUltimates / denom,
+          avgSkills: char.totalSkills / denom,
+          avgSparking: char.totalSparking / denom,
+          avgCharges: char.totalCharges / denom,
+          avgGuards: char.totalGuards / denom,
+          avgEnergyBlasts: char.totalEnergyBlasts / denom,
+          avgComboNum: char.totalComboNum / denom,
+          avgComboDamage: char.totalComboDamage / denom,
+          damageEfficiency,
+          healthRetention,
+          survivalRate,
+          combatPerformanceScore
+        });
+      })
+      .sort((a, b) => b.combatPerformanceScore - a.combatPerformanceScore);
+  });
+  
+  return positionStats;
+}
+
+export function getPositionBasedData(files, charMap, capsuleMap = {}, positionMatchTypeFilters = POSITION_MATCH_TYPES) {
+  const context = { charMap, capsuleMap };
+  const positionStats = createPositionStats();
+  files.forEach((file, fileIndex) => {
+    const partial = {};
+    accumulatePositionData(partial, file, fileIndex, context);
+    mergePositionData(positionStats, partial, positionMatchTypeFilters);
+  });
+  return finalizePositionData(positionStats);
+}
+
+// Values set once when a per-form entry is created
+const CHARACTER_MERGE_RULES = { firstSeen: ['formNumber'] };
+
+/**
+ * Fold one battle result file into a character accumulator (see getAggregatedCharacterData).
+ * @param {Object} characterStats - Accumulator keyed by character name; mutated
+ * @param {{name: string, content: Object, error?: string}} file
+ * @param {Object} context - { charMap, capsuleMap, aiStrategiesMap, mapsMap }
+ */
+export function accumulateCharacterData(characterStats, file, { charMap, capsuleMap = {}, aiStrategiesMap = {}, mapsMap = {} }) {
+  // Helper function to process a characterRecord (extracted to avoid duplication)
+  function processCharacterRecord(characterRecord, characterIdRecord, teams = null, fileName = '', battleWinLose = null, mapId = null, finish = null) {
+    teams = canonicalTeams(teams);
+    const finisherKey = findFinisherKey(characterRecord, finish, battleWinLose);
+
+    // Pre-compute slot counts to determine Anchor position
+    const alliesSlotKeys = Object.keys(characterRecord).filter(k => k.includes('AlliesTeamMember'));
+    const enemySlotKeys = Object.keys(characterRecord).filter(k => k.includes('EnemyTeamMember'));
+    const totalAlliesSlots = alliesSlotKeys.length;
+    const totalEnemySlots = enemySlotKeys.length;
+
+    function getPositionFromKey(k) {
+      if (k.includes('１Ｐ')) return 1; // Starter
+      if (k.includes('２Ｐ')) return 1; // Starter (enemy)
+      if (k.includes('AlliesTeamMember') || k.includes('EnemyTeamMember')) {
+        const slotMatch = k.match(/Member(\d+)/);
+        const slotNumber = slotMatch ? parseInt(slotMatch[1]) : null;
+        if (slotNumber) {
+          const totalSlots = k.includes('AlliesTeamMember') ? totalAlliesSlots : totalEnemySlots;
+          return slotNumber === totalSlots ? 3 : 2; // Last = Anchor, others = Middle
+        }
+      }
+      return null;
+    }
+
+    Object.keys(characterRecord).forEach(key => {
+      const char = characterRecord[key];
+      const stats = extractStats(char, charMap, capsuleMap, null); // No position for aggregated data
+      const charPosition = getPositionFromKey(key);
+      if (!stats.name || stats.name === '-') return;
+      
+      // Determine team association
+      let teamName = null;
+      let opponentTeam = null;
+      let isTeam1 = false;
+      if (teams && Array.isArray(teams) && teams.length >= 2) {
+        if (key.includes('AlliesTeamMember') || key.includes('１Ｐ')) {
+          teamName = teams[0];
+          opponentTeam = teams[1];
+          isTeam1 = true;
+        } else if (key.includes('EnemyTeamMember') || key.includes('２Ｐ')) {
+          teamName = teams[1];
+          opponentTeam = teams[0];
+          isTeam1 = false;
+        }
+      }
+      
+      // Extract AI strategy from equipped items (look for AI type capsules)
+      let aiStrategy = null;
+      const equipItems = char.battlePlayCharacter?.equipItem || [];
+      for (const item of equipItems) {
+        const strategy = aiStrategiesMap[item.key];
+        if (strategy) {
+          aiStrategy = strategy.name;
+          break; // Found the AI strategy, stop looking
+        }
+      }
+      // If no AI strategy found, use "Default"
+      if (!aiStrategy) {
+        aiStrategy = 'Default';
+      }
+      // If no AI strategy found, use "Default"
+      if (!aiStrategy) {
+        aiStrategy = 'Default';
+      }
+      
+      // Use original form name as the key for aggregation
+      const originalForm = char.battlePlayCharacter?.originalCharacter?.key;
+      const aggregationKey = originalForm ? (charMap[originalForm] || originalForm) : stats.name;
+      
+      if (!characterStats[aggregationKey]) {
+        characterStats[aggregationKey] = {
+          name: aggregationKey,
+          totalDamage: 0,
+          totalTaken: 0,
+          totalHealth: 0,
+          totalBattleTime: 0,
+          totalHPGaugeValueMax: 0,
+          totalSpecial: 0,
+          totalUltimates: 0,
+          totalSkills: 0,
+          totalKills: 0,
+          // Survival & Health metrics
+          survivalCount: 0,
+          totalSparking: 0,
+          totalCharges: 0,
+          totalGuards: 0,
+          totalEnergyBlasts: 0,
+          totalZCounters: 0,
+          totalSuperCounters: 0,
+          totalRevengeCounters: 0,
+          totalTags: 0, // New: Character swaps
+          totalTransformations: 0, // New: Character transformations
+          // Special Abilities - NEW blast tracking system
+          totalS1Blast: 0,
+          totalS2Blast: 0,
+          totalUltBlast: 0,
+          totalS1HitBlast: 0,
+          totalS2HitBlast: 0,
+          totalULTHitBlast: 0,
+          // Trackable blasts (only from matches with additionalCounts)
+          totalS1BlastTrackable: 0,
+          totalS2BlastTrackable: 0,
+          totalUltBlastTrackable: 0,
+          // Special Abilities - Legacy blast tracking (kept for backwards compatibility)
+          totalSPM1: 0,
+          totalSPM2: 0,
+          totalEXA1: 0,
+          totalEXA2: 0,
+          totalDragonDashMileage: 0,
+          // Combat Performance metrics
+          maxComboNumTotal: 0,
+          maxComboDamageTotal: 0,
+          totalThrows: 0,
+          totalLightningAttacks: 0,
+          totalVanishingAttacks: 0,
+          totalDragonHoming: 0,
+          totalSpeedImpacts: 0,
+          totalSpeedImpactWins: 0,
+          totalSparkingCombo: 0,
+          // Finishers: matches this character landed the final KO in, by blast slot
+          totalFinishes: 0,
+          finishBlasts: {},
+          // Move-level action counts, overall and per AI strategy
+          actionCounts: { actions: {}, blastGroups: {} },
+          actionCountsByAI: {},
+          matchCount: 0,
+          // activeMatchCount excludes matches with zero battleTime
+          activeMatchCount: 0,
+          // Build & Equipment tracking
+          totalCapsuleCost: 0,
+          // Track build-type costs for averaging
+          totalMeleeCost: 0,
+          totalBlastCost: 0,
+          totalKiBlastCost: 0,
+          totalDefenseCost: 0,
+          totalSkillCost: 0,
+          totalKiEfficiencyCost: 0,
+          totalUtilityCost: 0,
+          buildCompositions: {}, // Track build compositions with counts (new 7-category system)
+          capsuleUsage: {}, // Track individual capsules used
+          allFormsUsed: new Set(), // Track all forms used across matches
+          formStats: {}, // Track per-form aggregated stats
+          matches: [], // Track individual match data for meta analysis
+          teamsUsed: {}, // Track which teams this character played on with counts
+          aiStrategiesUsed: {}, // Track AI strategies used with counts
+          mapsUsed: {} // Track which maps this character fought on with counts
+        };
+      }
+      
+      const charData = characterStats[aggregationKey];
+      
+      // Track team and AI strategy with frequency
+      if (teamName) {
+        charData.teamsUsed[teamName] = (charData.teamsUsed[teamName] || 0) + 1;
+      }
+      if (aiStrategy) {
+        charData.aiStrategiesUsed[aiStrategy] = (charData.aiStrategiesUsed[aiStrategy] || 0) + 1;
+      }
+      // Track which maps this character fought on
+      if (mapId) {
+        const mapName = mapsMap[mapId] || mapId; // Use friendly name or fall back to ID
+        charData.mapsUsed[mapName] = (charData.mapsUsed[mapName] || 0) + 1;
+      }
+      
+      charData.matchCount += 1;
+      
+      // Only accumulate stats for active matches (battleTime > 0)
+      if (stats.battleTime && stats.battleTime > 0) {
+        charData.activeMatchCount += 1;
+        charData.totalDamage += stats.damageDone;
+        charData.totalTaken += stats.damageTaken;
+        charData.totalHealth += stats.hPGaugeValue;
+        charData.totalBattleTime += stats.battleTime;
+        charData.totalHPGaugeValueMax += stats.hPGaugeValueMax;
+      }
+      
+      charData.totalSpecial += stats.specialMovesUsed;
+      charData.totalUltimates += stats.ultimatesUsed;
+      charData.totalSkills += stats.skillsUsed;
+      charData.totalKills += stats.kills;
+      // Survival & Health metrics
+      // Only count as survived if character had health AND actually participated (battleTime > 0)
+      if (stats.hPGaugeValue > 0 && stats.battleTime > 0) {
+        charData.survivalCount += 1;
+      }
+      charData.totalSparking += stats.sparkingCount;
+      charData.totalCharges += stats.chargeCount;
+      charData.totalGuards += stats.guardCount;
+      charData.totalEnergyBlasts += stats.shotEnergyBulletCount;
+      charData.totalZCounters += stats.zCounterCount;
+      charData.totalSuperCounters += stats.superCounterCount;
+      charData.totalRevengeCounters += stats.revengeCounterCount;
+      charData.totalTags += stats.tags;
+      charData.totalTransformations += stats.formChangeCount || 0;
+      // Special Abilities - NEW blast tracking system
+      charData.totalS1Blast += stats.s1Blast;
+      charData.totalS2Blast += stats.s2Blast;
+      charData.totalUltBlast += stats.ultBlast;
+      charData.totalS1HitBlast += stats.s1HitBlast;
+      charData.totalS2HitBlast += stats.s2HitBlast;
+      charData.totalULTHitBlast += stats.uLTHitBlast;
+      // Track separately for hit rate calculation (only from new format matches)
+      if (stats.hasAdditionalCounts) {
+        charData.totalS1BlastTrackable += stats.s1Blast;
+        charData.totalS2BlastTrackable += stats.s2Blast;
+        charData.totalUltBlastTrackable += stats.ultBlast;
+      }
+      
+      // Special Abilities - Legacy blast tracking (also updated to new values)
+      charData.totalSPM1 += stats.s1Blast;
+      charData.totalSPM2 += stats.s2Blast;
+      charData.totalEXA1 += stats.exa1Count;
+      charData.totalEXA2 += stats.exa2Count;
+      charData.totalDragonDashMileage += stats.dragonDashMileage;
+      // Combat Performance metrics
+      charData.maxComboNumTotal += stats.maxComboNum;
+      charData.maxComboDamageTotal += stats.maxComboDamage;
+      charData.totalThrows += stats.throwCount;
+      charData.totalLightningAttacks += stats.lightningAttackCount;
+      charData.totalVanishingAttacks += stats.vanishingAttackCount;
+      charData.totalDragonHoming += stats.dragonHomingCount;
+      charData.totalSpeedImpacts += stats.speedImpactCount;
+      charData.totalSpeedImpactWins += stats.speedImpactWins;
+      charData.totalSparkingCombo += stats.sparkingComboCount;
+      
+      addActionCounts(charData.actionCounts, stats.actionCounts);
+      if (!charData.actionCountsByAI[aiStrategy]) charData.actionCountsByAI[aiStrategy] = { actions: {}, blastGroups: {} };
+      addActionCounts(charData.actionCountsByAI[aiStrategy], stats.actionCounts);
+      
+      const finishedMatch = key === finisherKey;
+      if (finishedMatch) {
+        charData.totalFinishes += 1;
+        charData.finishBlasts[finish.blast] = (charData.finishBlasts[finish.blast] || 0) + 1;
+      }
+      
+      // Build & Equipment tracking
+      charData.totalCapsuleCost += stats.totalCapsuleCost || 0;
+      
+      // Track build composition usage (new 7-category system)
+      if (stats.buildComposition && stats.buildComposition.label) {
+        const label = stats.buildComposition.label;
+        charData.buildCompositions[label] = (charData.buildCompositions[label] || 0) + 1;
+      }
+      
+      // Accumulate build-type costs from breakdown
+      if (stats.buildComposition && stats.buildComposition.breakdown) {
+        stats.buildComposition.breakdown.forEach(item => {
+          switch(item.name) {
+            case 'Melee': charData.totalMeleeCost += item.cost || 0; break;
+            case 'Blast': charData.totalBlastCost += item.cost || 0; break;
+            case 'Ki Blast': charData.totalKiBlastCost += item.cost || 0; break;
+            case 'Defense': charData.totalDefenseCost += item.cost || 0; break;
+            case 'Skill': charData.totalSkillCost += item.cost || 0; break;
+            case 'Ki Efficiency': charData.totalKiEfficiencyCost += item.cost || 0; break;
+            case 'Utility': charData.totalUtilityCost += item.cost || 0; break;
+          }
+        });
+      }
+      
+      // Track individual capsules used
+      if (stats.equippedCapsules && Array.isArray(stats.equippedCapsules)) {
+        stats.equippedCapsules.forEach(capsule => {
+          if (capsule.id) {
+            if (!charData.capsuleUsage[capsule.id]) {
+              charData.capsuleUsage[capsule.id] = {
+                id: capsule.id,
+                name: capsule.name,
+                count: 0
+              };
+            }
+            charData.capsuleUsage[capsule.id].count += 1;
+          }
+        });
+      }
+      
+      // Extract form change history
+      let formChangeHistory = '—';
+      let formChangeCount = 0;
+      if (Array.isArray(char.formChangeHistory) && char.formChangeHistory.length > 0) {
+        formChangeHistory = char.formChangeHistory.map(form => charMap[form.key] || form.key).join(' → ');
+        formChangeCount = char.formChangeHistory.length; // Count number of transformations
+      }
+      
+      // Determine win/loss status based on TEAM victory, not character survival
+      // battleWinLose is from team 1's perspective: 'Win' means team 1 won, 'Lose' means team 2 won
+      let won = false;
+      if (battleWinLose) {
+        if (isTeam1) {
+          // Team 1 character: won if battleWinLose === 'Win'
+          won = battleWinLose === 'Win';
+        } else {
+          // Team 2 character: won if battleWinLose === 'Lose' (team 1 lost)
+          won = battleWinLose === 'Lose';
+        }
+      } else {
+        // Fallback to character survival if battleWinLose not available
+        won = stats.hPGaugeValue > 0;
+      }
+      
+      // Calculate per-form stats for this match if transformations occurred
+      let perFormStatsForMatch = null;
+      if (characterIdRecord && char.formChangeHistory && char.formChangeHistory.length > 0) {
+        perFormStatsForMatch = calculatePerFormStats(
+          char,
+          characterIdRecord,
+          char.formChangeHistory,
+          originalForm
+        );
+      }
+      
+      // Add individual match data for meta analysis
+      charData.matches.push({
+        damageDone: stats.damageDone,
+        damageTaken: stats.damageTaken,
+        battleTime: stats.battleTime,
+        hPGaugeValue: stats.hPGaugeValue,
+        hPGaugeValueMax: stats.hPGaugeValueMax,
+        buildArchetype: stats.buildArchetype, // Legacy
+        buildComposition: stats.buildComposition, // New 7-category system
+        totalCapsuleCost: stats.totalCapsuleCost,
+        capsuleTypes: stats.capsuleTypes,
+        equippedCapsules: stats.equippedCapsules,
+        team: teamName,
+        opponentTeam: opponentTeam,
+        aiStrategy: aiStrategy,
+        map: mapId ? (mapsMap[mapId] || mapId) : null, // Map friendly name
+        mapId: mapId, // Store raw map ID for reference
+        kills: stats.kills,
+        specialMovesUsed: stats.specialMovesUsed,
+        ultimatesUsed: stats.ultimatesUsed,
+        skillsUsed: stats.skillsUsed,
+        sparkingCount: stats.sparkingCount,
+        chargeCount: stats.chargeCount,
+        guardCount: stats.guardCount,
+        shotEnergyBulletCount: stats.shotEnergyBulletCount,
+        zCounterCount: stats.zCounterCount,
+        superCounterCount: stats.superCounterCount,
+        revengeCounterCount: stats.revengeCounterCount,
+        tags: stats.tags,
+        // NEW blast tracking
+        s1Blast: stats.s1Blast,
+        s2Blast: stats.s2Blast,
+        ultBlast: stats.ultBlast,
+        s1HitBlast: stats.s1HitBlast,
+        s2HitBlast: stats.s2HitBlast,
+        uLTHitBlast: stats.uLTHitBlast,
+        s1HitRate: stats.s1HitRate,
+        s2HitRate: stats.s2HitRate,
+        ultHitRate: stats.ultHitRate,
+        // Legacy blast tracking (for backwards compatibility)
+        spm1Count: stats.s1Blast,
+        spm2Count: stats.s2Blast,
+        exa1Count: stats.exa1Count,
+        exa2Count: stats.exa2Count,
+        dragonDashMileage: stats.dragonDashMileage,
+        maxComboNum: stats.maxComboNum,
+        maxComboDamage: stats.maxComboDamage,
+        throwCount: stats.throwCount,
+        lightningAttackCount: stats.lightningAttackCount,
+        vanishingAttackCount: stats.vanishingAttackCount,
+        dragonHomingCount: stats.dragonHomingCount,
+        speedImpactCount: stats.speedImpactCount,
+        speedImpactWins: stats.speedImpactWins,
+        sparkingComboCount: stats.sparkingComboCount,
+        formChangeHistory: formChangeHistory,
+        formChangeCount: formChangeCount,
+        perFormStats: perFormStatsForMatch, // Store per-form stats with each match
+        position: charPosition,
+        won: won,
+        finisher: finishedMatch,
+        finishBlast: finishedMatch ? finish.blast : null,
+        fileName: fileName
+      });
+      
+      // Track all forms used
+      if (originalForm) {
+        charData.allFormsUsed.add(originalForm);
+      }
+      if (Array.isArray(char.formChangeHistory) && char.formChangeHistory.length > 0) {
+        char.formChangeHistory.forEach(form => {
+          charData.allFormsUsed.add(form.key);
+        });
+      }
+      
+      // Aggregate per-form stats from stored per-match form data
+      if (perFormStatsForMatch && Array.isArray(perFormStatsForMatch)) {
+        // Aggregate each form's stats
+        perFormStatsForMatch.forEach(formStat => {
+          const formId = formStat.formId;
+          const formName = charMap[formId] || formId;
+          
+          if (!charData.formStats[formId]) {
+            charData.formStats[formId] = {
+              formId: formId,
+              formNumber: formStat.formNumber,
+              name: formName,
+              isFirstForm: formStat.isFirstForm,
+              isFinalForm: formStat.isFinalForm,
+              // Combat stats
+              totalDamageDone: 0,
+              totalDamageTaken: 0,
+              totalBattleTime: 0,
+              totalBattleCount: 0,
+              // Health
+              totalHPRemaining: 0,
+              totalHPMax: 0,
+              // Special abilities
+              totalSpecialMoves: 0,
+              totalUltimates: 0,
+              totalSkills: 0,
+              // Blast tracking
+              totalS1Blast: 0,
+              totalS2Blast: 0,
+              totalUltBlast: 0,
+              totalS1HitBlast: 0,
+              totalS2HitBlast: 0,
+              totalULTHitBlast: 0,
+              // Survival & Defense
+              totalSparking: 0,
+              totalCharges: 0,
+              totalGuards: 0,
+              totalEnergyBlasts: 0,
+              totalZCounters: 0,
+              totalSuperCounters: 0,
+              totalRevengeCounters: 0,
+              // Combat mechanics
+              totalMaxComboNum: 0,
+              totalMaxComboDamage: 0,
+              totalThrows: 0,
+              totalLightningAttacks: 0,
+              totalVanishingAttacks: 0,
+              totalDragonHoming: 0,
+              totalSpeedImpacts: 0,
+              totalSpeedImpactWins: 0,
+              totalSparkingCombo: 0,
+              totalDragonDashMileage: 0,
+              // Kills
+              totalKills: 0,
+              matchCount: 0
+            };
+          }
+          
+          const formData = charData.formStats[formId];
+          
+          // Accumulate stats for this form
+          formData.totalDamageDone += formStat.damageDone || 0;
+          formData.totalDamageTaken += formStat.damageTaken || 0;
+          formData.totalBattleTime += formStat.battleTime || 0;
+          formData.totalBattleCount += formStat.battleCount || 0;
+          formData.totalHPRemaining += formStat.hPGaugeValue || 0;
+          formData.totalHPMax += formStat.hPGaugeValueMax || 0;
+          formData.totalSpecialMoves += formStat.specialMovesUsed || 0;
+          formData.totalUltimates += formStat.ultimatesUsed || 0;
+          formData.totalSkills += formStat.skillsUsed || 0;
+          formData.totalS1Blast += formStat.s1Blast || 0;
+          formData.totalS2Blast += formStat.s2Blast || 0;
+          formData.totalUltBlast += formStat.ultBlast || 0;
+          formData.totalS1HitBlast += formStat.s1HitBlast || 0;
+          formData.totalS2HitBlast += formStat.s2HitBlast || 0;
+          formData.totalULTHitBlast += formStat.uLTHitBlast || 0;
+          formData.totalSparking += formStat.sparkingCount || 0;
+          formData.totalCharges += formStat.chargeCount || 0;
+          formData.totalGuards += formStat.guardCount || 0;
+          formData.totalEnergyBlasts += formStat.shotEnergyBulletCount || 0;
+          formData.totalZCounters += formStat.zCounterCount || 0;
+          formData.totalSuperCounters += formStat.superCounterCount || 0;
+          formData.totalRevengeCounters += formStat.revengeCounterCount || 0;
+          formData.totalMaxComboNum += formStat.maxComboNum || 0;
+          formData.totalMaxComboDamage += formStat.maxComboDamage || 0;
+          formData.totalThrows += formStat.throwCount || 0;
+          formData.totalLightningAttacks += formStat.lightningAttackCount || 0;
+          formData.totalVanishingAttacks += formStat.vanishingAttackCount || 0;
+          formData.totalDragonHoming += formStat.dragonHomingCount || 0;
+          formData.totalSpeedImpacts += formStat.speedImpactCount || 0;
+          formData.totalSpeedImpactWins += formStat.speedImpactWins || 0;
+          formData.totalSparkingCombo += formStat.sparkingComboCount || 0;
+          formData.totalDragonDashMileage += formStat.dragonDashMileage || 0;
+          formData.totalKills += formStat.kills || 0;
+          formData.matchCount += 1;
+        });
+      }
+    });
+  }
+  
+  if (file.error) return;
+  
+  const fileName = file.name || file.fileName || '';
+  let characterRecord, characterIdRecord, teams, battleWinLose, mapId, finish;
+  
+  // Handle TeamBattleResults format (current BR_Data structure)
+  if (file.content.TeamBattleResults) {
+    teams = file.content.TeamBattleResults.teams;
+    // Check for battleResult (lowercase r)
+    if (file.content.TeamBattleResults.battleResult) {
+      characterRecord = file.content.TeamBattleResults.battleResult.characterRecord;
+      characterIdRecord = file.content.TeamBattleResults.battleResult.characterIdRecord;
+      battleWinLose = file.content.TeamBattleResults.battleResult.battleWinLose;
+      mapId = file.content.TeamBattleResults.battleResult.originalMap?.key;
+      finish = getMatchFinish(file.content.TeamBattleResults.battleResult);
+    }
+    // Check for BattleResults (capital R) - Cinema files format
+    else if (file.content.TeamBattleResults.BattleResults) {
+      characterRecord = file.content.TeamBattleResults.BattleResults.characterRecord;
+      characterIdRecord = file.content.TeamBattleResults.BattleResults.characterIdRecord;
+      battleWinLose = file.content.TeamBattleResults.BattleResults.battleWinLose;
+      mapId = file.content.TeamBattleResults.BattleResults.originalMap?.key;
+      finish = getMatchFinish(file.content.TeamBattleResults.BattleResults);
+    }
+    // Check if data is directly in TeamBattleResults (new wrapper format)
+    else if (file.content.TeamBattleResults.characterRecord) {
+      characterRecord = file.content.TeamBattleResults.characterRecord;
+      characterIdRecord = file.content.TeamBattleResults.characterIdRecord;
+      battleWinLose = file.content.TeamBattleResults.battleWinLose;
+      mapId = file.content.TeamBattleResults.originalMap?.key;
+      finish = getMatchFinish(file.content.TeamBattleResults);
+    }
+  }
+  // Handle new format with teams array at the top
+  else if (file.content.teams && Array.isArray(file.content.teams)) {
+    // Process all teams in the array
+    file.content.teams.forEach(team => {
+      let teamCharRecord, teamCharIdRecord;
+      
+      if (team.BattleResults) {
+        teamCharRecord = team.BattleResults.characterRecord;
+        teamCharIdRecord = team.BattleResults.characterIdRecord;
+      } else if (team.characterRecord) {
+        teamCharRecord = team.characterRecord;
+        teamCharIdRecord = team.characterIdRecord;
+      }
+      
+      if (teamCharRecord) {
+        // Extract battleWinLose for team format
+        let teamBattleWinLose;
+        let teamMapId;
+        let teamFinish = null;
+        if (team.BattleResults) {
+          teamBattleWinLose = team.BattleResults.battleWinLose;
+          teamMapId = team.BattleResults.originalMap?.key;
+          teamFinish = getMatchFinish(team.BattleResults);
+        }
+        processCharacterRecord(teamCharRecord, teamCharIdRecord, file.content.teams, fileName, teamBattleWinLose, teamMapId, teamFinish);
+      }
+    });
+    return; // Already processed all teams
+  }
+  // Handle standard format with BattleResults at root
+  else if (file.content.BattleResults) {
+    characterRecord = file.content.BattleResults.characterRecord;
+    characterIdRecord = file.content.BattleResults.characterIdRecord;
+    battleWinLose = file.content.BattleResults.battleWinLose;
+    mapId = file.content.BattleResults.originalMap?.key;
+    finish = getMatchFinish(file.content.BattleResults);
+    teams = file.content.teams;
+  } 
+  // Handle legacy format with direct properties
+  else {
+    characterRecord = file.content.characterRecord;
+    characterIdRecord = file.content.characterIdRecord;
+    battleWinLose = file.content.battleWinLose;
+    mapId = file.content.originalMap?.key;
+    finish = getMatchFinish(file.content);
+    teams = file.content.teams;
+  }
+  
+  if (!characterRecord) return;
+  
+  processCharacterRecord(characterRecord, characterIdRecord, teams, fileName, battleWinLose, mapId, finish);
+}
+
+export const mergeCharacterData = (characterStats, partial) => mergeAccumulator(characterStats, partial, CHARACTER_MERGE_RULES);
+
+/**
+ * Averages, win rates and top builds per character from merged character stats.
+ * @param {Object} characterStats - Merged total; consumed
+ * @param {Object} context - { charMap }
+ * @returns {Object[]} Characters sorted by combat performance score
+ */
+export function finalizeCharacterData(characterStats, { charMap }) {
+  // Calculate averages and format form history
+  const aggregated = Object.values(characterStats).map(char => {
+    const allForms = Array.from(char.allFormsUsed);
+    const formHistory = allForms.length > 1 ? 
+      allForms.map(f => charMap[f] || f).join(', ') : '';
+    
+    // Convert objects to arrays and find most common team and AI strategy
+    const teamsArray = Object.keys(char.teamsUsed);
+    const aiStrategiesArray = Object.keys(char.aiStrategiesUsed);
+    const mapsArray = Object.keys(char.mapsUsed);
+    
+    // Find most commonly used team (highest count)
+    const primaryTeam = teamsArray.length > 0 
+      ? teamsArray.reduce((a, b) => char.teamsUsed[a] > char.teamsUsed[b] ? a : b)
+      : null;
+    
+    // Find most commonly used AI strategy (highest count)
+    const primaryAIStrategy = aiStrategiesArray.length > 0
+      ? aiStrategiesArray.reduce((a, b) => char.aiStrategiesUsed[a] > char.aiStrategiesUsed[b] ? a : b)
+      : null;
+    
+    // Find most commonly used map (highest count)
+    const primaryMap = mapsArray.length > 0
+      ? mapsArray.reduce((a, b) => char.mapsUsed[a] > char.mapsUsed[b] ? a : b)
+      : null;
+    
+    // Find most common position (1=Starter, 2=Middle, 3=Anchor)
+    const positionCounts = { 1: 0, 2: 0, 3: 0 };
+    char.matches.forEach(m => { if (m.position) positionCounts[m.position] = (positionCounts[m.position] || 0) + 1; });
+    const primaryPositionNum = [1, 2, 3].reduce((best, p) => positionCounts[p] > positionCounts[best] ? p : best, 1);
+    const primaryPosition = positionCounts[1] === 0 && positionCounts[2] === 0 && positionCounts[3] === 0
+      ? null
+      : primaryPositionNum === 1 ? 'Starter' : primaryPositionNum === 2 ? 'Middle' : 'Anchor';
+    
+    // Calculate averages for per-form stats
+    const formStatsArray = Object.values(char.formStats).map(formStat => {
+      const matchCount = formStat.matchCount || 1;
+      const damagePerSecond = (formStat.totalBattleTime || 0) > 0 
+        ? (formStat.totalDamageDone || 0) / formStat.totalBattleTime 
+        : 0;
+      const damageEfficiency = (formStat.totalDamageTaken || 0) > 0
+        ? (formStat.totalDamageDone || 0) / formStat.totalDamageTaken
+        : ((formStat.totalDamageDone || 0) > 0 ? 999 : 0);
+      
+      return {
+        ...formStat,
+        // Averages
+        avgDamageDone: Math.round((formStat.totalDamageDone || 0) / matchCount),
+        avgDamageTaken: Math.round((formStat.totalDamageTaken || 0) / matchCount),
+        avgBattleTime: Math.round(((formStat.totalBattleTime || 0) / matchCount) * 10) / 10,
+        avgBattleCount: Math.round(((formStat.totalBattleCount || 0) / matchCount) * 10) / 10,
+        avgHPRemaining: Math.round((formStat.totalHPRemaining || 0) / matchCount),
+        avgHPMax: Math.round((formStat.totalHPMax || 0) / matchCount),
+        avgSpecialMoves: Math.round(((formStat.totalSpecialMoves || 0) / matchCount) * 10) / 10,
+        avgUltimates: Math.round(((formStat.totalUltimates || 0) / matchCount) * 100) / 100,
+        avgSkills: Math.round(((formStat.totalSkills || 0) / matchCount) * 10) / 10,
+        avgS1Blast: Math.round(((formStat.totalS1Blast || 0) / matchCount) * 100) / 100,
+        avgS2Blast: Math.round(((formStat.totalS2Blast || 0) / matchCount) * 100) / 100,
+        avgUltBlast: Math.round(((formStat.totalUltBlast || 0) / matchCount) * 100) / 100,
+        avgS1HitBlast: Math.round(((formStat.totalS1HitBlast || 0) / matchCount) * 100) / 100,
+        avgS2HitBlast: Math.round(((formStat.totalS2HitBlast || 0) / matchCount) * 100) / 100,
+        avgULTHitBlast: Math.round(((formStat.totalULTHitBlast || 0) / matchCount) * 100) / 100,
+        avgSparking: Math.round(((formStat.totalSparking || 0) / matchCount) * 100) / 100,
+        avgCharges: Math.round(((formStat.totalCharges || 0) / matchCount) * 10) / 10,
+        avgGuards: Math.round(((formStat.totalGuards || 0) / matchCount) * 10) / 10,
+        avgEnergyBlasts: Math.round(((formStat.totalEnergyBlasts || 0) / matchCount) * 10) / 10,
+        avgZCounters: Math.round(((formStat.totalZCounters || 0) / matchCount) * 100) / 100,
+        avgSuperCounters: Math.round(((formStat.totalSuperCounters || 0) / matchCount) * 100) / 100,
+        avgRevengeCounters: Math.round(((formStat.totalRevengeCounters || 0) / matchCount) * 100) / 100,
+        avgMaxComboNum: Math.round(((formStat.totalMaxComboNum || 0) / matchCount) * 10) / 10,
+        avgMaxComboDamage: Math.round((formStat.totalMaxComboDamage || 0) / matchCount),
+        avgThrows: Math.round(((formStat.totalThrows || 0) / matchCount) * 100) / 100,
+        avgLightningAttacks: Math.round(((formStat.totalLightningAttacks || 0) / matchCount) * 100) / 100,
+        avgVanishingAttacks: Math.round(((formStat.totalVanishingAttacks || 0) / matchCount) * 100) / 100,
+        avgDragonHoming: Math.round(((formStat.totalDragonHoming || 0) / matchCount) * 100) / 100,
+        avgSpeedImpacts: Math.round(((formStat.totalSpeedImpacts || 0) / matchCount) * 100) / 100,
+        avgSpeedImpactWins: Math.round(((formStat.totalSpeedImpactWins || 0) / matchCount) * 100) / 100,
+        avgSparkingCombo: Math.round(((formStat.totalSparkingCombo || 0) / matchCount) * 10) / 10,
+        avgDragonDashMileage: Math.round(((formStat.totalDragonDashMileage || 0) / matchCount) * 10) / 10,
+        avgKills: Math.round(((formStat.totalKills || 0) / matchCount) * 100) / 100,
+        // Derived stats
+        damagePerSecond,
+        damageEfficiency,
+        // Hit rates
+        s1HitRate: (formStat.totalS1Blast || 0) > 0
+          ? Math.round(((formStat.totalS1HitBlast || 0) / formStat.totalS1Blast) * 1000) / 10
+          : null,
+        s2HitRate: (formStat.totalS2Blast || 0) > 0
+          ? Math.round(((formStat.totalS2HitBlast || 0) / formStat.totalS2Blast) * 1000) / 10
+          : null,
+        ultHitRate: (formStat.totalUltBlast || 0) > 0
+          ? Math.round(((formStat.totalULTHitBlast || 0) / formStat.totalUltBlast) * 1000) / 10
+          : null,
+        speedImpactWinRate: (formStat.totalSpeedImpacts || 0) > 0
+          ? Math.round(((formStat.totalSpeedImpactWins || 0) / formStat.totalSpeedImpacts) * 1000) / 10
+          : null,
+      };
+    });
+    
+    return {
+      ...char,
+      formHistory,
+      formStatsArray,
+      hasMultipleForms: allForms.length > 1,
+      teamsUsed: teamsArray,
+      aiStrategiesUsed: aiStrategiesArray,
+      mapsUsed: mapsArray,
+      primaryTeam,
+      primaryAIStrategy,
+      primaryMap,
+      primaryPosition,
+      // Use activeMatchCount (non-zero battleTime) for all averages when available
+      _activeMatches: char.activeMatchCount || 0,
+      avgDamage: Math.round(char.totalDamage / (char.activeMatchCount > 0 ? char.activeMatchCount : char.matchCount)),
+      avgTaken: Math.round(char.totalTaken / (char.activeMatchCount > 0 ? char.activeMatchCount : char.matchCount)),
+      avgHealth: Math.round(char.totalHealth / (char.activeMatchCount > 0 ? char.activeMatchCount : char.matchCount)),
+      avgBattleTime: Math.round((char.totalBattleTime / (char.activeMatchCount > 0 ? char.activeMatchCount : char.matchCount)) * 10) / 10,
+      avgHPGaugeValueMax: Math.round(char.totalHPGaugeValueMax / (char.activeMatchCount > 0 ? char.activeMatchCount : char.matchCount)),
+  avgSpecial: Math.round((char.totalSpecial / (char.activeMatchCount > 0 ? char.activeMatchCount : char.matchCount)) * 10) / 10,
+      avgSkills: Math.round((char.totalSkills / (char.activeMatchCount > 0 ? char.activeMatchCount : char.matchCount)) * 10) / 10,
+      avgKills: Math.round((char.totalKills / (char.activeMatchCount > 0 ? char.activeMatchCount : char.matchCount)) * 100) / 100,
+      // Survival & Health averages
+      survivalRate: Math.round((char.survivalCount / (char.activeMatchCount > 0 ? char.activeMatchCount : char.matchCount)) * 1000) / 10, // % of matches survived
+      avgSparking: Math.round((char.totalSparking / (char.activeMatchCount > 0 ? char.activeMatchCount : char.matchCount)) * 100) / 100,
+      avgCharges: Math.round((char.totalCharges / (char.activeMatchCount > 0 ? char.activeMatchCount : char.matchCount)) * 10) / 10,
+      avgGuards: Math.round((char.totalGuards / (char.activeMatchCount > 0 ? char.activeMatchCount : char.matchCount)) * 10) / 10,
+      avgEnergyBlasts: Math.round((char.totalEnergyBlasts / (char.activeMatchCount > 0 ? char.activeMatchCount : char.matchCount)) * 10) / 10,
+      avgZCounters: Math.round((char.totalZCounters / (char.activeMatchCount > 0 ? char.activeMatchCount : char.matchCount)) * 100) / 100,
+      avgSuperCounters: Math.round((char.totalSuperCounters / (char.activeMatchCount > 0 ? char.activeMatchCount : char.matchCount)) * 100) / 100,
+      avgRevengeCounters: Math.round((char.totalRevengeCounters / (char.activeMatchCount > 0 ? char.activeMatchCount : char.matchCount)) * 100) / 100,
+      avgTags: Math.round((char.totalTags / (char.activeMatchCount > 0 ? char.activeMatchCount : char.matchCount)) * 100) / 100,
+      avgTransformations: Math.round((char.totalTransformations / (char.activeMatchCount > 0 ? char.activeMatchCount : char.matchCount)) * 100) / 100,
+      // Special Abilities - NEW blast tracking averages
+      avgS1Blast: Math.round((char.totalS1Blast / (char.activeMatchCount > 0 ? char.activeMatchCount : char.matchCount)) * 100) / 100,
+      avgS2Blast: Math.round((char.totalS2Blast / (char.activeMatchCount > 0 ? char.activeMatchCount : char.matchCount)) * 100) / 100,
+      avgUltBlast: Math.round((char.totalUltBlast / (char.activeMatchCount > 0 ? char.activeMatchCount : char.matchCount)) * 100) / 100,
+      avgS1Hit: Math.round((char.totalS1HitBlast / (char.activeMatchCount > 0 ? char.activeMatchCount : char.matchCount)) * 100) / 100,
+      avgS2Hit: Math.round((char.totalS2HitBlast / (char.activeMatchCount > 0 ? char.activeMatchCount : char.matchCount)) * 100) / 100,
+      avgUltHit: Math.round((char.totalULTHitBlast / (char.activeMatchCount > 0 ? char.activeMatchCount : char.matchCount)) * 100) / 100,
+      // Hit rates (overall across all matches) - calculated from trackable throws only, null if no trackable data
+      s1HitRateOverall: char.totalS1BlastTrackable > 0 ? Math.round((char.totalS1HitBlast / char.totalS1BlastTrackable) * 1000) / 10 : null,
+      s2HitRateOverall: char.totalS2BlastTrackable > 0 ? Math.round((char.totalS2HitBlast / char.totalS2BlastTrackable) * 1000) / 10 : null,
+      ultHitRateOverall: char.totalUltBlastTrackable > 0 ? Math.round((char.totalULTHitBlast / char.totalUltBlastTrackable) * 1000) / 10 : null,
+      
+      
+      // Special Abilities - Legacy blast tracking (kept for backwards compatibility, now using new values)
+    avgSPM1: Math.round((char.totalS1Blast / (char.activeMatchCount > 0 ? char.activeMatchCount : char.matchCount)) * 100) / 100,
+  avgSPM2: Math.round((char.totalS2Blast / (char.activeMatchCount > 0 ? char.activeMatchCount : char.matchCount)) * 100) / 100,
+  avgEXA1: Math.round((char.totalEXA1 / (char.activeMatchCount > 0 ? char.activeMatchCount : char.matchCount)) * 100) / 100,
+  avgEXA2: Math.round((char.totalEXA2 / (char.activeMatchCount > 0 ? char.activeMatchCount : char.matchCount)) * 100) / 100,
+  avgUltimates: Math.round((char.totalUltimates / (char.activeMatchCount > 0 ? char.activeMatchCount : char.matchCount)) * 100) / 100,
+  avgDragonDashMileage: Math.round((char.totalDragonDashMileage / (char.activeMatchCount > 0 ? char.activeMatchCount : char.matchCount)) * 10) / 10,
+  avgMaxComboDamage: Math.round(char.maxComboDamageTotal / (char.activeMatchCount > 0 ? char.activeMatchCount : char.matchCount)),
+  avgThrows: Math.round((char.totalThrows / (char.activeMatchCount > 0 ? char.activeMatchCount : char.matchCount)) * 100) / 100,
+  avgLightningAttacks: Math.round((char.totalLightningAttacks / (char.activeMatchCount > 0 ? char.activeMatchCount : char.matchCount)) * 100) / 100,
+  avgVanishingAttacks: Math.round((char.totalVanishingAttacks / (char.activeMatchCount > 0 ? char.activeMatchCount : char.matchCount)) * 100) / 100,
+  avgDragonHoming: Math.round((char.totalDragonHoming / (char.activeMatchCount > 0 ? char.activeMatchCount : char.matchCount)) * 100) / 100,
+  avgSpeedImpacts: Math.round((char.totalSpeedImpacts / (char.activeMatchCount > 0 ? char.activeMatchCount : char.matchCount)) * 100) / 100,
+  avgSpeedImpactWins: Math.round((char.totalSpeedImpactWins / (char.activeMatchCount > 0 ? char.activeMatchCount : char.matchCount)) * 100) / 100,
+  avgSparkingCombo: Math.round((char.totalSparkingCombo / (char.activeMatchCount > 0 ? char.activeMatchCount : char.matchCount)) * 10) / 10,
+  // Build & Equipment averages
+  avgCapsuleCost: Math.round(char.totalCapsuleCost / (char.activeMatchCount > 0 ? char.activeMatchCount : char.matchCount)),
+  // Build-type cost averages (new 7-category system)
+  avgMeleeCost: Math.round((char.totalMeleeCost / (char.activeMatchCount > 0 ? char.activeMatchCount : char.matchCount)) * 10) / 10,
+  avgBlastCost: Math.round((char.totalBlastCost / (char.activeMatchCount > 0 ? char.activeMatchCount : char.matchCount)) * 10) / 10,
+  avgKiBlastCost: Math.round((char.totalKiBlastCost / (char.activeMatchCount > 0 ? char.activeMatchCount : char.matchCount)) * 10) / 10,
+  avgDefenseCost: Math.round((char.totalDefenseCost / (char.activeMatchCount > 0 ? char.activeMatchCount : char.matchCount)) * 10) / 10,
+  avgSkillCost: Math.round((char.totalSkillCost / (char.activeMatchCount > 0 ? char.activeMatchCount : char.matchCount)) * 10) / 10,
+  avgKiEfficiencyCost: Math.round((char.totalKiEfficiencyCost / (char.activeMatchCount > 0 ? char.activeMatchCount : char.matchCount)) * 10) / 10,
+  avgUtilityCost: Math.round((char.totalUtilityCost / (char.activeMatchCount > 0 ? char.activeMatchCount : char.matchCount)) * 10) / 10,
+      // Most used build composition (new 7-category system)
+      primaryBuildComposition: Object.keys(char.buildCompositions).length > 0
+        ? Object.keys(char.buildCompositions).reduce((a, b) => 
+            char.buildCompositions[a] > char.buildCompositions[b] ? a : b)
+        : 'No Build',
+      // Most used capsules (top 7)
+      topCapsules: Object.values(char.capsuleUsage)
+        .sort((a, b) => b.count - a.count)
+        .slice(0, 7)
+        .map(c => ({ id: c.id, name: c.name, usage: c.count }))
+    };
+  }).map(char => {
+    // Calculate top 3 most used builds (similar to Team Rankings implementation)
+    const buildGroups = {};
+    
+    // Group matches by exact capsule loadout + AI strategy so different capsule sets are tracked separately
+    char.matches.forEach(match => {
+      if (match.buildComposition && match.buildComposition.label) {
+        const capsuleKey = (match.equippedCapsules || [])
+          .map(c => c.name || c.id || '')
+          .sort()
+          .join(',');
+        const buildLabel = `${capsuleKey}|${match.aiStrategy || 'Default'}`;
+        
+        if (!buildGroups[buildLabel]) {
+          buildGroups[buildLabel] = {
+            buildComposition: match.buildComposition,
+            aiStrategy: match.aiStrategy || null,
+            equippedCapsules: match.equippedCapsules || [],
+            totalCapsuleCost: match.totalCapsuleCost || 0,
+            count: 0,
+            activeCount: 0,
+            totalDamageDealt: 0,
+            totalDamageTaken: 0,
+            totalBattleDuration: 0,
+            totalHealthRemaining: 0,
+            totalHealthMax: 0
+          };
+        }
+        
+        buildGroups[buildLabel].count++;
+        // Only count as active if battleTime > 0
+        if (match.battleTime && match.battleTime > 0) {
+          buildGroups[buildLabel].activeCount++;
+          buildGroups[buildLabel].totalBattleDuration += match.battleTime;
+          // Only accumulate stats for active matches
+          buildGroups[buildLabel].totalDamageDealt += match.damageDone || 0;
+          buildGroups[buildLabel].totalDamageTaken += match.damageTaken || 0;
+          buildGroups[buildLabel].totalHealthRemaining += match.hPGaugeValue || 0;
+          buildGroups[buildLabel].totalHealthMax += match.hPGaugeValueMax || 0;
+        }
+      }
+    });
+    
+    // Calculate performance score for each build and sort
+    const sortedBuilds = Object.values(buildGroups)
+      .filter(build => build.activeCount > 0) // Only include builds with active matches
+      .map(build => {
+        // Use activeCount for averages (non-zero battleTime), fallback to count
+        const denominator = build.activeCount > 0 ? build.activeCount : build.count;
+        // Round averages to match character-level calculation precision
+        const avgDamageDealt = Math.round(build.totalDamageDealt / denominator);
+        const avgDamageTaken = Math.round(build.totalDamageTaken / denominator);
+        const avgBattleDuration = Math.round((build.totalBattleDuration / (build.activeCount > 0 ? build.activeCount : 1)) * 10) / 10;
+        const avgHealthRemaining = Math.round(build.totalHealthRemaining / denominator);
+        const avgHealthMax = Math.round(build.totalHealthMax / denominator);
+        
+        // Calculate derived stats (use totals, not rounded averages, for accuracy)
+        const damageEfficiency = build.totalDamageTaken > 0 
+          ? build.totalDamageDealt / build.totalDamageTaken 
+          : build.totalDamageDealt;
+        const damagePerSecond = build.totalBattleDuration > 0 
+          ? build.totalDamageDealt / build.totalBattleDuration 
+          : 0;
+        const healthRetention = avgHealthMax > 0 ? avgHealthRemaining / avgHealthMax : 0;
+        
+        // Calculate base score using same formula as character performance
+        const baseScore = (
+          (avgDamageDealt / 100000) * 35 +        // Damage dealt weight: 35%
+          (damageEfficiency) * 25 +                // Damage efficiency weight: 25%
+          (damagePerSecond / 1000) * 25 +          // Damage per second weight: 25%
+          (healthRetention) * 15                   // Health retention weight: 15%
+        );
+        
+        // Apply experience multiplier
+        const experienceMultiplier = Math.min(1.25, 1.0 + ((build.activeCount > 0 ? build.activeCount : build.count) - 1) * (0.25 / 11));
+        const performanceScore = Math.round((baseScore * experienceMultiplier) * 100) / 100;
+        
+        return {
+          ...build,
+          avgPerformanceScore: performanceScore
+        };
+      })
+      .sort((a, b) => {
+        // Primary sort: by active usage count (descending)
+        if (b.activeCount !== a.activeCount) return b.activeCount - a.activeCount;
+        // Tie-breaker: by average performance score (descending)
+        return b.avgPerformanceScore - a.avgPerformanceScore;
+      });
+    
+    // Pass all builds (no cap) — UI handles selection and display
+    const topBuilds = sortedBuilds;
+    
+    // Derived stats shown alongside the combat performance score
+    // Use total-based efficiency calculation (aggregate then calculate)
+    const damageEfficiency = char.totalTaken > 0 ? char.totalDamage / char.totalTaken : char.totalDamage;
+    // Use total-based DPS calculation (total damage / total time) - same as build calculation
+    const damagePerSecond = char.totalBattleTime > 0 ? char.totalDamage / char.totalBattleTime : 0;
+    const healthRetention = char.avgHPGaugeValueMax > 0 ? char.avgHealth / char.avgHPGaugeValueMax : 0;
+    
+    // Experience multiplier based on matches played (1.0 to 1.25x, maxed at 12 matches)
+    // Characters with more matches get slightly higher weight
+  // Use active matches (non-zero battleTime) for experience weighting when available
+  const experienceMatches = (char.activeMatchCount && char.activeMatchCount > 0) ? char.activeMatchCount : char.matchCount;
+  const experienceMultiplier = Math.min(1.25, 1.0 + (experienceMatches - 1) * (0.25 / 11));
+    
+    // Calculate win rate from matches array
+  // For win rate, prefer counting only active matches (non-zero battleTime)
+  const totalMatches = char.matches ? char.matches.length : char.matchCount;
+  const activeMatches = char.matches ? char.matches.filter(m => m.battleTime && m.battleTime > 0) : [];
+
+    // Final combat performance score: combatScoreBase over the same matches as scoreInterval, so
+    // the two agree (a character who took no damage scores 0 efficiency in both)
+    const combatPerformanceScore = combatScoreBase(activeMatches.length > 0 ? activeMatches : (char.matches || [])) * experienceMultiplier;
+  const winsActive = activeMatches.length > 0 ? activeMatches.filter(m => m.won).length : (char.matches ? char.matches.filter(m => m.won).length : 0);
+  const winRate = activeMatches.length > 0 ? Math.round((winsActive / activeMatches.length) * 1000) / 10 : (totalMatches > 0 ? Math.round(((char.matches ? char.matches.filter(m => m.won).length : 0) / totalMatches) * 1000) / 10 : 0);
+    
+    // Calculate wins and losses
+    const totalWins = char.matches ? char.matches.filter(m => m.won).length : 0;
+    const totalLosses = char.matches ? char.matches.filter(m => !m.won).length : 0;
+    
+    // Calculate speed impact win rate (wins / impacts * 100)
+    const speedImpactWinRate = char.totalSpeedImpacts > 0 
+      ? Math.round((char.totalSpeedImpactWins / char.totalSpeedImpacts) * 1000) / 10 
+      : 0;
+    
+    return {
+      ...char,
+      dps: Math.round(damagePerSecond * 10) / 10, // Add DPS field
+      efficiency: Math.round(damageEfficiency * 100) / 100, // Add efficiency field
+      hpRetention: Math.round(healthRetention * 1000) / 10, // Add HP retention % field
+      combatPerformanceScore: Math.round(combatPerformanceScore * 100) / 100,
+      winRate: winRate, // Add win rate % field
+      wins: totalWins, // Add total wins
+      losses: totalLosses, // Add total losses
+      speedImpactWinRate: speedImpactWinRate, // Add speed impact win rate % field
+      topBuilds: topBuilds, // Add top 3 most used builds
+      // 95% intervals: Wilson on the win rate, bootstrap over active matches for damage and score
+      winRateInterval: activeMatches.length > 0 ? winRateInterval(winsActive, activeMatches.length) : winRateInterval(totalWins, totalMatches),
+      damageInterval: bootstrapInterval(activeMatches.map(m => m.damageDone), mean, { seed: `${char.name}|damage` }),
+      scoreInterval: bootstrapInterval(activeMatches, sample => combatScoreBase(sample) * experienceMultiplier, { seed: `${char.name}|score` }),
+      sampleStatus: sampleStatus(activeMatches.length > 0 ? activeMatches.length : totalMatches)
+    };
+  }).sort((a, b) => {
+    // Primary sort: Combat performance score (descending)
+    if (Math.abs(b.combatPerformanceScore - a.combatPerformanceScore) > 0.1) {
+      return b.combatPerformanceScore - a.combatPerformanceScore;
+    }
+    // Secondary sort: Average damage (descending) for very close scores
+    if (Math.abs(b.avgDamage - a.avgDamage) > 1000) {
+      return b.avgDamage - a.avgDamage;
+    }
+    // Tertiary sort: Match count (descending) for nearly identical performance
+    return b.matchCount - a.matchCount;
+  });
+  
+  // Significance: win rate against 50%, score against the median character with enough matches
+  const scoreBaseline = baselineMedian(aggregated.map(char => ({ value: char.combatPerformanceScore, n: char.scoreInterval?.n || 0 })));
+  aggregated.forEach(char => {
+    char.winRateSignificance = compareToBaseline(char.winRateInterval, 50);
+    char.scoreSignificance = scoreBaseline === null ? 'insufficient' : compareToBaseline(char.scoreInterval, scoreBaseline);
+    char.scoreBaseline = scoreBaseline;
+  });
+
+  return aggregated;
+}
+
+export function getAggregatedCharacterData(files, charMap, capsuleMap = {}, aiStrategiesMap = {}, mapsMap = {}) {
+  const context = { charMap, capsuleMap, aiStrategiesMap, mapsMap };
+  const characterStats = {};
+  files.forEach(file => accumulateCharacterData(characterStats, file, context));
+  return finalizeCharacterData(characterStats, context);
+}
+
+// Helper: recompute team character averages from a filtered subset of raw match data
+// Used by the build filter feature in the teams view to re-scope stats without full re-aggregation
+export function recomputeTeamCharStats(rawMatches, originalStats) {
+  const activeMatches = rawMatches.filter(m => m.battleDuration && m.battleDuration > 0);
+  const matchesToAggregate = activeMatches.length > 0 ? activeMatches : rawMatches;
+  const matchCount = rawMatches.length;
+  const activeMatchCount = matchesToAggregate.length;
+  const denom = Math.max(activeMatchCount, 1);
+
+  const totalDamageDealt = matchesToAggregate.reduce((s, m) => s + (m.damageDealt || 0), 0);
+  const totalDamageTaken = matchesToAggregate.reduce((s, m) => s + (m.damageTaken || 0), 0);
+  const totalBattleDuration = matchesToAggregate.reduce((s, m) => s + (m.battleDuration || 0), 0);
+  const totalHealthRemaining = matchesToAggregate.reduce((s, m) => s + (m.healthRemaining || 0), 0);
+  const totalHealthMax = matchesToAggregate.reduce((s, m) => s + (m.healthMax || 0), 0);
+
+  const avgDamageDealt = Math.round(totalDamageDealt / denom);
+  const avgDamageTaken = Math.round(totalDamageTaken / denom);
+  const avgBattleDuration = totalBattleDuration / denom;
+  const avgHealthRemaining = totalHealthRemaining / denom;
+  const avgHealthMax = totalHealthMax / denom;
+
+  const damageEfficiency = totalDamageTaken > 0
+    ? Math.round((totalDamageDealt / totalDamageTaken) * 100) / 100
+    : (totalDamageDealt > 0 ? 999 : 0);
+  const damagePerSecond = totalBattleDuration > 0
+    ? Math.round((totalDamageDealt / totalBattleDuration) * 100) / 100 : 0;
+  const healthRetention = avgHealthMax > 0 ? avgHealthRemaining / avgHealthMax : 0;
+
+  const baseScore = ((avgDamageDealt / 100000) * 35) + (damageEfficiency * 25) + ((damagePerSecond / 1000) * 25) + (healthRetention * 15);
+  const experienceMultiplier = Math.min(1.25, 1.0 + (activeMatchCount - 1) * (0.25 / 11));
+  const performanceScore = Math.round((baseScore * experienceMultiplier) * 100) / 100;
+
+  const totalSpecialMoves = rawMatches.reduce((s, m) => s + (m.specialMovesUsed || 0), 0);
+  const totalUltimates = rawMatches.reduce((s, m) => s + (m.ultimatesUsed || 0), 0);
+  const totalSPM1 = rawMatches.reduce((s, m) => s + (m.spm1Count || 0), 0);
+  const totalSPM2 = rawMatches.reduce((s, m) => s + (m.spm2Count || 0), 0);
+  const totalEXA1 = rawMatches.reduce((s, m) => s + (m.exa1Count || 0), 0);
+  const totalEXA2 = rawMatches.reduce((s, m) => s + (m.exa2Count || 0), 0);
+  const totalS1Blast = rawMatches.reduce((s, m) => s + (m.s1Blast || m.spm1Count || 0), 0);
+  const totalS2Blast = rawMatches.reduce((s, m) => s + (m.s2Blast || m.spm2Count || 0), 0);
+  const totalUltBlast = rawMatches.reduce((s, m) => s + (m.ultBlast || 0), 0);
+  const totalS1HitBlast = rawMatches.reduce((s, m) => s + (m.s1HitBlast || 0), 0);
+  const totalS2HitBlast = rawMatches.reduce((s, m) => s + (m.s2HitBlast || 0), 0);
+  const totalULTHitBlast = rawMatches.reduce((s, m) => s + (m.uLTHitBlast || 0), 0);
+  const totalS1BlastTrackable = rawMatches.reduce((s, m) => s + ((m.s1HitBlast !== undefined && m.s1HitBlast !== null) ? (m.s1Blast || 0) : 0), 0);
+  const totalS2BlastTrackable = rawMatches.reduce((s, m) => s + ((m.s2HitBlast !== undefined && m.s2HitBlast !== null) ? (m.s2Blast || 0) : 0), 0);
+  const totalUltBlastTrackable = rawMatches.reduce((s, m) => s + ((m.uLTHitBlast !== undefined && m.uLTHitBlast !== null) ? (m.ultBlast || 0) : 0), 0);
+  const totalTags = rawMatches.reduce((s, m) => s + (m.tags || 0), 0);
+  const totalTransformations = rawMatches.reduce((s, m) => s + (m.formChangeCount || 0), 0);
+  const totalSparking = rawMatches.reduce((s, m) => s + (m.sparkingCount || 0), 0);
+  const totalCharges = rawMatches.reduce((s, m) => s + (m.chargeCount || 0), 0);
+  const totalGuards = rawMatches.reduce((s, m) => s + (m.guardCount || 0), 0);
+  const totalEnergyBlasts = rawMatches.reduce((s, m) => s + (m.shotEnergyBulletCount || 0), 0);
+  const totalZCounters = rawMatches.reduce((s, m) => s + (m.zCounterCount || 0), 0);
+  const totalSuperCounters = rawMatches.reduce((s, m) => s + (m.superCounterCount || 0), 0);
+  const totalRevengeCounters = rawMatches.reduce((s, m) => s + (m.revengeCounterCount || 0), 0);
+  const totalMaxComboNum = rawMatches.reduce((s, m) => s + (m.maxComboNum || 0), 0);
+  const totalMaxComboDamage = rawMatches.reduce((s, m) => s + (m.maxComboDamage || 0), 0);
+  const totalThrows = rawMatches.reduce((s, m) => s + (m.throwCount || 0), 0);
+  const totalDragonHoming = rawMatches.reduce((s, m) => s + (m.dragonHomingCount || 0), 0);
+  const totalSpeedImpacts = rawMatches.reduce((s, m) => s + (m.speedImpactCount || 0), 0);
+  const totalSpeedImpactWins = rawMatches.reduce((s, m) => s + (m.speedImpactWins || 0), 0);
+  const totalSparkingCombo = rawMatches.reduce((s, m) => s + (m.sparkingComboCount || 0), 0);
+  const totalDragonDashMileage = rawMatches.reduce((s, m) => s + (m.dragonDashMileage || 0), 0);
+  const totalKills = rawMatches.reduce((s, m) => s + (m.kills || 0), 0);
+  const speedImpactWinRate = totalSpeedImpacts > 0
+    ? Math.round((totalSpeedImpactWins / totalSpeedImpacts) * 1000) / 10 : 0;
+
+  return {
+    ...originalStats,
+    avgDamageDealt,
+    avgDamageTaken,
+    avgDamageEfficiency: damageEfficiency,
+    avgDamagePerSecond: damagePerSecond,
+    avgHealthRetention: healthRetention,
+    avgHealthMax: Math.round(avgHealthMax),
+    avgHealthRemaining: Math.round(avgHealthRemaining),
+    avgBattleDuration: Math.round(avgBattleDuration),
+    performanceScore,
+    matchesPlayed: matchCount,
+    activeMatchesPlayed: activeMatchCount,
+    avgSpecialMoves: Math.round((totalSpecialMoves / denom) * 10) / 10,
+    avgUltimates: Math.round((totalUltimates / denom) * 100) / 100,
+    avgSPM1: Math.round((totalSPM1 / denom) * 100) / 100,
+    avgSPM2: Math.round((totalSPM2 / denom) * 100) / 100,
+    avgEXA1: Math.round((totalEXA1 / denom) * 100) / 100,
+    avgEXA2: Math.round((totalEXA2 / denom) * 100) / 100,
+    avgS1Blast: Math.round((totalS1Blast / denom) * 100) / 100,
+    avgS2Blast: Math.round((totalS2Blast / denom) * 100) / 100,
+    avgUltBlast: Math.round((totalUltBlast / denom) * 100) / 100,
+    avgS1Hit: Math.round((totalS1HitBlast / denom) * 100) / 100,
+    avgS2Hit: Math.round((totalS2HitBlast / denom) * 100) / 100,
+    avgUltHit: Math.round((totalULTHitBlast / denom) * 100) / 100,
+    s1HitRateOverall: totalS1BlastTrackable > 0 ? Math.round((totalS1HitBlast / totalS1BlastTrackable) * 1000) / 10 : null,
+    s2HitRateOverall: totalS2BlastTrackable > 0 ? Math.round((totalS2HitBlast / totalS2BlastTrackable) * 1000) / 10 : null,
+    ultHitRateOverall: totalUltBlastTrackable > 0 ? Math.round((totalULTHitBlast / totalUltBlastTrackable) * 1000) / 10 : null,
+    avgTags: Math.round((totalTags / denom) * 100) / 100,
+    totalTags,
+    avgTransformations: Math.round((totalTransformations / denom) * 100) / 100,
+    avgSparking: Math.round((totalSparking / denom) * 100) / 100,
+    avgCharges: Math.round((totalCharges / denom) * 10) / 10,
+    avgGuards: Math.round((totalGuards / denom) * 10) / 10,
+    avgEnergyBlasts: Math.round((totalEnergyBlasts / denom) * 10) / 10,
+    avgZCounters: Math.round((totalZCounters / denom) * 100) / 100,
+    avgSuperCounters: Math.round((totalSuperCounters / denom) * 100) / 100,
+    avgRevengeCounters: Math.round((totalRevengeCounters / denom) * 100) / 100,
+    avgMaxComboNum: Math.round((totalMaxComboNum / denom) * 10) / 10,
+    avgMaxComboDamage: Math.round(totalMaxComboDamage / denom),
+    avgThrows: Math.round((totalThrows / denom) * 100) / 100,
+    avgDragonHoming: Math.round((totalDragonHoming / denom) * 100) / 100,
+    avgSpeedImpacts: Math.round((totalSpeedImpacts / denom) * 100) / 100,
+    speedImpactWinRate,
+    avgSparkingCombo: Math.round((totalSparkingCombo / denom) * 10) / 10,
+    avgDragonDashMileage: Math.round((totalDragonDashMileage / denom) * 10) / 10,
+    avgKills: Math.round((totalKills / denom) * 100) / 100,
+    // Keep topBuilds from the original so the full builds table is unchanged
+    topBuilds: originalStats.topBuilds,
+    rawMatches: originalStats.rawMatches,
+  };
+}
+
+// Values set once when a character matchup or its build data is created
+const TEAM_MERGE_RULES = { firstSeen: ['position'], firstSeenEntries: ['buildCompositionData'] };
+
+/**
+ * Fold one battle result file into a team accumulator (see getTeamAggregatedData).
+ * @param {Object} teamStats - Accumulator keyed by team name; mutated
+ * @param {{name: string, content: Object, error?: string}} file
+ * @param {Object} context - { charMap, capsuleMap, aiStrategiesMap }
+ */
+export function accumulateTeamData(teamStats, file, { charMap, capsuleMap = {}, aiStrategiesMap = {} }) {
+  if (file.error) return;
+  
+  let teams, battleWinLose, characterRecord, characterIdRecord = null;
+  
+  // Handle TeamBattleResults format (current BR_Data structure)
+  if (file.content.TeamBattleResults) {
+    teams = file.content.TeamBattleResults.teams;
+    // Check for battleResult (lowercase r)
+    if (file.content.TeamBattleResults.battleResult) {
+      battleWinLose = file.content.TeamBattleResults.battleResult.battleWinLose;
+      characterRecord = file.content.TeamBattleResults.battleResult.characterRecord;
+      characterIdRecord = file.content.TeamBattleResults.battleResult.characterIdRecord;
+    }
+    // Check for BattleResults (capital R) - Cinema files format
+    else if (file.content.TeamBattleResults.BattleResults) {
+      battleWinLose = file.content.TeamBattleResults.BattleResults.battleWinLose;
+      characterRecord = file.content.TeamBattleResults.BattleResults.characterRecord;
+      characterIdRecord = file.content.TeamBattleResults.BattleResults.characterIdRecord;
+    }
+    // Check if data is directly in TeamBattleResults (new wrapper format)
+    else if (file.content.TeamBattleResults.battleWinLose && file.content.TeamBattleResults.characterRecord) {
+      battleWinLose = file.content.TeamBattleResults.battleWinLose;
+      characterRecord = file.content.TeamBattleResults.characterRecord;
+      characterIdRecord = file.content.TeamBattleResults.characterIdRecord;
+    }
+  }
+  // Handle other formats
+  else if (file.content.teams && Array.isArray(file.content.teams)) {
+    teams = file.content.teams;
+    if (file.content.teams[0]?.BattleResults) {
+      battleWinLose = file.content.teams[0].BattleResults.battleWinLose;
+      characterRecord = file.content.teams[0].BattleResults.characterRecord;
+      characterIdRecord = file.content.teams[0].BattleResults.characterIdRecord;
+    }
+  }
+  else if (file.content.BattleResults) {
+    battleWinLose = file.content.BattleResults.battleWinLose;
+    characterRecord = file.content.BattleResults.characterRecord;
+    characterIdRecord = file.content.BattleResults.characterIdRecord;
+    // Try to extract team names from file name or default
+    teams = ["Team 1", "Team 2"];
+  }
+  
+  if (!teams || !Array.isArray(teams) || teams.length < 2 || !battleWinLose || !characterRecord) {
+    return;
+  }
+  teams = canonicalTeams(teams);
+  
+  const team1Name = teams[0];
+  const team2Name = teams[1];
+  
+  // Check if team names are valid (not empty, null, undefined, or just whitespace)
+  const isTeam1Valid = team1Name && typeof team1Name === 'string' && team1Name.trim() !== '';
+  const isTeam2Valid = team2Name && typeof team2Name === 'string' && team2Name.trim() !== '';
+  
+  // Skip entirely if both teams are invalid
+  if (!isTeam1Valid && !isTeam2Valid) {
+    return;
+  }
+  
+  // Determine which teams to process (only valid ones)
+  const teamsToProcess = [];
+  if (isTeam1Valid) teamsToProcess.push({ name: team1Name, isTeam1: true });
+  if (isTeam2Valid) teamsToProcess.push({ name: team2Name, isTeam1: false });
+  
+  // Initialize team stats if they don't exist
+  teamsToProcess.forEach(({ name: teamName }) => {
+    if (!teamStats[teamName]) {
+      teamStats[teamName] = {
+        teamName,
+        matches: 0,
+        activeMatches: 0, // Track matches with battleDuration > 0
+        wins: 0,
+        losses: 0,
+        winRate: 0,
+        totalDamageDealt: 0,
+        totalDamageTaken: 0,
+        totalHealthRemaining: 0,
+        totalHealthMax: 0,
+        totalMatchDuration: 0, // Track total battle time across all matches
+        avgDamagePerMatch: 0,
+        avgDamageTakenPerMatch: 0,
+        avgHealthRetention: 0,
+        charactersUsed: new Set(),
+        characterUsageCount: {},
+        characterDetails: {},  // Store individual character match data
+        characterAverages: {}, // Store calculated averages per character
+        buildCompositions: {}, // New 7-category system - dynamic tracking
+        matchHistory: [],
+        opponentRecords: {}
+      };
+    }
+  });
+  
+  // Process match result from team1's perspective
+  const team1Won = battleWinLose === 'Win';
+  const team2Won = battleWinLose === 'Lose';
+  
+  // Update win/loss records only for valid teams
+  if (isTeam1Valid) {
+    teamStats[team1Name].matches++;
+    if (team1Won) teamStats[team1Name].wins++;
+    else if (team2Won) teamStats[team1Name].losses++;
+  }
+  
+  if (isTeam2Valid) {
+    teamStats[team2Name].matches++;
+    if (team2Won) teamStats[team2Name].wins++;
+    else if (team1Won) teamStats[team2Name].losses++;
+  }
+  
+  // Initialize opponent records only if both teams are valid
+  if (isTeam1Valid && isTeam2Valid) {
+    if (!teamStats[team1Name].opponentRecords[team2Name]) {
+      teamStats[team1Name].opponentRecords[team2Name] = { wins: 0, losses: 0, characterMatchups: {} };
+    }
+    if (!teamStats[team2Name].opponentRecords[team1Name]) {
+      teamStats[team2Name].opponentRecords[team1Name] = { wins: 0, losses: 0, characterMatchups: {} };
+    }
+    
+    // Update head-to-head records
+    if (team1Won) {
+      teamStats[team1Name].opponentRecords[team2Name].wins++;
+      teamStats[team2Name].opponentRecords[team1Name].losses++;
+    } else if (team2Won) {
+      teamStats[team1Name].opponentRecords[team2Name].losses++;
+      teamStats[team2Name].opponentRecords[team1Name].wins++;
+    }
+  }
+  
+  // Process character data for both teams
+  const teams_data = getTeams(characterRecord);
+  const p1TeamStats = getTeamStats(teams_data.p1, charMap, capsuleMap);
+  const p2TeamStats = getTeamStats(teams_data.p2, charMap, capsuleMap);
+  
+  // Check if this is an active match (has battle duration > 0)
+  const isActiveMatch = p1TeamStats.totalBattleTime > 0 || p2TeamStats.totalBattleTime > 0;
+  
+  // Increment active match count for valid teams
+  if (isActiveMatch) {
+    if (isTeam1Valid) teamStats[team1Name].activeMatches++;
+    if (isTeam2Valid) teamStats[team2Name].activeMatches++;
+  }
+  
+  // Aggregate team 1 stats only if valid AND active match
+  if (isTeam1Valid && isActiveMatch) {
+    teamStats[team1Name].totalDamageDealt += p1TeamStats.totalDamage;
+    teamStats[team1Name].totalDamageTaken += p1TeamStats.totalTaken;
+    teamStats[team1Name].totalHealthRemaining += p1TeamStats.totalHealth;
+    teamStats[team1Name].totalHealthMax += p1TeamStats.totalHPGaugeValueMax;
+    teamStats[team1Name].totalMatchDuration += p1TeamStats.totalBattleTime;
+  }
+  
+  // Aggregate team 2 stats only if valid AND active match
+  if (isTeam2Valid && isActiveMatch) {
+    teamStats[team2Name].totalDamageDealt += p2TeamStats.totalDamage;
+    teamStats[team2Name].totalDamageTaken += p2TeamStats.totalTaken;
+    teamStats[team2Name].totalHealthRemaining += p2TeamStats.totalHealth;
+    teamStats[team2Name].totalHealthMax += p2TeamStats.totalHPGaugeValueMax;
+    teamStats[team2Name].totalMatchDuration += p2TeamStats.totalBattleTime;
+  }
+  
+  // Track character usage for team 1 only if valid
+  if (isTeam1Valid) {
+    teams_data.p1.forEach(char => {
+    const stats = extractStats(char, charMap, capsuleMap, null, aiStrategiesMap);
+    if (stats.name && stats.name !== '-') {
+      teamStats[team1Name].charactersUsed.add(stats.name);
+      teamStats[team1Name].characterUsageCount[stats.name] = 
+        (teamStats[team1Name].characterUsageCount[stats.name] || 0) + 1;
+      
+      // Initialize character details array if needed
+      if (!teamStats[team1Name].characterDetails[stats.name]) {
+        teamStats[team1Name].characterDetails[stats.name] = [];
+      }
+      
+      // Extract original character ID for form tracking
+      const originalForm = char.battlePlayCharacter?.originalCharacter?.key || char.originalCharacter?.key;
+      
+      // Derive position from the character's key in the record
+      const p1SlotKeys = teams_data.p1.filter(c => c._key.includes('AlliesTeamMember')).length;
+      const charKey1 = char._key || '';
+      let charPosition1 = null;
+      if (charKey1.includes('\uff11\uff30')) {
+        charPosition1 = 1;
+      } else {
+        const slotMatch1 = charKey1.match(/Member(\d+)/);
+        if (slotMatch1) {
+          const slotNum1 = parseInt(slotMatch1[1]);
+          charPosition1 = slotNum1 === p1SlotKeys ? 3 : 2;
+        }
+      }
+
+      // Store individual character match data with all detailed stats
+      teamStats[team1Name].characterDetails[stats.name].push({
+        damageDealt: stats.damageDone || 0,
+        damageTaken: stats.damageTaken || 0,
+        healthRemaining: stats.hPGaugeValue || 0,
+        healthMax: stats.hPGaugeValueMax || 0,
+        battleDuration: stats.battleTime || 0,
+        position: charPosition1,
+        // Build and AI Strategy
+        buildComposition: stats.buildComposition,
+        aiStrategy: stats.aiStrategy,
+        equippedCapsules: stats.equippedCapsules || [],
+        totalCapsuleCost: stats.totalCapsuleCost || 0,
+        // Special Abilities
+        specialMovesUsed: stats.specialMovesUsed || 0,
+        ultimatesUsed: stats.ultimatesUsed || 0,
+        skillsUsed: stats.skillsUsed || 0,
+        // NEW blast tracking
+        s1Blast: stats.s1Blast || 0,
+        s2Blast: stats.s2Blast || 0,
+        ultBlast: stats.ultBlast || 0,
+        s1HitBlast: stats.s1HitBlast,
+        s2HitBlast: stats.s2HitBlast,
+        uLTHitBlast: stats.uLTHitBlast,
+        s1HitRate: stats.s1HitRate,
+        s2HitRate: stats.s2HitRate,
+        ultHitRate: stats.ultHitRate,
+        // Legacy blast tracking (for backwards compatibility)
+        spm1Count: stats.s1Blast || 0,
+        spm2Count: stats.s2Blast || 0,
+        exa1Count: stats.exa1Count || 0,
+        exa2Count: stats.exa2Count || 0,
+        // Survival & Health
+        sparkingCount: stats.sparkingCount || 0,
+        chargeCount: stats.chargeCount || 0,
+        guardCount: stats.guardCount || 0,
+        shotEnergyBulletCount: stats.shotEnergyBulletCount || 0,
+        zCounterCount: stats.zCounterCount || 0,
+        superCounterCount: stats.superCounterCount || 0,
+        revengeCounterCount: stats.revengeCounterCount || 0,
+        tags: stats.tags || 0,
+        formChangeCount: stats.formChangeCount || 0,
+        // Combat Performance
+        maxComboNum: stats.maxComboNum || 0,
+        maxComboDamage: stats.maxComboDamage || 0,
+        throwCount: stats.throwCount || 0,
+        lightningAttackCount: stats.lightningAttackCount || 0,
+        vanishingAttackCount: stats.vanishingAttackCount || 0,
+        dragonHomingCount: stats.dragonHomingCount || 0,
+        speedImpactCount: stats.speedImpactCount || 0,
+        speedImpactWins: stats.speedImpactWins || 0,
+        sparkingComboCount: stats.sparkingComboCount || 0,
+        dragonDashMileage: stats.dragonDashMileage || 0,
+        kills: stats.kills || 0,
+        fileName: file.name,
+        // Per-form stats tracking
+        formChangeHistory: char.formChangeHistory || [],
+        originalCharacterId: originalForm,
+        characterIdRecord: characterIdRecord,
+        rawCharacterData: char // Store raw data for per-form calculation
+      });
+      
+      // Track build compositions (new 7-category system)
+      if (stats.buildComposition && stats.buildComposition.label) {
+        const compositionLabel = stats.buildComposition.label;
+        if (!teamStats[team1Name].buildCompositions[compositionLabel]) {
+          teamStats[team1Name].buildCompositions[compositionLabel] = 0;
+        }
+        teamStats[team1Name].buildCompositions[compositionLabel]++;;
+      }
+    }
+  });
+  }
+  
+  // Track character usage for team 2 only if valid
+  if (isTeam2Valid) {
+    teams_data.p2.forEach(char => {
+    const stats = extractStats(char, charMap, capsuleMap, null, aiStrategiesMap);
+    if (stats.name && stats.name !== '-') {
+      teamStats[team2Name].charactersUsed.add(stats.name);
+      teamStats[team2Name].characterUsageCount[stats.name] = 
+        (teamStats[team2Name].characterUsageCount[stats.name] || 0) + 1;
+      
+      // Initialize character details array if needed
+      if (!teamStats[team2Name].characterDetails[stats.name]) {
+        teamStats[team2Name].characterDetails[stats.name] = [];
+      }
+      
+      // Extract original character ID for form tracking
+      const originalForm = char.battlePlayCharacter?.originalCharacter?.key || char.originalCharacter?.key;
+      
+      // Derive position from the character's key in the record
+      const p2SlotKeys = teams_data.p2.filter(c => c._key.includes('EnemyTeamMember')).length;
+      const charKey2 = char._key || '';
+      let charPosition2 = null;
+      if (charKey2.includes('\uff12\uff30')) {
+        charPosition2 = 1;
+      } else {
+        const slotMatch2 = charKey2.match(/Member(\d+)/);
+        if (slotMatch2) {
+          const slotNum2 = parseInt(slotMatch2[1]);
+          charPosition2 = slotNum2 === p2SlotKeys ? 3 : 2;
+        }
+      }
+
+      // Store individual character match data with all detailed stats
+      teamStats[team2Name].characterDetails[stats.name].push({
+        damageDealt: stats.damageDone || 0,
+        damageTaken: stats.damageTaken || 0,
+        healthRemaining: stats.hPGaugeValue || 0,
+        healthMax: stats.hPGaugeValueMax || 0,
+        battleDuration: stats.battleTime || 0,
+        position: charPosition2,
+        // Build and AI Strategy
+        buildComposition: stats.buildComposition,
+        aiStrategy: stats.aiStrategy,
+        equippedCapsules: stats.equippedCapsules || [],
+        totalCapsuleCost: stats.totalCapsuleCost || 0,
+        // Special Abilities
+        specialMovesUsed: stats.specialMovesUsed || 0,
+        ultimatesUsed: stats.ultimatesUsed || 0,
+        skillsUsed: stats.skillsUsed || 0,
+        // NEW blast tracking
+        s1Blast: stats.s1Blast || 0,
+        s2Blast: stats.s2Blast || 0,
+        ultBlast: stats.ultBlast || 0,
+        s1HitBlast: stats.s1HitBlast,
+        s2HitBlast: stats.s2HitBlast,
+        uLTHitBlast: stats.uLTHitBlast,
+        s1HitRate: stats.s1HitRate,
+        s2HitRate: stats.s2HitRate,
+        ultHitRate: stats.ultHitRate,
+        // Legacy blast tracking (for backwards compatibility)
+        spm1Count: stats.s1Blast || 0,
+        spm2Count: stats.s2Blast || 0,
+        exa1Count: stats.exa1Count || 0,
+        exa2Count: stats.exa2Count || 0,
+        // Survival & Health
+        sparkingCount: stats.sparkingCount || 0,
+        chargeCount: stats.chargeCount || 0,
+        guardCount: stats.guardCount || 0,
+        shotEnergyBulletCount: stats.shotEnergyBulletCount || 0,
+        zCounterCount: stats.zCounterCount || 0,
+        superCounterCount: stats.superCounterCount || 0,
+        revengeCounterCount: stats.revengeCounterCount || 0,
+        tags: stats.tags || 0,
+        formChangeCount: stats.formChangeCount || 0,
+        // Combat Performance
+        maxComboNum: stats.maxComboNum || 0,
+        maxComboDamage: stats.maxComboDamage || 0,
+        throwCount: stats.throwCount || 0,
+        lightningAttackCount: stats.lightningAttackCount || 0,
+        vanishingAttackCount: stats.vanishingAttackCount || 0,
+        dragonHomingCount: stats.dragonHomingCount || 0,
+        speedImpactCount: stats.speedImpactCount || 0,
+        speedImpactWins: stats.speedImpactWins || 0,
+        sparkingComboCount: stats.sparkingComboCount || 0,
+        dragonDashMileage: stats.dragonDashMileage || 0,
+        kills: stats.kills || 0,
+        fileName: file.name,
+        // Per-form stats tracking
+        formChangeHistory: char.formChangeHistory || [],
+        originalCharacterId: originalForm,
+        characterIdRecord: characterIdRecord,
+        rawCharacterData: char // Store raw data for per-form calculation
+      });
+      
+      // Track build compositions (new 7-category system)
+      if (stats.buildComposition && stats.buildComposition.label) {
+        const compositionLabel = stats.buildComposition.label;
+        if (!teamStats[team2Name].buildCompositions[compositionLabel]) {
+          teamStats[team2Name].buildCompositions[compositionLabel] = 0;
+        }
+        teamStats[team2Name].buildCompositions[compositionLabel]++;;
+      }
+    }
+  });
+  }
+  
+  // Track position-based character matchups (only if both teams are valid)
+  if (isTeam1Valid && isTeam2Valid) {
+    teams_data.p1.forEach((p1Char, index) => {
+      const p2Char = teams_data.p2[index];
+      if (!p2Char) return; // No opposing character at this position
+      
+      const p1Stats = extractStats(p1Char, charMap, capsuleMap, null, aiStrategiesMap);
+      const p2Stats = extractStats(p2Char, charMap, capsuleMap, null, aiStrategiesMap);
+      
+      if (p1Stats.name && p1Stats.name !== '-' && p2Stats.name && p2Stats.name !== '-') {
+        const position = index + 1; // 1-indexed position
+        
+        // Track for team1 vs team2
+        const matchupKey = `${p1Stats.name}_vs_${p2Stats.name}`;
+        if (!teamStats[team1Name].opponentRecords[team2Name].characterMatchups[matchupKey]) {
+          teamStats[team1Name].opponentRecords[team2Name].characterMatchups[matchupKey] = {
+            characterName: p1Stats.name,
+            opponentName: p2Stats.name,
+            position: position,
+            matches: [],
+            buildUsage: {},
+            buildCompositionData: {} // Store full build composition data
+          };
+        }
+        
+        // Calculate performance score for this match
+        const damageEfficiency = (p1Stats.damageTaken || 1) > 0 ? p1Stats.damageDone / p1Stats.damageTaken : p1Stats.damageDone;
+        const dps = (p1Stats.battleTime || 1) > 0 ? p1Stats.damageDone / p1Stats.battleTime : 0;
+        const healthRetention = (p1Stats.hPGaugeValueMax || 1) > 0 ? p1Stats.hPGaugeValue / p1Stats.hPGaugeValueMax : 0;
+        const baseScore = (
+          (p1Stats.damageDone / 100000) * 35 +
+          (damageEfficiency) * 25 +
+          (dps / 1000) * 25 +
+          (healthRetention) * 15
+        );
+        
+        teamStats[team1Name].opponentRecords[team2Name].characterMatchups[matchupKey].matches.push({
+          damageDealt: p1Stats.damageDone || 0,
+          damageTaken: p1Stats.damageTaken || 0,
+          battleTime: p1Stats.battleTime || 0,
+          healthRemaining: p1Stats.hPGaugeValue || 0,
+          healthMax: p1Stats.hPGaugeValueMax || 0,
+          performanceScore: baseScore
+        });
+        
+        // Track build usage for this matchup
+        if (p1Stats.buildComposition && p1Stats.buildComposition.label) {
+          const buildKey = `${p1Stats.buildComposition.label}|${p1Stats.aiStrategy || 'Default'}`;
+          teamStats[team1Name].opponentRecords[team2Name].characterMatchups[matchupKey].buildUsage[buildKey] = 
+            (teamStats[team1Name].opponentRecords[team2Name].characterMatchups[matchupKey].buildUsage[buildKey] || 0) + 1;
+          // Store the full build composition data
+          if (!teamStats[team1Name].opponentRecords[team2Name].characterMatchups[matchupKey].buildCompositionData[buildKey]) {
+            teamStats[team1Name].opponentRecords[team2Name].characterMatchups[matchupKey].buildCompositionData[buildKey] = {
+              buildComposition: p1Stats.buildComposition,
+              aiStrategy: p1Stats.aiStrategy || 'Default',
+              equippedCapsules: p1Stats.equippedCapsules || [],
+              totalCapsuleCost: p1Stats.totalCapsuleCost || 0
+            };
+          }
+        }
+        
+        // Track for team2 vs team1 (reverse matchup)
+        const reverseMatchupKey = `${p2Stats.name}_vs_${p1Stats.name}`;
+        if (!teamStats[team2Name].opponentRecords[team1Name].characterMatchups[reverseMatchupKey]) {
+          teamStats[team2Name].opponentRecords[team1Name].characterMatchups[reverseMatchupKey] = {
+            characterName: p2Stats.name,
+            opponentName: p1Stats.name,
+            position: position,
+            matches: [],
+            buildUsage: {},
+            buildCompositionData: {} // Store full build composition data
+          };
+        }
+        
+        const p2DamageEfficiency = (p2Stats.damageTaken || 1) > 0 ? p2Stats.damageDone / p2Stats.damageTaken : p2Stats.damageDone;
+        const p2Dps = (p2Stats.battleTime || 1) > 0 ? p2Stats.damageDone / p2Stats.battleTime : 0;
+        const p2HealthRetention = (p2Stats.hPGaugeValueMax || 1) > 0 ? p2Stats.hPGaugeValue / p2Stats.hPGaugeValueMax : 0;
+        const p2BaseScore = (
+          (p2Stats.damageDone / 100000) * 35 +
+          (p2DamageEfficiency) * 25 +
+          (p2Dps / 1000) * 25 +
+          (p2HealthRetention) * 15
+        );
+        
+        teamStats[team2Name].opponentRecords[team1Name].characterMatchups[reverseMatchupKey].matches.push({
+          damageDealt: p2Stats.damageDone || 0,
+          damageTaken: p2Stats.damageTaken || 0,
+          battleTime: p2Stats.battleTime || 0,
+          healthRemaining: p2Stats.hPGaugeValue || 0,
+          healthMax: p2Stats.hPGaugeValueMax || 0,
+          performanceScore: p2BaseScore
+        });
+        
+        if (p2Stats.buildComposition && p2Stats.buildComposition.label) {
+          const p2BuildKey = `${p2Stats.buildComposition.label}|${p2Stats.aiStrategy || 'Default'}`;
+          teamStats[team2Name].opponentRecords[team1Name].characterMatchups[reverseMatchupKey].buildUsage[p2BuildKey] = 
+            (teamStats[team2Name].opponentRecords[team1Name].characterMatchups[reverseMatchupKey].buildUsage[p2BuildKey] || 0) + 1;
+          // Store the full build composition data
+          if (!teamStats[team2Name].opponentRecords[team1Name].characterMatchups[reverseMatchupKey].buildCompositionData[p2BuildKey]) {
+            teamStats[team2Name].opponentRecords[team1Name].characterMatchups[reverseMatchupKey].buildCompositionData[p2BuildKey] = {
+              buildComposition: p2Stats.buildComposition,
+              aiStrategy: p2Stats.aiStrategy || 'Default',
+              equippedCapsules: p2Stats.equippedCapsules || [],
+              totalCapsuleCost: p2Stats.totalCapsuleCost || 0
+            };
+          }
+        }
+      }
+    });
+  }
+  
+  // Add match history only for valid teams
+  if (isTeam1Valid) {
+    teamStats[team1Name].matchHistory.push({
+      opponent: isTeam2Valid ? team2Name : 'Unknown',
+      result: team1Won ? 'Win' : 'Loss',
+      damageDealt: p1TeamStats.totalDamage,
+      damageTaken: p1TeamStats.totalTaken,
+      healthRemaining: p1TeamStats.totalHealth,
+      healthMax: p1TeamStats.totalHPGaugeValueMax,
+      battleDuration: p1TeamStats.totalBattleTime,
+      fileName: file.name
+    });
+  }
+  
+  if (isTeam2Valid) {
+    teamStats[team2Name].matchHistory.push({
+      opponent: isTeam1Valid ? team1Name : 'Unknown',
+      result: team2Won ? 'Win' : 'Loss',
+      damageDealt: p2TeamStats.totalDamage,
+      damageTaken: p2TeamStats.totalTaken,
+      healthRemaining: p2TeamStats.totalHealth,
+      healthMax: p2TeamStats.totalHPGaugeValueMax,
+      battleDuration: p2TeamStats.totalBattleTime,
+      fileName: file.name
+    });
+  }
+}
+
+export const mergeTeamData = (teamStats, partial) => mergeAccumulator(teamStats, partial, TEAM_MERGE_RULES);
+
+/**
+ * Win rates, averages and per-character breakdowns per team from merged team stats.
+ * @param {Object} teamStats - Merged total; consumed
+ * @param {Object} context - { charMap }
+ * @returns {Object[]} Teams sorted by win rate
+ */
+export function finalizeTeamData(teamStats, { charMap }) {
+  // Calculate final statistics and format data
+  return Object.values(teamStats).map(team => {
+    team.winRate = team.matches > 0 ? Math.round((team.wins / team.matches) * 100 * 10) / 10 : 0;
+    
+    // Convert character usage set to array and sort by usage frequency
+    team.favoriteCharacters = Object.entries(team.characterUsageCount)
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, 5)
+      .map(([name, count]) => ({ name, usage: count }));
+    
+    // Calculate per-character averages
+    Object.entries(team.characterDetails).forEach(([charName, matches]) => {
+      if (matches.length > 0) {
+        // Filter for active matches first (same approach as build calculation)
+        const activeMatches = matches.filter(m => m.battleDuration && m.battleDuration > 0);
+        const matchesToAggregate = activeMatches.length > 0 ? activeMatches : matches;
+        
+        const totalDamageDealt = matchesToAggregate.reduce((sum, match) => sum + (match.damageDealt || 0), 0);
+        const totalDamageTaken = matchesToAggregate.reduce((sum, match) => sum + (match.damageTaken || 0), 0);
+        const totalBattleDuration = matchesToAggregate.reduce((sum, match) => sum + (match.battleDuration || 0), 0);
+        const totalHealthRemaining = matchesToAggregate.reduce((sum, match) => sum + (match.healthRemaining || 0), 0);
+        const totalHealthMax = matchesToAggregate.reduce((sum, match) => sum + (match.healthMax || 0), 0);
+        
+        // Special Abilities totals
+        const totalSpecialMoves = matches.reduce((sum, match) => sum + (match.specialMovesUsed || 0), 0);
+        const totalUltimates = matches.reduce((sum, match) => sum + (match.ultimatesUsed || 0), 0);
+        const totalSkills = matches.reduce((sum, match) => sum + (match.skillsUsed || 0), 0);
+        const totalSPM1 = matches.reduce((sum, match) => sum + (match.spm1Count || 0), 0);
+        const totalSPM2 = matches.reduce((sum, match) => sum + (match.spm2Count || 0), 0);
+        const totalEXA1 = matches.reduce((sum, match) => sum + (match.exa1Count || 0), 0);
+        const totalEXA2 = matches.reduce((sum, match) => sum + (match.exa2Count || 0), 0);
+        
+        // New blast tracking totals
+        const totalS1Blast = matches.reduce((sum, match) => sum + (match.s1Blast || match.spm1Count || 0), 0);
+        const totalS2Blast = matches.reduce((sum, match) => sum + (match.s2Blast || match.spm2Count || 0), 0);
+        const totalUltBlast = matches.reduce((sum, match) => sum + (match.ultBlast || 0), 0);
+        const totalS1HitBlast = matches.reduce((sum, match) => sum + (match.s1HitBlast || 0), 0);
+        const totalS2HitBlast = matches.reduce((sum, match) => sum + (match.s2HitBlast || 0), 0);
+        const totalULTHitBlast = matches.reduce((sum, match) => sum + (match.uLTHitBlast || 0), 0);
+        const totalTags = matches.reduce((sum, match) => sum + (match.tags || 0), 0);
+        const totalTransformations = matches.reduce((sum, match) => sum + (match.formChangeCount || 0), 0);
+        
+        // Track separately for hit rate calculation (only from matches with additionalCounts data)
+        // Check each blast type individually - a match is trackable for a blast type only if that specific blast type has hit data
+        const totalS1BlastTrackable = matches.reduce((sum, match) => {
+          // Check if THIS blast type has hit data in this match
+          const hasS1HitData = (match.s1HitBlast !== undefined && match.s1HitBlast !== null);
+          return sum + (hasS1HitData ? (match.s1Blast || 0) : 0);
+        }, 0);
+        const totalS2BlastTrackable = matches.reduce((sum, match) => {
+          // Check if THIS blast type has hit data in this match
+          const hasS2HitData = (match.s2HitBlast !== undefined && match.s2HitBlast !== null);
+          return sum + (hasS2HitData ? (match.s2Blast || 0) : 0);
+        }, 0);
+        const totalUltBlastTrackable = matches.reduce((sum, match) => {
+          // Check if THIS blast type has hit data in this match
+          const hasUltHitData = (match.uLTHitBlast !== undefined && match.uLTHitBlast !== null);
+          return sum + (hasUltHitData ? (match.ultBlast || 0) : 0);
+        }, 0);
+        
+        // Survival & Health totals
+        const totalSparking = matches.reduce((sum, match) => sum + (match.sparkingCount || 0), 0);
+        const totalCharges = matches.reduce((sum, match) => sum + (match.chargeCount || 0), 0);
+        const totalGuards = matches.reduce((sum, match) => sum + (match.guardCount || 0), 0);
+        const totalEnergyBlasts = matches.reduce((sum, match) => sum + (match.shotEnergyBulletCount || 0), 0);
+        const totalZCounters = matches.reduce((sum, match) => sum + (match.zCounterCount || 0), 0);
+        const totalSuperCounters = matches.reduce((sum, match) => sum + (match.superCounterCount || 0), 0);
+        const totalRevengeCounters = matches.reduce((sum, match) => sum + (match.revengeCounterCount || 0), 0);
+        
+        // Combat Performance totals
+        const totalMaxComboNum = matches.reduce((sum, match) => sum + (match.maxComboNum || 0), 0);
+        const totalMaxComboDamage = matches.reduce((sum, match) => sum + (match.maxComboDamage || 0), 0);
+        const totalThrows = matches.reduce((sum, match) => sum + (match.throwCount || 0), 0);
+        const totalLightningAttacks = matches.reduce((sum, match) => sum + (match.lightningAttackCount || 0), 0);
+        const totalVanishingAttacks = matches.reduce((sum, match) => sum + (match.vanishingAttackCount || 0), 0);
+        const totalDragonHoming = matches.reduce((sum, match) => sum + (match.dragonHomingCount || 0), 0);
+        const totalSpeedImpacts = matches.reduce((sum, match) => sum + (match.speedImpactCount || 0), 0);
+        const totalSpeedImpactWins = matches.reduce((sum, match) => sum + (match.speedImpactWins || 0), 0);
+        const totalSparkingCombo = matches.reduce((sum, match) => sum + (match.sparkingComboCount || 0), 0);
+        const totalDragonDashMileage = matches.reduce((sum, match) => sum + (match.dragonDashMileage || 0), 0);
+        const totalKills = matches.reduce((sum, match) => sum + (match.kills || 0), 0);
+        
+        const matchCount = matches.length;
+        const activeMatchCount = matchesToAggregate.length;
+        const denom = activeMatchCount;
+        
+        const avgDamageDealt = Math.round(totalDamageDealt / Math.max(denom, 1));
+        const avgDamageTaken = Math.round(totalDamageTaken / Math.max(denom, 1));
+        const avgBattleDuration = totalBattleDuration / Math.max(denom, 1);
+        const avgHealthRemaining = totalHealthRemaining / Math.max(denom, 1);
+        const avgHealthMax = totalHealthMax / Math.max(denom, 1);
+        
+        const damageEfficiency = totalDamageTaken > 0 ? 
+          Math.round((totalDamageDealt / totalDamageTaken) * 100) / 100 : 
+          (totalDamageDealt > 0 ? 999 : 0);
+        const damagePerSecond = totalBattleDuration > 0 ? 
+          Math.round((totalDamageDealt / totalBattleDuration) * 100) / 100 : 0;
+        const healthRetention = avgHealthMax > 0 ? avgHealthRemaining / avgHealthMax : 0;
+        
+        // Calculate performance score using same formula as character aggregation
+        const baseScore = (
+          (avgDamageDealt / 100000) * 35 +        // Damage dealt weight: 35%
+          (damageEfficiency) * 25 +                // Damage efficiency weight: 25%
+          (damagePerSecond / 1000) * 25 +          // Damage per second weight: 25%
+          (healthRetention) * 15                   // Health retention weight: 15%
+        );
+        
+        // Experience multiplier based on matches played (use active match count)
+        const experienceMultiplier = Math.min(1.25, 1.0 + (activeMatchCount - 1) * (0.25 / 11));
+        const performanceScore = Math.round((baseScore * experienceMultiplier) * 100) / 100;
+        
+        // Calculate speed impact win rate
+        const speedImpactWinRate = totalSpeedImpacts > 0 
+          ? Math.round((totalSpeedImpactWins / totalSpeedImpacts) * 1000) / 10 
+          : 0;
+        
+        team.characterAverages[charName] = {
+          avgDamageDealt,
+          avgDamageTaken,
+          avgDamageEfficiency: damageEfficiency,
+          avgDamagePerSecond: damagePerSecond,
+          avgHealthRetention: healthRetention,
+          avgHealthMax: Math.round(avgHealthMax),
+          avgHealthRemaining: Math.round(avgHealthRemaining),
+          avgBattleDuration: Math.round(avgBattleDuration),
+          performanceScore,
+          matchesPlayed: matchCount,
+          activeMatchesPlayed: activeMatchCount,
+          usageRate: Math.round((activeMatchCount / team.activeMatches) * 100 * 10) / 10,
+          // Special Abilities averages
+          avgSpecialMoves: Math.round((totalSpecialMoves / denom) * 10) / 10,
+          avgUltimates: Math.round((totalUltimates / denom) * 100) / 100,
+          avgSkills: Math.round((totalSkills / denom) * 10) / 10,
+          avgSPM1: Math.round((totalSPM1 / denom) * 100) / 100,
+          avgSPM2: Math.round((totalSPM2 / denom) * 100) / 100,
+          avgEXA1: Math.round((totalEXA1 / denom) * 100) / 100,
+          avgEXA2: Math.round((totalEXA2 / denom) * 100) / 100,
+          // New blast tracking averages
+          avgS1Blast: Math.round((totalS1Blast / denom) * 100) / 100,
+          avgS2Blast: Math.round((totalS2Blast / denom) * 100) / 100,
+          avgUltBlast: Math.round((totalUltBlast / denom) * 100) / 100,
+          avgS1Hit: Math.round((totalS1HitBlast / denom) * 100) / 100,
+          avgS2Hit: Math.round((totalS2HitBlast / denom) * 100) / 100,
+          avgUltHit: Math.round((totalULTHitBlast / denom) * 100) / 100,
+          s1HitRateOverall: totalS1BlastTrackable > 0 ? Math.round((totalS1HitBlast / totalS1BlastTrackable) * 1000) / 10 : null,
+          s2HitRateOverall: totalS2BlastTrackable > 0 ? Math.round((totalS2HitBlast / totalS2BlastTrackable) * 1000) / 10 : null,
+          ultHitRateOverall: totalUltBlastTrackable > 0 ? Math.round((totalULTHitBlast / totalUltBlastTrackable) * 1000) / 10 : null,
+          
+          avgTags: Math.round((totalTags / denom) * 100) / 100,
+          totalTags: totalTags,
+          avgTransformations: Math.round((totalTransformations / denom) * 100) / 100,
+          
+          // Survival & Health averages
+          avgSparking: Math.round((totalSparking / denom) * 100) / 100,
+          avgCharges: Math.round((totalCharges / denom) * 10) / 10,
+          avgGuards: Math.round((totalGuards / denom) * 10) / 10,
+          avgEnergyBlasts: Math.round((totalEnergyBlasts / denom) * 10) / 10,
+          avgZCounters: Math.round((totalZCounters / denom) * 100) / 100,
+          avgSuperCounters: Math.round((totalSuperCounters / denom) * 100) / 100,
+          avgRevengeCounters: Math.round((totalRevengeCounters / denom) * 100) / 100,
+          // Combat Performance averages
+          avgMaxComboNum: Math.round((totalMaxComboNum / denom) * 10) / 10,
+          avgMaxComboDamage: Math.round(totalMaxComboDamage / denom),
+          avgThrows: Math.round((totalThrows / denom) * 100) / 100,
+          avgLightningAttacks: Math.round((totalLightningAttacks / denom) * 100) / 100,
+          avgVanishingAttacks: Math.round((totalVanishingAttacks / denom) * 100) / 100,
+          avgDragonHoming: Math.round((totalDragonHoming / denom) * 100) / 100,
+          avgSpeedImpacts: Math.round((totalSpeedImpacts / denom) * 100) / 100,
+          avgSpeedImpactWins: Math.round((totalSpeedImpactWins / denom) * 100) / 100,
+          speedImpactWinRate: speedImpactWinRate,
+          avgSparkingCombo: Math.round((totalSparkingCombo / denom) * 10) / 10,
+          avgDragonDashMileage: Math.round((totalDragonDashMileage / denom) * 10) / 10,
+          avgKills: Math.round((totalKills / denom) * 100) / 100,
+          // Raw match data for build filter recomputation
+          rawMatches: matches,
+          // Most common position
+          primaryPosition: (() => {
+            const pc = { 1: 0, 2: 0, 3: 0 };
+            matches.forEach(m => { if (m.position) pc[m.position] = (pc[m.position] || 0) + 1; });
+            const total = pc[1] + pc[2] + pc[3];
+            if (total === 0) return null;
+            const best = [1, 2, 3].reduce((a, b) => pc[b] > pc[a] ? b : a, 1);
+            return best === 1 ? 'Starter' : best === 2 ? 'Middle' : 'Anchor';
+          })()
+        };
+        
+        // Track build usage for this character
+        // Key by exact capsule loadout + AI strategy so different capsule sets are tracked separately
+        const buildUsageMap = {};
+        matches.forEach(match => {
+          if (match.buildComposition && match.buildComposition.label) {
+            const capsuleKey = (match.equippedCapsules || [])
+              .map(c => c.name || c.id || '')
+              .sort()
+              .join(',');
+            const buildKey = `${capsuleKey}|${match.aiStrategy || 'Default'}`;
+            if (!buildUsageMap[buildKey]) {
+              buildUsageMap[buildKey] = {
+                buildLabel: match.buildComposition.label,
+                buildComposition: match.buildComposition,
+                aiStrategy: match.aiStrategy,
+                equippedCapsules: match.equippedCapsules || [],
+                totalCapsuleCost: match.totalCapsuleCost || 0,
+                count: 0,
+                activeCount: 0, // Track active matches (with battleDuration > 0)
+                // Aggregate stats (same approach as character)
+                totalDamageDealt: 0,
+                totalDamageTaken: 0,
+                totalBattleDuration: 0,
+                totalHealthRemaining: 0,
+                totalHealthMax: 0
+              };
+            }
+            buildUsageMap[buildKey].count++;
+            // Only aggregate stats from active matches (same as character)
+            if (match.battleDuration && match.battleDuration > 0) {
+              buildUsageMap[buildKey].activeCount++;
+              buildUsageMap[buildKey].totalDamageDealt += match.damageDealt || 0;
+              buildUsageMap[buildKey].totalDamageTaken += match.damageTaken || 0;
+              buildUsageMap[buildKey].totalBattleDuration += match.battleDuration || 0;
+              buildUsageMap[buildKey].totalHealthRemaining += match.healthRemaining || 0;
+              buildUsageMap[buildKey].totalHealthMax += match.healthMax || 0;
+            }
+          }
+        });
+        
+        // Sort builds by usage first, then by average performance score for tie-breaking
+        const sortedBuilds = Object.values(buildUsageMap)
+          .filter(build => build.activeCount > 0) // Only include builds with active matches
+          .map(build => {
+            // Calculate metrics from aggregated totals (same as character calculation)
+            const denom = build.activeCount;
+            const avgDamageDealt = Math.round(build.totalDamageDealt / Math.max(denom, 1));
+            const avgDamageTaken = Math.round(build.totalDamageTaken / Math.max(denom, 1));
+            const avgBattleDuration = build.totalBattleDuration / Math.max(denom, 1);
+            const avgHealthRemaining = build.totalHealthRemaining / Math.max(denom, 1);
+            const avgHealthMax = build.totalHealthMax / Math.max(denom, 1);
+            
+            const damageEfficiency = build.totalDamageTaken > 0 ? 
+              Math.round((build.totalDamageDealt / build.totalDamageTaken) * 100) / 100 : 
+              (build.totalDamageDealt > 0 ? 999 : 0);
+            const damagePerSecond = build.totalBattleDuration > 0 ? 
+              Math.round((build.totalDamageDealt / build.totalBattleDuration) * 100) / 100 : 0;
+            const healthRetention = avgHealthMax > 0 ? avgHealthRemaining / avgHealthMax : 0;
+            
+            // Calculate base score using same formula as character
+            const baseScore = (
+              (avgDamageDealt / 100000) * 35 +        // Damage dealt weight: 35%
+              (damageEfficiency) * 25 +                // Damage efficiency weight: 25%
+              (damagePerSecond / 1000) * 25 +          // Damage per second weight: 25%
+              (healthRetention) * 15                   // Health retention weight: 15%
+            );
+            
+            // Apply experience multiplier consistent with character performance score
+            // Use activeCount for experience, same as character (prefer active matches)
+            const experienceMultiplier = Math.min(1.25, 1.0 + ((build.activeCount > 0 ? build.activeCount : build.count) - 1) * (0.25 / 11));
+            const performanceScore = Math.round((baseScore * experienceMultiplier) * 100) / 100;
+            
+            return {
+              ...build,
+              avgPerformanceScore: performanceScore
+            };
+          })
+          .sort((a, b) => {
+            // Primary sort: by active usage count (descending)
+            if (b.activeCount !== a.activeCount) return b.activeCount - a.activeCount;
+            // Tie-breaker: by average performance score (descending)
+            return b.avgPerformanceScore - a.avgPerformanceScore;
+          });
+        
+        // Pass all builds (no cap) — UI handles selection and display
+        team.characterAverages[charName].topBuilds = sortedBuilds;
+        
+        // Aggregate per-form stats for characters with transformations
+        const formStatsMap = {};
+        matches.forEach(match => {
+          // Check if this character has form changes AND characterIdRecord data
+          const hasFormChanges = Array.isArray(match.formChangeHistory) && match.formChangeHistory.length > 0;
+          const hasCharacterIdRecord = match.characterIdRecord && typeof match.characterIdRecord === 'object';
+          
+          if (hasFormChanges && hasCharacterIdRecord) {
+            const perFormStats = calculatePerFormStats(
+              match.rawCharacterData,
+              match.characterIdRecord,
+              match.formChangeHistory,
+              match.originalCharacterId
+            );
+
+            
+            perFormStats.forEach(formStat => {
+              const formId = formStat.formId;
+              if (!formStatsMap[formId]) {
+                formStatsMap[formId] = {
+                  formId: formId,
+                  formNumber: formStat.formNumber,
+                  isFirstForm: formStat.isFirstForm,
+                  isFinalForm: formStat.isFinalForm,
+                  totalDamageDone: 0,
+                  totalDamageTaken: 0,
+                  totalBattleTime: 0,
+                  totalBattleCount: 0,
+                  totalHPRemaining: 0,
+                  totalHPMax: 0,
+                  totalSpecialMoves: 0,
+                  totalUltimates: 0,
+                  totalS1Blast: 0,
+                  totalS2Blast: 0,
+                  totalUltBlast: 0,
+                  totalS1HitBlast: 0,
+                  totalS2HitBlast: 0,
+                  totalULTHitBlast: 0,
+                  totalKills: 0,
+                  matches: 0
+                };
+              }
+              
+              formStatsMap[formId].totalDamageDone += formStat.damageDone || 0;
+              formStatsMap[formId].totalDamageTaken += formStat.damageTaken || 0;
+              formStatsMap[formId].totalBattleTime += formStat.battleTime || 0;
+              formStatsMap[formId].totalHPRemaining += formStat.hpRemaining || 0;
+              formStatsMap[formId].totalHPMax += (formStat.hpRemaining || 0);
+              formStatsMap[formId].totalSpecialMoves += formStat.specialMovesUsed || 0;
+              formStatsMap[formId].totalUltimates += formStat.ultimatesUsed || 0;
+              formStatsMap[formId].totalS1Blast += formStat.s1Blast || 0;
+              formStatsMap[formId].totalS2Blast += formStat.s2Blast || 0;
+              formStatsMap[formId].totalUltBlast += formStat.ultBlast || 0;
+              formStatsMap[formId].totalS1HitBlast += (formStat.s1HitBlast || 0);
+              formStatsMap[formId].totalS2HitBlast += (formStat.s2HitBlast || 0);
+              formStatsMap[formId].totalULTHitBlast += (formStat.uLTHitBlast || 0);
+              formStatsMap[formId].totalKills += formStat.kills || 0;
+              formStatsMap[formId].matches += 1;
+            });
+          }
+        });
+        
+        // Calculate averages for each form
+        const aggregatedFormStats = Object.values(formStatsMap).map(formData => {
+          const matchCount = formData.matches;
+          const avgDamageDone = matchCount > 0 ? formData.totalDamageDone / matchCount : 0;
+          const avgDamageTaken = matchCount > 0 ? formData.totalDamageTaken / matchCount : 0;
+          const avgBattleTime = matchCount > 0 ? formData.totalBattleTime / matchCount : 0;
+          
+          // Calculate derived stats using total-based calculations
+          const damageEfficiency = formData.totalDamageTaken > 0 ? formData.totalDamageDone / formData.totalDamageTaken : 0;
+          const damagePerSecond = formData.totalBattleTime > 0 ? formData.totalDamageDone / formData.totalBattleTime : 0;
+          
+          return {
+            formId: formData.formId,
+            formNumber: formData.formNumber,
+            characterName: charMap[formData.formId] || formData.formId,
+            isFirstForm: formData.isFirstForm,
+            isFinalForm: formData.isFinalForm,
+            avgDamageDone: avgDamageDone,
+            avgDamageTaken: avgDamageTaken,
+            avgBattleTime: avgBattleTime,
+            avgHPRemaining: matchCount > 0 ? formData.totalHPRemaining / matchCount : 0,
+            avgSpecialMoves: matchCount > 0 ? formData.totalSpecialMoves / matchCount : 0,
+            avgUltimates: matchCount > 0 ? formData.totalUltimates / matchCount : 0,
+            avgS1Blast: matchCount > 0 ? formData.totalS1Blast / matchCount : 0,
+            avgS2Blast: matchCount > 0 ? formData.totalS2Blast / matchCount : 0,
+            avgUltBlast: matchCount > 0 ? formData.totalUltBlast / matchCount : 0,
+            avgS1HitBlast: matchCount > 0 ? formData.totalS1HitBlast / matchCount : 0,
+            avgS2HitBlast: matchCount > 0 ? formData.totalS2HitBlast / matchCount : 0,
+            avgULTHitBlast: matchCount > 0 ? formData.totalULTHitBlast / matchCount : 0,
+            avgKills: matchCount > 0 ? formData.totalKills / matchCount : 0,
+            damageEfficiency: damageEfficiency,
+            damagePerSecond: damagePerSecond,
+            matchCount: matchCount
+          };
+        }).sort((a, b) => a.formNumber - b.formNumber);
+        
+        // Add form stats to character averages
+        if (aggregatedFormStats.length > 0) {
+          team.characterAverages[charName].formStats = aggregatedFormStats;
+          
+          // Build form change history text
+          const formNames = aggregatedFormStats.map(f => f.characterName);
+          team.characterAverages[charName].formChangeHistoryText = formNames.join(' → ');
+          
+          // Store raw form change history for component
+          team.characterAverages[charName].formChangeHistory = matches[0]?.formChangeHistory || [];
+        }
+      }
+    });
+    
+    // Get top 5 characters by performance score for team-level stats (matching Team Performance Matrix logic)
+    const top5Characters = Object.entries(team.characterAverages)
+      .sort((a, b) => (b[1].performanceScore || 0) - (a[1].performanceScore || 0))
+      .slice(0, 5)
+      .map(([name, stats]) => ({ name, ...stats }));
+    
+    // Calculate team-level stats based on top 5 characters
+    const top5TotalDamage = top5Characters.reduce((sum, char) => sum + char.avgDamageDealt, 0);
+    const top5TotalTaken = top5Characters.reduce((sum, char) => sum + char.avgDamageTaken, 0);
+    const top5TotalMaxHP = top5Characters.reduce((sum, char) => sum + char.avgHealthMax, 0);
+    const top5TotalHPLeft = top5Characters.reduce((sum, char) => sum + char.avgHealthRemaining, 0);
+    const top5TotalBattleTime = top5Characters.reduce((sum, char) => sum + (char.avgBattleDuration || 0), 0);
+    const top5TotalTags = top5Characters.reduce((sum, char) => sum + (char.totalTags || 0), 0);
+    
+    // Team-level calculated stats from top 5
+    team.avgDamagePerMatch = Math.round(top5TotalDamage);
+    team.avgDamageTakenPerMatch = Math.round(top5TotalTaken);
+    team.avgHealthRetention = top5TotalMaxHP > 0 ? 
+      Math.round((top5TotalHPLeft / top5TotalMaxHP) * 1000) / 10 : 0;
+    team.top5Efficiency = top5TotalTaken > 0 ? 
+      Math.round((top5TotalDamage / top5TotalTaken) * 100) / 100 : 0;
+    team.top5DPS = top5TotalBattleTime > 0 ?
+      Math.round((top5TotalDamage / top5TotalBattleTime) * 10) / 10 : 0;
+    // Calculate average TOTAL match duration (total battle time of all characters per match)
+    team.top5AvgMatchDuration = team.matches > 0 ?
+      Math.round(team.totalMatchDuration / team.matches) : 0;
+    team.top5AvgHPRemaining = top5Characters.length > 0 ?
+      Math.round(top5TotalHPLeft / top5Characters.length) : 0;
+    team.top5AvgTags = top5Characters.length > 0 ?
+      Math.round((top5TotalTags / top5Characters.length) * 10) / 10 : 0;
+    team.top5TotalTags = top5TotalTags;
+    
+    // Store top 5 character names for UI highlighting
+    team.top5CharacterNames = top5Characters.map(c => c.name);
+    
+    // Convert set to count for UI display
+    team.uniqueCharactersUsed = team.charactersUsed.size;
+    team.charactersUsed = Array.from(team.charactersUsed);
+    
+    return team;
+  }).sort((a, b) => {
+    // Primary sort: Win rate (descending)
+    if (b.winRate !== a.winRate) return b.winRate - a.winRate;
+    // Secondary sort: Total matches (descending, more experienced teams ranked higher)
+    if (b.matches !== a.matches) return b.matches - a.matches;
+    // Tertiary sort: Damage efficiency (descending)
+    const aEfficiency = a.totalDamageTaken > 0 ? a.totalDamageDealt / a.totalDamageTaken : a.totalDamageDealt;
+    const bEfficiency = b.totalDamageTaken > 0 ? b.totalDamageDealt / b.totalDamageTaken : b.totalDamageDealt;
+    return bEfficiency - aEfficiency;
+  });
+}
+
+export function getTeamAggregatedData(files, charMap, capsuleMap = {}, aiStrategiesMap = {}) {
+  const context = { charMap, capsuleMap, aiStrategiesMap };
+  const teamStats = {};
+  files.forEach(file => accumulateTeamData(teamStats, file, context));
+  return finalizeTeamData(teamStats, context);
+}
+
+export function getTeamStats(teamRecords, charMap, capsuleMap = {}, aiStrategiesMap = {}) {
+  let totalDamage = 0, totalTaken = 0, totalHealth = 0, totalHPGaugeValueMax = 0, totalSpecial = 0, totalUltimates = 0, totalSkills = 0, totalBattleTime = 0;
+  teamRecords.forEach(char => {
+    const stats = extractStats(char, charMap, capsuleMap, null, aiStrategiesMap); // No position for team aggregation
+    totalDamage += stats.damageDone;
+    totalTaken += stats.damageTaken;
+    totalHealth += stats.hPGaugeValue;
+    totalHPGaugeValueMax += stats.hPGaugeValueMax;
+    totalSpecial += stats.specialMovesUsed;
+    totalUltimates += stats.ultimatesUsed;
+    totalSkills += stats.skillsUsed;
+    totalBattleTime += stats.battleTime || 0;
+  });
+  return { totalDamage, totalTaken, totalHealth, totalHPGaugeValueMax, totalSpecial, totalUltimates, totalSkills, totalBattleTime };
+}
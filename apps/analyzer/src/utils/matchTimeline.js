@@ -0,0 +1,250 @@
+/**
+ * Match Timeline Reconstruction
+ *
+ * Rebuilds the flow of a team battle from the end-of-match totals: who was on point when, what
+ * they dealt and took during their stint, and who KO'd whom. Battle results carry no event log,
+ * so the timeline is inferred:
+ * - Stints: each fighter's battleTime is their time on the field. Both teams' battleTimes add up
+ *   to the match length, so without tag switches fighters fight one continuous stint each, in
+ *   lineup order (characterRecord key order).
+ * - KOs: a fighter with 0 HP was KO'd at the end of their stint, by the opponent on the field at
+ *   that moment. Opponents' killCount is used to settle handovers and to check the result.
+ * - Forms: formChangeHistory and the characterIdRecord snapshots give each form's share of a stint.
+ * Tag switches (additionalCounts.tags) split stints in ways the totals can't recover, so those
+ * teams are drawn one block per fighter and their inferences are marked low confidence.
+ */
+
+import { parseBattleTime } from './matchAggregation.js';
+import { calculatePerFormStats } from './formStatsCalculator.js';
+
+export const CONFIDENCE_LEVELS = ['high', 'medium', 'low'];
+
+// Seconds of slack when matching a KO to the opponent on the field (stint ends are rounded
+// differently on each side and the next fighter's entrance takes a moment)
+const HANDOVER_TOLERANCE = 1;
+
+const lowest = (...levels) => levels.reduce((worst, level) =>
+  CONFIDENCE_LEVELS.indexOf(level) > CONFIDENCE_LEVELS.indexOf(worst) ? level : worst, 'high');
+
+/**
+ * Form sub-stints within a fighter's stint.
+ * @returns {{forms: Array, timing: 'exact'|'unknown'|null}} timing is null without transformations
+ */
+function buildForms(char, characterIdRecord, start, end) {
+  const play = char.battlePlayCharacter || {};
+  const history = char.formChangeHistory || [];
+  const originalId = play.originalCharacter?.key || play.character?.key;
+  if (history.length === 0) {
+    return { forms: [{ formId: play.character?.key || originalId, start, end }], timing: null };
+  }
+
+  const chain = [originalId, ...history.map(form => form.key)];
+  const perForm = characterIdRecord && Object.keys(characterIdRecord).length > 0
+    ? calculatePerFormStats(char, characterIdRecord, history, originalId)
+    : [];
+
+  if (perForm.length !== chain.length) {
+    // Snapshots missing: the forms are known, their timing is not
+    return { forms: chain.map(formId => ({ formId, start: null, end: null })), timing: 'unknown' };
+  }
+
+  let cursor = start;
+  const forms = perForm.map((form, i) => {
+    const formStart = cursor;
+    const formEnd = i === perForm.length - 1 ? end : Math.min(end, cursor + (form.battleTime || 0));
+    cursor = formEnd;
+    return {
+      formId: form.formId,
+      start: formStart,
+      end: formEnd,
+      damageDone: form.damageDone || 0,
+      damageTaken: form.damageTaken || 0
+    };
+  });
+  return { forms, timing: 'exact' };
+}
+
+function buildTeam(side, characters, characterIdRecord) {
+  let cursor = 0;
+  const tags = characters.reduce((sum, char) => sum + (char.additionalCounts?.tags || 0), 0);
+  const fighters = characters.map((char, i) => {
+    const play = char.battlePlayCharacter || {};
+    const count = char.battleCount || {};
+    const battleTime = parseBattleTime(count.battleTime);
+    const start = battleTime > 0 ? cursor : null;
+    const end = battleTime > 0 ? cursor + battleTime : null;
+    cursor += battleTime;
+    const { forms, timing } = battleTime > 0 ? buildForms(char, characterIdRecord, start, end) : { forms: [], timing: null };
+    return {
+      key: char._key,
+      side,
+      slot: i + 1,
+      characterId: play.character?.key || null,
+      originalCharacterId: play.originalCharacter?.key || play.character?.key || null,
+      battleTime,
+      start,
+      end,
+      entered: battleTime > 0,
+      knockedOut: battleTime > 0 && (play.hPGaugeValue || 0) <= 0,
+      hp: play.hPGaugeValue || 0,
+      hpMax: play.hPGaugeValueMax || 0,
+      damageDone: count.givenDamage || 0,
+      damageTaken: count.takenDamage || 0,
+      kills: count.killCount || 0,
+      tags: char.additionalCounts?.tags || 0,
+      forms,
+      formTiming: timing,
+      exit: null,
+      killedBy: null,
+      opponents: []
+    };
+  });
+
+  return {
+    side,
+    fighters,
+    tags,
+    fieldTime: cursor,
+    order: tags > 0
+      ? { confidence: 'low', note: `${tags} tag switch${tags === 1 ? '' : 'es'}: stints were split, so each fighter's time on point is drawn as one block in lineup order` }
+      : { confidence: 'high', note: 'No tag switches: one continuous stint per fighter, in lineup order' }
+  };
+}
+
+/**
+ * Attribute each KO on `victims` to a fighter on `killers`, spending their killCount.
+ * @returns {Array} Kill entries
+ */
+function attributeKills(victimTeam, killerTeam) {
+  const remaining = new Map(killerTeam.fighters.map(fighter => [fighter.key, fighter.kills]));
+  const timelineReliable = victimTeam.tags === 0 && killerTeam.tags === 0;
+  const victims = victimTeam.fighters.filter(fighter => fighter.knockedOut).sort((a, b) => a.end - b.end);
+
+  return victims.map(victim => {
+    const onField = killerTeam.fighters.filter(fighter => fighter.entered &&
+      fighter.start - HANDOVER_TOLERANCE <= victim.end && victim.end <= fighter.end + HANDOVER_TOLERANCE);
+    const withKills = fighters => fighters.filter(fighter => remaining.get(fighter.key) > 0);
+    const anyWithKills = withKills(killerTeam.fighters);
+
+    let killer = null;
+    let confidence = 'low';
+    let reason;
+    if (timelineReliable && onField.length === 1 && remaining.get(onField[0].key) > 0) {
+      killer = onField[0];
+      confidence = 'high';
+      reason = 'Only opponent on the field, matches their KO count';
+    } else if (timelineReliable && withKills(onField).length === 1) {
+      killer = withKills(onField)[0];
+      confidence = 'medium';
+      reason = 'KO during a handover; settled by KO counts';
+    } else if (anyWithKills.length === 1) {
+      killer = anyWithKills[0];
+      confidence = 'medium';
+      reason = 'Only opponent with an unassigned KO';
+    } else if (withKills(onField).length > 0) {
+      killer = withKills(onField)[0];
+      reason = timelineReliable
+        ? 'Several opponents could have landed it; nearest stint chosen'
+        : 'Stint order is approximate after tag switches; nearest stint chosen';
+    } else if (anyWithKills.length > 0) {
+      killer = anyWithKills[0];
+      reason = 'KO counts do not fit the timeline; first opponent with an unassigned KO chosen';
+    } else {
+      reason = 'No opponent has a KO left to account for it (ring out or time-out)';
+    }
+
+    if (killer) remaining.set(killer.key, remaining.get(killer.key) - 1);
+    return {
+      time: victim.end,
+      victimKey: victim.key,
+      victimSide: victimTeam.side,
+      killerKey: killer?.key || null,
+      confidence,
+      reason
+    };
+  });
+}
+
+/**
+ * Reconstruct a team battle's timeline.
+ * @param {Object} params
+ * @param {Array} params.p1Team - Team 1 characterRecord entries from getTeams(), in lineup order
+ * @param {Array} params.p2Team - Team 2 characterRecord entries from getTeams(), in lineup order
+ * @param {Object} [params.characterIdRecord] - Transformation snapshots, for form timings
+ * @returns {{duration: number, teams: Object, kills: Array, events: Array, confidence: string, notes: string[]}}
+ */
+export function buildMatchTimeline({ p1Team = [], p2Team = [], characterIdRecord = null }) {
+  const teams = {
+    p1: buildTeam('p1', p1Team, characterIdRecord),
+    p2: buildTeam('p2', p2Team, characterIdRecord)
+  };
+  const duration = Math.max(teams.p1.fieldTime, teams.p2.fieldTime);
+  const notes = [];
+  let confidence = lowest(teams.p1.order.confidence, teams.p2.order.confidence);
+
+  if (Math.abs(teams.p1.fieldTime - teams.p2.fieldTime) > HANDOVER_TOLERANCE) {
+    confidence = lowest(confidence, 'medium');
+    notes.push('The teams\' total time on the field differs, so stint boundaries may be off by a few seconds');
+  }
+  [teams.p1, teams.p2].forEach(team => {
+    if (team.tags > 0) notes.push(`${team.side === 'p1' ? 'Team 1' : 'Team 2'}: ${team.order.note}`);
+  });
+
+  const kills = [...attributeKills(teams.p1, teams.p2), ...attributeKills(teams.p2, teams.p1)];
+  const fighters = [...teams.p1.fighters, ...teams.p2.fighters];
+  const byKey = new Map(fighters.map(fighter => [fighter.key, fighter]));
+  kills.forEach(kill => {
+    byKey.get(kill.victimKey).killedBy = kill;
+    confidence = lowest(confidence, kill.confidence);
+  });
+
+  const recordedKills = fighters.reduce((sum, fighter) => sum + fighter.kills, 0);
+  const assignedKills = kills.filter(kill => kill.killerKey).length;
+  if (recordedKills !== assignedKills) {
+    notes.push(`${recordedKills} KOs recorded against ${kills.length} fighters KO'd; ${Math.abs(recordedKills - assignedKills)} could not be placed`);
+  }
+
+  fighters.forEach(fighter => {
+    if (!fighter.entered) fighter.exit = 'unused';
+    else if (fighter.knockedOut) fighter.exit = 'ko';
+    else if (fighter.end >= duration - HANDOVER_TOLERANCE) fighter.exit = 'survived';
+    else fighter.exit = 'swapped';
+
+    const opponents = fighter.side === 'p1' ? teams.p2.fighters : teams.p1.fighters;
+    fighter.opponents = fighter.entered
+      ? opponents
+        .filter(opponent => opponent.entered)
+        .map(opponent => ({ key: opponent.key, overlap: Math.min(fighter.end, opponent.end) - Math.max(fighter.start, opponent.start) }))
+        .filter(opponent => opponent.overlap > 0)
+      : [];
+  });
+
+  if (fighters.some(fighter => fighter.formTiming === 'unknown')) {
+    notes.push('Some transformations have no characterIdRecord snapshots; their forms are listed without timings');
+  }
+  if (fighters.some(fighter => fighter.exit === 'swapped')) {
+    notes.push('A fighter left the field with HP remaining before the end; the swap is shown where their stint ends');
+  }
+
+  const events = [];
+  fighters.forEach(fighter => {
+    if (!fighter.entered) return;
+    events.push({ time: fighter.start, type: 'enter', side: fighter.side, fighterKey: fighter.key });
+    if (fighter.formTiming === 'exact') {
+      fighter.forms.slice(1).forEach(form => {
+        events.push({ time: form.start, type: 'transform', side: fighter.side, fighterKey: fighter.key, formId: form.formId });
+      });
+    }
+    if (fighter.exit === 'ko') {
+      events.push({ time: fighter.end, type: 'ko', side: fighter.side, fighterKey: fighter.key, kill: fighter.killedBy });
+    } else if (fighter.exit === 'swapped') {
+      events.push({ time: fighter.end, type: 'swap', side: fighter.side, fighterKey: fighter.key });
+    }
+  });
+  // KOs sort before the entrance they cause
+  const typeOrder = { ko: 0, swap: 1, enter: 2, transform: 3 };
+  events.sort((a, b) => a.time - b.time || typeOrder[a.type] - typeOrder[b.type]);
+  events.push({ time: duration, type: 'end' });
+
+  return { duration, teams, kills, events, confidence, notes };
+}
@@ -0,0 +1,309 @@
+/**
+ * Rating Engine
+ *
+ * Replays matches in chronological order and keeps Elo or Glicko ratings for teams, characters
+ * (per build) and AI strategies, so results are weighted by opponent strength instead of raw
+ * win rate. Settings live in scripts/ratingConfig.json.
+ *
+ * Works in two steps, like the aggregation in matchAggregation.js:
+ * - extractRatingMatch(file, context): the per-file record (date, teams, outcome, who fought
+ *   with what build and AI strategy); cached per file by the aggregation worker
+ * - replayRatings(records): sorts the records and replays them into rating tables with history
+ *
+ * Elo and Glicko depend on the order matches are played in, so only matches with a `date` tag are
+ * rated. Undated matches have no order to replay them in; they are kept as an unordered win-loss
+ * record per entity instead of being rated in file-name order.
+ *
+ * Team games are rated as one result per side: every rated entity on a side scores the side's
+ * result against the average rating of the entities of the same type on the other side.
+ */
+
+import ratingConfig from '../../scripts/ratingConfig.json' with { type: 'json' };
+import { extractStats, getTeams } from './matchAggregation.js';
+import { teamRegistry } from './teamRegistry.js';
+
+// The default settings, for views that show them
+export { ratingConfig };
+
+export const RATING_ENTITY_TYPES = ['teams', 'characters', 'aiStrategies'];
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+export const RECENT_MATCHES = 5;
+
+// Glicko constant q = ln(10) / 400
+const Q = Math.LN10 / 400;
+
+function findBattle(content) {
+  const tbr = content?.TeamBattleResults;
+  if (tbr) {
+    const result = tbr.battleResult || tbr.BattleResults || (tbr.characterRecord ? tbr : null);
+    return result ? { teams: tbr.teams, result } : null;
+  }
+  if (content?.BattleResults) return { teams: null, result: content.BattleResults };
+  return null;
+}
+
+// "Week 3" folder or "W3" in the file name, as used by the season standings
+function weekOf(name) {
+  const match = (name || '').match(/\b(?:week\s*|wk\s*|w)(\d+)\b/i);
+  return match ? Number(match[1]) : null;
+}
+
+/**
+ * Date a match was played, from its `date` tag (copied into the BR_Data index summary).
+ * @returns {string|null} YYYY-MM-DD, or null for untagged matches
+ */
+export function getMatchDate(file) {
+  const date = file?.tags?.date || file?.content?.tags?.date || file?.summary?.date || null;
+  return typeof date === 'string' && /^\d{4}-\d{2}-\d{2}/.test(date) ? date.slice(0, 10) : null;
+}
+
+/**
+ * Per-file rating record.
+ * @param {Object} file - { name, content, tags?, summary? }
+ * @param {Object} context - { charMap, capsuleMap, aiStrategiesMap }
+ * @param {Object} [config] - Rating config (matchTypes filter)
+ * @returns {Object|null} null when the file has no decided two-team result or its match type isn't rated
+ */
+export function extractRatingMatch(file, { charMap, capsuleMap = {}, aiStrategiesMap = {} }, config = ratingConfig) {
+  if (!file || file.error || !file.content) return null;
+  const tags = file.tags || file.content.tags || null;
+  if (tags?.matchType && !config.matchTypes.includes(tags.matchType)) return null;
+
+  const battle = findBattle(file.content);
+  if (!battle || !battle.result.characterRecord) return null;
+  const outcome = battle.result.battleWinLose;
+  if (outcome !== 'Win' && outcome !== 'Lose') return null;
+
+  const teamNames = Array.isArray(battle.teams) && battle.teams.length >= 2
+    ? battle.teams
+    : (Array.isArray(tags?.team) && tags.team.length >= 2 ? tags.team : [null, null]);
+  const { p1, p2 } = getTeams(battle.result.characterRecord);
+
+  const side = (characters, team) => {
+    const fought = characters
+      .map(char => ({ char, stats: extractStats(char, charMap, capsuleMap, null, aiStrategiesMap) }))
+      .filter(({ stats }) => stats.battleTime > 0);
+    return {
+      team: typeof team === 'string' && team.trim() ? teamRegistry.canonicalName(team) : null,
+      characters: fought.map(({ char, stats }) => {
+        const id = char.battlePlayCharacter?.originalCharacter?.key || char.battlePlayCharacter?.character?.key;
+        const build = stats.buildComposition?.label || 'No Build';
+        return { key: `${id}|${build}`, label: `${stats.name} · ${build}` };
+      }),
+      aiStrategies: [...new Set(fought.map(({ stats }) => stats.aiStrategy || 'Default'))]
+    };
+  };
+
+  return {
+    name: file.name,
+    date: getMatchDate(file),
+    week: weekOf(file.name),
+    matchType: tags?.matchType || null,
+    sides: [side(p1, teamNames[0]), side(p2, teamNames[1])],
+    // Result for sides[0]
+    score: outcome === 'Win' ? 1 : 0
+  };
+}
+
+/**
+ * Chronological order of dated matches: date, then week, then file name in natural order
+ * ("Test 9" before "Test 10") for matches played the same day.
+ * Undated matches keep their selection order after the dated ones.
+ */
+export function compareRatingMatches(a, b) {
+  if (a.date !== b.date) {
+    if (!a.date) return 1;
+    if (!b.date) return -1;
+    return a.date < b.date ? -1 : 1;
+  }
+  if (!a.date) return 0;
+  if ((a.week ?? -1) !== (b.week ?? -1)) return (a.week ?? -1) - (b.week ?? -1);
+  return (a.name || '').localeCompare(b.name || '', undefined, { numeric: true });
+}
+
+const daysBetween = (from, to) => (from && to ? Math.max(0, (Date.parse(to) - Date.parse(from)) / MS_PER_DAY) : 0);
+
+function createRatingSystem(config) {
+  const { initialRating } = config;
+
+  if (config.system === 'glicko') {
+    const { initialDeviation, minDeviation, deviationGrowthPerDay } = config.glicko;
+    const g = (deviation) => 1 / Math.sqrt(1 + (3 * Q * Q * deviation * deviation) / (Math.PI * Math.PI));
+    return {
+      initial: () => ({ rating: initialRating, deviation: initialDeviation }),
+      // Uncertainty grows while an entity sits out
+      idle: (entry, days) => {
+        entry.deviation = Math.min(initialDeviation, Math.sqrt(entry.deviation ** 2 + deviationGrowthPerDay ** 2 * days));
+      },
+      update: (entry, opponent, score) => {
+        const gOpp = g(opponent.deviation);
+        const expected = 1 / (1 + Math.pow(10, (-gOpp * (entry.rating - opponent.rating)) / 400));
+        const dSquaredInverse = Q * Q * gOpp * gOpp * expected * (1 - expected);
+        const precision = 1 / (entry.deviation ** 2) + dSquaredInverse;
+        return {
+          rating: entry.rating + (Q / precision) * gOpp * (score - expected),
+          deviation: Math.max(minDeviation, Math.sqrt(1 / precision))
+        };
+      }
+    };
+  }
+
+  const { kFactor, decayPerDay } = config.elo;
+  const expected = (entry, opponent) => 1 / (1 + Math.pow(10, (opponent.rating - entry.rating) / 400));
+  return {
+    initial: () => ({ rating: initialRating, deviation: null }),
+    // Inactive ratings drift back toward the initial rating
+    idle: (entry, days) => {
+      entry.rating = initialRating + (entry.rating - initialRating) * Math.pow(1 - decayPerDay, days);
+    },
+    update: (entry, opponent, score, type) => ({
+      rating: entry.rating + kFactor[type] * (score - expected(entry, opponent)),
+      deviation: null
+    })
+  };
+}
+
+// Average opponent for a side; Glicko combines deviations as the root mean square
+function averageOf(entries) {
+  const rating = entries.reduce((sum, entry) => sum + entry.rating, 0) / entries.length;
+  const deviation = entries[0].deviation === null
+    ? null
+    : Math.sqrt(entries.reduce((sum, entry) => sum + entry.deviation ** 2, 0) / entries.length);
+  return { rating, deviation };
+}
+
+/**
+ * Replay the dated rating records in chronological order.
+ * @param {Array} records - From extractRatingMatch (nulls are skipped)
+ * @param {Object} [config] - Rating config, defaults to scripts/ratingConfig.json
+ * @returns {{system: string, matches: Array<{name: string, date: string}>, undated: string[], dates: string[], teams: Object, characters: Object, aiStrategies: Object}}
+ *   matches are the rated (dated) matches in replay order; undated lists the names of the others,
+ *   which aren't rated. Each table maps an entity key to { key, label, rating, deviation, matches,
+ *   wins, losses, peak, lastDate, history, unordered } where history holds { match, date, rating,
+ *   deviation, won } after every rated match the entity played and unordered is its { wins, losses }
+ *   in undated matches
+ */
+export function replayRatings(records, config = ratingConfig) {
+  const system = createRatingSystem(config);
+  const ordered = records.filter(record => record?.date).sort(compareRatingMatches);
+  const undated = records.filter(record => record && !record.date);
+  const tables = { teams: {}, characters: {}, aiStrategies: {} };
+
+  const entryFor = (type, key, label) => {
+    const table = tables[type];
+    if (!table[key]) {
+      table[key] = {
+        key, label, ...system.initial(), matches: 0, wins: 0, losses: 0, peak: config.initialRating, lastDate: null, history: [],
+        unordered: { wins: 0, losses: 0 }
+      };
+    }
+    return table[key];
+  };
+
+  // Entities per type as [side 0, side 1], for the types both sides have; an AI strategy on both
+  // sides plays itself and a team can't play itself, so neither counts
+  const matchEntities = (match) => {
+    const mirrored = new Set(match.sides[0].aiStrategies.filter(ai => match.sides[1].aiStrategies.includes(ai)));
+    const sideEntities = match.sides.map(side => ({
+      teams: side.team ? [entryFor('teams', side.team, side.team)] : [],
+      characters: side.characters.map(char => entryFor('characters', char.key, char.label)),
+      aiStrategies: side.aiStrategies.filter(ai => !mirrored.has(ai)).map(ai => entryFor('aiStrategies', ai, ai))
+    }));
+    if (match.sides[0].team && match.sides[0].team === match.sides[1].team) sideEntities.forEach(side => { side.teams = []; });
+
+    return RATING_ENTITY_TYPES
+      .filter(type => sideEntities[0][type].length > 0 && sideEntities[1][type].length > 0)
+      // The same character and build can appear twice on a side; count it once
+      .map(type => ({ type, sides: [[...new Set(sideEntities[0][type])], [...new Set(sideEntities[1][type])]] }));
+  };
+
+  ordered.forEach((match, matchIndex) => {
+    matchEntities(match).forEach(({ type, sides }) => {
+      sides.flat().forEach(entry => system.idle(entry, daysBetween(entry.lastDate, match.date)));
+
+      // Both sides are scored against pre-match ratings
+      const opponents = [averageOf(sides[1]), averageOf(sides[0])];
+      const updates = sides.map((entries, sideIndex) => {
+        const score = sideIndex === 0 ? match.score : 1 - match.score;
+        return entries.map(entry => ({ entry, score, next: system.update(entry, opponents[sideIndex], score, type) }));
+      }).flat();
+
+      updates.forEach(({ entry, score, next }) => {
+        entry.rating = next.rating;
+        entry.deviation = next.deviation;
+        entry.matches += 1;
+        if (score === 1) entry.wins += 1;
+        else entry.losses += 1;
+        entry.peak = Math.max(entry.peak, entry.rating);
+        entry.lastDate = match.date;
+        entry.history.push({ match: matchIndex, date: match.date, rating: entry.rating, deviation: entry.deviation, won: score === 1 });
+      });
+    });
+  });
+
+  undated.forEach(match => {
+    matchEntities(match).forEach(({ sides }) => {
+      sides.forEach((entries, sideIndex) => {
+        const won = (sideIndex === 0 ? match.score : 1 - match.score) === 1;
+        entries.forEach(entry => {
+          if (won) entry.unordered.wins += 1;
+          else entry.unordered.losses += 1;
+        });
+      });
+    });
+  });
+
+  return {
+    system: config.system,
+    matches: ordered.map(match => ({ name: match.name, date: match.date })),
+    undated: undated.map(match => match.name).sort((a, b) => (a || '').localeCompare(b || '', undefined, { numeric: true })),
+    dates: [...new Set(ordered.map(match => match.date))],
+    ...tables
+  };
+}
+
+/**
+ * Ratings table as it stood at the end of a date, best first.
+ * @param {Object} table - One of replayRatings().teams / .characters / .aiStrategies
+ * @param {string|null} asOf - YYYY-MM-DD, or null for the latest ratings; undated matches can't be
+ *   placed before a date, so their record only counts toward the latest table
+ * @param {Object} [config] - Rating config (provisional threshold)
+ * @returns {Array<{key, label, rating, deviation, rated, matches, wins, losses, winRate, peak, change, provisional}>}
+ *   rated is the number of dated matches behind the rating; matches, wins and losses also count
+ *   undated ones. rating, deviation, peak and change are null for entities with only undated
+ *   matches, which sort after the rated ones by win rate. change is the rating movement over the
+ *   last RECENT_MATCHES rated matches
+ */
+export function ratingsAsOf(table, asOf = null, config = ratingConfig) {
+  return Object.values(table || {})
+    .map(entity => {
+      const history = asOf ? entity.history.filter(point => point.date <= asOf) : entity.history;
+      const unordered = asOf ? { wins: 0, losses: 0 } : entity.unordered;
+      const matches = history.length + unordered.wins + unordered.losses;
+      if (matches === 0) return null;
+      const last = history[history.length - 1] || null;
+      const wins = history.filter(point => point.won).length + unordered.wins;
+      const before = history.length > RECENT_MATCHES ? history[history.length - RECENT_MATCHES - 1].rating : config.initialRating;
+      return {
+        key: entity.key,
+        label: entity.label,
+        rating: last ? last.rating : null,
+        deviation: last ? last.deviation : null,
+        rated: history.length,
+        matches,
+        wins,
+        losses: matches - wins,
+        winRate: Math.round((wins / matches) * 1000) / 10,
+        peak: last ? Math.max(...history.map(point => point.rating)) : null,
+        change: last ? last.rating - before : null,
+        provisional: history.length < config.provisionalMatches
+      };
+    })
+    .filter(Boolean)
+    .sort((a, b) => {
+      if ((a.rating === null) !== (b.rating === null)) return a.rating === null ? 1 : -1;
+      return a.rating === null ? b.winRate - a.winRate : b.rating - a.rating;
+    });
+}
@@ -0,0 +1,56 @@
+// Lookup maps built from the shared referencedata CSVs
+// The app passes in the CSV text it imports with `?raw`; scripts read the same files from disk.
+
+/**
+ * Character ID -> name, from referencedata/characters.csv.
+ * @param {string} csv - File contents (header row first)
+ * @returns {Object<string, string>}
+ */
+export function parseCharacterCSV(csv) {
+  const lines = csv.split(/\r?\n/).filter(Boolean);
+  const map = {};
+  for (let i = 1; i < lines.length; i++) {
+    const [name, id] = lines[i].split(',');
+    if (id) map[id.trim()] = name.trim();
+  }
+  return map;
+}
+
+/**
+ * Map ID -> name, from referencedata/maps.csv.
+ * @param {string} csv - File contents (header row first)
+ * @returns {Object<string, string>}
+ */
+export function parseMapsCSV(csv) {
+  const map = {};
+  const lines = csv.trim().split('\n');
+
+  for (let i = 1; i < lines.length; i++) { // Skip header
+    const line = lines[i].trim();
+    if (!line) continue;
+
+    const [mapName, mapId] = line.split(',').map(s => s.trim());
+    if (mapId && mapName) {
+      map[mapId] = mapName;
+    }
+  }
+
+  return map;
+}
+
+/**
+ * AI strategies keyed by ID, for lookup during aggregation.
+ * @param {Array} aiStrategies - loadCapsuleData(...).aiStrategies
+ * @returns {Object<string, Object>}
+ */
+export function indexAIStrategies(aiStrategies) {
+  const map = {};
+  if (aiStrategies && Array.isArray(aiStrategies)) {
+    aiStrategies.forEach(strategy => {
+      if (strategy.id) {
+        map[strategy.id] = strategy;
+      }
+    });
+  }
+  return map;
+}
@@ -0,0 +1,59 @@
+// Named analyzer views saved in the browser.
+//
+// A saved view is the query string from utils/viewState.js, so saving, sharing and opening a view
+// all go through the same encoding.
+//
+// Record shape: { id, name, query, viewType, createdAt, updatedAt }
+
+const VIEWS_KEY = 'sz-analyzer:saved-views';
+
+// Entries without an id or query (hand-edited or from an older build) are dropped on read;
+// a failed write returns false so saveView can report that the view wasn't kept.
+const readViews = () => {
+  try {
+    if (typeof window === 'undefined' || !window.localStorage) return [];
+    const parsed = JSON.parse(window.localStorage.getItem(VIEWS_KEY) || '[]');
+    return Array.isArray(parsed) ? parsed.filter(v => v && v.id && typeof v.query === 'string') : [];
+  } catch (e) {
+    console.warn(`Failed to read ${VIEWS_KEY} from localStorage`, e);
+    return [];
+  }
+};
+
+const writeViews = (views) => {
+  try {
+    if (typeof window === 'undefined' || !window.localStorage) return false;
+    window.localStorage.setItem(VIEWS_KEY, JSON.stringify(views));
+    return true;
+  } catch (e) {
+    console.warn(`Failed to write ${VIEWS_KEY} to localStorage`, e);
+    return false;
+  }
+};
+
+const newViewId = () => `view-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+
+// Most recently updated first
+export const listSavedViews = () =>
+  readViews().sort((a, b) => String(b.updatedAt || '').localeCompare(String(a.updatedAt || '')));
+
+// Saving under an existing name overwrites that view.
+// Returns the stored record, or null if storage failed.
+export const saveView = ({ name, query, viewType }) => {
+  const views = readViews();
+  const trimmed = (name || '').trim() || `View ${views.length + 1}`;
+  const now = new Date().toISOString();
+  const existing = views.find(v => v.name === trimmed);
+  const record = {
+    id: existing ? existing.id : newViewId(),
+    name: trimmed,
+    query: query || '',
+    viewType: viewType || null,
+    createdAt: existing ? existing.createdAt : now,
+    updatedAt: now
+  };
+  const next = existing ? views.map(v => (v.id === existing.id ? record : v)) : [...views, record];
+  return writeViews(next) ? record : null;
+};
+
+export const deleteSavedView = (id) => writeViews(readViews().filter(v => v.id !== id));
@@ -0,0 +1,196 @@
+/**
+ * Statistics Helpers
+ *
+ * Uncertainty for the Analyzer's rankings, so a two-match sample isn't read the same way as an
+ * eighty-match one:
+ * - wilsonInterval / winRateInterval: confidence interval for a win rate
+ * - bootstrapInterval: percentile bootstrap for averages, ratios and scores built from per-match values
+ * - compareToBaseline: whether an interval sits clearly above or below a reference value
+ * - winRateChangeInterval: confidence interval for the change in a win rate between two samples
+ * - SAMPLE_POLICY / sampleStatus: minimum sample sizes before a figure is ranked or trusted
+ *
+ * Intervals are { estimate, low, high, n } in the units of the estimate. Bootstrap resampling is
+ * seeded, so the same data always gives the same interval and rankings don't jitter between renders.
+ */
+
+export const CONFIDENCE_LEVEL = 0.95;
+export const BOOTSTRAP_ITERATIONS = 1000;
+
+/**
+ * Minimum-sample policy: below `minimum` a figure is shown but not ranked as significant;
+ * from `reliable` up it is treated as settled enough to compare.
+ */
+export const SAMPLE_POLICY = {
+  minimum: 5,
+  reliable: 20
+};
+
+export const SAMPLE_STATUS_LABELS = {
+  insufficient: 'Too few matches',
+  limited: 'Limited sample',
+  reliable: 'Reliable sample'
+};
+
+/**
+ * @returns {'insufficient'|'limited'|'reliable'}
+ */
+export function sampleStatus(n, policy = SAMPLE_POLICY) {
+  if (n < policy.minimum) return 'insufficient';
+  if (n < policy.reliable) return 'limited';
+  return 'reliable';
+}
+
+export function meetsMinimumSample(n, policy = SAMPLE_POLICY) {
+  return n >= policy.minimum;
+}
+
+// Inverse standard normal CDF (Acklam's approximation, relative error < 1.2e-9)
+function normalQuantile(p) {
+  const a = [-3.969683028665376e+01, 2.209460984245205e+02, -2.759285104469687e+02, 1.383577518672690e+02, -3.066479806614716e+01, 2.506628277459239e+00];
+  const b = [-5.447609879822406e+01, 1.615858368580409e+02, -1.556989798598866e+02, 6.680131188771972e+01, -1.328068155288572e+01];
+  const c = [-7.784894002430293e-03, -3.223964580411365e-01, -2.400758277161838e+00, -2.549732539343734e+00, 4.374664141464968e+00, 2.938163982698783e+00];
+  const d = [7.784695709041462e-03, 3.224671290700398e-01, 2.445134137142996e+00, 3.754408661907416e+00];
+  const low = 0.02425;
+  if (p < low) {
+    const q = Math.sqrt(-2 * Math.log(p));
+    return (((((c[0] * q + c[1]) * q + c[2]) * q + c[3]) * q + c[4]) * q + c[5]) / ((((d[0] * q + d[1]) * q + d[2]) * q + d[3]) * q + 1);
+  }
+  if (p > 1 - low) return -normalQuantile(1 - p);
+  const q = p - 0.5;
+  const r = q * q;
+  return (((((a[0] * r + a[1]) * r + a[2]) * r + a[3]) * r + a[4]) * r + a[5]) * q / (((((b[0] * r + b[1]) * r + b[2]) * r + b[3]) * r + b[4]) * r + 1);
+}
+
+/**
+ * Wilson score interval for a proportion.
+ * @returns {{estimate: number, low: number, high: number, n: number}} Proportions (0-1); null without trials
+ */
+export function wilsonInterval(successes, trials, confidence = CONFIDENCE_LEVEL) {
+  if (!trials) return null;
+  const z = normalQuantile(1 - (1 - confidence) / 2);
+  const p = successes / trials;
+  const z2 = z * z;
+  const denominator = 1 + z2 / trials;
+  const centre = (p + z2 / (2 * trials)) / denominator;
+  const margin = (z * Math.sqrt((p * (1 - p)) / trials + z2 / (4 * trials * trials))) / denominator;
+  return { estimate: p, low: Math.max(0, centre - margin), high: Math.min(1, centre + margin), n: trials };
+}
+
+/**
+ * Wilson interval for a win rate, in percent like the rest of the Analyzer's win rates.
+ */
+export function winRateInterval(wins, matches, confidence = CONFIDENCE_LEVEL) {
+  const interval = wilsonInterval(wins, matches, confidence);
+  if (!interval) return null;
+  return {
+    estimate: Math.round(interval.estimate * 1000) / 10,
+    low: Math.round(interval.low * 1000) / 10,
+    high: Math.round(interval.high * 1000) / 10,
+    n: matches
+  };
+}
+
+export const mean = (values) => (values.length ? values.reduce((sum, value) => sum + value, 0) / values.length : 0);
+
+// Seed from a string or number, so each entity resamples the same way every time
+function hashSeed(seed) {
+  const text = String(seed ?? 'bootstrap');
+  let hash = 2166136261;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 16777619);
+  }
+  return hash >>> 0;
+}
+
+// mulberry32
+function createRandom(seed) {
+  let state = hashSeed(seed);
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Percentile bootstrap interval.
+ * @param {Array} sample - Per-match values, or per-match records when `statistic` reads several fields
+ * @param {Function} [statistic] - Computes the figure from a (resampled) array; defaults to the mean
+ * @param {Object} [options] - { iterations, confidence, seed }
+ * @returns {{estimate: number, low: number, high: number, n: number}|null} null for an empty sample
+ */
+export function bootstrapInterval(sample, statistic = mean, { iterations = BOOTSTRAP_ITERATIONS, confidence = CONFIDENCE_LEVEL, seed } = {}) {
+  if (!Array.isArray(sample) || sample.length === 0) return null;
+  const estimate = statistic(sample);
+  if (sample.length === 1) return { estimate, low: estimate, high: estimate, n: 1 };
+
+  const random = createRandom(seed);
+  const n = sample.length;
+  const resample = new Array(n);
+  const estimates = new Array(iterations);
+  for (let i = 0; i < iterations; i++) {
+    for (let j = 0; j < n; j++) resample[j] = sample[Math.floor(random() * n)];
+    estimates[i] = statistic(resample);
+  }
+  estimates.sort((a, b) => a - b);
+  const tail = (1 - confidence) / 2;
+  const at = (q) => estimates[Math.min(iterations - 1, Math.max(0, Math.floor(q * iterations)))];
+  return { estimate, low: Math.min(at(tail), estimate), high: Math.max(at(1 - tail), estimate), n };
+}
+
+/**
+ * Where an interval sits relative to a baseline.
+ * @param {Object|null} interval - From wilsonInterval / winRateInterval / bootstrapInterval
+ * @param {number} baseline - Reference value in the interval's units (e.g. 50 for a win rate in percent)
+ * @returns {'above'|'below'|'inconclusive'|'insufficient'} 'insufficient' when the sample is under the policy minimum
+ */
+export function compareToBaseline(interval, baseline, policy = SAMPLE_POLICY) {
+  if (!interval || !meetsMinimumSample(interval.n, policy)) return 'insufficient';
+  if (interval.low > baseline) return 'above';
+  if (interval.high < baseline) return 'below';
+  return 'inconclusive';
+}
+
+/**
+ * Interval for the change in a win rate from one sample to another (Newcombe's hybrid score method,
+ * built from the two Wilson intervals). Compare it to 0 with compareToBaseline: 'above' is a
+ * significant rise, 'below' a significant fall.
+ * @param {Object|null} before - winRateInterval() of the first sample
+ * @param {Object|null} after - winRateInterval() of the second sample
+ * @returns {{estimate: number, low: number, high: number, n: number}|null} Percentage points; n is the smaller sample
+ */
+export function winRateChangeInterval(before, after) {
+  if (!before || !after) return null;
+  const estimate = after.estimate - before.estimate;
+  const round = (value) => Math.round(value * 10) / 10;
+  return {
+    estimate: round(estimate),
+    low: round(estimate - Math.sqrt((after.estimate - after.low) ** 2 + (before.high - before.estimate) ** 2)),
+    high: round(estimate + Math.sqrt((after.high - after.estimate) ** 2 + (before.estimate - before.low) ** 2)),
+    n: Math.min(before.n, after.n)
+  };
+}
+
+/**
+ * Median of the values whose sample meets the policy minimum, as a baseline for comparing scores.
+ * @param {Array<{value: number, n: number}>} entries
+ */
+export function baselineMedian(entries, policy = SAMPLE_POLICY) {
+  const values = entries.filter(entry => meetsMinimumSample(entry.n, policy)).map(entry => entry.value).sort((a, b) => a - b);
+  if (values.length === 0) return null;
+  const mid = Math.floor(values.length / 2);
+  return values.length % 2 ? values[mid] : (values[mid - 1] + values[mid]) / 2;
+}
+
+/**
+ * "low–high" for display and exports.
+ * @param {Object|null} interval
+ * @param {Function} [format] - Formats each bound
+ */
+export function formatInterval(interval, format = (value) => String(Math.round(value))) {
+  if (!interval) return '—';
+  return `${format(interval.low)}–${format(interval.high)}`;
+}
@@ -0,0 +1,8 @@
+import teamsData from '../../../../referencedata/teams.json' with { type: 'json' };
+import { createTeamRegistry } from '../../../../packages/team-registry/src/index.js';
+
+/**
+ * Canonical league teams from referencedata/teams.json. Battle files name teams however they
+ * were typed at upload ("Sentai", "The Cold Kingdom"); views key teams by canonicalName().
+ */
+export const teamRegistry = createTeamRegistry(teamsData);
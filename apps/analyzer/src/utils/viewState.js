@@ -0,0 +1,195 @@
+// Analyzer view state <-> URL query string
+//
+// The view type, the BR_Data selection, the tag filters and the aggregated-view filters are kept in
+// the query string so a link opens the same screen. Only values that differ from the defaults are
+// written. Lists use short separators instead of JSON:
+//   view=teams
+//   files=Tests;Events/Season 1/Week 2:Match 1|Match 4      (whole folders, or folder:files without .json)
+//   tags=season:Season 1|Season 2;matchType:League
+//   chars=Goku (Super)|Vegeta (Super)  teams=...  ai=...  maps=...
+//   min=5  max=40  sort=winRateLow  dir=asc  perf=excellent|good
+//   cohort=patch:Launch|1.1      (compare view: dimension, then the two cohorts)
+// Separator characters inside names are %-escaped, then URLSearchParams encodes the rest.
+
+export const VIEW_TYPES = ['single', 'aggregated', 'teams', 'tables', 'meta', 'matchups', 'compare'];
+
+export const DEFAULT_VIEW_STATE = {
+  viewType: 'single',
+  files: null, // BR_Data ids (folders or .json files); null = BRDataSelector's default selection
+  tagFilters: {}, // { dim: [values] } as in TagFilterSelector
+  selectedCharacters: [],
+  selectedTeams: [],
+  selectedAIStrategies: [],
+  selectedMaps: [],
+  minMatches: 1,
+  maxMatches: 999,
+  sortBy: 'combatScore',
+  sortDirection: 'desc',
+  performanceFilters: ['excellent', 'good', 'average', 'below', 'poor'],
+  cohort: null // { dimension, before, after } for the compare view; null = default pair
+};
+
+const LIST_PARAMS = {
+  selectedCharacters: 'chars',
+  selectedTeams: 'teams',
+  selectedAIStrategies: 'ai',
+  selectedMaps: 'maps',
+  performanceFilters: 'perf'
+};
+
+const escapeItem = (value) => String(value).replace(/[%|;:]/g, c => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+const unescapeItem = (value) => {
+  try {
+    return decodeURIComponent(value);
+  } catch {
+    return value;
+  }
+};
+
+const encodeList = (values) => values.map(escapeItem).join('|');
+const decodeList = (text) => (text ? text.split('|').map(unescapeItem).filter(Boolean) : []);
+
+const sameList = (a, b) => a.length === b.length && a.every((value, i) => value === b[i]);
+
+/**
+ * Shorten a BR_Data file selection: folders whose indexed files are all selected are written as the
+ * folder, the remaining files are grouped under their parent folder.
+ * @param {string[]} fileIds - Selected .json ids (paths relative to BR_Data)
+ * @param {string[]} allPaths - Every indexed file path, to tell whole folders from partial ones
+ * @returns {string} The `files` parameter value ('' for no files)
+ */
+export function compactFileSelection(fileIds, allPaths = []) {
+  const selected = new Set(fileIds.filter(id => id.endsWith('.json')));
+  if (selected.size === 0) return '';
+
+  // Files under each folder, for every folder level
+  const folderFiles = new Map();
+  allPaths.forEach(path => {
+    const parts = path.split('/');
+    for (let depth = 1; depth < parts.length; depth++) {
+      const folder = parts.slice(0, depth).join('/');
+      if (!folderFiles.has(folder)) folderFiles.set(folder, []);
+      folderFiles.get(folder).push(path);
+    }
+  });
+
+  // Shallowest fully-selected folders first, so nested folders fold into their parent
+  const entries = [];
+  const covered = new Set();
+  [...folderFiles.keys()]
+    .sort((a, b) => a.split('/').length - b.split('/').length || a.localeCompare(b))
+    .forEach(folder => {
+      const files = folderFiles.get(folder);
+      if (files.some(path => covered.has(path)) || !files.every(path => selected.has(path))) return;
+      entries.push(escapeItem(folder));
+      files.forEach(path => covered.add(path));
+    });
+
+  const groups = new Map();
+  [...selected].filter(path => !covered.has(path)).sort().forEach(path => {
+    const slash = path.lastIndexOf('/');
+    const folder = slash >= 0 ? path.slice(0, slash) : '';
+    if (!groups.has(folder)) groups.set(folder, []);
+    groups.get(folder).push(path.slice(slash + 1).replace(/\.json$/, ''));
+  });
+  groups.forEach((names, folder) => entries.push(`${escapeItem(folder)}:${encodeList(names)}`));
+
+  return entries.join(';');
+}
+
+/**
+ * Expand a `files` parameter back to BR_Data ids: folder ids stay folders (BRDataSelector selects
+ * their contents), grouped names become .json ids.
+ * @returns {string[]}
+ */
+export function expandFileSelection(text) {
+  if (!text) return [];
+  return text.split(';').flatMap(entry => {
+    const colon = entry.indexOf(':');
+    if (colon < 0) return [unescapeItem(entry)];
+    const folder = unescapeItem(entry.slice(0, colon));
+    return decodeList(entry.slice(colon + 1)).map(name => (folder ? `${folder}/${name}.json` : `${name}.json`));
+  });
+}
+
+/**
+ * Encode view state as a query string (without the leading '?').
+ * @param {Object} state - Fields of DEFAULT_VIEW_STATE; `files` is the selected ids, or null to leave it out
+ * @param {string[]} [allPaths] - Indexed file paths, used to compact the file selection
+ */
+export function encodeViewState(state, allPaths = []) {
+  const params = new URLSearchParams();
+  if (state.viewType && state.viewType !== DEFAULT_VIEW_STATE.viewType) params.set('view', state.viewType);
+  if (Array.isArray(state.files)) {
+    const files = compactFileSelection(state.files, allPaths);
+    if (files) params.set('files', files);
+  }
+
+  const tags = Object.entries(state.tagFilters || {})
+    .filter(([, values]) => values && values.length > 0)
+    .map(([dim, values]) => `${escapeItem(dim)}:${encodeList([...values].sort())}`);
+  if (tags.length > 0) params.set('tags', tags.join(';'));
+
+  Object.entries(LIST_PARAMS).forEach(([key, param]) => {
+    const values = state[key] || [];
+    if (!sameList(values, DEFAULT_VIEW_STATE[key])) params.set(param, encodeList(values));
+  });
+
+  if (state.minMatches !== undefined && state.minMatches !== DEFAULT_VIEW_STATE.minMatches) params.set('min', String(state.minMatches));
+  if (state.maxMatches !== undefined && state.maxMatches !== DEFAULT_VIEW_STATE.maxMatches) params.set('max', String(state.maxMatches));
+  if (state.sortBy && state.sortBy !== DEFAULT_VIEW_STATE.sortBy) params.set('sort', state.sortBy);
+  if (state.sortDirection && state.sortDirection !== DEFAULT_VIEW_STATE.sortDirection) params.set('dir', state.sortDirection);
+  if (state.cohort && state.cohort.dimension) {
+    const { dimension, before, after } = state.cohort;
+    params.set('cohort', before && after ? `${escapeItem(dimension)}:${encodeList([before, after])}` : escapeItem(dimension));
+  }
+
+  return params.toString();
+}
+
+/**
+ * Decode a query string into a full view state (defaults for anything missing or invalid).
+ * @param {string} search - e.g. window.location.search
+ */
+export function decodeViewState(search = '') {
+  const params = new URLSearchParams(search);
+  const state = { ...DEFAULT_VIEW_STATE, tagFilters: {} };
+
+  const view = params.get('view');
+  if (VIEW_TYPES.includes(view)) state.viewType = view;
+  if (params.has('files')) state.files = expandFileSelection(params.get('files'));
+
+  (params.get('tags') || '').split(';').filter(Boolean).forEach(entry => {
+    const colon = entry.indexOf(':');
+    if (colon < 0) return;
+    const values = decodeList(entry.slice(colon + 1));
+    if (values.length > 0) state.tagFilters[unescapeItem(entry.slice(0, colon))] = values;
+  });
+
+  Object.entries(LIST_PARAMS).forEach(([key, param]) => {
+    if (params.has(param)) state[key] = decodeList(params.get(param));
+  });
+
+  const min = parseInt(params.get('min'), 10);
+  const max = parseInt(params.get('max'), 10);
+  if (min >= 1) state.minMatches = min;
+  if (max >= state.minMatches) state.maxMatches = max;
+  if (params.get('sort')) state.sortBy = params.get('sort');
+  if (params.get('dir') === 'asc' || params.get('dir') === 'desc') state.sortDirection = params.get('dir');
+  if (params.get('cohort')) {
+    const [dimension, list = ''] = params.get('cohort').split(':');
+    const [before = null, after = null] = decodeList(list);
+    state.cohort = { dimension: unescapeItem(dimension), before, after };
+  }
+
+  return state;
+}
+
+/**
+ * Absolute link to a view, optionally scrolled to a panel (element id).
+ */
+export function buildViewUrl(query, panelId = '') {
+  if (typeof window === 'undefined') return '';
+  const { origin, pathname } = window.location;
+  return `${origin}${pathname}${query ? `?${query}` : ''}${panelId ? `#${panelId}` : ''}`;
+}
@@ -0,0 +1,133 @@
+// Runs the character, team, position, head-to-head and cohort aggregation and the rating replay off the main thread.
+// Per-file partial results are cached by file id, so adding or removing files from the selection
+// only accumulates the new files before the cached partials are merged and finalized.
+//
+// Messages in:
+//   { type: 'context', context }  - { charMap, capsuleMap, aiStrategiesMap, mapsMap }; clears the cache
+//   { type: 'aggregate', requestId, files, views, positionMatchTypeFilters, cohortSpec }
+//       files: [{ id, file? }] in selection order; file ({ name, content, error? }) is only sent
+//              for ids the worker doesn't hold yet, and ids left out of the list are dropped
+//       views: any of 'characters', 'teams', 'positions', 'ratings', 'headToHead', 'cohorts'
+//       cohortSpec: { dimension, before, after } for 'cohorts' (see utils/cohorts.js)
+// Messages out:
+//   { type: 'progress', requestId, done, total }  - while new files are accumulated
+//   { type: 'result', requestId, characters, teams, positions, ratings, headToHead, cohorts }
+//   { type: 'error', requestId, message }
+
+import {
+  accumulateCharacterData, mergeCharacterData, finalizeCharacterData,
+  accumulateTeamData, mergeTeamData, finalizeTeamData,
+  accumulatePositionData, createPositionStats, mergePositionData, finalizePositionData
+} from '../utils/matchAggregation.js';
+import { extractRatingMatch, replayRatings } from '../utils/ratings.js';
+import { accumulateHeadToHead, mergeHeadToHead, finalizeHeadToHead } from '../utils/headToHead.js';
+import { cohortValue, summarizeCohort, compareCohorts } from '../utils/cohorts.js';
+
+const PROGRESS_INTERVAL_MS = 100;
+
+let context = null;
+const files = new Map(); // id -> { name, content, error? }
+const partials = new Map(); // id -> { characters?, teams?, positions?, ratings?, headToHead? }
+
+const ACCUMULATORS = {
+  characters: file => { const partial = {}; accumulateCharacterData(partial, file, context); return partial; },
+  teams: file => { const partial = {}; accumulateTeamData(partial, file, context); return partial; },
+  positions: (file, id) => { const partial = {}; accumulatePositionData(partial, file, id, context); return partial; },
+  // Wrapped so files without a rated result are cached too
+  ratings: file => ({ match: extractRatingMatch(file, context) }),
+  headToHead: file => { const partial = {}; accumulateHeadToHead(partial, file, context); return partial; }
+};
+
+// Views built from another view's partials instead of their own
+const VIEW_INPUTS = {
+  cohorts: ['characters']
+};
+
+function syncFiles(requested) {
+  const keep = new Set(requested.map(f => f.id));
+  for (const id of files.keys()) {
+    if (!keep.has(id)) {
+      files.delete(id);
+      partials.delete(id);
+    }
+  }
+  requested.forEach(({ id, file }) => {
+    if (file) files.set(id, file);
+  });
+}
+
+function aggregate({ requestId, files: requested, views, positionMatchTypeFilters, cohortSpec }) {
+  syncFiles(requested);
+  const ids = requested.map(f => f.id).filter(id => files.has(id));
+  const inputs = [...new Set(views.flatMap(view => VIEW_INPUTS[view] || [view]))];
+
+  // Accumulate what isn't cached yet, reporting progress as files complete
+  const pending = ids.filter(id => inputs.some(view => !partials.get(id)?.[view]));
+  let lastProgress = 0;
+  pending.forEach((id, i) => {
+    const file = files.get(id);
+    const cached = partials.get(id) || {};
+    inputs.forEach(view => {
+      if (!cached[view]) cached[view] = ACCUMULATORS[view](file, id);
+    });
+    partials.set(id, cached);
+    const now = Date.now();
+    if (now - lastProgress >= PROGRESS_INTERVAL_MS) {
+      lastProgress = now;
+      self.postMessage({ type: 'progress', requestId, done: i + 1, total: pending.length });
+    }
+  });
+
+  const result = { type: 'result', requestId, characters: null, teams: null, positions: null, ratings: null, headToHead: null, cohorts: null };
+  if (views.includes('characters')) {
+    const characterStats = {};
+    ids.forEach(id => mergeCharacterData(characterStats, partials.get(id).characters));
+    result.characters = finalizeCharacterData(characterStats, context);
+  }
+  if (views.includes('teams')) {
+    const teamStats = {};
+    ids.forEach(id => mergeTeamData(teamStats, partials.get(id).teams));
+    result.teams = finalizeTeamData(teamStats, context);
+  }
+  if (views.includes('positions')) {
+    const positionStats = createPositionStats();
+    ids.forEach(id => mergePositionData(positionStats, partials.get(id).positions, positionMatchTypeFilters));
+    result.positions = finalizePositionData(positionStats);
+  }
+  if (views.includes('ratings')) {
+    // Ratings depend on match order, so the per-file records are replayed on every request
+    result.ratings = replayRatings(ids.map(id => partials.get(id).ratings.match));
+  }
+  if (views.includes('headToHead')) {
+    const headToHeadStats = {};
+    ids.forEach(id => mergeHeadToHead(headToHeadStats, partials.get(id).headToHead));
+    result.headToHead = finalizeHeadToHead(headToHeadStats);
+  }
+  if (views.includes('cohorts') && cohortSpec) {
+    // Each cohort is finalized on its own so rates and significance are per cohort
+    const [before, after] = [cohortSpec.before, cohortSpec.after].map(value => {
+      const cohortIds = ids.filter(id => cohortValue(files.get(id), cohortSpec.dimension) === value);
+      const characterStats = {};
+      cohortIds.forEach(id => mergeCharacterData(characterStats, partials.get(id).characters));
+      return summarizeCohort(finalizeCharacterData(characterStats, context), cohortIds.length, context);
+    });
+    result.cohorts = { ...cohortSpec, ...compareCohorts(before, after) };
+  }
+  self.postMessage(result);
+}
+
+self.onmessage = ({ data }) => {
+  if (data.type === 'context') {
+    context = data.context;
+    partials.clear();
+    return;
+  }
+  if (data.type === 'aggregate') {
+    try {
+      aggregate(data);
+    } catch (err) {
+      console.error('Aggregation failed:', err);
+      self.postMessage({ type: 'error', requestId: data.requestId, message: err.message });
+    }
+  }
+};
@@ -0,0 +1,110 @@
+// The aggregation worker's accumulate / merge / finalize path against the one-shot aggregation
+// The worker caches a partial per file and merges the cached partials on every request, so its
+// results have to match getAggregatedCharacterData / getTeamAggregatedData over the same files,
+// both on the first request and when later requests reuse the cache.
+
+import { test, describe, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import {
+  accumulateCharacterData, mergeCharacterData, finalizeCharacterData,
+  accumulateTeamData, mergeTeamData, finalizeTeamData,
+  getAggregatedCharacterData, getTeamAggregatedData,
+} from '../src/utils/matchAggregation.js';
+import { createReferenceMaps } from '../src/utils/analysisReport.js';
+
+const readText = (relative) => fs.readFileSync(new URL(relative, import.meta.url), 'utf8');
+const fixture = (name) => JSON.parse(readText(`./fixtures/${name}.json`));
+
+const context = createReferenceMaps({
+  charactersCSV: readText('../../../referencedata/characters.csv'),
+  capsulesCSV: readText('../../../referencedata/capsules.csv'),
+  mapsCSV: readText('../../../referencedata/maps.csv'),
+});
+const { charMap, capsuleMap, aiStrategiesMap, mapsMap } = context;
+
+// The modern fixture twice, so the same characters and teams are merged across files
+const files = [
+  { name: 'team-battle-2v2.json', content: fixture('team-battle-2v2') },
+  { name: 'legacy-battle-1v1.json', content: fixture('legacy-battle-1v1') },
+  { name: 'team-battle-2v2-rematch.json', content: fixture('team-battle-2v2') },
+];
+
+const expectedCharacters = (selection) => getAggregatedCharacterData(selection, charMap, capsuleMap, aiStrategiesMap, mapsMap);
+const expectedTeams = (selection) => getTeamAggregatedData(selection, charMap, capsuleMap, aiStrategiesMap);
+
+describe('per-file partials', () => {
+  test('characters: finalize(merge(accumulate per file)) equals the one-shot aggregation', () => {
+    const merged = {};
+    files.forEach(file => {
+      const partial = {};
+      accumulateCharacterData(partial, file, context);
+      mergeCharacterData(merged, partial);
+    });
+    assert.deepEqual(finalizeCharacterData(merged, context), expectedCharacters(files));
+  });
+
+  test('teams: finalize(merge(accumulate per file)) equals the one-shot aggregation', () => {
+    const merged = {};
+    files.forEach(file => {
+      const partial = {};
+      accumulateTeamData(partial, file, context);
+      mergeTeamData(merged, partial);
+    });
+    assert.deepEqual(finalizeTeamData(merged, context), expectedTeams(files));
+  });
+});
+
+describe('aggregation worker cache', async () => {
+  // The worker talks to `self`; stand in for it and collect what it posts
+  const posted = [];
+  globalThis.self = { postMessage: (message) => posted.push(message) };
+  await import('../src/workers/aggregationWorker.js');
+
+  let requestId = 0;
+  const aggregate = (selection) => {
+    posted.length = 0;
+    self.onmessage({ data: { type: 'aggregate', requestId: ++requestId, files: selection, views: ['characters', 'teams'] } });
+    const result = posted.find(message => message.requestId === requestId && message.type !== 'progress');
+    assert.equal(result?.type, 'result', result?.message);
+    return result;
+  };
+  const withFile = (i) => ({ id: files[i].name, file: files[i] });
+  const cachedOnly = (i) => ({ id: files[i].name });
+
+  beforeEach(() => {
+    self.onmessage({ data: { type: 'context', context } });
+    aggregate([]);
+  });
+
+  test('first request matches the one-shot aggregation', () => {
+    const result = aggregate(files.map((_, i) => withFile(i)));
+    assert.deepEqual(result.characters, expectedCharacters(files));
+    assert.deepEqual(result.teams, expectedTeams(files));
+  });
+
+  test('adding a file reuses the cached partials of the others', () => {
+    aggregate([withFile(0), withFile(1)]);
+    const result = aggregate([cachedOnly(0), cachedOnly(1), withFile(2)]);
+    assert.deepEqual(result.characters, expectedCharacters(files));
+    assert.deepEqual(result.teams, expectedTeams(files));
+  });
+
+  test('removing a file drops it and leaves the cached partials intact', () => {
+    aggregate(files.map((_, i) => withFile(i)));
+    const result = aggregate([cachedOnly(0), cachedOnly(2)]);
+    assert.deepEqual(result.characters, expectedCharacters([files[0], files[2]]));
+    assert.deepEqual(result.teams, expectedTeams([files[0], files[2]]));
+
+    // Repeating the request merges the same cached partials again
+    assert.deepEqual(aggregate([cachedOnly(0), cachedOnly(2)]).characters, result.characters);
+  });
+
+  test('files the worker no longer holds are left out', () => {
+    aggregate([withFile(0)]);
+    aggregate([]);
+    const result = aggregate([cachedOnly(0), withFile(1)]);
+    assert.deepEqual(result.characters, expectedCharacters([files[1]]));
+    assert.deepEqual(result.teams, expectedTeams([files[1]]));
+  });
+});
@@ -0,0 +1,319 @@
+// Battle result parsing and aggregation against golden outputs
+// Fixtures are real BR_Data files (see test/fixtures/README.md). Each golden file in test/golden
+// holds the expected output for one fixture; after an intended change to the parsing, rewrite
+// them with `UPDATE_GOLDEN=1 npm test` and review the diff.
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import {
+  extractStats,
+  parseBattleTime,
+  getBuildComposition,
+  getTeamAggregatedData,
+} from '../src/utils/matchAggregation.js';
+import { calculatePerFormStats } from '../src/utils/formStatsCalculator.js';
+import { parseCapsuleEffect, detectSynergyType, analyzeBuildComposition } from '../src/utils/capsuleEffectParser.js';
+import { createReferenceMaps } from '../src/utils/analysisReport.js';
+
+const readText = (relative) => fs.readFileSync(new URL(relative, import.meta.url), 'utf8');
+const fixture = (name) => JSON.parse(readText(`./fixtures/${name}.json`));
+
+const referenceMaps = createReferenceMaps({
+  charactersCSV: readText('../../../referencedata/characters.csv'),
+  capsulesCSV: readText('../../../referencedata/capsules.csv'),
+  mapsCSV: readText('../../../referencedata/maps.csv'),
+});
+const { charMap, capsuleMap, aiStrategiesMap } = referenceMaps;
+
+// Compared as JSON, so undefined fields drop out and NaN reads as null, as in an export
+function assertGolden(name, actual) {
+  const file = new URL(`./golden/${name}.json`, import.meta.url);
+  const json = JSON.stringify(actual, null, 2) + '\n';
+  if (process.env.UPDATE_GOLDEN) {
+    fs.writeFileSync(file, json);
+    return;
+  }
+  assert.ok(fs.existsSync(file), `Missing golden file test/golden/${name}.json (run with UPDATE_GOLDEN=1)`);
+  assert.deepEqual(JSON.parse(json), JSON.parse(fs.readFileSync(file, 'utf8')));
+}
+
+const modern = fixture('team-battle-2v2');
+const legacy = fixture('legacy-battle-1v1');
+const characters = (file) => Object.entries(file.TeamBattleResults.battleResult.characterRecord);
+const statsFor = (file) => Object.fromEntries(
+  characters(file).map(([key, char]) => [key, extractStats(char, charMap, capsuleMap, null, aiStrategiesMap)])
+);
+const sum = (values) => values.reduce((total, value) => total + value, 0);
+
+describe('parseBattleTime', () => {
+  test('reads the game duration format as seconds', () => {
+    assert.equal(parseBattleTime('+00000000.00:02:54.470000000'), 174.47);
+    assert.equal(parseBattleTime('+00000000.01:00:05.000000000'), 3605);
+    assert.equal(parseBattleTime('+00000000.00:00:00.000000000'), 0);
+  });
+
+  test('keeps milliseconds only', () => {
+    assert.equal(parseBattleTime('+00000000.00:00:01.999999999'), 1.999);
+  });
+
+  test('returns 0 for missing or malformed values', () => {
+    assert.equal(parseBattleTime(undefined), 0);
+    assert.equal(parseBattleTime(''), 0);
+    assert.equal(parseBattleTime(174), 0);
+    assert.equal(parseBattleTime('2:54'), 0);
+  });
+
+  test('matches the fixture durations', () => {
+    characters(modern).forEach(([, char]) => {
+      const seconds = parseBattleTime(char.battleCount.battleTime);
+      assert.ok(seconds > 0 && seconds < 3600, `${char.battleCount.battleTime} -> ${seconds}`);
+    });
+  });
+});
+
+describe('extractStats', () => {
+  test('modern file matches the golden output', () => {
+    assertGolden('extractStats.team-battle-2v2', statsFor(modern));
+  });
+
+  test('legacy file matches the golden output', () => {
+    assertGolden('extractStats.legacy-battle-1v1', statsFor(legacy));
+  });
+
+  test('reads blasts thrown and hit from additionalCounts', () => {
+    characters(modern).forEach(([key, char]) => {
+      const stats = extractStats(char, charMap, capsuleMap);
+      const counts = char.additionalCounts;
+      assert.equal(stats.hasAdditionalCounts, true, key);
+      assert.equal(stats.s1Blast, counts.s1Blast, key);
+      assert.equal(stats.s1HitBlast, counts.s1HitBlast, key);
+      assert.equal(stats.uLTHitBlast, counts.uLTHitBlast, key);
+      assert.equal(stats.tags, counts.tags ?? 0, key);
+    });
+  });
+
+  test('falls back to runBlastCount and battleNumCount without additionalCounts', () => {
+    characters(legacy).forEach(([key, char]) => {
+      const stats = extractStats(char, charMap, capsuleMap);
+      const runBlasts = Object.entries(char.battleCount.runBlastCount || {});
+      const thrown = (pattern) => sum(runBlasts.filter(([action]) => pattern.test(action)).map(([, n]) => n));
+      assert.equal(stats.hasAdditionalCounts, false, key);
+      assert.equal(stats.s1Blast, thrown(/SPM1/), key);
+      assert.equal(stats.s2Blast, thrown(/SPM2/), key);
+      assert.equal(stats.ultBlast, char.battleCount.battleNumCount.uLTCount || 0, key);
+      // Hits weren't recorded: no fallback to 0, so hit rates don't count as misses
+      assert.equal(stats.s1HitBlast, undefined, key);
+      assert.equal(stats.uLTHitBlast, undefined, key);
+      assert.equal(stats.tags, 0, key);
+    });
+  });
+
+  test('names characters from their original form', () => {
+    characters(modern).forEach(([key, char]) => {
+      const id = char.battlePlayCharacter.originalCharacter?.key || char.battlePlayCharacter.character.key;
+      assert.equal(extractStats(char, charMap, capsuleMap).name, charMap[id], key);
+    });
+  });
+});
+
+describe('calculatePerFormStats', () => {
+  const transformed = characters(modern).filter(([, char]) => char.formChangeHistory?.length > 0);
+  const characterIdRecord = modern.TeamBattleResults.battleResult.characterIdRecord;
+  const formsOf = (char) => calculatePerFormStats(
+    char,
+    characterIdRecord,
+    char.formChangeHistory,
+    char.battlePlayCharacter.originalCharacter?.key
+  );
+
+  test('the fixture has a transformation', () => {
+    assert.ok(transformed.length > 0);
+  });
+
+  test('matches the golden output', () => {
+    assertGolden('perFormStats.team-battle-2v2', Object.fromEntries(transformed.map(([key, char]) => [key, formsOf(char)])));
+  });
+
+  test('splits the match into one entry per form', () => {
+    transformed.forEach(([key, char]) => {
+      const forms = formsOf(char);
+      assert.equal(forms.length, char.formChangeHistory.length + 1, key);
+      assert.equal(forms[0].isFirstForm, true, key);
+      assert.equal(forms[forms.length - 1].isFinalForm, true, key);
+      assert.deepEqual(forms.slice(1).map(form => form.formId), char.formChangeHistory.map(change => change.key), key);
+    });
+  });
+
+  test('form totals add back up to the whole match', () => {
+    transformed.forEach(([key, char]) => {
+      const forms = formsOf(char);
+      assert.equal(sum(forms.map(form => form.damageDone)), char.battleCount.givenDamage, key);
+      assert.equal(sum(forms.map(form => form.damageTaken)), char.battleCount.takenDamage, key);
+      assert.equal(sum(forms.map(form => form.kills)), char.battleCount.killCount || 0, key);
+      forms.forEach(form => assert.ok(form.damageDone >= 0 && form.battleTime >= 0, `${key} form ${form.formNumber}`));
+    });
+  });
+
+  test('returns the whole match as one form without transformations', () => {
+    const [, char] = characters(modern).find(([, c]) => !c.formChangeHistory?.length);
+    const forms = calculatePerFormStats(char, characterIdRecord, [], 'X');
+    assert.equal(forms.length, 1);
+    assert.equal(forms[0].formId, 'X');
+    assert.equal(forms[0].isFinalForm, true);
+  });
+
+  test('returns nothing when the snapshots are missing', () => {
+    const [, char] = transformed[0];
+    const warn = console.warn;
+    console.warn = () => {};
+    try {
+      assert.deepEqual(calculatePerFormStats(char, {}, char.formChangeHistory, 'X'), []);
+    } finally {
+      console.warn = warn;
+    }
+  });
+});
+
+describe('getBuildComposition', () => {
+  const costs = (overrides) => ({ melee: 0, blast: 0, kiBlast: 0, defense: 0, skill: 0, kiEfficiency: 0, utility: 0, ...overrides });
+
+  test('classifies builds by their cost split', () => {
+    assert.equal(getBuildComposition(costs({})).label, 'No Build');
+    assert.equal(getBuildComposition(costs({ melee: 15, defense: 5 })).label, 'Pure Melee');
+    assert.equal(getBuildComposition(costs({ blast: 9, defense: 6, utility: 5 })).label, 'Blast-Focused');
+    assert.equal(getBuildComposition(costs({ skill: 7, kiEfficiency: 6, melee: 4, utility: 3 })).label, 'Skill/Ki Efficiency');
+    assert.equal(getBuildComposition(costs({ melee: 5, blast: 5, defense: 5, utility: 5 })).type, 'balanced');
+  });
+
+  test('breakdown percentages cover the whole build', () => {
+    const { breakdown } = getBuildComposition(costs({ melee: 8, blast: 7, kiEfficiency: 5 }));
+    assert.equal(breakdown.length, 7);
+    assert.equal(Math.round(sum(breakdown.map(t => t.percent))), 100);
+  });
+
+  test('matches the builds in the fixture', () => {
+    assertGolden('buildComposition.team-battle-2v2', Object.fromEntries(
+      Object.entries(statsFor(modern)).map(([key, stats]) => [key, getBuildComposition(stats.capsuleCosts)])
+    ));
+  });
+});
+
+describe('team aggregation', () => {
+  const teams = getTeamAggregatedData([{ name: 'team-battle-2v2.json', content: modern }], charMap, capsuleMap, aiStrategiesMap);
+
+  // Per-character detail is covered by the extractStats golden; snapshot the team-level fields
+  // and check how the character and opponent tables line up below
+  const PER_CHARACTER_FIELDS = ['characterDetails', 'characterAverages', 'opponentRecords'];
+  const byName = Object.fromEntries(teams.map(team => [team.teamName, team]));
+  const stats = Object.values(statsFor(modern));
+
+  test('team-level fields match the golden output', () => {
+    assertGolden('teamAggregation.team-battle-2v2', teams.map(team => Object.fromEntries(
+      Object.entries(team).filter(([field]) => !PER_CHARACTER_FIELDS.includes(field))
+    )));
+  });
+
+  test('lists every fighter once in the character tables', () => {
+    teams.forEach(team => {
+      assert.deepEqual(Object.keys(team.characterDetails).sort(), [...team.charactersUsed].sort());
+      assert.deepEqual(Object.keys(team.characterAverages).sort(), [...team.charactersUsed].sort());
+    });
+    assert.equal(sum(teams.map(team => team.charactersUsed.length)), stats.length);
+  });
+
+  test('character tables carry the fighters\' own stats', () => {
+    stats.forEach(char => {
+      const team = teams.find(t => t.charactersUsed.includes(char.name));
+      assert.ok(team, `${char.name} is on a team`);
+      const [detail] = team.characterDetails[char.name];
+      assert.equal(detail.damageDealt, char.damageDone);
+      assert.equal(detail.damageTaken, char.damageTaken);
+      const averages = team.characterAverages[char.name];
+      assert.equal(averages.matchesPlayed, 1);
+      assert.equal(averages.avgDamageDealt, Math.round(char.damageDone));
+      assert.equal(averages.avgDamageTaken, Math.round(char.damageTaken));
+    });
+  });
+
+  test('opponent records mirror each other', () => {
+    const [team1, team2] = modern.TeamBattleResults.teams;
+    const record = byName[team1].opponentRecords[team2];
+    const reverse = byName[team2].opponentRecords[team1];
+    assert.deepEqual([record.wins, record.losses], [reverse.losses, reverse.wins]);
+    assert.deepEqual([record.wins, record.losses], [byName[team1].wins, byName[team1].losses]);
+    Object.keys(record.characterMatchups).forEach(matchup => {
+      const [own, opponent] = matchup.split('_vs_');
+      assert.ok(byName[team1].charactersUsed.includes(own), matchup);
+      assert.ok(byName[team2].charactersUsed.includes(opponent), matchup);
+      assert.ok(reverse.characterMatchups[`${opponent}_vs_${own}`], `${matchup} has a reverse entry`);
+    });
+  });
+
+  test('credits the result to both teams', () => {
+    const [team1, team2] = modern.TeamBattleResults.teams;
+    const won = modern.TeamBattleResults.battleResult.battleWinLose === 'Win';
+    assert.deepEqual(Object.keys(byName).sort(), [team1, team2].sort());
+    assert.equal(byName[team1].matches, 1);
+    assert.equal(byName[team1].wins, won ? 1 : 0);
+    assert.equal(byName[team2].wins, won ? 0 : 1);
+  });
+
+  test('legacy files aggregate alongside modern ones', () => {
+    const mixed = getTeamAggregatedData([
+      { name: 'team-battle-2v2.json', content: modern },
+      { name: 'legacy-battle-1v1.json', content: legacy },
+    ], charMap, capsuleMap, aiStrategiesMap);
+    assert.equal(sum(mixed.map(team => team.matches)), 4);
+  });
+
+  test('keys teams by their canonical registry name', () => {
+    const aliased = structuredClone(modern);
+    aliased.TeamBattleResults.teams = ['Sentai', 'Master and Student'];
+    const renamed = structuredClone(modern);
+    renamed.TeamBattleResults.teams = ['Sentai Squad', 'Master & Student'];
+    const merged = getTeamAggregatedData([
+      { name: 'aliased.json', content: aliased },
+      { name: 'renamed.json', content: renamed },
+    ], charMap, capsuleMap, aiStrategiesMap);
+    assert.deepEqual(merged.map(team => team.teamName).sort(), ['Master & Student', 'Sentai Squad']);
+    merged.forEach(team => assert.equal(team.matches, 2));
+    assert.deepEqual(Object.keys(merged.find(team => team.teamName === 'Sentai Squad').opponentRecords), ['Master & Student']);
+  });
+});
+
+describe('capsuleEffectParser', () => {
+  test('classifies every capsule the same as the golden output', () => {
+    assertGolden('capsuleArchetypes', Object.fromEntries(Object.values(capsuleMap).map(capsule => {
+      const parsed = parseCapsuleEffect(capsule.effect, capsule.name, capsule.id);
+      return [capsule.id, { name: capsule.name, primaryArchetype: parsed.primaryArchetype, allTags: parsed.allTags }];
+    })));
+  });
+
+  test('scores effects by archetype patterns', () => {
+    assert.equal(parseCapsuleEffect('Increases Rush Attack damage by 2.5%.').primaryArchetype, 'aggressive');
+    assert.equal(parseCapsuleEffect('Increases maximum health by 2,500 HP (1/4 of a bar).').primaryArchetype, 'defensive');
+    assert.equal(parseCapsuleEffect('Reduces ki cost for Dragon Dashes by 25%.').primaryArchetype, 'technical');
+  });
+
+  test('treats a missing effect as utility', () => {
+    const parsed = parseCapsuleEffect(undefined, 'Blank', 'x');
+    assert.equal(parsed.primaryArchetype, 'utility');
+    assert.deepEqual(parsed.allTags, []);
+  });
+
+  test('detects synergy between archetypes', () => {
+    const capsule = (primaryArchetype, effectDescription = '') => ({ primaryArchetype, effectDescription });
+    assert.equal(detectSynergyType(capsule('aggressive'), capsule('aggressive')), 'multiplicative');
+    assert.equal(detectSynergyType(capsule('aggressive'), capsule('technical')), 'complementary');
+    assert.equal(detectSynergyType(capsule('utility'), capsule('utility')), 'neutral');
+    assert.equal(detectSynergyType(capsule('aggressive', 'Reduces defense by 10%'), capsule('defensive', 'Reduces armor by 5%')), 'anti-synergy');
+  });
+
+  test('names a build by its dominant archetype', () => {
+    const build = (...archetypes) => archetypes.map(primaryArchetype => ({ primaryArchetype }));
+    assert.equal(analyzeBuildComposition(build('aggressive', 'aggressive', 'aggressive', 'aggressive', 'aggressive', 'utility')).buildType, 'Pure Aggressive');
+    assert.equal(analyzeBuildComposition(build('defensive', 'defensive', 'defensive', 'defensive', 'technical')).buildType, 'Defensive (Technical Support)');
+    assert.equal(analyzeBuildComposition(build('aggressive', 'defensive', 'technical')).buildType, 'Balanced');
+  });
+});
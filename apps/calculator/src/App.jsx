@@ -7,8 +7,14 @@ import SkillsPanel from './components/SkillsPanel.jsx';
 import CompareStatsPanel from './components/CompareStatsPanel.jsx';
 import CompareCapsuleBuilder from './components/CompareCapsuleBuilder.jsx';
 import OpponentPanel from './components/OpponentPanel.jsx';
-import { computeModifiedStats, applySkillBuffs, encodeBuild, decodeBuild, CAPSULE_BUDGET } from './utils/calculator.js';
+import OptimizerPanel from './components/OptimizerPanel.jsx';
+import ComboSimulatorPanel from './components/ComboSimulatorPanel.jsx';
+import KiEconomyPanel from './components/KiEconomyPanel.jsx';
+import SkillTimelinePanel from './components/SkillTimelinePanel.jsx';
+import { computeModifiedStats, applySkillBuffs, encodeBuild, decodeBuild, findBuildRecord, CAPSULE_BUDGET } from './utils/calculator.js';
 import { applyLightBodyKiBlastArmor } from './utils/calculator.js';
+import { canonicalizeTeams } from './utils/teams.js';
+import { resolveActivations, activeSkillsAt } from './utils/skillTimeline.js';
 
 const NUM_CAPSULE_SLOTS = 7;
 // Mobile sections: 0=Characters, 1=Stats/Skills, 2=Opponent, 3=Capsules
@@ -111,6 +117,15 @@ const COMPARE_TABLET_WIDTHS = {
   cmp_capsules: '50%',
 };
 
+// skills.json entries for a character's two skills (null where the name has no entry)
+function characterSkillDetails(character, skills) {
+  return [character?.skill1Name, character?.skill2Name].map(name =>
+    name ? skills.find(s => s.name?.toLowerCase() === name.toLowerCase()) ?? null : null
+  );
+}
+
+const EMPTY_TIMELINE = { enabled: false, activations: [], t: 0, stacking: 'stack' };
+
 function App() {
   const [characters, setCharacters] = useState([]);
   const [capsules, setCapsules] = useState([]);
@@ -126,6 +141,7 @@ function App() {
   const [equippedCapsules, setEquippedCapsules] = useState(Array(NUM_CAPSULE_SLOTS).fill(null));
   const [activeSlot, setActiveSlot] = useState(null); // which slot is being edited
   const [activeSkills, setActiveSkills] = useState([]); // activated skill buff objects
+  const [skillTimeline, setSkillTimeline] = useState(EMPTY_TIMELINE); // timed casts, replaces activeSkills when enabled
   const [currentSection, setCurrentSection] = useState(0); // mobile: 0=chars,1=stats,2=skills,3=capsules
   const touchStartX = useRef(null);
   const touchStartY = useRef(null);
@@ -181,7 +197,7 @@ function App() {
       setCapsules(caps);
       setBlasts(bl);
       setSkills(sk);
-      setTeams(tm);
+      setTeams(canonicalizeTeams(tm));
       setCharacterImages(imgs);
 
       // Restore from URL hash if present
@@ -190,30 +206,24 @@ function App() {
         const decoded = decodeBuild(hash);
         if (decoded) {
           // Main character
-          const char = chars.find(c => c.name === decoded.characterName);
+          const char = findBuildRecord(chars, decoded.characterKey);
           if (char) {
             setSelectedCharacter(char);
             setCurrentSection(1);
             setTabletState('stats_skills');
           }
-          if (decoded.capsuleNames) {
-            const restored = decoded.capsuleNames.map(name =>
-              name ? caps.find(c => c.name === name) || null : null
-            );
-            setEquippedCapsules(restored);
+          if (decoded.capsuleKeys) {
+            setEquippedCapsules(decoded.capsuleKeys.map(key => findBuildRecord(caps, key)));
           }
           // Opponent
-          if (decoded.opponentName) {
-            const oppChar = chars.find(c => c.name === decoded.opponentName);
+          if (decoded.opponentKey) {
+            const oppChar = findBuildRecord(chars, decoded.opponentKey);
             if (oppChar) {
               setSelectedOpponent(oppChar);
             }
           }
-          if (decoded.opponentCapsuleNames) {
-            const oppRestored = decoded.opponentCapsuleNames.map(name =>
-              name ? caps.find(c => c.name === name) || null : null
-            );
-            setEquippedOpponentCapsules(oppRestored);
+          if (decoded.opponentCapsuleKeys) {
+            setEquippedOpponentCapsules(decoded.opponentCapsuleKeys.map(key => findBuildRecord(caps, key)));
           }
         }
       }
@@ -223,23 +233,43 @@ function App() {
   // Update URL hash when build changes (now includes opponent info)
   useEffect(() => {
     if (!selectedCharacter) return;
-    const hash = encodeBuild(
-      selectedCharacter.name,
-      equippedCapsules.map(c => c?.name ?? null),
-      selectedOpponent?.name ?? null,
-      equippedOpponentCapsules.map(c => c?.name ?? null)
-    );
+    const hash = encodeBuild(selectedCharacter, equippedCapsules, selectedOpponent, equippedOpponentCapsules);
     window.history.replaceState(null, '', `#${hash}`);
   }, [selectedCharacter, equippedCapsules, selectedOpponent, equippedOpponentCapsules]);
 
 
+  const capsuleStats = useMemo(
+    () => computeModifiedStats(selectedCharacter, equippedCapsules.filter(Boolean)),
+    [selectedCharacter, equippedCapsules]
+  );
+
+  // Skills the timeline can cast: the character's two skills plus Sparking, which has no duration
+  // of its own and lasts the build's Sparking window (see defaultBuffSeconds)
+  const timelineSkills = useMemo(() => {
+    if (!selectedCharacter) return [];
+    const spark = selectedCharacter.sparkStatBuffs
+      ? [{ id: `spark_${selectedCharacter.name}`, name: 'Sparking', instantSparking: true, cost: 0, ...selectedCharacter.sparkStatBuffs }]
+      : [];
+    return [...characterSkillDetails(selectedCharacter, skills).filter(Boolean), ...spark];
+  }, [selectedCharacter, skills]);
+
+  const resolvedTimeline = useMemo(
+    () => resolveActivations(skillTimeline.activations, capsuleStats),
+    [skillTimeline.activations, capsuleStats]
+  );
+
+  // Buffs in effect: the toggled skills, or whatever the timeline has running at t
+  const effectiveSkills = useMemo(
+    () => (skillTimeline.enabled ? activeSkillsAt(resolvedTimeline, skillTimeline.t, skillTimeline.stacking) : activeSkills),
+    [skillTimeline.enabled, skillTimeline.t, skillTimeline.stacking, resolvedTimeline, activeSkills]
+  );
+
   const modifiedStats = useMemo(() => {
-    const base = computeModifiedStats(selectedCharacter, equippedCapsules.filter(Boolean));
-    const withSkills = applySkillBuffs(base, activeSkills);
+    const withSkills = applySkillBuffs(capsuleStats, effectiveSkills);
     const hasLightBody = equippedCapsules.some(c => c && c.name === 'Light Body');
     // TODO: Add hasDraconicAura logic when implemented
     return applyLightBodyKiBlastArmor(withSkills, hasLightBody, false);
-  }, [selectedCharacter, equippedCapsules, activeSkills]);
+  }, [capsuleStats, effectiveSkills, equippedCapsules]);
 
   // Compare mode computed stats
 
@@ -270,6 +300,24 @@ function App() {
     return applyLightBodyKiBlastArmor(withSkills, hasLightBody, hasDraconicAura);
   }, [selectedOpponent, equippedOpponentCapsules, activeOpponentSkills, equippedCapsules]);
 
+  // Ki economy inputs — the current build, or builds A and B in compare mode
+  const kiEconomyBuilds = useMemo(() => (selectedCharacter ? [{
+    label: selectedCharacter.name,
+    stats: modifiedStats,
+    blasts: blasts[selectedCharacter.id] || [],
+    skills: characterSkillDetails(selectedCharacter, skills),
+  }] : []), [selectedCharacter, modifiedStats, blasts, skills]);
+
+  const compareKiEconomyBuilds = useMemo(() => [
+    ['A', selectedCharacter, compareModStatsA],
+    ['B', selectedCharacterB, compareModStatsB],
+  ].filter(([, char]) => char).map(([label, char, stats]) => ({
+    label: `${label} · ${char.name}`,
+    stats,
+    blasts: blasts[char.id] || [],
+    skills: characterSkillDetails(char, skills),
+  })), [selectedCharacter, selectedCharacterB, compareModStatsA, compareModStatsB, blasts, skills]);
+
   const handleEquipCapsule = useCallback((capsule) => {
     setEquippedCapsules(prev => {
       const targetSlot = activeSlot !== null ? activeSlot : prev.findIndex(c => c === null);
@@ -294,6 +342,11 @@ function App() {
     setActiveSlot(null);
   }, []);
 
+  const handleApplyOptimizedBuild = useCallback((build) => {
+    setEquippedCapsules([...build, ...Array(NUM_CAPSULE_SLOTS - build.length).fill(null)]);
+    setActiveSlot(null);
+  }, []);
+
   // Opponent capsule handlers
   const handleEquipOpponentCapsule = useCallback((capsule) => {
     setEquippedOpponentCapsules(prev => {
@@ -333,6 +386,7 @@ function App() {
     setSelectedOpponent(selectedCharacter);
     setEquippedOpponentCapsules(equippedCapsules);
     setActiveOpponentSkills(activeSkills);
+    setSkillTimeline(prev => ({ ...prev, activations: [] }));
     setActiveSlot(null);
     setActiveOpponentSlot(null);
   }, [selectedCharacter, selectedOpponent, equippedCapsules, equippedOpponentCapsules, activeSkills, activeOpponentSkills]);
@@ -396,6 +450,7 @@ function App() {
     setEquippedCapsules(Array(NUM_CAPSULE_SLOTS).fill(null));
     setActiveSlot(null);
     setActiveSkills([]);
+    setSkillTimeline(prev => ({ ...prev, activations: [] }));
     setCurrentSection(1);
     setTabletState('stats_skills');
   }, []);
@@ -589,6 +644,43 @@ function App() {
     />
   );
 
+  // Shared OptimizerPanel node — sits under the stats in every normal-mode layout
+  const optimizerPanelNode = (
+    <OptimizerPanel
+      character={selectedCharacter}
+      capsules={capsules}
+      blasts={blasts}
+      activeSkills={effectiveSkills}
+      opponentStats={opponentModStats}
+      equippedCapsules={equippedCapsules}
+      numSlots={NUM_CAPSULE_SLOTS}
+      onApply={handleApplyOptimizedBuild}
+    />
+  );
+
+  // Shared ComboSimulatorPanel node — under the skills (desktop/tablet) or the opponent (mobile)
+  const comboSimulatorNode = (
+    <ComboSimulatorPanel
+      character={selectedCharacter}
+      modifiedStats={modifiedStats}
+      opponentStats={opponentModStats}
+      equippedCapsules={equippedCapsules}
+      activeSkills={effectiveSkills}
+      blasts={blasts}
+    />
+  );
+
+  // Shared SkillTimelinePanel node — directly under the skills in every normal-mode layout
+  const skillTimelineNode = (
+    <SkillTimelinePanel
+      character={selectedCharacter}
+      skills={timelineSkills}
+      timeline={skillTimeline}
+      resolved={resolvedTimeline}
+      onChange={setSkillTimeline}
+    />
+  );
+
   return (
     <div className="h-screen bg-sz-dark text-gray-100 flex flex-col overflow-hidden">
       {/* Header */}
@@ -703,6 +795,7 @@ function App() {
                 activeSkillsB={activeSkillsB}
                 onToggleSkillA={(skill) => setActiveSkillsA(prev => prev.findIndex(s => s.id === skill.id) === -1 ? [...prev, skill] : prev.filter(s => s.id !== skill.id))}
                 onToggleSkillB={(skill) => setActiveSkillsB(prev => prev.findIndex(s => s.id === skill.id) === -1 ? [...prev, skill] : prev.filter(s => s.id !== skill.id))}
+                kiEconomyPanel={<KiEconomyPanel builds={compareKiEconomyBuilds} />}
               />
             </div>
 
@@ -793,6 +886,8 @@ function App() {
             equippedCapsules={equippedCapsules}
             opponentHasLightBody={equippedOpponentCapsules.some(c => c && c.name === 'Light Body')}
           />
+          {optimizerPanelNode}
+          <KiEconomyPanel builds={kiEconomyBuilds} />
         </div>
 
         {/* Col 3: Right panel — fills remaining width, sub-divided */}
@@ -804,7 +899,7 @@ function App() {
               blasts={blasts}
               skills={skills}
               equippedCapsules={equippedCapsules}
-              activeSkills={activeSkills}
+              activeSkills={effectiveSkills}
               opponentStats={opponentModStats}
               opponentPanel={opponentPanelNode}
               onToggleSkill={(skill) => {
@@ -814,6 +909,8 @@ function App() {
                 });
               }}
             />
+            {skillTimelineNode}
+            {comboSimulatorNode}
           </div>
 
           {/* Capsule Builder */}
@@ -902,6 +999,7 @@ function App() {
                   onSelectB={() => setCompareTabletState('cmp_charB')}
                   onToggleSkillA={(skill) => setActiveSkillsA(prev => prev.findIndex(s => s.id === skill.id) === -1 ? [...prev, skill] : prev.filter(s => s.id !== skill.id))}
                   onToggleSkillB={(skill) => setActiveSkillsB(prev => prev.findIndex(s => s.id === skill.id) === -1 ? [...prev, skill] : prev.filter(s => s.id !== skill.id))}
+                  kiEconomyPanel={<KiEconomyPanel builds={compareKiEconomyBuilds} />}
                 />
               </div>
 
@@ -958,6 +1056,8 @@ function App() {
               opponentHasLightBody={equippedOpponentCapsules.some(c => c && c.name === 'Light Body')}
               onSelectCharacter={() => setTabletState('chars_stats')}
             />
+            {optimizerPanelNode}
+            <KiEconomyPanel builds={kiEconomyBuilds} />
           </div>
 
           {/* Skills panel — border-r only when Capsules is alongside it */}
@@ -970,7 +1070,7 @@ function App() {
               blasts={blasts}
               skills={skills}
               equippedCapsules={equippedCapsules}
-              activeSkills={activeSkills}
+              activeSkills={effectiveSkills}
               opponentStats={opponentModStats}
               opponentPanel={opponentPanelNode}
               onToggleSkill={(skill) => {
@@ -980,6 +1080,8 @@ function App() {
                 });
               }}
             />
+            {skillTimelineNode}
+            {comboSimulatorNode}
           </div>
 
           {/* Capsules panel */}
@@ -1130,6 +1232,7 @@ function App() {
                   onSelectB={() => setCurrentSection(1)}
                   onToggleSkillA={(skill) => setActiveSkillsA(prev => prev.findIndex(s => s.id === skill.id) === -1 ? [...prev, skill] : prev.filter(s => s.id !== skill.id))}
                   onToggleSkillB={(skill) => setActiveSkillsB(prev => prev.findIndex(s => s.id === skill.id) === -1 ? [...prev, skill] : prev.filter(s => s.id !== skill.id))}
+                  kiEconomyPanel={<KiEconomyPanel builds={compareKiEconomyBuilds} />}
                 />
               </div>
 
@@ -1186,12 +1289,14 @@ function App() {
               opponentHasLightBody={equippedOpponentCapsules.some(c => c && c.name === 'Light Body')}
               onSelectCharacter={() => setCurrentSection(0)}
             />
+            {optimizerPanelNode}
+            <KiEconomyPanel builds={kiEconomyBuilds} />
             <SkillsPanel
               character={selectedCharacter}
               blasts={blasts}
               skills={skills}
               equippedCapsules={equippedCapsules}
-              activeSkills={activeSkills}
+              activeSkills={effectiveSkills}
               opponentStats={opponentModStats}
               onToggleSkill={(skill) => {
                 setActiveSkills(prev => {
@@ -1200,6 +1305,7 @@ function App() {
                 });
               }}
             />
+            {skillTimelineNode}
           </div>
 
           {/* Section 2: Opponent */}
@@ -1208,6 +1314,7 @@ function App() {
             style={{ transform: `translateX(${(2 - currentSection) * 100}%)`, transition: 'transform 0.3s ease' }}
           >
             {opponentPanelNode}
+            {comboSimulatorNode}
           </div>
 
           {/* Section 3: Capsule Builder */}
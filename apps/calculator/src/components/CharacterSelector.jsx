@@ -143,7 +143,7 @@ export default function CharacterSelector({ characters, teams, characterImages,
       {/* Character list */}
       <div className="flex-1 overflow-y-auto">
         {filteredCharacters.map(char => {
-          const imgId = characterImages[char.name];
+          const imgId = characterImages[char.id];
           const isSelected = selectedCharacter?.name === char.name;
           return (
             <button
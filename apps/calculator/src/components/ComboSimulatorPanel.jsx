@@ -0,0 +1,143 @@
+import React, { useState, useMemo } from 'react';
+import { Swords, X } from 'lucide-react';
+import { SEQUENCE_ACTIONS, simulateSequence, blastForAction } from '../utils/comboSimulator.js';
+
+const FINISHER_LABELS = { rush: 'Rush Chains', smash: 'Smashes', throw: 'Throws' };
+
+/**
+ * ComboSimulatorPanel — queue attacks against the selected opponent and see how
+ * their health drops, when armor breaks and which action lands the KO.
+ *
+ * Props:
+ *   character         — selected character (base stats)
+ *   modifiedStats     — character stats after capsules and skills
+ *   opponentStats     — opponent's modified stats, or null when none is selected
+ *   equippedCapsules  — array(7) of capsule objects or null
+ *   activeSkills      — array of active skill buff objects
+ *   blasts            — blast.json, keyed by character ID
+ */
+export default function ComboSimulatorPanel({ character, modifiedStats, opponentStats, equippedCapsules, activeSkills, blasts }) {
+  const [sequence, setSequence] = useState([]);
+
+  const characterBlasts = (character && blasts[character.id]) || [];
+
+  const result = useMemo(() => simulateSequence(sequence, {
+    stats: modifiedStats,
+    opponentStats,
+    equippedCapsules: equippedCapsules.filter(Boolean),
+    activeSkills,
+    blasts: characterBlasts,
+  }), [sequence, modifiedStats, opponentStats, equippedCapsules, activeSkills, characterBlasts]);
+
+  if (!character) return null;
+
+  const maxHp = opponentStats?.health ?? 0;
+
+  return (
+    <div className="flex flex-col border-t border-sz-border">
+      <div className="py-1 px-2 text-sm font-bold uppercase tracking-wider text-gray-300 bg-red-900/70 flex items-center justify-between">
+        <span className="flex items-center gap-1.5"><Swords size={13} />Combo Simulator</span>
+        {sequence.length > 0 && (
+          <button onClick={() => setSequence([])} className="text-xs normal-case tracking-normal font-medium text-gray-400 hover:text-red-400 transition-colors">Clear</button>
+        )}
+      </div>
+
+      {!opponentStats ? (
+        <p className="px-3 py-2 text-sm text-gray-500 italic">Select an opponent to simulate a combo against them.</p>
+      ) : (
+        <>
+          <div className="px-3 py-2 flex flex-wrap gap-1">
+            {SEQUENCE_ACTIONS.map(action => {
+              const blast = blastForAction(action.key, characterBlasts);
+              const unavailable = action.slot && !blast;
+              return (
+                <button
+                  key={action.key}
+                  onClick={() => setSequence(s => [...s, action.key])}
+                  disabled={unavailable}
+                  title={blast?.name || action.label}
+                  className="text-xs px-2 py-1 rounded bg-sz-border hover:bg-gray-600 text-gray-300 transition-colors disabled:opacity-30 disabled:cursor-not-allowed"
+                >
+                  + {action.label}{blast?.name ? <span className="text-gray-500"> · {blast.name}</span> : null}
+                </button>
+              );
+            })}
+          </div>
+
+          {result.steps.length > 0 && (
+            <table className="w-full">
+              <thead>
+                <tr className="border-b border-sz-border">
+                  <th className="py-1 px-2 text-xs text-gray-600 font-medium text-left w-6">#</th>
+                  <th className="py-1 px-1.5 text-xs text-gray-600 font-medium text-left">Action</th>
+                  <th className="py-1 px-1.5 text-xs text-gray-600 font-medium text-right">Dmg</th>
+                  <th className="py-1 px-1.5 text-xs text-gray-600 font-medium text-right">Total</th>
+                  <th className="py-1 px-1.5 text-xs text-gray-600 font-medium text-right w-24">Opp HP</th>
+                  <th className="w-6"></th>
+                </tr>
+              </thead>
+              <tbody>
+                {result.steps.map((step, i) => {
+                  const koHere = result.ttk?.actions === i + 1;
+                  return (
+                    <tr key={i} className={`border-b border-sz-border/30 ${koHere ? 'bg-red-950/40' : step.ko ? 'opacity-40' : ''}`}>
+                      <td className="py-1 px-2 text-sm font-mono text-gray-600">{i + 1}</td>
+                      <td className="py-1 px-1.5 text-sm text-gray-200">
+                        {step.label}
+                        {step.armoredHits > 0 && (
+                          <span className="ml-1.5 text-[10px] font-semibold align-middle text-blue-400">🛡 {step.armoredHits}</span>
+                        )}
+                        {koHere && <span className="ml-1.5 text-[10px] font-bold align-middle text-red-400">KO</span>}
+                      </td>
+                      <td className="py-1 px-1.5 text-sm text-right font-mono text-gray-300">
+                        {step.damage !== null ? step.damage.toLocaleString() : '—'}
+                      </td>
+                      <td className="py-1 px-1.5 text-sm text-right font-mono text-gray-400">{step.total.toLocaleString()}</td>
+                      <td className="py-1 px-1.5">
+                        <div className="text-sm text-right font-mono text-gray-300">{step.remainingHp.toLocaleString()}</div>
+                        <div className="h-1 bg-sz-border rounded">
+                          <div className="h-full bg-green-500 rounded" style={{ width: `${maxHp ? (step.remainingHp / maxHp) * 100 : 0}%` }} />
+                        </div>
+                      </td>
+                      <td className="py-1 px-1">
+                        <button
+                          onClick={() => setSequence(s => s.filter((_, idx) => idx !== i))}
+                          className="text-gray-700 hover:text-red-400 transition-colors"
+                        >
+                          <X size={14} />
+                        </button>
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          )}
+
+          <div className="px-3 py-2 text-sm text-gray-400 flex flex-col gap-0.5">
+            {result.ttk ? (
+              <span>
+                <span className="text-red-400 font-bold">KO</span> on action {result.ttk.actions} ({result.ttk.hits} hits),{' '}
+                {result.totalDamage.toLocaleString()} damage dealt
+              </span>
+            ) : (
+              <>
+                <span>
+                  {opponentStats.name ?? 'Opponent'} at{' '}
+                  <span className="font-mono text-gray-200">{result.remainingHp.toLocaleString()}</span> / {maxHp.toLocaleString()} HP
+                  {sequence.length > 0 && <> after {result.totalDamage.toLocaleString()} damage</>}
+                </span>
+                <span className="text-xs text-gray-500">
+                  To KO: {Object.entries(result.toKO).map(([key, n]) => `${n ?? '—'} ${FINISHER_LABELS[key]}`).join(' · ')}
+                </span>
+              </>
+            )}
+            {result.steps.some(s => s.armoredHits > 0) && (
+              <span className="text-xs text-gray-600">🛡 hits reduced by armor until it breaks on hit {modifiedStats.armorBreak}</span>
+            )}
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
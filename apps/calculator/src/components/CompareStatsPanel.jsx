@@ -249,8 +249,8 @@ function getModifiedDmg(rawPatch, capsulePct, skillPct) {
   return total !== 0 ? Math.round(base * (1 + total / 100)) : base;
 }
 
-function getCharBlasts(charName, blasts) {
-  const cb = blasts?.[charName] || [];
+function getCharBlasts(charId, blasts) {
+  const cb = blasts?.[charId] || [];
   return {
     blast1:      cb.find(b => b.slot === 'BlastSkill1') || null,
     blast2:      cb.find(b => b.slot === 'BlastSkill2') || null,
@@ -307,7 +307,7 @@ const SKILL_BUFF_COLS = [
 ];
 
 function CharCard({ char, modStats, characterImages, label, onSelect }) {
-  const imgId = char ? characterImages?.[char.name] : null;
+  const imgId = char ? characterImages?.[char.id] : null;
   const badgeColor = char ? (CLASS_BADGE_COLOR[char.class] || 'bg-gray-600 text-white') : '';
 
   if (!char) {
@@ -710,6 +710,7 @@ export default function CompareStatsPanel({
   equippedCapsulesA = [], equippedCapsulesB = [],
   activeSkillsA = [], activeSkillsB = [],
   onToggleSkillA, onToggleSkillB,
+  kiEconomyPanel,
 }) {
   const [compareView, setCompareView] = useState('stats');
   const [replActiveA, setReplActiveA] = useState(false);
@@ -730,8 +731,8 @@ export default function CompareStatsPanel({
     return map;
   }, [skills]);
 
-  const aBlastInfo = useMemo(() => getCharBlasts(charA?.name, blasts), [charA, blasts]);
-  const bBlastInfo = useMemo(() => getCharBlasts(charB?.name, blasts), [charB, blasts]);
+  const aBlastInfo = useMemo(() => getCharBlasts(charA?.id, blasts), [charA, blasts]);
+  const bBlastInfo = useMemo(() => getCharBlasts(charB?.id, blasts), [charB, blasts]);
 
   const aBlastCapPct = useMemo(() => getCapsuleBlastMod(equippedCapsulesA, ['blastDamage', 'blastCombo']), [equippedCapsulesA]);
   const bBlastCapPct = useMemo(() => getCapsuleBlastMod(equippedCapsulesB, ['blastDamage', 'blastCombo']), [equippedCapsulesB]);
@@ -954,6 +955,7 @@ export default function CompareStatsPanel({
               ))}
             </tbody>
           </table>
+          {kiEconomyPanel}
         </div>
       ) : (
         /* Skills view */
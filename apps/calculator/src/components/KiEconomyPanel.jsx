@@ -0,0 +1,149 @@
+import React, { useState, useMemo } from 'react';
+import { Zap } from 'lucide-react';
+import { simulateKiEconomy, DEFAULT_PLAY_PATTERN, SPEND_OPTIONS, MAX_KI_BARS } from '../utils/kiEconomy.js';
+
+const DURATIONS = [30, 60, 120, 180];
+const SERIES_COLORS = ['#f97316', '#38bdf8'];  // build A (sz-orange), build B
+
+const AVAILABILITY_ROWS = [
+  { key: 'blast1',   label: 'Blast 1',  gauge: 'ki' },
+  { key: 'blast2',   label: 'Blast 2',  gauge: 'ki' },
+  { key: 'ultimate', label: 'Ultimate', gauge: 'ki' },
+  { key: 'skill1',   label: 'Skill 1',  gauge: 'skill' },
+  { key: 'skill2',   label: 'Skill 2',  gauge: 'skill' },
+];
+
+const CHART_W = 320;
+const CHART_H = 110;
+const PAD = 4;
+
+function fmtTime(t) {
+  if (t === null) return 'never';
+  return t === 0 ? 'start' : `${t.toFixed(1)} s`;
+}
+
+// Ki bars (solid) and skill points (dashed) over time, one colour per build
+function GaugeChart({ runs, duration }) {
+  const maxSkill = Math.max(1, ...runs.map(r => r.result.skillLimit));
+  const x = t => PAD + (t / duration) * (CHART_W - PAD * 2);
+  const y = (value, max) => CHART_H - PAD - (value / max) * (CHART_H - PAD * 2);
+  const line = (samples, field, max) => samples.map(s => `${x(s.t).toFixed(1)},${y(s[field], max).toFixed(1)}`).join(' ');
+
+  return (
+    <svg viewBox={`0 0 ${CHART_W} ${CHART_H}`} className="w-full h-28 bg-gray-900/40 rounded">
+      {Array.from({ length: MAX_KI_BARS + 1 }, (_, bar) => (
+        <line key={bar} x1={PAD} x2={CHART_W - PAD} y1={y(bar, MAX_KI_BARS)} y2={y(bar, MAX_KI_BARS)} stroke="#374151" strokeWidth="0.5" />
+      ))}
+      {runs.map((run, i) => (
+        <React.Fragment key={i}>
+          <polyline points={line(run.result.samples, 'ki', MAX_KI_BARS)} fill="none" stroke={SERIES_COLORS[i]} strokeWidth="1.5" />
+          <polyline points={line(run.result.samples, 'skill', maxSkill)} fill="none" stroke={SERIES_COLORS[i]} strokeWidth="1" strokeDasharray="3 2" opacity="0.7" />
+        </React.Fragment>
+      ))}
+    </svg>
+  );
+}
+
+/**
+ * KiEconomyPanel — ki bars and skill gauge over a match for one build, or two side by
+ * side in compare mode, with when each Super, Ultimate and skill first becomes affordable.
+ *
+ * Props:
+ *   builds  — array of { label, stats, blasts, skills }
+ *             stats are the modified stats, blasts the character's blast.json rows and
+ *             skills the character's skills.json entries (skill 1, skill 2)
+ */
+export default function KiEconomyPanel({ builds }) {
+  const [pattern, setPattern] = useState(DEFAULT_PLAY_PATTERN);
+
+  const runs = useMemo(() => builds
+    .filter(b => b.stats)
+    .map(b => ({ ...b, result: simulateKiEconomy(b.stats, { blasts: b.blasts, skills: b.skills, pattern }) })),
+  [builds, pattern]);
+
+  if (runs.length === 0) return null;
+
+  const setField = (field, value) => setPattern(p => ({ ...p, [field]: value }));
+
+  return (
+    <div className="flex flex-col border-t border-sz-border">
+      <div className="py-1 px-2 text-sm font-bold uppercase tracking-wider text-gray-300 bg-blue-900/70 flex items-center gap-1.5">
+        <Zap size={13} />
+        Ki &amp; Skill Gauge
+      </div>
+
+      <div className="px-3 py-2 flex flex-col gap-2 text-xs text-gray-500">
+        <div className="grid grid-cols-2 gap-x-3 gap-y-1.5">
+          <label className="flex flex-col gap-0.5">
+            Hits landed: {pattern.hitsPerSecond}/s
+            <input type="range" min={0} max={5} step={0.5} value={pattern.hitsPerSecond}
+              onChange={e => setField('hitsPerSecond', Number(e.target.value))} className="accent-orange-500" />
+          </label>
+          <label className="flex flex-col gap-0.5">
+            Charging: {Math.round(pattern.chargeShare * 100)}% of the time
+            <input type="range" min={0} max={1} step={0.05} value={pattern.chargeShare}
+              onChange={e => setField('chargeShare', Number(e.target.value))} className="accent-orange-500" />
+          </label>
+        </div>
+        <div className="flex gap-1.5">
+          <select value={pattern.spendOn} onChange={e => setField('spendOn', e.target.value)}
+            className="flex-1 bg-sz-border rounded text-sm text-gray-300 px-2 py-1 outline-none">
+            {SPEND_OPTIONS.map(o => <option key={o.key} value={o.key}>{o.label}</option>)}
+          </select>
+          <select value={pattern.duration} onChange={e => setField('duration', Number(e.target.value))}
+            className="bg-sz-border rounded text-sm text-gray-300 px-2 py-1 outline-none">
+            {DURATIONS.map(d => <option key={d} value={d}>{d} s</option>)}
+          </select>
+        </div>
+
+        <GaugeChart runs={runs} duration={pattern.duration} />
+        <div className="flex flex-wrap gap-x-3">
+          {runs.map((run, i) => (
+            <span key={i} className="flex items-center gap-1">
+              <span className="inline-block w-3 h-0.5" style={{ backgroundColor: SERIES_COLORS[i] }} />
+              {run.label}
+            </span>
+          ))}
+          <span className="text-gray-600">solid = ki (0–{MAX_KI_BARS} bars), dashed = skill points</span>
+        </div>
+      </div>
+
+      <table className="w-full">
+        <thead>
+          <tr className="border-b border-sz-border">
+            <th className="py-1 px-2 text-xs text-gray-600 font-medium text-left">First available</th>
+            {runs.map((run, i) => (
+              <th key={i} className="py-1 px-2 text-xs font-medium text-right" style={{ color: SERIES_COLORS[i] }}>{run.label}</th>
+            ))}
+          </tr>
+        </thead>
+        <tbody>
+          {AVAILABILITY_ROWS.map(row => (
+            <tr key={row.key} className="border-b border-sz-border/20">
+              <td className="py-1 px-2 text-sm text-gray-400">{row.label}</td>
+              {runs.map((run, i) => {
+                const cost = run.result.costs[row.key];
+                return (
+                  <td key={i} className="py-1 px-2 text-sm text-right font-mono text-gray-300">
+                    {cost === null ? '—' : fmtTime(run.result.firstAvailable[row.key])}
+                    {cost !== null && (
+                      <span className="ml-1 text-xs text-gray-600">{cost}{row.gauge === 'ki' ? ' bars' : ' pts'}</span>
+                    )}
+                  </td>
+                );
+              })}
+            </tr>
+          ))}
+          {pattern.spendOn !== 'none' && (
+            <tr className="border-b border-sz-border/20">
+              <td className="py-1 px-2 text-sm text-gray-400">Fired in {pattern.duration} s</td>
+              {runs.map((run, i) => (
+                <td key={i} className="py-1 px-2 text-sm text-right font-mono text-gray-300">{run.result.fired.length}</td>
+              ))}
+            </tr>
+          )}
+        </tbody>
+      </table>
+    </div>
+  );
+}
@@ -192,9 +192,9 @@ export default function OpponentPanel({
               </button>
             )}
             <div className="w-10 h-10 rounded bg-sz-border flex-shrink-0 overflow-hidden">
-              {characterImages?.[selectedOpponent.name] ? (
+              {characterImages?.[selectedOpponent.id] ? (
                 <img
-                  src={getImageUrl(characterImages[selectedOpponent.name])}
+                  src={getImageUrl(characterImages[selectedOpponent.id])}
                   alt={selectedOpponent.name}
                   className="w-full h-full object-cover object-top scale-125"
                   loading="lazy"
@@ -303,7 +303,7 @@ export default function OpponentPanel({
           {/* Character list */}
           <div className="overflow-y-auto">
             {filteredCharacters.map(char => {
-              const imgId = characterImages?.[char.name];
+              const imgId = characterImages?.[char.id];
               const isSelected = selectedOpponent?.name === char.name;
               return (
                 <button
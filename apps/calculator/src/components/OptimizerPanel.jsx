@@ -0,0 +1,207 @@
+import React, { useState, useMemo, useEffect } from 'react';
+import { Sparkles } from 'lucide-react';
+import { CAPSULE_BUDGET, formatStat } from '../utils/calculator.js';
+import {
+  OPTIMIZER_OBJECTIVES,
+  DEFAULT_MIX_WEIGHTS,
+  optimizeBuild,
+  evaluateBuild,
+  objectiveValue,
+} from '../utils/buildOptimizer.js';
+import { RULESET_OPTIONS, loadRuleset, createBuildRuleCheck } from '../utils/capsuleRules.js';
+
+const SCORE_LABELS = { combo: '5-Hit Combo', effectiveHp: 'Effective HP', blast: 'Blast Dmg' };
+
+const STAT_LABELS = {
+  health: 'Max HP',
+  rush: 'Rush Hit 1', hit2: 'Rush Hit 2', hit3: 'Rush Hit 3', hit4: 'Rush Hit 4', hit5: 'Rush Hit 5',
+  rush5Hit: '5-Hit Combo', fiveHitAfterArmor: '5-Hit (Armor)',
+  smash: 'Smash Attack', throw: 'Throw', chain: 'Rush Chain',
+  meleeDefenseStat: 'Melee Defense', blastDefense: 'Blast Defense',
+  kiBlast: 'Rush Ki Blast', kiBlastDmg: 'Ki Blast Dmg', kiBlastCost: 'Ki Blast Cost', kiBlastLimit: 'Ki Blast Count',
+  startingKi: 'Starting Ki', kiRegen: 'Ki Regen', attackKiGain: 'Atk Ki Gain', shortDashCost: 'Short Dash Cost',
+  skillStart: 'Skill Gauge Start', skillRegen: 'Skill Gauge Regen',
+  sparkDuration: 'Spark Duration', switch: 'Switch', sCounter: 'Super Counter',
+  dragonHoming: 'Dragon Homing', vanishingLimit: 'Vanishing Attacks',
+};
+
+const TOP_N_OPTIONS = [3, 5, 10];
+
+function formatValue(objective, value) {
+  if (objective === 'mix') return `${value >= 1 ? '+' : ''}${((value - 1) * 100).toFixed(1)}%`;
+  return Math.round(value).toLocaleString();
+}
+
+export default function OptimizerPanel({
+  character,
+  capsules,
+  blasts,
+  activeSkills,
+  opponentStats,
+  equippedCapsules,
+  numSlots,
+  onApply,
+}) {
+  const [objective, setObjective] = useState('combo');
+  const [weights, setWeights] = useState(DEFAULT_MIX_WEIGHTS);
+  const [rulesetKey, setRulesetKey] = useState('');
+  const [topN, setTopN] = useState(5);
+  const [outcome, setOutcome] = useState(null);
+
+  // Results belong to the inputs they were computed from
+  useEffect(() => { setOutcome(null); }, [character, opponentStats, activeSkills, objective, weights, rulesetKey, topN]);
+
+  const ruleset = useMemo(() => (rulesetKey ? loadRuleset(rulesetKey) : null), [rulesetKey]);
+  const budget = ruleset?.totalCost ? Math.min(CAPSULE_BUDGET, ruleset.totalCost) : CAPSULE_BUDGET;
+  const characterBlasts = (character && blasts[character.id]) || [];
+
+  const current = useMemo(() => {
+    if (!character) return null;
+    const context = { character, activeSkills, opponentStats, blasts: characterBlasts };
+    const baseline = evaluateBuild([], context);
+    const build = evaluateBuild(equippedCapsules.filter(Boolean), context);
+    return objectiveValue(build.scores, objective, weights, baseline.scores);
+  }, [character, activeSkills, opponentStats, characterBlasts, equippedCapsules, objective, weights]);
+
+  if (!character) return null;
+
+  const handleOptimize = () => {
+    setOutcome(optimizeBuild({
+      character,
+      capsules,
+      activeSkills,
+      opponentStats,
+      blasts: characterBlasts,
+      objective,
+      weights,
+      budget,
+      slots: numSlots,
+      checkRules: ruleset ? createBuildRuleCheck(ruleset, capsules) : null,
+      topN,
+    }));
+  };
+
+  const objectiveInfo = OPTIMIZER_OBJECTIVES.find(o => o.key === objective);
+
+  return (
+    <div className="flex flex-col border-t border-sz-border">
+      <div className="py-1 px-2 text-sm font-bold uppercase tracking-wider text-gray-300 bg-emerald-900/70 flex items-center gap-1.5">
+        <Sparkles size={13} />
+        Build Optimizer
+      </div>
+
+      <div className="px-3 py-2 flex flex-col gap-2 text-sm">
+        <div className="flex gap-1">
+          {OPTIMIZER_OBJECTIVES.map(o => (
+            <button
+              key={o.key}
+              onClick={() => setObjective(o.key)}
+              className={`flex-1 text-xs py-1.5 rounded font-semibold transition-colors ${
+                objective === o.key ? 'bg-sz-orange text-black' : 'bg-sz-border text-gray-400 hover:text-gray-200'
+              }`}
+            >
+              {o.label}
+            </button>
+          ))}
+        </div>
+        <p className="text-xs text-gray-500 leading-tight">
+          {objectiveInfo.description}
+          {!opponentStats && objective !== 'blast' && ' — no opponent selected, using base defenses and Base Goku hits'}
+        </p>
+
+        {objective === 'mix' && (
+          <div className="grid grid-cols-3 gap-2">
+            {Object.keys(DEFAULT_MIX_WEIGHTS).map(key => (
+              <label key={key} className="flex flex-col gap-0.5 text-xs text-gray-500">
+                {SCORE_LABELS[key]} ×{weights[key]}
+                <input
+                  type="range"
+                  min={0}
+                  max={5}
+                  step={1}
+                  value={weights[key]}
+                  onChange={e => setWeights(w => ({ ...w, [key]: Number(e.target.value) }))}
+                  className="accent-orange-500"
+                />
+              </label>
+            ))}
+          </div>
+        )}
+
+        <div className="flex gap-1.5 items-center">
+          <select
+            value={rulesetKey}
+            onChange={e => setRulesetKey(e.target.value)}
+            className="flex-1 bg-sz-border rounded text-sm text-gray-300 px-2 py-1.5 outline-none"
+            title="League ruleset from capsule-rules.yaml"
+          >
+            <option value="">No ruleset</option>
+            {RULESET_OPTIONS.map(r => <option key={r.key} value={r.key}>{r.name}</option>)}
+          </select>
+          <select
+            value={topN}
+            onChange={e => setTopN(Number(e.target.value))}
+            className="bg-sz-border rounded text-sm text-gray-300 px-2 py-1.5 outline-none"
+            title="Builds to show"
+          >
+            {TOP_N_OPTIONS.map(n => <option key={n} value={n}>Top {n}</option>)}
+          </select>
+          <button
+            onClick={handleOptimize}
+            className="px-3 py-1.5 rounded bg-sz-orange text-black font-semibold hover:brightness-110 transition-[filter]"
+          >
+            Optimize
+          </button>
+        </div>
+        {ruleset && (
+          <p className="text-xs text-gray-500 leading-tight">
+            {ruleset.name}: {budget}-point budget, character capsule rules ({ruleset.mode} mode). Team rules aren't checked.
+          </p>
+        )}
+      </div>
+
+      {outcome && (
+        <div className="flex flex-col">
+          <div className="px-3 py-1 text-xs text-gray-600 border-b border-sz-border">
+            {outcome.searched.toLocaleString()} builds from {outcome.candidates.length} capsules · current build {formatValue(objective, current)}
+          </div>
+          {outcome.results.length === 0 && (
+            <p className="px-3 py-2 text-sm text-gray-500 italic">No capsule improves this objective.</p>
+          )}
+          {outcome.results.map((result, i) => (
+            <div key={i} className="px-3 py-2 border-b border-sz-border/30 flex flex-col gap-1">
+              <div className="flex items-center justify-between gap-2">
+                <span className="text-sm font-bold text-gray-200">
+                  #{i + 1} <span className="text-sz-orange font-mono">{formatValue(objective, result.value)}</span>
+                  <span className="ml-1.5 text-xs font-mono text-gray-500">{result.cost}/{budget}</span>
+                </span>
+                <button
+                  onClick={() => onApply(result.capsules)}
+                  className="text-xs px-2 py-1 rounded bg-sz-border hover:bg-gray-600 text-gray-300 transition-colors"
+                >
+                  Equip
+                </button>
+              </div>
+              <div className="text-sm text-gray-400 leading-tight">{result.capsules.map(c => c.name).join(', ')}</div>
+              <div className="flex flex-wrap gap-x-3 text-xs font-mono text-gray-500">
+                {Object.entries(result.scores).map(([key, score]) => (
+                  <span key={key} className={score !== outcome.baseline.scores[key] ? 'text-blue-300' : ''}>
+                    {SCORE_LABELS[key]} {score.toLocaleString()}
+                  </span>
+                ))}
+              </div>
+              <div className="flex flex-wrap gap-x-3 text-xs text-gray-500">
+                {result.statDeltas.map(({ field, before, after }) => (
+                  <span key={field}>
+                    {STAT_LABELS[field] || field}{' '}
+                    <span className="font-mono">{formatStat(field, before)} → <span className="text-gray-300">{formatStat(field, after)}</span></span>
+                  </span>
+                ))}
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,212 @@
+import React, { useState, useMemo } from 'react';
+import { Clock, X } from 'lucide-react';
+import { TIMELINE_STACKING, timelineSlices } from '../utils/skillTimeline.js';
+
+const HORIZONS = [30, 60, 120];
+const BAR_COLORS = ['bg-orange-500/70', 'bg-sky-500/70', 'bg-yellow-500/70'];
+
+const BUFF_LABELS = {
+  meleeBuff:      'Melee',
+  defenseBuff:    'Def',
+  kiBlastBuff:    'Ki Blast',
+  kiChargingBuff: 'Ki Charge',
+  blastBuff:      'Blast',
+  ultimateBuff:   'Ult',
+};
+
+function fmtSeconds(t) {
+  return t === Infinity ? '∞' : `${Math.round(t * 10) / 10}`;
+}
+
+function sliceSummary(slice) {
+  const parts = Object.entries(slice.levels)
+    .filter(([, level]) => level)
+    .map(([key, level]) => `${BUFF_LABELS[key]} ${level > 0 ? '+' : ''}${level}`);
+  if (slice.skills.some(s => s.armor)) parts.push('Armor');
+  return parts.length > 0 ? parts.join(' · ') : '—';
+}
+
+/**
+ * SkillTimelinePanel — cast skills at given seconds, see when their buffs overlap and
+ * pick the moment whose stats the rest of the calculator uses.
+ *
+ * Props:
+ *   character  — selected character
+ *   skills     — skills that can be cast: the character's skills.json entries plus Sparking
+ *   timeline   — { enabled, activations: [{ skill, at, duration? }], t, stacking }
+ *                duration (s) overrides how long the cast's buffs run; without it timed skills
+ *                use their skills.json duration and Sparking lasts the build's Sparking window
+ *   resolved   — resolveActivations() result for timeline.activations
+ *   onChange   — (timeline) => void
+ */
+export default function SkillTimelinePanel({ character, skills, timeline, resolved, onChange }) {
+  const [skillId, setSkillId] = useState('');
+  const [castAt, setCastAt] = useState(0);
+  const [castFor, setCastFor] = useState('');
+  const [horizon, setHorizon] = useState(HORIZONS[0]);
+
+  const slices = useMemo(() => timelineSlices(resolved, horizon, timeline.stacking),
+    [resolved, horizon, timeline.stacking]);
+
+  if (!character) return null;
+
+  const update = (patch) => onChange({ ...timeline, ...patch });
+  const colorIndex = id => Math.max(0, skills.findIndex(s => s.id === id)) % BAR_COLORS.length;
+  const pct = t => `${(Math.min(t, horizon) / horizon) * 100}%`;
+
+  const addActivation = () => {
+    const skill = skills.find(s => String(s.id) === skillId) ?? skills[0];
+    if (!skill) return;
+    const activation = { skill, at: Math.max(0, Number(castAt) || 0) };
+    if (castFor !== '' && !Number.isNaN(Number(castFor))) activation.duration = Math.max(0, Number(castFor));
+    update({ activations: [...timeline.activations, activation] });
+  };
+
+  const removeActivation = (activation) => {
+    update({ activations: timeline.activations.filter(a => !(a.skill.id === activation.skill.id && a.at === activation.at)) });
+  };
+
+  return (
+    <div className="flex flex-col border-t border-sz-border">
+      <div className="py-1 px-2 text-sm font-bold uppercase tracking-wider text-gray-300 bg-purple-900/70 flex items-center justify-between">
+        <span className="flex items-center gap-1.5"><Clock size={13} />Skill Timeline</span>
+        <button
+          onClick={() => update({ enabled: !timeline.enabled })}
+          className={`text-xs normal-case tracking-normal font-medium px-2 rounded transition-colors ${
+            timeline.enabled ? 'bg-orange-500 text-white' : 'text-gray-400 hover:text-gray-200'
+          }`}
+        >
+          {timeline.enabled ? 'On' : 'Off'}
+        </button>
+      </div>
+
+      {!timeline.enabled ? (
+        <p className="px-3 py-2 text-sm text-gray-500 italic">
+          Turn on to cast skills at set times. While on, stats follow the timeline instead of the skill toggles.
+        </p>
+      ) : skills.length === 0 ? (
+        <p className="px-3 py-2 text-sm text-gray-500 italic">{character.name} has no skills to cast.</p>
+      ) : (
+        <div className="px-3 py-2 flex flex-col gap-2 text-xs text-gray-500">
+          <div className="flex gap-1.5">
+            <select value={skillId} onChange={e => setSkillId(e.target.value)}
+              className="flex-1 min-w-0 bg-sz-border rounded text-sm text-gray-300 px-2 py-1 outline-none">
+              {skills.map(s => <option key={s.id} value={s.id}>{s.name} ({s.cost ?? 0} pts)</option>)}
+            </select>
+            <label className="flex items-center gap-1">
+              at
+              <input type="number" min={0} step={0.5} value={castAt} onChange={e => setCastAt(e.target.value)}
+                className="w-14 bg-sz-border rounded text-sm text-gray-300 px-1.5 py-1 outline-none" />
+              s
+            </label>
+            <label className="flex items-center gap-1" title="How long the buffs run; leave empty for the skill's own duration or the Sparking window">
+              for
+              <input type="number" min={0} step={0.5} value={castFor} placeholder="auto" onChange={e => setCastFor(e.target.value)}
+                className="w-14 bg-sz-border rounded text-sm text-gray-300 px-1.5 py-1 outline-none" />
+              s
+            </label>
+            <button onClick={addActivation}
+              className="text-sm px-2 py-1 rounded bg-sz-border hover:bg-gray-600 text-gray-300 transition-colors">
+              Cast
+            </button>
+          </div>
+          <div className="flex gap-1.5">
+            <select value={timeline.stacking} onChange={e => update({ stacking: e.target.value })}
+              className="flex-1 bg-sz-border rounded text-sm text-gray-300 px-2 py-1 outline-none">
+              {TIMELINE_STACKING.map(o => <option key={o.key} value={o.key}>Overlapping buffs: {o.label}</option>)}
+            </select>
+            <select value={horizon} onChange={e => setHorizon(Number(e.target.value))}
+              className="bg-sz-border rounded text-sm text-gray-300 px-2 py-1 outline-none">
+              {HORIZONS.map(h => <option key={h} value={h}>{h} s</option>)}
+            </select>
+          </div>
+
+          {/* One bar per cast: faded while activating, solid while the buff runs */}
+          {resolved.length > 0 && (
+            <div className="relative flex flex-col gap-0.5 bg-gray-900/40 rounded py-1">
+              {resolved.map((a, i) => (
+                <div key={i} className="relative h-2">
+                  <div className={`absolute h-full rounded-sm opacity-30 ${BAR_COLORS[colorIndex(a.skill.id)]}`}
+                    style={{ left: pct(a.at), width: `calc(${pct(a.start)} - ${pct(a.at)})` }} />
+                  {a.affordable ? (
+                    <div className={`absolute h-full rounded-sm ${BAR_COLORS[colorIndex(a.skill.id)]}`}
+                      style={{ left: pct(a.start), width: `calc(${pct(a.end)} - ${pct(a.start)})` }} />
+                  ) : (
+                    <div className="absolute h-full w-1 bg-red-500" style={{ left: pct(a.at) }} />
+                  )}
+                </div>
+              ))}
+              <div className="absolute top-0 bottom-0 w-px bg-white/80" style={{ left: pct(timeline.t) }} />
+            </div>
+          )}
+
+          <label className="flex flex-col gap-0.5">
+            Stats at t = {timeline.t} s
+            <input type="range" min={0} max={horizon} step={0.5} value={Math.min(timeline.t, horizon)}
+              onChange={e => update({ t: Number(e.target.value) })} className="accent-orange-500" />
+          </label>
+        </div>
+      )}
+
+      {timeline.enabled && resolved.length > 0 && (
+        <>
+          <table className="w-full">
+            <thead>
+              <tr className="border-b border-sz-border">
+                <th className="py-1 px-2 text-xs text-gray-600 font-medium text-left">Cast</th>
+                <th className="py-1 px-1.5 text-xs text-gray-600 font-medium text-right">At</th>
+                <th className="py-1 px-1.5 text-xs text-gray-600 font-medium text-right">Buff</th>
+                <th className="py-1 px-1.5 text-xs text-gray-600 font-medium text-right">Gauge</th>
+                <th className="w-6"></th>
+              </tr>
+            </thead>
+            <tbody>
+              {resolved.map((a, i) => (
+                <tr key={i} className={`border-b border-sz-border/30 ${a.affordable ? '' : 'bg-red-950/40'}`}>
+                  <td className="py-1 px-2 text-sm text-gray-200">
+                    {a.skill.name}
+                    {a.problem && <div className="text-[10px] text-red-400">{a.problem}</div>}
+                  </td>
+                  <td className="py-1 px-1.5 text-sm text-right font-mono text-gray-400">{fmtSeconds(a.at)}</td>
+                  <td className="py-1 px-1.5 text-sm text-right font-mono text-gray-400">
+                    {a.affordable ? `${fmtSeconds(a.start)}–${fmtSeconds(a.end)}` : '—'}
+                  </td>
+                  <td className="py-1 px-1.5 text-sm text-right font-mono text-gray-300">
+                    {a.gauge}<span className="text-xs text-gray-600">/{a.cost}</span>
+                  </td>
+                  <td className="py-1 px-1">
+                    <button onClick={() => removeActivation(a)} className="text-gray-700 hover:text-red-400 transition-colors">
+                      <X size={14} />
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+
+          <table className="w-full">
+            <thead>
+              <tr className="border-b border-sz-border">
+                <th className="py-1 px-2 text-xs text-gray-600 font-medium text-left">Seconds</th>
+                <th className="py-1 px-1.5 text-xs text-gray-600 font-medium text-left">Buff levels</th>
+              </tr>
+            </thead>
+            <tbody>
+              {slices.map(slice => {
+                const current = timeline.t >= slice.from && timeline.t < slice.to;
+                return (
+                  <tr key={slice.from} className={`border-b border-sz-border/20 ${current ? 'bg-orange-900/20' : ''}`}>
+                    <td className="py-1 px-2 text-sm font-mono text-gray-400 whitespace-nowrap">{fmtSeconds(slice.from)}–{fmtSeconds(slice.to)}</td>
+                    <td className="py-1 px-1.5 text-sm text-gray-300" title={slice.skills.map(s => s.name).join(', ')}>
+                      {sliceSummary(slice)}
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </>
+      )}
+    </div>
+  );
+}
@@ -1,6 +1,6 @@
 import React, { useState } from 'react';
 import { Target } from 'lucide-react';
-import { parseEffectKey } from '../utils/calculator.js';
+import { BLAST_SLOT_EFFECT_FIELDS, getCapsuleBlastModifier } from '../utils/calculator.js';
 
 const SLOT_ORDER = ['BlastSkill1', 'BlastSkill2', 'BlastUltimate', 'Replacement_Slot2', 'ReplacementSlot2'];
 const SLOT_LABELS = {
@@ -11,30 +11,6 @@ const SLOT_LABELS = {
   ReplacementSlot2: 'Replace',
 };
 
-const SLOT_EFFECT_FIELDS = {
-  BlastSkill1:      ['blastDamage', 'blastCombo'],
-  BlastSkill2:      ['blastDamage', 'blastCombo'],
-  BlastUltimate:    ['ultimate'],
-  Replacement_Slot2:['blastDamage', 'blastCombo'],
-  ReplacementSlot2: ['blastDamage', 'blastCombo'],
-};
-
-function getCapsuleBlastModifier(equippedCapsules, fields) {
-  let percent = 0;
-  equippedCapsules.forEach(capsule => {
-    if (!capsule?.effects) return;
-    capsule.effects.forEach(effect => {
-      if (!effect) return;
-      const mapping = parseEffectKey(effect.key);
-      if (!mapping || effect.value === null) return;
-      if (fields.includes(mapping.field) && mapping.op === 'percent') {
-        percent += effect.value;
-      }
-    });
-  });
-  return percent;
-}
-
 const CAT_COLORS = {
   Beam:                        'bg-blue-700/70 text-blue-200',
   Rush:                        'bg-orange-700/70 text-orange-200',
@@ -239,7 +215,7 @@ export default function SkillsPanel({ character, blasts, skills = [], equippedCa
     );
   }
 
-  const charBlasts = blasts?.[character.name] || [];
+  const charBlasts = blasts?.[character.id] || [];
 
   const sorted = [...charBlasts].sort((a, b) => {
     const ai = SLOT_ORDER.indexOf(a.slot);
@@ -270,7 +246,7 @@ export default function SkillsPanel({ character, blasts, skills = [], equippedCa
 
   function renderBlastRows(rows, isUltimate = false) {
     return rows.map((blast, i) => {
-      const fields = SLOT_EFFECT_FIELDS[blast.slot] || ['blastDamage'];
+      const fields = BLAST_SLOT_EFFECT_FIELDS[blast.slot] || ['blastDamage'];
       const capsulePct = getCapsuleBlastModifier(equippedCapsules, fields);
       // Skill buff: blastBuff applies to blasts+ultimates; ultimateBuff applies to ultimates only
       const skillPct = activeSkills.reduce((sum, s) => {
@@ -343,13 +319,13 @@ export default function SkillsPanel({ character, blasts, skills = [], equippedCa
   }
 
   const anyBlastModified = !!opponentStats || blastRows.some(blast => {
-    const fields = SLOT_EFFECT_FIELDS[blast.slot] || ['blastDamage'];
+    const fields = BLAST_SLOT_EFFECT_FIELDS[blast.slot] || ['blastDamage'];
     const capsulePct = getCapsuleBlastModifier(equippedCapsules, fields);
     const skillPct = activeSkills.reduce((sum, s) => sum + (s.blastBuff || 0) * 5, 0);
     return capsulePct + skillPct !== 0;
   });
   const anyUltModified = !!opponentStats || ultimateRows.some(blast => {
-    const fields = SLOT_EFFECT_FIELDS[blast.slot] || ['blastDamage'];
+    const fields = BLAST_SLOT_EFFECT_FIELDS[blast.slot] || ['blastDamage'];
     const capsulePct = getCapsuleBlastModifier(equippedCapsules, fields);
     const skillPct = activeSkills.reduce((sum, s) => sum + (s.blastBuff || 0) * 5 + (s.ultimateBuff || 0) * 5, 0);
     return capsulePct + skillPct !== 0;
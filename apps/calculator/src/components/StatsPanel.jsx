@@ -1,5 +1,5 @@
 import React, { useState, useEffect, useRef } from 'react';
-import { getImageUrl, calcFiveHitArmorDamage, calcFiveHitDamageTaken, calcOutgoingCombo, applyOpponentDefense } from '../utils/calculator.js';
+import { ARMOR_BREAK_CAPSULES, getImageUrl, calcFiveHitArmorDamage, calcFiveHitDamageTaken, calcOutgoingCombo, applyOpponentDefense } from '../utils/calculator.js';
 
 // fmt types:
 //   'raw'          — toLocaleString (default)
@@ -203,9 +203,9 @@ function StatRow({ label, base, modified, fmtType, tooltip, armorTint = false, r
 }
 
 export default function StatsPanel({ baseStats, modifiedStats, characterImages, onSelectCharacter, opponentStats, equippedCapsules, opponentHasLightBody }) {
-    // Check if Draconic Aura or Dragon Rush is equipped
+    // Check if an armor break capsule is equipped
     const hasArmorBreakCapsule = Array.isArray(equippedCapsules)
-      ? equippedCapsules.some(c => c && (c.name === 'Draconic Aura' || c.name === 'Dragon Rush'))
+      ? equippedCapsules.some(c => c && ARMOR_BREAK_CAPSULES.includes(c.name))
       : false;
     const hasDraconicAura = Array.isArray(equippedCapsules)
       ? equippedCapsules.some(c => c && c.name === 'Draconic Aura')
@@ -219,7 +219,7 @@ export default function StatsPanel({ baseStats, modifiedStats, characterImages,
     );
   }
 
-  const imgFilename = characterImages?.[baseStats.name];
+  const imgFilename = characterImages?.[baseStats.id];
   const [imgCentered, setImgCentered] = useState(false);
   const imgContainerRef = useRef(null);
 
@@ -0,0 +1,171 @@
+/**
+ * Capsule build optimizer.
+ * Searches capsule combinations within the budget and slot count for the builds that score
+ * best on an objective, using the same damage formulas as the Stats and Skills panels.
+ */
+import {
+  ARMOR_BREAK_CAPSULES,
+  CAPSULE_BUDGET,
+  computeModifiedStats,
+  applySkillBuffs,
+  calcOutgoingCombo,
+  calcFiveHitDamageTaken,
+  calcBlastDamage,
+} from './calculator.js';
+
+export const OPTIMIZER_OBJECTIVES = [
+  { key: 'combo',       label: '5-Hit Combo',  description: 'Rush 5-hit damage dealt to the opponent' },
+  { key: 'effectiveHp', label: 'Effective HP', description: "Max HP measured in the opponent's undefended 5-hit damage" },
+  { key: 'blast',       label: 'Blast Damage', description: 'Blast 1 + Blast 2 + Ultimate damage after blast defense' },
+  { key: 'mix',         label: 'Weighted Mix', description: 'Weighted average of the three, relative to no capsules' },
+];
+
+export const DEFAULT_MIX_WEIGHTS = { combo: 1, effectiveHp: 1, blast: 1 };
+
+// Stand-in when no opponent is selected: base defenses, no armor
+const NEUTRAL_OPPONENT = { meleeDefenseStat: 1, blastDefense: 1, armor: 0 };
+
+const SCORED_BLAST_SLOTS = ['BlastSkill1', 'BlastSkill2', 'BlastUltimate'];
+
+/**
+ * Stats and objective scores for one build.
+ * @param {Array<Object>} build - Capsules (no empty slots)
+ * @param {Object} context - { character, activeSkills, opponentStats, blasts }
+ *   blasts is the character's blast.json rows
+ * @returns {{stats: Object, scores: {combo: number, effectiveHp: number, blast: number}}}
+ */
+export function evaluateBuild(build, { character, activeSkills = [], opponentStats = null, blasts = [] }) {
+  const stats = applySkillBuffs(computeModifiedStats(character, build), activeSkills);
+  const opponent = opponentStats ?? NEUTRAL_OPPONENT;
+  const breaksArmor = build.some(c => ARMOR_BREAK_CAPSULES.includes(c.name));
+
+  const combo = calcOutgoingCombo(stats, breaksArmor ? { ...opponent, armor: 0 } : opponent)?.rush5Hit ?? 0;
+
+  // calcFiveHitDamageTaken falls back to Base Goku's hits without an opponent
+  const taken = calcFiveHitDamageTaken(stats, opponentStats).total;
+  const undefended = calcFiveHitDamageTaken({ meleeDefenseStat: 1 }, opponentStats).total;
+  const health = typeof stats.health === 'number' ? stats.health : 0;
+  const effectiveHp = taken > 0 ? Math.round(health * undefended / taken) : health;
+
+  const blast = blasts
+    .filter(b => SCORED_BLAST_SLOTS.includes(b.slot))
+    .reduce((sum, b) => sum + (calcBlastDamage(b, build, activeSkills, opponentStats) ?? 0), 0);
+
+  return { stats, scores: { combo, effectiveHp, blast } };
+}
+
+/**
+ * Single number the optimizer maximizes.
+ * The mix averages each score relative to the no-capsule build, so 1 means no change.
+ */
+export function objectiveValue(scores, objective, weights = DEFAULT_MIX_WEIGHTS, baselineScores = scores) {
+  if (objective !== 'mix') return scores[objective] ?? 0;
+  let total = 0;
+  let weightSum = 0;
+  Object.entries(weights).forEach(([key, weight]) => {
+    if (!weight || !baselineScores[key]) return;
+    total += weight * scores[key] / baselineScores[key];
+    weightSum += weight;
+  });
+  return weightSum > 0 ? total / weightSum : 0;
+}
+
+/**
+ * Stat fields a build changes, compared with another set of stats.
+ * @returns {Array<{field: string, before: *, after: *}>}
+ */
+export function statDeltas(before, after) {
+  if (!before || !after) return [];
+  return Object.keys(after)
+    .filter(field => before[field] !== after[field] && ['number', 'string'].includes(typeof after[field]))
+    .map(field => ({ field, before: before[field], after: after[field] }));
+}
+
+/**
+ * Find the best capsule builds for an objective.
+ *
+ * Capsules that don't improve the objective on their own are dropped, and only the
+ * `maxCandidates` best of the rest are combined. That keeps the search small enough to run
+ * on click. Every combination of the candidates within the budget and slot count is
+ * then scored.
+ *
+ * @param {Object} options
+ * @param {Object} options.character - Base stats from characters.json
+ * @param {Array<Object>} options.capsules - Capsules to choose from
+ * @param {Array<Object>} [options.activeSkills] - Skills applied to every build
+ * @param {Object} [options.opponentStats] - Opponent's modified stats
+ * @param {Array<Object>} [options.blasts] - The character's blast.json rows
+ * @param {string} [options.objective] - An OPTIMIZER_OBJECTIVES key
+ * @param {Object} [options.weights] - Mix weights keyed by score
+ * @param {number} [options.budget] - Maximum total cost
+ * @param {number} [options.slots] - Maximum number of capsules
+ * @param {Function} [options.checkRules] - build => violations; builds with any are skipped
+ * @param {number} [options.topN] - Number of builds to return
+ * @param {number} [options.maxCandidates] - Capsules considered in combinations
+ * @returns {{baseline: Object, candidates: Array<Object>, searched: number, results: Array<Object>}|null}
+ *   results are ordered best first: { capsules, cost, value, gain, scores, stats, statDeltas }
+ */
+export function optimizeBuild({
+  character,
+  capsules,
+  activeSkills = [],
+  opponentStats = null,
+  blasts = [],
+  objective = 'combo',
+  weights = DEFAULT_MIX_WEIGHTS,
+  budget = CAPSULE_BUDGET,
+  slots = 7,
+  checkRules = null,
+  topN = 5,
+  maxCandidates = 16,
+}) {
+  if (!character) return null;
+  const context = { character, activeSkills, opponentStats, blasts };
+  const baseline = evaluateBuild([], context);
+  const valueOf = scores => objectiveValue(scores, objective, weights, baseline.scores);
+  const baseValue = valueOf(baseline.scores);
+  const allowed = build => !checkRules || checkRules(build).length === 0;
+
+  const candidates = capsules
+    .filter(c => c.cost <= budget && allowed([c]))
+    .map(c => ({ capsule: c, gain: valueOf(evaluateBuild([c], context).scores) - baseValue }))
+    .filter(c => c.gain > 0)
+    .sort((a, b) => b.gain - a.gain || a.capsule.cost - b.capsule.cost)
+    .slice(0, maxCandidates)
+    .map(c => c.capsule);
+
+  const results = [];
+  let searched = 0;
+
+  function consider(build, cost) {
+    const { stats, scores } = evaluateBuild(build, context);
+    const value = valueOf(scores);
+    searched++;
+    const last = results[results.length - 1];
+    if (results.length >= topN && (value < last.value || (value === last.value && cost >= last.cost))) return;
+    const entry = { capsules: build, cost, value, gain: value - baseValue, scores, stats };
+    const at = results.findIndex(r => value > r.value || (value === r.value && cost < r.cost));
+    results.splice(at === -1 ? results.length : at, 0, entry);
+    if (results.length > topN) results.pop();
+  }
+
+  // Rule violations only grow as capsules are added, so a rejected build ends its branch
+  function extend(start, build, cost) {
+    for (let i = start; i < candidates.length; i++) {
+      const capsule = candidates[i];
+      if (cost + capsule.cost > budget) continue;
+      const next = [...build, capsule];
+      if (!allowed(next)) continue;
+      consider(next, cost + capsule.cost);
+      if (next.length < slots) extend(i + 1, next, cost + capsule.cost);
+    }
+  }
+  extend(0, [], 0);
+
+  return {
+    baseline,
+    candidates,
+    searched,
+    results: results.map(r => ({ ...r, statDeltas: statDeltas(baseline.stats, r.stats) })),
+  };
+}
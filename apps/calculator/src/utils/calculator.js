@@ -74,6 +74,10 @@ export function parseEffectKey(key) {
   return map[k] || null;
 }
 
+// Blast Burst / Ultimate Burst raise blast ki costs (in bars); characters have no base value
+// for them, so they start from 0
+const KI_COST_INCREASE_FIELDS = ['blastKiCost', 'ultimateKiCost'];
+
 /**
  * Given a character's base stats and a list of equipped capsules,
  * compute the modified stats.
@@ -118,7 +122,7 @@ export function computeModifiedStats(baseStats, equippedCapsules) {
 
   // Apply flat + percent to numeric fields
   Object.entries(modifiers).forEach(([field, { add, percent, percentInv }]) => {
-    let base = baseStats[field];
+    let base = baseStats[field] ?? (KI_COST_INCREASE_FIELDS.includes(field) ? 0 : undefined);
     // Some fields (e.g. skillRegen) are stored as formatted strings like "3.65 Points/m".
     // Extract the leading number so capsule modifiers can still be applied.
     let suffix = '';
@@ -269,6 +273,9 @@ export function calcFiveHitArmorDamage(stats, breakOnHit = 5, opponentStats = nu
   return Math.round(total);
 }
 
+// Capsules whose rush hits ignore the opponent's armor
+export const ARMOR_BREAK_CAPSULES = ['Draconic Aura', 'Dragon Rush'];
+
 /**
  * Given your modified stats and the opponent's modified stats, compute outgoing
  * combo hit values after opponent's defenses. Returns per-hit info including
@@ -324,6 +331,51 @@ export function applyOpponentDefense(value, opponentStats, defenseField) {
   return Math.round(value * def);
 }
 
+// Capsule effect fields that scale each blast slot's damage
+export const BLAST_SLOT_EFFECT_FIELDS = {
+  BlastSkill1:      ['blastDamage', 'blastCombo'],
+  BlastSkill2:      ['blastDamage', 'blastCombo'],
+  BlastUltimate:    ['ultimate'],
+  Replacement_Slot2:['blastDamage', 'blastCombo'],
+  ReplacementSlot2: ['blastDamage', 'blastCombo'],
+};
+
+/**
+ * Total capsule percent bonus for the given blast effect fields.
+ * Blast damage isn't a character stat, so computeModifiedStats never sees these.
+ */
+export function getCapsuleBlastModifier(equippedCapsules, fields) {
+  let percent = 0;
+  equippedCapsules.forEach(capsule => {
+    if (!capsule?.effects) return;
+    capsule.effects.forEach(effect => {
+      if (!effect) return;
+      const mapping = parseEffectKey(effect.key);
+      if (!mapping || effect.value === null) return;
+      if (fields.includes(mapping.field) && mapping.op === 'percent') {
+        percent += effect.value;
+      }
+    });
+  });
+  return percent;
+}
+
+/**
+ * Damage of one blast (a blast.json row) after capsules, skill buffs and the
+ * opponent's blast defense — the "Base" column of the Skills panel.
+ * Returns null when the blast has no patched base damage.
+ */
+export function calcBlastDamage(blast, equippedCapsules, activeSkills = [], opponentStats = null) {
+  if (!blast || blast.baseDamagePatch === null || blast.baseDamagePatch === undefined || blast.baseDamagePatch === '') return null;
+  const isUltimate = blast.slot === 'BlastUltimate';
+  const fields = BLAST_SLOT_EFFECT_FIELDS[blast.slot] || ['blastDamage'];
+  const skillPct = activeSkills.reduce((sum, s) =>
+    sum + (s.blastBuff || 0) * 5 + (isUltimate ? (s.ultimateBuff || 0) * 5 : 0), 0);
+  const totalPct = getCapsuleBlastModifier(equippedCapsules, fields) + skillPct;
+  const damage = Math.round(Number(blast.baseDamagePatch) * (1 + totalPct / 100));
+  return opponentStats ? Math.round(damage * (opponentStats.blastDefense ?? 1)) : damage;
+}
+
 /**
  * Total cost of equipped capsules (null slots are free).
  */
@@ -356,40 +408,57 @@ export function formatStat(field, value) {
 }
 
 
+// Hash key for a character or capsule: its referencedata ID, or its name if it has none
+const buildKey = (record) => (record ? record.id ?? record.name : null);
+
 /**
  * Encode build state into URL hash, including opponent and their capsules.
- * @param {string} characterName
- * @param {string[]} capsuleNames
- * @param {string|null} opponentName
- * @param {string[]|null} opponentCapsuleNames
+ * Characters and capsules are stored by ID so shared links survive display name changes.
+ * @param {Object} character
+ * @param {Array<Object|null>} capsules - Capsule slots, null for empty ones
+ * @param {Object|null} opponent
+ * @param {Array<Object|null>|null} opponentCapsules
  * @returns {string}
  */
-export function encodeBuild(characterName, capsuleNames, opponentName = null, opponentCapsuleNames = null) {
-  const data = { c: characterName, p: capsuleNames };
-  if (opponentName) data.o = opponentName;
-  if (opponentCapsuleNames) data.op = opponentCapsuleNames;
+export function encodeBuild(character, capsules, opponent = null, opponentCapsules = null) {
+  const data = { c: buildKey(character), p: capsules.map(buildKey) };
+  if (opponent) data.o = buildKey(opponent);
+  if (opponentCapsules) data.op = opponentCapsules.map(buildKey);
   return btoa(encodeURIComponent(JSON.stringify(data)));
 }
 
 /**
  * Decode build state from URL hash, including opponent and their capsules.
+ * Keys are IDs, or display names in hashes shared before builds were stored by ID;
+ * findBuildRecord resolves either.
  * @param {string} hash
- * @returns {{ characterName: string, capsuleNames: string[], opponentName?: string, opponentCapsuleNames?: string[] } | null}
+ * @returns {{ characterKey: string, capsuleKeys: Array<string|null>, opponentKey?: string, opponentCapsuleKeys?: Array<string|null> } | null}
  */
 export function decodeBuild(hash) {
   try {
     const data = JSON.parse(decodeURIComponent(atob(hash)));
     return {
-      characterName: data.c,
-      capsuleNames: data.p,
-      opponentName: data.o,
-      opponentCapsuleNames: data.op
+      characterKey: data.c,
+      capsuleKeys: data.p,
+      opponentKey: data.o,
+      opponentCapsuleKeys: data.op
     };
   } catch {
     return null;
   }
 }
 
+/**
+ * Character or capsule for a decoded hash key: by ID, then by name for older hashes.
+ * @param {Array<Object>} records - characters.json or capsules.json rows
+ * @param {string|null} key
+ * @returns {Object|null}
+ */
+export function findBuildRecord(records, key) {
+  if (!key) return null;
+  return records.find(r => r.id === key) || records.find(r => r.name === key) || null;
+}
+
 /** Build the URL for a character thumbnail stored in public/char_thumbnails/ */
 export function getImageUrl(filename, base = import.meta.env.BASE_URL) {
   if (!filename) return null;
@@ -0,0 +1,42 @@
+import yaml from 'js-yaml';
+import capsuleRulesYaml from '../../../../referencedata/capsule-rules.yaml?raw';
+import {
+  TOTAL_COST,
+  listRulesets,
+  resolveRuleset,
+  createCapsuleCatalog,
+  validateCharacter,
+  isEnforced,
+} from '../../../../packages/rules-engine/src/index.js';
+
+function loadRulesDocument() {
+  try {
+    return yaml.load(capsuleRulesYaml);
+  } catch (e) {
+    console.warn('Failed to parse capsule-rules.yaml, rulesets unavailable', e);
+    return null;
+  }
+}
+
+const rulesDocument = loadRulesDocument();
+
+// League rulesets from referencedata/capsule-rules.yaml, for the optimizer's ruleset picker
+export const RULESET_OPTIONS = listRulesets(rulesDocument);
+
+export function loadRuleset(key) {
+  return resolveRuleset(rulesDocument, key);
+}
+
+/**
+ * Build a check for one character's capsules under a ruleset.
+ * Only character-scope rules apply (bans, uniqueness, attack boost cost group); the budget
+ * is left to the caller, and team rules need the rest of the team.
+ * @param {Object} ruleset - From loadRuleset
+ * @param {Array<Object>} capsules - data/capsules.json entries (carry referencedata IDs)
+ * @returns {(build: Array<Object>) => Array<Object>} enforced violations for a build
+ */
+export function createBuildRuleCheck(ruleset, capsules) {
+  const catalog = createCapsuleCatalog(capsules);
+  return (build) => validateCharacter(build.map(c => c.id), ruleset, catalog)
+    .filter(v => v.type !== TOTAL_COST && isEnforced(v, ruleset));
+}
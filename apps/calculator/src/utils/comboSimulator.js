@@ -0,0 +1,131 @@
+/**
+ * Combo sequence simulator.
+ * Plays a queue of attacks against the opponent's modified stats and tracks their health
+ * and armor, giving cumulative damage, remaining HP and the action that KOs them.
+ */
+import { ARMOR_BREAK_CAPSULES, calcOutgoingCombo, calcBlastDamage, applyOpponentDefense } from './calculator.js';
+
+export const SEQUENCE_ACTIONS = [
+  { key: 'rush',     label: 'Rush Chain', hits: 5 },
+  { key: 'smash',    label: 'Smash',      hits: 1 },
+  { key: 'throw',    label: 'Throw',      hits: 1 },
+  { key: 'blast1',   label: 'Blast 1',    hits: 1, slot: 'BlastSkill1' },
+  { key: 'blast2',   label: 'Blast 2',    hits: 1, slot: 'BlastSkill2' },
+  { key: 'ultimate', label: 'Ultimate',   hits: 1, slot: 'BlastUltimate' },
+];
+
+// Actions offered for "N more to KO" once the queue runs out
+const FINISHER_ACTIONS = ['rush', 'smash', 'throw'];
+
+const MAX_FINISHER_REPEATS = 99;
+
+const actionByKey = Object.fromEntries(SEQUENCE_ACTIONS.map(a => [a.key, a]));
+
+/**
+ * The character's blast.json row for an action, or undefined for melee actions.
+ */
+export function blastForAction(key, blasts = []) {
+  const slot = actionByKey[key]?.slot;
+  return slot ? blasts.find(b => b.slot === slot) : undefined;
+}
+
+// Damage of one action given how many armored hits the opponent has left.
+// Melee hits wear the armor down (armorBreak counts hits, as in calcOutgoingCombo);
+// throws grab through armor and blasts only meet blast defense.
+function actionDamage(key, armorHitsLeft, ctx) {
+  const { stats, opponentStats, armor, equippedCapsules, activeSkills, blasts } = ctx;
+  const armored = armor > 0 && armorHitsLeft > 0;
+
+  if (key === 'rush') {
+    const combo = calcOutgoingCombo(
+      { ...stats, armorBreak: armorHitsLeft + 1 },
+      { ...opponentStats, armor: armored ? armor : 0 }
+    );
+    const armoredHits = combo.perHit.filter(h => h.armorReduced).length;
+    return { damage: combo.rush5Hit, armoredHits };
+  }
+  if (key === 'smash') {
+    const raw = typeof stats.smash === 'number' ? stats.smash : 0;
+    const def = opponentStats.meleeDefenseStat ?? 1;
+    return { damage: Math.round(raw * def * (armored ? 1 - armor : 1)), armoredHits: armored ? 1 : 0 };
+  }
+  if (key === 'throw') {
+    const raw = typeof stats.throw === 'number' ? stats.throw : 0;
+    return { damage: applyOpponentDefense(raw, opponentStats, 'meleeDefenseStat'), armoredHits: 0 };
+  }
+  const damage = calcBlastDamage(blastForAction(key, blasts), equippedCapsules, activeSkills, opponentStats);
+  return { damage, armoredHits: 0 };
+}
+
+/**
+ * Run a sequence of actions against the opponent.
+ *
+ * @param {Array<string>} actions - SEQUENCE_ACTIONS keys, in order
+ * @param {Object} ctx
+ * @param {Object} ctx.stats - Your modified stats
+ * @param {Object} ctx.opponentStats - Opponent's modified stats (health, defenses, armor)
+ * @param {Array<Object>} [ctx.equippedCapsules] - Your capsules (blast boosts, armor break)
+ * @param {Array<Object>} [ctx.activeSkills] - Your active skill buffs
+ * @param {Array<Object>} [ctx.blasts] - Your blast.json rows
+ * @returns {{steps: Array<Object>, totalDamage: number, remainingHp: number, ko: boolean,
+ *   ttk: {actions: number, hits: number}|null, toKO: Object<string, number|null>}|null}
+ *   steps: { key, label, damage, armoredHits, armorBroken, total, remainingHp, ko };
+ *   damage is null for a blast slot the character doesn't have.
+ *   toKO: how many more of each finisher action would KO after the sequence (null if never)
+ */
+export function simulateSequence(actions, { stats, opponentStats, equippedCapsules = [], activeSkills = [], blasts = [] }) {
+  if (!stats || !opponentStats) return null;
+  const breaksArmor = equippedCapsules.some(c => c && ARMOR_BREAK_CAPSULES.includes(c.name));
+  const armor = breaksArmor ? 0 : (typeof opponentStats.armor === 'number' ? opponentStats.armor : 0);
+  const ctx = { stats, opponentStats, armor, equippedCapsules, activeSkills, blasts };
+  const maxHp = typeof opponentStats.health === 'number' ? opponentStats.health : 0;
+  const armorBreak = typeof stats.armorBreak === 'number' ? stats.armorBreak : 999;
+
+  let armorHitsLeft = armor > 0 ? Math.max(0, armorBreak - 1) : 0;
+  let total = 0;
+  let hits = 0;
+  let ttk = null;
+
+  const steps = actions.map((key, i) => {
+    const action = actionByKey[key];
+    const { damage, armoredHits } = actionDamage(key, armorHitsLeft, ctx);
+    if (key === 'rush' || key === 'smash') armorHitsLeft = Math.max(0, armorHitsLeft - action.hits);
+    total += damage ?? 0;
+    if (damage !== null) hits += action.hits;
+    const remainingHp = Math.max(0, maxHp - total);
+    if (remainingHp === 0 && !ttk) ttk = { actions: i + 1, hits };
+    return {
+      key,
+      label: action.label,
+      damage,
+      armoredHits,
+      armorBroken: armor > 0 && armorHitsLeft === 0,
+      total,
+      remainingHp,
+      ko: remainingHp === 0,
+    };
+  });
+
+  // Finishers carry on from the armor left after the queue
+  const toKO = Object.fromEntries(FINISHER_ACTIONS.map(key => {
+    let hp = maxHp - total;
+    let armorLeft = armorHitsLeft;
+    for (let n = 0; n <= MAX_FINISHER_REPEATS; n++) {
+      if (hp <= 0) return [key, n];
+      const { damage } = actionDamage(key, armorLeft, ctx);
+      if (!damage) return [key, null];
+      hp -= damage;
+      if (key !== 'throw') armorLeft = Math.max(0, armorLeft - actionByKey[key].hits);
+    }
+    return [key, null];
+  }));
+
+  return {
+    steps,
+    totalDamage: total,
+    remainingHp: Math.max(0, maxHp - total),
+    ko: total >= maxHp,
+    ttk,
+    toKO,
+  };
+}
@@ -0,0 +1,126 @@
+/**
+ * Ki and skill gauge economy over a match.
+ * Steps a build's modified ki stats through a simple play pattern and records the gauges
+ * once a second, plus when each blast and skill first becomes affordable.
+ */
+
+export const KI_BAR = 10000;     // blast.json ki costs are in gauge units, 10,000 per bar
+export const MAX_KI_BARS = 5;
+
+export const SPEND_OPTIONS = [
+  { key: 'none',     label: 'Save ki' },
+  { key: 'super',    label: 'Fire Supers' },
+  { key: 'ultimate', label: 'Fire Ultimate' },
+];
+
+// hitsPerSecond: melee hits landed per second on average
+// chargeShare: fraction of the match spent charging ki (no auto regen while charging)
+export const DEFAULT_PLAY_PATTERN = { duration: 60, hitsPerSecond: 1, chargeShare: 0.2, spendOn: 'none' };
+
+const SUPER_SLOTS = { blast1: 'BlastSkill1', blast2: 'BlastSkill2' };
+
+const STEP = 0.1;
+
+// Ki stats can be null (Infinite Ki / Ki Drain classes) and skillRegen is "3.65 Points/m"
+const numeric = (value) => {
+  if (typeof value === 'number') return value;
+  const n = parseFloat(value);
+  return Number.isNaN(n) ? 0 : n;
+};
+
+const blastCost = (blast) => {
+  const energy = blast?.triggerExpendEnergy ?? blast?.maxExpendEnergy;
+  return typeof energy === 'number' ? energy / KI_BAR : null;
+};
+
+/**
+ * Ki costs (bars) of the character's Supers and Ultimate; null for a missing slot.
+ * @param {Array<Object>} [blasts] - The character's blast.json rows
+ * @param {Object} [stats] - Modified stats; blastKiCost and ultimateKiCost (bars added by
+ *   capsules such as Blast Burst and Ultimate Burst) are added to the Super and Ultimate costs
+ */
+export function blastCosts(blasts = [], stats = null) {
+  const bySlot = (slot, extra) => {
+    const cost = blastCost(blasts.find(b => b.slot === slot));
+    return cost === null ? null : cost + numeric(extra);
+  };
+  return {
+    blast1: bySlot(SUPER_SLOTS.blast1, stats?.blastKiCost),
+    blast2: bySlot(SUPER_SLOTS.blast2, stats?.blastKiCost),
+    ultimate: bySlot('BlastUltimate', stats?.ultimateKiCost),
+  };
+}
+
+/**
+ * Simulate the ki and skill gauges for one build.
+ *
+ * @param {Object} stats - Modified stats (startingKi, kiCharge, kiRegen, kiRegenRange,
+ *   attackKiGain, skillStart, skillLimit, skillRegen, blastKiCost, ultimateKiCost)
+ * @param {Object} [options]
+ * @param {Array<Object>} [options.blasts] - The character's blast.json rows
+ * @param {Array<{name: string, cost: number}>} [options.skills] - The character's skills
+ * @param {Object} [options.pattern] - See DEFAULT_PLAY_PATTERN
+ * @returns {{samples: Array<{t: number, ki: number, skill: number}>, costs: Object,
+ *   firstAvailable: Object<string, number|null>, fired: Array<{t: number, key: string}>,
+ *   skillLimit: number}|null}
+ *   firstAvailable is keyed blast1, blast2, ultimate, skill1, skill2 (seconds, null = never)
+ */
+export function simulateKiEconomy(stats, { blasts = [], skills = [], pattern = DEFAULT_PLAY_PATTERN } = {}) {
+  if (!stats) return null;
+  const { duration, hitsPerSecond, chargeShare, spendOn } = { ...DEFAULT_PLAY_PATTERN, ...pattern };
+  const kiCharge = numeric(stats.kiCharge);
+  const kiRegen = numeric(stats.kiRegen);
+  const regenRange = numeric(stats.kiRegenRange);
+  const kiPerHit = numeric(stats.attackKiGain);
+  const skillLimit = numeric(stats.skillLimit);
+  const skillPerSecond = numeric(stats.skillRegen) / 60;
+
+  const costs = {
+    ...blastCosts(blasts, stats),
+    skill1: typeof skills[0]?.cost === 'number' ? skills[0].cost : null,
+    skill2: typeof skills[1]?.cost === 'number' ? skills[1].cost : null,
+  };
+  const gauges = { blast1: 'ki', blast2: 'ki', ultimate: 'ki', skill1: 'skill', skill2: 'skill' };
+  const firstAvailable = Object.fromEntries(Object.keys(costs).map(key => [key, null]));
+
+  let ki = Math.min(MAX_KI_BARS, numeric(stats.startingKi));
+  let skill = Math.min(skillLimit, numeric(stats.skillStart));
+  const samples = [];
+  const fired = [];
+
+  // Cheapest Super first when spending on Supers
+  const superKeys = ['blast1', 'blast2'].filter(key => costs[key] !== null).sort((a, b) => costs[a] - costs[b]);
+
+  const steps = Math.round(duration / STEP);
+  for (let i = 0; i <= steps; i++) {
+    const t = i * STEP;
+    if (i > 0) {
+      const regen = ki < regenRange ? kiRegen * (1 - chargeShare) : 0;
+      ki = Math.min(MAX_KI_BARS, ki + STEP * (kiCharge * chargeShare + regen + kiPerHit * hitsPerSecond));
+      skill = Math.min(skillLimit, skill + STEP * skillPerSecond);
+    }
+
+    Object.entries(costs).forEach(([key, cost]) => {
+      const gauge = gauges[key] === 'ki' ? ki : skill;
+      if (firstAvailable[key] === null && cost !== null && gauge >= cost - 1e-9) firstAvailable[key] = t;
+    });
+
+    const spendKey = spendOn === 'super'
+      ? superKeys.find(key => ki >= costs[key] - 1e-9)
+      : spendOn === 'ultimate' && costs.ultimate !== null && ki >= costs.ultimate - 1e-9 ? 'ultimate' : null;
+    if (spendKey) {
+      ki -= costs[spendKey];
+      fired.push({ t: Math.round(t * 10) / 10, key: spendKey });
+    }
+
+    if (i % Math.round(1 / STEP) === 0) {
+      samples.push({ t: Math.round(t), ki: Math.round(ki * 100) / 100, skill: Math.round(skill * 100) / 100 });
+    }
+  }
+
+  Object.keys(firstAvailable).forEach(key => {
+    if (firstAvailable[key] !== null) firstAvailable[key] = Math.round(firstAvailable[key] * 10) / 10;
+  });
+
+  return { samples, costs, firstAvailable, fired, skillLimit };
+}
@@ -0,0 +1,159 @@
+/**
+ * Skill buff timeline.
+ * Places skill activations at given seconds, checks each against the skill gauge and works
+ * out which buffs are running at any moment, so stats can be taken at t = N instead of
+ * treating every selected skill as permanently on.
+ */
+import { SKILL_BUFF_FIELDS } from './calculator.js';
+
+// How buffs from different skills combine while they overlap. Re-casting the same skill
+// always refreshes its window rather than stacking with itself.
+export const TIMELINE_STACKING = [
+  { key: 'stack',     label: 'Stack levels' },
+  { key: 'strongest', label: 'Strongest only' },
+];
+
+// skills.json marks buffs that last the rest of the match with a duration of 999
+const MATCH_LONG_DURATION = 999;
+
+// Seconds a full Sparking gauge lasts before capsules and the character's own sparkDuration
+// modifier; an estimate, so each cast's length can be set by hand on the timeline
+export const BASE_SPARKING_SECONDS = 15;
+
+const BUFF_KEYS = Object.keys(SKILL_BUFF_FIELDS);
+
+const numeric = (value) => {
+  if (typeof value === 'number') return value;
+  const n = parseFloat(value);
+  return Number.isNaN(n) ? 0 : n;
+};
+
+/**
+ * How long Sparking mode lasts for a build: BASE_SPARKING_SECONDS scaled by its sparkDuration
+ * (a fraction, e.g. 0.25 = 25% longer).
+ * @param {Object} stats - Capsule-modified stats
+ * @returns {number} Seconds
+ */
+export function sparkingSeconds(stats) {
+  return Math.max(0, BASE_SPARKING_SECONDS * (1 + numeric(stats?.sparkDuration)));
+}
+
+/**
+ * How long a skill's buffs run when no length is set for the cast.
+ * Timed skills use their skills.json duration. Duration 0 means the data has no timer: Sparking
+ * skills (and the Sparking entry itself) last the Sparking window, other instant skills don't
+ * leave a running buff.
+ * @param {Object} skill - skills.json entry
+ * @param {Object} stats - Capsule-modified stats
+ * @returns {number} Seconds; Infinity only for skills.json's 999 (rest of the match)
+ */
+export function defaultBuffSeconds(skill, stats) {
+  const duration = numeric(skill.duration);
+  if (duration === MATCH_LONG_DURATION) return Infinity;
+  if (duration > 0) return duration;
+  return skill.instantSparking ? sparkingSeconds(stats) : 0;
+}
+
+/**
+ * Timing and skill gauge check for each activation, in time order.
+ *
+ * The gauge starts at skillStart, refills at skillRegen points per minute up to skillLimit
+ * and pays each skill's cost when it is cast. An activation the gauge can't pay for is
+ * marked unaffordable and left out of the buffs.
+ *
+ * @param {Array<{skill: Object, at: number, duration?: number}>} activations - skills.json
+ *   entries, cast times (s) and, optionally, how long the buffs run (s; default
+ *   defaultBuffSeconds)
+ * @param {Object} stats - Capsule-modified stats (skillStart, skillLimit, skillRegen, sparkDuration)
+ * @returns {Array<{skill: Object, at: number, duration?: number, start: number, end: number,
+ *   cost: number, gauge: number, affordable: boolean, problem: string|null}>}
+ *   start/end bound the buff window; end is Infinity only for match-long buffs; gauge is the
+ *   points available at cast time
+ */
+export function resolveActivations(activations, stats) {
+  const limit = numeric(stats?.skillLimit);
+  const perSecond = numeric(stats?.skillRegen) / 60;
+  let gauge = Math.min(limit, numeric(stats?.skillStart));
+  let lastTime = 0;
+
+  return [...activations]
+    .sort((a, b) => a.at - b.at)
+    .map(({ skill, at, duration }) => {
+      gauge = Math.min(limit, gauge + (at - lastTime) * perSecond);
+      lastTime = at;
+      const cost = numeric(skill.cost);
+      let problem = null;
+      if (cost > limit) problem = `Costs ${cost} points, gauge holds ${limit}`;
+      else if (gauge < cost - 1e-9) problem = `Needs ${cost} points, ${gauge.toFixed(2)} available`;
+      const available = gauge;
+      if (!problem) gauge -= cost;
+
+      const start = at + numeric(skill.activationTime);
+      const length = typeof duration === 'number' ? Math.max(0, duration) : defaultBuffSeconds(skill, stats);
+      return {
+        skill,
+        at,
+        duration,
+        start,
+        end: start + length,
+        cost,
+        gauge: Math.round(available * 100) / 100,
+        affordable: !problem,
+        problem,
+      };
+    });
+}
+
+/**
+ * Skills whose buffs are running at time t, ready for applySkillBuffs.
+ * @param {Array<Object>} resolved - From resolveActivations
+ * @param {number} t - Seconds
+ * @param {string} [stacking] - A TIMELINE_STACKING key
+ * @returns {Array<Object>}
+ */
+export function activeSkillsAt(resolved, t, stacking = 'stack') {
+  // Latest cast of each skill wins, so a re-cast refreshes instead of stacking
+  const latest = new Map();
+  resolved
+    .filter(a => a.affordable && a.start <= t)
+    .forEach(a => latest.set(a.skill.id, a));
+  const running = [...latest.values()].filter(a => t < a.end).map(a => a.skill);
+  if (stacking !== 'strongest' || running.length < 2) return running;
+
+  // Strongest only: per buff, the best boost and the worst penalty among running skills
+  const combined = { id: 'timeline_strongest', name: 'Strongest buffs' };
+  BUFF_KEYS.forEach(key => {
+    const levels = running.map(s => s[key] || 0);
+    combined[key] = Math.max(0, ...levels) + Math.min(0, ...levels);
+  });
+  // Armor comes from the skills' flags, not their levels
+  const armorFlags = running
+    .filter(s => s.armor)
+    .map(s => ({ id: `${s.id}_armor`, armor: true, instantSparking: s.instantSparking }));
+  return [combined, ...armorFlags];
+}
+
+/**
+ * Split the timeline wherever a buff starts or ends.
+ * @param {Array<Object>} resolved - From resolveActivations
+ * @param {number} horizon - Last second shown
+ * @param {string} [stacking] - A TIMELINE_STACKING key
+ * @returns {Array<{from: number, to: number, skills: Array<Object>, levels: Object<string, number>}>}
+ *   skills are the running activations' skills; levels the combined buff level per key
+ */
+export function timelineSlices(resolved, horizon, stacking = 'stack') {
+  const edges = [...new Set([
+    0,
+    horizon,
+    ...resolved.filter(a => a.affordable).flatMap(a => [a.start, a.end]).filter(t => t > 0 && t < horizon),
+  ])].sort((a, b) => a - b);
+
+  return edges.slice(0, -1).map((from, i) => {
+    const to = edges[i + 1];
+    const mid = (from + to) / 2;
+    const skills = activeSkillsAt(resolved, mid, 'stack');
+    const effective = activeSkillsAt(resolved, mid, stacking);
+    const levels = Object.fromEntries(BUFF_KEYS.map(key => [key, effective.reduce((sum, s) => sum + (s[key] || 0), 0)]));
+    return { from, to, skills, levels };
+  });
+}
@@ -0,0 +1,24 @@
+import teamRegistryData from '../../../../referencedata/teams.json';
+import { createTeamRegistry } from '../../../../packages/team-registry/src/index.js';
+
+export const teamRegistry = createTeamRegistry(teamRegistryData);
+
+/**
+ * Key data/teams.json by canonical team names from referencedata/teams.json.
+ * Aliases ("The Z-Fighters") are renamed, league teams come first in registry order,
+ * and other groups (Free Agents) follow as listed.
+ * @param {{teamNames: string[], teams: Object<string, string[]>}} data
+ * @returns {{teamNames: string[], teams: Object<string, string[]>}}
+ */
+export function canonicalizeTeams(data) {
+  const teams = {};
+  Object.entries(data?.teams || {}).forEach(([name, members]) => {
+    const key = teamRegistry.canonicalName(name);
+    teams[key] = [...new Set([...(teams[key] || []), ...members])];
+  });
+
+  const listed = (data?.teamNames || Object.keys(data?.teams || {})).map(teamRegistry.canonicalName);
+  const league = teamRegistry.teams.map(t => t.name).filter(name => listed.includes(name));
+  const others = listed.filter(name => !teamRegistry.resolve(name));
+  return { teamNames: [...new Set([...league, ...others])], teams };
+}
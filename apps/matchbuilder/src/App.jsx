@@ -1,9 +1,26 @@
 import React, { useState, useEffect, useRef } from "react";
 import { createPortal } from 'react-dom';
 import { useFloating, offset, flip, shift, size, autoUpdate } from '@floating-ui/react-dom';
-import { Plus, Trash2, Copy, Download, Upload, X, Sparkles, Minus, ClipboardPaste } from "lucide-react";
+import { Plus, Trash2, Copy, Download, Upload, X, Sparkles, Minus, ClipboardPaste, FolderOpen } from "lucide-react";
 import yaml from "js-yaml";
 import { YamlPanel } from "./YamlPanel";
+import { SessionPanel } from "./SessionPanel";
+import { readAutosave, writeAutosave, clearAutosave } from "./sessionStore";
+import {
+  TOTAL_COST,
+  resolveRuleset,
+  createCapsuleCatalog,
+  characterCost,
+  validateTeam,
+  violationsForCharacter,
+  getAllowedCapsules,
+  getAllowedCharacters,
+  rostersFromTeams,
+} from "../../../packages/rules-engine/src/index.js";
+import { createTeamRegistry } from "../../../packages/team-registry/src/index.js";
+
+// Delay between the last edit and the autosave write (ms)
+const AUTOSAVE_DELAY_MS = 800;
 
 // Helper: find AI id from either display name or id (case-insensitive, trimmed)
 const findAiIdFromValue = (val, aiItems) => {
@@ -80,6 +97,78 @@ const getActiveFusions = (team, transformations) => {
   return result;
 };
 
+// COM difficulty written to MatchSetup.json `comLevel` for com1/com2.
+// Strong/Super/Ultra are the levels league tests run at (see CPU_LEVEL_DIFFICULTY in apps/submit/js/config.js).
+const COM_LEVELS = ['Middle', 'Strong', 'Super', 'Ultra', 'Extreme'];
+const DEFAULT_COM_LEVEL = 'Extreme';
+
+// Resolve a COM level case-insensitively, falling back to the default for unknown values
+const normalizeComLevel = (val) => {
+  const s = String(val || '').trim().toLowerCase();
+  return COM_LEVELS.find((l) => l.toLowerCase() === s) || DEFAULT_COM_LEVEL;
+};
+
+// Per-match stage setting. mode is 'any' (no constraint), 'fixed' (ids[0]) or 'random' (pick from ids).
+const DEFAULT_MATCH_MAP = { mode: 'any', ids: [] };
+
+const normalizeMatchMap = (map) => {
+  if (!map || typeof map !== 'object') return { ...DEFAULT_MATCH_MAP };
+  const ids = Array.isArray(map.ids) ? map.ids.filter(Boolean) : [];
+  if (map.mode === 'fixed' && ids.length > 0) return { mode: 'fixed', ids: [ids[0]] };
+  if (map.mode === 'random' && ids.length > 0) return { mode: 'random', ids: [...new Set(ids)] };
+  return { ...DEFAULT_MATCH_MAP };
+};
+
+// Resolve a map from its id (Map006) or display name, case-insensitive
+const findMapIdFromValue = (val, maps) => {
+  if (!val && val !== 0) return '';
+  const s = String(val).trim();
+  if (!s) return '';
+  const byId = (maps || []).find((m) => m.id === s);
+  if (byId) return byId.id;
+  const lower = s.toLowerCase();
+  const byName = (maps || []).find((m) => (m.name || '').trim().toLowerCase() === lower);
+  return byName ? byName.id : '';
+};
+
+// MatchSetup.json `stage` block — omitted entirely when any map is allowed
+const matchMapToStage = (map) => {
+  const m = normalizeMatchMap(map);
+  if (m.mode === 'any') return null;
+  return {
+    selectType: m.mode === 'fixed' ? 'Fixed' : 'Random',
+    stageList: m.ids.map((id) => ({ key: id })),
+  };
+};
+
+const stageToMatchMap = (stage) => {
+  if (!stage || !Array.isArray(stage.stageList)) return { ...DEFAULT_MATCH_MAP };
+  const ids = stage.stageList.map((s) => s && s.key).filter((k) => k && k !== 'None');
+  const mode = String(stage.selectType || '').toLowerCase() === 'random' ? 'random' : 'fixed';
+  return normalizeMatchMap({ mode, ids });
+};
+
+// YAML representation uses display names: `map: <name>` for a fixed stage,
+// `map: Random` plus `mapPool: [names]` for a random pool, and no key for "any".
+const matchMapToYamlFields = (map, maps) => {
+  const m = normalizeMatchMap(map);
+  const nameOf = (id) => (maps || []).find((mp) => mp.id === id)?.name || id;
+  if (m.mode === 'fixed') return { map: nameOf(m.ids[0]) };
+  if (m.mode === 'random') return { map: 'Random', mapPool: m.ids.map(nameOf) };
+  return {};
+};
+
+const matchMapFromYaml = (data, maps) => {
+  if (!data || !data.map) return { ...DEFAULT_MATCH_MAP };
+  const raw = String(data.map).trim();
+  if (raw.toLowerCase() === 'random') {
+    const pool = Array.isArray(data.mapPool) ? data.mapPool : [];
+    return normalizeMatchMap({ mode: 'random', ids: pool.map((v) => findMapIdFromValue(v, maps)) });
+  }
+  if (raw.toLowerCase() === 'any') return { ...DEFAULT_MATCH_MAP };
+  return normalizeMatchMap({ mode: 'fixed', ids: [findMapIdFromValue(raw, maps)] });
+};
+
 // Hoisted RulesetSelector so it's available before it's referenced in JSX
 function RulesetSelector({ rulesets, activeKey, onChange }) {
   const items = Object.keys((rulesets && rulesets.rulesets) || {}).map((k) => ({
@@ -139,7 +228,7 @@ const MatchBuilder = () => {
       const line = lines[i];
       // Top-level key: starts with a word character and contains a colon (not indented).
       // Skip blank line before name header keys so matchName/teamName stay grouped together.
-      const isNameKey = /^(matchName|team1Name|team2Name|teamName):/.test(line);
+      const isNameKey = /^(matchName|team1Name|team2Name|teamName|team1ComLevel|team2ComLevel|comLevel|map|mapPool):/.test(line);
       if (i > 0 && !isNameKey && /^\w[\w ]*:/.test(line) && out[out.length - 1] !== '') {
         out.push('');
       }
@@ -166,9 +255,11 @@ const MatchBuilder = () => {
   // Helper to export a single team as YAML (uses display names)
   const exportSingleTeam = (team, teamName, matchName, matchId, teamKey) => {
     try {
+      const sourceMatch = matches.find((m) => m.id === matchId);
       const teamYaml = {
         matchName: matchName,
         teamName: teamName,
+        ...(sourceMatch && teamKey ? { comLevel: normalizeComLevel(sourceMatch[`${teamKey}ComLevel`]) } : {}),
         members: team.map((char) => ({
           character: char.name || (characters.find(c => c.id === char.id)?.name || ""),
           costume: char.costume ? (costumes.find(c => c.id === char.costume)?.name || char.costume) : "",
@@ -256,6 +347,9 @@ const MatchBuilder = () => {
         if (teamYaml.matchName) {
           setMatches((prev) => prev.map((m) => m.id === matchId ? { ...m, name: teamYaml.matchName } : m));
         }
+        if (teamYaml.comLevel && (teamName === 'team1' || teamName === 'team2')) {
+          setMatches((prev) => prev.map((m) => m.id === matchId ? { ...m, [`${teamName}ComLevel`]: normalizeComLevel(teamYaml.comLevel) } : m));
+        }
         // If the YAML provides a teamName, set the display name for this team
         if (teamYaml.teamName) {
           if (teamName === 'team1') {
@@ -351,6 +445,9 @@ const MatchBuilder = () => {
       matchName: match.name,
       team1Name: match.team1Name,
       team2Name: match.team2Name,
+      team1ComLevel: normalizeComLevel(match.team1ComLevel),
+      team2ComLevel: normalizeComLevel(match.team2ComLevel),
+      ...matchMapToYamlFields(match.map, maps),
       team1: (match.team1 || []).map((char) => ({
         character: char.name || (characters.find(c => c.id === char.id)?.name || ""),
         costume: char.costume ? (costumes.find(c => c.id === char.costume)?.name || char.costume) : "",
@@ -418,6 +515,12 @@ const MatchBuilder = () => {
         if (matchYaml.team2Name) {
           setMatches((prev) => prev.map((m) => m.id === matchId ? { ...m, team2Name: matchYaml.team2Name } : m));
         }
+        setMatches((prev) => prev.map((m) => m.id === matchId ? {
+          ...m,
+          team1ComLevel: normalizeComLevel(matchYaml.team1ComLevel),
+          team2ComLevel: normalizeComLevel(matchYaml.team2ComLevel),
+          map: matchMapFromYaml(matchYaml, maps),
+        } : m));
         // Convert display names back to IDs for state
         // normalize capsule display name to strip cost suffixes like 'Name (1)'
         const normalizeCapsuleName = (s) => {
@@ -637,6 +740,9 @@ const MatchBuilder = () => {
         matchName: match.name,
         team1Name: match.team1Name,
         team2Name: match.team2Name,
+        team1ComLevel: normalizeComLevel(match.team1ComLevel),
+        team2ComLevel: normalizeComLevel(match.team2ComLevel),
+        ...matchMapToYamlFields(match.map, maps),
         team1: mapTeam(match.team1),
         team2: mapTeam(match.team2),
         ...(hasFusionSels ? { fusionSelections: fusionSelsYaml } : {}),
@@ -748,6 +854,9 @@ const MatchBuilder = () => {
           name: mData.matchName || `Match ${id}`,
           team1Name: mData.team1Name || 'Team 1',
           team2Name: mData.team2Name || 'Team 2',
+          team1ComLevel: normalizeComLevel(mData.team1ComLevel),
+          team2ComLevel: normalizeComLevel(mData.team2ComLevel),
+          map: matchMapFromYaml(mData, maps),
           team1: (mData.team1 || []).map(mapMember),
           team2: (mData.team2 || []).map(mapMember),
         };
@@ -772,9 +881,11 @@ const MatchBuilder = () => {
       setFusionAISelections(newFusionSels);
       setSuccess('Applied all-matches YAML.');
       setError('');
+      return true;
     } catch (e) {
       console.error('applyAllMatchesYaml error', e);
       setError('Failed to apply all-matches YAML: ' + e.message);
+      return false;
     }
   };
 
@@ -783,7 +894,10 @@ const MatchBuilder = () => {
   const [costumes, setCostumes] = useState([]);
   const [sparkingMusic, setSparkingMusic] = useState([]);
   const [aiItems, setAiItems] = useState([]);
+  const [maps, setMaps] = useState([]);
   const [transformations, setTransformations] = useState({});
+  // League teams from the shared registry: canonical names plus rosters for the team-roster-only rule
+  const [leagueTeams, setLeagueTeams] = useState(() => ({ registry: createTeamRegistry([]), rosters: {} }));
   const [matches, setMatches] = useState([]);
   // fusionAISelections: { [matchId]: { [fusionId]: constituentCharId | null } }
   const [fusionAISelections, setFusionAISelections] = useState({});
@@ -815,6 +929,37 @@ const MatchBuilder = () => {
   };
   const closeYamlPanel = () => setYamlPanelState(null);
 
+  // Session persistence — autosave to browser storage plus named save slots.
+  // Sessions reuse the all-matches YAML format so a slot is exactly what the YAML panel shows.
+  const [showSessionPanel, setShowSessionPanel] = useState(false);
+  // Autosave found on startup, waiting for the user to restore or discard it
+  const [recoverySession, setRecoverySession] = useState(null);
+  // Autosave stays off until the recovery check has run, so an empty startup state
+  // never overwrites the session we are about to offer back to the user.
+  const [autosaveReady, setAutosaveReady] = useState(false);
+  const [autosavedAt, setAutosavedAt] = useState(null);
+
+  const captureSession = () => ({
+    yaml: generateAllMatchesYaml(),
+    rulesetKey: activeRulesetKey,
+    matchCount: matches.length,
+  });
+
+  // Replace the builder state with a stored session; returns false if its YAML could not be applied
+  const restoreSession = (session, message) => {
+    if (!session || !applyAllMatchesYaml(session.yaml)) return false;
+    if (session.rulesetKey && rulesets?.rulesets?.[session.rulesetKey]) {
+      setActiveRulesetKey(session.rulesetKey);
+    }
+    setSuccess(message);
+    return true;
+  };
+
+  const loadSessionSlot = (slot) => {
+    if (matches.length > 0 && !window.confirm(`Replace the current matches with "${slot.name}"?`)) return;
+    if (restoreSession(slot, `Loaded session "${slot.name}".`)) setShowSessionPanel(false);
+  };
+
   // Show error for a duration, then fade it out before clearing
   const [errorFading, setErrorFading] = useState(false);
   useEffect(() => {
@@ -869,8 +1014,27 @@ const MatchBuilder = () => {
     loadCSVFiles();
     loadRulesets();
     loadTransformations();
+    loadLeagueTeams();
   }, []);
 
+  // Crash recovery: once reference data is loaded, offer back any autosaved matches
+  useEffect(() => {
+    if (loading || autosaveReady) return;
+    const saved = readAutosave();
+    if (saved && saved.matchCount > 0) setRecoverySession(saved);
+    setAutosaveReady(true);
+  }, [loading, autosaveReady]);
+
+  // Autosave shortly after the last change (paused while a recovery prompt is pending)
+  useEffect(() => {
+    if (!autosaveReady || recoverySession) return;
+    const t = setTimeout(() => {
+      if (writeAutosave(captureSession())) setAutosavedAt(new Date().toISOString());
+    }, AUTOSAVE_DELAY_MS);
+    return () => clearTimeout(t);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [matches, fusionAISelections, activeRulesetKey, autosaveReady, recoverySession]);
+
   // Focus trap and keyboard handling for the import modal
   useEffect(() => {
     if (!showImportModal) {
@@ -940,6 +1104,17 @@ const MatchBuilder = () => {
     }
   };
 
+  const loadLeagueTeams = async () => {
+    try {
+      const res = await fetch('teams.json');
+      if (!res.ok) return;
+      const data = await res.json();
+      setLeagueTeams({ registry: createTeamRegistry(data), rosters: rostersFromTeams(data) });
+    } catch (e) {
+      console.warn('Failed to load teams.json', e);
+    }
+  };
+
   // Fallback ruleset used when capsule-rules.yaml cannot be loaded or parsed.
   // This represents the "no rules" behavior the site had before rulesets existed.
   const FALLBACK_RULES = {
@@ -1022,7 +1197,7 @@ const MatchBuilder = () => {
 
   const loadCSVFiles = async () => {
     try {
-      await Promise.all([loadCharacters(), loadCapsules()]);
+      await Promise.all([loadCharacters(), loadCapsules(), loadMaps()]);
       setLoading(false);
     } catch (err) {
       setError("Error loading CSV files. Please upload them manually.");
@@ -1063,6 +1238,25 @@ const MatchBuilder = () => {
     }
   };
 
+  const loadMaps = async () => {
+    try {
+      const response = await fetch("maps.csv");
+      if (!response.ok) return;
+      const text = await response.text();
+      const list = [];
+      const lines = text.split("\n");
+      for (let i = 1; i < lines.length; i++) {
+        const line = lines[i].trim();
+        if (!line) continue;
+        const [name, id] = line.split(",").map((s) => s.replace(/"/g, "").trim());
+        if (name && id && !list.some((m) => m.id === id)) list.push({ name, id });
+      }
+      setMaps(list);
+    } catch (err) {
+      console.error("Failed to load maps:", err);
+    }
+  };
+
   const loadCapsules = async () => {
     try {
       const response = await fetch("capsules.csv");
@@ -1193,6 +1387,9 @@ const MatchBuilder = () => {
       team2: [],
       team1Name: "Team 1",
       team2Name: "Team 2",
+      team1ComLevel: DEFAULT_COM_LEVEL,
+      team2ComLevel: DEFAULT_COM_LEVEL,
+      map: { ...DEFAULT_MATCH_MAP },
     };
     setMatches([...matches, newMatch]);
     setMatchCounter(matchCounter + 1);
@@ -1207,6 +1404,9 @@ const MatchBuilder = () => {
       name: `${original.name} (Copy)`,
       team1Name: original.team1Name,
       team2Name: original.team2Name,
+      team1ComLevel: original.team1ComLevel,
+      team2ComLevel: original.team2ComLevel,
+      map: { ...DEFAULT_MATCH_MAP, ...original.map, ids: [...(original.map?.ids || [])] },
       team1: original.team1.map((char) => ({
         ...char,
         capsules: [...char.capsules],
@@ -1363,6 +1563,16 @@ const MatchBuilder = () => {
     setMatches((prev) => prev.map((m) => (m.id === matchId ? { ...m, name: newName } : m)));
   };
 
+  // teamKey expected to be 'team1' or 'team2'
+  const updateTeamComLevel = (matchId, teamKey, level) => {
+    setMatches((prev) => prev.map((m) => (m.id === matchId ? { ...m, [`${teamKey}ComLevel`]: normalizeComLevel(level) } : m)));
+  };
+
+  const updateMatchMap = (matchId, map) => {
+    // Stored as edited (a fixed/random mode may briefly have no maps picked); exports normalize it
+    setMatches((prev) => prev.map((m) => (m.id === matchId ? { ...m, map } : m)));
+  };
+
   // Allow renaming a team's display name (team1Name / team2Name)
   const updateTeamDisplayName = (matchId, teamKey, newName) => {
     // teamKey expected to be 'team1' or 'team2'
@@ -1396,7 +1606,7 @@ const MatchBuilder = () => {
               .map((_, i) => ({
                 key: match.team1[i]?.id || "None",
               })),
-            comLevel: "Extreme",
+            comLevel: normalizeComLevel(match.team1ComLevel),
           },
           com2: {
             teamMembers: Array(5)
@@ -1404,7 +1614,7 @@ const MatchBuilder = () => {
               .map((_, i) => ({
                 key: match.team2[i]?.id || "None",
               })),
-            comLevel: "Extreme",
+            comLevel: normalizeComLevel(match.team2ComLevel),
           },
           player: {
             teamMembers: Array(5)
@@ -1420,6 +1630,8 @@ const MatchBuilder = () => {
           },
         },
       };
+      const stage = matchMapToStage(match.map);
+      if (stage) setup.matchCount[index + 1].stage = stage;
     });
 
     return setup;
@@ -1575,6 +1787,9 @@ const MatchBuilder = () => {
         team2,
         team1Name: "Team 1",
         team2Name: "Team 2",
+        team1ComLevel: normalizeComLevel(matchData.targetTeaming.com1.comLevel),
+        team2ComLevel: normalizeComLevel(matchData.targetTeaming.com2.comLevel),
+        map: stageToMatchMap(matchData.stage),
       };
     });
     // Fill in items from itemSetup
@@ -1745,6 +1960,39 @@ const MatchBuilder = () => {
           </div>
         )}
 
+        {recoverySession && (
+          <div className="bg-slate-800 border-2 border-orange-400 text-white px-4 py-3 rounded-xl mb-4 shadow-lg flex flex-col sm:flex-row sm:items-center justify-between gap-3">
+            <div className="font-semibold">
+              Unsaved session found: {recoverySession.matchCount} {recoverySession.matchCount === 1 ? 'match' : 'matches'}
+              {recoverySession.savedAt ? ` from ${new Date(recoverySession.savedAt).toLocaleString()}` : ''}. Restore it?
+            </div>
+            <div className="flex gap-2">
+              <button
+                onClick={() => {
+                  // Keep the prompt (and autosave paused) if the restore fails, so the saved copy survives
+                  if (restoreSession(recoverySession, 'Restored autosaved session.')) {
+                    setRecoverySession(null);
+                  } else {
+                    setError('Could not restore the autosaved session. Autosave stays paused until you restore or discard it.');
+                  }
+                }}
+                className="px-4 py-2 rounded-lg bg-emerald-600 hover:bg-emerald-500 text-white text-sm font-bold border border-emerald-500"
+              >
+                Restore
+              </button>
+              <button
+                onClick={() => {
+                  clearAutosave();
+                  setRecoverySession(null);
+                }}
+                className="px-4 py-2 rounded-lg bg-slate-700 hover:bg-slate-600 text-white text-sm font-semibold border border-slate-500"
+              >
+                Discard
+              </button>
+            </div>
+          </div>
+        )}
+
         <div className="flex flex-wrap justify-center gap-3 mb-6">
           <button
             onClick={addMatch}
@@ -1780,6 +2028,15 @@ const MatchBuilder = () => {
               <span className="hidden sm:inline">YAML</span>
             </span>
           </button>
+          <button
+            onClick={() => setShowSessionPanel(true)}
+            className="bg-gradient-to-r from-indigo-600 to-indigo-700 text-white px-6 py-3 rounded-xl font-bold text-sm shadow-lg hover:shadow-xl transform hover:scale-105 transition-all border border-indigo-500"
+          >
+            <span className="flex items-center">
+              <FolderOpen className="mr-2" size={18} />
+              <span className="hidden sm:inline">SESSIONS</span>
+            </span>
+          </button>
           <button
             onClick={clearAllMatches}
             className="bg-gradient-to-r from-red-600 to-red-700 text-white px-6 py-3 rounded-xl font-bold text-sm shadow-lg hover:shadow-xl transform hover:scale-105 transition-all border border-red-500"
@@ -1956,6 +2213,7 @@ const MatchBuilder = () => {
               rulesets={rulesets || null}
               activeRulesetKey={activeRulesetKey}
               transformations={transformations}
+              leagueTeams={leagueTeams}
               fusionAISelections={fusionAISelections[match.id] || {}}
               onUpdateFusionAI={(teamName, fusionId, constituentCharId) => updateFusionAI(match.id, teamName, fusionId, constituentCharId)}
               onDuplicate={() => duplicateMatch(match.id)}
@@ -1984,6 +2242,9 @@ const MatchBuilder = () => {
               exportSingleTeam={exportSingleTeam}
               importSingleTeam={importSingleTeam}
               onRenameMatch={(newName) => updateMatchName(match.id, newName)}
+              maps={maps}
+              onUpdateMap={(map) => updateMatchMap(match.id, map)}
+              onUpdateComLevel={(teamKey, level) => updateTeamComLevel(match.id, teamKey, level)}
               onRenameTeam1={(newName) => updateTeamDisplayName(match.id, 'team1', newName)}
               onRenameTeam2={(newName) => updateTeamDisplayName(match.id, 'team2', newName)}
               openYamlPanel={openYamlPanel}
@@ -2019,6 +2280,9 @@ const MatchBuilder = () => {
                   matchName: match.name,
                   team1Name: match.team1Name,
                   team2Name: match.team2Name,
+                  team1ComLevel: normalizeComLevel(match.team1ComLevel),
+                  team2ComLevel: normalizeComLevel(match.team2ComLevel),
+                  ...matchMapToYamlFields(match.map, maps),
                   team1: mapTeam(match.team1),
                   team2: mapTeam(match.team2),
                   ...(hasFusionSels ? { fusionSelections: fusionSelsYaml } : {}),
@@ -2050,6 +2314,9 @@ const MatchBuilder = () => {
                       name: matchYaml.matchName || m.name,
                       team1Name: matchYaml.team1Name || m.team1Name,
                       team2Name: matchYaml.team2Name || m.team2Name,
+                      team1ComLevel: normalizeComLevel(matchYaml.team1ComLevel),
+                      team2ComLevel: normalizeComLevel(matchYaml.team2ComLevel),
+                      map: matchMapFromYaml(matchYaml, maps),
                       team1: (matchYaml.team1 || []).map(mapMember),
                       team2: (matchYaml.team2 || []).map(mapMember),
                     };
@@ -2077,6 +2344,7 @@ const MatchBuilder = () => {
                 const teamYaml = {
                   matchName: match.name,
                   teamName: teamDisplayName,
+                  comLevel: normalizeComLevel(match[`${teamKey}ComLevel`]),
                   members: team.map((char) => ({
                     character: char.name || (characters.find(c => c.id === char.id)?.name || ''),
                     costume: char.costume ? (costumes.find(c => c.id === char.costume)?.name || char.costume) : '',
@@ -2125,6 +2393,7 @@ const MatchBuilder = () => {
                     const updated = { ...m, [teamKey]: newTeam };
                     if (teamYaml.matchName) updated.name = teamYaml.matchName;
                     if (teamYaml.teamName) updated[teamKey === 'team1' ? 'team1Name' : 'team2Name'] = teamYaml.teamName;
+                    if (teamYaml.comLevel) updated[`${teamKey}ComLevel`] = normalizeComLevel(teamYaml.comLevel);
                     return updated;
                   }));
                   if (teamYaml.fusionSelections && typeof teamYaml.fusionSelections === 'object') {
@@ -2156,6 +2425,14 @@ const MatchBuilder = () => {
             onClose={closeYamlPanel}
           />
         )}
+        {showSessionPanel && (
+          <SessionPanel
+            captureSession={captureSession}
+            onLoad={loadSessionSlot}
+            autosavedAt={autosavedAt}
+            onClose={() => setShowSessionPanel(false)}
+          />
+        )}
       </div>
     </div>
   );
@@ -2512,6 +2789,7 @@ const MatchCard = ({
   rulesets,
   activeRulesetKey,
   transformations,
+  leagueTeams,
   fusionAISelections,
   onUpdateFusionAI,
   onDuplicate,
@@ -2528,6 +2806,9 @@ const MatchCard = ({
   exportSingleTeam,
   importSingleTeam,
   onRenameMatch,
+  maps,
+  onUpdateMap,
+  onUpdateComLevel,
   onRenameTeam1,
   onRenameTeam2,
   openYamlPanel,
@@ -2558,6 +2839,23 @@ const MatchCard = ({
             className="text-2xl font-bold text-transparent bg-clip-text bg-gradient-to-r from-orange-300 to-orange-400 bg-transparent border-b-2 border-transparent hover:border-orange-400 focus:border-orange-400 outline-none px-2 py-1 rounded transition-all"
             style={{ caretColor: '#fb923c' }}
           />
+          <div className="flex flex-wrap items-center gap-2">
+            {[['team1', match.team1Name], ['team2', match.team2Name]].map(([teamKey, label]) => (
+              <label key={teamKey} className="flex items-center gap-1 text-xs text-slate-300">
+                <span className="font-semibold uppercase tracking-wide truncate max-w-[8rem]" title={`${label} COM difficulty`}>{label}</span>
+                <select
+                  className="bg-slate-800 text-white px-2 py-1 rounded-lg border border-slate-600 text-xs"
+                  value={normalizeComLevel(match[`${teamKey}ComLevel`])}
+                  onChange={(e) => typeof onUpdateComLevel === 'function' && onUpdateComLevel(teamKey, e.target.value)}
+                  aria-label={`${label} COM difficulty`}
+                >
+                  {COM_LEVELS.map((level) => (
+                    <option key={level} value={level}>{level}</option>
+                  ))}
+                </select>
+              </label>
+            ))}
+          </div>
         </div>
   <div className="flex flex-wrap gap-2 mt-3 md:mt-0">
           <button
@@ -2611,6 +2909,11 @@ const MatchCard = ({
           </button>
         </div>
       </div>
+      <MapPicker
+        map={match.map}
+        maps={maps || []}
+        onChange={(map) => typeof onUpdateMap === 'function' && onUpdateMap(map)}
+      />
       {!collapsed && (
         <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
             <TeamPanel
@@ -2625,6 +2928,7 @@ const MatchCard = ({
             rulesets={rulesets || null}
             activeRulesetKey={activeRulesetKey}
             transformations={transformations}
+            leagueTeams={leagueTeams}
             fusionAISelections={fusionAISelections}
             onUpdateFusionAI={(fusionId, constituentCharId) => onUpdateFusionAI("team1", fusionId, constituentCharId)}
             onAddCharacter={() => onAddCharacter("team1")}
@@ -2660,6 +2964,7 @@ const MatchCard = ({
             rulesets={rulesets || null}
             activeRulesetKey={activeRulesetKey}
             transformations={transformations}
+            leagueTeams={leagueTeams}
             fusionAISelections={fusionAISelections}
             onUpdateFusionAI={(fusionId, constituentCharId) => onUpdateFusionAI("team2", fusionId, constituentCharId)}
             onAddCharacter={() => onAddCharacter("team2")}
@@ -2689,6 +2994,72 @@ const MatchCard = ({
   );
 }
 
+// Stage selector shown under the match header: any map, one fixed map, or a random pool
+const MapPicker = ({ map, maps, onChange }) => {
+  const mode = map?.mode || 'any';
+  const ids = Array.isArray(map?.ids) ? map.ids : [];
+  const nameOf = (id) => maps.find((m) => m.id === id)?.name || id;
+  const poolCandidates = maps.filter((m) => !ids.includes(m.id));
+
+  return (
+    <div className="flex flex-wrap items-center gap-2 mb-4 text-sm">
+      <span className="text-xs font-semibold text-emerald-300 uppercase tracking-wide">Map</span>
+      <select
+        className="bg-slate-800 text-white px-2 py-1 rounded-lg border border-slate-600 text-xs"
+        value={mode}
+        onChange={(e) => {
+          const nextMode = e.target.value;
+          // keep the first picked map when narrowing a pool down to a fixed stage
+          onChange({ mode: nextMode, ids: nextMode === 'any' ? [] : (nextMode === 'fixed' ? ids.slice(0, 1) : ids) });
+        }}
+        aria-label="Map selection mode"
+      >
+        <option value="any">Any</option>
+        <option value="fixed">Fixed</option>
+        <option value="random">Random from pool</option>
+      </select>
+      {mode === 'fixed' && (
+        <div className="w-64">
+          <Combobox
+            valueId={ids[0] || ''}
+            items={maps}
+            getName={(m) => m.name}
+            placeholder="Type or select map"
+            onSelect={(id) => onChange({ mode: 'fixed', ids: id ? [id] : [] })}
+            showTooltip={false}
+          />
+        </div>
+      )}
+      {mode === 'random' && (
+        <>
+          {ids.map((id) => (
+            <span key={id} className="inline-flex items-center gap-1 bg-slate-700 border border-emerald-500/50 text-slate-100 text-xs px-2 py-1 rounded-full">
+              {nameOf(id)}
+              <button
+                onClick={() => onChange({ mode: 'random', ids: ids.filter((x) => x !== id) })}
+                className="text-slate-300 hover:text-red-400"
+                aria-label={`Remove ${nameOf(id)} from map pool`}
+              >
+                <X size={12} />
+              </button>
+            </span>
+          ))}
+          <div className="w-56">
+            <Combobox
+              valueId=""
+              items={poolCandidates}
+              getName={(m) => m.name}
+              placeholder="Add map to pool"
+              onSelect={(id) => { if (id) onChange({ mode: 'random', ids: [...ids, id] }); }}
+              showTooltip={false}
+            />
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
 const TeamPanel = ({
   displayName,
   team,
@@ -2700,6 +3071,7 @@ const TeamPanel = ({
   rulesets,
   activeRulesetKey,
   transformations,
+  leagueTeams,
   fusionAISelections,
   onUpdateFusionAI,
   onAddCharacter,
@@ -2724,6 +3096,15 @@ const TeamPanel = ({
     console.warn("TeamPanel: exportSingleTeam prop is not a function!", exportSingleTeam);
   }
   const [collapsed, setCollapsed] = React.useState(false);
+  // Character rules (bans, forms, rosters) depend on which league team this is
+  const ruleset = React.useMemo(() => resolveRuleset(rulesets, activeRulesetKey), [rulesets, activeRulesetKey]);
+  const ruleContext = React.useMemo(() => ({
+    transformations,
+    characterNames: new Map((characters || []).map((c) => [c.id, c.name])),
+    rosters: leagueTeams.rosters,
+    // Free-text team names like "The Z-Fighters" still pick up that team's rules
+    teamName: leagueTeams.registry.canonicalName(displayName),
+  }), [transformations, characters, leagueTeams, displayName]);
   const colorClasses = teamColor === "blue"
     ? "from-slate-800 to-slate-700 border-slate-600"
     : "from-slate-800 to-slate-700 border-slate-600";
@@ -2811,6 +3192,7 @@ const TeamPanel = ({
                 );
                 return !selectedInOtherSlots;
               });
+              const allowedCharacters = getAllowedCharacters(availableCharacters, { ruleset, context: ruleContext, current: char.id });
               
               return (
                 <CharacterSlot
@@ -2821,13 +3203,14 @@ const TeamPanel = ({
                   matchName={matchName}
                   character={char}
                   team={team}
-                  characters={availableCharacters}
+                  characters={allowedCharacters}
                   capsules={capsules}
                   costumes={costumes}
                   sparkingMusic={sparkingMusic}
                   aiItems={aiItems}
                   rulesets={rulesets}
                   activeRulesetKey={activeRulesetKey}
+                  ruleContext={ruleContext}
                   transformations={transformations}
                   onRemove={() => onRemoveCharacter(index)}
                   onUpdate={(field, value) => onUpdateCharacter(index, field, value)}
@@ -2927,6 +3310,7 @@ const CharacterSlot = ({
   aiItems,
   rulesets,
   activeRulesetKey,
+  ruleContext,
   transformations,
   onRemove,
   onUpdate,
@@ -2949,104 +3333,20 @@ const CharacterSlot = ({
   })();
   const fileInputRef = React.useRef(null);
 
-  // compute rule violations for soft mode
-  const computeViolations = () => {
-    const violations = [];
-    const ruleset = rulesets?.rulesets?.[activeRulesetKey];
-    if (!ruleset) return violations;
-    const costMap = Object.fromEntries((capsules||[]).map(c => [c.id, Number(c.cost || 0)]));
-    const used = (character.capsules||[]).filter(Boolean);
-    
-    // Check violations in both soft and hard mode (warnings can still appear in hard mode if violations occur)
-    if (ruleset.scope === 'per-character' && ruleset.totalCost) {
-      const sum = used.reduce((s, id) => s + (costMap[id] || 0), 0);
-      if (sum > (ruleset.totalCost || 0)) {
-        violations.push({ type: 'cost', message: `Character exceeds point limit (${sum} > ${ruleset.totalCost})`, over: sum - (ruleset.totalCost || 0) });
-      }
-    }
-    
-    const uniqueTeam = (ruleset?.restrictions || []).some(r => r.type === 'unique-per-team' && r.params?.enabled);
-    if (uniqueTeam) {
-      const teamUsed = (team || []).flatMap(ch => ch.capsules || []).filter(Boolean);
-      // duplicates in team
-      const dupSet = used.filter(id => teamUsed.filter(x => x === id).length > 1);
-      if (dupSet.length > 0) violations.push({ type: 'duplicate-team', message: 'Duplicate capsule(s) used within the same team' });
-    }
-    
-    // Rule 1: max-same-per-team (check in both soft and hard mode)
-    const maxSamePerTeam = (ruleset?.restrictions || []).find(r => r.type === 'max-same-per-team');
-    if (maxSamePerTeam) {
-      const teamUsed = (team || []).flatMap(ch => ch.capsules || []).filter(Boolean);
-      const maxCount = maxSamePerTeam.params?.maxCount || 2;
-      const counts = {};
-      teamUsed.forEach(id => counts[id] = (counts[id] || 0) + 1);
-      const violations_found = Object.entries(counts).filter(([id, count]) => count > maxCount);
-      violations_found.forEach(([id, count]) => {
-        const cap = capsules.find(c => c.id === id);
-        const capsuleName = cap ? (cap['Item Names'] || cap.name || cap.id) : id;
-        violations.push({ 
-          type: 'max-same-per-team', 
-          message: `Team has more than ${maxCount} of the same capsule: ${capsuleName}` 
-        });
-      });
-    }
-    
-    // Rule 2: max-cost-group-per-character (check in both soft and hard mode)
-    const maxCostGroup = (ruleset?.restrictions || []).find(r => r.type === 'max-cost-group-per-character');
-    if (maxCostGroup) {
-      const groupIds = maxCostGroup.params?.groupIds || [];
-      const maxCost = maxCostGroup.params?.maxCost || 6;
-      const groupCapsules = used.filter(id => groupIds.includes(id));
-      const groupCostSum = groupCapsules.reduce((s, id) => s + (costMap[id] || 0), 0);
-      if (groupCostSum > maxCost) {
-        violations.push({ 
-          type: 'max-cost-group', 
-          message: `Attack boost capsules exceed ${maxCost} point limit (currently at ${groupCostSum})` 
-        });
-      }
-    }
-    
-    // Rule 3: mutually-exclusive-team (check in both soft and hard mode)
-    const mutuallyExclusive = (ruleset?.restrictions || []).find(r => r.type === 'mutually-exclusive-team');
-    if (mutuallyExclusive) {
-      const teamUsed = (team || []).flatMap(ch => ch.capsules || []).filter(Boolean);
-      const groups = mutuallyExclusive.params?.groups || [];
-      
-      // Check if multiple groups are used
-      const usedGroups = groups.map((group, idx) => {
-        const count = teamUsed.filter(id => group.ids.includes(id)).length;
-        return { groupIdx: idx, count, ids: group.ids, maxCount: group.maxCount };
-      }).filter(g => g.count > 0);
-      
-      if (usedGroups.length > 1) {
-        const capsuleNames = usedGroups.map(g => {
-          // Find an actual capsule ID that's being used from this group
-          const usedCapsuleId = teamUsed.find(id => g.ids.includes(id));
-          const cap = capsules.find(c => c.id === usedCapsuleId);
-          return cap ? (cap['Item Names'] || cap.name || cap.id) : (usedCapsuleId || g.ids[0]);
-        }).join(' and ');
-        violations.push({ 
-          type: 'mutually-exclusive', 
-          message: `Cannot use both ${capsuleNames} on the same team` 
-        });
-      }
-      
-      // Check individual group count limits
-      usedGroups.forEach(g => {
-        if (g.count > g.maxCount) {
-          const usedCapsuleId = teamUsed.find(id => g.ids.includes(id));
-          const cap = capsules.find(c => c.id === usedCapsuleId);
-          const name = cap ? (cap['Item Names'] || cap.name || cap.id) : (usedCapsuleId || g.ids[0]);
-          violations.push({ 
-            type: 'mutually-exclusive-count', 
-            message: `Team has more than ${g.maxCount} ${name} capsule(s) (currently has ${g.count})` 
-          });
-        }
-      });
-    }
-    return violations;
-  };
-  const violations = computeViolations();
+  // Rule checks come from the shared rules engine; team-scope violations are shown
+  // on every character whose capsules are involved.
+  const ruleset = React.useMemo(() => resolveRuleset(rulesets, activeRulesetKey), [rulesets, activeRulesetKey]);
+  const capsuleCatalog = React.useMemo(() => createCapsuleCatalog(capsules), [capsules]);
+  const violations = React.useMemo(() => {
+    if (!ruleset) return [];
+    return violationsForCharacter(validateTeam(team || [], ruleset, capsuleCatalog, ruleContext), index, character);
+  }, [ruleset, capsuleCatalog, team, index, character, ruleContext]);
+  const capsuleOptions = React.useMemo(
+    () => (character.capsules || []).map((_, i) =>
+      getAllowedCapsules(capsules, { ruleset, team: team || [], characterIndex: index, slotIndex: i, catalog: capsuleCatalog, context: ruleContext })
+    ),
+    [capsules, ruleset, team, index, character, capsuleCatalog, ruleContext]
+  );
 
   return (
   <div className="bg-gradient-to-br from-slate-700 to-slate-600 rounded-lg p-3 shadow-md hover:shadow-lg transition-all duration-300 border border-slate-500 flex flex-col relative z-10">
@@ -3112,10 +3412,10 @@ const CharacterSlot = ({
       {!collapsed && (
         <div className="space-y-2 mt-3">
           {violations.length > 0 && (
-            <div className={`px-3 py-2 rounded mb-2 font-semibold ${violations.some(v=>v.type==='cost') ? 'bg-red-800 text-white' : 'bg-yellow-600 text-slate-900'}`}>
+            <div className={`px-3 py-2 rounded mb-2 font-semibold ${violations.some(v=>v.type===TOTAL_COST) ? 'bg-red-800 text-white' : 'bg-yellow-600 text-slate-900'}`}>
               {violations.map((v, idx) => (
                 <div key={idx}>
-                  ⚠️ {v.type === 'cost' ? `Points over limit: ${v.over}` : v.message}
+                  ⚠️ {v.type === TOTAL_COST ? `Points over limit: ${v.over}` : v.message}
                 </div>
               ))}
             </div>
@@ -3125,12 +3425,9 @@ const CharacterSlot = ({
             <span className="text-xs text-slate-300 font-medium">
               {(() => {
                 try {
-                  const ruleset = rulesets?.rulesets?.[activeRulesetKey];
                   if (!ruleset) return '';
                   if (ruleset.scope !== 'per-character') return '';
-                  const costMap = Object.fromEntries((capsules||[]).map(c => [c.id, Number(c.Cost || c.cost || 0)]));
-                  const used = (character.capsules||[]).filter(Boolean);
-                  const sumUsed = used.reduce((s, id) => s + (costMap[id] || 0), 0);
+                  const sumUsed = characterCost(character, capsuleCatalog);
                   const total = ruleset.totalCost || 0;
                   const over = sumUsed - total;
                   const cls = over > 0 ? 'text-red-400 font-bold' : 'text-slate-300';
@@ -3140,105 +3437,12 @@ const CharacterSlot = ({
             </span>
           </label>
           {(() => {
-            const ruleset = rulesets?.rulesets?.[activeRulesetKey];
-            const usedCapsuleIds = (character.capsules || []).filter(Boolean);
-            // teamUsed includes capsules used by other characters in same team
-            const teamUsed = (team || []).flatMap(ch => ch.capsules || []).filter(Boolean);
-            const costMap = Object.fromEntries((capsules||[]).map(c => [c.id, Number(c.Cost || c.cost || 0)]));
+            const sumUsed = characterCost(character, capsuleCatalog);
 
             return character.capsules.map((capsuleId, i) => {
-              let available = (capsules || []);
-              // banned ids
-              const banned = (ruleset?.restrictions || []).find(r => r.type === 'banned-ids')?.params?.ids || [];
-              available = available.filter(c => c && !banned.includes(c.id));
-
-              // unique-per-character
-              const uniqueChar = (ruleset?.restrictions || []).some(r => r.type === 'unique-per-character' && r.params?.enabled);
-              if (uniqueChar) {
-                available = available.filter(c => c && (c.id === capsuleId || !usedCapsuleIds.includes(c.id)));
-              }
+              const available = capsuleOptions[i] || [];
 
-              // unique-per-team
-              const uniqueTeam = (ruleset?.restrictions || []).some(r => r.type === 'unique-per-team' && r.params?.enabled);
-              if (uniqueTeam) {
-                available = available.filter(c => c && (c.id === capsuleId || !teamUsed.includes(c.id)));
-              }
-
-              // totalCost (hard, per-character)
-              if (ruleset?.mode === 'hard' && ruleset?.scope === 'per-character') {
-                const usedOther = usedCapsuleIds.filter((id, idx) => idx !== i);
-                const sumUsedOther = usedOther.reduce((s, id) => s + (costMap[id] || 0), 0);
-                available = available.filter(c => c && (c.id === capsuleId || (sumUsedOther + (costMap[c.id] || 0)) <= (ruleset.totalCost || 0)));
-              }
-
-              // Rule 1: max-same-per-team (hard mode only)
-              const maxSamePerTeam = (ruleset?.restrictions || []).find(r => r.type === 'max-same-per-team');
-              if (maxSamePerTeam && ruleset?.mode === 'hard') {
-                const maxCount = maxSamePerTeam.params?.maxCount || 2;
-                // Count how many times each capsule is used in the team (excluding this slot)
-                const teamUsedWithoutCurrent = teamUsed.filter((id, idx) => {
-                  // We need to exclude the current character's current slot
-                  const currentCharCapsules = character.capsules.filter(Boolean);
-                  const isCurrentSlot = teamUsed[idx] === capsuleId && currentCharCapsules.indexOf(capsuleId) === i;
-                  return !isCurrentSlot;
-                });
-                available = available.filter(c => {
-                  if (c.id === capsuleId) return true; // Always allow current selection
-                  const count = teamUsedWithoutCurrent.filter(id => id === c.id).length;
-                  return count < maxCount;
-                });
-              }
-
-              // Rule 2: max-cost-group-per-character (hard mode only)
-              const maxCostGroup = (ruleset?.restrictions || []).find(r => r.type === 'max-cost-group-per-character');
-              if (maxCostGroup && ruleset?.mode === 'hard') {
-                const groupIds = maxCostGroup.params?.groupIds || [];
-                const maxCost = maxCostGroup.params?.maxCost || 6;
-                // Calculate current group cost excluding this slot
-                const usedOther = usedCapsuleIds.filter((id, idx) => idx !== i);
-                const groupCostUsed = usedOther.filter(id => groupIds.includes(id)).reduce((s, id) => s + (costMap[id] || 0), 0);
-                available = available.filter(c => {
-                  if (c.id === capsuleId) return true; // Always allow current selection
-                  if (!groupIds.includes(c.id)) return true; // Not in the group, allow it
-                  const newCost = groupCostUsed + (costMap[c.id] || 0);
-                  return newCost <= maxCost;
-                });
-              }
-
-              // Rule 3: mutually-exclusive-team (hard mode only)
-              const mutuallyExclusive = (ruleset?.restrictions || []).find(r => r.type === 'mutually-exclusive-team');
-              if (mutuallyExclusive && ruleset?.mode === 'hard') {
-                const groups = mutuallyExclusive.params?.groups || [];
-                // Check which groups are currently in use by the team
-                const usedGroups = groups.map((group, idx) => {
-                  const count = teamUsed.filter(id => group.ids.includes(id)).length;
-                  return { groupIdx: idx, count, ids: group.ids, maxCount: group.maxCount };
-                });
-                
-                available = available.filter(c => {
-                  if (c.id === capsuleId) return true; // Always allow current selection
-                  
-                  // Find which group this capsule belongs to
-                  const capsuleGroupIdx = groups.findIndex(g => g.ids.includes(c.id));
-                  if (capsuleGroupIdx === -1) return true; // Not in any group
-                  
-                  const capsuleGroup = groups[capsuleGroupIdx];
-                  
-                  // Check if any other mutually exclusive group is in use
-                  const otherGroupsInUse = usedGroups.filter((g, idx) => idx !== capsuleGroupIdx && g.count > 0);
-                  if (otherGroupsInUse.length > 0) return false; // Can't add from this group
-                  
-                  // Check if adding this would exceed the group's max count
-                  const currentGroupUsage = usedGroups[capsuleGroupIdx];
-                  // Don't count the current slot if it already has this capsule
-                  const effectiveCount = capsuleId && capsuleGroup.ids.includes(capsuleId) 
-                    ? currentGroupUsage.count - 1 
-                    : currentGroupUsage.count;
-                  return effectiveCount < capsuleGroup.maxCount;
-                });
-              }
-
-                return (
+              return (
                 <div key={i} className="mb-1 flex items-center gap-2">
                   <div
                     className="flex-1"
@@ -3262,8 +3466,6 @@ const CharacterSlot = ({
                       renderItemRight={(it) => {
                         const cost = Number(it.cost || it.Cost || 0);
                         // compute per-character overage
-                        const used = (character.capsules||[]).filter(Boolean);
-                        const sumUsed = used.reduce((s, id) => s + (costMap[id] || 0), 0);
                         const total = (ruleset && ruleset.totalCost) ? ruleset.totalCost : 0;
                         const over = sumUsed - total;
                         const EXPENSIVE_THRESHOLD = 10; // adjust as desired
@@ -3284,8 +3486,6 @@ const CharacterSlot = ({
                       }}
                       renderValueRight={(it) => {
                         const cost = Number(it.cost || it.Cost || 0);
-                        const used = (character.capsules||[]).filter(Boolean);
-                        const sumUsed = used.reduce((s, id) => s + (costMap[id] || 0), 0);
                         const total = (ruleset && ruleset.totalCost) ? ruleset.totalCost : 0;
                         const over = sumUsed - total;
                         const EXPENSIVE_THRESHOLD = 10;
@@ -0,0 +1,202 @@
+import React, { useState, useEffect } from "react";
+import { createPortal } from "react-dom";
+import { X, Save, FolderOpen, Pencil, Copy, Trash2, Check } from "lucide-react";
+import {
+  listSessionSlots,
+  saveSessionSlot,
+  renameSessionSlot,
+  deleteSessionSlot,
+  duplicateSessionSlot,
+} from "./sessionStore";
+
+const formatTimestamp = (iso) => {
+  if (!iso) return "";
+  const d = new Date(iso);
+  return isNaN(d.getTime()) ? "" : d.toLocaleString();
+};
+
+/**
+ * SessionPanel — modal for managing named save slots in browser storage.
+ *
+ * Props:
+ *   captureSession {function} — returns { yaml, rulesetKey, matchCount } for the current builder state
+ *   onLoad         {function} — called with a slot record when the user loads it
+ *   autosavedAt    {string}   — ISO timestamp of the last autosave, shown in the footer
+ *   onClose        {function} — called when the panel is dismissed
+ */
+export function SessionPanel({ captureSession, onLoad, autosavedAt, onClose }) {
+  const [slots, setSlots] = useState(() => listSessionSlots());
+  const [newName, setNewName] = useState("");
+  const [editingId, setEditingId] = useState(null);
+  const [editingName, setEditingName] = useState("");
+  const [storageError, setStorageError] = useState("");
+
+  const refresh = () => setSlots(listSessionSlots());
+
+  // Escape key closes panel (unless a rename is in progress)
+  useEffect(() => {
+    const handler = (e) => {
+      if (e.key === "Escape" && !editingId) {
+        e.preventDefault();
+        onClose();
+      }
+    };
+    document.addEventListener("keydown", handler);
+    return () => document.removeEventListener("keydown", handler);
+  }, [onClose, editingId]);
+
+  const handleSaveNew = () => {
+    const saved = saveSessionSlot({ name: newName, ...captureSession() });
+    if (!saved) { setStorageError("Could not write to browser storage (full or disabled)."); return; }
+    setStorageError("");
+    setNewName("");
+    refresh();
+  };
+
+  const handleOverwrite = (slot) => {
+    if (!window.confirm(`Overwrite "${slot.name}" with the current matches?`)) return;
+    const saved = saveSessionSlot({ id: slot.id, name: slot.name, ...captureSession() });
+    if (!saved) { setStorageError("Could not write to browser storage (full or disabled)."); return; }
+    setStorageError("");
+    refresh();
+  };
+
+  const commitRename = () => {
+    if (editingId) renameSessionSlot(editingId, editingName);
+    setEditingId(null);
+    setEditingName("");
+    refresh();
+  };
+
+  const handleDelete = (slot) => {
+    if (!window.confirm(`Delete saved session "${slot.name}"?`)) return;
+    deleteSessionSlot(slot.id);
+    refresh();
+  };
+
+  const handleDuplicate = (slot) => {
+    if (!duplicateSessionSlot(slot.id)) setStorageError("Could not write to browser storage (full or disabled).");
+    refresh();
+  };
+
+  return createPortal(
+    <div className="fixed inset-0 z-[9999] flex items-center justify-center px-4">
+      {/* backdrop */}
+      <div className="absolute inset-0 bg-black/60" onClick={onClose} aria-hidden="true" />
+      {/* panel */}
+      <div
+        role="dialog"
+        aria-modal="true"
+        aria-label="Saved sessions"
+        className="relative z-10 w-full max-w-2xl bg-slate-900 border-2 border-orange-400/60 rounded-2xl shadow-2xl flex flex-col overflow-hidden"
+        style={{ maxHeight: "90vh" }}
+      >
+        {/* header */}
+        <div className="flex items-center justify-between px-5 py-3 bg-slate-800 border-b border-slate-700">
+          <div className="flex items-center gap-2">
+            <FolderOpen size={18} className="text-orange-400" />
+            <span className="text-white font-bold text-sm uppercase tracking-wider">Saved Sessions</span>
+          </div>
+          <button
+            onClick={onClose}
+            className="p-1.5 rounded-lg bg-slate-700 hover:bg-red-600 text-slate-300 hover:text-white border border-slate-500 transition-all"
+            aria-label="Close sessions panel"
+          >
+            <X size={16} />
+          </button>
+        </div>
+
+        {/* save current */}
+        <div className="flex gap-2 px-5 py-3 border-b border-slate-700">
+          <input
+            type="text"
+            value={newName}
+            onChange={(e) => setNewName(e.target.value)}
+            onKeyDown={(e) => { if (e.key === "Enter") { e.preventDefault(); handleSaveNew(); } }}
+            placeholder="Name for this session"
+            className="flex-1 px-3 py-2 border border-slate-500 rounded text-xs font-medium bg-slate-800 text-white focus:outline-none focus:border-orange-400 focus:ring-1 focus:ring-orange-400/50"
+            style={{ caretColor: "#fb923c" }}
+          />
+          <button
+            onClick={handleSaveNew}
+            className="flex items-center gap-1.5 px-4 py-2 rounded-lg bg-gradient-to-r from-orange-500 to-orange-600 hover:from-orange-400 hover:to-orange-500 text-white text-xs font-bold border border-orange-400 shadow transition-all"
+          >
+            <Save size={14} />
+            <span>Save Current</span>
+          </button>
+        </div>
+
+        {storageError && (
+          <div className="px-5 pt-2 text-red-400 text-xs font-semibold">⚠ {storageError}</div>
+        )}
+
+        {/* slot list */}
+        <div className="flex-1 overflow-y-auto px-5 py-3 space-y-2 min-h-0">
+          {slots.length === 0 && (
+            <div className="text-slate-400 text-sm text-center py-6">No saved sessions yet.</div>
+          )}
+          {slots.map((slot) => (
+            <div key={slot.id} className="flex items-center gap-2 bg-slate-800 border border-slate-700 rounded-lg px-3 py-2">
+              <div className="flex-1 min-w-0">
+                {editingId === slot.id ? (
+                  <input
+                    type="text"
+                    autoFocus
+                    value={editingName}
+                    onChange={(e) => setEditingName(e.target.value)}
+                    onBlur={commitRename}
+                    onKeyDown={(e) => {
+                      if (e.key === "Enter") { e.preventDefault(); commitRename(); }
+                      if (e.key === "Escape") { e.preventDefault(); setEditingId(null); }
+                    }}
+                    className="w-full px-2 py-1 border border-orange-400 rounded text-sm bg-slate-900 text-white focus:outline-none"
+                    style={{ caretColor: "#fb923c" }}
+                  />
+                ) : (
+                  <div className="text-white text-sm font-semibold truncate">{slot.name}</div>
+                )}
+                <div className="text-slate-400 text-xs">
+                  {slot.matchCount} {slot.matchCount === 1 ? "match" : "matches"}
+                  {slot.rulesetKey ? ` · ${slot.rulesetKey}` : ""}
+                  {` · ${formatTimestamp(slot.updatedAt)}`}
+                </div>
+              </div>
+              {editingId === slot.id ? (
+                <button onClick={commitRename} className="p-1.5 rounded bg-slate-700 hover:bg-green-600 text-white border border-slate-500" aria-label="Confirm rename">
+                  <Check size={14} />
+                </button>
+              ) : (
+                <>
+                  <button
+                    onClick={() => onLoad(slot)}
+                    className="px-3 py-1.5 rounded bg-emerald-600 hover:bg-emerald-500 text-white text-xs font-bold border border-emerald-500"
+                  >
+                    Load
+                  </button>
+                  <button onClick={() => handleOverwrite(slot)} className="p-1.5 rounded bg-slate-700 hover:bg-orange-600 text-white border border-slate-500" title="Overwrite with current matches" aria-label={`Overwrite ${slot.name}`}>
+                    <Save size={14} />
+                  </button>
+                  <button onClick={() => { setEditingId(slot.id); setEditingName(slot.name); }} className="p-1.5 rounded bg-slate-700 hover:bg-slate-600 text-white border border-slate-500" title="Rename" aria-label={`Rename ${slot.name}`}>
+                    <Pencil size={14} />
+                  </button>
+                  <button onClick={() => handleDuplicate(slot)} className="p-1.5 rounded bg-slate-700 hover:bg-green-600 text-white border border-slate-500" title="Duplicate" aria-label={`Duplicate ${slot.name}`}>
+                    <Copy size={14} />
+                  </button>
+                  <button onClick={() => handleDelete(slot)} className="p-1.5 rounded bg-slate-700 hover:bg-red-600 text-white border border-slate-500" title="Delete" aria-label={`Delete ${slot.name}`}>
+                    <Trash2 size={14} />
+                  </button>
+                </>
+              )}
+            </div>
+          ))}
+        </div>
+
+        {/* footer */}
+        <div className="px-5 py-2 bg-slate-800 border-t border-slate-700 text-xs text-slate-400">
+          {autosavedAt ? `Autosaved ${formatTimestamp(autosavedAt)}` : "Autosave runs whenever matches change."}
+        </div>
+      </div>
+    </div>,
+    document.body
+  );
+}
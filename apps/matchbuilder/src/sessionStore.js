@@ -0,0 +1,114 @@
+// Local persistence for Match Builder sessions.
+//
+// Sessions are stored as all-matches YAML (the same text the "YAML" panel produces)
+// so a saved slot can be copied out and shared without conversion. The active ruleset
+// is not part of that YAML, so it is kept next to it on the record.
+//
+// Record shape: { id, name, yaml, rulesetKey, matchCount, createdAt, updatedAt }
+
+const SLOTS_KEY = 'sz-matchbuilder:sessions';
+const AUTOSAVE_KEY = 'sz-matchbuilder:autosave';
+
+// localStorage can be unavailable (private mode, disabled storage) or full.
+// Every accessor below degrades to "nothing saved" instead of throwing into React.
+const readJson = (key, fallback) => {
+  try {
+    if (typeof window === 'undefined' || !window.localStorage) return fallback;
+    const raw = window.localStorage.getItem(key);
+    if (!raw) return fallback;
+    const parsed = JSON.parse(raw);
+    return parsed == null ? fallback : parsed;
+  } catch (e) {
+    console.warn(`Failed to read ${key} from localStorage`, e);
+    return fallback;
+  }
+};
+
+const writeJson = (key, value) => {
+  try {
+    if (typeof window === 'undefined' || !window.localStorage) return false;
+    window.localStorage.setItem(key, JSON.stringify(value));
+    return true;
+  } catch (e) {
+    console.warn(`Failed to write ${key} to localStorage`, e);
+    return false;
+  }
+};
+
+const newSlotId = () => `slot-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+
+const readSlots = () => {
+  const slots = readJson(SLOTS_KEY, []);
+  return Array.isArray(slots) ? slots.filter((s) => s && s.id && typeof s.yaml === 'string') : [];
+};
+
+// Most recently updated first
+export const listSessionSlots = () =>
+  readSlots().sort((a, b) => String(b.updatedAt || '').localeCompare(String(a.updatedAt || '')));
+
+export const getSessionSlot = (id) => readSlots().find((s) => s.id === id) || null;
+
+// Creates a new slot, or overwrites an existing one when `id` is given.
+// Returns the stored record, or null if storage failed.
+export const saveSessionSlot = ({ id, name, yaml, rulesetKey, matchCount }) => {
+  const slots = readSlots();
+  const now = new Date().toISOString();
+  const existing = id ? slots.find((s) => s.id === id) : null;
+  const record = {
+    id: existing ? existing.id : newSlotId(),
+    name: (name || '').trim() || (existing && existing.name) || `Session ${slots.length + 1}`,
+    yaml: yaml || '',
+    rulesetKey: rulesetKey || null,
+    matchCount: Number(matchCount) || 0,
+    createdAt: existing ? existing.createdAt : now,
+    updatedAt: now,
+  };
+  const next = existing ? slots.map((s) => (s.id === record.id ? record : s)) : [...slots, record];
+  return writeJson(SLOTS_KEY, next) ? record : null;
+};
+
+export const renameSessionSlot = (id, name) => {
+  const trimmed = (name || '').trim();
+  if (!trimmed) return false;
+  const slots = readSlots();
+  if (!slots.some((s) => s.id === id)) return false;
+  return writeJson(SLOTS_KEY, slots.map((s) => (s.id === id ? { ...s, name: trimmed, updatedAt: new Date().toISOString() } : s)));
+};
+
+export const deleteSessionSlot = (id) => {
+  const slots = readSlots();
+  return writeJson(SLOTS_KEY, slots.filter((s) => s.id !== id));
+};
+
+export const duplicateSessionSlot = (id) => {
+  const original = getSessionSlot(id);
+  if (!original) return null;
+  return saveSessionSlot({
+    name: `${original.name} (Copy)`,
+    yaml: original.yaml,
+    rulesetKey: original.rulesetKey,
+    matchCount: original.matchCount,
+  });
+};
+
+// Autosave is a single rolling record, separate from the named slots.
+export const readAutosave = () => {
+  const data = readJson(AUTOSAVE_KEY, null);
+  return data && typeof data.yaml === 'string' ? data : null;
+};
+
+export const writeAutosave = ({ yaml, rulesetKey, matchCount }) =>
+  writeJson(AUTOSAVE_KEY, {
+    yaml: yaml || '',
+    rulesetKey: rulesetKey || null,
+    matchCount: Number(matchCount) || 0,
+    savedAt: new Date().toISOString(),
+  });
+
+export const clearAutosave = () => {
+  try {
+    if (typeof window !== 'undefined' && window.localStorage) window.localStorage.removeItem(AUTOSAVE_KEY);
+  } catch (e) {
+    console.warn('Failed to clear autosave', e);
+  }
+};
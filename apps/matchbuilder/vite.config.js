@@ -15,7 +15,9 @@ export default defineConfig({
         try {
           copyFileSync(`${sharedPath}/characters.csv`, `${publicPath}/characters.csv`)
           copyFileSync(`${sharedPath}/capsules.csv`, `${publicPath}/capsules.csv`)
+          copyFileSync(`${sharedPath}/maps.csv`, `${publicPath}/maps.csv`)
           copyFileSync(`${sharedPath}/capsule-rules.yaml`, `${publicPath}/capsule-rules.yaml`)
+          copyFileSync(`${sharedPath}/teams.json`, `${publicPath}/teams.json`)
         } catch (err) {
           console.warn('Could not copy shared referencedata files:', err.message)
         }
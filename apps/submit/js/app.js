@@ -2,13 +2,13 @@
 // Handles initialization, event handlers, and orchestrates the upload flow
 
 /**
- * Get the display label for a team/folder name from the TEAMS config
- * @param {string} folderName - The folder name (value)
- * @returns {string} The display label, or the original name if not found
+ * Get the display label for a team/folder name from the team registry
+ * @param {string} folderName - The folder name, which may be an older alias
+ * @returns {string} The canonical team name, or the original name if not found
  */
 function getTeamLabel(folderName) {
-    const team = TEAMS.find(t => t.value === folderName);
-    return team ? team.label : folderName;
+    const team = resolveTeam(folderName);
+    return team ? team.name : folderName;
 }
 
 /**
@@ -31,7 +31,7 @@ function processPathOptions(options) {
         }
         
         if (child) {
-            // Use the team label from TEAMS config for display
+            // Use the canonical team name from the registry for display
             const displayLabel = getTeamLabel(child);
             grouped[parent].push({ label: displayLabel, value: opt.value });
         }
@@ -117,9 +117,43 @@ async function handleFileChange(e) {
     
     console.log('[App] Updating UI...');
     updateUI();
+    
+    await refreshCompliance();
     console.log('[App] ========== END FILE CHANGE ==========');
 }
 
+/**
+ * Check the selected files against the capsule ruleset via the validate endpoint
+ */
+async function refreshCompliance() {
+    const requestedFiles = AppState.files;
+    if (requestedFiles.length === 0) {
+        updateState({ compliance: {}, complianceStatus: '' });
+        return;
+    }
+    
+    updateState({ compliance: {}, complianceStatus: 'checking' });
+    updateFilesPreview();
+    
+    let compliance = {};
+    let complianceStatus = 'done';
+    try {
+        const result = await validateFiles(await buildFilesPayload());
+        result.fileResults.forEach(f => {
+            if (f.compliance) compliance[f.filename] = f.compliance;
+        });
+        if (result.rulesUnavailable) complianceStatus = 'unavailable';
+    } catch (e) {
+        console.warn('[App] Capsule rules check failed:', e);
+        complianceStatus = 'unavailable';
+    }
+    
+    // Ignore results for a selection the user has since replaced
+    if (AppState.files !== requestedFiles) return;
+    updateState({ compliance, complianceStatus });
+    updateFilesPreview();
+}
+
 /**
  * Handle team data checkbox change
  * @param {Event} e - The change event
@@ -388,8 +422,8 @@ async function init() {
     console.log('[App] Initializing...');
     
     try {
-        // Fetch paths
-        const data = await fetchPaths();
+        // Fetch paths (team folders are labelled from the registry)
+        const [data] = await Promise.all([fetchPaths(), loadTeams()]);
         processPathOptions(data.options || []);
         
         // Fetch initial existing files
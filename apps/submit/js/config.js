@@ -36,22 +36,48 @@ const CPU_LEVEL_DIFFICULTY = {
     20: 'Ultra',
 };
 
-// List of available teams for selection
-const TEAMS = [
-    { value: '', label: '' },
-    { value: 'Budokai', label: 'Budokai' },
-    { value: 'Cinema', label: 'Cinema' },
-    { value: 'Cold Kingdom', label: 'Cold Kingdom' },
-    { value: 'Creations', label: 'Creations' },
-    { value: 'Demons', label: 'Demons' },
-    { value: 'Malevolent Souls', label: 'Malevolent Souls' },
-    { value: 'Master and Student', label: 'Master & Student' },
-    { value: 'Primal Instincts', label: 'Primal Instincts' },
-    { value: 'Sentai', label: 'Sentai' },
-    { value: 'Time Patrol', label: 'Time Patrol' },
-    { value: 'Tiny Terrors', label: 'Tiny Terrors' },
-    { value: 'Z-Fighters', label: 'Z-Fighters' }
-];
+// League teams come from the shared registry (referencedata/teams.json, copied to data/teams.json).
+// Values are the canonical team names written into tags; loadTeams() fills this in
+// before the team dropdowns are built.
+let TEAMS = [{ value: '', label: '' }];
+let TEAM_REGISTRY = [];
+let teamsPromise = null;
+
+/**
+ * Load the team registry (once) and rebuild TEAMS from it
+ * @returns {Promise<Array>} The TEAMS options
+ */
+function loadTeams() {
+    if (!teamsPromise) teamsPromise = fetchTeamRegistry();
+    return teamsPromise;
+}
+
+async function fetchTeamRegistry() {
+    try {
+        const response = await fetch('data/teams.json');
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        const data = await response.json();
+        TEAM_REGISTRY = data.teams || [];
+        TEAMS = [{ value: '', label: '' }, ...TEAM_REGISTRY.map(t => ({ value: t.name, label: t.name }))];
+    } catch (error) {
+        console.error('Failed to load team registry:', error);
+    }
+    return TEAMS;
+}
+
+/**
+ * Find a registry team by name, id or alias ("Master and Student", "The Z-Fighters", ...)
+ * Matching ignores case, "&" vs "and" and a leading "The".
+ * @param {string} name - Team name as written anywhere
+ * @returns {Object|null} The registry entry, or null if unknown
+ */
+function resolveTeam(name) {
+    const normalize = (n) => String(n || '').trim().toLowerCase()
+        .replace(/\s*&\s*/g, ' and ').replace(/^the\s+/, '').replace(/\s+/g, ' ');
+    const key = normalize(name);
+    if (!key) return null;
+    return TEAM_REGISTRY.find(t => [t.id, t.name, ...(t.aliases || [])].some(n => normalize(n) === key)) || null;
+}
 
 // Stage constants for upload flow
 const STAGES = {
@@ -15,6 +15,10 @@ const AppState = {
     duplicateFiles: [],
     existingFiles: [],
     
+    // Capsule rules compliance per filename, from the validate endpoint
+    compliance: {},
+    complianceStatus: '', // '', 'checking', 'done' or 'unavailable'
+    
     // Path/folder selection
     pathOptions: [],
     groupedPaths: {}, // Store grouped paths to avoid recalculation
@@ -59,6 +63,8 @@ function resetState() {
         filesPreview: [],
         duplicateFiles: [],
         existingFiles: [],
+        compliance: {},
+        complianceStatus: '',
         groupedPaths: {},
         setTeamData: false,
         team1: 'Budokai',
@@ -79,6 +85,8 @@ function resetFilesOnly() {
         files: [],
         filesPreview: [],
         duplicateFiles: [],
+        compliance: {},
+        complianceStatus: '',
         prUrl: '',
         submissionId: '',
         error: ''
@@ -147,14 +147,54 @@ function updateFilesList() {
 }
 
 /**
- * Update the files preview section
+ * Escape text for insertion into innerHTML
+ * @param {string} text - Raw text
+ * @returns {string} Escaped text
+ */
+function escapeHtml(text) {
+    return String(text ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * Render the capsule rules compliance report for one file
+ * @param {Object} report - Compliance report from the validate endpoint
+ * @returns {string} HTML
+ */
+function renderComplianceReport(report) {
+    if (report.compliant) {
+        return `<div class="preview-compliance-ok">✓ Capsules comply with "${escapeHtml(report.ruleset.name)}"</div>`;
+    }
+    
+    const rows = report.characters
+        .filter(c => c.violations.length > 0)
+        .map(c => `<li>
+            <strong>${escapeHtml(c.teamName)} · ${escapeHtml(c.characterName)}</strong> (${c.totalCost} pts)
+            <ul>${c.violations.map(v => `<li>${escapeHtml(v.message)}${v.capsules.length > 0 ? ` <span class="compliance-capsules">(${v.capsules.map(escapeHtml).join(', ')})</span>` : ''}</li>`).join('')}</ul>
+        </li>`)
+        .join('');
+    
+    return `<div class="preview-compliance-issues">
+        ⚠️ ${report.violationCount} capsule rule violation${report.violationCount === 1 ? '' : 's'} under "${escapeHtml(report.ruleset.name)}"
+        <ul class="compliance-list">${rows}</ul>
+    </div>`;
+}
+
+/**
+ * Update the files preview section (team data changes and capsule rules compliance)
  */
 function updateFilesPreview() {
     const previewSection = document.getElementById('filesPreview');
     
     if (!previewSection) return;
     
-    if (AppState.filesPreview.length === 0) {
+    const showTeamPreview = AppState.filesPreview.length > 0;
+    const showCompliance = AppState.complianceStatus !== '';
+    
+    if (AppState.files.length === 0 || (!showTeamPreview && !showCompliance)) {
         previewSection.classList.add('hidden');
         return;
     }
@@ -163,14 +203,29 @@ function updateFilesPreview() {
     const previewContent = document.getElementById('filesPreviewContent');
     
     if (previewContent) {
-        previewContent.innerHTML = AppState.filesPreview
-            .map(p => `<div class="preview-item">
-                <div class="preview-name">${p.name}</div>
-                ${p.error ? `<div class="preview-error">${p.error}</div>` : ''}
-                ${p.hasExistingTeams ? `<div class="preview-current">Current: [${p.existingTeams.join(', ')}]</div>` : ''}
-                ${p.willModify ? `<div class="preview-will-modify">Will set to: [${AppState.team1}${AppState.team2 ? ', ' + AppState.team2 : ''}]</div>` : ''}
-                ${!p.willModify && !p.error ? '<div class="preview-no-change">No team data changes</div>' : ''}
-            </div>`)
+        previewContent.innerHTML = AppState.files
+            .map(file => {
+                const p = AppState.filesPreview.find(preview => preview.name === file.name);
+                const report = AppState.compliance[file.name];
+                
+                let complianceHtml = '';
+                if (report) {
+                    complianceHtml = renderComplianceReport(report);
+                } else if (AppState.complianceStatus === 'checking') {
+                    complianceHtml = '<div class="preview-no-change">Checking capsule rules...</div>';
+                } else if (AppState.complianceStatus === 'unavailable') {
+                    complianceHtml = '<div class="preview-no-change">Capsule rules check unavailable</div>';
+                }
+                
+                return `<div class="preview-item">
+                    <div class="preview-name">${file.name}</div>
+                    ${p && p.error ? `<div class="preview-error">${p.error}</div>` : ''}
+                    ${p && p.hasExistingTeams ? `<div class="preview-current">Current: [${p.existingTeams.join(', ')}]</div>` : ''}
+                    ${p && p.willModify ? `<div class="preview-will-modify">Will set to: [${AppState.team1}${AppState.team2 ? ', ' + AppState.team2 : ''}]</div>` : ''}
+                    ${p && !p.willModify && !p.error ? '<div class="preview-no-change">No team data changes</div>' : ''}
+                    ${complianceHtml}
+                </div>`;
+            })
             .join('');
     }
 }
@@ -193,7 +248,9 @@ function clearFiles() {
     updateState({ 
         files: [], 
         filesPreview: [], 
-        duplicateFiles: [] 
+        duplicateFiles: [],
+        compliance: {},
+        complianceStatus: ''
     });
     
     const fileInput = document.getElementById('fileInput');
@@ -1,7 +1,7 @@
 import React, { useState, useEffect } from 'react';
 import { Link } from 'react-router-dom';
 import { Zap, Users, Calendar, Trophy, ChevronRight, ExternalLink, Eye, Star } from 'lucide-react';
-import { loadContent } from '../utils/contentLoader';
+import { loadContent, loadTeams, findTeam } from '../utils/contentLoader';
 import yaml from 'js-yaml';
 
 export default function HomePage({ site, darkMode }) {
@@ -11,7 +11,7 @@ export default function HomePage({ site, darkMode }) {
   const [howToTab, setHowToTab] = useState('watch');
 
   useEffect(() => {
-    loadContent('teams.yaml').then(setTeams);
+    loadTeams().then(setTeams);
     loadContent('rules/how-to-participate.yaml').then(setHowTo);
     // Load current season from seasons/ folder
     loadContent('site.yaml').then((siteData) => {
@@ -214,7 +214,7 @@ export default function HomePage({ site, darkMode }) {
 
           <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-4 gap-4">
             {topTeams.map((s) => {
-              const teamData = teams?.teams?.find((t) => t.name === s.team);
+              const teamData = findTeam(teams, s.team);
               const color = teamData?.color || '#F97316';
               const slug = teamData?.slug;
               return (
@@ -1,7 +1,7 @@
 import React, { useState, useEffect, useMemo } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { Calendar, Trophy, ArrowUpDown, ChevronDown, ChevronUp, ExternalLink, Shield, ChevronsUpDown } from 'lucide-react';
-import { loadContent } from '../utils/contentLoader';
+import { loadContent, loadTeams, findTeam } from '../utils/contentLoader';
 import yaml from 'js-yaml';
 
 const PHASE_LABELS = {
@@ -10,14 +10,15 @@ const PHASE_LABELS = {
   playoffs: 'Playoffs',
 };
 
-function computeStandingsFromSchedule(schedule) {
+// Keyed by canonical team name, like the generated standings
+function computeStandingsFromSchedule(schedule, canonicalTeam) {
   const record = {};
   for (const week of schedule || []) {
     for (const m of week.matches || []) {
       if (m.status !== 'completed' || !m.winner) continue;
-      [m.home, m.away].forEach((t) => {
+      [canonicalTeam(m.home), canonicalTeam(m.away)].forEach((t) => {
         if (!record[t]) record[t] = { wins: 0, losses: 0 };
-        if (m.winner === t) {
+        if (canonicalTeam(m.winner) === t) {
           record[t].wins += 1;
         } else {
           record[t].losses += 1;
@@ -28,6 +29,13 @@ function computeStandingsFromSchedule(schedule) {
   return record;
 }
 
+// Standings generated from Season battle results (apps/analyzer/scripts/generate-season-standings.js)
+function standingsFromGenerated(phase) {
+  const record = {};
+  for (const r of phase?.standings || []) record[r.team] = r;
+  return record;
+}
+
 export default function SeasonPage({ darkMode }) {
   const navigate = useNavigate();
   const [data, setData] = useState(null);
@@ -38,6 +46,7 @@ export default function SeasonPage({ darkMode }) {
   const [selectedSeason, setSelectedSeason] = useState(null);
   const [selectedPhase, setSelectedPhase] = useState(null);
   const [collapsedWeeks, setCollapsedWeeks] = useState({});
+  const [generated, setGenerated] = useState(null);
 
   // Load site config to get list of all seasons
   useEffect(() => {
@@ -47,7 +56,11 @@ export default function SeasonPage({ darkMode }) {
       const currentFile = site.current_season_file || 'season-1.yaml';
       setSelectedSeason(currentFile);
     });
-    loadContent('teams.yaml').then(setTeams);
+    loadTeams().then(setTeams);
+    fetch(`${import.meta.env.BASE_URL}content/standings.json`)
+      .then((r) => (r.ok ? r.json() : null))
+      .then(setGenerated)
+      .catch(() => setGenerated(null));
   }, []);
 
   // Load selected season data
@@ -63,22 +76,41 @@ export default function SeasonPage({ darkMode }) {
       });
   }, [selectedSeason]);
 
+  // season.yaml may use team aliases; standings.json is keyed by canonical name
+  const canonicalTeam = useMemo(
+    () => (teams?.registry ? teams.registry.canonicalName : (name) => name),
+    [teams]
+  );
+
   // Compute standings from main season schedule
   const mainSeasonStandings = useMemo(() => {
-    return computeStandingsFromSchedule(data?.schedule);
-  }, [data]);
+    return computeStandingsFromSchedule(data?.schedule, canonicalTeam);
+  }, [data, canonicalTeam]);
 
   // Compute standings from pre-season schedule
   const preseasonStandings = useMemo(() => {
-    return computeStandingsFromSchedule(data?.preseason_schedule);
-  }, [data]);
+    return computeStandingsFromSchedule(data?.preseason_schedule, canonicalTeam);
+  }, [data, canonicalTeam]);
+
+  // Battle-result standings and series scores for the selected phase, when the generator has any
+  const generatedPhase = useMemo(() => {
+    const phases = generated?.seasons?.[data?.season]?.phases;
+    return phases?.[selectedPhase === 'preseason' ? 'preseason' : 'main_season'] || null;
+  }, [generated, data, selectedPhase]);
 
   // Pick the standings to display based on selected phase
   const displayedStandings = useMemo(() => {
+    if (generatedPhase) return standingsFromGenerated(generatedPhase);
     if (selectedPhase === 'preseason') return preseasonStandings;
     // main_season and playoffs both show main season standings
     return mainSeasonStandings;
-  }, [selectedPhase, preseasonStandings, mainSeasonStandings]);
+  }, [generatedPhase, selectedPhase, preseasonStandings, mainSeasonStandings]);
+
+  const findResult = (week, m) => {
+    const home = canonicalTeam(m.home);
+    const away = canonicalTeam(m.away);
+    return generatedPhase?.results?.find((r) => r.week === week && r.teams.includes(home) && r.teams.includes(away)) || null;
+  };
 
   if (!data) {
     return <div className="flex items-center justify-center py-20 text-lg animate-pulse">Loading season...</div>;
@@ -87,26 +119,28 @@ export default function SeasonPage({ darkMode }) {
   const activePhase = data.active_phase || 'main_season';
   const allSeasons = siteData?.all_seasons || [];
 
+  // Ties count as half a win
+  const winRate = (s) => (s.wins + (s.ties || 0) / 2) / Math.max(s.wins + s.losses + (s.ties || 0), 1);
+
   const sortKaiTeams = (kaiTeams) =>
     [...kaiTeams].map((s) => ({
       ...s,
-      ...(displayedStandings[s.team] || { wins: 0, losses: 0 }),
+      ...(displayedStandings[canonicalTeam(s.team)] || { wins: 0, losses: 0, ties: 0, pointDiff: 0 }),
     })).sort((a, b) => {
-      if (sortBy === 'wins') return b.wins - a.wins || a.losses - b.losses;
+      // Generated ranks already apply the head-to-head and differential tiebreakers
+      if (sortBy === 'wins') return b.wins - a.wins || a.losses - b.losses || (a.rank ?? Infinity) - (b.rank ?? Infinity);
       if (sortBy === 'losses') return a.losses - b.losses || b.wins - a.wins;
-      const aWr = a.wins / Math.max(a.wins + a.losses, 1);
-      const bWr = b.wins / Math.max(b.wins + b.losses, 1);
-      return bWr - aWr;
+      return winRate(b) - winRate(a);
     });
 
   const getTeamColor = (name) =>
-    teams?.teams?.find((t) => t.name === name)?.color || '#6B7280';
+    findTeam(teams, name)?.color || '#6B7280';
 
   const getTeamIcon = (name) =>
-    teams?.teams?.find((t) => t.name === name)?.icon || null;
+    findTeam(teams, name)?.icon || null;
 
   const getTeamSlug = (name) =>
-    teams?.teams?.find((t) => t.name === name)?.slug || null;
+    findTeam(teams, name)?.slug || null;
 
   const tabs = [
     { key: 'standings', label: 'Standings', icon: Trophy },
@@ -246,6 +280,12 @@ export default function SeasonPage({ darkMode }) {
                               L <ArrowUpDown className="w-3 h-3" />
                             </button>
                           </th>
+                          {generatedPhase && (
+                            <>
+                              <th className="text-center py-3 px-4 font-semibold">T</th>
+                              <th className="text-center py-3 px-4 font-semibold" title="Battles won minus battles lost">+/-</th>
+                            </>
+                          )}
                           <th className="text-center py-3 px-4 font-semibold">
                             <button
                               onClick={() => setSortBy('winrate')}
@@ -258,8 +298,8 @@ export default function SeasonPage({ darkMode }) {
                       </thead>
                       <tbody>
                         {sortedTeams.map((s, i) => {
-                          const played = s.wins + s.losses;
-                          const wr = played > 0 ? ((s.wins / played) * 100).toFixed(0) : '—';
+                          const played = s.wins + s.losses + (s.ties || 0);
+                          const wr = played > 0 ? (winRate(s) * 100).toFixed(0) : '—';
                           const slug = getTeamSlug(s.team);
                           return (
                             <tr
@@ -293,6 +333,14 @@ export default function SeasonPage({ darkMode }) {
                               </td>
                               <td className="py-3 px-4 text-center font-semibold text-green-400">{s.wins}</td>
                               <td className="py-3 px-4 text-center font-semibold text-red-400">{s.losses}</td>
+                              {generatedPhase && (
+                                <>
+                                  <td className="py-3 px-4 text-center font-semibold">{s.ties || 0}</td>
+                                  <td className="py-3 px-4 text-center font-semibold">
+                                    {s.pointDiff > 0 ? `+${s.pointDiff}` : s.pointDiff || 0}
+                                  </td>
+                                </>
+                              )}
                               <td className="py-3 px-4 text-center font-semibold">{wr === '—' ? wr : `${wr}%`}</td>
                             </tr>
                           );
@@ -392,12 +440,17 @@ export default function SeasonPage({ darkMode }) {
               </button>
               {!isCollapsed && <div className="grid gap-3">
                 {(week.matches || []).map((m, i) => {
-                  const isCompleted = m.status === 'completed';
-                  const homeWin = isCompleted && m.winner === m.home;
-                  const awayWin = isCompleted && m.winner === m.away;
+                  const result = findResult(week.week, m);
+                  const isCompleted = m.status === 'completed' || !!result;
+                  const winner = canonicalTeam(result ? result.winner : m.winner);
+                  const homeWin = isCompleted && winner === canonicalTeam(m.home);
+                  const awayWin = isCompleted && winner === canonicalTeam(m.away);
+                  const score = result
+                    ? `${result.score[canonicalTeam(m.home)]} - ${result.score[canonicalTeam(m.away)]}`
+                    : m.home_score != null && m.away_score != null ? `${m.home_score} - ${m.away_score}` : null;
                   const hasVideo = isCompleted && m.video_url;
 
-                  const hasGradientBorder = isCompleted && m.winner;
+                  const hasGradientBorder = isCompleted && winner;
                   const gradientColors = homeWin
                     ? 'rgba(34,197,94,0.45), rgba(34,197,94,0.18) 35%, transparent 50%, rgba(239,68,68,0.18) 65%, rgba(239,68,68,0.45)'
                     : 'rgba(239,68,68,0.45), rgba(239,68,68,0.18) 35%, transparent 50%, rgba(34,197,94,0.18) 65%, rgba(34,197,94,0.45)';
@@ -444,6 +497,7 @@ export default function SeasonPage({ darkMode }) {
                             }`}>
                               Final
                             </span>
+                            {score && <span className="text-sm font-bold">{score}</span>}
                             {m.divisional && (
                               <span className={`text-xs font-semibold flex items-center gap-1 px-2 py-0.5 rounded-full ${
                                 darkMode ? 'bg-purple-900/50 text-purple-300' : 'bg-purple-100 text-purple-600'
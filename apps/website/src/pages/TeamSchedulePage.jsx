@@ -1,7 +1,7 @@
 import React, { useState, useEffect, useMemo } from 'react';
 import { useParams, useNavigate, Link } from 'react-router-dom';
 import { Calendar, Trophy, Home, Plane, Shield, ExternalLink, ChevronLeft, ChevronDown } from 'lucide-react';
-import { loadContent } from '../utils/contentLoader';
+import { loadContent, loadTeams, findTeam } from '../utils/contentLoader';
 import yaml from 'js-yaml';
 
 export default function TeamSchedulePage({ darkMode }) {
@@ -18,7 +18,7 @@ export default function TeamSchedulePage({ darkMode }) {
       setSiteData(site);
       setSelectedSeason(site.current_season_file || 'season-1.yaml');
     });
-    loadContent('teams.yaml').then(setTeamsData);
+    loadTeams().then(setTeamsData);
   }, []);
 
   useEffect(() => {
@@ -33,11 +33,14 @@ export default function TeamSchedulePage({ darkMode }) {
     [teamsData, slug]
   );
 
+  // Season files may still spell a team with one of its registry aliases
+  const isTeam = (name) => !!team && findTeam(teamsData, name) === team;
+
   // Find which Kai this team belongs to
   const teamKai = useMemo(() => {
     if (!seasonData || !team) return null;
     return (seasonData.kais || []).find((k) =>
-      k.teams?.some((t) => t.team === team.name)
+      k.teams?.some((t) => isTeam(t.team))
     );
   }, [seasonData, team]);
 
@@ -47,8 +50,8 @@ export default function TeamSchedulePage({ darkMode }) {
     const result = [];
     for (const week of seasonData.preseason_schedule || []) {
       for (const match of week.matches || []) {
-        const isHome = match.home === team.name;
-        const isAway = match.away === team.name;
+        const isHome = isTeam(match.home);
+        const isAway = isTeam(match.away);
         if (!isHome && !isAway) continue;
         const opponent = isHome ? match.away : match.home;
         let result_label = null;
@@ -57,7 +60,7 @@ export default function TeamSchedulePage({ darkMode }) {
           if (w === 'draw' || w === 'tie') {
             result_label = 'T';
           } else {
-            result_label = match.winner === team.name ? 'W' : 'L';
+            result_label = isTeam(match.winner) ? 'W' : 'L';
           }
         } else if (match.status === 'live') {
           result_label = 'LIVE';
@@ -84,8 +87,8 @@ export default function TeamSchedulePage({ darkMode }) {
     const result = [];
     for (const week of seasonData.schedule || []) {
       for (const match of week.matches || []) {
-        const isHome = match.home === team.name;
-        const isAway = match.away === team.name;
+        const isHome = isTeam(match.home);
+        const isAway = isTeam(match.away);
         if (!isHome && !isAway) continue;
         const opponent = isHome ? match.away : match.home;
         let result_label = null;
@@ -94,7 +97,7 @@ export default function TeamSchedulePage({ darkMode }) {
           if (w === 'draw' || w === 'tie') {
             result_label = 'T';
           } else {
-            result_label = match.winner === team.name ? 'W' : 'L';
+            result_label = isTeam(match.winner) ? 'W' : 'L';
           }
         } else if (match.status === 'live') {
           result_label = 'LIVE';
@@ -2,7 +2,7 @@ import React, { useState, useEffect, useRef } from 'react';
 import { createPortal } from 'react-dom';
 import { useSearchParams, Link } from 'react-router-dom';
 import { Users, ChevronDown, ChevronUp, Calendar } from 'lucide-react';
-import { loadContent } from '../utils/contentLoader';
+import { loadTeams } from '../utils/contentLoader';
 
 const CALC_BASE = 'https://dragonballzleague.github.io/SparkingZero/calculator/#';
 const NULLS7 = [null, null, null, null, null, null, null];
@@ -204,7 +204,7 @@ export default function TeamsPage({ darkMode }) {
   }, []);
 
   useEffect(() => {
-    loadContent('teams.yaml').then(setData);
+    loadTeams().then(setData);
   }, []);
 
   // Auto-expand team from URL param
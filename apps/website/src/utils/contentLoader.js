@@ -1,4 +1,5 @@
 import yaml from 'js-yaml';
+import { createTeamRegistry } from '../../../../packages/team-registry/src/index.js';
 
 const cache = {};
 
@@ -19,3 +20,36 @@ export async function loadContent(filename) {
 export function clearContentCache() {
   Object.keys(cache).forEach((k) => delete cache[k]);
 }
+
+/**
+ * Load teams.yaml merged with the canonical team registry (content/teams.json, synced
+ * from referencedata/). The registry owns each team's id, color, logo and master list;
+ * teams.yaml keeps the site copy (slug, banner, description, manager, roster, restrictions).
+ */
+export async function loadTeams() {
+  if (cache['teams:merged']) return cache['teams:merged'];
+  const [content, registryDoc] = await Promise.all([loadContent('teams.yaml'), loadContent('teams.json')]);
+  const registry = createTeamRegistry(registryDoc);
+  const teams = (content?.teams || []).map((team) => {
+    const entry = registry.resolve(team.name);
+    if (!entry) return team;
+    return {
+      ...team,
+      id: entry.id,
+      name: entry.name,
+      aliases: entry.aliases,
+      color: entry.color || team.color,
+      icon: entry.logo || team.icon,
+      master_list: entry.roster?.length ? entry.roster : team.master_list,
+    };
+  });
+  const merged = { ...content, teams, registry };
+  cache['teams:merged'] = merged;
+  return merged;
+}
+
+/** Find a team from loadTeams() by display name, id or alias. */
+export function findTeam(teamsData, name) {
+  const entry = teamsData?.registry?.resolve(name);
+  return teamsData?.teams?.find((t) => (entry ? t.id === entry.id : t.name === name)) || null;
+}
@@ -0,0 +1,466 @@
+// Capsule rules engine shared by the Match Builder, the Analyzer and the submission API.
+//
+// Rulesets come from referencedata/capsule-rules.yaml. The engine never parses YAML itself
+// (the API has no dependencies to spare), so callers hand it the already-parsed document.
+//
+// Every check returns a list of violations with the same shape:
+//   { type, scope, message, capsuleIds, characterIndex?, ...details }
+// `type` is the restriction type that produced it ('total-cost' for the per-character
+// budget), `scope` is 'character' or 'team', and `capsuleIds` lists the capsules involved
+// so callers can highlight or filter them. Character rules (bans, forms, rosters) report
+// the offending `characterId` and an empty `capsuleIds`.
+//
+// Those character rules need a context the capsule rules don't:
+//   { transformations, characterNames, rosters, teamName }
+// `transformations` is the parsed transformations.json, `characterNames` an id -> name Map
+// for characters missing from it, `rosters` a team name -> character names lookup (see
+// rostersFromTeams) and `teamName` the team being validated. Any restriction may list
+// `params.teams` to apply only to those teams.
+
+import { createFormIndex } from './forms.js';
+
+export { createFormIndex };
+
+export const TOTAL_COST = 'total-cost';
+
+export const RESTRICTION_TYPES = [
+  'banned-ids',
+  'unique-per-character',
+  'unique-per-team',
+  'max-same-per-team',
+  'max-cost-group-per-character',
+  'mutually-exclusive-team',
+  'banned-characters',
+  'banned-starting-forms',
+  'max-transformation-depth',
+  'team-roster-only',
+  'team-cost-pool',
+];
+
+// These only block selections in hard mode; soft mode reports them as warnings.
+// Everything else (bans, uniqueness) is enforced regardless of mode.
+const HARD_ONLY_TYPES = new Set([
+  TOTAL_COST,
+  'max-same-per-team',
+  'max-cost-group-per-character',
+  'mutually-exclusive-team',
+  'max-transformation-depth',
+  'team-roster-only',
+  'team-cost-pool',
+]);
+
+const DEFAULT_MAX_SAME_PER_TEAM = 2;
+const DEFAULT_MAX_GROUP_COST = 6;
+
+/**
+ * List the rulesets defined in a parsed capsule-rules document.
+ * @param {Object} doc - Parsed capsule-rules.yaml
+ * @returns {Array<{key: string, name: string, description: string, mode: string}>}
+ */
+export function listRulesets(doc) {
+  return Object.entries(doc?.rulesets || {}).map(([key, rs]) => ({
+    key,
+    name: rs?.metadata?.name || key,
+    description: rs?.metadata?.description || '',
+    mode: rs?.mode === 'hard' ? 'hard' : 'soft',
+  }));
+}
+
+/**
+ * Pick a ruleset out of a parsed capsule-rules document and normalize it.
+ * Falls back to the document's `default`, then to the first ruleset.
+ * @param {Object} doc - Parsed capsule-rules.yaml
+ * @param {string} [key] - Ruleset key to load
+ * @returns {Object|null} { key, name, mode, scope, totalCost, restrictions }
+ */
+export function resolveRuleset(doc, key) {
+  const rulesets = doc?.rulesets;
+  if (!rulesets || typeof rulesets !== 'object') return null;
+  const resolvedKey = [key, doc.default, Object.keys(rulesets)[0]].find((k) => k && rulesets[k]);
+  if (!resolvedKey) return null;
+  const rs = rulesets[resolvedKey];
+  return {
+    key: resolvedKey,
+    name: rs?.metadata?.name || resolvedKey,
+    mode: rs?.mode === 'hard' ? 'hard' : 'soft',
+    scope: rs?.scope || 'none',
+    totalCost: Number(rs?.totalCost) || 0,
+    restrictions: (Array.isArray(rs?.restrictions) ? rs.restrictions : [])
+      .filter((r) => r && r.type)
+      .map((r) => ({ type: r.type, params: r.params || {} })),
+  };
+}
+
+/**
+ * Build an id -> { id, name, cost } lookup from capsule rows.
+ * Accepts the raw CSV header names (`Item Names`, `Cost`) as well as parsed objects.
+ * @param {Array|Map|Object} capsules
+ * @returns {Map<string, {id: string, name: string, cost: number}>}
+ */
+export function createCapsuleCatalog(capsules) {
+  if (capsules instanceof Map) return capsules;
+  const rows = Array.isArray(capsules) ? capsules : Object.values(capsules || {});
+  const catalog = new Map();
+  for (const c of rows) {
+    const id = c?.id || c?.ID;
+    if (!id) continue;
+    catalog.set(id, {
+      id,
+      name: c.name || c['Item Names'] || id,
+      cost: Number(c.cost ?? c.Cost ?? 0) || 0,
+    });
+  }
+  return catalog;
+}
+
+const capsuleName = (catalog, id) => catalog.get(id)?.name || id;
+const capsuleCost = (catalog, id) => catalog.get(id)?.cost || 0;
+
+// Characters may be passed as id arrays or as objects with a `capsules` array;
+// empty slots ('' / null) are ignored everywhere.
+const capsulesOf = (character) =>
+  (Array.isArray(character) ? character : character?.capsules || []).filter(Boolean);
+
+const countIds = (ids) => {
+  const counts = new Map();
+  ids.forEach((id) => counts.set(id, (counts.get(id) || 0) + 1));
+  return counts;
+};
+
+const appliesToTeam = (restriction, teamName) => {
+  const teams = restriction.params.teams;
+  return !Array.isArray(teams) || teams.length === 0 || teams.includes(teamName);
+};
+
+const findRestriction = (ruleset, type, context = {}) =>
+  ruleset.restrictions.find((r) => r.type === type && appliesToTeam(r, context.teamName)) || null;
+
+// Character rules may appear several times (e.g. one form ban list per team), so collect them all
+const findRestrictions = (ruleset, type, context = {}) =>
+  ruleset.restrictions.filter((r) => r.type === type && appliesToTeam(r, context.teamName));
+
+const characterIdOf = (character) =>
+  (Array.isArray(character) ? null : character?.id || character?.characterId || null);
+
+const characterName = (context, id) =>
+  createFormIndex(context.transformations).get(id)?.name || context.characterNames?.get?.(id) || id;
+
+/**
+ * Build a team name -> character names lookup from the team registry.
+ * Each team is listed under its display name and its aliases. Teams without a roster
+ * are left out, so roster checks skip them.
+ * @param {Object} doc - Parsed referencedata/teams.json
+ * @returns {Object<string, Array<string>>}
+ */
+export function rostersFromTeams(doc) {
+  const rosters = {};
+  (Array.isArray(doc?.teams) ? doc.teams : []).forEach((team) => {
+    const names = (team?.roster || []).filter(Boolean).map((n) => String(n).trim());
+    if (!team?.name || !names.length) return;
+    [team.name, ...(team.aliases || [])].forEach((name) => {
+      rosters[name] = names;
+    });
+  });
+  return rosters;
+}
+
+const isEnabled = (restriction) => !!restriction && restriction.params?.enabled !== false;
+
+/**
+ * Sum the cost of a character's capsules.
+ * @param {Array|Object} character - Capsule ids or { capsules }
+ * @param {Map} catalog - From createCapsuleCatalog
+ * @returns {number}
+ */
+export function characterCost(character, catalog) {
+  return capsulesOf(character).reduce((sum, id) => sum + capsuleCost(catalog, id), 0);
+}
+
+/**
+ * Whether a violation blocks selection under the ruleset's mode.
+ * @param {Object} violation
+ * @param {Object} ruleset - Normalized ruleset
+ * @returns {boolean}
+ */
+export function isEnforced(violation, ruleset) {
+  return ruleset?.mode === 'hard' || !HARD_ONLY_TYPES.has(violation.type);
+}
+
+/**
+ * Validate one character's capsules against the character-scope rules.
+ * @param {Array|Object} character - Capsule ids or { capsules }
+ * @param {Object} ruleset - Normalized ruleset from resolveRuleset
+ * @param {Map} catalog - From createCapsuleCatalog
+ * @param {number} [characterIndex] - Position in the team, copied onto each violation
+ * @param {Object} [context] - { transformations, characterNames, rosters, teamName }
+ * @returns {Array<Object>} violations
+ */
+export function validateCharacter(character, ruleset, catalog, characterIndex, context = {}) {
+  if (!ruleset) return [];
+  const used = capsulesOf(character);
+  const violations = [];
+  const push = (v) => violations.push({ scope: 'character', ...(characterIndex !== undefined ? { characterIndex } : {}), ...v });
+
+  if (ruleset.scope === 'per-character' && ruleset.totalCost > 0) {
+    const total = characterCost(used, catalog);
+    if (total > ruleset.totalCost) {
+      push({
+        type: TOTAL_COST,
+        message: `Character exceeds point limit (${total} > ${ruleset.totalCost})`,
+        capsuleIds: [...new Set(used)],
+        total,
+        limit: ruleset.totalCost,
+        over: total - ruleset.totalCost,
+      });
+    }
+  }
+
+  const banned = findRestriction(ruleset, 'banned-ids', context);
+  if (banned) {
+    const bannedIds = banned.params.ids || [];
+    [...new Set(used.filter((id) => bannedIds.includes(id)))].forEach((id) => {
+      push({ type: 'banned-ids', message: `Banned capsule: ${capsuleName(catalog, id)}`, capsuleIds: [id] });
+    });
+  }
+
+  if (isEnabled(findRestriction(ruleset, 'unique-per-character', context))) {
+    countIds(used).forEach((count, id) => {
+      if (count > 1) {
+        push({ type: 'unique-per-character', message: `Capsule equipped more than once: ${capsuleName(catalog, id)}`, capsuleIds: [id], count });
+      }
+    });
+  }
+
+  const costGroup = findRestriction(ruleset, 'max-cost-group-per-character', context);
+  if (costGroup) {
+    const groupIds = costGroup.params.groupIds || [];
+    const maxCost = costGroup.params.maxCost || DEFAULT_MAX_GROUP_COST;
+    const groupUsed = used.filter((id) => groupIds.includes(id));
+    const groupCost = groupUsed.reduce((sum, id) => sum + capsuleCost(catalog, id), 0);
+    if (groupCost > maxCost) {
+      push({
+        type: 'max-cost-group-per-character',
+        message: `Attack boost capsules exceed ${maxCost} point limit (currently at ${groupCost})`,
+        capsuleIds: [...new Set(groupUsed)],
+        total: groupCost,
+        limit: maxCost,
+      });
+    }
+  }
+
+  const characterId = characterIdOf(character);
+  if (characterId) validateCharacterChoice(characterId, ruleset, push, context);
+
+  return violations;
+}
+
+// Rules about which character (and starting form) was picked, independent of capsules
+function validateCharacterChoice(characterId, ruleset, push, context) {
+  const form = createFormIndex(context.transformations).get(characterId);
+  const name = characterName(context, characterId);
+  const matches = (params, ids) =>
+    ids.some((id) => (params.ids || []).includes(id) || (params.names || []).includes(characterName(context, id)));
+  const pushCharacter = (v) => push({ capsuleIds: [], characterId, ...v });
+
+  // A banned character is banned in every form; a banned starting form only as the pick itself
+  if (findRestrictions(ruleset, 'banned-characters', context).some((r) => matches(r.params, [characterId, form?.baseId].filter(Boolean)))) {
+    pushCharacter({ type: 'banned-characters', message: `Banned character: ${name}` });
+  }
+  if (findRestrictions(ruleset, 'banned-starting-forms', context).some((r) => matches(r.params, [characterId]))) {
+    pushCharacter({ type: 'banned-starting-forms', message: `Banned starting form: ${name}` });
+  }
+
+  findRestrictions(ruleset, 'max-transformation-depth', context).forEach((r) => {
+    const maxDepth = Number(r.params.maxDepth) || 0;
+    if (form && form.depth > maxDepth) {
+      pushCharacter({
+        type: 'max-transformation-depth',
+        message: `Starting form is ${form.depth} transformation(s) beyond ${form.baseName} (limit ${maxDepth}): ${name}`,
+        total: form.depth,
+        limit: maxDepth,
+      });
+    }
+  });
+
+  const roster = context.rosters?.[context.teamName];
+  if (roster?.length && findRestrictions(ruleset, 'team-roster-only', context).some(isEnabled)) {
+    if (!roster.includes(name) && !(form && roster.includes(form.baseName))) {
+      pushCharacter({ type: 'team-roster-only', message: `${name} is not on the ${context.teamName} roster` });
+    }
+  }
+}
+
+/**
+ * Validate a team: every character's own rules plus the team-scope rules.
+ * @param {Array} team - Characters as capsule id arrays or { capsules } objects
+ * @param {Object} ruleset - Normalized ruleset from resolveRuleset
+ * @param {Map} catalog - From createCapsuleCatalog
+ * @param {Object} [context] - { transformations, characterNames, rosters, teamName }
+ * @returns {Array<Object>} violations; character-scope ones carry `characterIndex`
+ */
+export function validateTeam(team, ruleset, catalog, context = {}) {
+  if (!ruleset) return [];
+  const members = Array.isArray(team) ? team : [];
+  return [
+    ...members.flatMap((character, idx) => validateCharacter(character, ruleset, catalog, idx, context)),
+    ...validateTeamScope(members, ruleset, catalog, context),
+  ];
+}
+
+// Team-scope rules only; validateTeam adds the per-character ones.
+function validateTeamScope(members, ruleset, catalog, context = {}) {
+  const violations = [];
+  const teamUsed = members.flatMap(capsulesOf);
+  const counts = countIds(teamUsed);
+  const push = (v) => violations.push({ scope: 'team', ...v });
+
+  if (isEnabled(findRestriction(ruleset, 'unique-per-team', context))) {
+    counts.forEach((count, id) => {
+      if (count > 1) {
+        push({ type: 'unique-per-team', message: `Duplicate capsule used within the same team: ${capsuleName(catalog, id)}`, capsuleIds: [id], count });
+      }
+    });
+  }
+
+  const maxSame = findRestriction(ruleset, 'max-same-per-team', context);
+  if (maxSame) {
+    const maxCount = maxSame.params.maxCount || DEFAULT_MAX_SAME_PER_TEAM;
+    counts.forEach((count, id) => {
+      if (count > maxCount) {
+        push({ type: 'max-same-per-team', message: `Team has more than ${maxCount} of the same capsule: ${capsuleName(catalog, id)}`, capsuleIds: [id], count, limit: maxCount });
+      }
+    });
+  }
+
+  const exclusive = findRestriction(ruleset, 'mutually-exclusive-team', context);
+  if (exclusive) {
+    const usedGroups = (exclusive.params.groups || [])
+      .map((group) => {
+        const ids = teamUsed.filter((id) => (group.ids || []).includes(id));
+        return { ids, maxCount: group.maxCount, count: ids.length };
+      })
+      .filter((g) => g.count > 0);
+
+    if (usedGroups.length > 1) {
+      push({
+        type: 'mutually-exclusive-team',
+        code: 'mixed-groups',
+        message: `Cannot use both ${usedGroups.map((g) => capsuleName(catalog, g.ids[0])).join(' and ')} on the same team`,
+        capsuleIds: [...new Set(usedGroups.flatMap((g) => g.ids))],
+      });
+    }
+    usedGroups.forEach((g) => {
+      if (g.maxCount != null && g.count > g.maxCount) {
+        push({
+          type: 'mutually-exclusive-team',
+          code: 'group-count',
+          message: `Team has more than ${g.maxCount} ${capsuleName(catalog, g.ids[0])} capsule(s) (currently has ${g.count})`,
+          capsuleIds: [...new Set(g.ids)],
+          count: g.count,
+          limit: g.maxCount,
+        });
+      }
+    });
+  }
+
+  const pool = findRestriction(ruleset, 'team-cost-pool', context);
+  if (pool && Number(pool.params.maxCost) > 0) {
+    const maxCost = Number(pool.params.maxCost);
+    const total = teamUsed.reduce((sum, id) => sum + capsuleCost(catalog, id), 0);
+    if (total > maxCost) {
+      push({
+        type: 'team-cost-pool',
+        message: `Team capsules exceed the shared ${maxCost} point pool (${total} > ${maxCost})`,
+        capsuleIds: [...new Set(teamUsed)],
+        total,
+        limit: maxCost,
+        over: total - maxCost,
+      });
+    }
+  }
+
+  return violations;
+}
+
+/**
+ * Validate both teams of a match.
+ * @param {{team1: Array, team2: Array, team1Name?: string, team2Name?: string}} match
+ * @param {Object} ruleset - Normalized ruleset from resolveRuleset
+ * @param {Map} catalog - From createCapsuleCatalog
+ * @param {Object} [context] - { transformations, characterNames, rosters }; team names come from the match
+ * @returns {{team1: Array<Object>, team2: Array<Object>, valid: boolean}}
+ */
+export function validateMatch(match, ruleset, catalog, context = {}) {
+  const team1 = validateTeam(match?.team1 || [], ruleset, catalog, { ...context, teamName: match?.team1Name });
+  const team2 = validateTeam(match?.team2 || [], ruleset, catalog, { ...context, teamName: match?.team2Name });
+  const valid = ![...team1, ...team2].some((v) => isEnforced(v, ruleset));
+  return { team1, team2, valid };
+}
+
+/**
+ * Violations that concern one character: its own, plus team-scope ones involving its capsules.
+ * @param {Array<Object>} teamViolations - From validateTeam
+ * @param {number} characterIndex
+ * @param {Array|Object} character - The character's capsule ids or { capsules }
+ * @returns {Array<Object>}
+ */
+export function violationsForCharacter(teamViolations, characterIndex, character) {
+  const used = new Set(capsulesOf(character));
+  return (teamViolations || []).filter((v) =>
+    v.scope === 'character'
+      ? v.characterIndex === characterIndex
+      : v.capsuleIds.some((id) => used.has(id))
+  );
+}
+
+/**
+ * Filter candidate capsules down to the ones a slot may hold without breaking an enforced rule.
+ * A candidate is rejected when placing it produces an enforced violation that involves it;
+ * the slot's current capsule is always kept so existing selections stay visible.
+ * @param {Array<Object>} candidates - Capsule rows with an `id`
+ * @param {Object} options
+ * @param {Object} options.ruleset - Normalized ruleset
+ * @param {Array} options.team - The team the character belongs to
+ * @param {number} options.characterIndex - Character position within the team
+ * @param {number} options.slotIndex - Capsule slot being filled
+ * @param {Map} options.catalog - From createCapsuleCatalog
+ * @param {Object} [options.context] - { transformations, characterNames, rosters, teamName }
+ * @returns {Array<Object>} the allowed candidates
+ */
+export function getAllowedCapsules(candidates, { ruleset, team, characterIndex, slotIndex, catalog, context = {} }) {
+  const list = (candidates || []).filter(Boolean);
+  if (!ruleset) return list;
+  const members = (team || []).map((ch) => (Array.isArray(ch) ? ch : ch?.capsules || []));
+  const slots = [...(members[characterIndex] || [])];
+  const current = slots[slotIndex] || '';
+
+  return list.filter((candidate) => {
+    if (candidate.id === current) return true;
+    slots[slotIndex] = candidate.id;
+    const trial = members.map((ch, idx) => (idx === characterIndex ? slots : ch));
+    // Other characters' own violations can't involve this slot, so only re-check this one
+    return ![
+      ...validateCharacter(slots, ruleset, catalog, characterIndex, context),
+      ...validateTeamScope(trial, ruleset, catalog, context),
+    ].some((v) => isEnforced(v, ruleset) && v.capsuleIds.includes(candidate.id));
+  });
+}
+
+/**
+ * Filter candidate characters down to the ones a team may pick without breaking an enforced rule.
+ * @param {Array<Object>} candidates - Character rows with an `id`
+ * @param {Object} options
+ * @param {Object} options.ruleset - Normalized ruleset
+ * @param {Object} [options.context] - { transformations, characterNames, rosters, teamName }
+ * @param {string} [options.current] - The slot's current character, always kept
+ * @returns {Array<Object>} the allowed candidates
+ */
+export function getAllowedCharacters(candidates, { ruleset, context = {}, current } = {}) {
+  const list = (candidates || []).filter(Boolean);
+  if (!ruleset) return list;
+  return list.filter((candidate) =>
+    !candidate.id ||
+    candidate.id === current ||
+    !validateCharacter({ id: candidate.id }, ruleset, new Map(), undefined, context).some((v) => isEnforced(v, ruleset))
+  );
+}
@@ -0,0 +1,300 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  createCapsuleCatalog,
+  resolveRuleset,
+  listRulesets,
+  validateCharacter,
+  validateTeam,
+  validateMatch,
+  violationsForCharacter,
+  getAllowedCapsules,
+  getAllowedCharacters,
+  characterCost,
+  createFormIndex,
+  rostersFromTeams,
+} from '../src/index.js';
+
+const catalog = createCapsuleCatalog([
+  { 'Item Names': 'Master Roshi Training', ID: '00_0_0000', Cost: '1' },
+  { 'Item Names': 'Rush Attack Boost 1', ID: '00_0_0005', Cost: '1' },
+  { 'Item Names': 'Rush Attack Boost 3', ID: '00_0_0007', Cost: '3' },
+  { 'Item Names': 'Blast Attack Boost 3', ID: '00_0_0017', Cost: '4' },
+  { id: 'big', name: 'Big Capsule', cost: 9 },
+  { id: 'banned', name: 'Banned Capsule', cost: 1 },
+  { id: 'other-exclusive', name: 'Other Exclusive', cost: 2 },
+]);
+
+const makeRuleset = (restrictions, extra = {}) =>
+  resolveRuleset({ rulesets: { Test: { mode: 'hard', scope: 'per-character', totalCost: 20, restrictions, ...extra } } });
+
+const types = (violations) => violations.map((v) => v.type);
+
+test('resolveRuleset picks the requested key, then the default, then the first', () => {
+  const doc = {
+    default: 'B',
+    rulesets: { A: { metadata: { name: 'Alpha' }, mode: 'hard' }, B: { mode: 'soft', totalCost: 15 } },
+  };
+  assert.equal(resolveRuleset(doc, 'A').name, 'Alpha');
+  assert.equal(resolveRuleset(doc, 'missing').key, 'B');
+  assert.equal(resolveRuleset(doc).totalCost, 15);
+  assert.equal(resolveRuleset({ rulesets: { Only: {} } }).key, 'Only');
+  assert.equal(resolveRuleset(null), null);
+  assert.deepEqual(listRulesets(doc).map((r) => r.mode), ['hard', 'soft']);
+});
+
+test('createCapsuleCatalog reads CSV headers and parsed rows', () => {
+  assert.deepEqual(catalog.get('00_0_0007'), { id: '00_0_0007', name: 'Rush Attack Boost 3', cost: 3 });
+  assert.equal(characterCost(['00_0_0007', '', 'big'], catalog), 12);
+});
+
+test('total-cost flags characters over the per-character budget', () => {
+  const ruleset = makeRuleset([], { totalCost: 10 });
+  const [v] = validateCharacter(['big', '00_0_0007'], ruleset, catalog);
+  assert.equal(v.type, 'total-cost');
+  assert.equal(v.over, 2);
+  assert.deepEqual(validateCharacter(['big', '00_0_0000'], ruleset, catalog), []);
+});
+
+test('total-cost is skipped when the ruleset scope is not per-character', () => {
+  const ruleset = makeRuleset([], { totalCost: 5, scope: 'none' });
+  assert.deepEqual(validateCharacter(['big'], ruleset, catalog), []);
+});
+
+test('banned-ids reports each banned capsule once', () => {
+  const ruleset = makeRuleset([{ type: 'banned-ids', params: { ids: ['banned'] } }]);
+  const violations = validateCharacter(['banned', 'banned', '00_0_0000'], ruleset, catalog);
+  assert.deepEqual(types(violations), ['banned-ids']);
+  assert.deepEqual(violations[0].capsuleIds, ['banned']);
+});
+
+test('unique-per-character flags repeated capsules on one character', () => {
+  const ruleset = makeRuleset([{ type: 'unique-per-character', params: { enabled: true } }]);
+  const violations = validateCharacter(['00_0_0000', '00_0_0000'], ruleset, catalog);
+  assert.deepEqual(types(violations), ['unique-per-character']);
+  assert.equal(violations[0].count, 2);
+  const disabled = makeRuleset([{ type: 'unique-per-character', params: { enabled: false } }]);
+  assert.deepEqual(validateCharacter(['00_0_0000', '00_0_0000'], disabled, catalog), []);
+});
+
+test('unique-per-team flags a capsule shared between teammates', () => {
+  const ruleset = makeRuleset([{ type: 'unique-per-team', params: { enabled: true } }]);
+  const violations = validateTeam([['00_0_0000'], ['00_0_0000'], ['00_0_0005']], ruleset, catalog);
+  assert.deepEqual(types(violations), ['unique-per-team']);
+  assert.equal(violations[0].scope, 'team');
+});
+
+test('max-same-per-team allows up to maxCount copies', () => {
+  const ruleset = makeRuleset([{ type: 'max-same-per-team', params: { maxCount: 2 } }]);
+  assert.deepEqual(validateTeam([['00_0_0005'], ['00_0_0005']], ruleset, catalog), []);
+  const violations = validateTeam([['00_0_0005'], ['00_0_0005'], ['00_0_0005']], ruleset, catalog);
+  assert.deepEqual(types(violations), ['max-same-per-team']);
+  assert.equal(violations[0].count, 3);
+});
+
+test('max-same-per-team defaults maxCount to 2', () => {
+  const ruleset = makeRuleset([{ type: 'max-same-per-team' }]);
+  assert.equal(validateTeam([['00_0_0005', '00_0_0005', '00_0_0005']], ruleset, catalog).length, 1);
+});
+
+test('max-cost-group-per-character caps the combined cost of the group', () => {
+  const ruleset = makeRuleset([
+    { type: 'max-cost-group-per-character', params: { groupIds: ['00_0_0007', '00_0_0017'], maxCost: 6 } },
+  ]);
+  assert.deepEqual(validateCharacter(['00_0_0007', 'big'], ruleset, catalog), []);
+  const [v] = validateCharacter(['00_0_0007', '00_0_0017'], ruleset, catalog);
+  assert.equal(v.type, 'max-cost-group-per-character');
+  assert.equal(v.total, 7);
+  assert.deepEqual(v.capsuleIds.sort(), ['00_0_0007', '00_0_0017']);
+});
+
+test('mutually-exclusive-team rejects mixing groups and over-filling a group', () => {
+  const ruleset = makeRuleset([
+    {
+      type: 'mutually-exclusive-team',
+      params: { groups: [{ ids: ['00_0_0000'], maxCount: 2 }, { ids: ['other-exclusive'], maxCount: 1 }] },
+    },
+  ]);
+  assert.deepEqual(validateTeam([['00_0_0000'], ['00_0_0000']], ruleset, catalog), []);
+
+  const mixed = validateTeam([['00_0_0000'], ['other-exclusive']], ruleset, catalog);
+  assert.deepEqual(mixed.map((v) => v.code), ['mixed-groups']);
+  assert.match(mixed[0].message, /Master Roshi Training and Other Exclusive/);
+
+  const overfilled = validateTeam([['00_0_0000'], ['00_0_0000'], ['00_0_0000']], ruleset, catalog);
+  assert.deepEqual(overfilled.map((v) => v.code), ['group-count']);
+});
+
+test('validateTeam tags character violations with their index', () => {
+  const ruleset = makeRuleset([], { totalCost: 5 });
+  const violations = validateTeam([['00_0_0000'], { capsules: ['big', ''] }], ruleset, catalog);
+  assert.equal(violations.length, 1);
+  assert.equal(violations[0].characterIndex, 1);
+});
+
+test('violationsForCharacter keeps its own and team violations touching its capsules', () => {
+  const ruleset = makeRuleset([{ type: 'max-same-per-team', params: { maxCount: 1 } }], { totalCost: 5 });
+  const team = [['00_0_0005'], ['00_0_0005', 'big'], ['00_0_0000']];
+  const violations = validateTeam(team, ruleset, catalog);
+  assert.deepEqual(types(violationsForCharacter(violations, 0, team[0])), ['max-same-per-team']);
+  assert.deepEqual(types(violationsForCharacter(violations, 1, team[1])).sort(), ['max-same-per-team', 'total-cost']);
+  assert.deepEqual(violationsForCharacter(violations, 2, team[2]), []);
+});
+
+test('validateMatch is invalid only when an enforced violation exists', () => {
+  const restrictions = [{ type: 'max-same-per-team', params: { maxCount: 1 } }];
+  const match = { team1: [['00_0_0005'], ['00_0_0005']], team2: [] };
+  const hard = validateMatch(match, makeRuleset(restrictions), catalog);
+  assert.equal(hard.valid, false);
+  assert.equal(hard.team1.length, 1);
+  const soft = validateMatch(match, makeRuleset(restrictions, { mode: 'soft' }), catalog);
+  assert.equal(soft.valid, true);
+  assert.equal(soft.team1.length, 1);
+});
+
+test('getAllowedCapsules hides candidates that would break an enforced rule', () => {
+  const ruleset = makeRuleset([
+    { type: 'banned-ids', params: { ids: ['banned'] } },
+    { type: 'unique-per-character', params: { enabled: true } },
+    { type: 'max-cost-group-per-character', params: { groupIds: ['00_0_0007', '00_0_0017'], maxCost: 6 } },
+  ], { totalCost: 12 });
+  const all = [...catalog.values()];
+  const allowed = getAllowedCapsules(all, {
+    ruleset,
+    team: [['00_0_0007', '00_0_0000', '']],
+    characterIndex: 0,
+    slotIndex: 2,
+    catalog,
+  }).map((c) => c.id);
+  // banned, duplicate Roshi, group overflow (3 + 4) and over budget (4 + 9) are filtered out
+  assert.deepEqual(allowed.sort(), ['00_0_0005', 'other-exclusive']);
+});
+
+test('getAllowedCapsules keeps the current selection and relaxes hard-only rules in soft mode', () => {
+  const restrictions = [
+    { type: 'banned-ids', params: { ids: ['banned'] } },
+    { type: 'max-same-per-team', params: { maxCount: 1 } },
+  ];
+  const team = [['banned'], ['00_0_0005']];
+  const options = { team, characterIndex: 0, slotIndex: 0, catalog };
+  const candidates = [...catalog.values()];
+
+  const hard = getAllowedCapsules(candidates, { ...options, ruleset: makeRuleset(restrictions) }).map((c) => c.id);
+  assert.ok(hard.includes('banned'));
+  assert.ok(!hard.includes('00_0_0005'));
+
+  const soft = getAllowedCapsules(candidates, { ...options, slotIndex: 1, ruleset: makeRuleset(restrictions, { mode: 'soft' }) }).map((c) => c.id);
+  assert.ok(soft.includes('00_0_0005'));
+  assert.ok(!soft.includes('banned'));
+});
+
+test('rules from referencedata-shaped documents resolve without optional params', () => {
+  const ruleset = resolveRuleset({ rulesets: { Loose: { restrictions: [{ type: 'unique-per-team' }, null] } } });
+  assert.equal(ruleset.mode, 'soft');
+  assert.equal(ruleset.restrictions.length, 1);
+  assert.equal(validateTeam([['00_0_0000'], ['00_0_0000']], ruleset, catalog).length, 1);
+});
+
+const transformations = {
+  _comment: 'ignored',
+  '0000_20': { name: 'Goku (Z - End)', transformsTo: ['0000_21', '0000_22', '0000_23'] },
+  '0000_21': { name: 'Goku (Z - End) Super Saiyan', transformsTo: ['0000_22', '0000_23', '0000_20'] },
+  '0000_22': { name: 'Goku (Z - End) Super Saiyan 2', transformsTo: ['0000_23', '0000_20'] },
+  '0000_23': { name: 'Goku (Z - End) Super Saiyan 3', transformsTo: ['0000_20'] },
+  '0930_00': { name: 'Jiren', transformsTo: ['0931_00'] },
+  '0931_00': { name: 'Jiren Full Power', transformsTo: [] },
+  '0130_00': { name: 'Videl', transformsTo: [] },
+};
+
+const rosters = rostersFromTeams({
+  teams: [
+    { id: 'z-fighters', name: 'Z-Fighters', aliases: ['The Z-Fighters'], roster: ['Goku (Z - End)', 'Videl'] },
+    { id: 'open', name: 'Open', roster: [] },
+  ],
+});
+
+const pick = (id, capsules = []) => ({ id, capsules });
+
+test('createFormIndex finds base forms and counts depth along the longest chain', () => {
+  const forms = createFormIndex(transformations);
+  assert.equal(forms.get('0000_22').baseId, '0000_20');
+  assert.deepEqual(['0000_20', '0000_21', '0000_22', '0000_23'].map((id) => forms.get(id).depth), [0, 1, 2, 3]);
+  assert.equal(forms.get('0931_00').baseName, 'Jiren');
+  assert.equal(forms.has('_comment'), false);
+  assert.equal(createFormIndex(transformations), forms);
+});
+
+test('banned-characters bans every form, banned-starting-forms only the pick', () => {
+  const ruleset = makeRuleset([
+    { type: 'banned-characters', params: { names: ['Goku (Z - End)'] } },
+    { type: 'banned-starting-forms', params: { ids: ['0931_00'] } },
+  ]);
+  const context = { transformations };
+  assert.deepEqual(types(validateCharacter(pick('0000_22'), ruleset, catalog, 0, context)), ['banned-characters']);
+  assert.deepEqual(types(validateCharacter(pick('0931_00'), ruleset, catalog, 0, context)), ['banned-starting-forms']);
+  assert.deepEqual(validateCharacter(pick('0930_00'), ruleset, catalog, 0, context), []);
+  const [v] = validateCharacter(pick('0931_00'), ruleset, catalog, 2, context);
+  assert.equal(v.characterId, '0931_00');
+  assert.deepEqual(v.capsuleIds, []);
+});
+
+test('max-transformation-depth limits how far the starting form is from its base', () => {
+  const ruleset = makeRuleset([{ type: 'max-transformation-depth', params: { maxDepth: 1 } }]);
+  const context = { transformations };
+  assert.deepEqual(validateCharacter(pick('0000_21'), ruleset, catalog, 0, context), []);
+  const [v] = validateCharacter(pick('0000_23'), ruleset, catalog, 0, context);
+  assert.equal(v.type, 'max-transformation-depth');
+  assert.equal(v.total, 3);
+});
+
+test('team-roster-only checks the roster of the team being validated', () => {
+  const ruleset = makeRuleset([{ type: 'team-roster-only', params: { enabled: true } }]);
+  const team = [pick('0000_23'), pick('0930_00')];
+  const violations = validateTeam(team, ruleset, catalog, { transformations, rosters, teamName: 'Z-Fighters' });
+  assert.deepEqual(violations.map((v) => [v.type, v.characterIndex]), [['team-roster-only', 1]]);
+  assert.deepEqual(validateTeam(team, ruleset, catalog, { transformations, rosters, teamName: 'Open' }), []);
+  assert.equal(rosters['The Z-Fighters'], rosters['Z-Fighters']);
+});
+
+test('restrictions with params.teams apply only to the listed teams', () => {
+  const ruleset = makeRuleset([{ type: 'banned-starting-forms', params: { ids: ['0931_00'], teams: ['Z-Fighters'] } }]);
+  const match = { team1: [pick('0931_00')], team2: [pick('0931_00')], team1Name: 'Z-Fighters', team2Name: 'Open' };
+  const result = validateMatch(match, ruleset, catalog, { transformations });
+  assert.equal(result.team1.length, 1);
+  assert.equal(result.team2.length, 0);
+  assert.equal(result.valid, false);
+});
+
+test('team-cost-pool caps the combined capsule cost of the team', () => {
+  const ruleset = makeRuleset([{ type: 'team-cost-pool', params: { maxCost: 10 } }]);
+  assert.deepEqual(validateTeam([['big'], ['00_0_0000']], ruleset, catalog), []);
+  const [v] = validateTeam([['big'], ['00_0_0000', '00_0_0005']], ruleset, catalog);
+  assert.equal(v.type, 'team-cost-pool');
+  assert.equal(v.scope, 'team');
+  assert.equal(v.over, 1);
+
+  const allowed = getAllowedCapsules([...catalog.values()], {
+    ruleset,
+    team: [['big'], ['']],
+    characterIndex: 1,
+    slotIndex: 0,
+    catalog,
+  }).map((c) => c.id);
+  assert.deepEqual(allowed.sort(), ['00_0_0000', '00_0_0005', 'banned']);
+});
+
+test('getAllowedCharacters hides banned picks and relaxes roster and depth rules in soft mode', () => {
+  const restrictions = [
+    { type: 'banned-starting-forms', params: { ids: ['0931_00'] } },
+    { type: 'max-transformation-depth', params: { maxDepth: 1 } },
+    { type: 'team-roster-only' },
+  ];
+  const candidates = Object.keys(transformations).filter((id) => !id.startsWith('_')).map((id) => ({ id }));
+  const context = { transformations, rosters, teamName: 'Z-Fighters' };
+
+  const hard = getAllowedCharacters(candidates, { ruleset: makeRuleset(restrictions), context }).map((c) => c.id);
+  assert.deepEqual(hard.sort(), ['0000_20', '0000_21', '0130_00']);
+
+  const soft = getAllowedCharacters(candidates, { ruleset: makeRuleset(restrictions, { mode: 'soft' }), context, current: '0931_00' }).map((c) => c.id);
+  assert.deepEqual(soft.sort(), ['0000_20', '0000_21', '0000_22', '0000_23', '0130_00', '0930_00', '0931_00']);
+});
@@ -0,0 +1,8 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { outdatedCopies } from '../../../vercel-api/scripts/sync-packages.js';
+
+// The submission API deploys copies of the shared packages; see vercel-api/scripts/sync-packages.js
+test('vercel-api copies of the shared packages match their sources', () => {
+  assert.deepEqual(outdatedCopies(), [], 'run `npm run sync-packages` in vercel-api/');
+});
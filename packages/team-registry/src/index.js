@@ -0,0 +1,55 @@
+// Canonical league teams from referencedata/teams.json.
+//
+// Team names reach the apps from several places that don't always agree: battle result tags,
+// the submit form, the website's season YAML and the calculator's team lists. Every team has a
+// stable `id`, a display `name` and any `aliases` it has been written as; resolve() maps any
+// of them back to the team. Like the rules engine, this has no dependencies: callers load the
+// JSON themselves and pass the parsed document in.
+
+/**
+ * Normalize a team name for lookups: case, surrounding spaces, "&" vs "and" and a
+ * leading "The" don't matter ("The Z-Fighters" and "z-fighters" are the same team).
+ * @param {string} name
+ * @returns {string}
+ */
+export function normalizeTeamName(name) {
+  return String(name ?? '')
+    .trim()
+    .toLowerCase()
+    .replace(/\s*&\s*/g, ' and ')
+    .replace(/^the\s+/, '')
+    .replace(/\s+/g, ' ');
+}
+
+/**
+ * Build a lookup over the registry.
+ * @param {Object|Array} data - Parsed referencedata/teams.json, or its `teams` array
+ * @returns {{teams: Array<Object>, resolve: Function, canonicalName: Function, isAlias: Function, get: Function}}
+ */
+export function createTeamRegistry(data) {
+  const teams = (Array.isArray(data) ? data : data?.teams || []).filter((t) => t && t.id && t.name);
+  const byId = new Map(teams.map((t) => [t.id, t]));
+  const byName = new Map();
+  teams.forEach((team) => {
+    [team.id, team.name, ...(team.aliases || [])].forEach((n) => {
+      const key = normalizeTeamName(n);
+      if (key && !byName.has(key)) byName.set(key, team);
+    });
+  });
+
+  /** Team for an id, display name or alias, or null when unknown. */
+  const resolve = (name) => (name == null ? null : byId.get(name) || byName.get(normalizeTeamName(name)) || null);
+
+  return {
+    teams,
+    resolve,
+    get: (id) => byId.get(id) || null,
+    /** Display name for a known team; unknown names come back trimmed but otherwise unchanged. */
+    canonicalName: (name) => resolve(name)?.name ?? String(name ?? '').trim(),
+    /** True when the name resolves to a team but isn't written as its display name. */
+    isAlias: (name) => {
+      const team = resolve(name);
+      return !!team && String(name).trim() !== team.name;
+    },
+  };
+}
@@ -0,0 +1,43 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { createTeamRegistry, normalizeTeamName } from '../src/index.js';
+
+const registry = createTeamRegistry(JSON.parse(readFileSync(new URL('../../../referencedata/teams.json', import.meta.url), 'utf8')));
+
+test('normalizeTeamName ignores case, "&" vs "and" and a leading "The"', () => {
+  assert.equal(normalizeTeamName(' The  Z-Fighters '), 'z-fighters');
+  assert.equal(normalizeTeamName('Master & Student'), normalizeTeamName('master and student'));
+});
+
+test('aliases and ids resolve to the canonical team', () => {
+  assert.equal(registry.canonicalName('Master and Student'), 'Master & Student');
+  assert.equal(registry.canonicalName('Sentai'), 'Sentai Squad');
+  assert.equal(registry.canonicalName('The Cold Kingdom'), 'Cold Kingdom');
+  assert.equal(registry.resolve('z-fighters').name, 'Z-Fighters');
+  assert.equal(registry.get('sentai-squad').name, 'Sentai Squad');
+});
+
+test('isAlias flags names that resolve but are not the display name', () => {
+  assert.equal(registry.isAlias('Sentai'), true);
+  assert.equal(registry.isAlias('Sentai Squad'), false);
+  assert.equal(registry.isAlias('Nobody'), false);
+});
+
+test('unknown names resolve to null and keep their spelling', () => {
+  assert.equal(registry.resolve('Free Agents'), null);
+  assert.equal(registry.canonicalName(' Free Agents '), 'Free Agents');
+});
+
+test('every team has a unique id, name and alias', () => {
+  const seen = new Set();
+  registry.teams.forEach((team) => {
+    [team.id, team.name, ...team.aliases].forEach((n) => {
+      const key = normalizeTeamName(n);
+      assert.ok(!seen.has(key) || registry.resolve(n) === team, `${n} is used by more than one team`);
+      seen.add(key);
+    });
+    assert.match(team.color, /^#[0-9a-f]{6}$/i);
+    assert.ok(Array.isArray(team.roster));
+  });
+});
@@ -1,5 +1,7 @@
 // Get detailed information about a specific submission including file contents
 
+import { loadCapsuleRules, buildComplianceReport } from '../../lib/capsuleRules.js';
+
 function cors(res) {
   res.setHeader('Access-Control-Allow-Origin', '*');
   res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
@@ -77,6 +79,16 @@ function extractTeamData(jsonContent) {
   }
 }
 
+function checkCompliance(jsonContent, capsuleRules) {
+  if (!capsuleRules) return null;
+  try {
+    const data = JSON.parse(jsonContent.replace(/^\uFEFF/, ''));
+    return data.TeamBattleResults ? buildComplianceReport(data.TeamBattleResults, capsuleRules) : null;
+  } catch {
+    return null;
+  }
+}
+
 export default async function handler(req, res) {
   cors(res);
   
@@ -122,6 +134,13 @@ export default async function handler(req, res) {
     }
     
     const filesData = await filesResp.json();
+
+    let capsuleRules = null;
+    try {
+      capsuleRules = await loadCapsuleRules();
+    } catch (err) {
+      console.warn('Capsule rules unavailable, skipping compliance checks:', err.message);
+    }
     
     // Fetch content for each file and extract team data
     const filesWithContent = await Promise.all(
@@ -183,6 +202,7 @@ export default async function handler(req, res) {
           
           // Extract team data
           const teamData = extractTeamData(content);
+          const compliance = checkCompliance(content, capsuleRules);
 
           return {
             filename: file.filename,
@@ -192,6 +212,7 @@ export default async function handler(req, res) {
             changes: file.changes,
             content: content,
             teamData: teamData,
+            compliance: compliance,
             exists: exists,
             size: contentData.size
           };
@@ -1,13 +1,15 @@
 // Validate JSON files before upload
 // Returns detailed validation results for frontend to show users
 
+import { loadCapsuleRules, buildComplianceReport } from '../lib/capsuleRules.js';
+
 function cors(res) {
   res.setHeader('Access-Control-Allow-Origin', '*');
   res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
   res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
 }
 
-function validateJsonFile(filename, base64Content) {
+function validateJsonFile(filename, base64Content, capsuleRules) {
   const result = {
     filename,
     valid: true,
@@ -126,6 +128,18 @@ function validateJsonFile(filename, base64Content) {
     if (brResultFields.length === 0) {
       result.warnings.push('No recognized battle result fields in TeamBattleResults.battleResult');
     }
+
+    // Capsule rule violations are reported, not rejected: results are what was actually played
+    if (capsuleRules) {
+      try {
+        result.compliance = buildComplianceReport(tbr, capsuleRules);
+        if (!result.compliance.compliant) {
+          result.warnings.push(`${result.compliance.violationCount} capsule rule violation(s) under the "${capsuleRules.ruleset.name}" ruleset`);
+        }
+      } catch (e) {
+        result.warnings.push(`Capsule rules compliance could not be checked: ${e.message}`);
+      }
+    }
   } else if (foundFields.length === 0) {
     result.warnings.push('No recognized battle result fields detected');
   } else {
@@ -187,6 +201,14 @@ export default async function handler(req, res) {
   const fileNames = new Set();
   const allErrors = [];
 
+  let capsuleRules = null;
+  try {
+    capsuleRules = await loadCapsuleRules();
+  } catch (err) {
+    console.warn('Capsule rules unavailable, skipping rule checks:', err.message);
+    results.rulesUnavailable = true;
+  }
+
   for (const f of files) {
     if (!f.name || !f.content) {
       allErrors.push('Each file must have name and content');
@@ -199,7 +221,7 @@ export default async function handler(req, res) {
     }
     fileNames.add(f.name);
 
-    const fileResult = validateJsonFile(f.name, f.content);
+    const fileResult = validateJsonFile(f.name, f.content, capsuleRules);
     results.fileResults.push(fileResult);
 
     if (fileResult.valid) {
@@ -0,0 +1,171 @@
+// Loads the league capsule ruleset for the API from the repository's referencedata/
+// Env: GITHUB_TOKEN (optional, raises rate limits), OWNER (default DragonBallZLeague), REPO (default SparkingZero), BRANCH (default dev-branch)
+
+import yaml from 'js-yaml';
+import { resolveRuleset, createCapsuleCatalog, validateMatch, rostersFromTeams } from './packages/rules-engine/index.js';
+import { createTeamRegistry } from './packages/team-registry/index.js';
+
+const CACHE_TTL_MS = 5 * 60 * 1000;
+let cached = null;
+
+async function fetchReferenceFile(path) {
+  const owner = process.env.OWNER || 'DragonBallZLeague';
+  const repo = process.env.REPO || 'SparkingZero';
+  const branch = process.env.BRANCH || 'dev-branch';
+  const headers = {
+    Accept: 'application/vnd.github.raw',
+    'User-Agent': 'SparkingZero-Uploader'
+  };
+  if (process.env.GITHUB_TOKEN) headers.Authorization = `Bearer ${process.env.GITHUB_TOKEN}`;
+
+  const r = await fetch(`https://api.github.com/repos/${owner}/${repo}/contents/${path}?ref=${branch}`, { headers });
+  if (!r.ok) throw new Error(`Failed to fetch ${path}: ${r.status}`);
+  return r.text();
+}
+
+// capsules.csv has quoted, multi-line Effect values; only Item Names / ID / Type / Cost are needed here
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+  const src = text.replace(/^\uFEFF/, '');
+  for (let i = 0; i < src.length; i++) {
+    const ch = src[i];
+    if (inQuotes) {
+      if (ch === '"' && src[i + 1] === '"') { field += '"'; i++; }
+      else if (ch === '"') inQuotes = false;
+      else field += ch;
+    } else if (ch === '"') inQuotes = true;
+    else if (ch === ',') { row.push(field); field = ''; }
+    else if (ch === '\n') { row.push(field); rows.push(row); row = []; field = ''; }
+    else if (ch !== '\r') field += ch;
+  }
+  if (field || row.length) { row.push(field); rows.push(row); }
+  return rows;
+}
+
+function parseCapsulesCsv(text) {
+  const [header, ...body] = parseCsv(text);
+  const col = (name) => header.findIndex(h => h.trim() === name);
+  const [nameIdx, idIdx, typeIdx, costIdx] = ['Item Names', 'ID', 'Type', 'Cost'].map(col);
+  return body
+    .filter(r => (r[typeIdx] || '').trim() === 'Capsule')
+    .map(r => ({ id: r[idIdx].trim(), name: r[nameIdx].trim(), cost: Number(r[costIdx]) || 0 }));
+}
+
+function parseCharactersCsv(text) {
+  const [, ...body] = parseCsv(text);
+  return new Map(body.filter(r => r[1]).map(r => [r[1].trim(), r[0].trim()]));
+}
+
+/**
+ * Active ruleset, capsule catalog, character names, transformations, team rosters and the
+ * team registry, cached for a few minutes per function instance.
+ * @returns {Promise<{ruleset: Object, catalog: Map, characterNames: Map, transformations: Object, rosters: Object, registry: Object}>}
+ */
+export async function loadCapsuleRules() {
+  if (cached && Date.now() - cached.loadedAt < CACHE_TTL_MS) return cached;
+
+  const [rulesText, capsulesText, charactersText, transformationsText, teamsText] = await Promise.all([
+    fetchReferenceFile('referencedata/capsule-rules.yaml'),
+    fetchReferenceFile('referencedata/capsules.csv'),
+    fetchReferenceFile('referencedata/characters.csv'),
+    fetchReferenceFile('referencedata/transformations.json'),
+    fetchReferenceFile('referencedata/teams.json')
+  ]);
+  const ruleset = resolveRuleset(yaml.load(rulesText));
+  if (!ruleset) throw new Error('capsule-rules.yaml has no rulesets');
+  const teams = JSON.parse(teamsText);
+
+  cached = {
+    ruleset,
+    catalog: createCapsuleCatalog(parseCapsulesCsv(capsulesText)),
+    characterNames: parseCharactersCsv(charactersText),
+    transformations: JSON.parse(transformationsText),
+    rosters: rostersFromTeams(teams),
+    registry: createTeamRegistry(teams),
+    loadedAt: Date.now()
+  };
+  return cached;
+}
+
+// Capsule builds per team from a battleResult.characterRecord
+// Team 1 is the 1P lead plus AlliesTeamMember slots, team 2 the 2P lead plus EnemyTeamMember slots
+function extractTeamBuilds(battleResult) {
+  const teams = { team1: [], team2: [] };
+  for (const [key, record] of Object.entries(battleResult?.characterRecord || {})) {
+    const play = record?.battlePlayCharacter;
+    const characterId = play?.character?.key;
+    if (typeof characterId !== 'string' || !characterId || characterId === 'None') continue;
+    const capsules = (Array.isArray(play.equipItem) ? play.equipItem : [])
+      .map(item => item?.key)
+      .filter(id => typeof id === 'string' && id.startsWith('00_0_'));
+    const build = { characterId, capsules };
+    if (key.includes('１Ｐ') || key.includes('AlliesTeamMember')) teams.team1.push(build);
+    else if (key.includes('２Ｐ') || key.includes('EnemyTeamMember')) teams.team2.push(build);
+  }
+  return teams;
+}
+
+/**
+ * Capsule rules compliance for one battle result file.
+ * Each character lists its own violations plus team-wide ones its capsules take part in,
+ * with capsule names instead of IDs so the report can be shown as-is.
+ * @param {Object} teamBattleResults - The file's TeamBattleResults object
+ * @param {Object} rules - From loadCapsuleRules()
+ * @returns {Object} { ruleset, compliant, violationCount, characters, teamViolations }
+ */
+export function buildComplianceReport(teamBattleResults, { ruleset, catalog, characterNames, transformations, rosters, registry }) {
+  const teams = extractTeamBuilds(teamBattleResults?.battleResult);
+  // Older files may name a team by an alias; team rules are keyed by the canonical name
+  const rawTeams = Array.isArray(teamBattleResults?.teams) ? teamBattleResults.teams : [];
+  const teamNames = rawTeams.map(name => (typeof name !== 'string' ? undefined : registry ? registry.canonicalName(name) : name));
+  const result = validateMatch(
+    { ...teams, team1Name: teamNames[0], team2Name: teamNames[1] },
+    ruleset,
+    catalog,
+    { transformations, characterNames, rosters }
+  );
+  const nameOf = id => catalog.get(id)?.name || id;
+
+  const characters = [];
+  const teamViolations = [];
+  ['team1', 'team2'].forEach((team, teamIdx) => {
+    const teamName = teamNames[teamIdx] || (teamIdx === 0 ? 'Team 1' : 'Team 2');
+    const violations = result[team];
+
+    teams[team].forEach((build, idx) => {
+      const used = new Set(build.capsules);
+      characters.push({
+        team,
+        teamName,
+        characterId: build.characterId,
+        characterName: characterNames.get(build.characterId) || build.characterId,
+        totalCost: build.capsules.reduce((sum, id) => sum + (catalog.get(id)?.cost || 0), 0),
+        capsules: build.capsules.map(nameOf),
+        violations: violations
+          .filter(v => (v.scope === 'character' ? v.characterIndex === idx : v.capsuleIds.some(id => used.has(id))))
+          .map(v => ({
+            type: v.type,
+            scope: v.scope,
+            message: v.message,
+            capsules: v.capsuleIds.filter(id => used.has(id)).map(nameOf)
+          }))
+      });
+    });
+
+    violations
+      .filter(v => v.scope === 'team')
+      .forEach(v => teamViolations.push({ team, teamName, type: v.type, message: v.message, capsules: v.capsuleIds.map(nameOf) }));
+  });
+
+  const violationCount = result.team1.length + result.team2.length;
+  return {
+    ruleset: { key: ruleset.key, name: ruleset.name, mode: ruleset.mode },
+    compliant: violationCount === 0,
+    violationCount,
+    characters,
+    teamViolations
+  };
+}
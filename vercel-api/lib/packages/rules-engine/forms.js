@@ -0,0 +1,95 @@
+// Copied from packages/rules-engine/src/forms.js by vercel-api/scripts/sync-packages.js. Edit the original.
+// Transformation groups built from referencedata/transformations.json.
+//
+// transformations.json maps each character id to the forms it can transform into, with
+// back-edges to the base form (Goku (Z - End) Super Saiyan 2 -> Goku (Z - End)). The rules
+// need two things from it: which group a starting form belongs to, and how far that form
+// sits from the group's base form.
+
+const formIndexCache = new WeakMap();
+
+const isEntry = (id, entry) => !id.startsWith('_') && entry && typeof entry === 'object';
+
+// The base form is the one nothing else transforms into or, when forms link back to it,
+// the one with the most ways out; remaining ties go to the plainest (shortest) name.
+function pickBaseForm(groupIds, edges, incoming, transformations) {
+  const score = (id) => [incoming.get(id)?.size ? 1 : 0, -(edges.get(id)?.length || 0), (transformations[id].name || id).length];
+  return [...groupIds].sort((a, b) => {
+    const sa = score(a);
+    const sb = score(b);
+    return sa[0] - sb[0] || sa[1] - sb[1] || sa[2] - sb[2] || a.localeCompare(b);
+  })[0];
+}
+
+// Longest path from the base to every form without revisiting a form, so
+// Super Saiyan 3 counts as three steps even though the base can jump straight to it.
+function formDepths(baseId, edges) {
+  const depths = new Map([[baseId, 0]]);
+  const walk = (id, depth, seen) => {
+    for (const next of edges.get(id) || []) {
+      if (seen.has(next) || !edges.has(next)) continue;
+      if ((depths.get(next) ?? -1) < depth + 1) depths.set(next, depth + 1);
+      seen.add(next);
+      walk(next, depth + 1, seen);
+      seen.delete(next);
+    }
+  };
+  walk(baseId, 0, new Set([baseId]));
+  return depths;
+}
+
+/**
+ * Index transformations.json by character id. Results are cached per source object.
+ * @param {Object} transformations - Parsed transformations.json
+ * @returns {Map<string, {id: string, name: string, baseId: string, baseName: string, depth: number, groupIds: Array<string>}>}
+ */
+export function createFormIndex(transformations) {
+  if (transformations instanceof Map) return transformations;
+  if (!transformations || typeof transformations !== 'object') return new Map();
+  if (formIndexCache.has(transformations)) return formIndexCache.get(transformations);
+
+  const edges = new Map();
+  const incoming = new Map();
+  Object.entries(transformations).forEach(([id, entry]) => {
+    if (isEntry(id, entry)) edges.set(id, (entry.transformsTo || []).filter((t) => t !== id));
+  });
+  edges.forEach((targets, id) => {
+    targets.forEach((t) => {
+      if (!incoming.has(t)) incoming.set(t, new Set());
+      incoming.get(t).add(id);
+    });
+  });
+
+  const index = new Map();
+  edges.forEach((_, startId) => {
+    if (index.has(startId)) return;
+    // Group members are everything connected to the start form in either direction
+    const group = new Set([startId]);
+    const queue = [startId];
+    while (queue.length) {
+      const id = queue.pop();
+      [...(edges.get(id) || []), ...(incoming.get(id) || [])].forEach((other) => {
+        if (edges.has(other) && !group.has(other)) {
+          group.add(other);
+          queue.push(other);
+        }
+      });
+    }
+    const groupIds = [...group].sort();
+    const baseId = pickBaseForm(groupIds, edges, incoming, transformations);
+    const depths = formDepths(baseId, edges);
+    groupIds.forEach((id) => {
+      index.set(id, {
+        id,
+        name: transformations[id].name || id,
+        baseId,
+        baseName: transformations[baseId].name || baseId,
+        depth: depths.get(id) ?? 0,
+        groupIds,
+      });
+    });
+  });
+
+  formIndexCache.set(transformations, index);
+  return index;
+}
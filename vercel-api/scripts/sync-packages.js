@@ -0,0 +1,60 @@
+// Copies the shared packages/ sources into lib/packages/ so the functions deploy on their own.
+// The Vercel project's root is vercel-api/, and files outside it are not uploaded, so the
+// functions import these copies instead of ../../packages/.
+//
+// Usage: node scripts/sync-packages.js          (rewrite the copies)
+//        node scripts/sync-packages.js --check  (exit 1 if a copy is out of date)
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const REPO_ROOT = path.join(__dirname, '..', '..');
+const TARGET_DIR = path.join(__dirname, '..', 'lib', 'packages');
+
+const PACKAGES = {
+  'rules-engine': ['index.js', 'forms.js'],
+  'team-registry': ['index.js'],
+};
+
+function copies() {
+  return Object.entries(PACKAGES).flatMap(([pkg, files]) => files.map(file => {
+    const source = `packages/${pkg}/src/${file}`;
+    return {
+      source,
+      target: path.join(TARGET_DIR, pkg, file),
+      contents: `// Copied from ${source} by vercel-api/scripts/sync-packages.js. Edit the original.\n`
+        + fs.readFileSync(path.join(REPO_ROOT, source), 'utf8'),
+    };
+  }));
+}
+
+/**
+ * Copies that are missing or differ from their packages/ source.
+ * @returns {string[]} source paths
+ */
+export function outdatedCopies() {
+  return copies()
+    .filter(c => !fs.existsSync(c.target) || fs.readFileSync(c.target, 'utf8') !== c.contents)
+    .map(c => c.source);
+}
+
+function main() {
+  if (process.argv.includes('--check')) {
+    const outdated = outdatedCopies();
+    if (outdated.length > 0) {
+      console.error(`Out of date in vercel-api/lib/packages: ${outdated.join(', ')}. Run npm run sync-packages.`);
+      process.exit(1);
+    }
+    console.log('vercel-api/lib/packages is up to date');
+    return;
+  }
+  copies().forEach(c => {
+    fs.mkdirSync(path.dirname(c.target), { recursive: true });
+    fs.writeFileSync(c.target, c.contents);
+    console.log(`✓ ${path.relative(REPO_ROOT, c.target)}`);
+  });
+}
+
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) main();